@@ -0,0 +1,447 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { formatUnits, parseUnits } from 'ethers';
+import { APP_CONFIG } from './appConfig.js';
+import { POINT_LEVELS, POINT_LEVEL_NAMES } from './sbtCodec.js';
+import {
+    VOUCHER_DECIMALS,
+    VOUCHER_STATUS,
+    fetchIssuerCampaigns,
+    createCampaign,
+    setCampaignActive,
+    fetchCampaignRedemptions,
+    parseVoucherRecipients,
+    signVouchers,
+    voucherPath,
+    voucherQRCode,
+    summarizeCampaign,
+    toVoucherCSV,
+    renderVoucherSheetHtml,
+    loadIssuedVouchers,
+    saveIssuedVouchers,
+} from './aidVouchers.js';
+import { describeTxError } from './contractTx.js';
+import { downloadFile } from './fileDownload.js';
+import { toHref } from './router.js';
+import { useI18n } from './i18n.js';
+
+const STATUS_STYLES = {
+    [VOUCHER_STATUS.OUTSTANDING]: 'bg-blue-100 text-blue-800',
+    [VOUCHER_STATUS.REDEEMED]: 'bg-green-100 text-green-800',
+    [VOUCHER_STATUS.EXPIRED]: 'bg-gray-100 text-gray-700',
+    [VOUCHER_STATUS.CLOSED]: 'bg-orange-100 text-orange-800',
+};
+
+const EMPTY_CAMPAIGN_FORM = {
+    title: '',
+    pointLevel: 'LEVEL_C_MAJOR',
+    budget: '',
+    endsOn: '',
+};
+
+const inputClass = "w-full p-2 border border-gray-300 rounded-lg focus:ring-yellow-500 focus:border-yellow-500";
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+// The link a recipient opens (or scans) on their phone
+const voucherLink = (voucher) => `${window.location.origin}${toHref(voucherPath(voucher))}`;
+
+// --- Component: Create Campaign form ---
+const CreateCampaignForm = ({ isBusy, onCreate }) => {
+    const [form, setForm] = useState(EMPTY_CAMPAIGN_FORM);
+    const { t, pointLevelLabel } = useI18n();
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (await onCreate(form)) setForm(EMPTY_CAMPAIGN_FORM);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-gray-50 p-5 rounded-xl shadow-inner grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+            <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700">{t('campaigns.campaignTitle')}</label>
+                <input type="text" value={form.title} onChange={update('title')} placeholder={t('campaigns.titlePlaceholder')} className={inputClass} required />
+                <p className="text-xs text-gray-500 mt-1">{t('campaigns.titleHint')}</p>
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-gray-700">{t('mint.pointLevel')}</label>
+                <select value={form.pointLevel} onChange={update('pointLevel')} className={inputClass}>
+                    {POINT_LEVEL_NAMES.map(name => <option key={name} value={name}>{pointLevelLabel(POINT_LEVELS[name])}</option>)}
+                </select>
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-gray-700">{t('campaigns.budget')}</label>
+                <input type="number" min="0" step="any" value={form.budget} onChange={update('budget')} className={inputClass} required />
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-gray-700">{t('campaigns.endsOn')}</label>
+                <input type="date" value={form.endsOn} onChange={update('endsOn')} className={inputClass} required />
+            </div>
+            <div className="flex items-end">
+                <button type="submit" disabled={isBusy} className="w-full py-2 font-bold rounded-lg bg-yellow-500 text-white hover:bg-yellow-600 disabled:bg-gray-400">
+                    {isBusy ? t('campaigns.creating') : t('campaigns.create')}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// --- Component: Voucher generation for one campaign ---
+// One signature prompt per voucher; the signed vouchers are saved in this browser as they come
+const IssueVouchersForm = ({ campaign, committedAmount, isBusy, onIssue }) => {
+    const [recipientsText, setRecipientsText] = useState('');
+    const [defaultAmount, setDefaultAmount] = useState('');
+    const { t, formatCUSD } = useI18n();
+
+    const rows = useMemo(() => parseVoucherRecipients(recipientsText, defaultAmount), [recipientsText, defaultAmount]);
+    const invalidCount = rows.filter(row => row.errors.length > 0).length;
+    const total = invalidCount === 0 ? rows.reduce((sum, row) => sum + parseUnits(row.amount, VOUCHER_DECIMALS), 0n) : 0n;
+    const isOverBudget = committedAmount + total > campaign.budget;
+    const canRedeem = campaign.isActive && Date.now() <= campaign.endsAt;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (await onIssue(rows)) setRecipientsText('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-gray-50 p-5 rounded-xl shadow-inner space-y-3 mb-6">
+            <h4 className="text-lg font-bold text-gray-800">{t('campaigns.issueTitle')}</h4>
+            <p className="text-sm text-gray-600">{t('campaigns.issueInstructions')}</p>
+            <textarea
+                value={recipientsText}
+                onChange={(e) => setRecipientsText(e.target.value)}
+                rows={5}
+                placeholder={'0x0000000000000000000000000000000000000001,25\n0x0000000000000000000000000000000000000002'}
+                className={`${inputClass} font-mono text-xs`}
+            />
+            <div className="flex flex-wrap items-center gap-3">
+                <label className="text-sm text-gray-700">{t('campaigns.defaultAmount')}</label>
+                <input type="number" min="0" step="any" value={defaultAmount} onChange={(e) => setDefaultAmount(e.target.value)} className="w-32 p-2 border border-gray-300 rounded-lg" />
+                {rows.length > 0 && (
+                    <span className="text-sm text-gray-600">
+                        {t('campaigns.vouchersToSign', { count: rows.length })}
+                        {invalidCount === 0 && ` · ${formatCUSD(formatUnits(total, VOUCHER_DECIMALS))}`}
+                    </span>
+                )}
+            </div>
+            {rows.filter(row => row.errors.length > 0).map(row => (
+                <p key={row.line} className="text-xs text-red-700">{t('campaigns.lineError', { line: row.line, error: row.errors.join(' ') })}</p>
+            ))}
+            {isOverBudget && invalidCount === 0 && rows.length > 0 && (
+                <p className="text-xs text-orange-700">{t('campaigns.overBudget', { remaining: formatCUSD(formatUnits(campaign.budget > committedAmount ? campaign.budget - committedAmount : 0n, VOUCHER_DECIMALS)) })}</p>
+            )}
+            {!canRedeem && <p className="text-xs text-orange-700">{t('campaigns.notRedeemable')}</p>}
+            <button
+                type="submit"
+                disabled={isBusy || rows.length === 0 || invalidCount > 0 || !canRedeem}
+                className="px-4 py-2 font-bold rounded-lg bg-yellow-500 text-white hover:bg-yellow-600 disabled:bg-gray-400"
+            >
+                {t('campaigns.sign', { count: rows.length })}
+            </button>
+        </form>
+    );
+};
+
+// --- Component: Aid Campaigns (issuer dashboard tab) ---
+// Create a campaign -> sign one voucher per recipient -> share links / QR codes -> follow redemptions
+const AidCampaignPanel = ({ walletAddress, deployment, getContract, showToast }) => {
+    const [campaigns, setCampaigns] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [redemptions, setRedemptions] = useState(new Map());
+    const [vouchers, setVouchers] = useState([]);
+    const [busy, setBusy] = useState(null); // 'create' | 'toggle' | 'print' | { signed, total }
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const [qrVoucher, setQrVoucher] = useState(null); // { voucherId, qrCode }
+    const { t, formatCUSD, formatDate, formatDateTime, pointLevelLabel } = useI18n();
+
+    const chainId = deployment ? deployment.chainId : null;
+    const selected = campaigns.find(campaign => campaign.id === selectedId) || null;
+    const cusd = (wei) => formatCUSD(formatUnits(wei, VOUCHER_DECIMALS));
+
+    const refresh = useCallback(async () => {
+        if (APP_CONFIG.backend !== 'contract') return;
+        setIsRefreshing(true);
+        try {
+            const manager = getContract('aidCampaignManager');
+            const loaded = await fetchIssuerCampaigns(manager, walletAddress);
+            setCampaigns(loaded);
+            if (selectedId !== null && loaded.some(campaign => campaign.id === selectedId)) {
+                setRedemptions(await fetchCampaignRedemptions(manager, selectedId, deployment ? deployment.deploymentBlock : 0));
+                setVouchers(loadIssuedVouchers(chainId, walletAddress, selectedId));
+            }
+            setLoadError(null);
+        } catch (e) {
+            setLoadError(describeTxError(e));
+        } finally {
+            setIsRefreshing(false);
+        }
+    }, [getContract, walletAddress, selectedId, deployment, chainId]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const summary = useMemo(
+        () => (selected ? summarizeCampaign(selected, vouchers, redemptions) : null),
+        [selected, vouchers, redemptions],
+    );
+
+    const handleCreate = async (form) => {
+        setBusy('create');
+        try {
+            const id = await createCampaign(getContract('aidCampaignManager'), {
+                title: form.title.trim(),
+                pointLevel: POINT_LEVELS[form.pointLevel],
+                budget: form.budget,
+                // Redemptions close at the end of the chosen (local) day
+                endsAt: new Date(`${form.endsOn}T23:59:59`).getTime(),
+            });
+            showToast(t('campaigns.created', { title: form.title.trim(), id }), 'success');
+            setSelectedId(id);
+            return true;
+        } catch (e) {
+            console.error("Campaign creation failed: ", e);
+            showToast(describeTxError(e), 'error');
+            return false;
+        } finally {
+            setBusy(null);
+            await refresh();
+        }
+    };
+
+    const handleToggle = async (campaign) => {
+        setBusy('toggle');
+        try {
+            await setCampaignActive(getContract('aidCampaignManager'), campaign.id, !campaign.isActive);
+            showToast(t(campaign.isActive ? 'campaigns.closed' : 'campaigns.reopened', { title: campaign.title }), 'success');
+        } catch (e) {
+            console.error("Campaign update failed: ", e);
+            showToast(describeTxError(e), 'error');
+        } finally {
+            setBusy(null);
+            await refresh();
+        }
+    };
+
+    const handleIssue = async (rows) => {
+        setBusy({ signed: 0, total: rows.length });
+        let signed = [];
+        try {
+            signed = await signVouchers({
+                manager: getContract('aidCampaignManager'),
+                chainId,
+                campaign: selected,
+                recipients: rows,
+                onProgress: (count) => setBusy({ signed: count, total: rows.length }),
+            });
+            showToast(t('campaigns.signed', { count: signed.length }), 'success');
+            return true;
+        } catch (e) {
+            console.error("Voucher signing stopped: ", e);
+            showToast(describeTxError(e), 'error');
+            return false;
+        } finally {
+            if (signed.length > 0) {
+                saveIssuedVouchers(chainId, walletAddress, selected.id, signed);
+                setVouchers(loadIssuedVouchers(chainId, walletAddress, selected.id));
+            }
+            setBusy(null);
+        }
+    };
+
+    const copyLink = async (voucher) => {
+        try {
+            await navigator.clipboard.writeText(voucherLink(voucher));
+            showToast(t('campaigns.linkCopied'), 'success');
+        } catch (e) {
+            showToast(voucherLink(voucher), 'info');
+        }
+    };
+
+    const toggleQR = async (voucher) => {
+        if (qrVoucher && qrVoucher.voucherId === voucher.voucherId) {
+            setQrVoucher(null);
+            return;
+        }
+        try {
+            setQrVoucher({ voucherId: voucher.voucherId, qrCode: await voucherQRCode(voucherLink(voucher)) });
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    };
+
+    const exportCSV = () => {
+        downloadFile(`aid-vouchers-campaign-${selected.id}.csv`, toVoucherCSV(summary.rows, voucherLink), 'text/csv');
+    };
+
+    // Outstanding vouchers only: redeemed and expired ones are of no use on paper
+    const printOutstanding = async () => {
+        const sheetWindow = window.open('', '_blank');
+        if (!sheetWindow) {
+            showToast(t('audit.popupBlocked'), 'error');
+            return;
+        }
+        setBusy('print');
+        try {
+            const outstanding = summary.rows.filter(row => row.status === VOUCHER_STATUS.OUTSTANDING);
+            const cards = await Promise.all(outstanding.map(async ({ voucher }) => {
+                const link = voucherLink(voucher);
+                return { voucher, link, qrCode: await voucherQRCode(link) };
+            }));
+            sheetWindow.document.write(renderVoucherSheetHtml(selected, cards));
+            sheetWindow.document.close();
+            sheetWindow.focus();
+            sheetWindow.print();
+        } catch (e) {
+            sheetWindow.close();
+            showToast(e.message, 'error');
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    if (APP_CONFIG.backend !== 'contract') {
+        return (
+            <div className="pt-6">
+                <h3 className="text-2xl font-bold text-gray-700 mb-4">{t('campaigns.title')}</h3>
+                <p className="text-gray-600">{t('campaigns.contractOnly')}</p>
+            </div>
+        );
+    }
+
+    const isBusy = busy !== null;
+    const committedAmount = summary ? summary.redeemedAmount + summary.outstandingAmount : 0n;
+
+    return (
+        <div className="pt-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-2xl font-bold text-gray-700">{t('campaigns.title')}</h3>
+                <button
+                    onClick={refresh}
+                    disabled={isRefreshing}
+                    className="px-3 py-1 text-sm font-semibold text-yellow-700 border border-yellow-300 rounded-lg hover:bg-yellow-50 disabled:opacity-50"
+                >
+                    {isRefreshing ? t('common.refreshing') : t('common.refresh')}
+                </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">{t('campaigns.intro')}</p>
+            {loadError && <p className="p-3 mb-4 text-sm text-red-700 bg-red-50 rounded-lg">{loadError}</p>}
+
+            <CreateCampaignForm isBusy={busy === 'create'} onCreate={handleCreate} />
+
+            {campaigns.length === 0 ? (
+                <p className="text-gray-500 text-sm mb-6">{t('campaigns.none')}</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+                    {campaigns.map(campaign => (
+                        <div key={campaign.id} className={`p-4 rounded-xl bg-gray-50 shadow-inner space-y-2 ${campaign.id === selectedId ? 'ring-2 ring-yellow-500' : ''}`}>
+                            <div className="flex justify-between items-start gap-2">
+                                <div>
+                                    <p className="text-xs text-gray-500">#{campaign.id} · {pointLevelLabel(campaign.pointLevel)}</p>
+                                    <h4 className="font-bold text-gray-800">{campaign.title}</h4>
+                                </div>
+                                <span className={`px-2 py-0.5 text-xs font-bold rounded-full ${campaign.isActive && Date.now() <= campaign.endsAt ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'}`}>
+                                    {!campaign.isActive ? t('campaigns.statusClosed') : Date.now() > campaign.endsAt ? t('campaigns.statusEnded') : t('campaigns.statusOpen')}
+                                </span>
+                            </div>
+                            <p className="text-xs text-gray-600">
+                                {t('campaigns.budgetUsed', { redeemed: cusd(campaign.redeemedAmount), budget: cusd(campaign.budget) })}
+                                {' · '}{t('campaigns.redemptions', { count: campaign.redeemedCount })}
+                                {' · '}{t('campaigns.ends', { date: formatDate(campaign.endsAt) })}
+                            </p>
+                            <div className="flex gap-2">
+                                <button onClick={() => setSelectedId(campaign.id)} className="px-3 py-1 text-xs font-semibold rounded-lg bg-yellow-500 text-white hover:bg-yellow-600">
+                                    {t('campaigns.manage')}
+                                </button>
+                                <button onClick={() => handleToggle(campaign)} disabled={isBusy} className="px-3 py-1 text-xs font-semibold rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50">
+                                    {campaign.isActive ? t('campaigns.close') : t('campaigns.reopen')}
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {selected && summary && (
+                <div className="border-t pt-6">
+                    <h3 className="text-xl font-bold text-gray-800 mb-4">{selected.title}</h3>
+
+                    <IssueVouchersForm campaign={selected} committedAmount={committedAmount} isBusy={isBusy} onIssue={handleIssue} />
+                    {busy && busy.total !== undefined && (
+                        <p className="text-sm text-gray-600 mb-4">{t('campaigns.signing', { signed: busy.signed, total: busy.total })}</p>
+                    )}
+
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                        {Object.values(VOUCHER_STATUS).map(status => (
+                            <div key={status} className="p-3 bg-gray-50 rounded-lg">
+                                <p className="text-xs text-gray-500">{t(`voucherStatus.${status}`)}</p>
+                                <p className="text-2xl font-black text-gray-800">{summary.counts[status]}</p>
+                            </div>
+                        ))}
+                    </div>
+                    <p className="text-sm text-gray-600 mb-4">
+                        {t('campaigns.amounts', { redeemed: cusd(summary.redeemedAmount), outstanding: cusd(summary.outstandingAmount), budget: cusd(selected.budget) })}
+                    </p>
+                    <p className="text-xs text-gray-500 mb-4">{t('campaigns.storedHere')}</p>
+
+                    <div className="flex gap-2 mb-3">
+                        <button onClick={exportCSV} disabled={summary.rows.length === 0} className="px-3 py-1 text-sm font-semibold rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50">
+                            {t('campaigns.exportCSV')}
+                        </button>
+                        <button onClick={printOutstanding} disabled={isBusy || summary.counts[VOUCHER_STATUS.OUTSTANDING] === 0} className="px-3 py-1 text-sm font-semibold rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50">
+                            {t('campaigns.printOutstanding')}
+                        </button>
+                    </div>
+
+                    {summary.rows.length === 0 ? (
+                        <p className="text-gray-500 text-sm">{t('campaigns.noVouchers')}</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm text-start">
+                                <thead>
+                                    <tr className="text-xs text-gray-500 border-b">
+                                        <th className="p-2 text-start">{t('bulk.columns.recipient')}</th>
+                                        <th className="p-2 text-start">{t('campaigns.amount')}</th>
+                                        <th className="p-2 text-start">{t('bulk.columns.status')}</th>
+                                        <th className="p-2 text-start">{t('bulk.columns.result')}</th>
+                                        <th className="p-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {summary.rows.map(({ voucher, status, redemption, issuedHere }) => (
+                                        <tr key={voucher.voucherId} className="border-b align-top">
+                                            <td className="p-2 font-mono text-xs" title={voucher.recipient}>{shortAddress(voucher.recipient)}</td>
+                                            <td className="p-2">{cusd(voucher.amount)}</td>
+                                            <td className="p-2">
+                                                <span className={`px-2 py-0.5 text-xs font-bold rounded-full ${STATUS_STYLES[status]}`}>{t(`voucherStatus.${status}`)}</span>
+                                            </td>
+                                            <td className="p-2 text-xs text-gray-600">
+                                                {redemption
+                                                    ? t('campaigns.redeemedAs', { tokenId: String(redemption.tokenId), date: formatDateTime(redemption.redeemedAt) })
+                                                    : t('campaigns.expires', { date: formatDate(voucher.expiresAt * 1000) })}
+                                                {!issuedHere && ` · ${t('campaigns.issuedElsewhere')}`}
+                                            </td>
+                                            <td className="p-2 text-end whitespace-nowrap">
+                                                {issuedHere && status === VOUCHER_STATUS.OUTSTANDING && (
+                                                    <>
+                                                        <button onClick={() => copyLink(voucher)} className="text-xs font-semibold text-yellow-700 hover:underline me-3">{t('campaigns.copyLink')}</button>
+                                                        <button onClick={() => toggleQR(voucher)} className="text-xs font-semibold text-yellow-700 hover:underline">{t('campaigns.qrCode')}</button>
+                                                        {qrVoucher && qrVoucher.voucherId === voucher.voucherId && (
+                                                            <img src={qrVoucher.qrCode} alt={t('campaigns.qrCode')} className="mt-2 ms-auto w-40 h-40" />
+                                                        )}
+                                                    </>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AidCampaignPanel;
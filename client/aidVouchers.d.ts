@@ -0,0 +1,162 @@
+// Type declarations for aidVouchers.js (used by the TypeScript tests under test/).
+
+import type { Contract } from 'ethers';
+
+export const VOUCHER_DECIMALS: number;
+
+export const AID_VOUCHER_TYPES: {
+    readonly AidVoucher: readonly [
+        { readonly name: 'campaignId'; readonly type: 'uint256' },
+        { readonly name: 'voucherId'; readonly type: 'uint256' },
+        { readonly name: 'recipient'; readonly type: 'address' },
+        { readonly name: 'amount'; readonly type: 'uint256' },
+        { readonly name: 'expiresAt'; readonly type: 'uint256' },
+    ];
+};
+
+export type VoucherStatus = 'outstanding' | 'redeemed' | 'expired' | 'closed';
+
+export const VOUCHER_STATUS: Readonly<{
+    OUTSTANDING: 'outstanding';
+    REDEEMED: 'redeemed';
+    EXPIRED: 'expired';
+    CLOSED: 'closed';
+}>;
+
+export class AidVoucherError extends Error {
+    constructor(message: string);
+}
+
+export function aidVoucherDomain(chainId: number | bigint, manager: string): {
+    name: string;
+    version: string;
+    chainId: number;
+    verifyingContract: `0x${string}`;
+};
+
+// --- Campaigns ---
+
+export interface Campaign {
+    id: number;
+    issuer: string;
+    title: string;
+    pointLevel: number;
+    budget: bigint;
+    redeemedAmount: bigint;
+    redeemedCount: number;
+    endsAt: number;
+    isActive: boolean;
+    createdAt: number;
+}
+
+export function decodeCampaign(campaignId: number | bigint, raw: any): Campaign;
+export function readCampaign(manager: Contract, campaignId: number | bigint | string): Promise<Campaign>;
+export function fetchIssuerCampaigns(manager: Contract, issuer: string): Promise<Campaign[]>;
+export function createCampaign(
+    manager: Contract,
+    campaign: { title: string; pointLevel: number; budget: string; endsAt: number }
+): Promise<number>;
+export function setCampaignActive(manager: Contract, campaignId: number | bigint, isActive: boolean): Promise<unknown>;
+
+export interface VoucherRedemption {
+    recipient: string;
+    amount: bigint;
+    tokenId: number;
+    redeemedAt: number;
+    txHash: string;
+}
+
+export function fetchCampaignRedemptions(
+    manager: Contract,
+    campaignId: number | bigint,
+    fromBlock?: number
+): Promise<Map<string, VoucherRedemption>>;
+
+// --- Vouchers ---
+
+export interface AidVoucher {
+    chainId: number;
+    manager: string;
+    campaignId: string;
+    voucherId: string;
+    recipient: string;
+    amount: string;
+    expiresAt: number;
+    issuer: string;
+    title: string;
+    signature: string;
+    createdAt?: number;
+}
+
+export function parseVoucherRecipients(
+    text: string,
+    defaultAmount?: string
+): { line: number; recipient: string; amount: string; errors: string[] }[];
+export function signVouchers(options: {
+    manager: Contract;
+    chainId: number | bigint;
+    campaign: Campaign;
+    recipients: { recipient: string; amount: string }[];
+    onProgress?: (signed: number) => void;
+}): Promise<AidVoucher[]>;
+
+export function encodeVoucher(voucher: AidVoucher): string;
+export function decodeVoucher(input: string): AidVoucher;
+export function voucherPath(voucher: AidVoucher): string;
+export function voucherQRCode(link: string): Promise<string>;
+
+export function isVoucherSignedByIssuer(voucher: AidVoucher): boolean;
+export function readVoucherRedemption(
+    manager: Contract,
+    voucher: AidVoucher
+): Promise<{ tokenId: number; redeemedAt: number } | null>;
+export function readVoucherState(manager: Contract, voucher: AidVoucher): Promise<{
+    campaign: Campaign;
+    redemption: { tokenId: number; redeemedAt: number } | null;
+    recipientRedeemed: boolean;
+}>;
+export function redeemVoucher(
+    manager: Contract,
+    voucher: AidVoucher,
+    tokenURI: string
+): Promise<{ txHash: string; tokenId: number }>;
+
+// --- Campaign Dashboard ---
+
+export interface VoucherRow {
+    voucher: AidVoucher | Pick<AidVoucher, 'voucherId' | 'recipient' | 'amount'>;
+    status: VoucherStatus;
+    redemption: VoucherRedemption | null;
+    issuedHere: boolean;
+}
+
+export function summarizeCampaign(
+    campaign: Campaign,
+    vouchers: AidVoucher[],
+    redemptions: Map<string, VoucherRedemption>,
+    now?: number
+): {
+    rows: VoucherRow[];
+    counts: Record<VoucherStatus, number>;
+    redeemedAmount: bigint;
+    outstandingAmount: bigint;
+};
+export function toVoucherCSV(rows: VoucherRow[], linkFor: (voucher: VoucherRow['voucher']) => string): string;
+export function renderVoucherSheetHtml(
+    campaign: Campaign,
+    cards: { voucher: AidVoucher; link: string; qrCode: string }[]
+): string;
+
+export function loadIssuedVouchers(
+    chainId: number | bigint,
+    issuer: string,
+    campaignId: number | string,
+    storage?: Storage
+): AidVoucher[];
+export function saveIssuedVouchers(
+    chainId: number | bigint,
+    issuer: string,
+    campaignId: number | string,
+    vouchers: AidVoucher[],
+    storage?: Storage
+): void;
@@ -0,0 +1,457 @@
+// --- Aid Campaign Vouchers ---
+// NGO issuers run disbursement campaigns on AidCampaignManager and give every recipient a voucher:
+// an EIP-712 AidVoucher signed by the campaign's issuer, shared as a link or QR code. The holder
+// redeems it once (AidCampaignManager.redeemVoucher) to mint their AID_DISBURSEMENT_RECEIVED SBT;
+// the contract checks the signature, the recipient and that the voucher was never redeemed.
+//
+// Vouchers only reach the chain when redeemed, so the issuer's list of signed vouchers is kept in
+// this browser (localStorage) and matched against VoucherRedeemed events for the campaign dashboard.
+
+import { getAddress, verifyTypedData, parseUnits, formatUnits } from 'ethers';
+import { sendAndWait } from './contractTx.js';
+import { toCSV, parseCSV } from './csv.js';
+import { ROUTES, buildPath } from './routes.js';
+
+export const VOUCHER_DECIMALS = 18; // Amounts are cUSD
+
+const DOMAIN_NAME = 'Credo Aid Vouchers';
+const DOMAIN_VERSION = '1';
+const STORAGE_PREFIX = 'credo.aidVouchers.';
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const VOUCHER_ROUTE = ROUTES.find(route => route.path.includes(':voucher')).path;
+
+/**
+ * @notice The EIP-712 type AidCampaignManager hashes (AID_VOUCHER_TYPEHASH).
+ */
+export const AID_VOUCHER_TYPES = {
+    AidVoucher: [
+        { name: 'campaignId', type: 'uint256' },
+        { name: 'voucherId', type: 'uint256' },
+        { name: 'recipient', type: 'address' },
+        { name: 'amount', type: 'uint256' },    // cUSD wei
+        { name: 'expiresAt', type: 'uint256' }, // unix seconds
+    ],
+};
+
+export const VOUCHER_STATUS = Object.freeze({
+    OUTSTANDING: 'outstanding', // Signed, not redeemed yet
+    REDEEMED: 'redeemed',
+    EXPIRED: 'expired',         // Past its expiry (or the campaign end) without a redemption
+    CLOSED: 'closed',           // The campaign was closed before it was redeemed
+});
+
+export class AidVoucherError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AidVoucherError';
+    }
+}
+
+export const aidVoucherDomain = (chainId, manager) => ({
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: Number(chainId),
+    verifyingContract: getAddress(manager),
+});
+
+// The signed fields, in the shape both ethers and the contract tuple expect
+const voucherMessage = (voucher) => ({
+    campaignId: BigInt(voucher.campaignId),
+    voucherId: BigInt(voucher.voucherId),
+    recipient: getAddress(voucher.recipient),
+    amount: BigInt(voucher.amount),
+    expiresAt: BigInt(voucher.expiresAt),
+});
+
+// --- Campaigns ---
+
+/**
+ * @notice AidCampaignManager.Campaign with numbers a view can use (times in ms, amounts as bigint wei).
+ */
+export function decodeCampaign(campaignId, raw) {
+    return {
+        id: Number(campaignId),
+        issuer: raw.issuer,
+        title: raw.title,
+        pointLevel: Number(raw.pointLevel),
+        budget: raw.budget,
+        redeemedAmount: raw.redeemedAmount,
+        redeemedCount: Number(raw.redeemedCount),
+        endsAt: Number(raw.endsAt) * 1000,
+        isActive: raw.isActive,
+        createdAt: Number(raw.createdAt) * 1000,
+    };
+}
+
+export async function readCampaign(manager, campaignId) {
+    return decodeCampaign(campaignId, await manager.getCampaign(campaignId));
+}
+
+/**
+ * @notice The issuer's campaigns, newest first.
+ */
+export async function fetchIssuerCampaigns(manager, issuer) {
+    const ids = await manager.getIssuerCampaigns(issuer);
+    const campaigns = await Promise.all([...ids].map(id => readCampaign(manager, id)));
+    return campaigns.sort((a, b) => b.id - a.id);
+}
+
+/**
+ * @notice AidCampaignManager.createCampaign (SBT issuers only).
+ * @param budget cUSD amount as a decimal string.
+ * @param endsAt Last redemption time in ms.
+ * @returns The new campaign id.
+ */
+export async function createCampaign(manager, { title, pointLevel, budget, endsAt }) {
+    const { event } = await sendAndWait(
+        manager,
+        'createCampaign',
+        [title, pointLevel, parseUnits(budget, VOUCHER_DECIMALS), Math.floor(endsAt / 1000)],
+        'CampaignCreated',
+        { label: `Create campaign "${title}"` },
+    );
+    if (!event) {
+        throw new Error("Transaction mined but no CampaignCreated event was found.");
+    }
+    return Number(event.campaignId);
+}
+
+/**
+ * @notice Closes (every outstanding voucher stops working) or reopens a campaign.
+ */
+export async function setCampaignActive(manager, campaignId, isActive) {
+    return sendAndWait(manager, 'setCampaignActive', [campaignId, isActive], 'CampaignUpdated', {
+        label: `${isActive ? 'Reopen' : 'Close'} campaign #${campaignId}`,
+    });
+}
+
+/**
+ * @notice The campaign's redemptions from VoucherRedeemed events.
+ * @param fromBlock First block to scan (the deployment block).
+ * @returns Map voucherId (decimal string) -> { recipient, amount, tokenId, redeemedAt, txHash }
+ */
+export async function fetchCampaignRedemptions(manager, campaignId, fromBlock = 0) {
+    const logs = await manager.queryFilter(manager.filters.VoucherRedeemed(campaignId), fromBlock);
+    return new Map(logs.map(log => [log.args.voucherId.toString(), {
+        recipient: log.args.recipient,
+        amount: log.args.amount,
+        tokenId: Number(log.args.tokenId),
+        redeemedAt: Number(log.args.timestamp) * 1000,
+        txHash: log.transactionHash,
+    }]));
+}
+
+// --- Issuing Vouchers ---
+
+/**
+ * @notice Reads the recipient list: one "address,amount" per line, an optional header row, and
+ * the default amount for lines without one.
+ * @returns [{ line, recipient, amount, errors }] with amount as a decimal string.
+ */
+export function parseVoucherRecipients(text, defaultAmount = '') {
+    const rows = parseCSV(text);
+    const hasHeader = rows.length > 0 && !ADDRESS_PATTERN.test((rows[0][0] || '').trim());
+    const seen = new Map();
+
+    return rows.slice(hasHeader ? 1 : 0).map((cells, i) => {
+        const line = i + (hasHeader ? 2 : 1);
+        const recipient = (cells[0] || '').trim();
+        const amount = (cells[1] || '').trim() || defaultAmount;
+        const errors = [];
+
+        if (!ADDRESS_PATTERN.test(recipient)) {
+            errors.push(`Invalid recipient address "${recipient}".`);
+        } else if (seen.has(recipient.toLowerCase())) {
+            // The contract redeems one voucher per recipient and campaign
+            errors.push(`Repeats line ${seen.get(recipient.toLowerCase())}.`);
+        } else {
+            seen.set(recipient.toLowerCase(), line);
+        }
+        try {
+            if (parseUnits(amount, VOUCHER_DECIMALS) <= 0n) errors.push("The amount must be positive.");
+        } catch (e) {
+            errors.push(`Invalid amount "${amount}".`);
+        }
+        return { line, recipient, amount, errors };
+    });
+}
+
+// Random 64-bit id: unique within a campaign without coordinating between the issuer's devices
+function newVoucherId() {
+    const [high, low] = globalThis.crypto.getRandomValues(new Uint32Array(2));
+    return ((BigInt(high) << 32n) | BigInt(low)).toString();
+}
+
+/**
+ * @notice Signs one voucher per recipient with the issuer's wallet (one signature prompt each).
+ * Vouchers expire with the campaign.
+ * @param manager AidCampaignManager connected to the issuer's signer.
+ * @param recipients [{ recipient, amount }] with amount as a decimal cUSD string.
+ * @param onProgress Called with the number signed so far.
+ * @returns The signed vouchers (amounts in wei, ids and amounts as decimal strings).
+ */
+export async function signVouchers({ manager, chainId, campaign, recipients, onProgress = () => {} }) {
+    const domain = aidVoucherDomain(chainId, manager.target);
+    const signed = [];
+
+    for (const { recipient, amount } of recipients) {
+        const voucher = {
+            chainId: Number(chainId),
+            manager: domain.verifyingContract,
+            campaignId: String(campaign.id),
+            voucherId: newVoucherId(),
+            recipient: getAddress(recipient),
+            amount: parseUnits(amount, VOUCHER_DECIMALS).toString(),
+            expiresAt: Math.floor(campaign.endsAt / 1000),
+            issuer: getAddress(campaign.issuer),
+            title: campaign.title,
+            createdAt: Date.now(),
+        };
+        voucher.signature = await manager.runner.signTypedData(domain, AID_VOUCHER_TYPES, voucherMessage(voucher));
+        signed.push(voucher);
+        onProgress(signed.length);
+    }
+    return signed;
+}
+
+// --- Links and QR Codes ---
+// A voucher travels as base64url JSON with short keys, so the QR code stays small enough for
+// cheap phone cameras. Title and issuer are hints for the holder; the title is not signed (the
+// SBT takes the on-chain campaign title) and the issuer is checked against the signature.
+
+const SHORT_KEYS = {
+    chainId: 'c', manager: 'm', campaignId: 'i', voucherId: 'v', recipient: 'r',
+    amount: 'a', expiresAt: 'e', signature: 's', issuer: 'g', title: 't',
+};
+
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (code) => new TextDecoder().decode(
+    Uint8Array.from(atob(code.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0)),
+);
+
+export function encodeVoucher(voucher) {
+    return toBase64Url(JSON.stringify(Object.fromEntries(
+        Object.entries(SHORT_KEYS).map(([field, key]) => [key, voucher[field]]),
+    )));
+}
+
+/**
+ * @notice Reads a voucher from its code, or from a link or text containing the code.
+ * @throws AidVoucherError when no well-formed voucher is found.
+ */
+export function decodeVoucher(input) {
+    const text = String(input || '').trim();
+    const code = text.includes('/') ? text.slice(text.lastIndexOf('/') + 1).split(/[?#]/)[0] : text;
+    let fields;
+    try {
+        fields = JSON.parse(fromBase64Url(code));
+    } catch (e) {
+        throw new AidVoucherError("This is not an aid voucher link or code.");
+    }
+    const voucher = Object.fromEntries(Object.entries(SHORT_KEYS).map(([field, key]) => [field, fields[key]]));
+    const isWellFormed = Number.isInteger(voucher.chainId)
+        && [voucher.manager, voucher.recipient, voucher.issuer].every(address => ADDRESS_PATTERN.test(address || ''))
+        && [voucher.campaignId, voucher.voucherId, voucher.amount].every(value => /^\d+$/.test(String(value)))
+        && Number.isInteger(voucher.expiresAt)
+        && /^0x[0-9a-fA-F]{130}$/.test(voucher.signature || '');
+    if (!isWellFormed) {
+        throw new AidVoucherError("The voucher is incomplete. Ask the NGO for a new link.");
+    }
+    return voucher;
+}
+
+/**
+ * @notice The app path that opens the holder's redemption page with this voucher.
+ */
+export const voucherPath = (voucher) => buildPath(VOUCHER_ROUTE, { voucher: encodeVoucher(voucher) });
+
+/**
+ * @notice A QR code (PNG data URL) for a voucher link. The qrcode package loads on first use.
+ */
+export async function voucherQRCode(link) {
+    const { default: QRCode } = await import('qrcode');
+    return QRCode.toDataURL(link, { errorCorrectionLevel: 'M', margin: 2, width: 240 });
+}
+
+// --- Holder Checks ---
+
+/**
+ * @notice Whether the voucher's issuer signed it. Works offline (no RPC call).
+ */
+export function isVoucherSignedByIssuer(voucher) {
+    try {
+        const signer = verifyTypedData(aidVoucherDomain(voucher.chainId, voucher.manager), AID_VOUCHER_TYPES, voucherMessage(voucher), voucher.signature);
+        return signer.toLowerCase() === voucher.issuer.toLowerCase();
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * @notice The voucher's redemption on chain: { tokenId, redeemedAt } or null while outstanding.
+ */
+export async function readVoucherRedemption(manager, voucher) {
+    const redemption = await manager.getRedemption(voucher.campaignId, voucher.voucherId);
+    return redemption.redeemedAt > 0n
+        ? { tokenId: Number(redemption.tokenId), redeemedAt: Number(redemption.redeemedAt) * 1000 }
+        : null;
+}
+
+/**
+ * @notice Reads what the contract will decide: the campaign, and whether this voucher or another
+ * voucher of the campaign was already redeemed by the holder.
+ * @returns { campaign, redemption, recipientRedeemed } with redemption null while outstanding.
+ */
+export async function readVoucherState(manager, voucher) {
+    const [campaign, redemption, recipientRedeemed] = await Promise.all([
+        readCampaign(manager, voucher.campaignId),
+        readVoucherRedemption(manager, voucher),
+        manager.hasRecipientRedeemed(voucher.campaignId, voucher.recipient),
+    ]);
+    return { campaign, redemption, recipientRedeemed };
+}
+
+/**
+ * @notice AidCampaignManager.redeemVoucher from the recipient's wallet.
+ * @param tokenURI The SBT metadata (offlineQueue.js aidAcknowledgementURI).
+ * @returns { txHash, tokenId }
+ */
+export async function redeemVoucher(manager, voucher, tokenURI) {
+    const { txHash, event } = await sendAndWait(
+        manager,
+        'redeemVoucher',
+        [voucherMessage(voucher), voucher.signature, tokenURI],
+        'VoucherRedeemed',
+        { label: `Redeem aid voucher (campaign #${voucher.campaignId})` },
+    );
+    if (!event) {
+        throw new Error("Transaction mined but no VoucherRedeemed event was found.");
+    }
+    return { txHash, tokenId: Number(event.tokenId) };
+}
+
+// --- Campaign Dashboard ---
+
+/**
+ * @notice Every voucher of a campaign with its status. Redemptions of vouchers signed on another
+ * device are listed too (issuedHere: false).
+ * @param vouchers The vouchers signed in this browser (loadIssuedVouchers).
+ * @param redemptions fetchCampaignRedemptions result.
+ * @returns { rows: [{ voucher, status, redemption, issuedHere }], counts, redeemedAmount, outstandingAmount }
+ */
+export function summarizeCampaign(campaign, vouchers, redemptions, now = Date.now()) {
+    const rows = vouchers.map(voucher => {
+        const redemption = redemptions.get(voucher.voucherId) || null;
+        let status = VOUCHER_STATUS.OUTSTANDING;
+        if (redemption) status = VOUCHER_STATUS.REDEEMED;
+        else if (now > voucher.expiresAt * 1000 || now > campaign.endsAt) status = VOUCHER_STATUS.EXPIRED;
+        else if (!campaign.isActive) status = VOUCHER_STATUS.CLOSED;
+        return { voucher, status, redemption, issuedHere: true };
+    });
+
+    const known = new Set(vouchers.map(voucher => voucher.voucherId));
+    redemptions.forEach((redemption, voucherId) => {
+        if (known.has(voucherId)) return;
+        rows.push({
+            voucher: { voucherId, recipient: redemption.recipient, amount: redemption.amount.toString() },
+            status: VOUCHER_STATUS.REDEEMED,
+            redemption,
+            issuedHere: false,
+        });
+    });
+
+    const counts = Object.fromEntries(Object.values(VOUCHER_STATUS).map(status => [status, 0]));
+    let outstandingAmount = 0n;
+    rows.forEach(row => {
+        counts[row.status]++;
+        if (row.status === VOUCHER_STATUS.OUTSTANDING) outstandingAmount += BigInt(row.voucher.amount);
+    });
+
+    return { rows, counts, redeemedAmount: campaign.redeemedAmount, outstandingAmount };
+}
+
+/**
+ * @notice The voucher list for mail merges and SMS tools: recipient, amount, status and link.
+ * @param linkFor voucher -> absolute link.
+ */
+export function toVoucherCSV(rows, linkFor) {
+    return toCSV([
+        ['voucherId', 'recipient', 'amountWei', 'status', 'tokenId', 'redeemedAt', 'link'],
+        ...rows.map(({ voucher, status, redemption, issuedHere }) => [
+            voucher.voucherId,
+            voucher.recipient,
+            voucher.amount,
+            status,
+            redemption ? redemption.tokenId : '',
+            redemption ? new Date(redemption.redeemedAt).toISOString() : '',
+            issuedHere ? linkFor(voucher) : '',
+        ]),
+    ]);
+}
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * @notice A printable page with one cut-out card per voucher: QR code, amount and recipient.
+ * @param cards [{ voucher, link, qrCode }] with qrCode a data URL (voucherQRCode).
+ */
+export function renderVoucherSheetHtml(campaign, cards) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(campaign.title)} - Aid Vouchers</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #1f2937; margin: 2rem; }
+    .muted { color: #6b7280; font-size: 0.8rem; }
+    .cards { display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; }
+    .card { border: 1px dashed #9ca3af; border-radius: 8px; padding: 1rem; text-align: center; break-inside: avoid; }
+    .card img { width: 180px; height: 180px; }
+    .amount { font-size: 1.5rem; font-weight: bold; }
+    .mono { font-family: monospace; font-size: 0.7rem; word-break: break-all; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(campaign.title)}</h1>
+<p class="muted">
+    Campaign #${campaign.id}. Scan the code with the Credo app from the recipient's wallet to acknowledge the aid.
+    Each voucher works once, only for the wallet shown, until ${escapeHtml(new Date(campaign.endsAt).toLocaleDateString())}.
+</p>
+<div class="cards">
+    ${cards.map(({ voucher, link, qrCode }) => `<div class="card">
+        <img src="${qrCode}" alt="Voucher QR code">
+        <div class="amount">${escapeHtml(formatUnits(voucher.amount, VOUCHER_DECIMALS))} cUSD</div>
+        <div class="mono">${escapeHtml(voucher.recipient)}</div>
+        <div class="muted">Voucher ${escapeHtml(voucher.voucherId)}</div>
+        <div class="mono">${escapeHtml(link)}</div>
+    </div>`).join('')}
+</div>
+</body>
+</html>`;
+}
+
+// --- Persistence (per chain and issuer) ---
+
+const storageKey = (chainId, issuer) => `${STORAGE_PREFIX}${chainId}.${issuer.toLowerCase()}`;
+
+const readStore = (chainId, issuer, storage) => JSON.parse(storage.getItem(storageKey(chainId, issuer)) || '{}');
+
+/**
+ * @notice The vouchers this browser signed for a campaign, oldest first.
+ */
+export function loadIssuedVouchers(chainId, issuer, campaignId, storage = globalThis.localStorage) {
+    return readStore(chainId, issuer, storage)[campaignId] || [];
+}
+
+export function saveIssuedVouchers(chainId, issuer, campaignId, vouchers, storage = globalThis.localStorage) {
+    const store = readStore(chainId, issuer, storage);
+    store[campaignId] = [...(store[campaignId] || []), ...vouchers];
+    storage.setItem(storageKey(chainId, issuer), JSON.stringify(store));
+}
@@ -1,104 +1,200 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-
-// --- DApp Constants ---
-const VIEWS = {
-    DASHBOARD: 'dashboard', // Holder: Risk Score Dashboard
-    SOCIAL_AID: 'social_aid', // Holder: Aid Acknowledgment
-    ISSUER_MINT: 'issuer_mint', // Issuer: Minting Panel
-    ISSUER_AUDIT: 'issuer_audit' // Issuer: Auditing Panel
-};
-
-const TASK_TYPES = {
-    IDENTITY_VERIFIED_KYC: 0,
-    FINANCIAL_LITERACY_COURSE: 2,
-    LOAN_REPAYMENT_SMALL: 4,
-    LOAN_REPAYMENT_LARGE: 5,
-    AID_DISBURSEMENT_RECEIVED: 6, // NGO Aid Task Type (Holder-triggered)
-    COMMUNITY_VOLUNTEERISM: 7,
-    SOCIAL_EDUCATION_CERT: 8,
-};
-
-const POINT_LEVELS = {
-    LEVEL_D_MINOR: 0,
-    LEVEL_C_MAJOR: 1,
-    LEVEL_B_HARMONY: 2,
-    LEVEL_A_PRESTIGE: 3,
-};
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { formatUnits } from 'ethers';
+import { TASK_TYPES } from './sbtCodec.js';
+import { createSBTBackend } from './backends/index.js';
+import { APP_CONFIG } from './appConfig.js';
+import { calculateAllScores } from './scoringEngine.js';
+import ScoreBreakdown from './scoreBreakdown.jsx';
+import ScoreAttestationPanel from './scoreAttestationPanel.jsx';
+import { publishScores as publishToOracle, readPublishedScores, PUBLISH_STATUS } from './scorePublisher.js';
+import LoanPlanner from './loanPlanner.jsx';
+import WhatIfSimulator from './whatIfSimulator.jsx';
+import LoanCenter from './loanCenter.jsx';
+import LoanAdminQueue from './loanAdminQueue.jsx';
+import IssuerAuditPanel from './issuerAuditPanel.jsx';
+import ScholarshipMarketplace from './scholarshipMarketplace.jsx';
+import ProviderConsole from './providerConsole.jsx';
+import BulkIssuancePanel from './bulkIssuancePanel.jsx';
+import ManualMintPanel from './manualMintPanel.jsx';
+import CredentialExport from './credentialExport.jsx';
+import OwnerOverview from './ownerOverview.jsx';
+import AidCampaignPanel from './aidCampaignPanel.jsx';
+import { ROLES, getLandingRole } from './roles.js';
+import { VIEWS, matchRoute, navRoutesFor, homePathFor, canAccess } from './routes.js';
+import { usePath, navigate } from './router.js';
+import { SUPPORTED_CHAIN_IDS, getNetwork } from './networks.js';
+import { resolveDeployment } from './deployments.js';
+import { describeTxError } from './contractTx.js';
+import PendingTxTray from './txTray.jsx';
+import { offlineCache, SNAPSHOT_PARTS } from './offlineCache.js';
+import {
+    VOUCHER_DECIMALS,
+    decodeVoucher,
+    isVoucherSignedByIssuer,
+    readVoucherState,
+    redeemVoucher,
+} from './aidVouchers.js';
+import {
+    actionQueue,
+    buildAidAcknowledgement,
+    signAidAcknowledgement,
+    aidAcknowledgementURI,
+    ACTION_STATUS,
+} from './offlineQueue.js';
+import { LOCALES, setLocale, useI18n, t } from './i18n.js';
 
-const TASK_LABELS = {
-    [TASK_TYPES.IDENTITY_VERIFIED_KYC]: 'KYC Verified (Identity)',
-    [TASK_TYPES.FINANCIAL_LITERACY_COURSE]: 'Financial Literacy Course',
-    [TASK_TYPES.LOAN_REPAYMENT_SMALL]: 'Small Loan Repayment (On-Time)',
-    [TASK_TYPES.LOAN_REPAYMENT_LARGE]: 'Large Loan Repayment (On-Time)',
-    [TASK_TYPES.AID_DISBURSEMENT_RECEIVED]: 'NGO Aid Receipt Acknowledged',
-    [TASK_TYPES.COMMUNITY_VOLUNTEERISM]: 'Community Volunteerism',
-    [TASK_TYPES.SOCIAL_EDUCATION_CERT]: 'Education Certificate Earned',
-};
 
-// Utility function to generate a simple, random risk score (0-1000)
-const calculateMockRiskScore = (sbtCount) => {
-    let score = 100;
-    score += Math.min(sbtCount * 100, 900);
-    return Math.min(score, 1000);
-};
+// --- Custom Hook: useCeloSBT (The Decentralized Bridge) ---
+// All chain access goes through the configured backend (in-memory mock or deployed contracts).
 
-// --- Initial Mock Data (Simulates SBTs fetched from Celo on initial load) ---
-const MOCK_INITIAL_SBTS = [
-    { id: 1, taskType: TASK_TYPES.IDENTITY_VERIFIED_KYC, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR, title: 'KYC Verified', issuedAt: Date.now() - 86400000, recipient: "0xbe1900d7202b28c946f0418c351f03a62858b22a" },
-    { id: 2, taskType: TASK_TYPES.FINANCIAL_LITERACY_COURSE, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY, title: 'Financial Course Cert', issuedAt: Date.now() - 172800000, recipient: "0xbe1900d7202b28c946f0418c351f03a62858b22a" },
-    { id: 3, taskType: TASK_TYPES.AID_DISBURSEMENT_RECEIVED, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR, title: 'NGO Aid 1 Acknowledged', issuedAt: Date.now() - 50000, recipient: "0x4ddc43b3539744c80327f2f1839e93b1693e5dbd" }, // Issued to Issuer's address (Mock for testing)
-];
+const defaultBackend = createSBTBackend(APP_CONFIG);
 
-// MOCK ADDRESSES for conditional rendering
-// This address will simulate the NGO Minter wallet (the authorized Issuer)
-const MOCK_ISSUER_ADDRESS = "0x4ddc43b3539744c80327f2f1839e93b1693e5dbd";
-// This address will simulate a standard IDP wallet (the Holder)
-const MOCK_HOLDER_ADDRESS = "0xbe1900d7202b28c946f0418c351f03a62858b22a";
+// navigator.onLine and its events; a true value only means a network interface is up
+function useOnlineStatus() {
+    const [isOnline, setIsOnline] = useState(() => globalThis.navigator?.onLine ?? true);
 
-let sbtCounter = MOCK_INITIAL_SBTS.length + 1; // Used for unique IDs in the mock
+    useEffect(() => {
+        const goOnline = () => setIsOnline(true);
+        const goOffline = () => setIsOnline(false);
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        return () => {
+            window.removeEventListener('online', goOnline);
+            window.removeEventListener('offline', goOffline);
+        };
+    }, []);
 
-// --- Custom Hook: useCeloSBT (The Decentralized Bridge) ---
+    return isOnline;
+}
 
-function useCeloSBT() {
+function useCeloSBT(backend = defaultBackend) {
     const [walletAddress, setWalletAddress] = useState(null);
-    const [sbtTokens, setSbtTokens] = useState(MOCK_INITIAL_SBTS); // Pre-load mock data
+    const [sbtTokens, setSbtTokens] = useState([]);
     const [isConnected, setIsConnected] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
-    const [isIssuer, setIsIssuer] = useState(false);
+    const [connectionError, setConnectionError] = useState(null);
+    // { roles, ownerOf, isScholarshipOwner } from backend.resolveRoles; null until resolved
+    const [roleInfo, setRoleInfo] = useState(null);
+    // Connected chain's deployment (deployments.js); null with the mock backend
+    const [deployment, setDeployment] = useState(null);
+    const roles = roleInfo ? roleInfo.roles : null;
+    const isIssuer = !!roles && roles.includes(ROLES.ISSUER);
+    const connectors = useMemo(() => backend.listConnectors(), [backend]);
+    // Bumped whenever the account or network changes, so late responses of the old session are dropped
+    const sessionRef = useRef(0);
+    // Offline mode: SBTs come from the offline cache when the chain cannot be read
+    const isOnline = useOnlineStatus();
+    const [lastSyncedAt, setLastSyncedAt] = useState(null);
+    const [isShowingCache, setIsShowingCache] = useState(false);
+    const [queuedActions, setQueuedActions] = useState([]);
+    // Cache entries are per chain and holder ('mock' for the in-memory backend)
+    const chainKey = deployment ? deployment.chainId : 'mock';
 
-    // 1. Wallet Connection Simulation
-    const connectWallet = useCallback((role = 'holder') => {
+    const resetSession = useCallback(() => {
+        sessionRef.current++;
+        setSbtTokens([]);
+        setRoleInfo(null);
+        setLastSyncedAt(null);
+        setIsShowingCache(false);
+    }, []);
+
+    // 1. Wallet Connection (the demo role only picks a mock wallet; roles come from resolveRoles)
+    const connectWallet = useCallback(async (role = ROLES.HOLDER, { connectorId } = {}) => {
         setIsLoading(true);
-        
-        setTimeout(() => {
-            let mockAddress;
-            if (role === 'issuer') {
-                mockAddress = MOCK_ISSUER_ADDRESS;
-            } else {
-                mockAddress = MOCK_HOLDER_ADDRESS; // Default holder
-            }
-            
-            // Simulating contract check: hasRole(MINTER_ROLE, mockAddress)
-            const isMinter = mockAddress.toLowerCase() === MOCK_ISSUER_ADDRESS.toLowerCase();
-            
-            setWalletAddress(mockAddress);
-            setIsIssuer(isMinter);
+        setConnectionError(null);
+
+        try {
+            const { address } = await backend.connect(role, { connectorId });
+
+            resetSession();
+            setDeployment(backend.getDeployment());
+            setWalletAddress(address);
             setIsConnected(true);
+        } catch (e) {
+            console.error("Error connecting wallet: ", e);
+            setConnectionError(e.shortMessage || e.message || t('messages.connectionFailed'));
+        } finally {
             setIsLoading(false);
-        }, 1500);
-    }, []);
+        }
+    }, [backend, resetSession]);
+
+    const disconnectWallet = useCallback(async () => {
+        await backend.disconnect();
+        resetSession();
+        setDeployment(null);
+        setWalletAddress(null);
+        setIsConnected(false);
+    }, [backend, resetSession]);
 
-    // 2. Data Fetching Simulation (Simulates calling SoulboundToken.getSBTsByHolder/getAllSBTS)
-    const fetchSBTs = useCallback(() => {
-        if (!walletAddress) return;
+    // Account changes, network changes and disconnects in the wallet drop every cached SBT and role
+    useEffect(() => backend.onSessionChange((event) => {
+        resetSession();
+        if (event.type === 'disconnect') {
+            setDeployment(null);
+            setWalletAddress(null);
+            setIsConnected(false);
+            if (event.error) setConnectionError(event.error);
+            return;
+        }
+        setDeployment(backend.getDeployment());
+        setWalletAddress(event.address);
+    }), [backend, resetSession]);
+
+    const switchNetwork = useCallback(async (chainId) => {
+        setConnectionError(null);
+        try {
+            await backend.switchNetwork(chainId);
+        } catch (e) {
+            console.error("Error switching network: ", e);
+            setConnectionError(e.shortMessage || e.message || t('messages.networkSwitchFailed'));
+        }
+    }, [backend]);
+
+    // Contract reads need a deployment on the connected chain
+    const isOnDeployedNetwork = !deployment || deployment.isDeployed;
+
+    // Roles: SoulboundToken.isIssuer, contract owners, LoanManager.loanAdmin and ScholarshipManager providers.
+    // Offline every contract check fails and the wallet is a holder; roles are read again on reconnect.
+    useEffect(() => {
+        if (!walletAddress || !isOnDeployedNetwork) return;
+        let cancelled = false;
+        (async () => {
+            try {
+                const resolved = await backend.resolveRoles(walletAddress);
+                Object.entries(resolved.errors).forEach(([name, error]) => console.warn(`Role check on ${name} failed: ${error}`));
+                if (!cancelled) setRoleInfo(resolved);
+            } catch (e) {
+                console.error("Error resolving roles: ", e);
+                if (!cancelled) setRoleInfo({ roles: [ROLES.HOLDER], ownerOf: [], isScholarshipOwner: false });
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [backend, walletAddress, deployment, isOnDeployedNetwork, isOnline]);
+
+    // 2. Data Fetching (SoulboundToken.getSBTsByHolder + getSBTData), through the offline cache:
+    // a failed read (or no connection at all) shows the SBTs of the last successful one
+    const fetchSBTs = useCallback(async () => {
+        if (!walletAddress || !roles) return;
+        const session = sessionRef.current;
         setIsLoading(true);
 
-        // In a real app, this would perform the actual contract call.
-        setTimeout(() => {
-            // Mock data is already loaded in state, so we just toggle loading state.
+        try {
+            const load = () => {
+                if (!isOnline) throw new Error(t('offline.nothingCached'));
+                return backend.fetchSBTs(walletAddress, { isIssuer });
+            };
+            const { data, syncedAt, fromCache } = await offlineCache.readThrough(chainKey, walletAddress, SNAPSHOT_PARTS.SBTS, load);
+            if (session === sessionRef.current) {
+                setSbtTokens(data);
+                setLastSyncedAt(syncedAt);
+                setIsShowingCache(fromCache);
+            }
+        } catch (e) {
+            console.error("Error fetching SBTs: ", e);
+        } finally {
             setIsLoading(false);
-        }, 500);
-    }, [walletAddress]);
+        }
+    }, [backend, walletAddress, roles, isIssuer, isOnline, chainKey]);
     
     useEffect(() => {
         if (walletAddress) {
@@ -107,60 +203,188 @@ function useCeloSBT() {
     }, [walletAddress, fetchSBTs]);
 
 
-    // 3. Mock SBT Minting Function (Simulates the Smart Contract Transaction)
-    // Returns { success: boolean, message: string }
-    const mockIssueSBT = useCallback(async (recipientAddress, taskType, pointLevel, title) => {
+    // 3. SBT Minting (SoulboundToken.issueSBT)
+    // `tokenURI` carries the mint metadata (issuerRubrics.js buildMintMetadata)
+    // Returns { success: boolean, message: string, sbt?, txHash? }
+    const issueSBT = useCallback(async (recipientAddress, taskType, pointLevel, title, { tokenURI = '' } = {}) => {
         if (!walletAddress) {
-            return { success: false, message: "Wallet not connected. Please connect your wallet." }; 
+            return { success: false, message: t('messages.walletNotConnected') }; 
         }
 
-        // Simulating the on-chain check: require(hasRole(MINTER_ROLE, msg.sender))
-        // AID_DISBURSEMENT_RECEIVED is the only task a holder can trigger via acknowledgment
-        if (taskType !== TASK_TYPES.AID_DISBURSEMENT_RECEIVED && !isIssuer) {
-             return { success: false, message: "Only authorized Issuers can mint this type of SBT." };
+        // Mirrors the on-chain check: require(_issuers[msg.sender])
+        // Holders receive AID_DISBURSEMENT_RECEIVED by redeeming an issuer's voucher (redeemAidVoucher)
+        if (!isIssuer) {
+             return { success: false, message: t('messages.issuerOnly') };
         }
 
         // Basic address validation for the Issuer's manual mint
-        if (taskType !== TASK_TYPES.AID_DISBURSEMENT_RECEIVED && !recipientAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-            return { success: false, message: "Please enter a valid recipient Celo address." };
+        if (!recipientAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+            return { success: false, message: t('messages.invalidRecipient') };
         }
 
-        setIsLoading(true);
+        const recipient = recipientAddress;
+        const session = sessionRef.current;
 
         try {
-            // Simulate Celo transaction latency
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            
-            const newSBT = {
-                id: sbtCounter++,
-                taskType: taskType,
-                pointLevel: pointLevel,
-                title: title,
-                issuedAt: Date.now(),
-                recipient: recipientAddress || walletAddress, 
+            const { sbt, txHash } = await backend.issueSBT({
+                recipient,
+                taskType,
+                pointLevel,
+                title,
+                tokenURI,
                 issuer: walletAddress,
-            };
+            });
 
-            setSbtTokens(prevTokens => [...prevTokens, newSBT]);
+            if (session === sessionRef.current) setSbtTokens(prevTokens => [...prevTokens.filter(token => token.id !== sbt.id), sbt]);
+            return { success: true, message: t('messages.sbtIssued', { recipient }), sbt, txHash };
+        } catch (e) {
+            console.error("Error issuing SBT: ", e);
+            return { success: false, message: describeTxError(e) };
+        }
+    }, [backend, walletAddress, isIssuer]);
 
-            console.log(`Successfully simulated minting SBT of type ${taskType} to ${recipientAddress || walletAddress}`);
-            setIsLoading(false);
-            return { success: true, message: `SBT successfully issued to ${recipientAddress || walletAddress}.` };
+    // 4. Score Publishing (AIRiskOracle.publishScore for every changed score type)
+    // Returns { success: boolean, message: string, result }
+    const publishScores = useCallback(async (holderTokens) => {
+        if (!walletAddress) {
+            return { success: false, message: t('messages.walletNotConnected') };
+        }
+
+        try {
+            const oracle = backend.getContract('aiRiskOracle');
+            const result = await publishToOracle(oracle, walletAddress, holderTokens);
+            const failed = Object.values(result.results).filter(r => r.status === PUBLISH_STATUS.FAILED);
+
+            const message = failed.length > 0
+                ? t('messages.publishFailed', { scoreTypes: failed.map(r => r.scoreType).join(', '), error: failed[0].error })
+                : result.publishedCount > 0
+                    ? t('messages.published', { count: result.publishedCount })
+                    : t('messages.nothingPublished');
+
+            return { success: failed.length === 0, message, result };
         } catch (e) {
-            console.error("Error mocking SBT issuance: ", e);
-            setIsLoading(false);
-            return { success: false, message: "Transaction failed due to a mock network error." };
+            console.error("Error publishing scores: ", e);
+            return { success: false, message: describeTxError(e) };
         }
-    }, [walletAddress, isIssuer]);
+    }, [backend, walletAddress]);
+
+    // 5. Read access to the other protocol contracts (throws with the mock backend).
+    // A new identity per session, so views holding contract state reload after a change.
+    const getContract = useCallback((name) => backend.getContract(name), [backend, walletAddress, deployment]);
+
+    // 6. Offline cache for the views' own reads (published scores, eligibility), bound to this holder and chain
+    const holderCache = useMemo(() => (walletAddress ? {
+        readThrough: (part, load) => offlineCache.readThrough(chainKey, walletAddress, part, () => {
+            if (!isOnline) throw new Error(t('offline.nothingCached'));
+            return load();
+        }),
+    } : null), [walletAddress, chainKey, isOnline]);
+
+    // 7. Aid voucher redemption (AidCampaignManager.redeemVoucher): the SBT is minted to the holder
+    // Returns { success: boolean, message: string, tokenId?, txHash? }
+    const redeemAidVoucher = useCallback(async (voucher) => {
+        if (!walletAddress) {
+            return { success: false, message: t('messages.walletNotConnected') };
+        }
+        try {
+            const tokenURI = aidAcknowledgementURI({ voucher, acknowledgedAt: Date.now() });
+            const { tokenId, txHash } = await redeemVoucher(backend.getContract('aidCampaignManager'), voucher, tokenURI);
+            fetchSBTs();
+            return { success: true, message: t('messages.voucherRedeemed', { tokenId: String(tokenId) }), tokenId, txHash };
+        } catch (e) {
+            console.error("Error redeeming voucher: ", e);
+            return { success: false, message: describeTxError(e) };
+        }
+    }, [backend, walletAddress, fetchSBTs]);
+
+    // 8. Offline actions: voucher acknowledgements signed without a connection, redeemed on reconnect
+    useEffect(() => {
+        if (!walletAddress) {
+            setQueuedActions([]);
+            return undefined;
+        }
+        let cancelled = false;
+        const reload = () => actionQueue.list(walletAddress).then(actions => {
+            if (!cancelled) setQueuedActions(actions.filter(action => action.chainKey === chainKey));
+        });
+        reload();
+        const unsubscribe = actionQueue.subscribe(reload);
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [walletAddress, chainKey]);
+
+    // Returns { success: boolean, message: string }
+    const queueAidAcknowledgement = useCallback(async (voucher) => {
+        if (!walletAddress) {
+            return { success: false, message: t('messages.walletNotConnected') };
+        }
+        try {
+            const action = await signAidAcknowledgement(
+                backend.getContract('aidCampaignManager'),
+                buildAidAcknowledgement({ holder: walletAddress, chainKey, voucher }),
+            );
+            await actionQueue.enqueue(action);
+            return { success: true, message: t('messages.acknowledgementQueued') };
+        } catch (e) {
+            console.error("Error queueing acknowledgement: ", e);
+            return { success: false, message: describeTxError(e) };
+        }
+    }, [backend, walletAddress, chainKey]);
+
+    // Returns the flush summary, or null when nothing could be checked
+    const syncQueuedActions = useCallback(async () => {
+        if (!walletAddress || !isOnline || !deployment || !deployment.isDeployed) return null;
+        const session = sessionRef.current;
+        try {
+            const manager = backend.getContract('aidCampaignManager');
+            const summary = await actionQueue.flush({
+                holder: walletAddress,
+                chainKey,
+                readVoucherState: (action) => readVoucherState(manager, action.voucher),
+                submit: (action) => redeemVoucher(manager, action.voucher, aidAcknowledgementURI(action)),
+            });
+            if (summary.submitted.length > 0 && session === sessionRef.current) fetchSBTs();
+            return summary;
+        } catch (e) {
+            console.warn("Queued actions stay queued: ", e);
+            return null;
+        }
+    }, [backend, walletAddress, chainKey, isOnline, deployment, fetchSBTs]);
+
+    // Send the queue whenever the phone (re)connects with a resolved session
+    useEffect(() => {
+        if (isOnline && roles) syncQueuedActions();
+    }, [isOnline, roles, syncQueuedActions]);
 
     return {
         isConnected,
         walletAddress,
         sbtTokens,
         isLoading,
-        isIssuer, // Critical new state for conditional rendering
+        roles, // Every role the wallet holds (null while resolving)
+        ownerOf: roleInfo ? roleInfo.ownerOf : [],
+        isScholarshipOwner: !!roleInfo && roleInfo.isScholarshipOwner,
+        deployment, // { chainId, network, contracts, deploymentBlock, isDeployed } or null (mock)
+        connectors,
+        connectionError,
         connectWallet,
-        mockIssueSBT,
+        disconnectWallet,
+        switchNetwork,
+        fetchSBTs,
+        issueSBT,
+        publishScores,
+        getContract,
+        isOnline,
+        lastSyncedAt, // When the SBTs shown were last read from the chain
+        isShowingCache, // The SBTs come from the offline cache
+        holderCache,
+        queuedActions,
+        redeemAidVoucher,
+        queueAidAcknowledgement,
+        syncQueuedActions,
+        dismissQueuedAction: actionQueue.dismiss,
     };
 }
 
@@ -168,7 +392,7 @@ function useCeloSBT() {
 const Toast = ({ message, type }) => {
     if (!message) return null;
 
-    const baseStyle = "fixed bottom-5 right-5 p-4 rounded-lg shadow-xl text-white font-semibold z-50 transition-opacity duration-300";
+    const baseStyle = "fixed bottom-5 end-5 p-4 rounded-lg shadow-xl text-white font-semibold z-50 transition-opacity duration-300";
     let colorStyle = '';
 
     switch (type) {
@@ -190,57 +414,168 @@ const Toast = ({ message, type }) => {
 };
 
 
+// --- Component: Offline Banner ---
+// Shown while offline, or while the SBTs on screen come from the offline cache
+const OfflineBanner = ({ isOnline, isShowingCache, lastSyncedAt, queuedCount }) => {
+    const { t, formatDateTime } = useI18n();
+    if (isOnline && !isShowingCache) return null;
+
+    return (
+        <div className="mb-6 p-3 rounded-xl bg-yellow-50 border border-yellow-300 text-sm text-yellow-900">
+            <p className="font-semibold">
+                {isOnline ? t('offline.unreachable') : t('offline.offline')}{' '}
+                {lastSyncedAt ? t('offline.lastSynced', { date: formatDateTime(lastSyncedAt) }) : t('offline.neverSynced')}
+            </p>
+            <p className="text-xs mt-1">
+                {t('offline.actionsQueued')}
+                {queuedCount > 0 && ` ${t('offline.waiting', { count: queuedCount })}`}
+            </p>
+        </div>
+    );
+};
+
+
 // --- Component: Holder (IDP) Risk Score Dashboard ---
-const HolderRiskScoreDashboard = ({ sbtTokens, walletAddress }) => {
-    const [score, setScore] = useState(0);
+// Badge colours for each publish outcome
+const PUBLISH_STATUS_STYLES = {
+    [PUBLISH_STATUS.PUBLISHED]: 'bg-green-100 text-green-800',
+    [PUBLISH_STATUS.UNCHANGED]: 'bg-gray-100 text-gray-700',
+    [PUBLISH_STATUS.RATE_LIMITED]: 'bg-yellow-100 text-yellow-800',
+    [PUBLISH_STATUS.PAUSED]: 'bg-yellow-100 text-yellow-800',
+    [PUBLISH_STATUS.FAILED]: 'bg-red-100 text-red-800',
+};
+
+const HolderRiskScoreDashboard = ({ sbtTokens, walletAddress, publishScores, getContract, holderCache, showToast }) => {
+    const { t, formatDate, formatRelative, taskLabel } = useI18n();
+    const [publishResult, setPublishResult] = useState(null);
+    const [isPublishing, setIsPublishing] = useState(false);
+    // AIRiskOracle scores as last read (or cached): { data, syncedAt, fromCache }
+    const [published, setPublished] = useState(null);
+
+    const loadPublished = useCallback(async () => {
+        if (APP_CONFIG.backend !== 'contract' || !holderCache) return;
+        try {
+            setPublished(await holderCache.readThrough(SNAPSHOT_PARTS.PUBLISHED_SCORES, () => readPublishedScores(getContract('aiRiskOracle'), walletAddress)));
+        } catch (e) {
+            console.warn("Published scores unavailable: ", e);
+        }
+    }, [holderCache, getContract, walletAddress]);
+
+    useEffect(() => {
+        loadPublished();
+    }, [loadPublished]);
 
     // Filter SBTs to only show tokens issued to the connected user (the holder)
     const holderTokens = useMemo(() => 
         sbtTokens.filter(t => t.recipient && t.recipient.toLowerCase() === walletAddress.toLowerCase())
     , [sbtTokens, walletAddress]);
 
-    useEffect(() => {
-        setScore(calculateMockRiskScore(holderTokens.length));
-    }, [holderTokens.length]);
+    // Scores come from the shared, policy-versioned scoring engine
+    const scores = useMemo(() => calculateAllScores(holderTokens, { asOf: Date.now() }), [holderTokens]);
+    const financialScore = scores.FINANCIAL_RISK;
+    const ubiScore = scores.UBI_ELIGIBILITY;
 
     const totalSBTs = holderTokens.length;
 
+    const handlePublish = async () => {
+        setIsPublishing(true);
+        const { success, message, result } = await publishScores(holderTokens);
+        setIsPublishing(false);
+        showToast(message, success ? 'success' : 'error');
+        if (result) setPublishResult(result);
+        loadPublished();
+    };
+
     return (
         <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto">
             <h2 className="text-3xl font-extrabold text-gray-800 mb-6 border-b pb-2">
-                <span className="text-indigo-600">IDP</span> Risk Scoring Dashboard
+                {t('dashboard.title', { idp: <span className="text-indigo-600">IDP</span> })}
             </h2>
 
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
                 <div className="bg-indigo-500 text-white p-6 rounded-xl shadow-lg md:col-span-2 flex flex-col justify-center">
-                    <p className="text-sm uppercase font-semibold opacity-80">Your Celo Identity Risk Score</p>
-                    <p className="text-6xl font-black mt-2">{score}</p>
+                    <p className="text-sm uppercase font-semibold opacity-80">{t('dashboard.riskScore')}</p>
+                    <p className="text-6xl font-black mt-2">{financialScore.score}</p>
                     <p className="mt-3 text-sm">
-                        Calculated based on {totalSBTs} reputation tokens.
+                        {t('dashboard.basedOn', { count: totalSBTs })}
+                    </p>
+                    <p className="mt-1 text-sm">
+                        {t('dashboard.ubiScore', { score: <span className="font-bold">{ubiScore.score}</span> })}
+                    </p>
+                    <p className="mt-2 text-xs opacity-70">
+                        {t('dashboard.policies', { financial: financialScore.policyVersion, ubi: ubiScore.policyVersion })}
                     </p>
                 </div>
                 <div className="bg-gray-50 p-6 rounded-xl shadow-inner flex flex-col justify-center">
-                    <p className="text-sm uppercase font-semibold text-gray-500">Total SBTs Held</p>
+                    <p className="text-sm uppercase font-semibold text-gray-500">{t('dashboard.totalSbts')}</p>
                     <p className="text-4xl font-black text-gray-800 mt-1">{totalSBTs}</p>
                     <p className="mt-2 text-xs text-gray-600">
-                        The more tokens, the higher your on-chain reputation.
+                        {t('dashboard.moreTokens')}
                     </p>
                 </div>
             </div>
 
-            <h3 className="text-xl font-bold text-gray-700 mb-4">Your Soulbound Tokens</h3>
-            <div className="space-y-3 max-h-80 overflow-y-auto pr-2">
+            {APP_CONFIG.backend === 'contract' && (
+                <div className="mb-8 p-4 border border-indigo-200 rounded-xl bg-indigo-50">
+                    <div className="flex justify-between items-center">
+                        <p className="text-sm text-indigo-900">
+                            {t('dashboard.publishPrompt', { oracle: <span className="font-mono">AIRiskOracle</span> })}
+                        </p>
+                        <button
+                            onClick={handlePublish}
+                            disabled={isPublishing || totalSBTs === 0}
+                            className="ms-4 px-4 py-2 bg-indigo-600 text-white text-sm font-semibold rounded-lg shadow hover:bg-indigo-700 disabled:bg-indigo-300 whitespace-nowrap"
+                        >
+                            {isPublishing ? t('dashboard.publishing') : t('dashboard.publish')}
+                        </button>
+                    </div>
+                    {published && (
+                        <p className="mt-2 text-xs text-indigo-800">
+                            {t('dashboard.onChain', {
+                                scores: Object.entries(published.data).map(([scoreType, entry]) => t(
+                                    !entry.exists ? 'dashboard.notPublished' : entry.isValid ? 'dashboard.publishedScore' : 'dashboard.expiredScore',
+                                    { scoreType: t(`scoreTypes.${scoreType}`), score: entry.scoreValue },
+                                )).join(' · '),
+                            })}
+                            <span className={published.fromCache ? 'ms-2 font-semibold text-yellow-700' : 'ms-2 opacity-70'}>
+                                ({t(published.fromCache ? 'dashboard.syncedOffline' : 'dashboard.synced', { when: formatRelative(published.syncedAt) })})
+                            </span>
+                        </p>
+                    )}
+                    {publishResult && (
+                        <ul className="mt-3 space-y-1 text-sm">
+                            {Object.values(publishResult.results).map(r => (
+                                <li key={r.scoreType} className="flex items-center gap-2">
+                                    <span className={`px-2 py-0.5 rounded text-xs font-semibold ${PUBLISH_STATUS_STYLES[r.status]}`}>{t(`publishStatus.${r.status}`)}</span>
+                                    <span className="font-semibold">{t(`scoreTypes.${r.scoreType}`)}</span>
+                                    <span>{r.previousScore !== null ? `${r.previousScore} → ` : ''}{r.score}</span>
+                                    {r.txHash && <span className="font-mono text-xs text-gray-500 truncate">{r.txHash}</span>}
+                                    {r.retryAfterSeconds > 0 && <span className="text-xs text-gray-600">{t('dashboard.retryIn', { minutes: Math.ceil(r.retryAfterSeconds / 60) })}</span>}
+                                    {r.error && <span className="text-xs text-red-700">{r.error}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {APP_CONFIG.backend === 'contract' && <ScoreAttestationPanel getContract={getContract} showToast={showToast} />}
+
+            <ScoreBreakdown scores={scores} />
+
+            <h3 className="text-xl font-bold text-gray-700 mb-4">{t('dashboard.yourTokens')}</h3>
+            <div className="space-y-3 max-h-80 overflow-y-auto pe-2">
                 {holderTokens.length === 0 ? (
-                    <p className="text-gray-500 italic">No SBTs found yet. Your score is based on minimal reputation data.</p>
+                    <p className="text-gray-500 italic">{t('dashboard.noTokens')}</p>
                 ) : (
                     holderTokens.sort((a, b) => b.issuedAt - a.issuedAt).map((token) => (
-                        <div key={token.id} className={`p-4 rounded-lg flex justify-between items-center ${token.taskType === TASK_TYPES.AID_DISBURSEMENT_RECEIVED ? 'bg-green-100 border-l-4 border-green-500' : 'bg-gray-100 border-l-4 border-indigo-400'}`}>
+                        <div key={token.id} className={`p-4 rounded-lg flex justify-between items-center ${token.taskType === TASK_TYPES.AID_DISBURSEMENT_RECEIVED ? 'bg-green-100 border-s-4 border-green-500' : 'bg-gray-100 border-s-4 border-indigo-400'}`}>
                             <div>
                                 <p className="font-semibold text-gray-800">{token.title}</p>
-                                <p className="text-sm text-gray-600">{TASK_LABELS[token.taskType] || 'Unknown Task'}</p>
+                                <p className="text-sm text-gray-600">{taskLabel(token.taskType)}</p>
                             </div>
                             <span className="text-xs text-gray-500">
-                                {new Date(token.issuedAt).toLocaleDateString()}
+                                {formatDate(token.issuedAt)}
                             </span>
                         </div>
                     ))
@@ -250,61 +585,185 @@ const HolderRiskScoreDashboard = ({ sbtTokens, walletAddress }) => {
     );
 };
 
-// --- Component: Holder (IDP) Social Aid Acknowledgment ---
-const HolderSocialAidAcknowledgement = ({ walletAddress, mockIssueSBT, sbtTokens, isLoading, showToast }) => {
-    const aidSBTType = TASK_TYPES.AID_DISBURSEMENT_RECEIVED;
-    const hasAcknowledged = sbtTokens.some(token => token.taskType === aidSBTType && token.recipient && token.recipient.toLowerCase() === walletAddress.toLowerCase());
-
-    const handleAcknowledge = async () => {
-        // The recipient is the connected wallet address
-        const { success, message } = await mockIssueSBT(
-            walletAddress,
-            aidSBTType,
-            POINT_LEVELS.LEVEL_C_MAJOR,
-            `NGO Aid Received - ${new Date().toLocaleDateString()}`
-        );
+// Offline queue badges
+const ACTION_STATUS_STYLES = {
+    [ACTION_STATUS.QUEUED]: 'bg-yellow-100 text-yellow-800',
+    [ACTION_STATUS.SUBMITTING]: 'bg-blue-100 text-blue-800',
+    [ACTION_STATUS.SUBMITTED]: 'bg-green-100 text-green-800',
+    [ACTION_STATUS.CONFLICT]: 'bg-orange-100 text-orange-800',
+    [ACTION_STATUS.EXPIRED]: 'bg-gray-100 text-gray-700',
+    [ACTION_STATUS.FAILED]: 'bg-red-100 text-red-800',
+};
+
+// --- Component: Holder (IDP) Aid Voucher Redemption ---
+// The NGO's voucher arrives as a link (/aid/<code>), a QR code or a pasted code. Its signature is
+// checked on the phone; online the contract state is read and the voucher redeemed, offline the
+// acknowledgement is signed and queued (offlineQueue.js) until the phone reconnects.
+const HolderAidVoucher = ({ walletAddress, deployment, voucherCode, getContract, isOnline, queuedActions, redeemAidVoucher, queueAidAcknowledgement, syncQueuedActions, dismissQueuedAction, showToast }) => {
+    const { t, formatCUSD, formatDate, formatDateTime } = useI18n();
+    const [input, setInput] = useState(voucherCode || '');
+    const [chainState, setChainState] = useState(null); // readVoucherState, null until read
+    const [chainError, setChainError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const pendingActions = queuedActions.filter(action => action.status === ACTION_STATUS.QUEUED || action.status === ACTION_STATUS.SUBMITTING);
+
+    useEffect(() => {
+        if (voucherCode) setInput(voucherCode);
+    }, [voucherCode]);
+
+    const voucher = useMemo(() => {
+        if (!input.trim()) return null;
+        try {
+            return decodeVoucher(input);
+        } catch (e) {
+            return false;
+        }
+    }, [input]);
+
+    // What the phone can tell without a connection
+    const offlineProblem = useMemo(() => {
+        if (!voucher || !deployment) return null;
+        if (voucher.chainId !== deployment.chainId) return t('aid.wrongChain', { chainId: String(voucher.chainId) });
+        if (voucher.manager.toLowerCase() !== (deployment.contracts.aidCampaignManager || '').toLowerCase()) return t('aid.unknownContract');
+        if (voucher.recipient.toLowerCase() !== walletAddress.toLowerCase()) return t('aid.otherRecipient', { address: voucher.recipient });
+        if (!isVoucherSignedByIssuer(voucher)) return t('aid.badSignature');
+        if (Date.now() > voucher.expiresAt * 1000) return t('aid.voucherExpired', { date: formatDate(voucher.expiresAt * 1000) });
+        return null;
+    }, [voucher, deployment, walletAddress, t, formatDate]);
+
+    useEffect(() => {
+        setChainState(null);
+        setChainError(null);
+        if (!voucher || !deployment || offlineProblem || !isOnline) return undefined;
+        let cancelled = false;
+        readVoucherState(getContract('aidCampaignManager'), voucher)
+            .then(state => { if (!cancelled) setChainState(state); })
+            .catch(e => { if (!cancelled) setChainError(describeTxError(e)); });
+        return () => { cancelled = true; };
+    }, [voucher, deployment, offlineProblem, isOnline, getContract, reloadKey]);
+
+    // What only the contract knows; the contract checks all of it again on redemption
+    const chainProblem = (() => {
+        if (!chainState || chainState.redemption) return null;
+        const { campaign } = chainState;
+        if (campaign.issuer.toLowerCase() !== voucher.issuer.toLowerCase()) return t('aid.badSignature');
+        if (chainState.recipientRedeemed) return t('aid.campaignAlreadyRedeemed');
+        if (!campaign.isActive) return t('aid.campaignClosed');
+        if (campaign.redeemedAmount + BigInt(voucher.amount) > campaign.budget) return t('aid.budgetExhausted');
+        return null;
+    })();
+
+    const isQueued = !!voucher && pendingActions.some(action => action.voucher.campaignId === voucher.campaignId && action.voucher.voucherId === voucher.voucherId);
+    const redemption = chainState ? chainState.redemption : null;
+    const problem = offlineProblem || chainProblem;
+
+    const handleRedeem = async () => {
+        setIsSubmitting(true);
+        const { success, message } = isOnline
+            ? await redeemAidVoucher(voucher)
+            : await queueAidAcknowledgement(voucher);
+        setIsSubmitting(false);
+        if (success && isOnline) setReloadKey(key => key + 1);
 
         showToast(message, success ? 'success' : 'error');
     };
-    
-    let buttonText = "Acknowledge Receipt & Mint SBT";
-    let buttonDisabled = isLoading || hasAcknowledged;
-    
-    if (isLoading) {
-        buttonText = "Minting SBT... (Waiting for Celo TX)";
-    } else if (hasAcknowledged) {
-        buttonText = "Aid Already Acknowledged";
+
+    const handleSync = async () => {
+        setIsSyncing(true);
+        const summary = await syncQueuedActions();
+        setIsSyncing(false);
+        if (!summary) showToast(t('aid.syncFailed'), 'error');
+    };
+
+    let buttonText = isOnline ? t('aid.redeem') : t('aid.signOffline');
+    const buttonDisabled = isSubmitting || isQueued || !!problem || (isOnline && !chainState);
+
+    if (isSubmitting) {
+        buttonText = isOnline ? t('aid.redeeming') : t('aid.awaitingSignature');
+    } else if (isQueued) {
+        buttonText = t('aid.queued');
+    } else if (isOnline && !chainState && !chainError) {
+        buttonText = t('aid.checking');
+    }
+
+    // Conflicts and expiries are explained in the holder's language; other errors come from the wallet or chain
+    const describeActionError = (action) => {
+        if (action.status === ACTION_STATUS.CONFLICT) {
+            return action.conflictTokenId == null
+                ? t('aid.campaignConflict')
+                : t('aid.conflict', { tokenId: String(action.conflictTokenId) });
+        }
+        if (action.status === ACTION_STATUS.EXPIRED) return t('aid.expired');
+        return action.error;
+    };
+
+    if (APP_CONFIG.backend !== 'contract') {
+        return (
+            <div className="p-8 bg-white shadow-2xl rounded-xl w-full max-w-2xl mx-auto border-t-8 border-green-500">
+                <h2 className="text-3xl font-extrabold text-green-700 mb-4">{t('aid.title')}</h2>
+                <p className="text-gray-600">{t('aid.contractOnly')}</p>
+            </div>
+        );
     }
 
     return (
         <div className="p-8 bg-white shadow-2xl rounded-xl w-full max-w-2xl mx-auto border-t-8 border-green-500">
             <h2 className="text-3xl font-extrabold text-green-700 mb-4 flex items-center">
-                <svg className="w-8 h-8 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z"></path></svg>
-                Social Aid Acknowledgment
+                <svg className="w-8 h-8 me-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z"></path></svg>
+                {t('aid.title')}
             </h2>
             <p className="text-gray-600 mb-6 border-b pb-4">
-                Confirming receipt mints a non-transferable **Proof of Service** receipt on the Celo blockchain.
+                {t('aid.intro', { proof: <strong>{t('aid.proofOfService')}</strong> })}
             </p>
 
             {walletAddress && (
                 <div className="bg-green-50 p-4 rounded-lg mb-6">
-                    <p className="text-sm font-semibold text-green-700">Your Celo Wallet Address:</p>
+                    <p className="text-sm font-semibold text-green-700">{t('aid.yourAddress')}</p>
                     <p className="break-words text-xs text-green-900 mt-1">{walletAddress}</p>
+                    <p className="text-xs text-green-700 mt-1">{t('aid.shareAddress')}</p>
                 </div>
             )}
-            
-            {hasAcknowledged ? (
+
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('aid.voucherInput')}</label>
+            <input
+                type="text"
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder={t('aid.voucherPlaceholder')}
+                className="w-full p-2 mb-4 border border-gray-300 rounded-lg font-mono text-xs focus:ring-green-500 focus:border-green-500"
+            />
+            {voucher === false && <p className="p-3 mb-4 text-sm text-red-700 bg-red-50 rounded-lg">{t('aid.invalidVoucher')}</p>}
+
+            {voucher && (
+                <dl className="grid grid-cols-2 gap-2 p-4 mb-4 bg-gray-50 rounded-lg text-sm">
+                    <dt className="text-gray-500">{t('aid.campaign')}</dt>
+                    <dd className="font-semibold text-gray-800">{chainState ? chainState.campaign.title : voucher.title}</dd>
+                    <dt className="text-gray-500">{t('aid.amount')}</dt>
+                    <dd className="font-semibold text-gray-800">{formatCUSD(formatUnits(voucher.amount, VOUCHER_DECIMALS))}</dd>
+                    <dt className="text-gray-500">{t('aid.issuedBy')}</dt>
+                    <dd className="font-mono text-xs text-gray-800 break-all">{voucher.issuer}</dd>
+                    <dt className="text-gray-500">{t('aid.validUntilLabel')}</dt>
+                    <dd className="text-gray-800">{formatDate(voucher.expiresAt * 1000)}</dd>
+                </dl>
+            )}
+
+            {voucher && redemption ? (
                 <div className="text-center p-8 bg-green-100 rounded-lg">
                     <svg className="w-16 h-16 mx-auto text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
-                    <p className="text-xl font-bold text-green-700 mt-3">Aid Acknowledged!</p>
+                    <p className="text-xl font-bold text-green-700 mt-3">{t('aid.acknowledged')}</p>
+                    <p className="text-sm text-green-800 mt-1">{t('aid.redeemedAs', { tokenId: String(redemption.tokenId), date: formatDateTime(redemption.redeemedAt) })}</p>
                 </div>
-            ) : (
+            ) : voucher && (
                 <>
+                    {problem && <p className="p-3 mb-4 text-sm text-red-700 bg-red-50 rounded-lg">{problem}</p>}
+                    {chainError && <p className="p-3 mb-4 text-sm text-orange-800 bg-orange-50 rounded-lg">{chainError}</p>}
                     <p className="text-lg font-medium text-gray-800 mb-4">
-                        Please confirm receipt of the **100 cUSD** from the NGO.
+                        {t('aid.confirmPrompt', { amount: <strong>{formatCUSD(formatUnits(voucher.amount, VOUCHER_DECIMALS))}</strong> })}
                     </p>
                     <button
-                        onClick={handleAcknowledge}
+                        onClick={handleRedeem}
                         disabled={buttonDisabled}
                         className={`w-full py-4 font-bold text-lg rounded-xl shadow-lg transition duration-200 flex items-center justify-center ${
                             buttonDisabled
@@ -312,8 +771,8 @@ const HolderSocialAidAcknowledgement = ({ walletAddress, mockIssueSBT, sbtTokens
                                 : 'bg-green-600 text-white hover:bg-green-700'
                         }`}
                     >
-                        {isLoading && (
-                            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        {isSubmitting && (
+                            <svg className="animate-spin -ms-1 me-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                             </svg>
@@ -323,8 +782,43 @@ const HolderSocialAidAcknowledgement = ({ walletAddress, mockIssueSBT, sbtTokens
                 </>
             )}
 
+            {queuedActions.length > 0 && (
+                <div className="mt-6 border-t pt-4">
+                    <div className="flex justify-between items-center mb-2">
+                        <p className="text-sm font-bold text-gray-700">{t('aid.signedOnPhone')}</p>
+                        {pendingActions.length > 0 && isOnline && (
+                            <button onClick={handleSync} disabled={isSyncing} className="text-xs font-semibold text-green-700 hover:underline disabled:text-gray-400">
+                                {isSyncing ? t('aid.sending') : t('aid.sendNow')}
+                            </button>
+                        )}
+                    </div>
+                    <ul className="space-y-2">
+                        {queuedActions.map(action => (
+                            <li key={action.id} className="p-3 bg-gray-50 rounded-lg text-xs space-y-1">
+                                <div className="flex justify-between items-start gap-2">
+                                    <p className="text-sm font-semibold text-gray-800">{action.title}</p>
+                                    <div className="flex items-center gap-1 shrink-0">
+                                        <span className={`px-2 py-0.5 rounded-full font-bold ${ACTION_STATUS_STYLES[action.status]}`}>{t(`queueStatus.${action.status}`)}</span>
+                                        {action.status !== ACTION_STATUS.QUEUED && action.status !== ACTION_STATUS.SUBMITTING && (
+                                            <button onClick={() => dismissQueuedAction(action.id)} title={t('common.dismiss')} className="px-1 text-gray-400 hover:text-gray-700">×</button>
+                                        )}
+                                    </div>
+                                </div>
+                                <p className="text-gray-500">
+                                    {t('aid.signedAt', { date: formatDateTime(action.acknowledgedAt) })}
+                                    {action.status === ACTION_STATUS.QUEUED && ` · ${t('aid.validUntil', { date: formatDate(action.expiresAt) })}`}
+                                    {action.tokenId !== undefined && ` · SBT #${action.tokenId}`}
+                                </p>
+                                {describeActionError(action) && <p className={action.status === ACTION_STATUS.QUEUED ? 'text-gray-600' : 'text-red-700'}>{describeActionError(action)}</p>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
             <p className="text-xs text-gray-400 mt-6 text-center">
-                Minting is a low-fee Celo transaction and requires your digital consent.
+                {t('aid.footer')}
+                {!isOnline && ` ${t('aid.footerOffline')}`}
             </p>
         </div>
     );
@@ -332,178 +826,146 @@ const HolderSocialAidAcknowledgement = ({ walletAddress, mockIssueSBT, sbtTokens
 
 
 // --- Component: Issuer/Verifier Dashboard (Private Access) ---
-const IssuerDashboard = ({ walletAddress, sbtTokens, mockIssueSBT, isLoading, showToast }) => {
-    const [currentView, setCurrentView] = useState(VIEWS.ISSUER_AUDIT);
-    const [recipient, setRecipient] = useState('');
-    const [selectedTask, setSelectedTask] = useState(TASK_TYPES.FINANCIAL_LITERACY_COURSE);
-
-    // --- Minting Panel Logic ---
-    const handleManualMint = async () => {
-        
-        const taskTitle = TASK_LABELS[selectedTask] || 'Manual SBT Issue';
-
-        // NOTE: In a real app, we would dynamically determine the point level
-        const { success, message } = await mockIssueSBT(
-            recipient,
-            selectedTask,
-            POINT_LEVELS.LEVEL_B_HARMONY, // Example level
-            taskTitle
-        );
-        
-        showToast(message, success ? 'success' : 'error');
-        
-        if (success) {
-            setRecipient('');
-        }
-    };
-
-    // --- Audit Panel Logic ---
-    const aidSBTs = sbtTokens.filter(t => t.taskType === TASK_TYPES.AID_DISBURSEMENT_RECEIVED);
-    const totalAidsAcknowledged = aidSBTs.length;
-    
-    // Sort tokens for audit view
-    const sortedTokens = useMemo(() => 
-        sbtTokens.slice().sort((a, b) => b.issuedAt - a.issuedAt)
-    , [sbtTokens]);
-    
-    // Filter out the 'AID_DISBURSEMENT_RECEIVED' option for manual minting (it's holder-triggered)
-    const tokenOptions = useMemo(() => 
-        Object.entries(TASK_LABELS)
-        .filter(([value]) => parseInt(value) !== TASK_TYPES.AID_DISBURSEMENT_RECEIVED)
-        .map(([value, label]) => (
-            <option key={value} value={parseInt(value)}>
-                {label}
-            </option>
-        ))
-    , []);
-
-
+const IssuerDashboard = ({ currentView, walletAddress, sbtTokens, deployment, issueSBT, getContract, showToast }) => {
+    const { t, routeLabel } = useI18n();
     return (
         <div className="p-6 bg-white shadow-2xl rounded-xl w-full max-w-6xl mx-auto border-t-8 border-yellow-500">
             <h2 className="text-3xl font-extrabold text-yellow-700 mb-6 flex items-center">
-                <svg className="w-8 h-8 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>
-                Issuer & Auditor Dashboard
+                <svg className="w-8 h-8 me-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>
+                {t('issuer.title')}
             </h2>
             <div className="text-sm font-medium text-center text-gray-500 border-b border-gray-200">
                 <ul className="flex flex-wrap -mb-px">
-                    <li className="mr-2">
-                        <button
-                            onClick={() => setCurrentView(VIEWS.ISSUER_AUDIT)}
-                            className={`inline-block p-4 border-b-2 rounded-t-lg transition-colors ${currentView === VIEWS.ISSUER_AUDIT ? 'text-yellow-600 border-yellow-600' : 'hover:text-gray-600 hover:border-gray-300'}`}
-                        >
-                            Campaign Audit & Verification
-                        </button>
-                    </li>
-                    <li className="mr-2">
-                        <button
-                            onClick={() => setCurrentView(VIEWS.ISSUER_MINT)}
-                            className={`inline-block p-4 border-b-2 rounded-t-lg transition-colors ${currentView === VIEWS.ISSUER_MINT ? 'text-yellow-600 border-yellow-600' : 'hover:text-gray-600 hover:border-gray-300'}`}
-                        >
-                            Manual SBT Minting Panel
-                        </button>
-                    </li>
+                    {navRoutesFor(ROLES.ISSUER).map(route => (
+                        <li key={route.path} className="me-2">
+                            <button
+                                onClick={() => navigate(route.path)}
+                                className={`inline-block p-4 border-b-2 rounded-t-lg transition-colors ${currentView === route.view ? 'text-yellow-600 border-yellow-600' : 'hover:text-gray-600 hover:border-gray-300'}`}
+                            >
+                                {routeLabel(route)}
+                            </button>
+                        </li>
+                    ))}
                 </ul>
             </div>
 
 
             {/* --- Minting Panel Content --- */}
             {currentView === VIEWS.ISSUER_MINT && (
-                <div className="pt-6">
-                    <h3 className="text-2xl font-bold text-gray-700 mb-4">Mint New Reputation Token</h3>
-                    <div className="bg-yellow-50 p-6 rounded-xl space-y-4 shadow-inner">
-                        <p className="text-sm text-yellow-700">
-                            Authorized Issuer: **{walletAddress}** (Simulating `hasRole(MINTER_ROLE)`)
-                        </p>
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                            <div>
-                                <label className="block text-sm font-medium text-gray-700 mb-1">Recipient Address (Holder)</label>
-                                <input
-                                    type="text"
-                                    value={recipient}
-                                    onChange={(e) => setRecipient(e.target.value)}
-                                    placeholder="0x..."
-                                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-yellow-500 focus:border-yellow-500"
-                                />
-                            </div>
-                            <div>
-                                <label className="block text-sm font-medium text-gray-700 mb-1">Task Type to Verify</label>
-                                <select
-                                    value={selectedTask}
-                                    onChange={(e) => setSelectedTask(parseInt(e.target.value))}
-                                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 bg-white"
-                                >
-                                    {tokenOptions}
-                                </select>
-                            </div>
-                        </div>
-                        <button
-                            onClick={handleManualMint}
-                            disabled={isLoading}
-                            className={`w-full py-3 font-bold text-lg rounded-xl shadow-md transition duration-200 flex items-center justify-center ${
-                                isLoading
-                                    ? 'bg-gray-400 text-gray-200 cursor-not-allowed'
-                                    : 'bg-yellow-600 text-white hover:bg-yellow-700'
-                            }`}
-                        >
-                            {isLoading ? (
-                                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                </svg>
-                            ) : (
-                                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v3m0 0v3m0-3h3m-3 0H9m12 0a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
-                            )}
-                            {isLoading ? 'Sending Transaction...' : 'Issue SBT to Recipient'}
-                        </button>
-                    </div>
-                </div>
+                <ManualMintPanel
+                    walletAddress={walletAddress}
+                    sbtTokens={sbtTokens}
+                    issueSBT={issueSBT}
+                    getContract={getContract}
+                    showToast={showToast}
+                />
+            )}
+
+            {/* --- Bulk Issuance Content --- */}
+            {currentView === VIEWS.ISSUER_BULK && (
+                <BulkIssuancePanel
+                    walletAddress={walletAddress}
+                    sbtTokens={sbtTokens}
+                    issueSBT={issueSBT}
+                    getContract={getContract}
+                    showToast={showToast}
+                />
+            )}
+
+            {/* --- Aid Campaigns & Vouchers Content --- */}
+            {currentView === VIEWS.ISSUER_CAMPAIGNS && (
+                <AidCampaignPanel
+                    walletAddress={walletAddress}
+                    deployment={deployment}
+                    getContract={getContract}
+                    showToast={showToast}
+                />
             )}
 
             {/* --- Audit/Verification Panel Content --- */}
             {currentView === VIEWS.ISSUER_AUDIT && (
-                <div className="pt-6">
-                    <h3 className="text-2xl font-bold text-gray-700 mb-4">Global Audit & Service Verification</h3>
-                    
-                    <div className="grid grid-cols-3 gap-4 mb-6">
-                         <div className="p-4 bg-green-100 rounded-xl shadow-md">
-                            <p className="text-sm font-semibold text-green-700">Total Aid Acknowledged (SBTs)</p>
-                            <p className="text-3xl font-black text-green-800 mt-1">{totalAidsAcknowledged}</p>
-                        </div>
-                        <div className="p-4 bg-indigo-100 rounded-xl shadow-md">
-                            <p className="text-sm font-semibold text-indigo-700">Total Reputation SBTs Issued</p>
-                            <p className="text-3xl font-black text-indigo-800 mt-1">{sbtTokens.length}</p>
-                        </div>
-                         <div className="p-4 bg-gray-100 rounded-xl shadow-md">
-                            <p className="text-sm font-semibold text-gray-700">Celo Blockchain Audit</p>
-                            <p className="text-sm text-gray-600 mt-1">
-                                Auditors query `TokenMinted` events to verify campaign success.
-                            </p>
-                        </div>
-                    </div>
-
-                    <h4 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4">All Recent SBT Mints (Global View)</h4>
-                    <div className="space-y-3 max-h-96 overflow-y-auto pr-2">
-                         {sortedTokens.map((token) => (
-                            <div key={token.id} className={`p-4 rounded-lg flex justify-between items-center text-sm ${token.taskType === TASK_TYPES.AID_DISBURSEMENT_RECEIVED ? 'bg-green-50 border-l-4 border-green-500' : 'bg-gray-50 border-l-4 border-indigo-400'}`}>
-                                <div>
-                                    <p className="font-semibold text-gray-800">{TASK_LABELS[token.taskType] || 'Unknown Task'}</p>
-                                    <p className="text-xs text-gray-600 break-words">To: {token.recipient || 'N/A'}</p>
-                                </div>
-                                <span className="text-xs text-gray-500 text-right">
-                                    {new Date(token.issuedAt).toLocaleDateString()}
-                                    <br/>
-                                    <span className="font-medium">{token.title}</span>
-                                </span>
-                            </div>
-                        ))}
-                    </div>
-                </div>
+                <IssuerAuditPanel sbtTokens={sbtTokens} />
             )}
         </div>
     );
 };
 
 
+// --- Navigation ---
+// Holder routes use the holder colours; role-gated routes use the yellow "private access" style
+const NAV_STYLES = {
+    indigo: ['bg-indigo-600 text-white shadow-lg', 'text-indigo-600 hover:bg-indigo-50 border border-indigo-200'],
+    green: ['bg-green-600 text-white shadow-lg', 'text-green-600 hover:bg-green-50 border border-green-200'],
+    yellow: ['bg-yellow-500 text-white shadow-lg', 'text-yellow-700 hover:bg-yellow-50 border border-yellow-300'],
+};
+
+const navButtonClass = (route, isActive) => {
+    const [active, inactive] = NAV_STYLES[route.accent || (route.role === ROLES.HOLDER ? 'indigo' : 'yellow')];
+    return `px-4 py-2 text-sm font-semibold rounded-lg transition ${isActive ? active : inactive}`;
+};
+
+// --- Component: Role Switcher (wallets holding several roles) ---
+const RoleSwitcher = ({ roles, activeRole, onSwitch }) => {
+    const { t, roleLabel } = useI18n();
+    return (
+        <label className="flex items-center gap-2 text-sm">
+            <span className="text-gray-500">{t('nav.actingAs')}</span>
+            <select
+                value={activeRole}
+                onChange={(e) => onSwitch(e.target.value)}
+                className="p-2 text-sm font-semibold border border-gray-300 rounded-lg"
+            >
+                {roles.map(role => <option key={role} value={role}>{roleLabel(role)}</option>)}
+            </select>
+        </label>
+    );
+};
+
+// --- Component: Language Switcher (saved per browser, see i18n.js) ---
+const LanguageSwitcher = () => {
+    const { t, locale } = useI18n();
+    return (
+        <select
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            aria-label={t('nav.language')}
+            className="p-2 text-sm font-semibold border border-gray-300 rounded-lg"
+        >
+            {Object.entries(LOCALES).map(([code, { name }]) => <option key={code} value={code}>{name}</option>)}
+        </select>
+    );
+};
+
+// --- Component: Network indicator / switcher (contract backend) ---
+// Only networks with a deployment in the manifest are offered
+const DEPLOYED_CHAIN_IDS = SUPPORTED_CHAIN_IDS.filter(chainId => resolveDeployment(chainId, APP_CONFIG.deployments).isDeployed);
+
+const NetworkSwitcher = ({ deployment, onSwitch }) => {
+    const { t } = useI18n();
+    return (
+        <select
+            value={deployment.chainId}
+            onChange={(e) => onSwitch(Number(e.target.value))}
+            className={`p-2 text-sm font-semibold border rounded-lg ${deployment.network?.testnet ? 'border-yellow-300 text-yellow-800' : 'border-green-300 text-green-800'}`}
+        >
+            {!DEPLOYED_CHAIN_IDS.includes(deployment.chainId) && (
+                <option value={deployment.chainId}>{deployment.network ? deployment.network.name : t('network.chain', { chainId: String(deployment.chainId) })}</option>
+            )}
+            {DEPLOYED_CHAIN_IDS.map(chainId => <option key={chainId} value={chainId}>{getNetwork(chainId).name}</option>)}
+        </select>
+    );
+};
+
+// --- Component: Route guard and not-found pages ---
+const RouteNotice = ({ title, children, actions }) => (
+    <div className="p-8 bg-white shadow-xl rounded-xl w-full max-w-2xl mx-auto text-center">
+        <h2 className="text-2xl font-bold text-gray-800 mb-3">{title}</h2>
+        <p className="text-gray-600 mb-6">{children}</p>
+        <div className="flex justify-center gap-3">{actions}</div>
+    </div>
+);
+
+
 // --- Main App Component ---
 
 const App = () => {
@@ -512,12 +974,34 @@ const App = () => {
         walletAddress, 
         sbtTokens, 
         isLoading, 
-        isIssuer, 
+        roles,
+        ownerOf,
+        isScholarshipOwner,
+        deployment,
+        connectors,
+        connectionError,
         connectWallet, 
-        mockIssueSBT 
+        disconnectWallet,
+        switchNetwork,
+        fetchSBTs,
+        issueSBT,
+        publishScores,
+        getContract,
+        isOnline,
+        lastSyncedAt,
+        isShowingCache,
+        holderCache,
+        queuedActions,
+        redeemAidVoucher,
+        queueAidAcknowledgement,
+        syncQueuedActions,
+        dismissQueuedAction,
     } = useCeloSBT();
+    const { t, roleLabel, routeLabel } = useI18n();
     
-    const [currentView, setCurrentView] = useState(VIEWS.DASHBOARD); 
+    const path = usePath();
+    const match = matchRoute(path);
+    const [activeRole, setActiveRole] = useState(null);
     const [toastMessage, setToastMessage] = useState(null);
 
     const showToast = useCallback((message, type = 'success') => {
@@ -527,12 +1011,29 @@ const App = () => {
         setTimeout(() => setToastMessage(null), 4000);
     }, []);
 
-    // Reset view when role changes
+    // Surface wallet connection failures (e.g. no injected wallet, rejected request)
     useEffect(() => {
-        if (isConnected) {
-            setCurrentView(isIssuer ? VIEWS.ISSUER_AUDIT : VIEWS.DASHBOARD);
+        showToast(connectionError, 'error');
+    }, [connectionError, showToast]);
+
+    // Once roles are known: a deep link the wallet may open selects its role; the bare
+    // root redirects to the landing role's home page.
+    useEffect(() => {
+        if (!isConnected || !roles) return;
+        const matched = matchRoute(path);
+        if (matched && canAccess(matched.route, roles)) {
+            setActiveRole(matched.route.role);
+            return;
         }
-    }, [isConnected, isIssuer]);
+        const landingRole = getLandingRole(roles);
+        setActiveRole(current => (current && roles.includes(current) ? current : landingRole));
+        if (path === '/') navigate(homePathFor(landingRole), { replace: true });
+    }, [isConnected, roles, path]);
+
+    const switchRole = (role) => {
+        setActiveRole(role);
+        navigate(homePathFor(role));
+    };
 
 
     // 1. Initial Loading Screen
@@ -541,122 +1042,273 @@ const App = () => {
             <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
                 <div className="text-center p-8 bg-white rounded-xl shadow-xl">
                     <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 mx-auto mb-4"></div>
-                    <p className="text-lg font-semibold text-gray-700">Connecting Wallet to Celo Network...</p>
+                    <p className="text-lg font-semibold text-gray-700">{t('connect.connecting')}</p>
                 </div>
                 <Toast message={toastMessage?.message} type={toastMessage?.type} />
             </div>
         );
     }
     
-    // 2. Wallet Disconnected Screen
+    // 2. Wallet Disconnected Screen (the URL is kept, so a deep link opens after connecting)
     if (!isConnected) {
         return (
             <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
                 <div className="text-center p-12 bg-white rounded-xl shadow-2xl border-t-8 border-indigo-500">
-                    <h2 className="text-2xl font-bold text-gray-800 mb-4">Connect Your Celo Identity</h2>
+                    <div className="flex justify-end mb-4">
+                        <LanguageSwitcher />
+                    </div>
+                    <h2 className="text-2xl font-bold text-gray-800 mb-4">{t('connect.title')}</h2>
                     <p className="text-gray-600 mb-6">
-                        Select a role to connect your wallet and view the conditional dashboard.
+                        {APP_CONFIG.backend === 'mock' ? t('connect.mockIntro') : t('connect.contractIntro')}
                     </p>
-                    <div className="flex space-x-4 justify-center">
-                        <button
-                            onClick={() => connectWallet('holder')}
-                            className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition"
-                        >
-                            Connect as IDP/Holder
-                        </button>
-                         <button
-                            onClick={() => connectWallet('issuer')}
-                            className="px-6 py-3 bg-yellow-600 text-white font-semibold rounded-lg shadow-md hover:bg-yellow-700 transition"
-                        >
-                            Connect as NGO/Issuer
-                        </button>
+                    {match && path !== '/' && (
+                        <p className="text-sm text-gray-500 mb-6">{t('connect.continueTo', { path: <span className="font-mono">{path}</span> })}</p>
+                    )}
+                    {APP_CONFIG.backend === 'mock' ? (
+                        <div className="flex gap-4 justify-center">
+                            <button
+                                onClick={() => connectWallet(ROLES.HOLDER)}
+                                className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition"
+                            >
+                                {t('connect.asHolder')}
+                            </button>
+                             <button
+                                onClick={() => connectWallet(ROLES.ISSUER)}
+                                className="px-6 py-3 bg-yellow-600 text-white font-semibold rounded-lg shadow-md hover:bg-yellow-700 transition"
+                            >
+                                {t('connect.asIssuer')}
+                            </button>
+                        </div>
+                    ) : (
+                        <div className="flex flex-col sm:flex-row gap-4 justify-center">
+                            {connectors.map(connector => (
+                                <button
+                                    key={connector.id}
+                                    onClick={() => connectWallet(ROLES.HOLDER, { connectorId: connector.id })}
+                                    disabled={!connector.available}
+                                    title={connector.available ? '' : t('connect.noBrowserWallet')}
+                                    className="px-6 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition disabled:bg-indigo-300"
+                                >
+                                    {t(`connectors.${connector.id}`)}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+                <Toast message={toastMessage?.message} type={toastMessage?.type} />
+            </div>
+        );
+    }
+
+    // 3. Wrong network: the connected chain is unsupported or has no deployment in the manifest
+    if (deployment && !deployment.isDeployed) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
+                <div className="text-center p-12 bg-white rounded-xl shadow-2xl border-t-8 border-red-500 max-w-xl">
+                    <h2 className="text-2xl font-bold text-gray-800 mb-4">{t('network.wrongTitle')}</h2>
+                    <p className="text-gray-600 mb-6">
+                        {deployment.network ? t('network.notDeployed', { network: deployment.network.name }) : t('network.unsupported', { chainId: String(deployment.chainId) })}
+                        {' '}{DEPLOYED_CHAIN_IDS.length > 0 ? t('network.switchTo') : t('network.noDeployments')}
+                    </p>
+                    <div className="flex flex-wrap gap-3 justify-center mb-6">
+                        {DEPLOYED_CHAIN_IDS.map(chainId => (
+                            <button
+                                key={chainId}
+                                onClick={() => switchNetwork(chainId)}
+                                className="px-5 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition"
+                            >
+                                {getNetwork(chainId).name}
+                            </button>
+                        ))}
                     </div>
+                    <button onClick={disconnectWallet} className="text-sm text-gray-500 hover:underline">{t('common.disconnect')}</button>
                 </div>
                 <Toast message={toastMessage?.message} type={toastMessage?.type} />
             </div>
         );
     }
 
-    // 3. Conditional Dashboard Rendering (Wallet Connected)
-    
-    // UI elements and navigation for the Holder (IDP) role
-    const holderNav = (
-        <div className="flex space-x-3">
-            <button
-                onClick={() => setCurrentView(VIEWS.DASHBOARD)}
-                className={`px-4 py-2 text-sm font-semibold rounded-lg transition ${
-                    currentView === VIEWS.DASHBOARD 
-                        ? 'bg-indigo-600 text-white shadow-lg' 
-                        : 'text-indigo-600 hover:bg-indigo-50 border border-indigo-200'
-                }`}
-            >
-                Risk Score Dashboard
-            </button>
-            <button
-                onClick={() => setCurrentView(VIEWS.SOCIAL_AID)}
-                className={`px-4 py-2 text-sm font-semibold rounded-lg transition ${
-                    currentView === VIEWS.SOCIAL_AID
-                        ? 'bg-green-600 text-white shadow-lg' 
-                        : 'text-green-600 hover:bg-green-50 border border-green-200'
-                }`}
-            >
-                Aid Acknowledgment
-            </button>
+    // 4. Role resolution (contract reads) before any guarded route renders
+    if (!roles || !activeRole) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
+                <div className="text-center p-8 bg-white rounded-xl shadow-xl">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600 mx-auto mb-4"></div>
+                    <p className="text-lg font-semibold text-gray-700">{t('connect.readingRoles')}</p>
+                </div>
+                <Toast message={toastMessage?.message} type={toastMessage?.type} />
+            </div>
+        );
+    }
+
+    // 5. Conditional Dashboard Rendering (Wallet Connected)
+    const view = match && canAccess(match.route, roles) ? match.route.view : null;
+    const params = match ? match.params : {};
+
+    // Navigation for the active role (the issuer dashboard has its own tabs)
+    const roleNav = activeRole === ROLES.ISSUER ? (
+        <span className="px-3 py-1 bg-yellow-100 text-yellow-800 rounded-full font-bold text-sm">{t('nav.issuerActive')}</span>
+    ) : (
+        <div className="flex flex-wrap gap-3">
+            {navRoutesFor(activeRole).map(route => (
+                <button key={route.path} onClick={() => navigate(route.path)} className={navButtonClass(route, view === route.view)}>
+                    {routeLabel(route)}
+                </button>
+            ))}
         </div>
     );
     
     return (
         <div className="min-h-screen bg-gray-50 font-sans p-4 md:p-8">
-            <header className="mb-8 p-4 bg-white shadow-md rounded-xl max-w-6xl mx-auto flex flex-col sm:flex-row justify-between items-center">
-                <h1 className="text-2xl font-black text-gray-800 mb-3 sm:mb-0">
-                    Celo Reputation & Aid Platform
+            <header className="mb-8 p-4 bg-white shadow-md rounded-xl max-w-6xl mx-auto flex flex-col lg:flex-row justify-between items-center gap-3">
+                <h1 className="text-2xl font-black text-gray-800">
+                    {t('app.title')}
                 </h1>
                 
-                {/* Conditionally display navigation based on role */}
-                {isIssuer ? (
-                    <span className="px-3 py-1 bg-yellow-100 text-yellow-800 rounded-full font-bold text-sm">ISSUER ROLE ACTIVE (Verifier)</span>
-                ) : (
-                    holderNav
-                )}
+                {/* Navigation follows the active role; multi-role wallets switch roles here */}
+                <div className="flex flex-col sm:flex-row items-center gap-3">
+                    {roleNav}
+                    {roles.length > 1 && <RoleSwitcher roles={roles} activeRole={activeRole} onSwitch={switchRole} />}
+                    {deployment && <NetworkSwitcher deployment={deployment} onSwitch={switchNetwork} />}
+                    <LanguageSwitcher />
+                    {deployment && (
+                        <button onClick={disconnectWallet} className="px-3 py-2 text-sm font-semibold text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">
+                            {t('common.disconnect')}
+                        </button>
+                    )}
+                </div>
             </header>
 
-            <main className="max-w-6xl mx-auto">
-                {/* STRICT ROLE-BASED RENDERING */}
-                {isIssuer ? (
+            {/* Keyed by account and network: every view drops its state when either changes */}
+            <main key={`${walletAddress}:${deployment ? deployment.chainId : 'mock'}`} className="max-w-6xl mx-auto">
+                <OfflineBanner
+                    isOnline={isOnline}
+                    isShowingCache={isShowingCache}
+                    lastSyncedAt={lastSyncedAt}
+                    queuedCount={queuedActions.filter(action => action.status === ACTION_STATUS.QUEUED).length}
+                />
+
+                {/* ROUTE GUARDS: unknown paths and routes for roles the wallet does not hold */}
+                {!match && (
+                    <RouteNotice
+                        title={t('routes.notFoundTitle')}
+                        actions={<button onClick={() => navigate(homePathFor(activeRole))} className={navButtonClass({ role: activeRole }, true)}>{t('routes.goHome', { role: roleLabel(activeRole) })}</button>}
+                    >
+                        {t('routes.notFound', { path: <span className="font-mono">{path}</span> })}
+                    </RouteNotice>
+                )}
+                {match && !view && (
+                    <RouteNotice
+                        title={t('routes.roleRequiredTitle', { role: roleLabel(match.route.role) })}
+                        actions={<button onClick={() => navigate(homePathFor(activeRole))} className={navButtonClass({ role: activeRole }, true)}>{t('routes.goHome', { role: roleLabel(activeRole) })}</button>}
+                    >
+                        {t('routes.roleRequired', { role: roleLabel(match.route.role), address: walletAddress })}
+                    </RouteNotice>
+                )}
+
+                {(view === VIEWS.ISSUER_AUDIT || view === VIEWS.ISSUER_MINT || view === VIEWS.ISSUER_BULK || view === VIEWS.ISSUER_CAMPAIGNS) && (
                     <IssuerDashboard 
+                        currentView={view}
                         walletAddress={walletAddress} 
                         sbtTokens={sbtTokens} 
-                        mockIssueSBT={mockIssueSBT}
-                        isLoading={isLoading}
+                        deployment={deployment}
+                        issueSBT={issueSBT}
+                        getContract={getContract}
+                        showToast={showToast}
+                    />
+                )}
+                {view === VIEWS.DASHBOARD && (
+                    <HolderRiskScoreDashboard 
+                        sbtTokens={sbtTokens} 
+                        walletAddress={walletAddress}
+                        publishScores={publishScores}
+                        getContract={getContract}
+                        holderCache={holderCache}
+                        showToast={showToast}
+                    />
+                )}
+                {view === VIEWS.LOAN_PLANNER && (
+                    <LoanPlanner 
+                        sbtTokens={sbtTokens} 
+                        walletAddress={walletAddress}
+                        getContract={getContract}
+                    />
+                )}
+                {view === VIEWS.WHAT_IF && (
+                    <WhatIfSimulator 
+                        sbtTokens={sbtTokens} 
+                        walletAddress={walletAddress}
+                        getContract={getContract}
+                    />
+                )}
+                {view === VIEWS.MY_LOAN && (
+                    <LoanCenter 
+                        walletAddress={walletAddress}
+                        getContract={getContract}
+                        showToast={showToast}
+                        onRepaid={fetchSBTs}
+                    />
+                )}
+                {view === VIEWS.LOAN_ADMIN && (
+                    <LoanAdminQueue 
+                        deploymentBlock={deployment ? deployment.deploymentBlock : 0}
+                        getContract={getContract}
+                        showToast={showToast}
+                    />
+                )}
+                {view === VIEWS.SCHOLARSHIPS && (
+                    <ScholarshipMarketplace 
+                        walletAddress={walletAddress}
+                        focusProgramId={/^\d+$/.test(params.programId ?? '') ? Number(params.programId) : null}
+                        getContract={getContract}
+                        holderCache={holderCache}
+                        showToast={showToast}
+                    />
+                )}
+                {view === VIEWS.CREDENTIALS && (
+                    <CredentialExport 
+                        walletAddress={walletAddress}
+                        sbtTokens={sbtTokens}
+                        getContract={getContract}
+                        showToast={showToast}
+                    />
+                )}
+                {view === VIEWS.PROVIDER_CONSOLE && (
+                    <ProviderConsole 
+                        walletAddress={walletAddress}
+                        isOwner={isScholarshipOwner}
+                        deploymentBlock={deployment ? deployment.deploymentBlock : 0}
+                        getContract={getContract}
+                        showToast={showToast}
+                    />
+                )}
+                {view === VIEWS.OWNER_OVERVIEW && (
+                    <OwnerOverview ownerOf={ownerOf} contracts={deployment ? deployment.contracts : {}} />
+                )}
+                {view === VIEWS.SOCIAL_AID && (
+                    <HolderAidVoucher 
+                        walletAddress={walletAddress} 
+                        deployment={deployment}
+                        voucherCode={params.voucher}
+                        getContract={getContract}
+                        isOnline={isOnline}
+                        queuedActions={queuedActions}
+                        redeemAidVoucher={redeemAidVoucher}
+                        queueAidAcknowledgement={queueAidAcknowledgement}
+                        syncQueuedActions={syncQueuedActions}
+                        dismissQueuedAction={dismissQueuedAction}
                         showToast={showToast}
                     />
-                ) : (
-                    <>
-                        {/* Render Holder UI based on navigation state */}
-                        {currentView === VIEWS.DASHBOARD && (
-                            <HolderRiskScoreDashboard 
-                                sbtTokens={sbtTokens} 
-                                walletAddress={walletAddress}
-                            />
-                        )}
-                        {currentView === VIEWS.SOCIAL_AID && (
-                            <HolderSocialAidAcknowledgement 
-                                walletAddress={walletAddress} 
-                                mockIssueSBT={mockIssueSBT} 
-                                sbtTokens={sbtTokens}
-                                isLoading={isLoading}
-                                showToast={showToast}
-                            />
-                        )}
-                    </>
                 )}
             </main>
             
             <footer className="mt-8 text-center text-xs text-gray-500">
-                <p>Status: Connected to Celo Network (Testnet Mock)</p>
-                <p>Wallet Address: {walletAddress || 'Disconnected'}</p>
+                <p>{t(isOnline ? 'footer.connected' : 'footer.offline', { network: deployment ? deployment.network.name : t('footer.mockNetwork') })}</p>
+                <p>{t('footer.wallet', { address: walletAddress || t('footer.disconnected') })}</p>
+                <p>{t('footer.roles', { roles: roles.map(roleLabel).join(', ') })}</p>
             </footer>
 
+            {deployment && <PendingTxTray network={deployment.network} />}
             <Toast message={toastMessage?.message} type={toastMessage?.type} />
         </div>
     );
@@ -0,0 +1,34 @@
+// --- DApp Runtime Configuration ---
+// backend: 'mock' runs fully in memory; 'contract' talks to the deployed contracts
+// through a wallet connector (Celo, Alfajores or a local Hardhat node, see connectors.js).
+// Contract addresses per network come from the deployment manifest (deployments.json).
+// A host page can override any field by defining window.CREDO_CONFIG before the app loads.
+
+const DEFAULT_CONFIG = {
+    backend: 'mock',
+    // Per-chain overrides of deployments.json, e.g. { 44787: { contracts: { soulboundToken: '0x...' }, deploymentBlock: 0 } }
+    deployments: {},
+    // Network offered first (WalletConnect session chain): 42220 Celo, 44787 Alfajores, 31337 localhost
+    defaultChainId: 44787,
+    // WalletConnect Cloud project id. Empty: WalletConnect is not offered.
+    walletConnectProjectId: '',
+    // Local signer for a Hardhat node. privateKey empty: the node's unlocked account accountIndex.
+    devSigner: {
+        enabled: false,
+        rpcUrl: 'http://127.0.0.1:8545',
+        privateKey: '',
+        accountIndex: 0,
+    },
+    // Event indexer query API (npm run indexer), e.g. 'http://localhost:8787'. Empty: audit from the wallet's view only.
+    indexerUrl: '',
+    // URL prefix when the app is not served from the site root, e.g. '/credo' (see router.js)
+    basePath: '',
+};
+
+const overrides = globalThis.CREDO_CONFIG || {};
+
+export const APP_CONFIG = {
+    ...DEFAULT_CONFIG,
+    ...overrides,
+    devSigner: { ...DEFAULT_CONFIG.devSigner, ...(overrides.devSigner || {}) },
+};
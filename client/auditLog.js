@@ -0,0 +1,236 @@
+// --- SBT Audit Log: filters, exports and campaign reports ---
+// Works on the token shape shared by the backends and the indexer ({ id, recipient, issuer, taskType,
+// pointLevel, title, issuedAt (ms), ... }). The indexer applies the same filters in SQL
+// (indexer/lib/eventStore.mjs querySBTs); the session fallback uses filterSBTs below.
+
+import {
+    TASK_TYPES,
+    TASK_LABELS,
+    toTaskTypeName,
+    toPointLevelName,
+    getPointValueFromLevel,
+} from './sbtCodec.js';
+import { toCSV } from './csv.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EMPTY_AUDIT_FILTERS = Object.freeze({
+    issuer: '',
+    recipient: '',
+    taskType: '',
+    pointLevel: '',
+    from: '', // 'YYYY-MM-DD' (date input value)
+    to: '',
+});
+
+/**
+ * @notice Converts the filter form (strings from inputs) into a query.
+ * @dev Dates are local calendar days: `from` starts at 00:00, `to` includes the whole day.
+ * @returns { issuer?, recipient?, taskType?, pointLevel?, from?, to? } with indexes and ms timestamps.
+ */
+export function toAuditQuery(form) {
+    const query = {};
+    if (form.issuer.trim()) query.issuer = form.issuer.trim().toLowerCase();
+    if (form.recipient.trim()) query.recipient = form.recipient.trim().toLowerCase();
+    if (form.taskType !== '') query.taskType = Number(form.taskType);
+    if (form.pointLevel !== '') query.pointLevel = Number(form.pointLevel);
+    if (form.from) query.from = new Date(`${form.from}T00:00:00`).getTime();
+    if (form.to) query.to = new Date(`${form.to}T00:00:00`).getTime() + DAY_MS - 1;
+    return query;
+}
+
+/**
+ * @notice Applies an audit query to in-memory tokens. Addresses match case-insensitively.
+ */
+export function filterSBTs(tokens, query = {}) {
+    return tokens.filter(token =>
+        (query.issuer === undefined || (token.issuer || '').toLowerCase() === query.issuer) &&
+        (query.recipient === undefined || (token.recipient || '').toLowerCase() === query.recipient) &&
+        (query.taskType === undefined || token.taskType === query.taskType) &&
+        (query.pointLevel === undefined || token.pointLevel === query.pointLevel) &&
+        (query.from === undefined || token.issuedAt >= query.from) &&
+        (query.to === undefined || token.issuedAt <= query.to)
+    );
+}
+
+// --- Export ---
+
+const EXPORT_COLUMNS = [
+    ['tokenId', token => token.id],
+    ['taskType', token => toTaskTypeName(token.taskType)],
+    ['task', token => TASK_LABELS[token.taskType]],
+    ['pointLevel', token => toPointLevelName(token.pointLevel)],
+    ['points', token => token.points ?? getPointValueFromLevel(token.pointLevel)],
+    ['title', token => token.title ?? ''],
+    ['recipient', token => token.recipient ?? ''],
+    ['issuer', token => token.issuer ?? ''],
+    ['issuedAt', token => new Date(token.issuedAt).toISOString()],
+    ['burnedAt', token => (token.burnedAt ? new Date(token.burnedAt).toISOString() : '')],
+    ['blockNumber', token => token.blockNumber ?? ''],
+    ['txHash', token => token.txHash ?? ''],
+];
+
+/**
+ * @notice RFC 4180 CSV (CRLF line endings) with one row per token.
+ */
+export function toAuditCSV(tokens) {
+    return toCSV([
+        EXPORT_COLUMNS.map(([name]) => name),
+        ...tokens.map(token => EXPORT_COLUMNS.map(([, read]) => read(token))),
+    ]);
+}
+
+/**
+ * @notice JSON export: the query that produced the rows plus one object per token (same fields as the CSV).
+ */
+export function toAuditJSON(tokens, query = {}, generatedAt = Date.now()) {
+    return JSON.stringify({
+        generatedAt: new Date(generatedAt).toISOString(),
+        query,
+        count: tokens.length,
+        sbts: tokens.map(token => Object.fromEntries(EXPORT_COLUMNS.map(([name, read]) => [name, read(token)]))),
+    }, null, 2);
+}
+
+// --- Campaign Report ---
+
+/**
+ * @notice Aid distribution summary for donors: AID_DISBURSEMENT_RECEIVED acknowledgements in a period.
+ * @dev Burned acknowledgements are excluded (a burned receipt no longer attests the aid).
+ * @param tokens Any tokens; non-aid task types are ignored, so a pre-filtered list can be passed as is.
+ * @param from / to Period bounds in ms (inclusive); omit for all time.
+ * @param bucket 'day' | 'week' | 'month' for the timeline.
+ * @returns { period, totalAcknowledgements, uniqueRecipients, repeatRecipients, repeatRecipientList,
+ *            byIssuer, timeline }
+ */
+export function buildCampaignReport(tokens, { from, to, bucket = 'week', generatedAt = Date.now() } = {}) {
+    const acknowledgements = filterSBTs(tokens, { taskType: TASK_TYPES.AID_DISBURSEMENT_RECEIVED, from, to })
+        .filter(token => !token.burnedAt)
+        .sort((a, b) => a.issuedAt - b.issuedAt);
+
+    const perRecipient = new Map();
+    acknowledgements.forEach(token => {
+        const recipient = token.recipient.toLowerCase();
+        perRecipient.set(recipient, (perRecipient.get(recipient) || 0) + 1);
+    });
+    const repeatRecipientList = [...perRecipient.entries()]
+        .filter(([, count]) => count > 1)
+        .map(([recipient, count]) => ({ recipient, count }))
+        .sort((a, b) => b.count - a.count || a.recipient.localeCompare(b.recipient));
+
+    const perIssuer = new Map();
+    acknowledgements.forEach(token => {
+        const issuer = (token.issuer || 'unknown').toLowerCase();
+        const row = perIssuer.get(issuer) || { issuer, acknowledgements: 0, recipients: new Set() };
+        row.acknowledgements++;
+        row.recipients.add(token.recipient.toLowerCase());
+        perIssuer.set(issuer, row);
+    });
+    const byIssuer = [...perIssuer.values()]
+        .map(row => ({ issuer: row.issuer, acknowledgements: row.acknowledgements, uniqueRecipients: row.recipients.size }))
+        .sort((a, b) => b.acknowledgements - a.acknowledgements);
+
+    // Timeline: acknowledgements and first-time recipients per bucket
+    const seen = new Set();
+    const timeline = new Map();
+    acknowledgements.forEach(token => {
+        const periodStart = startOfBucket(token.issuedAt, bucket);
+        const row = timeline.get(periodStart) || { periodStart, acknowledgements: 0, newRecipients: 0 };
+        row.acknowledgements++;
+        const recipient = token.recipient.toLowerCase();
+        if (!seen.has(recipient)) {
+            seen.add(recipient);
+            row.newRecipients++;
+        }
+        timeline.set(periodStart, row);
+    });
+
+    return {
+        generatedAt,
+        period: {
+            from: from ?? acknowledgements[0]?.issuedAt ?? null,
+            to: to ?? acknowledgements[acknowledgements.length - 1]?.issuedAt ?? null,
+        },
+        bucket,
+        totalAcknowledgements: acknowledgements.length,
+        uniqueRecipients: perRecipient.size,
+        repeatRecipients: repeatRecipientList.length,
+        repeatRecipientList,
+        byIssuer,
+        timeline: [...timeline.values()],
+    };
+}
+
+// Local start of the day / ISO week (Monday) / month containing `timestamp`
+function startOfBucket(timestamp, bucket) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    if (bucket === 'week') date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    if (bucket === 'month') date.setDate(1);
+    return date.getTime();
+}
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatDay = (timestamp) => (timestamp === null ? '—' : new Date(timestamp).toLocaleDateString());
+
+/**
+ * @notice Standalone printable HTML page for a campaign report (opened in a new window and printed).
+ * @param title Campaign name shown in the heading.
+ */
+export function renderCampaignReportHtml(report, { title = 'Aid Distribution Campaign Report' } = {}) {
+    const rows = (cells) => cells.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('');
+    const maxPerBucket = Math.max(1, ...report.timeline.map(row => row.acknowledgements));
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #1f2937; margin: 2rem; }
+    h1 { margin-bottom: 0; }
+    .muted { color: #6b7280; font-size: 0.9rem; }
+    .cards { display: flex; gap: 1rem; margin: 1.5rem 0; }
+    .card { flex: 1; border: 1px solid #d1d5db; border-radius: 8px; padding: 0.75rem 1rem; }
+    .card strong { display: block; font-size: 1.75rem; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 0.35rem 0.5rem; text-align: left; }
+    .bar { background: #16a34a; height: 0.7rem; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">
+    NGO aid receipts acknowledged on-chain (SoulboundToken SBTIssued, task type AID_DISBURSEMENT_RECEIVED).<br>
+    Period ${escapeHtml(formatDay(report.period.from))} – ${escapeHtml(formatDay(report.period.to))}. Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())}.
+</p>
+<div class="cards">
+    <div class="card">Acknowledgements<strong>${report.totalAcknowledgements}</strong></div>
+    <div class="card">Unique recipients<strong>${report.uniqueRecipients}</strong></div>
+    <div class="card">Repeat recipients<strong>${report.repeatRecipients}</strong></div>
+    <div class="card">Issuers<strong>${report.byIssuer.length}</strong></div>
+</div>
+<h2>Acknowledgements per ${escapeHtml(report.bucket)}</h2>
+<table>
+    <tr><th>Starting</th><th>Acknowledgements</th><th>New recipients</th><th></th></tr>
+    ${report.timeline.map(row => `<tr><td>${escapeHtml(formatDay(row.periodStart))}</td><td>${row.acknowledgements}</td><td>${row.newRecipients}</td><td><div class="bar" style="width:${Math.round(row.acknowledgements / maxPerBucket * 100)}%"></div></td></tr>`).join('')}
+</table>
+<h2>Issuer breakdown</h2>
+<table>
+    <tr><th>Issuer</th><th>Acknowledgements</th><th>Unique recipients</th></tr>
+    ${rows(report.byIssuer.map(row => [row.issuer, row.acknowledgements, row.uniqueRecipients]))}
+</table>
+<h2>Repeat recipients</h2>
+${report.repeatRecipientList.length === 0 ? '<p class="muted">No recipient acknowledged aid more than once.</p>' : `<table>
+    <tr><th>Recipient</th><th>Acknowledgements</th></tr>
+    ${rows(report.repeatRecipientList.map(row => [row.recipient, row.count]))}
+</table>`}
+</body>
+</html>`;
+}
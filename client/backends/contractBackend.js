@@ -0,0 +1,232 @@
+import { Contract } from 'ethers';
+import { SOULBOUND_TOKEN_ABI, AI_RISK_ORACLE_ABI, LOAN_MANAGER_ABI, POINT_LEDGER_ABI, SCHOLARSHIP_MANAGER_ABI, AID_CAMPAIGN_MANAGER_ABI, ERC20_ABI } from '../contractAbis.js';
+import { decodeSBTData, encodeIssueSBTArgs, TASK_TYPES } from '../sbtCodec.js';
+import { resolveRolesFromChain } from '../roles.js';
+import { resolveDeployment } from '../deployments.js';
+import { SUPPORTED_CHAIN_IDS, getNetwork } from '../networks.js';
+import { sendAndWait } from '../contractTx.js';
+import { txManager } from '../txManager.js';
+
+// ABIs for the contracts other modules can request through getContract(name)
+const CONTRACT_ABIS = {
+    soulboundToken: SOULBOUND_TOKEN_ABI,
+    aiRiskOracle: AI_RISK_ORACLE_ABI,
+    loanManager: LOAN_MANAGER_ABI,
+    pointLedger: POINT_LEDGER_ABI,
+    scholarshipManager: SCHOLARSHIP_MANAGER_ABI,
+    aidCampaignManager: AID_CAMPAIGN_MANAGER_ABI,
+    stableCoin: ERC20_ABI,
+};
+
+// How many token ids an issuer's fetchSBTs reads in parallel
+const TOKEN_READ_BATCH_SIZE = 50;
+
+const supportedNetworkNames = () => SUPPORTED_CHAIN_IDS.map(chainId => getNetwork(chainId).name).join(', ');
+
+/**
+ * @notice Backend that reads and writes the deployed contracts through a wallet connector.
+ * @dev The connector (injected wallet, WalletConnect or dev signer, see connectors.js) provides the
+ * signer; the contract addresses come from the deployment manifest entry of the connected chain.
+ * Account and network changes rebuild the session and are reported through onSessionChange.
+ * @param connectors The connectors offered to the user (createConnectors).
+ * @param deployments Per-chain overrides of the deployment manifest (APP_CONFIG.deployments).
+ * @returns A backend implementing connect, resolveRoles, fetchSBTs, issueSBT, getContract and the session methods.
+ */
+export function createContractBackend({ connectors, deployments = {} }) {
+    if (!connectors || connectors.length === 0) {
+        throw new Error("Contract backend requires at least one wallet connector.");
+    }
+
+    // { connector, provider, signer, address, chainId, deployment, sbtContract, unsubscribe }
+    let session = null;
+    // Bumped by every session change, so a slow rebuild never overwrites a newer one
+    let generation = 0;
+    const listeners = new Set();
+    const emit = (event) => listeners.forEach(listener => listener(event));
+
+    const requireSession = () => {
+        if (!session) {
+            throw new Error("Wallet not connected. Please connect your wallet.");
+        }
+        return session;
+    };
+
+    const requireConnection = () => {
+        const { deployment, chainId } = requireSession();
+        if (!deployment.isDeployed) {
+            throw new Error(deployment.network
+                ? `No Credo deployment for ${deployment.network.name} in the deployment manifest.`
+                : `Unsupported network (chain ${chainId}). Switch to ${supportedNetworkNames()}.`);
+        }
+        return session.sbtContract;
+    };
+
+    const readToken = async (tokenId, holder) => {
+        const data = await session.sbtContract.getSBTData(tokenId);
+        return decodeSBTData(tokenId, data, holder);
+    };
+
+    // null for a burned token: ownerOf reverts (ERC721NonexistentToken). Any other error, from the
+    // RPC or the codec, reaches the caller.
+    const readMintedToken = async (tokenId) => {
+        let holder;
+        try {
+            holder = await session.sbtContract.ownerOf(tokenId);
+        } catch (e) {
+            if (e.code === 'CALL_EXCEPTION') return null;
+            throw e;
+        }
+        return readToken(tokenId, holder);
+    };
+
+    const openSession = async (connector) => {
+        const { provider, signer, address, chainId } = await connector.connect();
+        const deployment = resolveDeployment(chainId, deployments);
+        return {
+            connector,
+            provider,
+            signer,
+            address,
+            chainId,
+            deployment,
+            sbtContract: deployment.isDeployed ? new Contract(deployment.contracts.soulboundToken, SOULBOUND_TOKEN_ABI, signer) : null,
+        };
+    };
+
+    const endSession = async () => {
+        generation++;
+        const ended = session;
+        session = null;
+        if (ended) {
+            ended.unsubscribe();
+            await ended.connector.disconnect();
+        }
+    };
+
+    // ethers providers and signers are bound to one account and network: rebuild them on every change
+    const rebuildSession = async (type) => {
+        if (!session) return;
+        const current = ++generation;
+        const { connector, unsubscribe } = session;
+        try {
+            const next = await openSession(connector);
+            if (current !== generation || !session) return;
+            session = { ...next, unsubscribe };
+            txManager.resume(next.provider).catch(() => {});
+            emit({ type, address: next.address, chainId: next.chainId });
+        } catch (e) {
+            if (current !== generation) return;
+            await endSession();
+            emit({ type: 'disconnect', error: e.shortMessage || e.message });
+        }
+    };
+
+    return {
+        kind: 'contract',
+
+        // 1. Wallet Connection: roles are decided by the contracts (resolveRoles), not the caller
+        async connect(role, { connectorId = connectors[0].id } = {}) {
+            const connector = connectors.find(c => c.id === connectorId);
+            if (!connector) {
+                throw new Error(`Unknown wallet connector "${connectorId}".`);
+            }
+
+            await endSession();
+            const opened = await openSession(connector);
+            session = {
+                ...opened,
+                unsubscribe: connector.subscribe({
+                    onAccountsChanged: () => rebuildSession('accountsChanged'),
+                    onChainChanged: () => rebuildSession('chainChanged'),
+                    onDisconnect: async () => {
+                        await endSession();
+                        emit({ type: 'disconnect' });
+                    },
+                }),
+            };
+
+            // Transactions still pending from before a reload are tracked again
+            txManager.resume(opened.provider).catch(() => {});
+            return { address: opened.address, chainId: opened.chainId };
+        },
+
+        // Connectors for the connect screen: [{ id, label, available }]
+        listConnectors() {
+            return connectors.map(connector => ({ id: connector.id, label: connector.label, available: connector.isAvailable() }));
+        },
+
+        // The connected chain's deployment (resolveDeployment), or null when disconnected
+        getDeployment() {
+            return session ? session.deployment : null;
+        },
+
+        // Asks the wallet to change network; the session follows through its chainChanged event
+        async switchNetwork(chainId) {
+            await requireSession().connector.switchChain(chainId);
+        },
+
+        // listener({ type: 'accountsChanged' | 'chainChanged' | 'disconnect', address?, chainId?, error? })
+        onSessionChange(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        async disconnect() {
+            await endSession();
+        },
+
+        // Issuer, owner, loan admin and provider roles read from the configured contracts
+        async resolveRoles(address) {
+            requireConnection();
+            return resolveRolesFromChain(name => this.getContract(name), address);
+        },
+
+        // 2. Data Fetching: holders read their own tokens, issuers read the global list
+        async fetchSBTs(walletAddress, { isIssuer = false } = {}) {
+            const sbt = requireConnection();
+
+            if (!isIssuer) {
+                const tokenIds = await sbt.getSBTsByHolder(walletAddress);
+                return Promise.all(tokenIds.map(id => readToken(id, walletAddress)));
+            }
+
+            const totalMinted = Number(await sbt.getTotalSBTsMinted());
+            const tokens = [];
+            for (let first = 1; first <= totalMinted; first += TOKEN_READ_BATCH_SIZE) {
+                const count = Math.min(TOKEN_READ_BATCH_SIZE, totalMinted - first + 1);
+                const batch = await Promise.all(Array.from({ length: count }, (_, i) => readMintedToken(first + i)));
+                tokens.push(...batch.filter(Boolean));
+            }
+            return tokens;
+        },
+
+        // 3. SBT Minting: sends issueSBT through the transaction manager and reads the token back from the SBTIssued event
+        async issueSBT({ recipient, taskType, pointLevel, title, tokenURI = '' }) {
+            const sbt = requireConnection();
+
+            const { txHash, event } = await sendAndWait(sbt, 'issueSBT', encodeIssueSBTArgs({ recipient, taskType, pointLevel, title, tokenURI }), 'SBTIssued', { label: `Mint "${title}"` });
+
+            if (!event) {
+                throw new Error("Transaction mined but no SBTIssued event was found.");
+            }
+
+            const sbtRecord = await readToken(event.tokenId, recipient);
+            return { sbt: sbtRecord, txHash };
+        },
+
+        // 4. Other protocol contracts (AIRiskOracle, LoanManager, PointLedger, ScholarshipManager, AidCampaignManager) connected to the same signer.
+        // `address` overrides the deployment's one, e.g. for the stablecoin LoanManager reports.
+        getContract(name, address) {
+            requireConnection();
+            if (!CONTRACT_ABIS[name]) {
+                throw new Error(`Unknown contract "${name}".`);
+            }
+            const { deployment, signer } = session;
+            const target = address || deployment.contracts[name];
+            if (!target) {
+                throw new Error(`No ${name} address for ${deployment.network.name}. Add it to deployments.json.`);
+            }
+            return new Contract(target, CONTRACT_ABIS[name], signer);
+        },
+    };
+}
@@ -0,0 +1,38 @@
+import { createMockBackend } from './mockBackend.js';
+import { createContractBackend } from './contractBackend.js';
+import { createConnectors } from '../connectors.js';
+
+export { createMockBackend, createContractBackend };
+
+/**
+ * @notice Builds the SBT backend selected in the app configuration.
+ * @dev Every backend exposes the same interface, so components never know which one is active:
+ * - connect(role, { connectorId })         -> { address, chainId? }
+ * - resolveRoles(address)                  -> { roles, ownerOf, isScholarshipOwner, errors } (see roles.js)
+ * - fetchSBTs(walletAddress, { isIssuer }) -> SBT[]
+ * - issueSBT({ recipient, taskType, pointLevel, title, issuer, tokenURI }) -> { sbt, txHash }
+ * - getContract(name, address?)            -> ethers Contract (contract backend only)
+ * - listConnectors()                       -> [{ id, label, available }]
+ * - getDeployment()                        -> the connected chain's deployment (deployments.js), null for the mock
+ * - switchNetwork(chainId), disconnect()
+ * - onSessionChange(listener)              -> unsubscribe; account, network and disconnect events
+ * @param config The app configuration ({ backend, deployments, defaultChainId, walletConnectProjectId, devSigner }).
+ */
+export function createSBTBackend(config) {
+    switch (config.backend) {
+        case 'contract':
+            return createContractBackend({
+                connectors: createConnectors({
+                    ethereum: globalThis.ethereum,
+                    walletConnectProjectId: config.walletConnectProjectId,
+                    defaultChainId: config.defaultChainId,
+                    devSigner: config.devSigner,
+                }),
+                deployments: config.deployments,
+            });
+        case 'mock':
+            return createMockBackend();
+        default:
+            throw new Error(`Unknown SBT backend "${config.backend}".`);
+    }
+}
@@ -0,0 +1,102 @@
+import { TASK_TYPES, POINT_LEVELS } from '../sbtCodec.js';
+import { ROLES } from '../roles.js';
+
+// --- Initial Mock Data (Simulates SBTs fetched from Celo on initial load) ---
+const MOCK_INITIAL_SBTS = [
+    { id: 1, taskType: TASK_TYPES.IDENTITY_VERIFIED_KYC, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR, title: 'KYC Verified', issuedAt: Date.now() - 86400000, recipient: "0xbe1900d7202b28c946f0418c351f03a62858b22a" },
+    { id: 2, taskType: TASK_TYPES.FINANCIAL_LITERACY_COURSE, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY, title: 'Financial Course Cert', issuedAt: Date.now() - 172800000, recipient: "0xbe1900d7202b28c946f0418c351f03a62858b22a" },
+    { id: 3, taskType: TASK_TYPES.AID_DISBURSEMENT_RECEIVED, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR, title: 'NGO Aid 1 Acknowledged', issuedAt: Date.now() - 50000, recipient: "0x4ddc43b3539744c80327f2f1839e93b1693e5dbd" }, // Issued to Issuer's address (Mock for testing)
+];
+
+// MOCK ADDRESSES for conditional rendering
+// This address will simulate the NGO Minter wallet (the authorized Issuer)
+export const MOCK_ISSUER_ADDRESS = "0x4ddc43b3539744c80327f2f1839e93b1693e5dbd";
+// This address will simulate a standard IDP wallet (the Holder)
+export const MOCK_HOLDER_ADDRESS = "0xbe1900d7202b28c946f0418c351f03a62858b22a";
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @notice In-memory backend that simulates the SoulboundToken contract.
+ * @dev Keeps the original demo behaviour (fixed role wallets, artificial latency)
+ * so the UI can be exercised without a wallet or a running node.
+ * @returns A backend implementing connect, resolveRoles, fetchSBTs, issueSBT and no-op session methods.
+ */
+export function createMockBackend() {
+    const tokens = MOCK_INITIAL_SBTS.map(sbt => ({ ...sbt }));
+    let sbtCounter = tokens.length + 1; // Used for unique IDs in the mock
+
+    return {
+        kind: 'mock',
+
+        // 1. Wallet Connection Simulation
+        async connect(role = 'holder') {
+            await delay(1500);
+
+            // The demo picks one of two fixed wallets
+            return { address: role === ROLES.ISSUER ? MOCK_ISSUER_ADDRESS : MOCK_HOLDER_ADDRESS };
+        },
+
+        // Simulating contract check: isIssuer(address). The other roles need the contract backend.
+        async resolveRoles(address) {
+            const isIssuer = address.toLowerCase() === MOCK_ISSUER_ADDRESS.toLowerCase();
+            return {
+                roles: isIssuer ? [ROLES.HOLDER, ROLES.ISSUER] : [ROLES.HOLDER],
+                ownerOf: [],
+                isScholarshipOwner: false,
+                errors: {},
+            };
+        },
+
+        // 2. Data Fetching Simulation (the mock always returns the global token list)
+        async fetchSBTs() {
+            await delay(500);
+            return tokens.slice();
+        },
+
+        // 3. SBT Minting Simulation (Simulates the issueSBT transaction)
+        async issueSBT({ recipient, taskType, pointLevel, title, issuer, tokenURI = '' }) {
+            // Simulate Celo transaction latency
+            await delay(3000);
+
+            const newSBT = {
+                id: sbtCounter++,
+                taskType,
+                pointLevel,
+                title,
+                issuedAt: Date.now(),
+                recipient,
+                issuer,
+                tokenURI,
+            };
+            tokens.push(newSBT);
+
+            console.log(`Successfully simulated minting SBT of type ${taskType} to ${recipient}`);
+            return { sbt: newSBT, txHash: null };
+        },
+
+        // The in-memory simulation covers SoulboundToken only
+        getContract(name) {
+            throw new Error(`${name} is only available with the contract backend.`);
+        },
+
+        // Session methods: the demo wallets have no connectors, network or wallet events
+        listConnectors() {
+            return [];
+        },
+
+        getDeployment() {
+            return null;
+        },
+
+        async switchNetwork() {
+            throw new Error("Networks are only available with the contract backend.");
+        },
+
+        onSessionChange() {
+            return () => {};
+        },
+
+        async disconnect() {},
+    };
+}
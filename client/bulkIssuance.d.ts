@@ -0,0 +1,99 @@
+// Type declarations for bulkIssuance.js (used by the TypeScript tests under test/).
+
+import type { Contract } from 'ethers';
+import type { DecodedSBT } from './sbtCodec.js';
+
+export const MAX_BULK_ROWS: number;
+
+export const BULK_ROW_STATUS: {
+    readonly PENDING: 'pending';
+    readonly SENDING: 'sending';
+    readonly INTERRUPTED: 'interrupted';
+    readonly MINTED: 'minted';
+    readonly FAILED: 'failed';
+    readonly SKIPPED: 'skipped';
+};
+
+export type BulkRowStatus = (typeof BULK_ROW_STATUS)[keyof typeof BULK_ROW_STATUS];
+
+export class BulkFileError extends Error {
+    constructor(message: string);
+}
+
+export interface BulkRow {
+    line: number;
+    recipient: string;
+    taskType: number;
+    pointLevel: number;
+    title: string;
+    errors: string[];
+}
+
+export type BulkDuplicate = { tokenId: number } | { line: number };
+
+export interface CheckedBulkRow extends BulkRow {
+    duplicate: BulkDuplicate | null;
+}
+
+/** Any SBT record with the fields duplicates are matched on. */
+export interface HeldToken {
+    id: number;
+    recipient: string;
+    taskType: number;
+    title: string;
+    issuedAt: number;
+    burnedAt?: number | null;
+}
+
+export interface BulkJobRow {
+    line: number;
+    recipient: string;
+    taskType: number;
+    pointLevel: number;
+    title: string;
+    status: BulkRowStatus;
+    tokenId: number | null;
+    txHash: string | null;
+    error: string | null;
+}
+
+export interface BulkJob {
+    id: string;
+    issuer: string;
+    fileName: string;
+    createdAt: number;
+    rows: BulkJobRow[];
+}
+
+/** The slice of the Web Storage API the job persistence uses (localStorage by default). */
+export type JobStorage = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+
+export function readBulkFile(file: File): Promise<string[][]>;
+export function parseBulkRows(rows: string[][]): BulkRow[];
+
+export function fetchHolderTokens(sbt: Contract, recipients: string[]): Promise<DecodedSBT[]>;
+export function markDuplicates(rows: BulkRow[], existingTokens: HeldToken[]): CheckedBulkRow[];
+export function findRowToken<T extends HeldToken>(tokens: T[], row: BulkJobRow, since: number): T | null;
+export function describeDuplicate(duplicate: BulkDuplicate): string;
+
+export function createBulkJob(
+    rows: CheckedBulkRow[],
+    options: { issuer: string; fileName: string; includeDuplicates?: boolean; now?: number }
+): BulkJob;
+export function summarizeBulkJob(job: BulkJob): Record<BulkRowStatus, number>;
+export function retryFailedRows(job: BulkJob): BulkJob;
+export function runBulkJob(
+    job: BulkJob,
+    handlers: {
+        mint: (row: BulkJobRow) => Promise<{ sbt: { id: number }; txHash: string }>;
+        findIssued: (row: BulkJobRow) => Promise<{ id: number } | null>;
+        save: (job: BulkJob) => void;
+        shouldStop?: () => boolean;
+    }
+): Promise<BulkJob>;
+
+export function saveBulkJob(job: BulkJob, storage?: JobStorage): void;
+export function loadBulkJob(issuer: string, storage?: JobStorage): BulkJob | null;
+export function clearBulkJob(issuer: string, storage?: JobStorage): void;
+
+export function toBulkResultsCSV(job: BulkJob): string;
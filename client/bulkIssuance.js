@@ -0,0 +1,364 @@
+// --- Bulk SBT Issuance ---
+// Turns an uploaded CSV/XLSX sheet (recipient, taskType, pointLevel, title) into validated rows,
+// flags duplicates, and mints them one by one as a job that survives a page reload.
+// Minting itself goes through the same issueSBT path as the manual minting panel.
+
+import {
+    TASK_TYPES,
+    TASK_TYPE_NAMES,
+    POINT_LEVEL_NAMES,
+    TASK_LABELS,
+    toTaskTypeName,
+    toPointLevelName,
+    decodeSBTData,
+} from './sbtCodec.js';
+import { parseCSV, toCSV } from './csv.js';
+
+export const MAX_BULK_ROWS = 1000;
+
+export const BULK_ROW_STATUS = Object.freeze({
+    PENDING: 'pending',
+    SENDING: 'sending',
+    INTERRUPTED: 'interrupted', // Sent before a reload; the receipt was never seen
+    MINTED: 'minted',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+});
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ZERO_ADDRESS = /^0x0{40}$/;
+const JOB_STORAGE_PREFIX = 'credo.bulkIssuance.';
+
+// Accepted header spellings per column (compared lowercased, without spaces, dashes or underscores)
+const COLUMN_ALIASES = {
+    recipient: ['recipient', 'holder', 'address', 'wallet'],
+    taskType: ['tasktype', 'task'],
+    pointLevel: ['pointlevel', 'level'],
+    title: ['title'],
+};
+
+/**
+ * @notice Thrown for files that cannot be read as an issuance sheet at all (as opposed to bad rows).
+ */
+export class BulkFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BulkFileError';
+    }
+}
+
+// --- Reading ---
+
+/**
+ * @notice Reads an uploaded File into rows of string cells.
+ * @dev .xlsx is parsed with read-excel-file (first sheet), loaded only when needed; anything else is read as CSV.
+ * @throws BulkFileError for unreadable files.
+ */
+export async function readBulkFile(file) {
+    try {
+        if (/\.xlsx$/i.test(file.name)) {
+            const { readSheet } = await import('read-excel-file/browser');
+            const rows = await readSheet(file);
+            return rows.map(cells => cells.map(cell => (cell === null || cell === undefined ? '' : String(cell))));
+        }
+        return parseCSV(await file.text());
+    } catch (e) {
+        throw new BulkFileError(`Could not read ${file.name}: ${e.message}`);
+    }
+}
+
+const normalizeHeader = (text) => text.toLowerCase().replace(/[\s_-]/g, '');
+const normalizeEnumText = (text) => text.trim().toUpperCase().replace(/[\s-]+/g, '_');
+
+// Task types by index, enum name or label. Returns -1 when unknown.
+function parseTaskType(text) {
+    if (/^\d+$/.test(text.trim())) {
+        const index = Number(text);
+        return index < TASK_TYPE_NAMES.length ? index : -1;
+    }
+    const byName = TASK_TYPE_NAMES.indexOf(normalizeEnumText(text));
+    if (byName !== -1) return byName;
+    const byLabel = Object.entries(TASK_LABELS).find(([, label]) => label.toLowerCase() === text.trim().toLowerCase());
+    return byLabel ? Number(byLabel[0]) : -1;
+}
+
+// Point levels by index, enum name or its last word (LEVEL_B_HARMONY, HARMONY). Returns -1 when unknown.
+function parsePointLevel(text) {
+    if (/^\d+$/.test(text.trim())) {
+        const index = Number(text);
+        return index < POINT_LEVEL_NAMES.length ? index : -1;
+    }
+    const name = normalizeEnumText(text);
+    return POINT_LEVEL_NAMES.findIndex(level => level === name || level.endsWith(`_${name}`));
+}
+
+/**
+ * @notice Validates the sheet: a header row followed by one SBT per row.
+ * @dev Each row is checked independently, so one bad row never hides the others. A blank title
+ * falls back to the task label, like the manual minting panel. AID_DISBURSEMENT_RECEIVED is
+ * rejected: holders receive it by redeeming a campaign voucher (aidVouchers.js).
+ * @returns [{ line, recipient, taskType, pointLevel, title, errors }]; `line` is the 1-based sheet row.
+ * @throws BulkFileError when the header is missing a column or the sheet has no or too many rows.
+ */
+export function parseBulkRows(rows) {
+    if (rows.length < 2) {
+        throw new BulkFileError("The file needs a header row and at least one recipient.");
+    }
+    if (rows.length - 1 > MAX_BULK_ROWS) {
+        throw new BulkFileError(`At most ${MAX_BULK_ROWS} rows per upload (found ${rows.length - 1}). Split the file.`);
+    }
+
+    const header = rows[0].map(normalizeHeader);
+    const columns = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([field, aliases]) =>
+        [field, header.findIndex(name => aliases.includes(name))]
+    ));
+    const missing = Object.entries(columns).filter(([field, index]) => index === -1 && field !== 'title');
+    if (missing.length > 0) {
+        throw new BulkFileError(`Missing column(s): ${missing.map(([field]) => field).join(', ')}. Expected recipient, taskType, pointLevel, title.`);
+    }
+
+    return rows.slice(1).map((cells, i) => {
+        const read = (field) => (columns[field] === -1 ? '' : (cells[columns[field]] ?? '').trim());
+        const errors = [];
+
+        const recipient = read('recipient');
+        if (!ADDRESS_PATTERN.test(recipient)) {
+            errors.push(`Invalid recipient address "${recipient}".`);
+        } else if (ZERO_ADDRESS.test(recipient)) {
+            errors.push("Cannot mint to the zero address.");
+        }
+
+        const taskType = parseTaskType(read('taskType'));
+        if (taskType === -1) {
+            errors.push(`Unknown task type "${read('taskType')}".`);
+        } else if (taskType === TASK_TYPES.AID_DISBURSEMENT_RECEIVED) {
+            errors.push("AID_DISBURSEMENT_RECEIVED comes from aid campaign vouchers and cannot be issued in bulk.");
+        }
+
+        const pointLevel = parsePointLevel(read('pointLevel'));
+        if (pointLevel === -1) {
+            errors.push(`Unknown point level "${read('pointLevel')}".`);
+        }
+
+        return {
+            line: i + 2,
+            recipient: recipient.toLowerCase(),
+            taskType,
+            pointLevel,
+            title: read('title') || TASK_LABELS[taskType] || '',
+            errors,
+        };
+    });
+}
+
+// --- Duplicates ---
+
+const duplicateKey = ({ recipient, taskType, title }) =>
+    `${recipient.toLowerCase()}|${taskType}|${title.trim().toLowerCase()}`;
+
+/**
+ * @notice Reads the current (unburned) SBTs of each recipient from SoulboundToken.
+ * @param sbt SoulboundToken contract (getContract('soulboundToken')).
+ */
+export async function fetchHolderTokens(sbt, recipients) {
+    const tokens = [];
+    for (const recipient of new Set(recipients)) {
+        const tokenIds = await sbt.getSBTsByHolder(recipient);
+        for (const tokenId of tokenIds) {
+            tokens.push(decodeSBTData(tokenId, await sbt.getSBTData(tokenId), recipient));
+        }
+    }
+    return tokens;
+}
+
+/**
+ * @notice Flags rows that would mint an SBT the recipient already holds (same task type and title)
+ * or that repeat an earlier row of the file.
+ * @returns The rows with `duplicate`: null, { tokenId } for an existing SBT, or { line } for an earlier row.
+ */
+export function markDuplicates(rows, existingTokens) {
+    const existing = new Map(existingTokens
+        .filter(token => !token.burnedAt)
+        .map(token => [duplicateKey(token), token.id]));
+    const seen = new Map();
+
+    return rows.map(row => {
+        if (row.errors.length > 0) return { ...row, duplicate: null };
+        const key = duplicateKey(row);
+        let duplicate = null;
+        if (existing.has(key)) {
+            duplicate = { tokenId: existing.get(key) };
+        } else if (seen.has(key)) {
+            duplicate = { line: seen.get(key) };
+        } else {
+            seen.set(key, row.line);
+        }
+        return { ...row, duplicate };
+    });
+}
+
+/**
+ * @notice Finds the SBT a job row minted: same recipient, task type and title, issued after `since` (ms).
+ * @returns The token, or null.
+ */
+export function findRowToken(tokens, row, since) {
+    const key = duplicateKey(row);
+    return tokens.find(token => !token.burnedAt && token.issuedAt >= since && duplicateKey(token) === key) || null;
+}
+
+export const describeDuplicate = (duplicate) => (duplicate.tokenId !== undefined
+    ? `Recipient already holds SBT #${duplicate.tokenId}`
+    : `Repeats row ${duplicate.line}`);
+
+// --- Batch Job ---
+
+/**
+ * @notice Builds a mint job from previewed rows. Rows with errors are left out; duplicates are skipped
+ * unless `includeDuplicates` is set.
+ */
+export function createBulkJob(rows, { issuer, fileName, includeDuplicates = false, now = Date.now() }) {
+    return {
+        id: `${now}`,
+        issuer: issuer.toLowerCase(),
+        fileName,
+        createdAt: now,
+        rows: rows.filter(row => row.errors.length === 0).map(row => {
+            const skip = row.duplicate && !includeDuplicates;
+            return {
+                line: row.line,
+                recipient: row.recipient,
+                taskType: row.taskType,
+                pointLevel: row.pointLevel,
+                title: row.title,
+                status: skip ? BULK_ROW_STATUS.SKIPPED : BULK_ROW_STATUS.PENDING,
+                tokenId: null,
+                txHash: null,
+                error: skip ? describeDuplicate(row.duplicate) : null,
+            };
+        }),
+    };
+}
+
+const updateRow = (job, index, patch) => ({
+    ...job,
+    rows: job.rows.map((row, i) => (i === index ? { ...row, ...patch } : row)),
+});
+
+/**
+ * @notice Counts the job's rows per BULK_ROW_STATUS.
+ */
+export function summarizeBulkJob(job) {
+    const counts = Object.fromEntries(Object.values(BULK_ROW_STATUS).map(status => [status, 0]));
+    job.rows.forEach(row => counts[row.status]++);
+    return counts;
+}
+
+/**
+ * @notice Returns the job with its failed rows queued again.
+ */
+export function retryFailedRows(job) {
+    return {
+        ...job,
+        rows: job.rows.map(row => (row.status === BULK_ROW_STATUS.FAILED
+            ? { ...row, status: BULK_ROW_STATUS.PENDING, error: null }
+            : row)),
+    };
+}
+
+/**
+ * @notice Mints the job's pending rows in order, saving the job after every status change.
+ * @dev Interrupted rows (sent before a reload) are first looked up with `findIssued`; only rows that
+ * did not land on chain are sent again. A failed row does not stop the batch.
+ * @param mint async (row) => { sbt, txHash }; throws on failure.
+ * @param findIssued async (row) => the matching SBT, or null.
+ * @param save (job) => void, called after every change (saveBulkJob).
+ * @param shouldStop () => boolean, checked between rows.
+ * @returns The final job.
+ */
+export async function runBulkJob(job, { mint, findIssued, save, shouldStop = () => false }) {
+    let current = job;
+    const commit = (index, patch) => {
+        current = updateRow(current, index, patch);
+        save(current);
+    };
+
+    for (let i = 0; i < current.rows.length; i++) {
+        if (shouldStop()) break;
+        const row = current.rows[i];
+
+        if (row.status === BULK_ROW_STATUS.INTERRUPTED) {
+            try {
+                const issued = await findIssued(row);
+                if (issued) {
+                    commit(i, { status: BULK_ROW_STATUS.MINTED, tokenId: issued.id, error: null });
+                    continue;
+                }
+            } catch (e) {
+                commit(i, { status: BULK_ROW_STATUS.FAILED, error: `Could not check the earlier attempt: ${e.message}` });
+                continue;
+            }
+        } else if (row.status !== BULK_ROW_STATUS.PENDING) {
+            continue;
+        }
+
+        commit(i, { status: BULK_ROW_STATUS.SENDING, error: null });
+        try {
+            const { sbt, txHash } = await mint(row);
+            commit(i, { status: BULK_ROW_STATUS.MINTED, tokenId: sbt.id, txHash });
+        } catch (e) {
+            commit(i, { status: BULK_ROW_STATUS.FAILED, error: e.message });
+        }
+    }
+    return current;
+}
+
+// --- Persistence (one job per issuer) ---
+
+const storageKey = (issuer) => `${JOB_STORAGE_PREFIX}${issuer.toLowerCase()}`;
+
+export function saveBulkJob(job, storage = globalThis.localStorage) {
+    storage.setItem(storageKey(job.issuer), JSON.stringify(job));
+}
+
+/**
+ * @notice Loads the issuer's saved job. Rows that were being sent when the page closed come back
+ * as INTERRUPTED.
+ * @returns The job, or null when none is saved.
+ */
+export function loadBulkJob(issuer, storage = globalThis.localStorage) {
+    const saved = storage.getItem(storageKey(issuer));
+    if (!saved) return null;
+    const job = JSON.parse(saved);
+    return {
+        ...job,
+        rows: job.rows.map(row => (row.status === BULK_ROW_STATUS.SENDING
+            ? { ...row, status: BULK_ROW_STATUS.INTERRUPTED }
+            : row)),
+    };
+}
+
+export function clearBulkJob(issuer, storage = globalThis.localStorage) {
+    storage.removeItem(storageKey(issuer));
+}
+
+// --- Results ---
+
+/**
+ * @notice Results file: the uploaded fields plus status, token id, transaction hash and error per row.
+ */
+export function toBulkResultsCSV(job) {
+    return toCSV([
+        ['line', 'recipient', 'taskType', 'pointLevel', 'title', 'status', 'tokenId', 'txHash', 'error'],
+        ...job.rows.map(row => [
+            row.line,
+            row.recipient,
+            toTaskTypeName(row.taskType),
+            toPointLevelName(row.pointLevel),
+            row.title,
+            row.status,
+            row.tokenId ?? '',
+            row.txHash ?? '',
+            row.error ?? '',
+        ]),
+    ]);
+}
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { APP_CONFIG } from './appConfig.js';
+import { downloadFile } from './fileDownload.js';
+import {
+    BULK_ROW_STATUS,
+    MAX_BULK_ROWS,
+    readBulkFile,
+    parseBulkRows,
+    fetchHolderTokens,
+    markDuplicates,
+    findRowToken,
+    createBulkJob,
+    summarizeBulkJob,
+    retryFailedRows,
+    runBulkJob,
+    saveBulkJob,
+    loadBulkJob,
+    clearBulkJob,
+    toBulkResultsCSV,
+} from './bulkIssuance.js';
+import { loadIssuerSettings, applyCapToRows } from './issuerRubrics.js';
+import { useI18n } from './i18n.js';
+
+const SAMPLE_CSV = 'recipient,taskType,pointLevel,title\r\n0x0000000000000000000000000000000000000001,FINANCIAL_LITERACY_COURSE,LEVEL_B_HARMONY,Savings Group Training - Cohort 3\r\n';
+
+const STATUS_STYLES = {
+    [BULK_ROW_STATUS.PENDING]: 'bg-gray-100 text-gray-700',
+    [BULK_ROW_STATUS.SENDING]: 'bg-blue-100 text-blue-800',
+    [BULK_ROW_STATUS.INTERRUPTED]: 'bg-orange-100 text-orange-800',
+    [BULK_ROW_STATUS.MINTED]: 'bg-green-100 text-green-800',
+    [BULK_ROW_STATUS.FAILED]: 'bg-red-100 text-red-800',
+    [BULK_ROW_STATUS.SKIPPED]: 'bg-yellow-100 text-yellow-800',
+};
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// --- Component: Bulk SBT Issuance (issuer dashboard tab) ---
+// Upload -> dry-run preview (validation + duplicates) -> batch mint with per-row status -> results file
+const BulkIssuancePanel = ({ walletAddress, sbtTokens, issueSBT, getContract, showToast }) => {
+    const [fileName, setFileName] = useState(null);
+    const [previewRows, setPreviewRows] = useState(null);
+    const [fileError, setFileError] = useState(null);
+    const [includeDuplicates, setIncludeDuplicates] = useState(false);
+    const [isChecking, setIsChecking] = useState(false);
+    const [job, setJob] = useState(() => loadBulkJob(walletAddress));
+    const [isRunning, setIsRunning] = useState(false);
+    const stopRequested = useRef(false);
+    const { t, formatDateTime, taskLabel, pointLevelLabel } = useI18n();
+
+    // Existing SBTs of the given recipients: read from the chain, or the session list with the mock backend
+    const loadHolderTokens = (recipients) => {
+        if (APP_CONFIG.backend !== 'contract') {
+            const wanted = new Set(recipients);
+            return Promise.resolve(sbtTokens.filter(token => wanted.has(token.recipient.toLowerCase())));
+        }
+        return fetchHolderTokens(getContract('soulboundToken'), recipients);
+    };
+
+    useEffect(() => {
+        setJob(loadBulkJob(walletAddress));
+    }, [walletAddress]);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow re-uploading the same file after fixing it
+        if (!file) return;
+
+        setFileName(file.name);
+        setPreviewRows(null);
+        setFileError(null);
+        setIsChecking(true);
+        try {
+            const rows = parseBulkRows(await readBulkFile(file));
+            const recipients = rows.filter(row => row.errors.length === 0).map(row => row.recipient);
+            const tokens = await loadHolderTokens(recipients);
+            const { cap } = loadIssuerSettings(walletAddress);
+            setPreviewRows(markDuplicates(applyCapToRows(rows, tokens, { issuer: walletAddress, cap }), tokens));
+        } catch (err) {
+            setFileError(err.message);
+        } finally {
+            setIsChecking(false);
+        }
+    };
+
+    const preview = useMemo(() => {
+        if (!previewRows) return null;
+        const invalid = previewRows.filter(row => row.errors.length > 0).length;
+        const duplicates = previewRows.filter(row => row.duplicate).length;
+        const toMint = previewRows.length - invalid - (includeDuplicates ? 0 : duplicates);
+        return { invalid, duplicates, toMint };
+    }, [previewRows, includeDuplicates]);
+
+    const startJob = () => {
+        const newJob = createBulkJob(previewRows, { issuer: walletAddress, fileName, includeDuplicates });
+        saveBulkJob(newJob);
+        setJob(newJob);
+        setPreviewRows(null);
+        runJob(newJob);
+    };
+
+    const runJob = async (jobToRun) => {
+        stopRequested.current = false;
+        setIsRunning(true);
+        try {
+            const finished = await runBulkJob(jobToRun, {
+                mint: async (row) => {
+                    const { success, message, sbt, txHash } = await issueSBT(row.recipient, row.taskType, row.pointLevel, row.title);
+                    if (!success) throw new Error(message);
+                    return { sbt, txHash };
+                },
+                findIssued: async (row) => findRowToken(await loadHolderTokens([row.recipient]), row, jobToRun.createdAt),
+                save: (updated) => {
+                    saveBulkJob(updated);
+                    setJob(updated);
+                },
+                shouldStop: () => stopRequested.current,
+            });
+            const counts = summarizeBulkJob(finished);
+            showToast(
+                stopRequested.current
+                    ? t('bulk.paused', { minted: counts.minted })
+                    : t('bulk.finished', { minted: counts.minted, failed: counts.failed, skipped: counts.skipped }),
+                counts.failed > 0 ? 'error' : 'success'
+            );
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    const discardJob = () => {
+        clearBulkJob(walletAddress);
+        setJob(null);
+    };
+
+    const downloadResults = () => {
+        const stamp = new Date(job.createdAt).toISOString().slice(0, 10);
+        downloadFile(`sbt-bulk-results-${stamp}.csv`, toBulkResultsCSV(job), 'text/csv');
+    };
+
+    const counts = job ? summarizeBulkJob(job) : null;
+    const remaining = counts ? counts.pending + counts.interrupted + counts.sending : 0;
+    const cap = loadIssuerSettings(walletAddress).cap;
+
+    return (
+        <div className="pt-6">
+            <h3 className="text-2xl font-bold text-gray-700 mb-4">{t('bulk.title')}</h3>
+
+            {/* --- Current / saved batch --- */}
+            {job && (
+                <div className="bg-white border border-yellow-300 p-5 rounded-xl mb-6">
+                    <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                        <div>
+                            <p className="font-semibold text-gray-800">{job.fileName}</p>
+                            <p className="text-xs text-gray-500">
+                                {t('bulk.jobSummary', {
+                                    date: formatDateTime(job.createdAt),
+                                    minted: counts.minted,
+                                    failed: counts.failed,
+                                    skipped: counts.skipped,
+                                    remaining,
+                                })}
+                            </p>
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                            {isRunning ? (
+                                <button onClick={() => { stopRequested.current = true; }} className="px-3 py-1 text-sm font-semibold text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                    {t('bulk.pause')}
+                                </button>
+                            ) : (
+                                <>
+                                    {remaining > 0 && (
+                                        <button onClick={() => runJob(job)} className="px-3 py-1 text-sm bg-yellow-600 text-white font-semibold rounded-lg hover:bg-yellow-700">
+                                            {t('bulk.resume', { count: remaining })}
+                                        </button>
+                                    )}
+                                    {counts.failed > 0 && (
+                                        <button onClick={() => runJob(retryFailedRows(job))} className="px-3 py-1 text-sm font-semibold text-red-700 border border-red-300 rounded-lg hover:bg-red-50">
+                                            {t('bulk.retryFailed', { count: counts.failed })}
+                                        </button>
+                                    )}
+                                    <button onClick={discardJob} className="px-3 py-1 text-sm font-semibold text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                        {t('bulk.discard')}
+                                    </button>
+                                </>
+                            )}
+                            <button onClick={downloadResults} className="px-3 py-1 text-sm font-semibold text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                {t('bulk.downloadResults')}
+                            </button>
+                        </div>
+                    </div>
+                    {counts.interrupted > 0 && !isRunning && (
+                        <p className="text-sm text-orange-700 mb-2">
+                            {t('bulk.interrupted', { count: counts.interrupted })}
+                        </p>
+                    )}
+                    <div className="max-h-96 overflow-y-auto">
+                        <table className="min-w-full text-xs">
+                            <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                                <tr>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.row')}</th>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.recipient')}</th>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.task')}</th>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.status')}</th>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.result')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {job.rows.map(row => (
+                                    <tr key={row.line}>
+                                        <td className="px-2 py-1">{row.line}</td>
+                                        <td className="px-2 py-1 font-mono">{shortAddress(row.recipient)}</td>
+                                        <td className="px-2 py-1">{taskLabel(row.taskType)} · {row.title}</td>
+                                        <td className="px-2 py-1">
+                                            <span className={`px-2 py-0.5 rounded-full font-semibold ${STATUS_STYLES[row.status]}`}>{t(`bulkStatus.${row.status}`)}</span>
+                                        </td>
+                                        <td className="px-2 py-1 break-all">
+                                            {row.tokenId !== null && `SBT #${row.tokenId} `}
+                                            {row.txHash && <span className="font-mono text-gray-500">{row.txHash}</span>}
+                                            {row.error && <span className="text-red-700">{row.error}</span>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {/* --- Upload & dry run --- */}
+            <div className="bg-yellow-50 p-6 rounded-xl space-y-4 shadow-inner">
+                <p className="text-sm text-yellow-800">
+                    {t('bulk.instructions', { max: MAX_BULK_ROWS })}{' '}
+                    <button onClick={() => downloadFile('sbt-bulk-template.csv', SAMPLE_CSV, 'text/csv')} className="underline font-semibold">
+                        {t('bulk.downloadTemplate')}
+                    </button>
+                </p>
+                <input
+                    type="file"
+                    accept=".csv,.xlsx,text/csv"
+                    onChange={handleFile}
+                    disabled={isRunning || isChecking}
+                    className="block w-full text-sm text-gray-700"
+                />
+                <p className="text-xs text-yellow-800">
+                    {t('bulk.capNotice', {
+                        cap: t('mint.capDescription', { count: cap.maxPerRecipient, level: pointLevelLabel(cap.minLevel), days: cap.periodDays }),
+                    })}
+                </p>
+                {isChecking && <p className="text-sm text-gray-600">{t('bulk.checking')}</p>}
+                {fileError && <p className="text-sm text-red-700">{fileError}</p>}
+            </div>
+
+            {previewRows && (
+                <div className="mt-6">
+                    <h4 className="text-xl font-bold text-gray-700 mb-2">{t('bulk.dryRun', { file: fileName })}</h4>
+                    <p className="text-sm text-gray-600 mb-3">
+                        {t('bulk.rows', { count: previewRows.length })}
+                        {' · '}<span className="text-red-700">{t('bulk.invalid', { count: preview.invalid })}</span>
+                        {' · '}<span className="text-yellow-700">{t('bulk.duplicates', { count: preview.duplicates })}</span>
+                        {' · '}<strong>{t('bulk.toMint', { count: preview.toMint })}</strong>.
+                        {' '}{t('bulk.nothingSent')}
+                    </p>
+                    <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+                        <table className="min-w-full text-xs">
+                            <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                                <tr>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.row')}</th>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.recipient')}</th>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.task')}</th>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.level')}</th>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.title')}</th>
+                                    <th className="px-2 py-1 text-start">{t('bulk.columns.check')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {previewRows.map(row => (
+                                    <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-50' : row.duplicate ? 'bg-yellow-50' : ''}>
+                                        <td className="px-2 py-1">{row.line}</td>
+                                        <td className="px-2 py-1 font-mono break-all">{row.recipient}</td>
+                                        <td className="px-2 py-1">{row.taskType !== -1 ? taskLabel(row.taskType) : '-'}</td>
+                                        <td className="px-2 py-1">{row.pointLevel !== -1 ? pointLevelLabel(row.pointLevel) : '-'}</td>
+                                        <td className="px-2 py-1">{row.title}</td>
+                                        <td className="px-2 py-1">
+                                            {row.errors.length > 0
+                                                ? <span className="text-red-700">{row.errors.join(' ')}</span>
+                                                : row.duplicate
+                                                    ? <span className="text-yellow-800">{row.duplicate.tokenId !== undefined
+                                                        ? t('bulk.alreadyHolds', { tokenId: String(row.duplicate.tokenId) })
+                                                        : t('bulk.repeatsRow', { line: row.duplicate.line })}</span>
+                                                    : <span className="text-green-700">{t('bulk.ok')}</span>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex flex-wrap justify-between items-center gap-3 mt-4">
+                        <label className="flex items-center text-sm text-gray-700">
+                            <input type="checkbox" checked={includeDuplicates} onChange={(e) => setIncludeDuplicates(e.target.checked)} className="me-2" />
+                            {t('bulk.includeDuplicates')}
+                        </label>
+                        <div className="flex gap-2">
+                            <button onClick={() => setPreviewRows(null)} className="px-4 py-2 text-sm font-semibold text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                {t('common.cancel')}
+                            </button>
+                            <button
+                                onClick={startJob}
+                                disabled={preview.toMint === 0 || isRunning || (job && remaining > 0)}
+                                title={job && remaining > 0 ? t('bulk.finishFirst') : undefined}
+                                className="px-4 py-2 text-sm bg-yellow-600 text-white font-semibold rounded-lg hover:bg-yellow-700 disabled:bg-gray-400"
+                            >
+                                {t('bulk.mint', { count: preview.toMint })}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BulkIssuancePanel;
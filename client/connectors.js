@@ -0,0 +1,185 @@
+// --- Wallet Connectors ---
+// One interface over the ways a user can sign: an injected EIP-1193 wallet (Valora, MetaMask),
+// WalletConnect (mobile wallets) and a dev signer for a local Hardhat node.
+//
+// connector.connect()            -> { provider, signer, address, chainId } (ethers v6)
+// connector.switchChain(chainId) -> asks the wallet to change network
+// connector.subscribe(handlers)  -> unsubscribe; handlers { onAccountsChanged(address), onChainChanged(chainId), onDisconnect() }
+// connector.disconnect()
+
+import { BrowserProvider, JsonRpcProvider, Network, Wallet } from 'ethers';
+import { CHAIN_IDS, NETWORKS, getNetwork, toHexChainId, addChainParams } from './networks.js';
+
+export const CONNECTOR_IDS = Object.freeze({
+    INJECTED: 'injected',
+    WALLET_CONNECT: 'walletConnect',
+    DEV_KEY: 'devKey',
+});
+
+// EIP-1193 / MetaMask error for wallet_switchEthereumChain on a chain the wallet does not know
+const UNRECOGNIZED_CHAIN = 4902;
+
+// --- EIP-1193 helpers (injected wallets and WalletConnect) ---
+
+async function openEip1193(ethereum) {
+    const provider = new BrowserProvider(ethereum);
+    const signer = await provider.getSigner(); // Prompts eth_requestAccounts
+    const { chainId } = await provider.getNetwork();
+    return { provider, signer, address: await signer.getAddress(), chainId: Number(chainId) };
+}
+
+async function switchEip1193Chain(ethereum, chainId) {
+    try {
+        await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: toHexChainId(chainId) }] });
+    } catch (e) {
+        const code = e.code ?? e.data?.originalError?.code;
+        if (code !== UNRECOGNIZED_CHAIN) throw e;
+        await ethereum.request({ method: 'wallet_addEthereumChain', params: [addChainParams(chainId)] });
+    }
+}
+
+function subscribeEip1193(ethereum, { onAccountsChanged, onChainChanged, onDisconnect }) {
+    // An empty account list means the user disconnected the site in the wallet
+    const accountsChanged = (accounts) => (accounts.length === 0 ? onDisconnect() : onAccountsChanged(accounts[0]));
+    const chainChanged = (chainId) => onChainChanged(Number(chainId));
+    const disconnect = () => onDisconnect();
+
+    ethereum.on('accountsChanged', accountsChanged);
+    ethereum.on('chainChanged', chainChanged);
+    ethereum.on('disconnect', disconnect);
+    return () => {
+        ethereum.removeListener('accountsChanged', accountsChanged);
+        ethereum.removeListener('chainChanged', chainChanged);
+        ethereum.removeListener('disconnect', disconnect);
+    };
+}
+
+// --- Connectors ---
+
+/**
+ * @notice Connector for the wallet injected by the browser or extension (window.ethereum).
+ */
+export function createInjectedConnector(ethereum = globalThis.ethereum) {
+    return {
+        id: CONNECTOR_IDS.INJECTED,
+        label: 'Browser Wallet',
+        isAvailable: () => !!ethereum,
+
+        async connect() {
+            if (!ethereum) {
+                throw new Error("No EIP-1193 wallet found. Install a Celo-compatible wallet.");
+            }
+            return openEip1193(ethereum);
+        },
+
+        switchChain: (chainId) => switchEip1193Chain(ethereum, chainId),
+        subscribe: (handlers) => subscribeEip1193(ethereum, handlers),
+
+        // A page cannot disconnect an injected wallet; the session just ends on our side
+        async disconnect() {},
+    };
+}
+
+/**
+ * @notice Connector for WalletConnect v2 (QR code / deep link to a mobile wallet).
+ * @dev @walletconnect/ethereum-provider is loaded on first use, so the app bundle only pays
+ * for it when a project id is configured. Localhost is not offered: a phone cannot reach it.
+ * @param projectId WalletConnect Cloud project id.
+ * @param chainId Required chain of the session (Celo when not a public chain); the other is optional.
+ */
+export function createWalletConnectConnector({ projectId, chainId = CHAIN_IDS.CELO }) {
+    const publicChains = [CHAIN_IDS.CELO, CHAIN_IDS.ALFAJORES];
+    const requiredChain = publicChains.includes(Number(chainId)) ? Number(chainId) : CHAIN_IDS.CELO;
+    let ethereum = null;
+
+    const init = async () => {
+        if (ethereum) return ethereum;
+        const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+        ethereum = await EthereumProvider.init({
+            projectId,
+            chains: [requiredChain],
+            optionalChains: publicChains.filter(id => id !== requiredChain),
+            rpcMap: Object.fromEntries(publicChains.map(id => [id, NETWORKS[id].rpcUrl])),
+            showQrModal: true,
+        });
+        return ethereum;
+    };
+
+    return {
+        id: CONNECTOR_IDS.WALLET_CONNECT,
+        label: 'WalletConnect',
+        isAvailable: () => !!projectId,
+
+        async connect() {
+            const wc = await init();
+            if (!wc.session) await wc.connect(); // Opens the QR modal
+            return openEip1193(wc);
+        },
+
+        switchChain: async (id) => switchEip1193Chain(await init(), id),
+        subscribe: (handlers) => (ethereum ? subscribeEip1193(ethereum, handlers) : () => {}),
+
+        async disconnect() {
+            if (ethereum && ethereum.session) await ethereum.disconnect();
+        },
+    };
+}
+
+/**
+ * @notice Connector that signs with a local key or an unlocked node account. Development only:
+ * never configure a funded mainnet key in a page.
+ * @param rpcUrl JSON-RPC endpoint (default: the Hardhat node).
+ * @param privateKey Hex private key; empty uses the node's unlocked account `accountIndex`.
+ * @param chainId The node's chain id (default 31337); the connector cannot switch networks.
+ */
+export function createDevKeyConnector({ rpcUrl = NETWORKS[CHAIN_IDS.LOCALHOST].rpcUrl, privateKey = '', accountIndex = 0, chainId = CHAIN_IDS.LOCALHOST } = {}) {
+    let provider = null;
+
+    return {
+        id: CONNECTOR_IDS.DEV_KEY,
+        label: 'Dev Signer (Hardhat)',
+        isAvailable: () => true,
+
+        async connect() {
+            if (provider) provider.destroy();
+            // A static network skips ethers' endless network detection when the node is down
+            provider = new JsonRpcProvider(rpcUrl, Network.from(chainId), { staticNetwork: true });
+            const nodeChainId = Number(await provider.send('eth_chainId', []));
+            if (nodeChainId !== chainId) {
+                throw new Error(`The node at ${rpcUrl} runs chain ${nodeChainId}, expected ${chainId}.`);
+            }
+            const signer = privateKey ? new Wallet(privateKey, provider) : await provider.getSigner(accountIndex);
+            return { provider, signer, address: await signer.getAddress(), chainId };
+        },
+
+        async switchChain(id) {
+            if (Number(id) === chainId) return;
+            throw new Error(`The dev signer is bound to ${getNetwork(chainId)?.name || `chain ${chainId}`}. Use a wallet to change networks.`);
+        },
+
+        // A local key has no account or network events
+        subscribe: () => () => {},
+
+        async disconnect() {
+            if (provider) provider.destroy();
+            provider = null;
+        },
+    };
+}
+
+/**
+ * @notice The connectors offered by the app, from the configuration.
+ * @param config { ethereum, walletConnectProjectId, defaultChainId, devSigner: { enabled, rpcUrl, privateKey, accountIndex } }
+ * @returns Connectors in display order. The injected one is always listed (isAvailable() tells
+ * whether a wallet was found); WalletConnect and the dev signer only when configured.
+ */
+export function createConnectors({ ethereum, walletConnectProjectId = '', defaultChainId, devSigner = {} }) {
+    const connectors = [createInjectedConnector(ethereum)];
+    if (walletConnectProjectId) {
+        connectors.push(createWalletConnectConnector({ projectId: walletConnectProjectId, chainId: defaultChainId }));
+    }
+    if (devSigner.enabled) {
+        connectors.push(createDevKeyConnector(devSigner));
+    }
+    return connectors;
+}
@@ -0,0 +1,9 @@
+// Type declarations for contractAbis.js (used by the TypeScript tests under test/).
+
+export const SOULBOUND_TOKEN_ABI: string[];
+export const AI_RISK_ORACLE_ABI: string[];
+export const LOAN_MANAGER_ABI: string[];
+export const POINT_LEDGER_ABI: string[];
+export const SCHOLARSHIP_MANAGER_ABI: string[];
+export const AID_CAMPAIGN_MANAGER_ABI: string[];
+export const ERC20_ABI: string[];
@@ -0,0 +1,104 @@
+// --- Contract ABIs (human-readable, ethers v6) ---
+// Only the functions and events the client uses are listed here.
+// Struct returns are spelled out so ethers can decode them by field name.
+
+export const SOULBOUND_TOKEN_ABI = [
+    'function issueSBT(address _holder, uint8 _taskType, uint8 _pointLevel, string _title, string _tokenURI)',
+    'function getSBTData(uint256 _tokenId) view returns (tuple(string title, uint8 taskType, uint8 pointLevel, address issuer, uint256 issuedAt))',
+    'function getSBTsByHolder(address _holder) view returns (uint256[])',
+    'function getTotalSBTsMinted() view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function isIssuer(address account) view returns (bool)',
+    'function owner() view returns (address)',
+    'event SBTIssued(uint256 indexed tokenId, address indexed holder, uint8 taskType, uint8 pointLevel, uint256 points, uint256 issuedAt, address indexed issuer)',
+    'event SBTBurned(uint256 indexed tokenId, address indexed holder, uint256 timestamp)',
+];
+
+export const AI_RISK_ORACLE_ABI = [
+    'function publishScore(uint8 _scoreType, uint256 _scoreValue)',
+    'function getLatestScoreView(address _holder, uint8 _scoreType) view returns (uint256 scoreValue, bool isValid, uint256 age)',
+    'function getScoreMetadata(address _holder, uint8 _scoreType) view returns (tuple(uint256 scoreValue, uint256 publishedTimestamp, uint8 scoreType, address publishedBy))',
+    'function getConfiguration() view returns (uint256 _maxScoreAge, uint256 _minPublishInterval, bool _publishingPaused, bool _historyTrackingEnabled)',
+    'function canPublishScore(address _holder, uint8 _scoreType) view returns (bool canPublish, uint256 timeUntilNextPublish)',
+    'function getBatchScores(address[] _holders, uint8 _scoreType) view returns (uint256[] scores, bool[] validities)',
+    'function getScoreHistory(address _holder, uint8 _scoreType) view returns (tuple(uint256 scoreValue, uint256 timestamp)[])',
+    'function owner() view returns (address)',
+    'event ScorePublished(address indexed holder, uint8 indexed scoreType, uint256 scoreValue, uint256 publishedTimestamp, uint256 previousScore)',
+];
+
+export const LOAN_MANAGER_ABI = [
+    'function applyForLoan(uint256 _principalAmount)',
+    'function cancelLoanApplication()',
+    'function approveAndDisburseLoan(address _borrower, uint256 _durationDays)',
+    'function rejectLoanApplication(address _borrower)',
+    'function repayLoan()',
+    'function getLoanStatus(address _borrower) view returns (tuple(address borrower, uint256 principalAmount, uint256 interestRateBps, uint256 disbursedAt, uint256 durationDays, uint256 repaymentDeadline, bool isRepaid, bool isApproved))',
+    'function getRepaymentAmount(address _borrower) view returns (uint256 totalDue, uint256 principal, uint256 interest)',
+    'function getSystemStats() view returns (uint256 loansIssued, uint256 loansRepaid, uint256 principalDisbursed, uint256 principalRepaid, uint256 interestCollected, uint256 contractBalance)',
+    'function getContractAddresses() view returns (address oracle, address sbt, address pointLedger, address stableCoin)',
+    'function calculateTotalRepayment(uint256 _principal, uint256 _rateBps, uint256 _durationDays) pure returns (uint256)',
+    'function getEligibilityCriteria() view returns (uint256 minPoints, uint256 minAIScore, uint256 minAmount, uint256 maxAmount)',
+    'function loanSizeThreshold() view returns (uint256)',
+    'function loanAdmin() view returns (address)',
+    'function owner() view returns (address)',
+    'event LoanApplied(address indexed borrower, uint256 principal, uint256 rateBps, uint256 aiScore, uint256 reputationPoints, uint256 timestamp)',
+    'event LoanApproved(address indexed borrower, uint256 principal, uint256 durationDays, uint256 deadline, uint256 timestamp)',
+    'event LoanDisbursed(address indexed borrower, uint256 principal, uint256 totalRepaymentDue, uint256 interestAmount, uint256 timestamp)',
+    'event LoanRepaid(address indexed borrower, uint256 amountPaid, uint256 interestPaid, bool sbtMinted, bool isLate, uint256 timestamp)',
+    'event LoanCancelled(address indexed borrower, uint256 principal, uint256 timestamp)',
+];
+
+export const POINT_LEDGER_ABI = [
+    'function getTotalPoints(address _holder) view returns (uint256)',
+    'function getBatchPoints(address[] _holders) view returns (uint256[])',
+    'function getEligibilityCriteria() view returns (uint256 minPoints, uint256 minAIScore)',
+    'function checkServiceEligibility(address _holder) view returns (bool isEligible, uint256 currentPoints, uint256 currentAIScore)',
+    'function owner() view returns (address)',
+];
+
+export const SCHOLARSHIP_MANAGER_ABI = [
+    'function createProgram(string _name, string _description, uint8 _programType, uint8 _benefitType, uint256 _minReputationPoints, uint256 _minSocialScore, uint256 _benefitAmount, uint256 _discountPercentage, uint256 _maxRecipients, uint256 _applicationDeadline) returns (uint256 programId)',
+    'function updateProgramStatus(uint256 _programId, bool _isActive)',
+    'function applyForProgram(uint256 _programId, string _applicationNotes) returns (uint256 applicationId)',
+    'function reviewApplication(uint256 _applicationId, uint8 _decision, string _reviewNotes)',
+    'function disburseBenefit(uint256 _applicationId, string _discountCode)',
+    'function markAsCompleted(uint256 _applicationId)',
+    'function programs(uint256) view returns (string name, string description, uint8 programType, uint8 benefitType, address provider, bool isActive, uint256 minReputationPoints, uint256 minSocialScore, uint256 benefitAmount, uint256 discountPercentage, uint256 maxRecipients, uint256 currentRecipients, uint256 applicationDeadline, uint256 createdAt)',
+    'function applications(uint256) view returns (uint256 programId, address applicant, uint8 status, uint256 appliedAt, uint256 reviewedAt, uint256 disbursedAt, string applicationNotes, string reviewNotes, string discountCode, bool sbtRewarded)',
+    'function nextProgramId() view returns (uint256)',
+    'function getActivePrograms() view returns (uint256[])',
+    'function getUserApplications(address _user) view returns (uint256[])',
+    'function getProgramApplications(uint256 _programId) view returns (uint256[])',
+    'function checkProgramEligibility(address _user, uint256 _programId) view returns (bool isEligible, uint256 points, uint256 socialScore, string reason)',
+    'function authorizedProviders(address) view returns (bool)',
+    'function owner() view returns (address)',
+    'event ProgramCreated(uint256 indexed programId, string name, uint8 programType, address indexed provider, uint256 timestamp)',
+    'event ApplicationSubmitted(uint256 indexed applicationId, uint256 indexed programId, address indexed applicant, uint256 reputationPoints, uint256 socialScore, uint256 timestamp)',
+    'event ApplicationReviewed(uint256 indexed applicationId, uint8 status, address indexed reviewer, uint256 timestamp)',
+    'event BenefitDisbursed(uint256 indexed applicationId, address indexed recipient, uint8 benefitType, uint256 amount, string discountCode, uint256 timestamp)',
+    'event ApplicationCompleted(uint256 indexed applicationId, address indexed recipient, bool sbtRewarded, uint256 timestamp)',
+];
+
+export const AID_CAMPAIGN_MANAGER_ABI = [
+    'function createCampaign(string _title, uint8 _pointLevel, uint256 _budget, uint256 _endsAt) returns (uint256 campaignId)',
+    'function setCampaignActive(uint256 _campaignId, bool _isActive)',
+    'function redeemVoucher(tuple(uint256 campaignId, uint256 voucherId, address recipient, uint256 amount, uint256 expiresAt) _voucher, bytes _signature, string _tokenURI) returns (uint256 tokenId)',
+    'function getCampaign(uint256 _campaignId) view returns (tuple(address issuer, string title, uint8 pointLevel, uint256 budget, uint256 redeemedAmount, uint256 redeemedCount, uint256 endsAt, bool isActive, uint256 createdAt))',
+    'function getIssuerCampaigns(address _issuer) view returns (uint256[])',
+    'function getRedemption(uint256 _campaignId, uint256 _voucherId) view returns (tuple(address recipient, uint256 amount, uint256 tokenId, uint256 redeemedAt))',
+    'function hasRecipientRedeemed(uint256 _campaignId, address _recipient) view returns (bool)',
+    'function getTokenCampaign(uint256 _tokenId) view returns (uint256)',
+    'function owner() view returns (address)',
+    'event CampaignCreated(uint256 indexed campaignId, address indexed issuer, string title, uint256 budget, uint256 endsAt, uint256 timestamp)',
+    'event CampaignUpdated(uint256 indexed campaignId, bool isActive, uint256 timestamp)',
+    'event VoucherRedeemed(uint256 indexed campaignId, uint256 indexed voucherId, address indexed recipient, uint256 amount, uint256 tokenId, uint256 timestamp)',
+];
+
+// Celo stablecoins (cUSD/cEUR) are plain ERC-20s; the address comes from LoanManager.getContractAddresses
+export const ERC20_ABI = [
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+];
@@ -0,0 +1,38 @@
+// --- Contract Transaction Helpers ---
+// Shared by the action modules (loanActions.js, scholarshipActions.js) and the SBT backend: send a
+// write through the transaction manager, wait for the receipt, decode the event it emitted, and
+// surface revert reasons instead of raw RPC errors (txErrors.js).
+
+import { txManager } from './txManager.js';
+
+export { describeTxError, decodeTxError } from './txErrors.js';
+
+/**
+ * @notice Decodes the logs in a receipt that belong to `contract` and match `eventName`.
+ * @returns The parsed logs (use `.args` for named values).
+ */
+export function decodeEvents(contract, receipt, eventName) {
+    return receipt.logs
+        .map(log => {
+            try {
+                return contract.interface.parseLog(log);
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(parsed => parsed && parsed.name === eventName);
+}
+
+/**
+ * @notice Sends `contract[method](...args)` through the transaction manager, waits for it to be
+ * mined and decodes `eventName`.
+ * @param options.label What the pending-tx tray shows (default: the method name).
+ * @returns { txHash, blockNumber, event } where event is the first matching event's args (or null).
+ * @throws On rejection, revert or replacement; describeTxError(e) gives the readable reason.
+ */
+export async function sendAndWait(contract, method, args, eventName, { label } = {}) {
+    const tx = await txManager.send(contract, method, args, { label });
+    const receipt = await tx.wait();
+    const [event] = eventName ? decodeEvents(contract, receipt, eventName) : [];
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber, event: event ? event.args : null };
+}
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { APP_CONFIG } from './appConfig.js';
+import { downloadFile } from './fileDownload.js';
+import { describeTxError } from './contractTx.js';
+import { issueSBTCredentials, createPresentation, verifyDocument } from './verifiableCredentials.js';
+import { useI18n } from './i18n.js';
+
+const FORMATS = ['credentials', 'presentation'];
+
+// --- Component: Verification result ---
+const VerificationResult = ({ result }) => {
+    const { t } = useI18n();
+    return (
+        <div className={`p-4 rounded-lg text-sm ${result.valid ? 'bg-green-50 border-s-4 border-green-500' : 'bg-red-50 border-s-4 border-red-500'}`}>
+            <p className="font-bold mb-2">
+                {t(result.valid ? 'credentials.valid' : 'credentials.notValid', {
+                    subject: result.kind === 'presentation'
+                        ? t('credentials.presentationBy', { holder: result.holder })
+                        : t('credentials.credentialCount', { count: result.credentials.length }),
+                })}
+            </p>
+            {result.errors.map((error, i) => <p key={i} className="text-red-700">{error}</p>)}
+            <ul className="mt-2 space-y-1">
+                {result.credentials.map((credential, i) => (
+                    <li key={i}>
+                        {credential.valid ? '✓' : '✗'} SBT #{credential.tokenId ?? '?'}
+                        {' '}({[
+                            t(credential.signatureValid ? 'credentials.signatureOk' : 'credentials.signatureInvalid'),
+                            t(credential.onChain.exists ? 'credentials.onChain' : 'credentials.missing'),
+                            t(credential.onChain.heldByHolder ? 'credentials.held' : 'credentials.notHeld'),
+                            t(credential.onChain.dataMatches ? 'credentials.dataMatches' : 'credentials.dataDiffers'),
+                        ].join(', ')})
+                        {credential.errors.map((error, j) => <span key={j} className="block text-red-700 ms-4">{error}</span>)}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// --- Component: Holder Credential Export & Verifier ---
+// Exports chosen SBTs as W3C VCs/VPs signed with the holder's wallet (EIP-712), and checks
+// documents received from others against the chain.
+const CredentialExport = ({ walletAddress, sbtTokens, getContract, showToast }) => {
+    const [selected, setSelected] = useState(new Set());
+    const [format, setFormat] = useState('credentials');
+    const [challenge, setChallenge] = useState('');
+    const [domain, setDomain] = useState('');
+    const [isSigning, setIsSigning] = useState(false);
+    const [verifyInput, setVerifyInput] = useState('');
+    const [verifyChallenge, setVerifyChallenge] = useState('');
+    const [verification, setVerification] = useState(null);
+    const [isVerifying, setIsVerifying] = useState(false);
+    const { t, formatDate, taskLabel, pointLevelLabel } = useI18n();
+
+    const holderTokens = sbtTokens.filter(token => (token.recipient || '').toLowerCase() === walletAddress.toLowerCase());
+
+    const toggle = (tokenId) => setSelected(prev => {
+        const next = new Set(prev);
+        if (next.has(tokenId)) next.delete(tokenId); else next.add(tokenId);
+        return next;
+    });
+
+    const handleExport = async () => {
+        setIsSigning(true);
+        try {
+            const sbt = getContract('soulboundToken');
+            const credentials = await issueSBTCredentials(sbt, [...selected]);
+            const stamp = new Date().toISOString().slice(0, 10);
+            if (format === 'presentation') {
+                const presentation = await createPresentation(sbt.runner, credentials, { challenge: challenge.trim(), domain: domain.trim() });
+                downloadFile(`credo-presentation-${stamp}.json`, JSON.stringify(presentation, null, 2), 'application/json');
+            } else {
+                downloadFile(`credo-credentials-${stamp}.json`, JSON.stringify(credentials, null, 2), 'application/json');
+            }
+            showToast(t('credentials.exported', { count: credentials.length }), 'success');
+        } catch (e) {
+            console.error("Credential export failed: ", e);
+            showToast(describeTxError(e), 'error');
+        } finally {
+            setIsSigning(false);
+        }
+    };
+
+    const handleVerify = async () => {
+        setIsVerifying(true);
+        setVerification(null);
+        try {
+            const document = JSON.parse(verifyInput);
+            const sbt = getContract('soulboundToken');
+            setVerification(await verifyDocument(document, {
+                provider: sbt.runner.provider,
+                sbtContract: sbt.target,
+                challenge: verifyChallenge.trim() || undefined,
+            }));
+        } catch (e) {
+            showToast(e instanceof SyntaxError ? t('credentials.invalidJson') : describeTxError(e), 'error');
+        } finally {
+            setIsVerifying(false);
+        }
+    };
+
+    if (APP_CONFIG.backend !== 'contract') {
+        return (
+            <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto">
+                <h2 className="text-3xl font-extrabold text-gray-800 mb-4">{t('credentials.title')}</h2>
+                <p className="text-gray-600">{t('credentials.contractOnly')}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto space-y-8">
+            <div>
+                <h2 className="text-3xl font-extrabold text-gray-800 mb-2">{t('credentials.title')}</h2>
+                <p className="text-gray-600 text-sm">{t('credentials.intro')}</p>
+            </div>
+
+            <div className="space-y-2">
+                {holderTokens.length === 0 && <p className="text-gray-500">{t('credentials.noTokens')}</p>}
+                {holderTokens.map(token => (
+                    <label key={token.id} className="flex items-center p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-gray-100">
+                        <input type="checkbox" checked={selected.has(token.id)} onChange={() => toggle(token.id)} className="me-3" />
+                        <span className="flex-1">
+                            <span className="font-semibold text-gray-800">{token.title}</span>
+                            <span className="block text-xs text-gray-500">
+                                #{token.id} · {taskLabel(token.taskType)} · {pointLevelLabel(token.pointLevel)} · {formatDate(token.issuedAt)}
+                            </span>
+                        </span>
+                    </label>
+                ))}
+            </div>
+
+            <div className="bg-indigo-50 p-5 rounded-xl space-y-3">
+                {FORMATS.map(value => (
+                    <label key={value} className="flex items-center text-sm text-gray-700">
+                        <input type="radio" name="credentialFormat" value={value} checked={format === value} onChange={() => setFormat(value)} className="me-2" />
+                        {t(`credentials.formats.${value}`)}
+                    </label>
+                ))}
+                {format === 'presentation' && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <input type="text" value={challenge} onChange={(e) => setChallenge(e.target.value)} placeholder={t('credentials.challengePlaceholder')} className="p-2 text-sm border border-gray-300 rounded-lg" />
+                        <input type="text" value={domain} onChange={(e) => setDomain(e.target.value)} placeholder={t('credentials.domainPlaceholder')} className="p-2 text-sm border border-gray-300 rounded-lg" />
+                    </div>
+                )}
+                <p className="text-xs text-gray-500">
+                    {t(format === 'presentation' ? 'credentials.signaturesPresentation' : 'credentials.signatures')}
+                </p>
+                <button
+                    onClick={handleExport}
+                    disabled={isSigning || selected.size === 0}
+                    className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:bg-indigo-300"
+                >
+                    {isSigning ? t('credentials.awaitingSignatures') : t('credentials.export', { count: selected.size })}
+                </button>
+            </div>
+
+            <div className="border-t pt-6 space-y-3">
+                <h3 className="text-xl font-bold text-gray-700">{t('credentials.verifyTitle')}</h3>
+                <textarea
+                    value={verifyInput}
+                    onChange={(e) => setVerifyInput(e.target.value)}
+                    rows={6}
+                    placeholder={t('credentials.pastePlaceholder')}
+                    className="w-full p-2 font-mono text-xs border border-gray-300 rounded-lg"
+                />
+                <div className="flex gap-2">
+                    <input type="text" value={verifyChallenge} onChange={(e) => setVerifyChallenge(e.target.value)} placeholder={t('credentials.expectedChallenge')} className="flex-1 p-2 text-sm border border-gray-300 rounded-lg" />
+                    <button
+                        onClick={handleVerify}
+                        disabled={isVerifying || !verifyInput.trim()}
+                        className="px-4 py-2 bg-gray-800 text-white font-semibold rounded-lg hover:bg-gray-900 disabled:bg-gray-400"
+                    >
+                        {isVerifying ? t('credentials.verifying') : t('common.verify')}
+                    </button>
+                </div>
+                {verification && <VerificationResult result={verification} />}
+            </div>
+        </div>
+    );
+};
+
+export default CredentialExport;
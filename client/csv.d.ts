@@ -0,0 +1,5 @@
+// Type declarations for csv.js (used by the TypeScript tests under test/).
+
+export function csvCell(value: unknown): string;
+export function toCSV(rows: unknown[][]): string;
+export function parseCSV(text: string): string[][];
@@ -0,0 +1,66 @@
+// --- CSV (RFC 4180) reading and writing ---
+// Shared by the audit log exports (auditLog.js) and the bulk issuance upload (bulkIssuance.js).
+
+// Quotes a CSV cell; values that spreadsheets would run as formulas are prefixed with '
+export function csvCell(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @notice Joins rows of cells into CSV text with CRLF line endings.
+ */
+export function toCSV(rows) {
+    return rows.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * @notice Splits CSV text into rows of cells.
+ * @dev Handles quoted cells (with "" escapes and embedded line breaks), CRLF or LF endings and a
+ * leading byte order mark. Blank lines are dropped.
+ * @throws Error when a quoted cell is never closed.
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new Error("Malformed CSV: a quoted cell is never closed.");
+    }
+    if (cell !== '' || row.length > 0) endRow();
+    return rows;
+}
@@ -0,0 +1,28 @@
+// --- Deployment Manifest ---
+// deployments.json holds the contract addresses and deployment block per chain id. Update it after
+// every deployment; a host page can override single entries with CREDO_CONFIG.deployments.
+
+import MANIFEST from './deployments.json';
+import { getNetwork } from './networks.js';
+
+/**
+ * @notice The deployment of a chain: the manifest entry merged with the configured overrides.
+ * @param chainId The connected chain id.
+ * @param overrides { [chainId]: { contracts?, deploymentBlock? } } (APP_CONFIG.deployments).
+ * @returns { chainId, network, contracts, deploymentBlock, isDeployed }. isDeployed is false for
+ * unsupported chains and chains without a SoulboundToken address.
+ */
+export function resolveDeployment(chainId, overrides = {}) {
+    const network = getNetwork(chainId);
+    const entry = MANIFEST[String(chainId)] || {};
+    const override = overrides[String(chainId)] || {};
+    const contracts = { ...(entry.contracts || {}), ...(override.contracts || {}) };
+
+    return {
+        chainId: Number(chainId),
+        network,
+        contracts,
+        deploymentBlock: Number(override.deploymentBlock ?? entry.deploymentBlock ?? 0),
+        isDeployed: network !== null && !!contracts.soulboundToken,
+    };
+}
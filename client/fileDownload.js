@@ -0,0 +1,13 @@
+// Browser download of generated files (audit exports, bulk issuance results)
+
+/**
+ * @notice Saves generated text through a temporary object URL.
+ */
+export function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,213 @@
+// --- Localization ---
+// Message catalogs (client/locales/*.js), the active locale and locale-aware formatting.
+// Screens read their text through t() and format numbers, cUSD amounts and dates with the Intl
+// helpers below, so everything follows the locale picked in the header.
+// Enum labels (task types, point levels, program types, roles, routes) are looked up by their
+// codec name: the English catalog builds them from the codec tables, and `npm run check:i18n`
+// reports every key a catalog is missing.
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { TASK_TYPE_NAMES, POINT_LEVEL_NAMES } from './sbtCodec.js';
+import { PROGRAM_TYPE_NAMES, APPLICATION_STATUS_NAMES, BENEFIT_TYPE_NAMES } from './scholarshipCodec.js';
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+import ar from './locales/ar.js';
+import sw from './locales/sw.js';
+import ha from './locales/ha.js';
+
+/**
+ * @notice Supported locales. dir is the page direction; Arabic lays the app out right to left.
+ */
+export const LOCALES = Object.freeze({
+    en: { name: 'English', dir: 'ltr', catalog: en },
+    fr: { name: 'Français', dir: 'ltr', catalog: fr },
+    ar: { name: 'العربية', dir: 'rtl', catalog: ar },
+    sw: { name: 'Kiswahili', dir: 'ltr', catalog: sw },
+    ha: { name: 'Hausa', dir: 'ltr', catalog: ha },
+});
+
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'credo.locale';
+
+const isSupported = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+// The saved choice, else the first browser language we support ('fr-CA' -> 'fr'), else English
+function detectLocale() {
+    try {
+        const saved = globalThis.localStorage?.getItem(STORAGE_KEY);
+        if (saved && isSupported(saved)) return saved;
+    } catch (e) {
+        // Storage blocked: fall through to the browser languages
+    }
+    const languages = globalThis.navigator?.languages || [];
+    const match = languages.map(tag => tag.split('-')[0].toLowerCase()).find(isSupported);
+    return match || DEFAULT_LOCALE;
+}
+
+let activeLocale = detectLocale();
+const listeners = new Set();
+
+// <html lang dir> drive the browser's text direction and font selection
+function applyToDocument(locale) {
+    const root = globalThis.document?.documentElement;
+    if (!root) return;
+    root.lang = locale;
+    root.dir = LOCALES[locale].dir;
+}
+
+applyToDocument(activeLocale);
+
+export const getLocale = () => activeLocale;
+
+/**
+ * @notice Switches the app's language, saves the choice and re-renders every useI18n() consumer.
+ */
+export function setLocale(locale) {
+    if (!isSupported(locale)) throw new Error(`Unsupported locale "${locale}".`);
+    activeLocale = locale;
+    try {
+        globalThis.localStorage?.setItem(STORAGE_KEY, locale);
+    } catch (e) {
+        // The choice lasts for this session only
+    }
+    applyToDocument(locale);
+    listeners.forEach(listener => listener(locale));
+}
+
+// --- Messages ---
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+// Plural messages are objects keyed by Intl.PluralRules category ('one', 'few', 'other', ...)
+function selectPlural(locale, forms, count) {
+    const category = new Intl.PluralRules(locale).select(Number(count ?? 0));
+    return forms[category] ?? forms.other;
+}
+
+// "{name}" placeholders; numbers are formatted for the locale. A React element as a parameter
+// (a link, a bold amount) makes the result a fragment instead of a string.
+function interpolate(locale, message, params) {
+    const parts = message.split(/\{(\w+)\}/);
+    const values = parts.map((part, i) => {
+        if (i % 2 === 0) return part;
+        const value = params[part];
+        if (value === undefined || value === null) return `{${part}}`;
+        return typeof value === 'number' ? formatNumber(locale, value) : value;
+    });
+    if (values.every(value => typeof value === 'string')) return values.join('');
+    return React.createElement(React.Fragment, null, ...values.filter(value => value !== ''));
+}
+
+/**
+ * @notice The message for `key` in `locale`, falling back to English, then to the key itself
+ * (so a missing translation is visible on screen as well as in the check).
+ * @param params Placeholder values; `count` also selects the plural form.
+ */
+export function translate(locale, key, params = {}) {
+    let message = lookup(LOCALES[locale]?.catalog, key);
+    if (message === undefined && locale !== DEFAULT_LOCALE) message = lookup(en, key);
+    if (message === undefined) return key;
+    if (typeof message === 'object') message = selectPlural(locale, message, params.count);
+    return interpolate(locale, message, params);
+}
+
+/**
+ * @notice translate() in the active locale, for code outside components (hook messages, toasts).
+ */
+export const t = (key, params) => translate(activeLocale, key, params);
+
+// --- Formatting ---
+
+export const formatNumber = (locale, value, options) => new Intl.NumberFormat(locale, options).format(value);
+
+/**
+ * @notice A cUSD amount (already in whole units). cUSD is a token, not an ISO currency, so the
+ * catalog decides where the symbol goes.
+ */
+export const formatCUSD = (locale, amount) => translate(locale, 'format.cusd', {
+    amount: formatNumber(locale, Number(amount), { maximumFractionDigits: 2 }),
+});
+
+/**
+ * @notice A rate in basis points as a percentage ("7.50%", "7,50 %", "٧٫٥٠٪").
+ */
+export const formatRate = (locale, rateBps) => formatNumber(locale, Number(rateBps) / 10000, {
+    style: 'percent',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+});
+
+export const formatDate = (locale, value, options = { dateStyle: 'medium' }) => new Intl.DateTimeFormat(locale, options).format(new Date(value));
+
+export const formatDateTime = (locale, value) => formatDate(locale, value, { dateStyle: 'medium', timeStyle: 'short' });
+
+export const formatTime = (locale, value) => formatDate(locale, value, { timeStyle: 'short' });
+
+/**
+ * @notice "5 minutes ago", "in 3 days" in the locale's words.
+ */
+export function formatRelative(locale, value, now = Date.now()) {
+    const seconds = Math.round((new Date(value).getTime() - now) / 1000);
+    const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+    const [unit, size] = units.find(([, unitSeconds]) => Math.abs(seconds) >= unitSeconds) || ['second', 1];
+    return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+}
+
+// --- Enum Labels ---
+
+// Label of an enum index through its codec name; unknown indexes use `<group>.UNKNOWN`
+const enumLabel = (group, names) => (locale, index) => translate(locale, `${group}.${names[Number(index)] ?? 'UNKNOWN'}`);
+
+export const taskLabel = enumLabel('taskTypes', TASK_TYPE_NAMES);
+export const pointLevelLabel = enumLabel('pointLevels', POINT_LEVEL_NAMES);
+export const programTypeLabel = enumLabel('programTypes', PROGRAM_TYPE_NAMES);
+export const applicationStatusLabel = enumLabel('applicationStatuses', APPLICATION_STATUS_NAMES);
+export const benefitTypeLabel = enumLabel('benefitTypes', BENEFIT_TYPE_NAMES);
+export const roleLabel = (locale, role) => translate(locale, `roles.${role}`);
+export const routeLabel = (locale, route) => translate(locale, `routes.${route.view}`);
+
+// --- React ---
+
+/**
+ * @notice Every helper above bound to one locale: { locale, dir, t, formatNumber, formatCUSD,
+ * formatRate, formatDate, formatDateTime, formatTime, formatRelative, taskLabel, pointLevelLabel,
+ * programTypeLabel, applicationStatusLabel, benefitTypeLabel, roleLabel, routeLabel }.
+ */
+export function bindLocale(locale) {
+    const bind = (helper) => (...args) => helper(locale, ...args);
+    return {
+        locale,
+        dir: LOCALES[locale].dir,
+        t: bind(translate),
+        formatNumber: bind(formatNumber),
+        formatCUSD: bind(formatCUSD),
+        formatRate: bind(formatRate),
+        formatDate: bind(formatDate),
+        formatDateTime: bind(formatDateTime),
+        formatTime: bind(formatTime),
+        formatRelative: bind(formatRelative),
+        taskLabel: bind(taskLabel),
+        pointLevelLabel: bind(pointLevelLabel),
+        programTypeLabel: bind(programTypeLabel),
+        applicationStatusLabel: bind(applicationStatusLabel),
+        benefitTypeLabel: bind(benefitTypeLabel),
+        roleLabel: bind(roleLabel),
+        routeLabel: bind(routeLabel),
+    };
+}
+
+/**
+ * @notice Hook returning the bound helpers for the active locale; re-renders on setLocale().
+ */
+export function useI18n() {
+    const [locale, setLocaleState] = useState(getLocale);
+
+    useEffect(() => {
+        listeners.add(setLocaleState);
+        setLocaleState(getLocale()); // A switch between render and subscribe
+        return () => listeners.delete(setLocaleState);
+    }, []);
+
+    return useMemo(() => bindLocale(locale), [locale]);
+}
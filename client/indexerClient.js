@@ -0,0 +1,71 @@
+// --- Event Indexer Client ---
+// Reads the query API served by indexer/index.mjs (SQLite index of SBTIssued, SBTBurned,
+// ScorePublished, loan, scholarship and aid campaign events). Timestamps are ms; uint256 args are decimal strings.
+
+/**
+ * @notice Thrown when the indexer is unreachable or answers with an error.
+ */
+export class IndexerRequestError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'IndexerRequestError';
+        this.status = status;
+    }
+}
+
+/**
+ * @notice Creates a client for the indexer at `baseUrl` (APP_CONFIG.indexerUrl).
+ * @returns { getStatus, getTotals, getIssuerCounts, querySBTs, fetchAllSBTs, getHolderHistory }
+ */
+export function createIndexerClient(baseUrl, { fetchImpl = globalThis.fetch } = {}) {
+    if (!baseUrl) {
+        throw new Error("No indexer URL configured. Set indexerUrl in CREDO_CONFIG.");
+    }
+    const root = baseUrl.replace(/\/+$/, '');
+
+    const get = async (path) => {
+        let response;
+        try {
+            response = await fetchImpl(`${root}${path}`);
+        } catch (e) {
+            throw new IndexerRequestError(`Indexer unreachable at ${root}: ${e.message}`, 0);
+        }
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new IndexerRequestError(body.error || `Indexer returned HTTP ${response.status}.`, response.status);
+        }
+        return body;
+    };
+
+    /**
+     * @notice One page of SBTs matching an audit query (client/auditLog.js toAuditQuery).
+     * @returns { total, offset, limit, items } newest first.
+     */
+    const querySBTs = (query = {}, { offset = 0, limit = 100 } = {}) => {
+        const params = new URLSearchParams({ offset: String(offset), limit: String(limit) });
+        Object.entries(query).forEach(([key, value]) => params.set(key, String(value)));
+        return get(`/sbts?${params}`);
+    };
+
+    /**
+     * @notice Every SBT matching the query, read page by page (exports and campaign reports).
+     */
+    const fetchAllSBTs = async (query = {}, { pageSize = 1000 } = {}) => {
+        const items = [];
+        let page;
+        do {
+            page = await querySBTs(query, { offset: items.length, limit: pageSize });
+            items.push(...page.items);
+        } while (page.items.length > 0 && items.length < page.total);
+        return items;
+    };
+
+    return {
+        getStatus: () => get('/status'),
+        getTotals: () => get('/totals'),
+        getIssuerCounts: () => get('/issuers'),
+        querySBTs,
+        fetchAllSBTs,
+        getHolderHistory: (holder) => get(`/holders/${holder}`),
+    };
+}
@@ -0,0 +1,626 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { formatUnits } from 'ethers';
+import { TASK_TYPES, POINT_LEVELS } from './sbtCodec.js';
+import { APP_CONFIG } from './appConfig.js';
+import { createIndexerClient } from './indexerClient.js';
+import { SCORE_TYPES } from './scoringEngine.js';
+import {
+    EMPTY_AUDIT_FILTERS,
+    toAuditQuery,
+    filterSBTs,
+    toAuditCSV,
+    toAuditJSON,
+    buildCampaignReport,
+    renderCampaignReportHtml,
+} from './auditLog.js';
+import { analyzeIssuance, previewPenalizedScores, toRiskFlagsCSV } from './sybilDetection.js';
+import { downloadFile } from './fileDownload.js';
+import { useI18n } from './i18n.js';
+
+const STABLECOIN_DECIMALS = 18; // cUSD
+const SCORE_TYPE_NAMES = Object.fromEntries(Object.entries(SCORE_TYPES).map(([name, index]) => [index, name]));
+const PAGE_SIZE = 25;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// One-line summary of an indexed event for the holder history. Ids stay strings so they are not
+// grouped like amounts ("#1,024").
+const describeIndexedEvent = ({ event, args }, { t, formatNumber, formatCUSD, formatRate, taskLabel, applicationStatusLabel }) => {
+    const cUSD = (amount) => formatCUSD(formatUnits(BigInt(amount), STABLECOIN_DECIMALS));
+    switch (event) {
+        case 'SBTIssued': return t('events.SBTIssued', { tokenId: String(args.tokenId), task: taskLabel(args.taskType), points: Number(args.points) });
+        case 'SBTBurned': return t('events.SBTBurned', { tokenId: String(args.tokenId) });
+        case 'ScorePublished': return t('events.ScorePublished', {
+            scoreType: t(`scoreTypes.${SCORE_TYPE_NAMES[Number(args.scoreType)]}`),
+            score: Number(args.scoreValue),
+            previous: Number(args.previousScore),
+        });
+        case 'LoanApplied': return t('events.LoanApplied', { amount: cUSD(args.principal), rate: formatRate(args.rateBps) });
+        case 'LoanApproved': return t('events.LoanApproved', { count: Number(args.durationDays) });
+        case 'LoanDisbursed': return t('events.LoanDisbursed', { amount: cUSD(args.principal), due: cUSD(args.totalRepaymentDue) });
+        case 'LoanRepaid': return t(args.isLate ? 'events.LoanRepaidLate' : 'events.LoanRepaid', { amount: cUSD(args.amountPaid) });
+        case 'LoanCancelled': return t('events.LoanCancelled');
+        case 'ApplicationSubmitted': return t('events.ApplicationSubmitted', { programId: String(args.programId) });
+        case 'ApplicationReviewed': return t('events.ApplicationReviewed', { applicationId: String(args.applicationId), status: applicationStatusLabel(args.status) });
+        case 'BenefitDisbursed': return t('events.BenefitDisbursed', { applicationId: String(args.applicationId) });
+        case 'ApplicationCompleted': return t('events.ApplicationCompleted', { applicationId: String(args.applicationId) });
+        case 'VoucherRedeemed': return t('events.VoucherRedeemed', {
+            voucherId: String(args.voucherId),
+            campaignId: String(args.campaignId),
+            amount: cUSD(args.amount),
+            tokenId: String(args.tokenId),
+        });
+        default: return event;
+    }
+};
+
+// --- Component: Audit log filter bar ---
+const AuditLogFilters = ({ form, onChange, onApply, onReset }) => {
+    const { t, taskLabel, pointLevelLabel } = useI18n();
+    const update = (field) => (e) => onChange(prev => ({ ...prev, [field]: e.target.value }));
+    const inputClass = "w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-yellow-500 focus:border-yellow-500";
+
+    return (
+        <form
+            onSubmit={(e) => { e.preventDefault(); onApply(); }}
+            className="grid grid-cols-2 md:grid-cols-4 gap-3 bg-gray-50 p-4 rounded-xl shadow-inner"
+        >
+            <input type="text" value={form.issuer} onChange={update('issuer')} placeholder={t('audit.issuerPlaceholder')} className={`${inputClass} font-mono md:col-span-2`} />
+            <input type="text" value={form.recipient} onChange={update('recipient')} placeholder={t('audit.recipientPlaceholder')} className={`${inputClass} font-mono md:col-span-2`} />
+            <select value={form.taskType} onChange={update('taskType')} className={inputClass}>
+                <option value="">{t('audit.allTaskTypes')}</option>
+                {Object.values(TASK_TYPES).map(value => <option key={value} value={value}>{taskLabel(value)}</option>)}
+            </select>
+            <select value={form.pointLevel} onChange={update('pointLevel')} className={inputClass}>
+                <option value="">{t('audit.allPointLevels')}</option>
+                {Object.values(POINT_LEVELS).map(value => <option key={value} value={value}>{pointLevelLabel(value)}</option>)}
+            </select>
+            <label className="text-xs text-gray-500">
+                {t('audit.from')}
+                <input type="date" value={form.from} onChange={update('from')} className={inputClass} />
+            </label>
+            <label className="text-xs text-gray-500">
+                {t('audit.to')}
+                <input type="date" value={form.to} onChange={update('to')} className={inputClass} />
+            </label>
+            <div className="md:col-span-4 flex justify-end gap-2">
+                <button type="button" onClick={onReset} className="px-4 py-2 text-sm font-semibold text-gray-600 border border-gray-300 rounded-lg hover:bg-white">
+                    {t('audit.reset')}
+                </button>
+                <button type="submit" className="px-4 py-2 text-sm bg-yellow-500 text-white font-semibold rounded-lg hover:bg-yellow-600">
+                    {t('audit.applyFilters')}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// --- Component: On-screen campaign report (the printable version is renderCampaignReportHtml) ---
+const CampaignReportSummary = ({ report }) => {
+    const { t, formatNumber, formatDate } = useI18n();
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {[
+                    ['acknowledgements', report.totalAcknowledgements],
+                    ['uniqueRecipients', report.uniqueRecipients],
+                    ['repeatRecipients', report.repeatRecipients],
+                    ['issuers', report.byIssuer.length],
+                ].map(([key, value]) => (
+                    <div key={key} className="p-4 bg-green-50 rounded-xl shadow-inner">
+                        <p className="text-xs uppercase font-semibold text-green-700">{t(`report.${key}`)}</p>
+                        <p className="text-2xl font-black text-green-900">{formatNumber(value)}</p>
+                    </div>
+                ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                <div>
+                    <p className="font-semibold text-gray-700 mb-1">{t(`report.per.${report.bucket}`)}</p>
+                    <ul className="divide-y divide-gray-100 max-h-48 overflow-y-auto">
+                        {report.timeline.map(row => (
+                            <li key={row.periodStart} className="py-1 flex justify-between">
+                                <span>{formatDate(row.periodStart)}</span>
+                                <span>{t('report.periodRow', { count: row.acknowledgements, new: row.newRecipients })}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+                <div>
+                    <p className="font-semibold text-gray-700 mb-1">{t('report.byIssuer')}</p>
+                    <ul className="divide-y divide-gray-100 max-h-48 overflow-y-auto">
+                        {report.byIssuer.map(row => (
+                            <li key={row.issuer} className="py-1 flex justify-between">
+                                <span className="font-mono">{row.issuer === 'unknown' ? t('report.unknownIssuer') : shortAddress(row.issuer)}</span>
+                                <span>{t('report.issuerRow', { count: row.acknowledgements, recipients: row.uniqueRecipients })}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const SEVERITY_STYLES = {
+    high: 'bg-red-50 border-red-500',
+    medium: 'bg-yellow-50 border-yellow-500',
+    low: 'bg-gray-50 border-gray-400',
+};
+
+// Detail line of a flag; the parameters come from the detector's detail object
+const describeRiskFlag = (flag, { t, formatNumber }) => {
+    const { detail } = flag;
+    switch (flag.kind) {
+        case 'CIRCULAR_ISSUANCE': return t(detail.mentorship ? 'risk.descriptions.CIRCULAR_MENTORSHIP' : 'risk.descriptions.CIRCULAR_ISSUANCE', { length: detail.length });
+        case 'MINT_BURST': return t('risk.descriptions.MINT_BURST', { count: detail.count, seconds: Math.round(detail.spanMs / 1000) });
+        case 'ISSUER_CONCENTRATION': return t('risk.descriptions.ISSUER_CONCENTRATION', {
+            share: formatNumber(detail.share, { style: 'percent' }),
+            count: detail.highTierTokens,
+            recipients: detail.recipients,
+        });
+        case 'IDENTICAL_HISTORIES': return t('risk.descriptions.IDENTICAL_HISTORIES', { wallets: detail.walletCount, count: detail.historyLength });
+        default: return t(`risk.descriptions.${flag.kind}`);
+    }
+};
+
+// --- Component: What the optional token penalties would do to the flagged wallets' scores ---
+const PenaltyPreview = ({ rows }) => {
+    const { t, formatNumber } = useI18n();
+    const scoreTypes = Object.keys(SCORE_TYPES);
+    const change = ({ score, penalizedScore }) => (score === penalizedScore
+        ? formatNumber(score)
+        : t('risk.preview.change', { score: formatNumber(score), penalized: formatNumber(penalizedScore) }));
+
+    return (
+        <div className="space-y-2">
+            <h5 className="font-semibold text-gray-700">{t('risk.preview.title')}</h5>
+            <p className="text-xs text-gray-500">{t('risk.preview.intro')}</p>
+            <div className="overflow-x-auto max-h-72 overflow-y-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-3 py-2 text-start font-medium text-gray-500 uppercase">{t('risk.preview.wallet')}</th>
+                            <th className="px-3 py-2 text-end font-medium text-gray-500 uppercase">{t('risk.preview.flaggedSbts')}</th>
+                            {scoreTypes.map(scoreType => (
+                                <th key={scoreType} className="px-3 py-2 text-end font-medium text-gray-500 uppercase">{t(`scoreTypes.${scoreType}`)}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {rows.map(row => (
+                            <tr key={row.wallet}>
+                                <td className="px-3 py-2 font-mono">{shortAddress(row.wallet)}</td>
+                                <td className="px-3 py-2 text-end">{formatNumber(row.flaggedTokenIds.length)}</td>
+                                {scoreTypes.map(scoreType => (
+                                    <td key={scoreType} className="px-3 py-2 text-end">{change(row.scores[scoreType])}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+// --- Component: Issuance risk flags (sybilDetection.js over the filtered SBTs) ---
+const IssuanceRiskFlags = ({ analysis, preview }) => {
+    const i18n = useI18n();
+    const { t, formatNumber } = i18n;
+    const addresses = (list) => list.map(shortAddress).join(', ');
+
+    return (
+        <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+                {t('risk.summary', { flags: analysis.flags.length, wallets: analysis.wallets.length, count: analysis.tokenCount })}
+            </p>
+            {analysis.flags.length === 0 && <p className="text-sm text-gray-500 italic">{t('risk.none')}</p>}
+            <ul className="space-y-2 max-h-96 overflow-y-auto pe-2">
+                {analysis.flags.map(flag => (
+                    <li key={flag.id} className={`p-3 rounded-lg text-sm border-s-4 ${SEVERITY_STYLES[flag.severity]}`}>
+                        <p className="font-semibold text-gray-800">
+                            {t(`risk.kinds.${flag.kind}`)}
+                            <span className="ms-2 text-xs font-normal uppercase text-gray-500">{t(`risk.severity.${flag.severity}`)}</span>
+                            <span className="ms-2 text-xs font-normal text-gray-500">{t('risk.tokenCount', { count: flag.tokenIds.length })}</span>
+                        </p>
+                        <p className="text-gray-700">{describeRiskFlag(flag, i18n)}</p>
+                        <p className="text-xs text-gray-600 font-mono break-words">{t('risk.wallets', { wallets: addresses(flag.wallets) })}</p>
+                        {flag.kind !== 'CIRCULAR_ISSUANCE' && flag.kind !== 'SELF_ISSUANCE' && (
+                            <p className="text-xs text-gray-500 font-mono break-words">{t('risk.issuers', { issuers: addresses(flag.issuers) })}</p>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            {analysis.wallets.length > 0 && (
+                <p className="text-xs text-gray-500">
+                    {t('risk.mostFlagged', {
+                        wallets: analysis.wallets.slice(0, 5).map(row => `${shortAddress(row.wallet)} (${formatNumber(row.flagIds.length)})`).join(', '),
+                    })}
+                </p>
+            )}
+            {preview.length > 0 && <PenaltyPreview rows={preview} />}
+        </div>
+    );
+};
+
+// --- Component: Campaign Audit & Verification (issuer dashboard tab) ---
+// With an indexer configured, counts and history come from the SBTIssued/SBTBurned/... index of the
+// whole chain; otherwise the panel falls back to the tokens loaded in this wallet session.
+const IssuerAuditPanel = ({ sbtTokens }) => {
+    const indexer = useMemo(() => (APP_CONFIG.indexerUrl ? createIndexerClient(APP_CONFIG.indexerUrl) : null), []);
+
+    const [indexed, setIndexed] = useState(null); // { status, totals, issuers }
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const [holderQuery, setHolderQuery] = useState('');
+    const [holderHistory, setHolderHistory] = useState(null);
+    const [filterForm, setFilterForm] = useState(EMPTY_AUDIT_FILTERS);
+    const [query, setQuery] = useState({});
+    const [page, setPage] = useState(0);
+    const [logPage, setLogPage] = useState({ total: 0, items: [] });
+    const [isExporting, setIsExporting] = useState(false);
+    const [reportBucket, setReportBucket] = useState('week');
+    const [report, setReport] = useState(null);
+    const [riskAnalysis, setRiskAnalysis] = useState(null); // { analysis, preview }
+    const i18n = useI18n();
+    const { t, formatNumber, formatDate, formatDateTime, formatTime, taskLabel, pointLevelLabel } = i18n;
+
+    const refresh = useCallback(async () => {
+        if (!indexer) return;
+        setIsRefreshing(true);
+        try {
+            const [status, totals, issuers] = await Promise.all([
+                indexer.getStatus(),
+                indexer.getTotals(),
+                indexer.getIssuerCounts(),
+            ]);
+            setIndexed({ status, totals, issuers });
+            setLoadError(null);
+        } catch (e) {
+            setLoadError(e.message);
+        } finally {
+            setIsRefreshing(false);
+        }
+    }, [indexer]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const lookUpHolder = async (e) => {
+        e.preventDefault();
+        try {
+            setHolderHistory(await indexer.getHolderHistory(holderQuery.trim()));
+            setLoadError(null);
+        } catch (err) {
+            setHolderHistory(null);
+            setLoadError(err.message);
+        }
+    };
+
+    // Wallet-session fallback (the tokens this wallet loaded)
+    const sessionTokens = useMemo(() =>
+        sbtTokens.slice().sort((a, b) => b.issuedAt - a.issuedAt)
+    , [sbtTokens]);
+
+    // --- Audit log: filters are applied on submit, pages come from the indexer or the session ---
+    const applyFilters = () => {
+        setQuery(toAuditQuery(filterForm));
+        setPage(0);
+    };
+    const resetFilters = () => {
+        setFilterForm(EMPTY_AUDIT_FILTERS);
+        setQuery({});
+        setPage(0);
+    };
+
+    const sessionMatches = useMemo(() => filterSBTs(sessionTokens, query), [sessionTokens, query]);
+
+    useEffect(() => {
+        if (!indexer) {
+            setLogPage({ total: sessionMatches.length, items: sessionMatches.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE) });
+            return;
+        }
+        let cancelled = false;
+        indexer.querySBTs(query, { offset: page * PAGE_SIZE, limit: PAGE_SIZE })
+            .then(result => { if (!cancelled) setLogPage(result); })
+            .catch(e => { if (!cancelled) setLoadError(e.message); });
+        return () => { cancelled = true; };
+    }, [indexer, query, page, sessionMatches, indexed]);
+
+    const pageCount = Math.ceil(logPage.total / PAGE_SIZE);
+
+    // Every row matching `extraQuery` on top of the applied filters
+    const fetchMatching = (extraQuery = {}) => (indexer
+        ? indexer.fetchAllSBTs({ ...query, ...extraQuery })
+        : Promise.resolve(filterSBTs(sessionMatches, extraQuery)));
+
+    const exportLog = async (format) => {
+        setIsExporting(true);
+        try {
+            const tokens = await fetchMatching();
+            const stamp = new Date().toISOString().slice(0, 10);
+            if (format === 'csv') {
+                downloadFile(`sbt-audit-${stamp}.csv`, toAuditCSV(tokens), 'text/csv');
+            } else {
+                downloadFile(`sbt-audit-${stamp}.json`, toAuditJSON(tokens, query), 'application/json');
+            }
+        } catch (e) {
+            setLoadError(e.message);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const generateReport = async () => {
+        setIsExporting(true);
+        try {
+            const tokens = await fetchMatching({ taskType: TASK_TYPES.AID_DISBURSEMENT_RECEIVED });
+            setReport(buildCampaignReport(tokens, { from: query.from, to: query.to, bucket: reportBucket }));
+        } catch (e) {
+            setLoadError(e.message);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const analyzeRisk = async () => {
+        setIsExporting(true);
+        try {
+            const tokens = await fetchMatching();
+            const analysis = analyzeIssuance(tokens);
+            setRiskAnalysis({ analysis, preview: previewPenalizedScores(tokens, analysis, { asOf: Date.now() }) });
+        } catch (e) {
+            setLoadError(e.message);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const exportRiskFlags = () => {
+        const stamp = new Date().toISOString().slice(0, 10);
+        downloadFile(`sbt-risk-flags-${stamp}.csv`, toRiskFlagsCSV(riskAnalysis.analysis), 'text/csv');
+    };
+
+    const printReport = () => {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            setLoadError(t('audit.popupBlocked'));
+            return;
+        }
+        reportWindow.document.write(renderCampaignReportHtml(report));
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    };
+
+    const totalAidsAcknowledged = indexed
+        ? indexed.totals.sbts.aidAcknowledged
+        : sbtTokens.filter(token => token.taskType === TASK_TYPES.AID_DISBURSEMENT_RECEIVED).length;
+    const totalIssued = indexed ? indexed.totals.sbts.issued : sbtTokens.length;
+
+    return (
+        <div className="pt-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-2xl font-bold text-gray-700">{t('audit.title')}</h3>
+                {indexer && (
+                    <button
+                        onClick={refresh}
+                        disabled={isRefreshing}
+                        className="px-3 py-1 text-sm font-semibold text-yellow-700 border border-yellow-300 rounded-lg hover:bg-yellow-50 disabled:opacity-50"
+                    >
+                        {isRefreshing ? t('common.refreshing') : t('common.refresh')}
+                    </button>
+                )}
+            </div>
+
+            {loadError && <p className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg">{loadError}</p>}
+
+            <div className="grid grid-cols-3 gap-4 mb-6">
+                 <div className="p-4 bg-green-100 rounded-xl shadow-md">
+                    <p className="text-sm font-semibold text-green-700">{t('audit.totalAid')}</p>
+                    <p className="text-3xl font-black text-green-800 mt-1">{formatNumber(totalAidsAcknowledged)}</p>
+                </div>
+                <div className="p-4 bg-indigo-100 rounded-xl shadow-md">
+                    <p className="text-sm font-semibold text-indigo-700">{t('audit.totalIssued')}</p>
+                    <p className="text-3xl font-black text-indigo-800 mt-1">{formatNumber(totalIssued)}</p>
+                    {indexed && indexed.totals.sbts.burned > 0 && (
+                        <p className="text-xs text-indigo-700">{t('audit.burnedCount', { count: indexed.totals.sbts.burned })}</p>
+                    )}
+                </div>
+                 <div className="p-4 bg-gray-100 rounded-xl shadow-md">
+                    <p className="text-sm font-semibold text-gray-700">{t('audit.chainAudit')}</p>
+                    {indexed ? (
+                        <p className="text-sm text-gray-600 mt-1">
+                            {t('audit.indexedUpTo', { block: String(indexed.status.lastBlock ?? '—') })}
+                            {indexed.status.updatedAt && ` ${t('audit.syncedAt', { time: formatTime(indexed.status.updatedAt) })}`}
+                        </p>
+                    ) : (
+                        <p className="text-sm text-gray-600 mt-1">{t('audit.sessionOnly')}</p>
+                    )}
+                </div>
+            </div>
+
+            {indexed && (
+                <>
+                    <div className="grid grid-cols-3 gap-4 mb-6 text-sm">
+                        <div className="p-3 bg-gray-50 rounded-lg shadow-inner">
+                            <p className="font-semibold text-gray-700">{t('audit.scoresPublished')}</p>
+                            <p className="text-xl font-black text-gray-800">{formatNumber(indexed.totals.scoresPublished)}</p>
+                        </div>
+                        <div className="p-3 bg-gray-50 rounded-lg shadow-inner">
+                            <p className="font-semibold text-gray-700">{t('audit.loans')}</p>
+                            <p className="text-gray-800">{t('audit.loanTotals', indexed.totals.loans)}</p>
+                        </div>
+                        <div className="p-3 bg-gray-50 rounded-lg shadow-inner">
+                            <p className="font-semibold text-gray-700">{t('audit.scholarships')}</p>
+                            <p className="text-gray-800">{t('audit.scholarshipTotals', indexed.totals.scholarships)}</p>
+                        </div>
+                    </div>
+
+                    <h4 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4">{t('audit.perIssuer')}</h4>
+                    <div className="overflow-x-auto mb-6">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-start font-medium text-gray-500 uppercase">{t('audit.columns.issuer')}</th>
+                                    <th className="px-3 py-2 text-end font-medium text-gray-500 uppercase">{t('audit.columns.issued')}</th>
+                                    <th className="px-3 py-2 text-end font-medium text-gray-500 uppercase">{t('audit.columns.aid')}</th>
+                                    <th className="px-3 py-2 text-end font-medium text-gray-500 uppercase">{t('audit.columns.holders')}</th>
+                                    <th className="px-3 py-2 text-end font-medium text-gray-500 uppercase">{t('audit.columns.burned')}</th>
+                                    <th className="px-3 py-2 text-end font-medium text-gray-500 uppercase">{t('audit.columns.lastIssued')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {indexed.issuers.map(row => (
+                                    <tr key={row.issuer}>
+                                        <td className="px-3 py-2 font-mono">{shortAddress(row.issuer)}</td>
+                                        <td className="px-3 py-2 text-end font-semibold">{formatNumber(row.issued)}</td>
+                                        <td className="px-3 py-2 text-end">{formatNumber(row.aidAcknowledged)}</td>
+                                        <td className="px-3 py-2 text-end">{formatNumber(row.holders)}</td>
+                                        <td className="px-3 py-2 text-end">{formatNumber(row.burned)}</td>
+                                        <td className="px-3 py-2 text-end">{formatDate(row.lastIssuedAt)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <h4 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4">{t('audit.holderHistory')}</h4>
+                    <form onSubmit={lookUpHolder} className="flex gap-2 mb-4">
+                        <input
+                            type="text"
+                            value={holderQuery}
+                            onChange={(e) => setHolderQuery(e.target.value)}
+                            placeholder={t('audit.holderPlaceholder')}
+                            className="flex-1 p-2 font-mono text-sm border border-gray-300 rounded-lg focus:ring-yellow-500 focus:border-yellow-500"
+                        />
+                        <button type="submit" className="px-4 py-2 bg-yellow-500 text-white font-semibold rounded-lg hover:bg-yellow-600">
+                            {t('audit.lookUp')}
+                        </button>
+                    </form>
+                    {holderHistory && (
+                        <div className="mb-6">
+                            <p className="text-sm text-gray-600 mb-2">
+                                {t('audit.historySummary', {
+                                    active: holderHistory.sbts.filter(token => !token.burnedAt).length,
+                                    count: holderHistory.events.length,
+                                    holder: <span className="font-mono">{holderHistory.holder}</span>,
+                                })}
+                            </p>
+                            <ul className="divide-y divide-gray-200 text-sm max-h-72 overflow-y-auto pe-2">
+                                {holderHistory.events.map(event => (
+                                    <li key={`${event.txHash}-${event.logIndex}`} className="py-2 flex justify-between">
+                                        <span className="text-gray-800">{describeIndexedEvent(event, i18n)}</span>
+                                        <span className="text-xs text-gray-500 text-end">
+                                            {formatDateTime(event.timestamp)}
+                                            <br />{t('audit.block', { block: String(event.blockNumber) })}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </>
+            )}
+
+            <h4 className="text-xl font-bold text-gray-700 mb-3 border-t pt-4">{t(indexed ? 'audit.logGlobal' : 'audit.logSession')}</h4>
+            <AuditLogFilters
+                form={filterForm}
+                onChange={setFilterForm}
+                onApply={applyFilters}
+                onReset={resetFilters}
+            />
+
+            <div className="flex justify-between items-center my-3 text-sm">
+                <span className="text-gray-600">
+                    {logPage.total === 0
+                        ? t('audit.noMatches')
+                        : t('audit.showing', { first: page * PAGE_SIZE + 1, last: page * PAGE_SIZE + logPage.items.length, total: logPage.total })}
+                </span>
+                <div className="flex gap-2">
+                    <button onClick={() => exportLog('csv')} disabled={isExporting || logPage.total === 0} className="px-3 py-1 font-semibold text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                        {t('audit.exportCsv')}
+                    </button>
+                    <button onClick={() => exportLog('json')} disabled={isExporting || logPage.total === 0} className="px-3 py-1 font-semibold text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                        {t('audit.exportJson')}
+                    </button>
+                </div>
+            </div>
+
+            <div className="space-y-3">
+                 {logPage.items.map((token) => (
+                    <div key={token.id} className={`p-4 rounded-lg flex justify-between items-center text-sm ${token.taskType === TASK_TYPES.AID_DISBURSEMENT_RECEIVED ? 'bg-green-50 border-s-4 border-green-500' : 'bg-gray-50 border-s-4 border-indigo-400'} ${token.burnedAt ? 'opacity-50' : ''}`}>
+                        <div>
+                            <p className="font-semibold text-gray-800">
+                                {taskLabel(token.taskType)}
+                                <span className="ms-2 text-xs font-normal text-gray-500">{pointLevelLabel(token.pointLevel)}</span>
+                                {token.burnedAt ? ` ${t('audit.burned')}` : ''}
+                            </p>
+                            <p className="text-xs text-gray-600 break-words">{t('audit.toAddress', { address: token.recipient || t('audit.notAvailable') })}</p>
+                            {token.issuer && <p className="text-xs text-gray-500 break-words">{t('audit.by', { address: token.issuer })}</p>}
+                        </div>
+                        <span className="text-xs text-gray-500 text-end">
+                            {formatDate(token.issuedAt)}
+                            <br/>
+                            <span className="font-medium">{token.title}</span>
+                        </span>
+                    </div>
+                ))}
+            </div>
+
+            {pageCount > 1 && (
+                <div className="flex justify-center items-center gap-3 mt-4 text-sm">
+                    <button onClick={() => setPage(p => p - 1)} disabled={page === 0} className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-40">
+                        {t('audit.previous')}
+                    </button>
+                    <span className="text-gray-600">{t('audit.page', { page: page + 1, count: pageCount })}</span>
+                    <button onClick={() => setPage(p => p + 1)} disabled={page + 1 >= pageCount} className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-40">
+                        {t('audit.next')}
+                    </button>
+                </div>
+            )}
+
+            <div className="flex justify-between items-center mt-8 mb-3 border-t pt-4">
+                <h4 className="text-xl font-bold text-gray-700">{t('risk.title')}</h4>
+                <div className="flex items-center gap-2 text-sm">
+                    <button onClick={analyzeRisk} disabled={isExporting} className="px-3 py-1 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700 disabled:bg-red-300">
+                        {t('risk.analyze')}
+                    </button>
+                    {riskAnalysis && riskAnalysis.analysis.flags.length > 0 && (
+                        <button onClick={exportRiskFlags} className="px-3 py-1 font-semibold text-red-700 border border-red-300 rounded-lg hover:bg-red-50">
+                            {t('risk.exportCsv')}
+                        </button>
+                    )}
+                </div>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+                {t('risk.intro')}
+            </p>
+            {riskAnalysis && <IssuanceRiskFlags analysis={riskAnalysis.analysis} preview={riskAnalysis.preview} />}
+
+            <div className="flex justify-between items-center mt-8 mb-3 border-t pt-4">
+                <h4 className="text-xl font-bold text-gray-700">{t('report.title')}</h4>
+                <div className="flex items-center gap-2 text-sm">
+                    <select value={reportBucket} onChange={(e) => setReportBucket(e.target.value)} className="p-1 border border-gray-300 rounded-lg">
+                        {['day', 'week', 'month'].map(bucket => <option key={bucket} value={bucket}>{t(`report.buckets.${bucket}`)}</option>)}
+                    </select>
+                    <button onClick={generateReport} disabled={isExporting} className="px-3 py-1 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-green-300">
+                        {t('report.generate')}
+                    </button>
+                    {report && (
+                        <button onClick={printReport} className="px-3 py-1 font-semibold text-green-700 border border-green-300 rounded-lg hover:bg-green-50">
+                            {t('report.print')}
+                        </button>
+                    )}
+                </div>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+                {t('report.intro')}
+            </p>
+            {report && <CampaignReportSummary report={report} />}
+        </div>
+    );
+};
+
+export default IssuerAuditPanel;
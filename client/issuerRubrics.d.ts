@@ -0,0 +1,92 @@
+// Type declarations for issuerRubrics.js (used by the TypeScript tests under test/).
+
+import type { BulkRow } from './bulkIssuance.js';
+import type { PointLevelName, TaskTypeName } from './sbtCodec.js';
+
+export const MIN_JUSTIFICATION_LENGTH: number;
+
+export interface RubricBand {
+    min: number;
+    pointLevel: number;
+}
+
+export interface Rubric {
+    metric: { label: string; unit: string } | null;
+    bands: RubricBand[];
+}
+
+export interface IssuanceCap {
+    minLevel: number;
+    maxPerRecipient: number;
+    periodDays: number;
+}
+
+export const DEFAULT_RUBRICS: Readonly<Record<number, Rubric>>;
+export const DEFAULT_CAP: Readonly<IssuanceCap>;
+
+export class RubricError extends Error {
+    constructor(message: string);
+}
+
+export function validateRubric(rubric: Rubric): void;
+export function deriveLevel(rubric: Rubric, value?: number | null): number;
+
+/** Any SBT record with the fields the cap counts. */
+export interface CappedToken {
+    issuer?: string;
+    recipient?: string;
+    pointLevel: number;
+    issuedAt: number;
+    burnedAt?: number | null;
+}
+
+export interface CapStatus {
+    capped: boolean;
+    used: number;
+    remaining: number;
+    resetsAt: number | null;
+}
+
+export function checkCap(
+    tokens: CappedToken[],
+    options: { issuer: string; recipient: string; pointLevel: number; cap: IssuanceCap; now?: number }
+): CapStatus;
+export function isOverCap(capStatus: CapStatus): boolean;
+export function describeCap(cap: IssuanceCap): string;
+export function applyCapToRows<T extends BulkRow>(
+    rows: T[],
+    tokens: CappedToken[],
+    options: { issuer: string; cap: IssuanceCap; now?: number }
+): T[];
+
+export interface MintMetadata {
+    taskType: TaskTypeName;
+    pointLevel: PointLevelName;
+    rubric: { metric: Rubric['metric']; value: number | null; derivedLevel: PointLevelName };
+    override: { justification: string } | null;
+    issuer: string;
+    decidedAt: string;
+}
+
+export function buildMintMetadata(args: {
+    taskType: number;
+    rubric: Rubric;
+    value?: number | null;
+    derivedLevel: number;
+    pointLevel: number;
+    justification?: string;
+    issuer: string;
+    now?: number;
+}): string;
+export function decodeMintMetadata(tokenURI: string | null | undefined): MintMetadata | null;
+
+/** The slice of the Web Storage API the settings use (localStorage by default). */
+export type SettingsStorage = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+
+export function loadIssuerSettings(issuer: string, storage?: SettingsStorage): { rubrics: Record<number, Rubric>; cap: IssuanceCap };
+export function saveIssuerSettings(
+    issuer: string,
+    settings: { rubrics: Record<number, Rubric>; cap: IssuanceCap },
+    storage?: SettingsStorage
+): void;
+export function resetIssuerSettings(issuer: string, storage?: SettingsStorage): void;
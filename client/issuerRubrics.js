@@ -0,0 +1,262 @@
+// --- Issuer Rubrics ---
+// Each issuer maps a TaskType to a PointLevel through a rubric (course hours, loan size, ...),
+// caps how many high-tier SBTs one recipient can receive from them per period, and justifies any
+// level that differs from the rubric. The rubric inputs and the justification travel with the mint
+// as the token's metadata (the issueSBT tokenURI).
+
+import {
+    TASK_TYPES,
+    POINT_LEVELS,
+    POINT_LEVEL_NAMES,
+    toTaskTypeName,
+    toPointLevelName,
+} from './sbtCodec.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTINGS_STORAGE_PREFIX = 'credo.issuerRubrics.';
+const METADATA_PREFIX = 'data:application/json;charset=utf-8,';
+
+export const MIN_JUSTIFICATION_LENGTH = 20;
+
+/**
+ * @notice Starting rubrics, keyed by TaskType index.
+ * @dev `metric` is the input the issuer enters (null for tasks with a fixed level). `bands` are
+ * ascending: the level is the one of the highest band whose `min` the input reaches.
+ */
+export const DEFAULT_RUBRICS = Object.freeze({
+    [TASK_TYPES.IDENTITY_VERIFIED_KYC]: { metric: null, bands: [{ min: 0, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR }] },
+    [TASK_TYPES.IDENTITY_MULTI_FACTOR]: { metric: null, bands: [{ min: 0, pointLevel: POINT_LEVELS.LEVEL_D_MINOR }] },
+    [TASK_TYPES.FINANCIAL_LITERACY_COURSE]: {
+        metric: { label: 'Course hours completed', unit: 'hours' },
+        bands: [
+            { min: 0, pointLevel: POINT_LEVELS.LEVEL_D_MINOR },
+            { min: 6, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR },
+            { min: 20, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY },
+            { min: 40, pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE },
+        ],
+    },
+    [TASK_TYPES.FINANCIAL_SAVINGS_GOAL]: {
+        metric: { label: 'Amount saved', unit: 'cUSD' },
+        bands: [
+            { min: 0, pointLevel: POINT_LEVELS.LEVEL_D_MINOR },
+            { min: 50, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR },
+            { min: 200, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY },
+            { min: 1000, pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE },
+        ],
+    },
+    [TASK_TYPES.LOAN_REPAYMENT_SMALL]: {
+        metric: { label: 'Loan size repaid', unit: 'cUSD' },
+        bands: [
+            { min: 0, pointLevel: POINT_LEVELS.LEVEL_D_MINOR },
+            { min: 50, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR },
+        ],
+    },
+    [TASK_TYPES.LOAN_REPAYMENT_LARGE]: {
+        metric: { label: 'Loan size repaid', unit: 'cUSD' },
+        bands: [
+            { min: 0, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY },
+            { min: 2000, pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE },
+        ],
+    },
+    [TASK_TYPES.AID_DISBURSEMENT_RECEIVED]: { metric: null, bands: [{ min: 0, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR }] },
+    [TASK_TYPES.COMMUNITY_VOLUNTEERISM]: {
+        metric: { label: 'Volunteer hours', unit: 'hours' },
+        bands: [
+            { min: 0, pointLevel: POINT_LEVELS.LEVEL_D_MINOR },
+            { min: 10, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR },
+            { min: 40, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY },
+            { min: 100, pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE },
+        ],
+    },
+    [TASK_TYPES.SOCIAL_EDUCATION_CERT]: {
+        metric: { label: 'Programme length', unit: 'months' },
+        bands: [
+            { min: 0, pointLevel: POINT_LEVELS.LEVEL_D_MINOR },
+            { min: 3, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR },
+            { min: 12, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY },
+            { min: 36, pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE },
+        ],
+    },
+    [TASK_TYPES.SOCIAL_MENTORSHIP]: {
+        metric: { label: 'Mentoring sessions', unit: 'sessions' },
+        bands: [
+            { min: 0, pointLevel: POINT_LEVELS.LEVEL_D_MINOR },
+            { min: 5, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR },
+            { min: 15, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY },
+            { min: 40, pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE },
+        ],
+    },
+});
+
+/**
+ * @notice Default cap: at most 2 SBTs at LEVEL_B_HARMONY or above per recipient every 30 days.
+ */
+export const DEFAULT_CAP = Object.freeze({ minLevel: POINT_LEVELS.LEVEL_B_HARMONY, maxPerRecipient: 2, periodDays: 30 });
+
+export class RubricError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RubricError';
+    }
+}
+
+// --- Rubrics ---
+
+/**
+ * @notice Checks a rubric: at least one band, the first at 0, mins and levels both strictly ascending.
+ * @throws RubricError describing the first problem.
+ */
+export function validateRubric(rubric) {
+    const { bands } = rubric;
+    if (!bands || bands.length === 0) throw new RubricError("A rubric needs at least one band.");
+    if (bands[0].min !== 0) throw new RubricError("The first band must start at 0.");
+    if (!rubric.metric && bands.length > 1) throw new RubricError("A rubric without an input can only have one level.");
+    bands.forEach((band, i) => {
+        if (!Number.isFinite(band.min) || band.min < 0) throw new RubricError(`Band ${i + 1}: the minimum must be a non-negative number.`);
+        if (band.pointLevel < 0 || band.pointLevel >= POINT_LEVEL_NAMES.length) throw new RubricError(`Band ${i + 1}: unknown point level.`);
+        if (i > 0 && band.min <= bands[i - 1].min) throw new RubricError(`Band ${i + 1}: minimums must increase.`);
+        if (i > 0 && band.pointLevel <= bands[i - 1].pointLevel) throw new RubricError(`Band ${i + 1}: levels must increase.`);
+    });
+}
+
+/**
+ * @notice The PointLevel a rubric assigns to an input value.
+ * @param value The metric input (ignored for fixed-level rubrics).
+ * @throws RubricError for a missing or negative input.
+ */
+export function deriveLevel(rubric, value) {
+    if (!rubric.metric) return rubric.bands[0].pointLevel;
+    if (!Number.isFinite(value) || value < 0) {
+        throw new RubricError(`Enter the ${rubric.metric.label.toLowerCase()} (${rubric.metric.unit}).`);
+    }
+    return rubric.bands.filter(band => value >= band.min).pop().pointLevel;
+}
+
+// --- Caps ---
+
+/**
+ * @notice How many capped (high-tier) SBTs an issuer gave a recipient in the current period.
+ * @param tokens The recipient's SBTs (any issuer; other issuers' tokens do not count).
+ * @returns { capped, used, remaining, resetsAt } where `capped` says whether `pointLevel` falls under
+ *          the cap and resetsAt (ms) is when the oldest counted SBT leaves the period.
+ */
+export function checkCap(tokens, { issuer, recipient, pointLevel, cap, now = Date.now() }) {
+    const periodStart = now - cap.periodDays * DAY_MS;
+    const counted = tokens
+        .filter(token =>
+            !token.burnedAt &&
+            (token.issuer || '').toLowerCase() === issuer.toLowerCase() &&
+            (token.recipient || '').toLowerCase() === recipient.toLowerCase() &&
+            token.pointLevel >= cap.minLevel &&
+            token.issuedAt > periodStart
+        )
+        .sort((a, b) => a.issuedAt - b.issuedAt);
+
+    return {
+        capped: pointLevel >= cap.minLevel,
+        used: counted.length,
+        remaining: Math.max(0, cap.maxPerRecipient - counted.length),
+        resetsAt: counted.length > 0 ? counted[0].issuedAt + cap.periodDays * DAY_MS : null,
+    };
+}
+
+export const isOverCap = (capStatus) => capStatus.capped && capStatus.remaining === 0;
+
+export const describeCap = (cap) =>
+    `${cap.maxPerRecipient} SBT(s) at ${toPointLevelName(cap.minLevel)} or above per recipient every ${cap.periodDays} days`;
+
+/**
+ * @notice Adds a cap error to bulk rows that would exceed it, counting earlier rows of the same file.
+ * @param rows Parsed bulk rows (bulkIssuance.js parseBulkRows); rows that already have errors are left alone.
+ * @param tokens Existing SBTs of the rows' recipients.
+ */
+export function applyCapToRows(rows, tokens, { issuer, cap, now = Date.now() }) {
+    const planned = [];
+    return rows.map(row => {
+        if (row.errors.length > 0) return row;
+        const status = checkCap([...tokens, ...planned], { issuer, recipient: row.recipient, pointLevel: row.pointLevel, cap, now });
+        if (isOverCap(status)) {
+            return { ...row, errors: [...row.errors, `Cap reached: ${describeCap(cap)}.`] };
+        }
+        planned.push({ issuer, recipient: row.recipient, pointLevel: row.pointLevel, issuedAt: now });
+        return row;
+    });
+}
+
+// --- Mint Metadata (tokenURI) ---
+
+/**
+ * @notice Encodes how the level was decided as a data: URI for the issueSBT tokenURI.
+ * @param value The rubric input (null for fixed-level rubrics).
+ * @param justification Required when pointLevel differs from derivedLevel.
+ * @throws RubricError when an override has no (or too short a) justification.
+ */
+export function buildMintMetadata({ taskType, rubric, value, derivedLevel, pointLevel, justification = '', issuer, now = Date.now() }) {
+    const overridden = pointLevel !== derivedLevel;
+    if (overridden && justification.trim().length < MIN_JUSTIFICATION_LENGTH) {
+        throw new RubricError(`Overriding the rubric level needs a justification of at least ${MIN_JUSTIFICATION_LENGTH} characters.`);
+    }
+
+    const metadata = {
+        taskType: toTaskTypeName(taskType),
+        pointLevel: toPointLevelName(pointLevel),
+        rubric: {
+            metric: rubric.metric,
+            value: rubric.metric ? value : null,
+            derivedLevel: toPointLevelName(derivedLevel),
+        },
+        override: overridden ? { justification: justification.trim() } : null,
+        issuer: issuer.toLowerCase(),
+        decidedAt: new Date(now).toISOString(),
+    };
+    return METADATA_PREFIX + encodeURIComponent(JSON.stringify(metadata));
+}
+
+/**
+ * @notice Reads metadata written by buildMintMetadata back from a tokenURI.
+ * @returns The metadata object, or null for other URIs.
+ */
+export function decodeMintMetadata(tokenURI) {
+    if (!tokenURI || !tokenURI.startsWith(METADATA_PREFIX)) return null;
+    try {
+        return JSON.parse(decodeURIComponent(tokenURI.slice(METADATA_PREFIX.length)));
+    } catch (e) {
+        return null;
+    }
+}
+
+// --- Persistence (per issuer) ---
+
+const storageKey = (issuer) => `${SETTINGS_STORAGE_PREFIX}${issuer.toLowerCase()}`;
+
+/**
+ * @notice The issuer's rubrics and cap, with defaults for anything not customized.
+ * @returns { rubrics (keyed by TaskType index), cap }
+ */
+export function loadIssuerSettings(issuer, storage = globalThis.localStorage) {
+    const saved = JSON.parse(storage.getItem(storageKey(issuer)) || '{}');
+    return {
+        rubrics: { ...DEFAULT_RUBRICS, ...saved.rubrics },
+        cap: { ...DEFAULT_CAP, ...saved.cap },
+    };
+}
+
+/**
+ * @throws RubricError when a rubric or the cap is invalid (nothing is saved then).
+ */
+export function saveIssuerSettings(issuer, { rubrics, cap }, storage = globalThis.localStorage) {
+    Object.entries(rubrics).forEach(([taskType, rubric]) => {
+        try {
+            validateRubric(rubric);
+        } catch (e) {
+            throw new RubricError(`${toTaskTypeName(Number(taskType))}: ${e.message}`);
+        }
+    });
+    if (!Number.isInteger(cap.maxPerRecipient) || cap.maxPerRecipient < 0) throw new RubricError("The cap must be a whole number of SBTs.");
+    if (!Number.isInteger(cap.periodDays) || cap.periodDays < 1) throw new RubricError("The cap period must be at least one day.");
+    storage.setItem(storageKey(issuer), JSON.stringify({ rubrics, cap }));
+}
+
+export function resetIssuerSettings(issuer, storage = globalThis.localStorage) {
+    storage.removeItem(storageKey(issuer));
+}
@@ -0,0 +1,171 @@
+// --- LoanManager Lifecycle (borrower and admin actions) ---
+// Thin wrappers around the LoanManager contract that wait for receipts, decode the emitted events
+// and turn the raw Loan struct into a status the UI can render.
+
+import { SCORE_TYPES } from './scoringEngine.js';
+import { sendAndWait } from './contractTx.js';
+
+/**
+ * @notice Borrower-facing loan state derived from LoanManager.getLoanStatus.
+ */
+export const LOAN_STATUS = {
+    NONE: 'NONE',         // No application (or the last loan was repaid/cancelled and deleted)
+    PENDING: 'PENDING',   // Applied, waiting for the loan admin
+    ACTIVE: 'ACTIVE',     // Approved and disbursed, repayment deadline in the future
+    OVERDUE: 'OVERDUE',   // Approved, deadline passed (repayment still accepted, flagged as late)
+};
+
+/**
+ * @notice Classifies a LoanManager.Loan struct.
+ * @param nowSeconds Current chain time in seconds (defaults to the local clock).
+ */
+export function getLoanStatus(loan, nowSeconds = Math.floor(Date.now() / 1000)) {
+    if (!loan || loan.principalAmount === 0n) return LOAN_STATUS.NONE;
+    if (!loan.isApproved) return LOAN_STATUS.PENDING;
+    return BigInt(nowSeconds) > loan.repaymentDeadline ? LOAN_STATUS.OVERDUE : LOAN_STATUS.ACTIVE;
+}
+
+// --- Borrower ---
+
+/**
+ * @notice Reads the borrower's loan and the amount due.
+ * @returns { status, loan, repayment: { totalDue, principal, interest } } (amounts as bigint wei)
+ */
+export async function readBorrowerLoan(loanManager, borrower) {
+    const [loan, [totalDue, principal, interest]] = await Promise.all([
+        loanManager.getLoanStatus(borrower),
+        loanManager.getRepaymentAmount(borrower),
+    ]);
+    return {
+        status: getLoanStatus(loan),
+        loan,
+        repayment: { totalDue, principal, interest },
+    };
+}
+
+/**
+ * @notice LoanManager.applyForLoan. The rate is fixed from the published FINANCIAL_RISK score.
+ * @returns { txHash, blockNumber, event } with the decoded LoanApplied args.
+ */
+export async function applyForLoan(loanManager, principalWei) {
+    return sendAndWait(loanManager, 'applyForLoan', [principalWei], 'LoanApplied', { label: 'Apply for loan' });
+}
+
+/**
+ * @notice LoanManager.cancelLoanApplication (only before approval).
+ */
+export async function cancelLoanApplication(loanManager) {
+    return sendAndWait(loanManager, 'cancelLoanApplication', [], 'LoanCancelled', { label: 'Cancel loan application' });
+}
+
+/**
+ * @notice Resolves the stablecoin LoanManager lends in.
+ * @param getContract The backend's getContract(name, address).
+ */
+export async function getStableCoin(loanManager, getContract) {
+    const { stableCoin } = await loanManager.getContractAddresses();
+    return getContract('stableCoin', stableCoin);
+}
+
+/**
+ * @notice Repays the active loan in full: approves the stablecoin allowance if needed, then repayLoan.
+ * @param onStep Progress callback: 'approving' | 'repaying'.
+ * @returns { approval, repayment } where approval is null when the allowance already covered totalDue.
+ */
+export async function repayLoan({ loanManager, stableCoin, borrower, onStep = () => {} }) {
+    const [totalDue] = await loanManager.getRepaymentAmount(borrower);
+    if (totalDue === 0n) {
+        throw new Error("No approved loan to repay.");
+    }
+
+    const balance = await stableCoin.balanceOf(borrower);
+    if (balance < totalDue) {
+        throw new Error("Insufficient stablecoin balance to repay the full amount due.");
+    }
+
+    let approval = null;
+    const spender = await loanManager.getAddress();
+    const allowance = await stableCoin.allowance(borrower, spender);
+    if (allowance < totalDue) {
+        onStep('approving');
+        approval = await sendAndWait(stableCoin, 'approve', [spender, totalDue], null, { label: 'Approve cUSD for repayment' });
+    }
+
+    onStep('repaying');
+    const repayment = await sendAndWait(loanManager, 'repayLoan', [], 'LoanRepaid', { label: 'Repay loan' });
+    return { approval, repayment };
+}
+
+// --- Loan Admin ---
+
+/**
+ * @notice Lists applications still waiting for the admin.
+ * @dev LoanManager keeps no list of applicants, so candidates come from LoanApplied events and are
+ * confirmed against getLoanStatus. Current oracle scores and points are read in two batch calls.
+ * @param fromBlock First block to scan (the deployment block).
+ * @returns [{ borrower, principal, rateBps, appliedAt, scoreAtApplication, pointsAtApplication,
+ *            currentScore, scoreIsValid, currentPoints }] oldest first.
+ */
+export async function fetchPendingApplications({ loanManager, oracle, pointLedger, fromBlock = 0 }) {
+    const applied = await loanManager.queryFilter(loanManager.filters.LoanApplied(), fromBlock);
+
+    // Latest application per borrower (a borrower may re-apply after cancelling)
+    const latest = new Map();
+    applied.forEach(log => latest.set(log.args.borrower.toLowerCase(), log.args));
+
+    const candidates = [...latest.values()];
+    const loans = await Promise.all(candidates.map(args => loanManager.getLoanStatus(args.borrower)));
+    const pending = candidates.filter((_, i) => getLoanStatus(loans[i]) === LOAN_STATUS.PENDING);
+    if (pending.length === 0) return [];
+
+    const borrowers = pending.map(args => args.borrower);
+    const [[scores, validities], points] = await Promise.all([
+        oracle.getBatchScores(borrowers, SCORE_TYPES.FINANCIAL_RISK),
+        pointLedger.getBatchPoints(borrowers),
+    ]);
+
+    return pending
+        .map((args, i) => ({
+            borrower: args.borrower,
+            principal: args.principal,
+            rateBps: Number(args.rateBps),
+            appliedAt: Number(args.timestamp) * 1000,
+            scoreAtApplication: Number(args.aiScore),
+            pointsAtApplication: Number(args.reputationPoints),
+            currentScore: Number(scores[i]),
+            scoreIsValid: validities[i],
+            currentPoints: Number(points[i]),
+        }))
+        .sort((a, b) => a.appliedAt - b.appliedAt);
+}
+
+/**
+ * @notice LoanManager.approveAndDisburseLoan (onlyAdmin). Sends the principal to the borrower.
+ * @returns { txHash, blockNumber, event } with the decoded LoanApproved args.
+ */
+export async function approveLoan(loanManager, borrower, durationDays) {
+    return sendAndWait(loanManager, 'approveAndDisburseLoan', [borrower, durationDays], 'LoanApproved', { label: `Approve loan for ${borrower.slice(0, 8)}...` });
+}
+
+/**
+ * @notice LoanManager.rejectLoanApplication (onlyAdmin).
+ */
+export async function rejectLoan(loanManager, borrower) {
+    return sendAndWait(loanManager, 'rejectLoanApplication', [borrower], 'LoanCancelled', { label: `Reject loan for ${borrower.slice(0, 8)}...` });
+}
+
+/**
+ * @notice LoanManager.getSystemStats with field names.
+ */
+export async function readSystemStats(loanManager) {
+    const [loansIssued, loansRepaid, principalDisbursed, principalRepaid, interestCollected, contractBalance] =
+        await loanManager.getSystemStats();
+    return {
+        loansIssued: Number(loansIssued),
+        loansRepaid: Number(loansRepaid),
+        principalDisbursed,
+        principalRepaid,
+        interestCollected,
+        contractBalance,
+    };
+}
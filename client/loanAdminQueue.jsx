@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatUnits } from 'ethers';
+import {
+    fetchPendingApplications,
+    approveLoan,
+    rejectLoan,
+    readSystemStats,
+} from './loanActions.js';
+import { describeTxError } from './contractTx.js';
+import { MIN_LOAN_DURATION_DAYS, MAX_LOAN_DURATION_DAYS } from './loanPricing.js';
+
+const STABLECOIN_DECIMALS = 18; // cUSD
+const DEFAULT_DURATION_DAYS = 90;
+
+const formatCUSD = (amount) => Number(formatUnits(amount, STABLECOIN_DECIMALS)).toLocaleString(undefined, { maximumFractionDigits: 2 });
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// --- Component: Loan Admin Queue (pending applications + system stats) ---
+const LoanAdminQueue = ({ deploymentBlock = 0, getContract, showToast }) => {
+    const [applications, setApplications] = useState([]);
+    const [stats, setStats] = useState(null);
+    const [durations, setDurations] = useState({});
+    const [busyBorrower, setBusyBorrower] = useState(null);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+
+    const refresh = useCallback(async () => {
+        setIsRefreshing(true);
+        try {
+            const loanManager = getContract('loanManager');
+            const [pending, systemStats] = await Promise.all([
+                fetchPendingApplications({
+                    loanManager,
+                    oracle: getContract('aiRiskOracle'),
+                    pointLedger: getContract('pointLedger'),
+                    fromBlock: deploymentBlock,
+                }),
+                readSystemStats(loanManager),
+            ]);
+            setApplications(pending);
+            setStats(systemStats);
+            setLoadError(null);
+        } catch (e) {
+            setLoadError(describeTxError(e));
+        } finally {
+            setIsRefreshing(false);
+        }
+    }, [getContract, deploymentBlock]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const decide = async (borrower, action) => {
+        setBusyBorrower(borrower);
+        try {
+            if (action === 'approve') {
+                const durationDays = durations[borrower] ?? DEFAULT_DURATION_DAYS;
+                await approveLoan(getContract('loanManager'), borrower, durationDays);
+                showToast(`Loan for ${shortAddress(borrower)} approved and disbursed.`, 'success');
+            } else {
+                await rejectLoan(getContract('loanManager'), borrower);
+                showToast(`Application from ${shortAddress(borrower)} rejected.`, 'success');
+            }
+        } catch (e) {
+            console.error("Loan admin action failed: ", e);
+            showToast(describeTxError(e), 'error');
+        } finally {
+            setBusyBorrower(null);
+            await refresh();
+        }
+    };
+
+    const statCards = stats ? [
+        { label: 'Loans Issued', value: stats.loansIssued },
+        { label: 'Loans Repaid', value: stats.loansRepaid },
+        { label: 'Principal Disbursed', value: `${formatCUSD(stats.principalDisbursed)} cUSD` },
+        { label: 'Principal Repaid', value: `${formatCUSD(stats.principalRepaid)} cUSD` },
+        { label: 'Interest Collected', value: `${formatCUSD(stats.interestCollected)} cUSD` },
+        { label: 'Pool Balance', value: `${formatCUSD(stats.contractBalance)} cUSD` },
+    ] : [];
+
+    return (
+        <div className="p-6 bg-white shadow-xl rounded-xl w-full mx-auto">
+            <div className="flex justify-between items-center mb-6 border-b pb-2">
+                <h2 className="text-3xl font-extrabold text-gray-800">
+                    <span className="text-indigo-600">Loan</span> Admin Queue
+                </h2>
+                <button
+                    onClick={refresh}
+                    disabled={isRefreshing}
+                    className="px-3 py-1 text-sm font-semibold text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+                >
+                    {isRefreshing ? 'Refreshing...' : 'Refresh'}
+                </button>
+            </div>
+
+            {loadError && <p className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg">{loadError}</p>}
+
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-8">
+                {statCards.map(card => (
+                    <div key={card.label} className="p-4 bg-gray-50 rounded-xl shadow-inner">
+                        <p className="text-xs uppercase font-semibold text-gray-500">{card.label}</p>
+                        <p className="text-2xl font-black text-gray-800 mt-1">{card.value}</p>
+                    </div>
+                ))}
+            </div>
+
+            <h3 className="text-xl font-bold text-gray-700 mb-4">Pending Applications ({applications.length})</h3>
+            {applications.length === 0 ? (
+                <p className="text-gray-500 italic">No applications are waiting for review.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Applicant</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500 uppercase">Principal</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500 uppercase">Rate</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500 uppercase">Oracle Score</th>
+                                <th className="px-3 py-2 text-right font-medium text-gray-500 uppercase">Points</th>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Duration</th>
+                                <th className="px-3 py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {applications.map(app => (
+                                <tr key={app.borrower}>
+                                    <td className="px-3 py-2">
+                                        <p className="font-mono">{shortAddress(app.borrower)}</p>
+                                        <p className="text-xs text-gray-500">{new Date(app.appliedAt).toLocaleString()}</p>
+                                    </td>
+                                    <td className="px-3 py-2 text-right font-semibold">{formatCUSD(app.principal)} cUSD</td>
+                                    <td className="px-3 py-2 text-right">{(app.rateBps / 100).toFixed(2)}%</td>
+                                    <td className="px-3 py-2 text-right">
+                                        <span className="font-semibold">{app.currentScore}</span>
+                                        {!app.scoreIsValid && <span className="ml-1 text-xs text-red-600">(stale)</span>}
+                                        <p className="text-xs text-gray-500">at apply: {app.scoreAtApplication}</p>
+                                    </td>
+                                    <td className="px-3 py-2 text-right">
+                                        <span className="font-semibold">{app.currentPoints}</span>
+                                        <p className="text-xs text-gray-500">at apply: {app.pointsAtApplication}</p>
+                                    </td>
+                                    <td className="px-3 py-2">
+                                        <input
+                                            type="number"
+                                            min={MIN_LOAN_DURATION_DAYS}
+                                            max={MAX_LOAN_DURATION_DAYS}
+                                            value={durations[app.borrower] ?? DEFAULT_DURATION_DAYS}
+                                            onChange={(e) => setDurations(prev => ({ ...prev, [app.borrower]: Number(e.target.value) }))}
+                                            className="w-20 p-1 border border-gray-300 rounded"
+                                        />
+                                        <span className="ml-1 text-xs text-gray-500">days</span>
+                                    </td>
+                                    <td className="px-3 py-2 whitespace-nowrap space-x-2">
+                                        <button
+                                            onClick={() => decide(app.borrower, 'approve')}
+                                            disabled={busyBorrower !== null}
+                                            className="px-3 py-1 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-green-300"
+                                        >
+                                            {busyBorrower === app.borrower ? '...' : 'Approve'}
+                                        </button>
+                                        <button
+                                            onClick={() => decide(app.borrower, 'reject')}
+                                            disabled={busyBorrower !== null}
+                                            className="px-3 py-1 bg-white text-red-600 border border-red-300 font-semibold rounded-lg hover:bg-red-50 disabled:opacity-50"
+                                        >
+                                            Reject
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LoanAdminQueue;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatUnits, parseUnits } from 'ethers';
+import { APP_CONFIG } from './appConfig.js';
+import {
+    LOAN_STATUS,
+    readBorrowerLoan,
+    applyForLoan,
+    cancelLoanApplication,
+    getStableCoin,
+    repayLoan,
+} from './loanActions.js';
+import { describeTxError } from './contractTx.js';
+import { useI18n } from './i18n.js';
+
+const STABLECOIN_DECIMALS = 18; // cUSD
+
+const STATUS_STYLES = {
+    [LOAN_STATUS.NONE]: 'bg-gray-100 text-gray-700',
+    [LOAN_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+    [LOAN_STATUS.ACTIVE]: 'bg-green-100 text-green-800',
+    [LOAN_STATUS.OVERDUE]: 'bg-red-100 text-red-800',
+};
+
+// --- Component: Borrower Loan Center (apply, track, repay) ---
+const LoanCenter = ({ walletAddress, getContract, showToast, onRepaid }) => {
+    const [loanState, setLoanState] = useState(null);
+    const [principal, setPrincipal] = useState('500');
+    const [step, setStep] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const { t, formatRate, formatDate, formatCUSD: formatAmount } = useI18n();
+    const formatCUSD = (amount) => formatAmount(formatUnits(amount, STABLECOIN_DECIMALS)); // wei -> "1,234.5 cUSD"
+
+    const refresh = useCallback(async () => {
+        try {
+            setLoanState(await readBorrowerLoan(getContract('loanManager'), walletAddress));
+            setLoadError(null);
+        } catch (e) {
+            setLoadError(describeTxError(e));
+        }
+    }, [getContract, walletAddress]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    // Runs one write, reports the outcome and reloads the loan
+    const run = async (initialStep, action, successMessage) => {
+        setStep(initialStep);
+        try {
+            await action();
+            showToast(successMessage, 'success');
+        } catch (e) {
+            console.error("Loan transaction failed: ", e);
+            showToast(describeTxError(e), 'error');
+        } finally {
+            setStep(null);
+            await refresh();
+        }
+    };
+
+    const handleApply = () => {
+        let amount;
+        try {
+            amount = parseUnits(principal, STABLECOIN_DECIMALS);
+        } catch (e) {
+            showToast(t('loan.invalidAmount'), 'error');
+            return;
+        }
+        run('applying', () => applyForLoan(getContract('loanManager'), amount), t('loan.applied'));
+    };
+
+    const handleCancel = () => {
+        run('cancelling', () => cancelLoanApplication(getContract('loanManager')), t('loan.cancelled'));
+    };
+
+    const handleRepay = () => {
+        run('approving', async () => {
+            const loanManager = getContract('loanManager');
+            const stableCoin = await getStableCoin(loanManager, getContract);
+            await repayLoan({ loanManager, stableCoin, borrower: walletAddress, onStep: setStep });
+            if (onRepaid) onRepaid(); // The repayment mints a reward SBT
+        }, t('loan.repaid'));
+    };
+
+    if (APP_CONFIG.backend !== 'contract') {
+        return (
+            <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto">
+                <h2 className="text-3xl font-extrabold text-gray-800 mb-4">{t('loan.title', { highlight: t('loan.titleHighlight') })}</h2>
+                <p className="text-gray-600">{t('loan.contractOnly')}</p>
+            </div>
+        );
+    }
+
+    const status = loanState?.status;
+    const loan = loanState?.loan;
+    const busy = step !== null;
+
+    return (
+        <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto">
+            <div className="flex justify-between items-center mb-6 border-b pb-2">
+                <h2 className="text-3xl font-extrabold text-gray-800">
+                    {t('loan.title', { highlight: <span className="text-indigo-600">{t('loan.titleHighlight')}</span> })}
+                </h2>
+                {status && <span className={`px-3 py-1 rounded-full text-sm font-bold ${STATUS_STYLES[status]}`}>{t(`loanStatus.${status}`)}</span>}
+            </div>
+
+            {loadError && <p className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg">{loadError}</p>}
+            {busy && <p className="mb-4 p-3 bg-indigo-50 text-indigo-800 text-sm rounded-lg animate-pulse">{t(`loan.steps.${step}`)}</p>}
+
+            {status === LOAN_STATUS.NONE && (
+                <div className="bg-gray-50 p-6 rounded-xl shadow-inner space-y-4">
+                    <p className="text-sm text-gray-600">
+                        {t('loan.rateIntro')}
+                    </p>
+                    <label className="block text-sm font-medium text-gray-700">{t('planner.principal')}</label>
+                    <input
+                        type="number"
+                        min="0"
+                        value={principal}
+                        onChange={(e) => setPrincipal(e.target.value)}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <button
+                        onClick={handleApply}
+                        disabled={busy}
+                        className="w-full py-3 bg-indigo-600 text-white font-bold rounded-lg shadow hover:bg-indigo-700 disabled:bg-indigo-300"
+                    >
+                        {t('loan.apply')}
+                    </button>
+                </div>
+            )}
+
+            {status === LOAN_STATUS.PENDING && (
+                <div className="bg-yellow-50 p-6 rounded-xl shadow-inner space-y-3">
+                    <p className="text-gray-800">
+                        {t('loan.pending', {
+                            amount: <span className="font-bold">{formatCUSD(loan.principalAmount)}</span>,
+                            rate: <span className="font-bold">{formatRate(loan.interestRateBps)}</span>,
+                        })}
+                    </p>
+                    <button
+                        onClick={handleCancel}
+                        disabled={busy}
+                        className="px-4 py-2 bg-white text-red-600 border border-red-300 font-semibold rounded-lg hover:bg-red-50 disabled:opacity-50"
+                    >
+                        {t('loan.cancel')}
+                    </button>
+                </div>
+            )}
+
+            {(status === LOAN_STATUS.ACTIVE || status === LOAN_STATUS.OVERDUE) && (
+                <div className="space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div className="p-4 bg-gray-50 rounded-xl shadow-inner">
+                            <p className="text-xs uppercase font-semibold text-gray-500">{t('loan.principal')}</p>
+                            <p className="text-2xl font-black text-gray-800">{formatCUSD(loanState.repayment.principal)}</p>
+                        </div>
+                        <div className="p-4 bg-gray-50 rounded-xl shadow-inner">
+                            <p className="text-xs uppercase font-semibold text-gray-500">{t('loan.interest', { count: Number(loan.durationDays) })}</p>
+                            <p className="text-2xl font-black text-gray-800">{formatCUSD(loanState.repayment.interest)}</p>
+                        </div>
+                        <div className={`p-4 rounded-xl shadow-inner ${status === LOAN_STATUS.OVERDUE ? 'bg-red-50' : 'bg-green-50'}`}>
+                            <p className="text-xs uppercase font-semibold text-gray-500">{t('loan.dueBy', { date: formatDate(Number(loan.repaymentDeadline) * 1000) })}</p>
+                            <p className="text-2xl font-black text-gray-800">{formatCUSD(loanState.repayment.totalDue)}</p>
+                        </div>
+                    </div>
+                    {status === LOAN_STATUS.OVERDUE && (
+                        <p className="text-sm text-red-700">{t('loan.overdue')}</p>
+                    )}
+                    <button
+                        onClick={handleRepay}
+                        disabled={busy}
+                        className="w-full py-3 bg-green-600 text-white font-bold rounded-lg shadow hover:bg-green-700 disabled:bg-green-300"
+                    >
+                        {t('loan.repay', { amount: formatCUSD(loanState.repayment.totalDue) })}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LoanCenter;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { formatUnits, parseUnits } from 'ethers';
+import { calculateFinancialRiskScore, SCORE_TYPES } from './scoringEngine.js';
+import { getPointValueFromLevel } from './sbtCodec.js';
+import {
+    INTEREST_RATE_TIERS,
+    getInterestRateTier,
+    getNextRateTier,
+    calculateTotalRepayment,
+    DEFAULT_LOAN_LIMITS,
+    MIN_LOAN_DURATION_DAYS,
+    MAX_LOAN_DURATION_DAYS,
+} from './loanPricing.js';
+import { useI18n } from './i18n.js';
+
+const STABLECOIN_DECIMALS = 18; // cUSD
+const DURATION_PRESETS = [30, 90, 180, 365];
+
+/**
+ * @notice Reads the live loan inputs: LoanManager limits, PointLedger points and the published oracle score.
+ * @returns { criteria, points, publishedScore } where publishedScore is null if missing or stale.
+ */
+async function readLoanInputs(getContract, walletAddress) {
+    const loanManager = getContract('loanManager');
+    const [minPoints, minAIScore, minAmount, maxAmount] = await loanManager.getEligibilityCriteria();
+
+    const points = await getContract('pointLedger').getTotalPoints(walletAddress);
+    const [scoreValue, isValid] = await getContract('aiRiskOracle').getLatestScoreView(walletAddress, SCORE_TYPES.FINANCIAL_RISK);
+
+    return {
+        criteria: { minPoints: Number(minPoints), minAIScore: Number(minAIScore), minAmount, maxAmount },
+        points: Number(points),
+        publishedScore: isValid ? Number(scoreValue) : null,
+    };
+}
+
+// --- Component: Holder Loan Planner (mirrors LoanManager pricing) ---
+const LoanPlanner = ({ sbtTokens, walletAddress, getContract }) => {
+    const [principal, setPrincipal] = useState('500');
+    const [durationDays, setDurationDays] = useState(90);
+    const [chainInputs, setChainInputs] = useState(null);
+    const [chainError, setChainError] = useState(null);
+    const { t, formatNumber, formatRate, formatCUSD: formatAmount } = useI18n();
+    const formatCUSD = (amount) => formatAmount(formatUnits(amount, STABLECOIN_DECIMALS)); // wei -> "1,234.5 cUSD"
+
+    const holderTokens = useMemo(() =>
+        sbtTokens.filter(token => token.recipient && token.recipient.toLowerCase() === walletAddress.toLowerCase())
+    , [sbtTokens, walletAddress]);
+
+    // Local estimate: the score the holder would publish now, and the points their SBTs carry
+    const estimatedScore = useMemo(() => calculateFinancialRiskScore(holderTokens, { asOf: Date.now() }).score, [holderTokens]);
+    const estimatedPoints = useMemo(() =>
+        holderTokens.reduce((sum, token) => sum + getPointValueFromLevel(token.pointLevel), 0)
+    , [holderTokens]);
+
+    useEffect(() => {
+        let cancelled = false;
+        setChainError(null);
+        readLoanInputs(getContract, walletAddress)
+            .then(inputs => { if (!cancelled) setChainInputs(inputs); })
+            .catch(e => { if (!cancelled) setChainError(e.shortMessage || e.message); });
+        return () => { cancelled = true; };
+    }, [getContract, walletAddress]);
+
+    // LoanManager prices with the published oracle score; fall back to the local estimate
+    const score = chainInputs?.publishedScore ?? estimatedScore;
+    const scoreSource = chainInputs?.publishedScore != null ? t('planner.scorePublished') : t('planner.scoreEstimated');
+    const points = chainInputs ? chainInputs.points : estimatedPoints;
+    const criteria = chainInputs?.criteria || {
+        minPoints: null,
+        minAIScore: null,
+        minAmount: DEFAULT_LOAN_LIMITS.minLoanAmount,
+        maxAmount: DEFAULT_LOAN_LIMITS.maxLoanAmount,
+    };
+
+    const tier = getInterestRateTier(score);
+    const nextTier = getNextRateTier(score);
+
+    let principalWei = null;
+    try {
+        principalWei = parseUnits(principal || '0', STABLECOIN_DECIMALS);
+    } catch (e) {
+        principalWei = null; // Not a valid amount yet
+    }
+    const validDuration = durationDays >= MIN_LOAN_DURATION_DAYS && durationDays <= MAX_LOAN_DURATION_DAYS;
+    const totalRepayment = principalWei !== null && validDuration
+        ? calculateTotalRepayment(principalWei, tier.rateBps, durationDays)
+        : null;
+
+    // Mirrors the require() checks in LoanManager.applyForLoan
+    const checks = [
+        {
+            key: 'amount',
+            label: t('planner.checkAmount', { min: formatCUSD(criteria.minAmount), max: formatCUSD(criteria.maxAmount) }),
+            passed: principalWei !== null && principalWei >= criteria.minAmount && principalWei <= criteria.maxAmount,
+        },
+        {
+            key: 'points',
+            label: criteria.minPoints === null ? t('planner.checkPointsUnknown') : t('planner.checkPoints', { min: criteria.minPoints, points }),
+            passed: criteria.minPoints === null ? null : points >= criteria.minPoints,
+        },
+        {
+            key: 'score',
+            label: criteria.minAIScore === null ? t('planner.checkScoreUnknown') : t('planner.checkScore', { min: criteria.minAIScore, score }),
+            passed: criteria.minAIScore === null ? null : score >= criteria.minAIScore,
+        },
+        {
+            key: 'published',
+            label: t('planner.checkPublished'),
+            passed: chainInputs ? chainInputs.publishedScore !== null : null,
+        },
+    ];
+
+    return (
+        <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto">
+            <h2 className="text-3xl font-extrabold text-gray-800 mb-6 border-b pb-2">
+                {t('planner.title', { highlight: <span className="text-indigo-600">{t('planner.titleHighlight')}</span> })}
+            </h2>
+
+            {chainError && (
+                <p className="mb-6 p-3 bg-yellow-50 text-yellow-800 text-sm rounded-lg">
+                    {t('planner.limitsUnavailable', { error: chainError })}
+                </p>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                <div className="bg-indigo-500 text-white p-6 rounded-xl shadow-lg md:col-span-2">
+                    <p className="text-sm uppercase font-semibold opacity-80">{t('planner.yourTier')}</p>
+                    <p className="text-4xl font-black mt-2">{t(`rateTiers.${tier.name}`)} · {t('planner.apr', { rate: formatRate(tier.rateBps) })}</p>
+                    <p className="mt-3 text-sm">{t('planner.scoreSource', { score, source: scoreSource })}</p>
+                    <p className="mt-1 text-sm">
+                        {nextTier
+                            ? t('planner.nextTier', {
+                                points: <span className="font-bold">{formatNumber(nextTier.pointsNeeded)}</span>,
+                                tier: t(`rateTiers.${nextTier.tier.name}`),
+                                rate: formatRate(nextTier.tier.rateBps),
+                            })
+                            : t('planner.lowestRate')}
+                    </p>
+                </div>
+                <div className="bg-gray-50 p-6 rounded-xl shadow-inner">
+                    <p className="text-sm uppercase font-semibold text-gray-500 mb-2">{t('planner.rateTiers')}</p>
+                    <ul className="space-y-1 text-sm">
+                        {INTEREST_RATE_TIERS.map(rateTier => (
+                            <li key={rateTier.name} className={`flex justify-between ${rateTier.name === tier.name ? 'font-bold text-indigo-700' : 'text-gray-600'}`}>
+                                <span>{t(`rateTiers.${rateTier.name}`)} (≥ {formatNumber(rateTier.minScore)})</span>
+                                <span>{formatRate(rateTier.rateBps)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+                <div className="bg-gray-50 p-6 rounded-xl shadow-inner space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">{t('planner.principal')}</label>
+                        <input
+                            type="number"
+                            min="0"
+                            value={principal}
+                            onChange={(e) => setPrincipal(e.target.value)}
+                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">{t('planner.duration')}</label>
+                        <input
+                            type="number"
+                            min={MIN_LOAN_DURATION_DAYS}
+                            max={MAX_LOAN_DURATION_DAYS}
+                            value={durationDays}
+                            onChange={(e) => setDurationDays(Number(e.target.value))}
+                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <div className="flex gap-2 mt-2">
+                            {DURATION_PRESETS.map(days => (
+                                <button
+                                    key={days}
+                                    onClick={() => setDurationDays(days)}
+                                    className={`px-3 py-1 text-xs font-semibold rounded-lg ${durationDays === days ? 'bg-indigo-600 text-white' : 'text-indigo-600 border border-indigo-200 hover:bg-indigo-50'}`}
+                                >
+                                    {t('planner.days', { count: days })}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="bg-green-50 p-6 rounded-xl shadow-inner flex flex-col justify-center">
+                    <p className="text-sm uppercase font-semibold text-green-700">{t('planner.totalRepayment')}</p>
+                    {totalRepayment === null ? (
+                        <p className="mt-2 text-sm text-gray-600">
+                            {t('planner.invalidInput', { min: MIN_LOAN_DURATION_DAYS, max: MAX_LOAN_DURATION_DAYS })}
+                        </p>
+                    ) : (
+                        <>
+                            <p className="text-4xl font-black text-green-800 mt-1">{formatCUSD(totalRepayment)}</p>
+                            <p className="mt-2 text-sm text-green-700">
+                                {t('planner.interest', { amount: formatCUSD(totalRepayment - principalWei), rate: formatRate(tier.rateBps), count: durationDays })}
+                            </p>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            <h3 className="text-xl font-bold text-gray-700 mb-4">{t('planner.eligibility')}</h3>
+            <ul className="space-y-2">
+                {checks.map(check => (
+                    <li key={check.key} className="flex items-center text-sm">
+                        <span className={`w-6 font-bold ${check.passed === null ? 'text-gray-400' : check.passed ? 'text-green-600' : 'text-red-600'}`}>
+                            {check.passed === null ? '?' : check.passed ? '✓' : '✗'}
+                        </span>
+                        <span className="text-gray-700">{check.label}</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default LoanPlanner;
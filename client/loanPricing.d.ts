@@ -0,0 +1,28 @@
+// Type declarations for loanPricing.js (used by the TypeScript tests under test/).
+
+export interface RateTier {
+    name: 'EXCELLENT' | 'GOOD' | 'FAIR' | 'HIGH_RISK';
+    label: string;
+    minScore: number;
+    rateBps: number;
+}
+
+export const INTEREST_RATE_TIERS: RateTier[];
+
+export function getInterestRateTier(riskScore: number): RateTier;
+export function getInterestRate(riskScore: number): number;
+export function getNextRateTier(riskScore: number): { tier: RateTier; pointsNeeded: number } | null;
+export function calculateTotalRepayment(
+    principal: bigint | number | string,
+    rateBps: bigint | number | string,
+    durationDays: bigint | number | string
+): bigint;
+
+export const DEFAULT_LOAN_LIMITS: {
+    minLoanAmount: bigint;
+    maxLoanAmount: bigint;
+    loanSizeThreshold: bigint;
+};
+
+export const MIN_LOAN_DURATION_DAYS: number;
+export const MAX_LOAN_DURATION_DAYS: number;
@@ -0,0 +1,77 @@
+// --- LoanManager Pricing (client-side port) ---
+// Mirrors the pure pricing functions in LoanManager.sol so the UI and analysis scripts can show
+// exactly what the contract will charge. Keep in sync with the contract:
+// test/LoanPricing.ts checks parity against the Solidity versions on a Hardhat node.
+
+/**
+ * @notice Interest rate tiers of LoanManager.getInterestRate, best tier first.
+ * @dev minScore is inclusive; rateBps is the annual rate in basis points (100 bps = 1%).
+ */
+export const INTEREST_RATE_TIERS = [
+    { name: 'EXCELLENT', label: 'Excellent', minScore: 800, rateBps: 500 },
+    { name: 'GOOD', label: 'Good', minScore: 700, rateBps: 750 },
+    { name: 'FAIR', label: 'Fair', minScore: 600, rateBps: 1000 },
+    { name: 'HIGH_RISK', label: 'High Risk', minScore: 0, rateBps: 1500 },
+];
+
+/**
+ * @notice Returns the rate tier for a FINANCIAL_RISK score.
+ * @param riskScore Score on the 0-1000 oracle scale.
+ */
+export function getInterestRateTier(riskScore) {
+    return INTEREST_RATE_TIERS.find(tier => riskScore >= tier.minScore);
+}
+
+/**
+ * @notice Calculates annual interest rate based on AI risk score.
+ * @dev Port of LoanManager.getInterestRate.
+ * @param riskScore The FINANCIAL_RISK score from AIRiskOracle (0-1000).
+ * @returns Annual interest rate in basis points (bps).
+ */
+export function getInterestRate(riskScore) {
+    return getInterestRateTier(riskScore).rateBps;
+}
+
+/**
+ * @notice Returns the next cheaper tier and how many score points are needed to reach it.
+ * @param riskScore Score on the 0-1000 oracle scale.
+ * @returns { tier, pointsNeeded } or null when already in the best tier.
+ */
+export function getNextRateTier(riskScore) {
+    const index = INTEREST_RATE_TIERS.indexOf(getInterestRateTier(riskScore));
+    if (index === 0) return null;
+
+    const tier = INTEREST_RATE_TIERS[index - 1];
+    return { tier, pointsNeeded: tier.minScore - riskScore };
+}
+
+/**
+ * @notice Calculates total repayment amount (Principal + Interest).
+ * @dev Port of LoanManager.calculateTotalRepayment, using the same integer (floor) division.
+ * Formula: Interest = Principal × (Rate / 10000) × (Days / 365)
+ * @param principal Original loan amount in stablecoin base units (wei, 18 decimals).
+ * @param rateBps Annual interest rate in basis points.
+ * @param durationDays Loan term in days.
+ * @returns totalRepayment as a bigint in the principal's units.
+ */
+export function calculateTotalRepayment(principal, rateBps, durationDays) {
+    const p = BigInt(principal);
+    const interest = (p * BigInt(rateBps) * BigInt(durationDays)) / (10000n * 365n);
+    return p + interest;
+}
+
+/**
+ * @notice Default loan limits set in the LoanManager constructor (18-decimal cUSD units).
+ * @dev Only a fallback for when getEligibilityCriteria cannot be read (mock backend).
+ */
+export const DEFAULT_LOAN_LIMITS = {
+    minLoanAmount: 100n * 10n ** 18n,
+    maxLoanAmount: 5000n * 10n ** 18n,
+    loanSizeThreshold: 500n * 10n ** 18n,
+};
+
+/**
+ * @notice Loan terms accepted by LoanManager.approveAndDisburseLoan (_durationDays > 0 && <= 365).
+ */
+export const MIN_LOAN_DURATION_DAYS = 1;
+export const MAX_LOAN_DURATION_DAYS = 365;
@@ -0,0 +1,930 @@
+// --- Arabic Catalog ---
+// Same keys as en.js; enum groups are keyed by codec name. The app is laid out right to left
+// (LOCALES.ar.dir). Plurals use all six Arabic forms: zero, one, two, few (3-10), many (11-99)
+// and other (100 and up).
+
+export default {
+    format: {
+        cusd: '{amount} cUSD',
+    },
+
+    common: {
+        disconnect: 'قطع الاتصال',
+        dismiss: 'إخفاء',
+        cancel: 'إلغاء',
+        refresh: 'تحديث',
+        refreshing: 'جارٍ التحديث...',
+        verify: 'تحقّق',
+    },
+
+    // --- Enums ---
+
+    taskTypes: {
+        IDENTITY_VERIFIED_KYC: 'تم التحقق من الهوية (KYC)',
+        IDENTITY_MULTI_FACTOR: 'تحقق متعدد العوامل من الهوية',
+        FINANCIAL_LITERACY_COURSE: 'دورة في الثقافة المالية',
+        FINANCIAL_SAVINGS_GOAL: 'تحقيق هدف ادخار',
+        LOAN_REPAYMENT_SMALL: 'سداد قرض صغير (في الموعد)',
+        LOAN_REPAYMENT_LARGE: 'سداد قرض كبير (في الموعد)',
+        AID_DISBURSEMENT_RECEIVED: 'تأكيد استلام مساعدة منظمة',
+        COMMUNITY_VOLUNTEERISM: 'تطوع مجتمعي',
+        SOCIAL_EDUCATION_CERT: 'الحصول على شهادة تعليمية',
+        SOCIAL_MENTORSHIP: 'إرشاد موثّق',
+        UNKNOWN: 'مهمة غير معروفة',
+    },
+    pointLevels: {
+        LEVEL_D_MINOR: 'بسيط (100 نقطة)',
+        LEVEL_C_MAJOR: 'كبير (300 نقطة)',
+        LEVEL_B_HARMONY: 'انسجام (750 نقطة)',
+        LEVEL_A_PRESTIGE: 'تميّز (1500 نقطة)',
+        UNKNOWN: 'مستوى غير معروف',
+    },
+    programTypes: {
+        EDUCATION_SCHOLARSHIP: 'منحة دراسية',
+        HEALTHCARE_DISCOUNT: 'خصم على الرعاية الصحية',
+        HOUSING_ASSISTANCE: 'مساعدة سكنية',
+        FOOD_SECURITY: 'أمن غذائي',
+        PROFESSIONAL_TRAINING: 'تدريب مهني',
+        CHILDCARE_SUPPORT: 'دعم رعاية الأطفال',
+        GENERAL_GRANT: 'منحة عامة',
+        UNKNOWN: 'نوع برنامج غير معروف',
+    },
+    applicationStatuses: {
+        PENDING: 'قيد المراجعة',
+        APPROVED: 'مقبول',
+        REJECTED: 'مرفوض',
+        DISBURSED: 'تم صرف الميزة',
+        COMPLETED: 'مكتمل',
+        CANCELLED: 'ملغى',
+        UNKNOWN: 'حالة غير معروفة',
+    },
+    benefitTypes: {
+        MONETARY: 'نقدي (cUSD)',
+        DISCOUNT_CODE: 'رمز خصم',
+        VOUCHER: 'قسيمة',
+        FREE_ACCESS: 'دخول مجاني',
+        UNKNOWN: 'ميزة غير معروفة',
+    },
+    roles: {
+        holder: 'حامل',
+        issuer: 'جهة إصدار',
+        loanAdmin: 'مسؤول القروض',
+        provider: 'مقدّم البرامج',
+        owner: 'مالك العقود',
+    },
+    reasons: {
+        NO_KYC: 'لا يوجد رمز SBT للتحقق من الهوية (KYC). تبقى النتائج 0 حتى يتم التحقق من الهوية.',
+        FIRST_TIME_NO_SOCIAL: 'لا يوجد سجل لسداد القروض ولا رمز SBT مجتمعي أو تعليمي أو إرشادي.',
+        FIRST_TIME_FEW_NON_FINANCIAL: 'لا يوجد سجل لسداد القروض وعدد رموز SBT غير المالية قليل جدًا.',
+        FLAGGED_ISSUANCE: 'بعض رموز SBT صدرت بأنماط رصدها تدقيق الإصدار وتُحتسب بوزن أقل.',
+        AGED_HISTORY: 'رموز SBT القديمة تُحتسب بوزن أقل. الإنجازات الحديثة ترفع النتيجة.',
+        BELOW_EXCELLENT_THRESHOLD: 'السمعة الموزونة أقل من المستوى المطلوب لنتيجة ممتازة.',
+    },
+    rateTiers: {
+        EXCELLENT: 'ممتاز',
+        GOOD: 'جيد',
+        FAIR: 'مقبول',
+        HIGH_RISK: 'مخاطرة عالية',
+    },
+    scoreTypes: {
+        FINANCIAL_RISK: 'المخاطر المالية',
+        UBI_ELIGIBILITY: 'أهلية الدخل الأساسي',
+    },
+    gates: {
+        KYC: 'التحقق من الهوية (KYC)',
+        FIRST_TIME_BORROWER: 'مقترض لأول مرة',
+    },
+    publishStatus: {
+        PUBLISHED: 'منشورة',
+        UNCHANGED: 'دون تغيير',
+        RATE_LIMITED: 'مبكر جدًا',
+        PAUSED: 'متوقف مؤقتًا',
+        FAILED: 'فشل',
+    },
+    txStatus: {
+        queued: 'في الانتظار',
+        awaiting_signature: 'أكّد في المحفظة',
+        pending: 'قيد التنفيذ',
+        confirmed: 'مؤكدة',
+        failed: 'فشلت',
+        replaced: 'استُبدلت',
+    },
+    queueStatus: {
+        queued: 'بانتظار الاتصال',
+        submitting: 'جارٍ الإرسال',
+        submitted: 'أُرسلت',
+        conflict: 'مستخدمة مسبقًا',
+        expired: 'منتهية الصلاحية',
+        failed: 'فشلت',
+    },
+    voucherStatus: {
+        outstanding: 'غير مستخدمة',
+        redeemed: 'مستخدمة',
+        expired: 'منتهية الصلاحية',
+        closed: 'الحملة مغلقة',
+    },
+    loanStatus: {
+        NONE: 'لا يوجد قرض',
+        PENDING: 'قيد الانتظار',
+        ACTIVE: 'نشط',
+        OVERDUE: 'متأخر',
+    },
+    bulkStatus: {
+        pending: 'في الانتظار',
+        sending: 'جارٍ الإرسال',
+        interrupted: 'متقطع',
+        minted: 'صُكّ',
+        failed: 'فشل',
+        skipped: 'تم تخطيه',
+    },
+    connectors: {
+        injected: 'محفظة المتصفح',
+        walletConnect: 'WalletConnect',
+        devKey: 'موقّع التطوير (Hardhat)',
+    },
+
+    // --- App Shell ---
+
+    app: {
+        title: 'منصة Celo للسمعة والمساعدات',
+    },
+    nav: {
+        actingAs: 'التصرف بصفة',
+        language: 'اللغة',
+        issuerActive: 'دور جهة الإصدار مفعّل (مُحقِّق)',
+    },
+    routes: {
+        dashboard: 'لوحة نتيجة المخاطر',
+        social_aid: 'قسائم المساعدة',
+        loan_planner: 'مخطِّط القروض',
+        what_if: 'ماذا لو',
+        my_loan: 'قرضي',
+        scholarships: 'المنح',
+        credentials: 'الشهادات',
+        issuer_audit: 'تدقيق الحملات والتحقق',
+        issuer_mint: 'لوحة الإصدار اليدوي لرموز SBT',
+        issuer_bulk: 'الإصدار الجماعي',
+        issuer_campaigns: 'حملات المساعدة',
+        loan_admin: 'إدارة القروض',
+        provider_console: 'لوحة مقدّم البرامج',
+        owner_overview: 'العقود المملوكة',
+        notFoundTitle: 'الصفحة غير موجودة',
+        notFound: 'لا توجد صفحة على {path}.',
+        goHome: 'الانتقال إلى صفحة {role} الرئيسية',
+        roleRequiredTitle: 'يلزم دور {role}',
+        roleRequired: 'تحتاج هذه الصفحة إلى دور {role}، والعقود لا تمنحه للعنوان {address}.',
+    },
+    connect: {
+        connecting: 'جارٍ ربط المحفظة بشبكة Celo...',
+        title: 'اربط هويتك على Celo',
+        mockIntro: 'اختر محفظة تجريبية لعرض لوحة التحكم.',
+        contractIntro: 'تُقرأ أدوارك (جهة إصدار، مسؤول قروض، مقدّم، مالك) من العقود بعد الاتصال.',
+        continueTo: 'ستنتقل إلى {path}.',
+        asHolder: 'الاتصال كـ IDP/حامل',
+        asIssuer: 'الاتصال كمنظمة/جهة إصدار',
+        noBrowserWallet: 'لم يتم العثور على محفظة في المتصفح',
+        readingRoles: 'جارٍ قراءة أدوارك من العقود...',
+    },
+    network: {
+        chain: 'السلسلة {chainId}',
+        wrongTitle: 'شبكة خاطئة',
+        notDeployed: 'Credo غير منشور على {network}.',
+        unsupported: 'السلسلة {chainId} غير مدعومة.',
+        switchTo: 'بدّل محفظتك إلى:',
+        noDeployments: 'لا توجد شبكة لها نشر في deployments.json بعد.',
+    },
+    footer: {
+        connected: 'الحالة: متصل بـ {network}',
+        offline: 'الحالة: غير متصل، آخر شبكة {network}',
+        mockNetwork: 'شبكة Celo (محاكاة الشبكة التجريبية)',
+        wallet: 'عنوان المحفظة: {address}',
+        disconnected: 'غير متصل',
+        roles: 'الأدوار: {roles}',
+    },
+    messages: {
+        connectionFailed: 'فشل ربط المحفظة.',
+        networkSwitchFailed: 'فشل تبديل الشبكة.',
+        walletNotConnected: 'المحفظة غير متصلة. يرجى ربط محفظتك.',
+        issuerOnly: 'يمكن لجهات الإصدار المعتمدة فقط إصدار هذا النوع من رموز SBT.',
+        invalidRecipient: 'يرجى إدخال عنوان Celo صالح للمستلم.',
+        sbtIssued: 'تم إصدار رمز SBT بنجاح إلى {recipient}.',
+        publishFailed: 'فشل النشر لـ {scoreTypes}: {error}',
+        published: {
+            zero: 'لم تُنشر أي نتيجة على AIRiskOracle.',
+            one: 'نُشرت نتيجة واحدة على AIRiskOracle.',
+            two: 'نُشرت نتيجتان على AIRiskOracle.',
+            few: 'نُشرت {count} نتائج على AIRiskOracle.',
+            many: 'نُشرت {count} نتيجة على AIRiskOracle.',
+            other: 'نُشرت {count} نتيجة على AIRiskOracle.',
+        },
+        nothingPublished: 'لم يُنشر شيء: النتائج لم تتغير، أو نُشرت مؤخرًا جدًا، أو النشر متوقف مؤقتًا.',
+        acknowledgementQueued: 'تم توقيع التأكيد وحفظه. ستُستخدم القسيمة عند عودة هاتفك إلى الاتصال.',
+        voucherRedeemed: 'تم استخدام القسيمة. رمز SBT رقم {tokenId} في محفظتك.',
+    },
+    offline: {
+        nothingCached: 'أنت غير متصل ولم تتم مزامنة هذه البيانات على هذا الهاتف بعد.',
+        unreachable: 'تعذّر الوصول إلى الشبكة.',
+        offline: 'أنت غير متصل.',
+        lastSynced: 'تُعرض سمعتك كما تمت مزامنتها في {date}.',
+        neverSynced: 'لم تتم مزامنة أي شيء على هذا الهاتف بعد.',
+        actionsQueued: 'تُؤكَّد قسائم المساعدة الآن وتُستخدم عند إعادة الاتصال.',
+        waiting: {
+            zero: 'لا شيء بانتظار الإرسال.',
+            one: 'عنصر واحد بانتظار الإرسال.',
+            two: 'عنصران بانتظار الإرسال.',
+            few: '{count} عناصر بانتظار الإرسال.',
+            many: '{count} عنصرًا بانتظار الإرسال.',
+            other: '{count} عنصر بانتظار الإرسال.',
+        },
+    },
+    txTray: {
+        title: 'المعاملات',
+        payFeesIn: 'دفع الرسوم بـ',
+        empty: 'لا توجد معاملات بعد.',
+        feesInCUSD: 'الرسوم بـ cUSD',
+        replacedBy: 'استُبدلت بـ {hash}',
+        clearFinished: 'مسح المنتهية',
+        inProgress: {
+            zero: 'لا معاملات قيد التنفيذ',
+            one: 'معاملة واحدة قيد التنفيذ',
+            two: 'معاملتان قيد التنفيذ',
+            few: '{count} معاملات قيد التنفيذ',
+            many: '{count} معاملة قيد التنفيذ',
+            other: '{count} معاملة قيد التنفيذ',
+        },
+    },
+
+    // --- Holder ---
+
+    dashboard: {
+        title: 'لوحة تقييم مخاطر {idp}',
+        riskScore: 'نتيجة مخاطر هويتك على Celo',
+        basedOn: {
+            zero: 'محسوبة دون أي رمز سمعة.',
+            one: 'محسوبة بناءً على رمز سمعة واحد.',
+            two: 'محسوبة بناءً على رمزَي سمعة.',
+            few: 'محسوبة بناءً على {count} رموز سمعة.',
+            many: 'محسوبة بناءً على {count} رمز سمعة.',
+            other: 'محسوبة بناءً على {count} رمز سمعة.',
+        },
+        ubiScore: 'نتيجة أهلية الدخل الأساسي: {score}',
+        policies: 'السياسات: {financial} · {ubi}',
+        totalSbts: 'إجمالي رموز SBT المملوكة',
+        moreTokens: 'كلما زادت الرموز، ارتفعت سمعتك على السلسلة.',
+        publishPrompt: 'انشر نتائجك على {oracle} ليتمكن LoanManager وPointLedger من استخدامها.',
+        publishing: 'جارٍ النشر...',
+        publish: 'نشر النتائج',
+        onChain: 'على السلسلة: {scores}',
+        notPublished: '{scoreType} غير منشورة',
+        publishedScore: '{scoreType} {score}',
+        expiredScore: '{scoreType} {score} (منتهية)',
+        synced: 'تمت المزامنة {when}',
+        syncedOffline: 'غير متصل، تمت المزامنة {when}',
+        retryIn: 'إعادة المحاولة بعد {minutes} د',
+        yourTokens: 'رموزك غير القابلة للتحويل (SBT)',
+        noTokens: 'لم يتم العثور على رموز SBT بعد. نتيجتك مبنية على بيانات سمعة قليلة.',
+    },
+    breakdown: {
+        title: 'لماذا هذه النتيجة؟',
+        gatePassed: 'نجح: {gate}',
+        gateFailed: 'لم ينجح: {gate}',
+        holdingBack: 'ما الذي يحدّ من النتيجة',
+        byToken: 'المساهمة حسب الرمز',
+        noContributions: 'لا توجد رموز تساهم في هذه النتيجة بعد.',
+        token: 'الرمز',
+        weight: 'الوزن',
+        points: 'النقاط',
+        recency: 'الحداثة',
+        contribution: 'المساهمة',
+        rawScore: 'النتيجة الموزونة الخام {score} · السياسة {policy}',
+    },
+    attestation: {
+        title: 'إثبات النتيجة',
+        intro: 'وقّع نتيجتك مع رموز SBT التي كنت تملكها في آخر كتلة ومع إصدار سياسة التقييم. يمكن للمُقرض إعادة حساب الرقم نفسه من بيانات السلسلة باستخدام {command}.',
+        sign: 'توقيع وتنزيل',
+        awaitingSignature: 'بانتظار التوقيع...',
+        snapshot: {
+            zero: 'لا رموز SBT · الكتلة {block}',
+            one: 'رمز SBT واحد · الكتلة {block}',
+            two: 'رمزا SBT · الكتلة {block}',
+            few: '{count} رموز SBT · الكتلة {block}',
+            many: '{count} رمز SBT · الكتلة {block}',
+            other: '{count} رمز SBT · الكتلة {block}',
+        },
+        signed: 'تم توقيع {scoreType} = {score} في الكتلة {block}.',
+        pastePlaceholder: 'الصق ملف JSON لإثبات لإعادة حسابه',
+        invalidJson: 'الإثبات ليس JSON صالحًا.',
+        recomputing: 'جارٍ إعادة الحساب...',
+        reproduced: 'تمت إعادة الإنتاج: {scoreType} {score}',
+        notReproduced: 'لم تتم إعادة الإنتاج: {scoreType} {score}',
+        recomputed: '(أعيد حسابها: {score})',
+        holderPolicy: 'الحامل {holder} · السياسة {policy}',
+        mismatch: '{field}: المُثبت {attested}، المُعاد حسابه {recomputed}',
+        oracleMatches: 'AIRiskOracle: منشورة {score} (مطابقة للإثبات)',
+        oracleDiffers: 'AIRiskOracle: منشورة {score} (مختلفة عن الإثبات)',
+        oracleNothing: 'AIRiskOracle: لم يُنشر شيء',
+    },
+    aid: {
+        title: 'قسائم المساعدة',
+        intro: 'استخدام القسيمة التي أعطتك إياها المنظمة يصدر إيصال {proof} غير قابل للتحويل على سلسلة Celo.',
+        proofOfService: 'إثبات الخدمة',
+        yourAddress: 'عنوان محفظتك على Celo:',
+        shareAddress: 'أعطِ هذا العنوان للمنظمة لتصدر قسيمتك.',
+        contractOnly: 'تُستخدم قسائم المساعدة على عقد AidCampaignManager المنشور. انتقل إلى واجهة العقود لاستخدام قسيمة.',
+        voucherInput: 'رابط القسيمة أو رمزها',
+        voucherPlaceholder: 'الصق الرابط أو الرمز الذي أرسلته المنظمة',
+        invalidVoucher: 'هذه ليست قسيمة مساعدة صالحة. تحقق من الرابط أو اطلب قسيمة جديدة من المنظمة.',
+        wrongChain: 'هذه القسيمة مخصصة للسلسلة {chainId}. بدّل الشبكة لاستخدامها.',
+        unknownContract: 'لم تُصدر هذه القسيمة عبر عقد حملات المساعدة الخاص بـ Credo على هذه الشبكة.',
+        otherRecipient: 'صدرت هذه القسيمة إلى {address} وليس إلى هذه المحفظة.',
+        badSignature: 'توقيع القسيمة لا يطابق مُصدرها. لا تقبلها.',
+        voucherExpired: 'انتهت صلاحية هذه القسيمة في {date}.',
+        campaignClosed: 'أغلقت المنظمة هذه الحملة.',
+        campaignAlreadyRedeemed: 'لقد استخدمت قسيمة من هذه الحملة مسبقًا.',
+        budgetExhausted: 'لم يبقَ في ميزانية هذه الحملة ما يكفي لقسيمتك.',
+        campaign: 'الحملة',
+        amount: 'المبلغ',
+        issuedBy: 'صادرة عن',
+        validUntilLabel: 'صالحة حتى',
+        acknowledged: 'تم تأكيد المساعدة!',
+        redeemedAs: 'استُخدمت كرمز SBT رقم {tokenId} في {date}.',
+        confirmPrompt: 'يرجى تأكيد استلام {amount} من المنظمة.',
+        redeem: 'تأكيد الاستلام واستخدام القسيمة',
+        signOffline: 'توقيع التأكيد (الاستخدام عند الاتصال)',
+        checking: 'جارٍ التحقق من القسيمة...',
+        redeeming: 'جارٍ الاستخدام... (بانتظار معاملة Celo)',
+        awaitingSignature: 'بانتظار توقيعك...',
+        queued: 'التأكيد في الانتظار',
+        syncFailed: 'تعذّر الوصول إلى الشبكة. يبقى تأكيدك في الانتظار.',
+        signedOnPhone: 'موقّع على هذا الهاتف',
+        sending: 'جارٍ الإرسال...',
+        sendNow: 'أرسل الآن',
+        signedAt: 'وُقّع في {date}',
+        validUntil: 'صالح حتى {date}',
+        conflict: 'هذه القسيمة مستخدمة مسبقًا على السلسلة (SBT رقم {tokenId}). لم يُرسل شيء.',
+        campaignConflict: 'لقد استخدمت قسيمة أخرى من هذه الحملة مسبقًا. لم يُرسل شيء.',
+        expired: 'انتهت الصلاحية قبل عودة اتصال الهاتف. افتح القسيمة مرة أخرى.',
+        footer: 'كل قسيمة تُستخدم مرة واحدة ولمحفظتك فقط. الاستخدام معاملة على Celo منخفضة الرسوم وتتطلب موافقتك الرقمية.',
+        footerOffline: 'دون اتصال، توقّع محفظتك الآن وتُستخدم القسيمة عند إعادة الاتصال.',
+    },
+    planner: {
+        title: 'مخطِّط {highlight}',
+        titleHighlight: 'القروض',
+        limitsUnavailable: 'الحدود المباشرة غير متاحة ({error}). تُعرض نتيجتك التقديرية وحدود المبالغ الافتراضية لـ LoanManager.',
+        yourTier: 'شريحة الفائدة الخاصة بك',
+        apr: '{rate} سنويًا',
+        scoreSource: 'النتيجة {score} — {source}',
+        scorePublished: 'منشورة (AIRiskOracle)',
+        scoreEstimated: 'تقديرية (لم تُنشر بعد)',
+        nextTier: 'تحتاج إلى {points} نقطة إضافية للوصول إلى شريحة {tier} ({rate}).',
+        lowestRate: 'أنت مؤهل بالفعل لأدنى سعر فائدة.',
+        rateTiers: 'شرائح الفائدة',
+        principal: 'أصل القرض (cUSD)',
+        duration: 'المدة (أيام)',
+        days: {
+            zero: '{count} ي',
+            one: '{count} ي',
+            two: '{count} ي',
+            few: '{count} ي',
+            many: '{count} ي',
+            other: '{count} ي',
+        },
+        totalRepayment: 'إجمالي السداد',
+        invalidInput: 'أدخل مبلغًا صالحًا ومدة من {min} إلى {max} يومًا.',
+        interest: {
+            zero: 'الفائدة: {amount} بسعر {rate} لمدة {count} يوم',
+            one: 'الفائدة: {amount} بسعر {rate} لمدة يوم واحد',
+            two: 'الفائدة: {amount} بسعر {rate} لمدة يومين',
+            few: 'الفائدة: {amount} بسعر {rate} لمدة {count} أيام',
+            many: 'الفائدة: {amount} بسعر {rate} لمدة {count} يومًا',
+            other: 'الفائدة: {amount} بسعر {rate} لمدة {count} يوم',
+        },
+        eligibility: 'الأهلية (LoanManager.getEligibilityCriteria)',
+        checkAmount: 'مبلغ بين {min} و{max}',
+        checkPointsUnknown: 'نقاط السمعة (الحد الأدنى غير معروف)',
+        checkPoints: '{min} نقطة سمعة على الأقل (لديك {points})',
+        checkScoreUnknown: 'نتيجة مخاطر الذكاء الاصطناعي (الحد الأدنى غير معروف)',
+        checkScore: 'نتيجة مخاطر ذكاء اصطناعي لا تقل عن {min} (نتيجتك: {score})',
+        checkPublished: 'نتيجة FINANCIAL_RISK حديثة منشورة على AIRiskOracle',
+    },
+    whatIf: {
+        title: 'محاكي {highlight}',
+        titleHighlight: 'ماذا لو',
+        addTitle: 'أضف إنجازات افتراضية',
+        add: 'إضافة',
+        remove: 'إزالة',
+        now: 'الآن',
+        monthTick: '+{months} ش',
+        tierChange: 'شريحة الفائدة: {from} ← {to}',
+        decayTitle: 'تراجع النتيجة إذا لم تكسب شيئًا جديدًا',
+        months: {
+            zero: '{count} شهر',
+            one: 'شهر واحد',
+            two: 'شهران',
+            few: '{count} أشهر',
+            many: '{count} شهرًا',
+            other: '{count} شهر',
+        },
+        noDrops: {
+            zero: 'لا تُفقد أي شريحة فائدة أو عتبة أهلية خلال {count} شهر.',
+            one: 'لا تُفقد أي شريحة فائدة أو عتبة أهلية خلال شهر واحد.',
+            two: 'لا تُفقد أي شريحة فائدة أو عتبة أهلية خلال شهرين.',
+            few: 'لا تُفقد أي شريحة فائدة أو عتبة أهلية خلال {count} أشهر.',
+            many: 'لا تُفقد أي شريحة فائدة أو عتبة أهلية خلال {count} شهرًا.',
+            other: 'لا تُفقد أي شريحة فائدة أو عتبة أهلية خلال {count} شهر.',
+        },
+        drop: '{date}: الخروج من {threshold} ({scoreType} {before} ← {after}، المطلوب {min})',
+        rateTierThreshold: 'شريحة الفائدة {tier} ({rate})',
+        thresholds: {
+            'loan-eligibility': 'أهلية القرض',
+            'service-eligibility': 'أهلية الخدمات (PointLedger)',
+        },
+    },
+    loan: {
+        title: '{highlight}',
+        titleHighlight: 'قرضي',
+        contractOnly: 'تُدار القروض عبر عقد LoanManager المنشور. انتقل إلى واجهة العقود الخلفية لتقديم طلب.',
+        steps: {
+            applying: 'جارٍ إرسال الطلب...',
+            cancelling: 'جارٍ إلغاء الطلب...',
+            approving: 'جارٍ الموافقة على صرف cUSD (1/2)...',
+            repaying: 'جارٍ سداد القرض (2/2)...',
+        },
+        invalidAmount: 'أدخل مبلغ قرض صالحًا.',
+        applied: 'تم إرسال طلب القرض. سيراجعه مسؤول القروض.',
+        cancelled: 'تم إلغاء طلب القرض.',
+        repaid: 'تم سداد القرض. رمز SBT الخاص بالسداد في الطريق.',
+        rateIntro: 'يُحدَّد سعر الفائدة من نتيجة FINANCIAL_RISK المنشورة عند تقديم الطلب. استخدم مخطِّط القروض لمعاينته.',
+        apply: 'تقديم طلب قرض (LoanManager.applyForLoan)',
+        pending: 'طلب بقيمة {amount} بسعر {rate} سنويًا بانتظار مسؤول القروض.',
+        cancel: 'إلغاء الطلب',
+        principal: 'أصل القرض',
+        interest: {
+            zero: 'الفائدة ({count} يوم)',
+            one: 'الفائدة (يوم واحد)',
+            two: 'الفائدة (يومان)',
+            few: 'الفائدة ({count} أيام)',
+            many: 'الفائدة ({count} يومًا)',
+            other: 'الفائدة ({count} يوم)',
+        },
+        dueBy: 'مستحق بحلول {date}',
+        overdue: 'تجاوز هذا القرض موعده النهائي. لا يزال السداد مقبولًا لكنه يُسجَّل متأخرًا.',
+        repay: 'سداد {amount} (موافقة + LoanManager.repayLoan)',
+    },
+    marketplace: {
+        title: '{highlight} والمزايا',
+        titleHighlight: 'المنح',
+        contractOnly: 'تُنشر البرامج على عقد ScholarshipManager المنشور. انتقل إلى واجهة العقود الخلفية لتصفحها.',
+        allTypes: 'كل أنواع البرامج',
+        offline: 'غير متصل: البرامج والأهلية كما تمت مزامنتها في {date}. يتطلب التقديم اتصالًا.',
+        notOpen: 'البرنامج رقم {id} غير مفتوح.',
+        notOpenOrFiltered: 'البرنامج رقم {id} غير مفتوح أو لا يطابق هذا المرشح.',
+        openPrograms: 'البرامج المفتوحة ({count})',
+        noPrograms: 'لا توجد برامج نشطة تطابق هذا المرشح.',
+        myApplications: 'طلباتي ({count})',
+        noApplications: 'لم تتقدم لأي برنامج بعد.',
+        discountCode: 'رمز خصم {percent}',
+        deadline: 'آخر موعد {date}',
+        spotsLeft: {
+            zero: 'لم يبقَ أي مقعد من {max}',
+            one: 'بقي مقعد واحد من {max}',
+            two: 'بقي مقعدان من {max}',
+            few: 'بقيت {count} مقاعد من {max}',
+            many: 'بقي {count} مقعدًا من {max}',
+            other: 'بقي {count} مقعد من {max}',
+        },
+        full: 'مكتمل',
+        link: 'رابط',
+        points: 'النقاط {points} / {required}',
+        ubiScore: 'نتيجة الدخل الأساسي {score} / {required}',
+        met: 'مستوفى',
+        moreNeeded: {
+            zero: 'لا يلزم المزيد',
+            one: 'يلزم واحد إضافي',
+            two: 'يلزم اثنان إضافيان',
+            few: 'يلزم {count} إضافية',
+            many: 'يلزم {count} إضافيًا',
+            other: 'يلزم {count} إضافي',
+        },
+        notPublished: 'غير منشورة',
+        alreadyApplied: 'لقد قدّمت طلبك. تابعه في طلباتي.',
+        notesPlaceholder: 'لماذا تتقدم؟ (اختياري)',
+        submitting: 'جارٍ الإرسال...',
+        applyOnline: 'قدّم عند عودة الاتصال',
+        apply: 'تقديم',
+        applied: 'تم إرسال الطلب إلى «{name}».',
+        programNumber: 'البرنامج رقم {id}',
+        appliedAt: 'قُدّم في {date}',
+        reviewer: 'المراجع: {notes}',
+        code: 'الرمز: {code}',
+    },
+    credentials: {
+        title: 'الشهادات القابلة للتحقق',
+        contractOnly: 'توقّع محفظتك الشهادات ويُتحقق منها مقابل عقد SoulboundToken المنشور. انتقل إلى واجهة العقود الخلفية لتصديرها.',
+        intro: 'شارك رموز SBT مع شركاء خارج Celo (مؤسسات التمويل الأصغر، المدارس) كشهادات W3C قابلة للتحقق. توقّع محفظتك كل شهادة (EIP-712)، ويتحقق الشريك من التوقيع ومن أنك لا تزال تملك الرمز على السلسلة.',
+        noTokens: 'لا تملك أي رموز SBT بعد.',
+        formats: {
+            credentials: 'شهادات قابلة للتحقق (واحدة لكل SBT)',
+            presentation: 'عرض قابل للتحقق (كل رموز SBT، إثبات واحد من الحامل)',
+        },
+        challengePlaceholder: 'تحدٍّ من المُحقِّق (اختياري)',
+        domainPlaceholder: 'نطاق المُحقِّق، مثل mfi.example (اختياري)',
+        signatures: 'تطلب محفظتك توقيعًا واحدًا لكل SBT.',
+        signaturesPresentation: 'تطلب محفظتك توقيعًا واحدًا لكل SBT، وتوقيعًا إضافيًا للعرض.',
+        awaitingSignatures: 'بانتظار التوقيعات...',
+        export: {
+            zero: 'توقيع وتصدير {count} SBT',
+            one: 'توقيع وتصدير SBT واحد',
+            two: 'توقيع وتصدير رمزَي SBT',
+            few: 'توقيع وتصدير {count} رموز SBT',
+            many: 'توقيع وتصدير {count} رمز SBT',
+            other: 'توقيع وتصدير {count} رمز SBT',
+        },
+        exported: {
+            zero: 'لم تُصدَّر أي شهادة موقعة.',
+            one: 'تم تصدير شهادة موقعة واحدة.',
+            two: 'تم تصدير شهادتين موقعتين.',
+            few: 'تم تصدير {count} شهادات موقعة.',
+            many: 'تم تصدير {count} شهادة موقعة.',
+            other: 'تم تصدير {count} شهادة موقعة.',
+        },
+        invalidJson: 'المستند ليس JSON صالحًا.',
+        verifyTitle: 'التحقق من شهادة أو عرض',
+        pastePlaceholder: 'الصق مستند JSON',
+        expectedChallenge: 'التحدي المتوقع (اختياري)',
+        verifying: 'جارٍ التحقق...',
+        valid: 'صالح: {subject}',
+        notValid: 'غير صالح: {subject}',
+        presentationBy: 'عرض من {holder}',
+        credentialCount: {
+            zero: 'لا شهادات',
+            one: 'شهادة واحدة',
+            two: 'شهادتان',
+            few: '{count} شهادات',
+            many: '{count} شهادة',
+            other: '{count} شهادة',
+        },
+        signatureOk: 'التوقيع سليم',
+        signatureInvalid: 'التوقيع غير صالح',
+        onChain: 'موجود على السلسلة',
+        missing: 'غير موجود على السلسلة',
+        held: 'يملكه الحامل',
+        notHeld: 'لا يملكه الحامل',
+        dataMatches: 'البيانات مطابقة',
+        dataDiffers: 'البيانات مختلفة',
+    },
+
+    // --- Issuer ---
+
+    issuer: {
+        title: 'لوحة جهة الإصدار والمدقق',
+    },
+    mint: {
+        title: 'إصدار رمز سمعة جديد',
+        editRubrics: 'تعديل المعايير والحدود',
+        hideRubrics: 'إخفاء المعايير',
+        authorizedIssuer: 'جهة إصدار معتمدة: {address} (تم التحقق عبر SoulboundToken.isIssuer)',
+        recipient: 'عنوان المستلم (الحامل)',
+        taskToVerify: 'نوع المهمة المطلوب التحقق منها',
+        pointLevel: 'مستوى النقاط',
+        fromRubric: 'حسب المعيار: {level}',
+        override: 'تجاوز: {level}',
+        justification: 'مبرر تجاوز {level} (يُحفظ مع SBT)',
+        minimumCharacters: '{length}/{min} حرفًا كحد أدنى',
+        capDescription: {
+            zero: '{count} SBT بمستوى {level} أو أعلى لكل مستلم كل {days} يوم',
+            one: 'SBT واحد بمستوى {level} أو أعلى لكل مستلم كل {days} يوم',
+            two: 'رمزا SBT بمستوى {level} أو أعلى لكل مستلم كل {days} يوم',
+            few: '{count} رموز SBT بمستوى {level} أو أعلى لكل مستلم كل {days} يوم',
+            many: '{count} رمز SBT بمستوى {level} أو أعلى لكل مستلم كل {days} يوم',
+            other: '{count} رمز SBT بمستوى {level} أو أعلى لكل مستلم كل {days} يوم',
+        },
+        capStatus: 'الحد: {cap}. تلقى هذا المستلم {count} منك خلال الفترة.',
+        capResets: 'يمكن إصدار التالي في {date}.',
+        capReached: 'بلغ هذا المستلم الحد: {cap}.',
+        sending: 'جارٍ إرسال المعاملة...',
+        issue: 'إصدار SBT للمستلم',
+        rubricsTitle: 'المعايير والحدود',
+        taskType: 'نوع المهمة',
+        rubricInput: 'مدخل المعيار (فارغ = مستوى ثابت)',
+        rubricInputPlaceholder: 'مثل ساعات الدورة المكتملة',
+        unit: 'الوحدة',
+        unitPlaceholder: 'ساعات',
+        fromZero: 'من 0',
+        from: 'من',
+        always: 'دائمًا',
+        addBand: '+ إضافة شريحة',
+        capFrom: 'يبدأ الحد من',
+        maxPerRecipient: 'الحد الأقصى لكل مستلم',
+        periodDays: 'الفترة (أيام)',
+        restoreDefaults: 'استعادة الإعدادات الافتراضية',
+        saveRubrics: 'حفظ المعايير',
+        rubricsSaved: 'تم حفظ المعايير.',
+    },
+    bulk: {
+        title: 'الإصدار الجماعي من CSV / XLSX',
+        instructions: 'رمز SBT واحد لكل صف مع الأعمدة recipient وtaskType وpointLevel وtitle (حتى {max} صف). تقبل أنواع المهام ومستويات النقاط اسم التعداد (FINANCIAL_LITERACY_COURSE، LEVEL_B_HARMONY) أو رقمه. العنوان الفارغ يستخدم اسم المهمة.',
+        downloadTemplate: 'تنزيل قالب',
+        capNotice: 'ينطبق حدّك للمستويات العليا ({cap}) على الملفات المرفوعة أيضًا.',
+        checking: 'جارٍ التحقق من الصفوف ومن رموز SBT الحالية للمستلمين...',
+        dryRun: 'تشغيل تجريبي: {file}',
+        rows: {
+            zero: 'لا صفوف',
+            one: 'صف واحد',
+            two: 'صفان',
+            few: '{count} صفوف',
+            many: '{count} صفًا',
+            other: '{count} صف',
+        },
+        invalid: {
+            zero: 'لا شيء غير صالح',
+            one: 'واحد غير صالح',
+            two: 'اثنان غير صالحين',
+            few: '{count} غير صالحة',
+            many: '{count} غير صالح',
+            other: '{count} غير صالح',
+        },
+        duplicates: {
+            zero: 'لا تكرارات',
+            one: 'تكرار واحد',
+            two: 'تكراران',
+            few: '{count} تكرارات',
+            many: '{count} تكرارًا',
+            other: '{count} تكرار',
+        },
+        toMint: {
+            zero: 'لا شيء للإصدار',
+            one: 'واحد للإصدار',
+            two: 'اثنان للإصدار',
+            few: '{count} للإصدار',
+            many: '{count} للإصدار',
+            other: '{count} للإصدار',
+        },
+        nothingSent: 'لم يُرسل شيء بعد.',
+        alreadyHolds: 'المستلم يملك SBT رقم {tokenId} مسبقًا',
+        repeatsRow: 'يكرر الصف {line}',
+        ok: 'سليم',
+        includeDuplicates: 'إصدار المكررات على أي حال',
+        finishFirst: 'أنهِ الدفعة الحالية أو تجاهلها أولًا.',
+        mint: {
+            zero: 'إصدار {count} SBT',
+            one: 'إصدار SBT واحد',
+            two: 'إصدار رمزَي SBT',
+            few: 'إصدار {count} رموز SBT',
+            many: 'إصدار {count} رمز SBT',
+            other: 'إصدار {count} رمز SBT',
+        },
+        paused: 'الدفعة متوقفة: صُكّ {minted} حتى الآن.',
+        finished: 'انتهت الدفعة: صُكّ {minted}، فشل {failed}، تم تخطي {skipped}.',
+        jobSummary: 'بدأت {date} · صُكّ {minted} · فشل {failed} · تخطي {skipped} · متبقٍ {remaining}',
+        pause: 'إيقاف مؤقت بعد الصف الحالي',
+        resume: 'استئناف ({count})',
+        retryFailed: 'إعادة محاولة الفاشلة ({count})',
+        discard: 'تجاهل',
+        downloadResults: 'تنزيل النتائج',
+        interrupted: {
+            zero: 'لم يكن أي صف قيد الإرسال عند إغلاق الصفحة.',
+            one: 'كان صف واحد قيد الإرسال عند إغلاق الصفحة. يتحقق الاستئناف من السلسلة أولًا ولا يعيد إرسال إلا الصفوف التي لم تُصك.',
+            two: 'كان صفان قيد الإرسال عند إغلاق الصفحة. يتحقق الاستئناف من السلسلة أولًا ولا يعيد إرسال إلا الصفوف التي لم تُصك.',
+            few: 'كانت {count} صفوف قيد الإرسال عند إغلاق الصفحة. يتحقق الاستئناف من السلسلة أولًا ولا يعيد إرسال إلا الصفوف التي لم تُصك.',
+            many: 'كان {count} صفًا قيد الإرسال عند إغلاق الصفحة. يتحقق الاستئناف من السلسلة أولًا ولا يعيد إرسال إلا الصفوف التي لم تُصك.',
+            other: 'كان {count} صف قيد الإرسال عند إغلاق الصفحة. يتحقق الاستئناف من السلسلة أولًا ولا يعيد إرسال إلا الصفوف التي لم تُصك.',
+        },
+        columns: {
+            row: 'الصف',
+            recipient: 'المستلم',
+            task: 'المهمة',
+            status: 'الحالة',
+            result: 'النتيجة',
+            level: 'المستوى',
+            title: 'العنوان',
+            check: 'الفحص',
+        },
+    },
+    campaigns: {
+        title: 'حملات وقسائم المساعدة',
+        intro: 'أدِر كل جولة توزيع كحملة. يحصل كل مستفيد على قسيمة موقّعة من محفظتك ويستخدمها مرة واحدة للحصول على رمز SBT للمساعدة. تسجّل المبالغ المساعدة التي تقدمها، وتحدّ الميزانية مما يمكن استخدامه.',
+        contractOnly: 'تعمل الحملات على عقد AidCampaignManager المنشور. انتقل إلى واجهة العقود لاستخدامها.',
+        campaignTitle: 'عنوان الحملة',
+        titlePlaceholder: 'مثال: إغاثة الفيضانات - كانو، مارس',
+        titleHint: 'يُخزَّن على السلسلة عنوانًا لكل رمز SBT للمساعدة في الحملة.',
+        budget: 'الميزانية (cUSD)',
+        endsOn: 'القسائم صالحة حتى',
+        create: 'إنشاء الحملة',
+        creating: 'جارٍ الإنشاء...',
+        created: 'أُنشئت الحملة "{title}" (رقم {id}).',
+        closed: 'أُغلقت الحملة "{title}".',
+        reopened: 'أُعيد فتح الحملة "{title}".',
+        none: 'ليست لديك حملات بعد.',
+        statusOpen: 'مفتوحة',
+        statusClosed: 'مغلقة',
+        statusEnded: 'منتهية',
+        budgetUsed: 'استُخدم {redeemed} من {budget}',
+        redemptions: {
+            zero: 'لا استخدامات',
+            one: 'استخدام واحد',
+            two: 'استخدامان',
+            few: '{count} استخدامات',
+            many: '{count} استخدامًا',
+            other: '{count} استخدام',
+        },
+        ends: 'تنتهي في {date}',
+        manage: 'القسائم',
+        close: 'إغلاق',
+        reopen: 'إعادة الفتح',
+        issueTitle: 'إصدار القسائم',
+        issueInstructions: 'مستفيد واحد في كل سطر: عنوان المحفظة ثم مبلغ cUSD (اتركه فارغًا لاستخدام المبلغ الافتراضي). ستطلب محفظتك توقيع كل قسيمة.',
+        defaultAmount: 'المبلغ الافتراضي (cUSD)',
+        vouchersToSign: {
+            zero: 'لا قسائم',
+            one: 'قسيمة واحدة',
+            two: 'قسيمتان',
+            few: '{count} قسائم',
+            many: '{count} قسيمة',
+            other: '{count} قسيمة',
+        },
+        lineError: 'السطر {line}: {error}',
+        overBudget: 'تتجاوز هذه القسائم ما تبقى من الميزانية ({remaining}). يُرفض الاستخدام بعد نفاد الميزانية.',
+        notRedeemable: 'الحملة مغلقة أو منتهية، لذا لا يمكن استخدام قسائم جديدة.',
+        sign: {
+            zero: 'لا قسائم للتوقيع',
+            one: 'توقيع قسيمة واحدة',
+            two: 'توقيع قسيمتين',
+            few: 'توقيع {count} قسائم',
+            many: 'توقيع {count} قسيمة',
+            other: 'توقيع {count} قسيمة',
+        },
+        signing: 'وُقّعت {signed} من {total}...',
+        signed: {
+            zero: 'لم تُوقّع أي قسيمة.',
+            one: 'وُقّعت قسيمة واحدة.',
+            two: 'وُقّعت قسيمتان.',
+            few: 'وُقّعت {count} قسائم.',
+            many: 'وُقّعت {count} قسيمة.',
+            other: 'وُقّعت {count} قسيمة.',
+        },
+        amounts: 'مستخدمة {redeemed} · غير مستخدمة {outstanding} · الميزانية {budget}',
+        storedHere: 'تُحفظ القسائم الموقّعة في هذا المتصفح. تُقرأ استخدامات القسائم الموقّعة في مكان آخر من السلسلة.',
+        exportCSV: 'تصدير CSV',
+        printOutstanding: 'طباعة القسائم غير المستخدمة',
+        noVouchers: 'لم تُصدر قسائم لهذه الحملة بعد.',
+        amount: 'المبلغ',
+        redeemedAs: 'SBT رقم {tokenId}، {date}',
+        expires: 'صالحة حتى {date}',
+        issuedElsewhere: 'موقّعة على جهاز آخر',
+        copyLink: 'نسخ الرابط',
+        linkCopied: 'تم نسخ رابط القسيمة.',
+        qrCode: 'رمز QR',
+    },
+    audit: {
+        title: 'التدقيق الشامل والتحقق من الخدمات',
+        totalAid: 'إجمالي المساعدات المؤكدة (SBT)',
+        totalIssued: 'إجمالي رموز سمعة SBT الصادرة',
+        burnedCount: {
+            zero: 'لا رموز محروقة',
+            one: 'رمز واحد محروق',
+            two: 'رمزان محروقان',
+            few: '{count} رموز محروقة',
+            many: '{count} رمزًا محروقًا',
+            other: '{count} رمز محروق',
+        },
+        chainAudit: 'تدقيق سلسلة Celo',
+        indexedUpTo: 'محسوب من أحداث SBTIssued المفهرسة حتى الكتلة {block}',
+        syncedAt: '(تمت المزامنة {time})',
+        sessionOnly: 'يتحقق المدققون من الحملات عبر أحداث SBTIssued. اضبط indexerUrl لتدقيق السلسلة كاملة؛ هذه الأرقام تغطي هذه الجلسة فقط.',
+        scoresPublished: 'النتائج المنشورة',
+        loans: 'القروض',
+        loanTotals: '{applied} طلب · {approved} مقبول · {repaid} مسدد ({repaidLate} متأخر)',
+        scholarships: 'المنح',
+        scholarshipTotals: '{programs} برنامج · {applications} طلب · {disbursed} مصروف',
+        perIssuer: 'رموز SBT لكل جهة إصدار',
+        columns: {
+            issuer: 'جهة الإصدار',
+            issued: 'الصادرة',
+            aid: 'المساعدات',
+            holders: 'الحاملون',
+            burned: 'المحروقة',
+            lastIssued: 'آخر إصدار',
+        },
+        holderHistory: 'سجل الحامل',
+        holderPlaceholder: 'عنوان الحامل (0x...)',
+        lookUp: 'بحث',
+        historySummary: '{active} رمز SBT نشط، {count} حدث للعنوان {holder}',
+        block: 'الكتلة {block}',
+        logGlobal: 'سجل تدقيق SBT (عرض شامل)',
+        logSession: 'سجل تدقيق SBT (هذه الجلسة)',
+        issuerPlaceholder: 'جهة الإصدار (0x...)',
+        recipientPlaceholder: 'المستلم (0x...)',
+        allTaskTypes: 'كل أنواع المهام',
+        allPointLevels: 'كل مستويات النقاط',
+        from: 'من',
+        to: 'إلى',
+        reset: 'إعادة تعيين',
+        applyFilters: 'تطبيق المرشحات',
+        noMatches: 'لا توجد رموز SBT تطابق هذه المرشحات.',
+        showing: 'عرض {first}-{last} من {total}',
+        exportCsv: 'تصدير CSV',
+        exportJson: 'تصدير JSON',
+        burned: '(محروق)',
+        toAddress: 'إلى: {address}',
+        by: 'من: {address}',
+        notAvailable: 'غير متاح',
+        previous: 'السابق',
+        next: 'التالي',
+        page: 'الصفحة {page} من {count}',
+        popupBlocked: 'تم حظر نافذة التقرير. اسمح بالنوافذ المنبثقة لهذا الموقع للطباعة.',
+    },
+    events: {
+        SBTIssued: 'صدر SBT رقم {tokenId}: {task} (+{points} نقطة)',
+        SBTBurned: 'حُرق SBT رقم {tokenId}',
+        ScorePublished: 'نُشرت نتيجة {scoreType}: {score} (كانت {previous})',
+        LoanApplied: 'طلب قرض: {amount} بسعر {rate}',
+        LoanApproved: {
+            zero: 'قُبل القرض لمدة {count} يوم',
+            one: 'قُبل القرض لمدة يوم واحد',
+            two: 'قُبل القرض لمدة يومين',
+            few: 'قُبل القرض لمدة {count} أيام',
+            many: 'قُبل القرض لمدة {count} يومًا',
+            other: 'قُبل القرض لمدة {count} يوم',
+        },
+        LoanDisbursed: 'صُرف القرض: {amount}، المستحق {due}',
+        LoanRepaid: 'سُدد القرض: {amount}',
+        LoanRepaidLate: 'سُدد القرض: {amount} (متأخر)',
+        LoanCancelled: 'أُلغي طلب القرض أو رُفض',
+        ApplicationSubmitted: 'تقدّم إلى البرنامج رقم {programId}',
+        ApplicationReviewed: 'الطلب رقم {applicationId}: {status}',
+        BenefitDisbursed: 'صُرفت الميزة للطلب رقم {applicationId}',
+        ApplicationCompleted: 'اكتمل البرنامج (الطلب رقم {applicationId})',
+        VoucherRedeemed: 'استُخدمت قسيمة المساعدة رقم {voucherId} من الحملة رقم {campaignId}: {amount} (SBT رقم {tokenId})',
+    },
+    report: {
+        title: 'تقرير حملة المساعدات',
+        intro: 'يلخص تأكيدات AID_DISBURSEMENT_RECEIVED المطابقة لمرشحات جهة الإصدار والمستلم والتاريخ أعلاه.',
+        buckets: {
+            day: 'يومي',
+            week: 'أسبوعي',
+            month: 'شهري',
+        },
+        generate: 'إنشاء',
+        print: 'طباعة',
+        acknowledgements: 'التأكيدات',
+        uniqueRecipients: 'مستلمون فريدون',
+        repeatRecipients: 'مستلمون متكررون',
+        issuers: 'جهات الإصدار',
+        per: {
+            day: 'لكل يوم',
+            week: 'لكل أسبوع',
+            month: 'لكل شهر',
+        },
+        periodRow: '{count} ({new} جديد)',
+        byIssuer: 'حسب جهة الإصدار',
+        unknownIssuer: 'غير معروف',
+        issuerRow: '{count} إلى {recipients} مستلم',
+    },
+    risk: {
+        title: 'تنبيهات مخاطر الإصدار',
+        intro: 'يبحث عن أنماط الهويات الوهمية والتواطؤ في رموز SBT المطابقة للمرشحات أعلاه: الإصدار الذاتي، والإصدار الدائري، ودفعات الإصدار، وتركّز جهة الإصدار، والمحافظ ذات السجلات المتطابقة. التنبيهات مؤشرات للمراجعة وليست دليلًا.',
+        analyze: 'تحليل',
+        exportCsv: 'تصدير التنبيهات',
+        summary: 'التنبيهات: {flags} · المحافظ: {wallets} · رموز SBT المحللة: {count}',
+        none: 'لم يُعثر على أنماط مخاطر.',
+        severity: {
+            high: 'مرتفع',
+            medium: 'متوسط',
+            low: 'منخفض',
+        },
+        kinds: {
+            SELF_ISSUANCE: 'إصدار ذاتي',
+            CIRCULAR_ISSUANCE: 'إصدار دائري',
+            MINT_BURST: 'دفعة إصدار',
+            ISSUER_CONCENTRATION: 'تركّز جهة الإصدار',
+            IDENTICAL_HISTORIES: 'سجلات متطابقة',
+        },
+        descriptions: {
+            SELF_ISSUANCE: 'أصدرت جهة الإصدار رموز SBT إلى محفظتها.',
+            CIRCULAR_ISSUANCE: 'أصدرت {length} محافظ رموز SBT لبعضها في حلقة.',
+            CIRCULAR_MENTORSHIP: 'أصدرت {length} محافظ رموز SBT للإرشاد لبعضها في حلقة.',
+            MINT_BURST: 'أصدرت جهة إصدار واحدة إلى محفظة واحدة رموز SBT عددها {count} خلال {seconds} ثانية.',
+            ISSUER_CONCENTRATION: 'ذهبت نسبة {share} من رموز SBT عالية المستوى لجهة الإصدار (العدد: {count}) إلى {recipients} محافظ.',
+            IDENTICAL_HISTORIES: 'تحمل {wallets} محافظ رموز SBT نفسها (العدد: {count}) من جهات الإصدار نفسها.',
+        },
+        tokenCount: {
+            zero: 'لا رموز SBT',
+            one: 'رمز SBT واحد',
+            two: 'رمزا SBT',
+            few: '{count} رموز SBT',
+            many: '{count} رمز SBT',
+            other: '{count} رمز SBT',
+        },
+        wallets: 'المحافظ: {wallets}',
+        issuers: 'جهات الإصدار: {issuers}',
+        mostFlagged: 'أكثر المحافظ تنبيهًا: {wallets}',
+        preview: {
+            title: 'أثر العقوبات على الدرجات',
+            intro: 'درجات المحافظ المنبَّه عليها من رموز SBT التي تم تحليلها، بدون العقوبات الاختيارية على الرموز المنبَّه عليها ومعها. لا تطبقها الدرجات المنشورة ولا الشهادات أبدًا.',
+            wallet: 'المحفظة',
+            flaggedSbts: 'رموز SBT المنبَّه عليها',
+            change: '{score} ← {penalized}',
+        },
+    },
+};
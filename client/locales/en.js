@@ -0,0 +1,766 @@
+// --- English Catalog ---
+// The reference catalog: every other locale is checked against these keys (npm run check:i18n).
+// Enum labels are built from the shared tables (codecs, roles, routes, rate tiers, reason codes),
+// so a new task type or route shows up here, and as missing in every translation, without edits.
+// Plural messages are objects keyed by Intl.PluralRules category.
+
+import { TASK_TYPE_NAMES, POINT_LEVEL_NAMES, TASK_LABELS, POINT_LEVEL_LABELS } from '../sbtCodec.js';
+import {
+    PROGRAM_TYPE_NAMES,
+    APPLICATION_STATUS_NAMES,
+    BENEFIT_TYPE_NAMES,
+    PROGRAM_TYPE_LABELS,
+    APPLICATION_STATUS_LABELS,
+    BENEFIT_TYPE_LABELS,
+} from '../scholarshipCodec.js';
+import { ROLE_LABELS } from '../roles.js';
+import { ROUTES } from '../routes.js';
+import { REASON_CODES } from '../scoringEngine.js';
+import { INTEREST_RATE_TIERS } from '../loanPricing.js';
+
+// { [enum name]: label } from a names array and its index-keyed labels
+const byName = (names, labels, unknown) => ({
+    ...Object.fromEntries(names.map((name, index) => [name, labels[index]])),
+    UNKNOWN: unknown,
+});
+
+// Deep links share their view's label with the navigable route
+const ROUTE_LABELS = Object.fromEntries(ROUTES.filter(route => route.label).map(route => [route.view, route.label]));
+
+export default {
+    format: {
+        cusd: '{amount} cUSD',
+    },
+
+    common: {
+        disconnect: 'Disconnect',
+        dismiss: 'Dismiss',
+        cancel: 'Cancel',
+        refresh: 'Refresh',
+        refreshing: 'Refreshing...',
+        verify: 'Verify',
+    },
+
+    // --- Enums ---
+
+    taskTypes: byName(TASK_TYPE_NAMES, TASK_LABELS, 'Unknown Task'),
+    pointLevels: byName(POINT_LEVEL_NAMES, POINT_LEVEL_LABELS, 'Unknown Level'),
+    programTypes: byName(PROGRAM_TYPE_NAMES, PROGRAM_TYPE_LABELS, 'Unknown Program Type'),
+    applicationStatuses: byName(APPLICATION_STATUS_NAMES, APPLICATION_STATUS_LABELS, 'Unknown Status'),
+    benefitTypes: byName(BENEFIT_TYPE_NAMES, BENEFIT_TYPE_LABELS, 'Unknown Benefit'),
+    roles: { ...ROLE_LABELS },
+    reasons: { ...REASON_CODES },
+    rateTiers: Object.fromEntries(INTEREST_RATE_TIERS.map(tier => [tier.name, tier.label])),
+    scoreTypes: {
+        FINANCIAL_RISK: 'Financial Risk',
+        UBI_ELIGIBILITY: 'UBI Eligibility',
+    },
+    gates: {
+        KYC: 'KYC',
+        FIRST_TIME_BORROWER: 'First-time borrower',
+    },
+    publishStatus: {
+        PUBLISHED: 'Published',
+        UNCHANGED: 'Unchanged',
+        RATE_LIMITED: 'Rate limited',
+        PAUSED: 'Paused',
+        FAILED: 'Failed',
+    },
+    txStatus: {
+        queued: 'Queued',
+        awaiting_signature: 'Confirm in wallet',
+        pending: 'Pending',
+        confirmed: 'Confirmed',
+        failed: 'Failed',
+        replaced: 'Replaced',
+    },
+    queueStatus: {
+        queued: 'Waiting for connection',
+        submitting: 'Submitting',
+        submitted: 'Submitted',
+        conflict: 'Already redeemed',
+        expired: 'Expired',
+        failed: 'Failed',
+    },
+    voucherStatus: {
+        outstanding: 'Outstanding',
+        redeemed: 'Redeemed',
+        expired: 'Expired',
+        closed: 'Campaign closed',
+    },
+    loanStatus: {
+        NONE: 'No loan',
+        PENDING: 'Pending',
+        ACTIVE: 'Active',
+        OVERDUE: 'Overdue',
+    },
+    bulkStatus: {
+        pending: 'pending',
+        sending: 'sending',
+        interrupted: 'interrupted',
+        minted: 'minted',
+        failed: 'failed',
+        skipped: 'skipped',
+    },
+    connectors: {
+        injected: 'Browser Wallet',
+        walletConnect: 'WalletConnect',
+        devKey: 'Dev Signer (Hardhat)',
+    },
+
+    // --- App Shell ---
+
+    app: {
+        title: 'Celo Reputation & Aid Platform',
+    },
+    nav: {
+        actingAs: 'Acting as',
+        language: 'Language',
+        issuerActive: 'ISSUER ROLE ACTIVE (Verifier)',
+    },
+    routes: {
+        ...ROUTE_LABELS,
+        notFoundTitle: 'Page not found',
+        notFound: 'There is no page at {path}.',
+        goHome: 'Go to {role} home',
+        roleRequiredTitle: '{role} role required',
+        roleRequired: 'This page needs the {role} role, which the contracts do not grant to {address}.',
+    },
+    connect: {
+        connecting: 'Connecting Wallet to Celo Network...',
+        title: 'Connect Your Celo Identity',
+        mockIntro: 'Select a demo wallet to view the conditional dashboard.',
+        contractIntro: 'Your roles (issuer, loan admin, provider, owner) are read from the contracts after connecting.',
+        continueTo: 'You will continue to {path}.',
+        asHolder: 'Connect as IDP/Holder',
+        asIssuer: 'Connect as NGO/Issuer',
+        noBrowserWallet: 'No browser wallet found',
+        readingRoles: 'Reading your roles from the contracts...',
+    },
+    network: {
+        chain: 'Chain {chainId}',
+        wrongTitle: 'Wrong Network',
+        notDeployed: 'Credo is not deployed on {network}.',
+        unsupported: 'Chain {chainId} is not supported.',
+        switchTo: 'Switch your wallet to:',
+        noDeployments: 'No network has a deployment in deployments.json yet.',
+    },
+    footer: {
+        connected: 'Status: Connected to {network}',
+        offline: 'Status: Offline, last network {network}',
+        mockNetwork: 'Celo Network (Testnet Mock)',
+        wallet: 'Wallet Address: {address}',
+        disconnected: 'Disconnected',
+        roles: 'Roles: {roles}',
+    },
+    messages: {
+        connectionFailed: 'Wallet connection failed.',
+        networkSwitchFailed: 'Network switch failed.',
+        walletNotConnected: 'Wallet not connected. Please connect your wallet.',
+        issuerOnly: 'Only authorized Issuers can mint this type of SBT.',
+        invalidRecipient: 'Please enter a valid recipient Celo address.',
+        sbtIssued: 'SBT successfully issued to {recipient}.',
+        publishFailed: 'Publishing failed for {scoreTypes}: {error}',
+        published: {
+            one: 'Published {count} score to AIRiskOracle.',
+            other: 'Published {count} scores to AIRiskOracle.',
+        },
+        nothingPublished: 'Nothing published: scores are unchanged, rate-limited or publishing is paused.',
+        acknowledgementQueued: 'Acknowledgement signed and saved. The voucher is redeemed when your phone is back online.',
+        voucherRedeemed: 'Voucher redeemed. SBT #{tokenId} is in your wallet.',
+    },
+    offline: {
+        nothingCached: 'You are offline and this has not been synced on this phone yet.',
+        unreachable: 'The network could not be reached.',
+        offline: 'You are offline.',
+        lastSynced: 'Showing your reputation as last synced {date}.',
+        neverSynced: 'Nothing has been synced on this phone yet.',
+        actionsQueued: 'Aid vouchers are acknowledged now and redeemed when you reconnect.',
+        waiting: {
+            one: '{count} waiting to be sent.',
+            other: '{count} waiting to be sent.',
+        },
+    },
+    txTray: {
+        title: 'Transactions',
+        payFeesIn: 'Pay fees in',
+        empty: 'No transactions yet.',
+        feesInCUSD: 'fees in cUSD',
+        replacedBy: 'Replaced by {hash}',
+        clearFinished: 'Clear finished',
+        inProgress: {
+            one: '{count} transaction in progress',
+            other: '{count} transactions in progress',
+        },
+    },
+
+    // --- Holder ---
+
+    dashboard: {
+        title: '{idp} Risk Scoring Dashboard',
+        riskScore: 'Your Celo Identity Risk Score',
+        basedOn: {
+            one: 'Calculated based on {count} reputation token.',
+            other: 'Calculated based on {count} reputation tokens.',
+        },
+        ubiScore: 'UBI Eligibility Score: {score}',
+        policies: 'Policies: {financial} · {ubi}',
+        totalSbts: 'Total SBTs Held',
+        moreTokens: 'The more tokens, the higher your on-chain reputation.',
+        publishPrompt: 'Publish your scores to {oracle} so LoanManager and PointLedger can use them.',
+        publishing: 'Publishing...',
+        publish: 'Publish Scores',
+        onChain: 'On chain: {scores}',
+        notPublished: '{scoreType} not published',
+        publishedScore: '{scoreType} {score}',
+        expiredScore: '{scoreType} {score} (expired)',
+        synced: 'synced {when}',
+        syncedOffline: 'offline, synced {when}',
+        retryIn: 'retry in {minutes} min',
+        yourTokens: 'Your Soulbound Tokens',
+        noTokens: 'No SBTs found yet. Your score is based on minimal reputation data.',
+    },
+    breakdown: {
+        title: 'Why this score?',
+        gatePassed: 'Passed: {gate}',
+        gateFailed: 'Failed: {gate}',
+        holdingBack: 'What is holding the score back',
+        byToken: 'Contribution by token',
+        noContributions: 'No tokens contribute to this score yet.',
+        token: 'Token',
+        weight: 'Weight',
+        points: 'Points',
+        recency: 'Recency',
+        contribution: 'Contribution',
+        rawScore: 'Raw weighted score {score} · policy {policy}',
+    },
+    attestation: {
+        title: 'Score Attestation',
+        intro: 'Sign your score together with the SBTs you held at the latest block and the scoring policy version. A lender can recompute the same number from chain data with {command}.',
+        sign: 'Sign & Download',
+        awaitingSignature: 'Waiting for signature...',
+        snapshot: {
+            one: '{count} SBT · block {block}',
+            other: '{count} SBTs · block {block}',
+        },
+        signed: 'Signed {scoreType} = {score} at block {block}.',
+        pastePlaceholder: 'Paste an attestation JSON to recompute it',
+        invalidJson: 'The attestation is not valid JSON.',
+        recomputing: 'Recomputing...',
+        reproduced: 'Reproduced: {scoreType} {score}',
+        notReproduced: 'Not reproduced: {scoreType} {score}',
+        recomputed: '(recomputed {score})',
+        holderPolicy: 'Holder {holder} · policy {policy}',
+        mismatch: '{field}: attested {attested}, recomputed {recomputed}',
+        oracleMatches: 'AIRiskOracle: published {score} (matches the attestation)',
+        oracleDiffers: 'AIRiskOracle: published {score} (differs from the attestation)',
+        oracleNothing: 'AIRiskOracle: nothing published',
+    },
+    aid: {
+        title: 'Aid Vouchers',
+        intro: 'Redeeming the voucher your NGO gave you mints a non-transferable {proof} receipt on the Celo blockchain.',
+        proofOfService: 'Proof of Service',
+        yourAddress: 'Your Celo Wallet Address:',
+        shareAddress: 'Give this address to the NGO so it can issue your voucher.',
+        contractOnly: 'Aid vouchers are redeemed on the deployed AidCampaignManager contract. Switch to the contract backend to redeem one.',
+        voucherInput: 'Voucher link or code',
+        voucherPlaceholder: 'Paste the link or code from the NGO',
+        invalidVoucher: 'This is not a valid aid voucher. Check the link or ask the NGO for a new one.',
+        wrongChain: 'This voucher is for chain {chainId}. Switch networks to redeem it.',
+        unknownContract: 'This voucher was not issued through the Credo aid campaign contract of this network.',
+        otherRecipient: 'This voucher was issued to {address}, not to this wallet.',
+        badSignature: 'The voucher signature does not match its issuer. Do not accept it.',
+        voucherExpired: 'This voucher expired on {date}.',
+        campaignClosed: 'The NGO has closed this campaign.',
+        campaignAlreadyRedeemed: 'You already redeemed a voucher from this campaign.',
+        budgetExhausted: 'This campaign has no budget left for your voucher.',
+        campaign: 'Campaign',
+        amount: 'Amount',
+        issuedBy: 'Issued by',
+        validUntilLabel: 'Valid until',
+        acknowledged: 'Aid Acknowledged!',
+        redeemedAs: 'Redeemed as SBT #{tokenId} on {date}.',
+        confirmPrompt: 'Please confirm receipt of the {amount} from the NGO.',
+        redeem: 'Confirm Receipt & Redeem Voucher',
+        signOffline: 'Sign Acknowledgement (Redeem When Online)',
+        checking: 'Checking the voucher...',
+        redeeming: 'Redeeming... (Waiting for Celo TX)',
+        awaitingSignature: 'Waiting for your signature...',
+        queued: 'Acknowledgement Queued',
+        syncFailed: 'Could not reach the network. Your acknowledgement stays queued.',
+        signedOnPhone: 'Signed on this phone',
+        sending: 'Sending...',
+        sendNow: 'Send now',
+        signedAt: 'Signed {date}',
+        validUntil: 'valid until {date}',
+        conflict: 'This voucher is already redeemed on chain (SBT #{tokenId}). Nothing was sent.',
+        campaignConflict: 'You already redeemed another voucher from this campaign. Nothing was sent.',
+        expired: 'Expired before the phone reconnected. Open the voucher again.',
+        footer: 'Each voucher works once, only for your wallet. Redeeming is a low-fee Celo transaction and requires your digital consent.',
+        footerOffline: 'Without a connection your wallet signs now and the voucher is redeemed when you reconnect.',
+    },
+    planner: {
+        title: '{highlight} Planner',
+        titleHighlight: 'Loan',
+        limitsUnavailable: 'Live limits unavailable ({error}). Showing your estimated score and the LoanManager default amount limits.',
+        yourTier: 'Your Rate Tier',
+        apr: '{rate} APR',
+        scoreSource: 'Score {score} — {source}',
+        scorePublished: 'Published (AIRiskOracle)',
+        scoreEstimated: 'Estimated (not yet published)',
+        nextTier: 'You need {points} more score points to reach {tier} ({rate}).',
+        lowestRate: 'You already qualify for the lowest rate.',
+        rateTiers: 'Rate Tiers',
+        principal: 'Principal (cUSD)',
+        duration: 'Duration (days)',
+        days: {
+            one: '{count}d',
+            other: '{count}d',
+        },
+        totalRepayment: 'Total Repayment',
+        invalidInput: 'Enter a valid amount and a duration of {min}-{max} days.',
+        interest: {
+            one: 'Interest: {amount} at {rate} for {count} day',
+            other: 'Interest: {amount} at {rate} for {count} days',
+        },
+        eligibility: 'Eligibility (LoanManager.getEligibilityCriteria)',
+        checkAmount: 'Amount between {min} and {max}',
+        checkPointsUnknown: 'Reputation points (minimum unknown)',
+        checkPoints: 'At least {min} reputation points (you have {points})',
+        checkScoreUnknown: 'AI risk score (minimum unknown)',
+        checkScore: 'AI risk score of at least {min} (yours: {score})',
+        checkPublished: 'Fresh FINANCIAL_RISK score published to AIRiskOracle',
+    },
+    whatIf: {
+        title: '{highlight} Simulator',
+        titleHighlight: 'What-If',
+        addTitle: 'Add hypothetical achievements',
+        add: 'Add',
+        remove: 'Remove',
+        now: 'now',
+        monthTick: '+{months}m',
+        tierChange: 'Rate tier: {from} → {to}',
+        decayTitle: 'Score decay if you earn nothing new',
+        months: {
+            one: '{count} month',
+            other: '{count} months',
+        },
+        noDrops: {
+            one: 'No rate tier or eligibility threshold is lost within {count} month.',
+            other: 'No rate tier or eligibility threshold is lost within {count} months.',
+        },
+        drop: '{date}: drops out of {threshold} ({scoreType} {before} → {after}, needs {min})',
+        rateTierThreshold: '{tier} rate tier ({rate})',
+        thresholds: {
+            'loan-eligibility': 'Loan eligibility',
+            'service-eligibility': 'Service eligibility (PointLedger)',
+        },
+    },
+    loan: {
+        title: '{highlight} Loan',
+        titleHighlight: 'My',
+        contractOnly: 'Loans are handled by the deployed LoanManager contract. Switch to the contract backend to apply.',
+        steps: {
+            applying: 'Submitting application...',
+            cancelling: 'Cancelling application...',
+            approving: 'Approving cUSD allowance (1/2)...',
+            repaying: 'Repaying loan (2/2)...',
+        },
+        invalidAmount: 'Enter a valid loan amount.',
+        applied: 'Loan application submitted. The loan admin will review it.',
+        cancelled: 'Loan application cancelled.',
+        repaid: 'Loan repaid. Your repayment SBT is on its way.',
+        rateIntro: 'Your rate is set from your published FINANCIAL_RISK score when you apply. Use the Loan Planner to preview it.',
+        apply: 'Apply for Loan (LoanManager.applyForLoan)',
+        pending: 'Application for {amount} at {rate} APR is waiting for the loan admin.',
+        cancel: 'Cancel Application',
+        principal: 'Principal',
+        interest: {
+            one: 'Interest ({count} day)',
+            other: 'Interest ({count} days)',
+        },
+        dueBy: 'Due by {date}',
+        overdue: 'This loan is past its deadline. Repaying now is still accepted but is recorded as late.',
+        repay: 'Repay {amount} (approve + LoanManager.repayLoan)',
+    },
+    marketplace: {
+        title: '{highlight} & Benefits',
+        titleHighlight: 'Scholarships',
+        contractOnly: 'Programs are published on the deployed ScholarshipManager contract. Switch to the contract backend to browse them.',
+        allTypes: 'All program types',
+        offline: 'Offline: programs and eligibility as last synced {date}. Applying needs a connection.',
+        notOpen: 'Program #{id} is not open.',
+        notOpenOrFiltered: 'Program #{id} is not open or does not match this filter.',
+        openPrograms: 'Open Programs ({count})',
+        noPrograms: 'No active programs match this filter.',
+        myApplications: 'My Applications ({count})',
+        noApplications: 'You have not applied to any program yet.',
+        discountCode: '{percent} discount code',
+        deadline: 'Deadline {date}',
+        spotsLeft: {
+            one: '{count} of {max} spots left',
+            other: '{count} of {max} spots left',
+        },
+        full: 'Full',
+        link: 'Link',
+        points: 'Points {points} / {required}',
+        ubiScore: 'UBI Score {score} / {required}',
+        met: 'Met',
+        moreNeeded: {
+            one: '{count} more needed',
+            other: '{count} more needed',
+        },
+        notPublished: 'Not published',
+        alreadyApplied: 'You have applied. Track it under My Applications.',
+        notesPlaceholder: 'Why are you applying? (optional)',
+        submitting: 'Submitting...',
+        applyOnline: 'Apply when back online',
+        apply: 'Apply',
+        applied: 'Application to "{name}" submitted.',
+        programNumber: 'Program #{id}',
+        appliedAt: 'Applied {date}',
+        reviewer: 'Reviewer: {notes}',
+        code: 'Code: {code}',
+    },
+    credentials: {
+        title: 'Verifiable Credentials',
+        contractOnly: 'Credentials are signed by your wallet and checked against the deployed SoulboundToken. Switch to the contract backend to export them.',
+        intro: 'Share SBTs with partners outside Celo (microfinance institutions, schools) as W3C Verifiable Credentials. Your wallet signs each credential (EIP-712); the partner checks the signature and that you still hold the token on chain.',
+        noTokens: 'You hold no SBTs yet.',
+        formats: {
+            credentials: 'Verifiable Credentials (one per SBT)',
+            presentation: 'Verifiable Presentation (all SBTs, one holder proof)',
+        },
+        challengePlaceholder: 'Challenge from the verifier (optional)',
+        domainPlaceholder: 'Verifier domain, e.g. mfi.example (optional)',
+        signatures: 'Your wallet asks for one signature per SBT.',
+        signaturesPresentation: 'Your wallet asks for one signature per SBT, plus one for the presentation.',
+        awaitingSignatures: 'Waiting for signatures...',
+        export: {
+            one: 'Sign & Export {count} SBT',
+            other: 'Sign & Export {count} SBTs',
+        },
+        exported: {
+            one: 'Exported {count} signed credential.',
+            other: 'Exported {count} signed credentials.',
+        },
+        invalidJson: 'The document is not valid JSON.',
+        verifyTitle: 'Verify a Credential or Presentation',
+        pastePlaceholder: 'Paste the JSON document',
+        expectedChallenge: 'Expected challenge (optional)',
+        verifying: 'Verifying...',
+        valid: 'Valid: {subject}',
+        notValid: 'Not valid: {subject}',
+        presentationBy: 'presentation by {holder}',
+        credentialCount: {
+            one: '{count} credential',
+            other: '{count} credentials',
+        },
+        signatureOk: 'signature ok',
+        signatureInvalid: 'signature invalid',
+        onChain: 'on chain exists',
+        missing: 'on chain missing',
+        held: 'held by holder',
+        notHeld: 'not held by holder',
+        dataMatches: 'data matches',
+        dataDiffers: 'data differs',
+    },
+
+    // --- Issuer ---
+
+    issuer: {
+        title: 'Issuer & Auditor Dashboard',
+    },
+    mint: {
+        title: 'Mint New Reputation Token',
+        editRubrics: 'Edit Rubrics & Caps',
+        hideRubrics: 'Hide Rubrics',
+        authorizedIssuer: 'Authorized Issuer: {address} (Verified via SoulboundToken.isIssuer)',
+        recipient: 'Recipient Address (Holder)',
+        taskToVerify: 'Task Type to Verify',
+        pointLevel: 'Point Level',
+        fromRubric: 'From rubric: {level}',
+        override: 'Override: {level}',
+        justification: 'Justification for overriding {level} (saved with the SBT)',
+        minimumCharacters: '{length}/{min} characters minimum',
+        capDescription: {
+            one: '{count} SBT at {level} or above per recipient every {days} days',
+            other: '{count} SBTs at {level} or above per recipient every {days} days',
+        },
+        capStatus: 'Cap: {cap}. This recipient has {count} from you in the period.',
+        capResets: 'The next one is possible on {date}.',
+        capReached: 'Cap reached for this recipient: {cap}.',
+        sending: 'Sending Transaction...',
+        issue: 'Issue SBT to Recipient',
+        rubricsTitle: 'Rubrics & Caps',
+        taskType: 'Task Type',
+        rubricInput: 'Rubric input (blank = fixed level)',
+        rubricInputPlaceholder: 'e.g. Course hours completed',
+        unit: 'Unit',
+        unitPlaceholder: 'hours',
+        fromZero: 'From 0',
+        from: 'From',
+        always: 'Always',
+        addBand: '+ Add band',
+        capFrom: 'Cap applies from',
+        maxPerRecipient: 'Max per recipient',
+        periodDays: 'Period (days)',
+        restoreDefaults: 'Restore defaults',
+        saveRubrics: 'Save Rubrics',
+        rubricsSaved: 'Rubrics saved.',
+    },
+    bulk: {
+        title: 'Bulk Issuance from CSV / XLSX',
+        instructions: 'One SBT per row with the columns recipient, taskType, pointLevel and title (up to {max} rows). Task types and point levels accept the enum name (FINANCIAL_LITERACY_COURSE, LEVEL_B_HARMONY) or its index. A blank title uses the task label.',
+        downloadTemplate: 'Download a template',
+        capNotice: 'Your high-tier cap ({cap}) applies to uploads as well.',
+        checking: "Validating rows and checking recipients' existing SBTs...",
+        dryRun: 'Dry Run: {file}',
+        rows: {
+            one: '{count} row',
+            other: '{count} rows',
+        },
+        invalid: {
+            one: '{count} invalid',
+            other: '{count} invalid',
+        },
+        duplicates: {
+            one: '{count} duplicate',
+            other: '{count} duplicates',
+        },
+        toMint: {
+            one: '{count} to mint',
+            other: '{count} to mint',
+        },
+        nothingSent: 'Nothing has been sent yet.',
+        alreadyHolds: 'Recipient already holds SBT #{tokenId}',
+        repeatsRow: 'Repeats row {line}',
+        ok: 'OK',
+        includeDuplicates: 'Mint duplicates anyway',
+        finishFirst: 'Finish or discard the current batch first.',
+        mint: {
+            one: 'Mint {count} SBT',
+            other: 'Mint {count} SBTs',
+        },
+        paused: 'Batch paused: {minted} minted so far.',
+        finished: 'Batch finished: {minted} minted, {failed} failed, {skipped} skipped.',
+        jobSummary: 'Started {date} · {minted} minted · {failed} failed · {skipped} skipped · {remaining} remaining',
+        pause: 'Pause after current row',
+        resume: 'Resume ({count})',
+        retryFailed: 'Retry failed ({count})',
+        discard: 'Discard',
+        downloadResults: 'Download results',
+        interrupted: {
+            one: '{count} row was being sent when the page closed. Resuming checks the chain first and only re-sends rows that were not minted.',
+            other: '{count} rows were being sent when the page closed. Resuming checks the chain first and only re-sends rows that were not minted.',
+        },
+        columns: {
+            row: 'Row',
+            recipient: 'Recipient',
+            task: 'Task',
+            status: 'Status',
+            result: 'Result',
+            level: 'Level',
+            title: 'Title',
+            check: 'Check',
+        },
+    },
+    campaigns: {
+        title: 'Aid Campaigns & Vouchers',
+        intro: 'Run each disbursement round as a campaign. Every recipient gets a voucher signed by your wallet and redeems it once for their aid SBT. Amounts record the aid you hand out; the budget caps what can be redeemed.',
+        contractOnly: 'Campaigns run on the deployed AidCampaignManager contract. Switch to the contract backend to use them.',
+        campaignTitle: 'Campaign Title',
+        titlePlaceholder: 'e.g. Flood Relief - Kano, March',
+        titleHint: 'Stored on chain as the title of every aid SBT of the campaign.',
+        budget: 'Budget (cUSD)',
+        endsOn: 'Vouchers valid until',
+        create: 'Create Campaign',
+        creating: 'Creating...',
+        created: 'Campaign "{title}" created (#{id}).',
+        closed: 'Campaign "{title}" closed.',
+        reopened: 'Campaign "{title}" reopened.',
+        none: 'You have no campaigns yet.',
+        statusOpen: 'Open',
+        statusClosed: 'Closed',
+        statusEnded: 'Ended',
+        budgetUsed: '{redeemed} of {budget} redeemed',
+        redemptions: {
+            one: '{count} redemption',
+            other: '{count} redemptions',
+        },
+        ends: 'ends {date}',
+        manage: 'Vouchers',
+        close: 'Close',
+        reopen: 'Reopen',
+        issueTitle: 'Issue Vouchers',
+        issueInstructions: 'One recipient per line: the wallet address, then the cUSD amount (leave it out to use the default). Your wallet asks you to sign each voucher.',
+        defaultAmount: 'Default amount (cUSD)',
+        vouchersToSign: {
+            one: '{count} voucher',
+            other: '{count} vouchers',
+        },
+        lineError: 'Line {line}: {error}',
+        overBudget: 'These vouchers exceed what is left of the budget ({remaining}). Redemptions past the budget are rejected.',
+        notRedeemable: 'The campaign is closed or has ended, so new vouchers could not be redeemed.',
+        sign: {
+            one: 'Sign {count} voucher',
+            other: 'Sign {count} vouchers',
+        },
+        signing: 'Signed {signed} of {total}...',
+        signed: {
+            one: '{count} voucher signed.',
+            other: '{count} vouchers signed.',
+        },
+        amounts: 'Redeemed {redeemed} · outstanding {outstanding} · budget {budget}',
+        storedHere: 'Signed vouchers are kept in this browser. Redemptions of vouchers signed elsewhere are read from the chain.',
+        exportCSV: 'Export CSV',
+        printOutstanding: 'Print outstanding vouchers',
+        noVouchers: 'No vouchers issued for this campaign yet.',
+        amount: 'Amount',
+        redeemedAs: 'SBT #{tokenId}, {date}',
+        expires: 'valid until {date}',
+        issuedElsewhere: 'signed on another device',
+        copyLink: 'Copy link',
+        linkCopied: 'Voucher link copied.',
+        qrCode: 'QR code',
+    },
+    audit: {
+        title: 'Global Audit & Service Verification',
+        totalAid: 'Total Aid Acknowledged (SBTs)',
+        totalIssued: 'Total Reputation SBTs Issued',
+        burnedCount: {
+            one: '{count} burned',
+            other: '{count} burned',
+        },
+        chainAudit: 'Celo Blockchain Audit',
+        indexedUpTo: 'Counted from indexed SBTIssued events up to block {block}',
+        syncedAt: '(synced {time})',
+        sessionOnly: 'Auditors verify campaigns from SBTIssued events. Set indexerUrl to audit the whole chain; these counts only cover this session.',
+        scoresPublished: 'Scores Published',
+        loans: 'Loans',
+        loanTotals: '{applied} applied · {approved} approved · {repaid} repaid ({repaidLate} late)',
+        scholarships: 'Scholarships',
+        scholarshipTotals: '{programs} programs · {applications} applications · {disbursed} disbursed',
+        perIssuer: 'SBTs per Issuer',
+        columns: {
+            issuer: 'Issuer',
+            issued: 'Issued',
+            aid: 'Aid',
+            holders: 'Holders',
+            burned: 'Burned',
+            lastIssued: 'Last Issued',
+        },
+        holderHistory: 'Holder History',
+        holderPlaceholder: 'Holder address (0x...)',
+        lookUp: 'Look Up',
+        historySummary: '{active} active SBTs, {count} events for {holder}',
+        block: 'block {block}',
+        logGlobal: 'SBT Audit Log (Global View)',
+        logSession: 'SBT Audit Log (This Session)',
+        issuerPlaceholder: 'Issuer (0x...)',
+        recipientPlaceholder: 'Recipient (0x...)',
+        allTaskTypes: 'All task types',
+        allPointLevels: 'All point levels',
+        from: 'From',
+        to: 'To',
+        reset: 'Reset',
+        applyFilters: 'Apply Filters',
+        noMatches: 'No SBTs match these filters.',
+        showing: 'Showing {first}-{last} of {total}',
+        exportCsv: 'Export CSV',
+        exportJson: 'Export JSON',
+        burned: '(burned)',
+        toAddress: 'To: {address}',
+        by: 'By: {address}',
+        notAvailable: 'N/A',
+        previous: 'Previous',
+        next: 'Next',
+        page: 'Page {page} of {count}',
+        popupBlocked: 'The report window was blocked. Allow pop-ups for this site to print.',
+    },
+    events: {
+        SBTIssued: 'SBT #{tokenId} issued: {task} (+{points} pts)',
+        SBTBurned: 'SBT #{tokenId} burned',
+        ScorePublished: '{scoreType} score published: {score} (was {previous})',
+        LoanApplied: 'Loan applied: {amount} at {rate}',
+        LoanApproved: {
+            one: 'Loan approved for {count} day',
+            other: 'Loan approved for {count} days',
+        },
+        LoanDisbursed: 'Loan disbursed: {amount}, {due} due',
+        LoanRepaid: 'Loan repaid: {amount}',
+        LoanRepaidLate: 'Loan repaid: {amount} (late)',
+        LoanCancelled: 'Loan application cancelled or rejected',
+        ApplicationSubmitted: 'Applied to program #{programId}',
+        ApplicationReviewed: 'Application #{applicationId}: {status}',
+        BenefitDisbursed: 'Benefit disbursed for application #{applicationId}',
+        ApplicationCompleted: 'Program completed (application #{applicationId})',
+        VoucherRedeemed: 'Aid voucher #{voucherId} of campaign #{campaignId} redeemed: {amount} (SBT #{tokenId})',
+    },
+    report: {
+        title: 'Aid Campaign Report',
+        intro: 'Summarizes AID_DISBURSEMENT_RECEIVED acknowledgements matching the issuer, recipient and date filters above.',
+        buckets: {
+            day: 'Daily',
+            week: 'Weekly',
+            month: 'Monthly',
+        },
+        generate: 'Generate',
+        print: 'Print',
+        acknowledgements: 'Acknowledgements',
+        uniqueRecipients: 'Unique Recipients',
+        repeatRecipients: 'Repeat Recipients',
+        issuers: 'Issuers',
+        per: {
+            day: 'Per day',
+            week: 'Per week',
+            month: 'Per month',
+        },
+        periodRow: '{count} ({new} new)',
+        byIssuer: 'By issuer',
+        unknownIssuer: 'unknown',
+        issuerRow: '{count} to {recipients} recipients',
+    },
+    risk: {
+        title: 'Issuance Risk Flags',
+        intro: 'Looks for sybil and collusion patterns in the SBTs matching the filters above: self-issuance, circular issuance, mint bursts, issuer concentration and wallets with identical histories. Flags are leads for review, not proof.',
+        analyze: 'Analyze',
+        exportCsv: 'Export Flags',
+        summary: 'Flags: {flags} · Wallets: {wallets} · SBTs analyzed: {count}',
+        none: 'No risk patterns found.',
+        severity: {
+            high: 'High',
+            medium: 'Medium',
+            low: 'Low',
+        },
+        kinds: {
+            SELF_ISSUANCE: 'Self-issuance',
+            CIRCULAR_ISSUANCE: 'Circular issuance',
+            MINT_BURST: 'Mint burst',
+            ISSUER_CONCENTRATION: 'Issuer concentration',
+            IDENTICAL_HISTORIES: 'Identical histories',
+        },
+        descriptions: {
+            SELF_ISSUANCE: 'The issuer minted SBTs to its own wallet.',
+            CIRCULAR_ISSUANCE: '{length} wallets issued SBTs to each other in a cycle.',
+            CIRCULAR_MENTORSHIP: '{length} wallets issued mentorship SBTs to each other in a cycle.',
+            MINT_BURST: 'One issuer minted {count} SBTs to one wallet within {seconds} seconds.',
+            ISSUER_CONCENTRATION: '{share} of the issuer\'s {count} high-tier SBTs went to {recipients} wallets.',
+            IDENTICAL_HISTORIES: '{wallets} wallets hold the same {count} SBTs from the same issuers.',
+        },
+        tokenCount: {
+            one: '{count} SBT',
+            other: '{count} SBTs',
+        },
+        wallets: 'Wallets: {wallets}',
+        issuers: 'Issuers: {issuers}',
+        mostFlagged: 'Most flagged wallets: {wallets}',
+        preview: {
+            title: 'Score Impact of Penalties',
+            intro: 'Scores of the flagged wallets from the analyzed SBTs, without and with the optional penalties for flagged SBTs. Published scores and attestations never apply them.',
+            wallet: 'Wallet',
+            flaggedSbts: 'Flagged SBTs',
+            change: '{score} → {penalized}',
+        },
+    },
+};
@@ -0,0 +1,812 @@
+// --- French Catalog ---
+// Same keys as en.js; enum groups are keyed by codec name.
+
+export default {
+    format: {
+        cusd: '{amount} cUSD',
+    },
+
+    common: {
+        disconnect: 'Déconnecter',
+        dismiss: 'Masquer',
+        cancel: 'Annuler',
+        refresh: 'Actualiser',
+        refreshing: 'Actualisation...',
+        verify: 'Vérifier',
+    },
+
+    // --- Enums ---
+
+    taskTypes: {
+        IDENTITY_VERIFIED_KYC: 'KYC vérifié (identité)',
+        IDENTITY_MULTI_FACTOR: 'Identité multifacteur vérifiée',
+        FINANCIAL_LITERACY_COURSE: 'Cours d’éducation financière',
+        FINANCIAL_SAVINGS_GOAL: 'Objectif d’épargne atteint',
+        LOAN_REPAYMENT_SMALL: 'Petit prêt remboursé (à temps)',
+        LOAN_REPAYMENT_LARGE: 'Gros prêt remboursé (à temps)',
+        AID_DISBURSEMENT_RECEIVED: 'Réception d’aide d’ONG confirmée',
+        COMMUNITY_VOLUNTEERISM: 'Bénévolat communautaire',
+        SOCIAL_EDUCATION_CERT: 'Certificat de formation obtenu',
+        SOCIAL_MENTORSHIP: 'Mentorat vérifié',
+        UNKNOWN: 'Tâche inconnue',
+    },
+    pointLevels: {
+        LEVEL_D_MINOR: 'Mineur (100 pts)',
+        LEVEL_C_MAJOR: 'Majeur (300 pts)',
+        LEVEL_B_HARMONY: 'Harmonie (750 pts)',
+        LEVEL_A_PRESTIGE: 'Prestige (1500 pts)',
+        UNKNOWN: 'Niveau inconnu',
+    },
+    programTypes: {
+        EDUCATION_SCHOLARSHIP: 'Bourse d’études',
+        HEALTHCARE_DISCOUNT: 'Réduction sur les soins',
+        HOUSING_ASSISTANCE: 'Aide au logement',
+        FOOD_SECURITY: 'Sécurité alimentaire',
+        PROFESSIONAL_TRAINING: 'Formation professionnelle',
+        CHILDCARE_SUPPORT: 'Aide à la garde d’enfants',
+        GENERAL_GRANT: 'Subvention générale',
+        UNKNOWN: 'Type de programme inconnu',
+    },
+    applicationStatuses: {
+        PENDING: 'En cours d’examen',
+        APPROVED: 'Approuvée',
+        REJECTED: 'Refusée',
+        DISBURSED: 'Avantage versé',
+        COMPLETED: 'Terminée',
+        CANCELLED: 'Annulée',
+        UNKNOWN: 'Statut inconnu',
+    },
+    benefitTypes: {
+        MONETARY: 'Monétaire (cUSD)',
+        DISCOUNT_CODE: 'Code de réduction',
+        VOUCHER: 'Bon',
+        FREE_ACCESS: 'Accès gratuit',
+        UNKNOWN: 'Avantage inconnu',
+    },
+    roles: {
+        holder: 'Titulaire',
+        issuer: 'Émetteur',
+        loanAdmin: 'Administrateur des prêts',
+        provider: 'Fournisseur de programmes',
+        owner: 'Propriétaire des contrats',
+    },
+    reasons: {
+        NO_KYC: 'Aucun SBT de vérification d’identité (KYC). Les scores restent à 0 tant que l’identité n’est pas vérifiée.',
+        FIRST_TIME_NO_SOCIAL: 'Aucun historique de remboursement et aucun SBT communautaire, de formation ou de mentorat.',
+        FIRST_TIME_FEW_NON_FINANCIAL: 'Aucun historique de remboursement et trop peu de SBT non financiers.',
+        FLAGGED_ISSUANCE: 'Certains SBT ont été émis selon des schémas signalés par l’audit d’émission et comptent moins.',
+        AGED_HISTORY: 'Les SBT anciens comptent moins. Des réussites récentes augmentent le score.',
+        BELOW_EXCELLENT_THRESHOLD: 'La réputation pondérée est inférieure au niveau requis pour un excellent score.',
+    },
+    rateTiers: {
+        EXCELLENT: 'Excellent',
+        GOOD: 'Bon',
+        FAIR: 'Moyen',
+        HIGH_RISK: 'Risque élevé',
+    },
+    scoreTypes: {
+        FINANCIAL_RISK: 'Risque financier',
+        UBI_ELIGIBILITY: 'Éligibilité au RBU',
+    },
+    gates: {
+        KYC: 'KYC',
+        FIRST_TIME_BORROWER: 'Premier emprunt',
+    },
+    publishStatus: {
+        PUBLISHED: 'Publié',
+        UNCHANGED: 'Inchangé',
+        RATE_LIMITED: 'Trop tôt',
+        PAUSED: 'En pause',
+        FAILED: 'Échec',
+    },
+    txStatus: {
+        queued: 'En file d’attente',
+        awaiting_signature: 'À confirmer dans le portefeuille',
+        pending: 'En attente',
+        confirmed: 'Confirmée',
+        failed: 'Échec',
+        replaced: 'Remplacée',
+    },
+    queueStatus: {
+        queued: 'En attente de connexion',
+        submitting: 'Envoi',
+        submitted: 'Envoyée',
+        conflict: 'Déjà utilisée',
+        expired: 'Expirée',
+        failed: 'Échec',
+    },
+    voucherStatus: {
+        outstanding: 'En circulation',
+        redeemed: 'Utilisé',
+        expired: 'Expiré',
+        closed: 'Campagne fermée',
+    },
+    loanStatus: {
+        NONE: 'Aucun prêt',
+        PENDING: 'En attente',
+        ACTIVE: 'Actif',
+        OVERDUE: 'En retard',
+    },
+    bulkStatus: {
+        pending: 'en attente',
+        sending: 'envoi',
+        interrupted: 'interrompu',
+        minted: 'émis',
+        failed: 'échec',
+        skipped: 'ignoré',
+    },
+    connectors: {
+        injected: 'Portefeuille du navigateur',
+        walletConnect: 'WalletConnect',
+        devKey: 'Signataire de développement (Hardhat)',
+    },
+
+    // --- App Shell ---
+
+    app: {
+        title: 'Plateforme Celo de réputation et d’aide',
+    },
+    nav: {
+        actingAs: 'Agir en tant que',
+        language: 'Langue',
+        issuerActive: 'RÔLE ÉMETTEUR ACTIF (Vérificateur)',
+    },
+    routes: {
+        dashboard: 'Tableau de bord du score',
+        social_aid: 'Bons d’aide',
+        loan_planner: 'Planificateur de prêt',
+        what_if: 'Simulation',
+        my_loan: 'Mon prêt',
+        scholarships: 'Bourses',
+        credentials: 'Attestations',
+        issuer_audit: 'Audit et vérification des campagnes',
+        issuer_mint: 'Émission manuelle de SBT',
+        issuer_bulk: 'Émission groupée',
+        issuer_campaigns: 'Campagnes d’aide',
+        loan_admin: 'Administration des prêts',
+        provider_console: 'Console fournisseur',
+        owner_overview: 'Contrats détenus',
+        notFoundTitle: 'Page introuvable',
+        notFound: 'Aucune page à l’adresse {path}.',
+        goHome: 'Aller à l’accueil {role}',
+        roleRequiredTitle: 'Rôle {role} requis',
+        roleRequired: 'Cette page nécessite le rôle {role}, que les contrats n’accordent pas à {address}.',
+    },
+    connect: {
+        connecting: 'Connexion du portefeuille au réseau Celo...',
+        title: 'Connectez votre identité Celo',
+        mockIntro: 'Choisissez un portefeuille de démonstration pour afficher le tableau de bord.',
+        contractIntro: 'Vos rôles (émetteur, administrateur des prêts, fournisseur, propriétaire) sont lus depuis les contrats après la connexion.',
+        continueTo: 'Vous serez redirigé vers {path}.',
+        asHolder: 'Se connecter comme IDP/Titulaire',
+        asIssuer: 'Se connecter comme ONG/Émetteur',
+        noBrowserWallet: 'Aucun portefeuille de navigateur trouvé',
+        readingRoles: 'Lecture de vos rôles depuis les contrats...',
+    },
+    network: {
+        chain: 'Chaîne {chainId}',
+        wrongTitle: 'Mauvais réseau',
+        notDeployed: 'Credo n’est pas déployé sur {network}.',
+        unsupported: 'La chaîne {chainId} n’est pas prise en charge.',
+        switchTo: 'Basculez votre portefeuille vers :',
+        noDeployments: 'Aucun réseau n’a encore de déploiement dans deployments.json.',
+    },
+    footer: {
+        connected: 'État : connecté à {network}',
+        offline: 'État : hors ligne, dernier réseau {network}',
+        mockNetwork: 'Réseau Celo (simulation testnet)',
+        wallet: 'Adresse du portefeuille : {address}',
+        disconnected: 'Déconnecté',
+        roles: 'Rôles : {roles}',
+    },
+    messages: {
+        connectionFailed: 'La connexion du portefeuille a échoué.',
+        networkSwitchFailed: 'Le changement de réseau a échoué.',
+        walletNotConnected: 'Portefeuille non connecté. Veuillez connecter votre portefeuille.',
+        issuerOnly: 'Seuls les émetteurs autorisés peuvent émettre ce type de SBT.',
+        invalidRecipient: 'Veuillez saisir une adresse Celo de destinataire valide.',
+        sbtIssued: 'SBT émis avec succès pour {recipient}.',
+        publishFailed: 'Échec de la publication pour {scoreTypes} : {error}',
+        published: {
+            one: '{count} score publié sur AIRiskOracle.',
+            other: '{count} scores publiés sur AIRiskOracle.',
+        },
+        nothingPublished: 'Rien n’a été publié : les scores sont inchangés, publiés trop récemment ou la publication est en pause.',
+        acknowledgementQueued: 'Confirmation signée et enregistrée. Le bon sera utilisé quand votre téléphone sera de nouveau en ligne.',
+        voucherRedeemed: 'Bon utilisé. Le SBT n° {tokenId} est dans votre portefeuille.',
+    },
+    offline: {
+        nothingCached: 'Vous êtes hors ligne et ces données n’ont pas encore été synchronisées sur ce téléphone.',
+        unreachable: 'Le réseau est injoignable.',
+        offline: 'Vous êtes hors ligne.',
+        lastSynced: 'Votre réputation telle que synchronisée le {date}.',
+        neverSynced: 'Rien n’a encore été synchronisé sur ce téléphone.',
+        actionsQueued: 'Les bons d’aide sont confirmés maintenant et utilisés à la reconnexion.',
+        waiting: {
+            one: '{count} en attente d’envoi.',
+            other: '{count} en attente d’envoi.',
+        },
+    },
+    txTray: {
+        title: 'Transactions',
+        payFeesIn: 'Payer les frais en',
+        empty: 'Aucune transaction pour l’instant.',
+        feesInCUSD: 'frais en cUSD',
+        replacedBy: 'Remplacée par {hash}',
+        clearFinished: 'Effacer les terminées',
+        inProgress: {
+            one: '{count} transaction en cours',
+            other: '{count} transactions en cours',
+        },
+    },
+
+    // --- Holder ---
+
+    dashboard: {
+        title: 'Tableau de bord du score de risque {idp}',
+        riskScore: 'Votre score de risque d’identité Celo',
+        basedOn: {
+            one: 'Calculé à partir de {count} jeton de réputation.',
+            other: 'Calculé à partir de {count} jetons de réputation.',
+        },
+        ubiScore: 'Score d’éligibilité au RBU : {score}',
+        policies: 'Politiques : {financial} · {ubi}',
+        totalSbts: 'Total des SBT détenus',
+        moreTokens: 'Plus vous avez de jetons, plus votre réputation sur la chaîne est élevée.',
+        publishPrompt: 'Publiez vos scores sur {oracle} pour que LoanManager et PointLedger puissent les utiliser.',
+        publishing: 'Publication...',
+        publish: 'Publier les scores',
+        onChain: 'Sur la chaîne : {scores}',
+        notPublished: '{scoreType} non publié',
+        publishedScore: '{scoreType} {score}',
+        expiredScore: '{scoreType} {score} (expiré)',
+        synced: 'synchronisé {when}',
+        syncedOffline: 'hors ligne, synchronisé {when}',
+        retryIn: 'réessayer dans {minutes} min',
+        yourTokens: 'Vos jetons liés à l’âme (SBT)',
+        noTokens: 'Aucun SBT pour l’instant. Votre score repose sur très peu de données de réputation.',
+    },
+    breakdown: {
+        title: 'Pourquoi ce score ?',
+        gatePassed: 'Réussi : {gate}',
+        gateFailed: 'Échoué : {gate}',
+        holdingBack: 'Ce qui freine le score',
+        byToken: 'Contribution par jeton',
+        noContributions: 'Aucun jeton ne contribue encore à ce score.',
+        token: 'Jeton',
+        weight: 'Poids',
+        points: 'Points',
+        recency: 'Ancienneté',
+        contribution: 'Contribution',
+        rawScore: 'Score pondéré brut {score} · politique {policy}',
+    },
+    attestation: {
+        title: 'Attestation de score',
+        intro: 'Signez votre score avec les SBT détenus au dernier bloc et la version de la politique de notation. Un prêteur peut recalculer le même nombre depuis la chaîne avec {command}.',
+        sign: 'Signer et télécharger',
+        awaitingSignature: 'En attente de signature...',
+        snapshot: {
+            one: '{count} SBT · bloc {block}',
+            other: '{count} SBT · bloc {block}',
+        },
+        signed: '{scoreType} = {score} signé au bloc {block}.',
+        pastePlaceholder: 'Collez le JSON d’une attestation pour la recalculer',
+        invalidJson: 'L’attestation n’est pas un JSON valide.',
+        recomputing: 'Recalcul...',
+        reproduced: 'Reproduit : {scoreType} {score}',
+        notReproduced: 'Non reproduit : {scoreType} {score}',
+        recomputed: '(recalculé : {score})',
+        holderPolicy: 'Titulaire {holder} · politique {policy}',
+        mismatch: '{field} : attesté {attested}, recalculé {recomputed}',
+        oracleMatches: 'AIRiskOracle : {score} publié (conforme à l’attestation)',
+        oracleDiffers: 'AIRiskOracle : {score} publié (différent de l’attestation)',
+        oracleNothing: 'AIRiskOracle : rien de publié',
+    },
+    aid: {
+        title: 'Bons d’aide',
+        intro: 'Utiliser le bon remis par votre ONG émet un reçu {proof} non transférable sur la blockchain Celo.',
+        proofOfService: 'Preuve de service',
+        yourAddress: 'Votre adresse de portefeuille Celo :',
+        shareAddress: 'Donnez cette adresse à l’ONG pour qu’elle émette votre bon.',
+        contractOnly: 'Les bons d’aide sont utilisés sur le contrat AidCampaignManager déployé. Passez au backend contrat pour en utiliser un.',
+        voucherInput: 'Lien ou code du bon',
+        voucherPlaceholder: 'Collez le lien ou le code fourni par l’ONG',
+        invalidVoucher: 'Ce n’est pas un bon d’aide valide. Vérifiez le lien ou demandez un nouveau bon à l’ONG.',
+        wrongChain: 'Ce bon est destiné à la chaîne {chainId}. Changez de réseau pour l’utiliser.',
+        unknownContract: 'Ce bon n’a pas été émis par le contrat de campagnes d’aide Credo de ce réseau.',
+        otherRecipient: 'Ce bon a été émis pour {address}, pas pour ce portefeuille.',
+        badSignature: 'La signature du bon ne correspond pas à son émetteur. Ne l’acceptez pas.',
+        voucherExpired: 'Ce bon a expiré le {date}.',
+        campaignClosed: 'L’ONG a fermé cette campagne.',
+        campaignAlreadyRedeemed: 'Vous avez déjà utilisé un bon de cette campagne.',
+        budgetExhausted: 'Cette campagne n’a plus de budget pour votre bon.',
+        campaign: 'Campagne',
+        amount: 'Montant',
+        issuedBy: 'Émis par',
+        validUntilLabel: 'Valable jusqu’au',
+        acknowledged: 'Aide confirmée !',
+        redeemedAs: 'Utilisé comme SBT n° {tokenId} le {date}.',
+        confirmPrompt: 'Veuillez confirmer la réception des {amount} de l’ONG.',
+        redeem: 'Confirmer la réception et utiliser le bon',
+        signOffline: 'Signer la confirmation (utilisation une fois en ligne)',
+        checking: 'Vérification du bon...',
+        redeeming: 'Utilisation... (en attente de la transaction Celo)',
+        awaitingSignature: 'En attente de votre signature...',
+        queued: 'Confirmation en attente',
+        syncFailed: 'Réseau injoignable. Votre confirmation reste en attente.',
+        signedOnPhone: 'Signé sur ce téléphone',
+        sending: 'Envoi...',
+        sendNow: 'Envoyer maintenant',
+        signedAt: 'Signé le {date}',
+        validUntil: 'valable jusqu’au {date}',
+        conflict: 'Ce bon est déjà utilisé sur la chaîne (SBT n° {tokenId}). Rien n’a été envoyé.',
+        campaignConflict: 'Vous avez déjà utilisé un autre bon de cette campagne. Rien n’a été envoyé.',
+        expired: 'Expirée avant la reconnexion du téléphone. Ouvrez le bon à nouveau.',
+        footer: 'Chaque bon ne sert qu’une fois, uniquement pour votre portefeuille. L’utilisation est une transaction Celo à faibles frais et nécessite votre consentement numérique.',
+        footerOffline: 'Sans connexion, votre portefeuille signe maintenant et le bon est utilisé à la reconnexion.',
+    },
+    planner: {
+        title: 'Planificateur de {highlight}',
+        titleHighlight: 'prêt',
+        limitsUnavailable: 'Limites en direct indisponibles ({error}). Affichage de votre score estimé et des limites de montant par défaut de LoanManager.',
+        yourTier: 'Votre palier de taux',
+        apr: '{rate} TAEG',
+        scoreSource: 'Score {score} — {source}',
+        scorePublished: 'Publié (AIRiskOracle)',
+        scoreEstimated: 'Estimé (pas encore publié)',
+        nextTier: 'Il vous manque {points} points de score pour atteindre le palier {tier} ({rate}).',
+        lowestRate: 'Vous avez déjà droit au taux le plus bas.',
+        rateTiers: 'Paliers de taux',
+        principal: 'Capital (cUSD)',
+        duration: 'Durée (jours)',
+        days: {
+            one: '{count} j',
+            other: '{count} j',
+        },
+        totalRepayment: 'Remboursement total',
+        invalidInput: 'Saisissez un montant valide et une durée de {min} à {max} jours.',
+        interest: {
+            one: 'Intérêts : {amount} à {rate} sur {count} jour',
+            other: 'Intérêts : {amount} à {rate} sur {count} jours',
+        },
+        eligibility: 'Éligibilité (LoanManager.getEligibilityCriteria)',
+        checkAmount: 'Montant entre {min} et {max}',
+        checkPointsUnknown: 'Points de réputation (minimum inconnu)',
+        checkPoints: 'Au moins {min} points de réputation (vous en avez {points})',
+        checkScoreUnknown: 'Score de risque IA (minimum inconnu)',
+        checkScore: 'Score de risque IA d’au moins {min} (le vôtre : {score})',
+        checkPublished: 'Score FINANCIAL_RISK récent publié sur AIRiskOracle',
+    },
+    whatIf: {
+        title: 'Simulateur {highlight}',
+        titleHighlight: 'et si',
+        addTitle: 'Ajouter des réussites hypothétiques',
+        add: 'Ajouter',
+        remove: 'Retirer',
+        now: 'maint.',
+        monthTick: '+{months} m',
+        tierChange: 'Palier de taux : {from} → {to}',
+        decayTitle: 'Baisse du score si vous n’obtenez rien de nouveau',
+        months: {
+            one: '{count} mois',
+            other: '{count} mois',
+        },
+        noDrops: {
+            one: 'Aucun palier de taux ni seuil d’éligibilité n’est perdu d’ici {count} mois.',
+            other: 'Aucun palier de taux ni seuil d’éligibilité n’est perdu d’ici {count} mois.',
+        },
+        drop: '{date} : sortie de {threshold} ({scoreType} {before} → {after}, minimum {min})',
+        rateTierThreshold: 'palier de taux {tier} ({rate})',
+        thresholds: {
+            'loan-eligibility': 'l’éligibilité au prêt',
+            'service-eligibility': 'l’éligibilité aux services (PointLedger)',
+        },
+    },
+    loan: {
+        title: '{highlight} prêt',
+        titleHighlight: 'Mon',
+        contractOnly: 'Les prêts sont gérés par le contrat LoanManager déployé. Passez au backend contrat pour faire une demande.',
+        steps: {
+            applying: 'Envoi de la demande...',
+            cancelling: 'Annulation de la demande...',
+            approving: 'Autorisation de dépense cUSD (1/2)...',
+            repaying: 'Remboursement du prêt (2/2)...',
+        },
+        invalidAmount: 'Saisissez un montant de prêt valide.',
+        applied: 'Demande de prêt envoyée. L’administrateur des prêts va l’examiner.',
+        cancelled: 'Demande de prêt annulée.',
+        repaid: 'Prêt remboursé. Votre SBT de remboursement arrive.',
+        rateIntro: 'Votre taux est fixé à partir de votre score FINANCIAL_RISK publié lors de la demande. Utilisez le planificateur de prêt pour le prévisualiser.',
+        apply: 'Demander un prêt (LoanManager.applyForLoan)',
+        pending: 'La demande de {amount} à {rate} TAEG attend l’administrateur des prêts.',
+        cancel: 'Annuler la demande',
+        principal: 'Capital',
+        interest: {
+            one: 'Intérêts ({count} jour)',
+            other: 'Intérêts ({count} jours)',
+        },
+        dueBy: 'À rembourser avant le {date}',
+        overdue: 'Ce prêt a dépassé son échéance. Un remboursement reste accepté mais est enregistré comme tardif.',
+        repay: 'Rembourser {amount} (autorisation + LoanManager.repayLoan)',
+    },
+    marketplace: {
+        title: '{highlight} et avantages',
+        titleHighlight: 'Bourses',
+        contractOnly: 'Les programmes sont publiés sur le contrat ScholarshipManager déployé. Passez au backend contrat pour les consulter.',
+        allTypes: 'Tous les types de programmes',
+        offline: 'Hors ligne : programmes et éligibilité synchronisés le {date}. Postuler nécessite une connexion.',
+        notOpen: 'Le programme n° {id} n’est pas ouvert.',
+        notOpenOrFiltered: 'Le programme n° {id} n’est pas ouvert ou ne correspond pas à ce filtre.',
+        openPrograms: 'Programmes ouverts ({count})',
+        noPrograms: 'Aucun programme actif ne correspond à ce filtre.',
+        myApplications: 'Mes candidatures ({count})',
+        noApplications: 'Vous n’avez encore postulé à aucun programme.',
+        discountCode: 'code de réduction de {percent}',
+        deadline: 'Date limite {date}',
+        spotsLeft: {
+            one: '{count} place restante sur {max}',
+            other: '{count} places restantes sur {max}',
+        },
+        full: 'Complet',
+        link: 'Lien',
+        points: 'Points {points} / {required}',
+        ubiScore: 'Score RBU {score} / {required}',
+        met: 'Atteint',
+        moreNeeded: {
+            one: 'encore {count} nécessaire',
+            other: 'encore {count} nécessaires',
+        },
+        notPublished: 'Non publié',
+        alreadyApplied: 'Vous avez postulé. Suivez votre candidature dans Mes candidatures.',
+        notesPlaceholder: 'Pourquoi postulez-vous ? (facultatif)',
+        submitting: 'Envoi...',
+        applyOnline: 'Postuler une fois en ligne',
+        apply: 'Postuler',
+        applied: 'Candidature à « {name} » envoyée.',
+        programNumber: 'Programme n° {id}',
+        appliedAt: 'Candidature du {date}',
+        reviewer: 'Évaluateur : {notes}',
+        code: 'Code : {code}',
+    },
+    credentials: {
+        title: 'Attestations vérifiables',
+        contractOnly: 'Les attestations sont signées par votre portefeuille et vérifiées auprès du SoulboundToken déployé. Passez au backend contrat pour les exporter.',
+        intro: 'Partagez vos SBT avec des partenaires hors de Celo (institutions de microfinance, écoles) sous forme d’attestations vérifiables W3C. Votre portefeuille signe chaque attestation (EIP-712) ; le partenaire vérifie la signature et que vous détenez toujours le jeton sur la chaîne.',
+        noTokens: 'Vous ne détenez encore aucun SBT.',
+        formats: {
+            credentials: 'Attestations vérifiables (une par SBT)',
+            presentation: 'Présentation vérifiable (tous les SBT, une preuve du titulaire)',
+        },
+        challengePlaceholder: 'Défi du vérificateur (facultatif)',
+        domainPlaceholder: 'Domaine du vérificateur, ex. mfi.example (facultatif)',
+        signatures: 'Votre portefeuille demande une signature par SBT.',
+        signaturesPresentation: 'Votre portefeuille demande une signature par SBT, plus une pour la présentation.',
+        awaitingSignatures: 'En attente des signatures...',
+        export: {
+            one: 'Signer et exporter {count} SBT',
+            other: 'Signer et exporter {count} SBT',
+        },
+        exported: {
+            one: '{count} attestation signée exportée.',
+            other: '{count} attestations signées exportées.',
+        },
+        invalidJson: 'Le document n’est pas un JSON valide.',
+        verifyTitle: 'Vérifier une attestation ou une présentation',
+        pastePlaceholder: 'Collez le document JSON',
+        expectedChallenge: 'Défi attendu (facultatif)',
+        verifying: 'Vérification...',
+        valid: 'Valide : {subject}',
+        notValid: 'Non valide : {subject}',
+        presentationBy: 'présentation de {holder}',
+        credentialCount: {
+            one: '{count} attestation',
+            other: '{count} attestations',
+        },
+        signatureOk: 'signature correcte',
+        signatureInvalid: 'signature invalide',
+        onChain: 'présent sur la chaîne',
+        missing: 'absent de la chaîne',
+        held: 'détenu par le titulaire',
+        notHeld: 'non détenu par le titulaire',
+        dataMatches: 'données conformes',
+        dataDiffers: 'données différentes',
+    },
+
+    // --- Issuer ---
+
+    issuer: {
+        title: 'Tableau de bord émetteur et auditeur',
+    },
+    mint: {
+        title: 'Émettre un nouveau jeton de réputation',
+        editRubrics: 'Modifier les grilles et plafonds',
+        hideRubrics: 'Masquer les grilles',
+        authorizedIssuer: 'Émetteur autorisé : {address} (vérifié via SoulboundToken.isIssuer)',
+        recipient: 'Adresse du destinataire (titulaire)',
+        taskToVerify: 'Type de tâche à vérifier',
+        pointLevel: 'Niveau de points',
+        fromRubric: 'Selon la grille : {level}',
+        override: 'Remplacer : {level}',
+        justification: 'Justification du remplacement de {level} (enregistrée avec le SBT)',
+        minimumCharacters: '{length}/{min} caractères minimum',
+        capDescription: {
+            one: '{count} SBT de niveau {level} ou plus par destinataire tous les {days} jours',
+            other: '{count} SBT de niveau {level} ou plus par destinataire tous les {days} jours',
+        },
+        capStatus: 'Plafond : {cap}. Ce destinataire en a reçu {count} de votre part sur la période.',
+        capResets: 'Le prochain sera possible le {date}.',
+        capReached: 'Plafond atteint pour ce destinataire : {cap}.',
+        sending: 'Envoi de la transaction...',
+        issue: 'Émettre le SBT au destinataire',
+        rubricsTitle: 'Grilles et plafonds',
+        taskType: 'Type de tâche',
+        rubricInput: 'Critère de la grille (vide = niveau fixe)',
+        rubricInputPlaceholder: 'ex. Heures de cours suivies',
+        unit: 'Unité',
+        unitPlaceholder: 'heures',
+        fromZero: 'À partir de 0',
+        from: 'À partir de',
+        always: 'Toujours',
+        addBand: '+ Ajouter une tranche',
+        capFrom: 'Plafond à partir de',
+        maxPerRecipient: 'Maximum par destinataire',
+        periodDays: 'Période (jours)',
+        restoreDefaults: 'Rétablir les valeurs par défaut',
+        saveRubrics: 'Enregistrer les grilles',
+        rubricsSaved: 'Grilles enregistrées.',
+    },
+    bulk: {
+        title: 'Émission groupée depuis CSV / XLSX',
+        instructions: 'Un SBT par ligne avec les colonnes recipient, taskType, pointLevel et title (jusqu’à {max} lignes). Les types de tâches et niveaux de points acceptent le nom de l’enum (FINANCIAL_LITERACY_COURSE, LEVEL_B_HARMONY) ou son indice. Un titre vide reprend le libellé de la tâche.',
+        downloadTemplate: 'Télécharger un modèle',
+        capNotice: 'Votre plafond pour les niveaux élevés ({cap}) s’applique aussi aux imports.',
+        checking: 'Validation des lignes et vérification des SBT existants des destinataires...',
+        dryRun: 'Simulation : {file}',
+        rows: {
+            one: '{count} ligne',
+            other: '{count} lignes',
+        },
+        invalid: {
+            one: '{count} invalide',
+            other: '{count} invalides',
+        },
+        duplicates: {
+            one: '{count} doublon',
+            other: '{count} doublons',
+        },
+        toMint: {
+            one: '{count} à émettre',
+            other: '{count} à émettre',
+        },
+        nothingSent: 'Rien n’a encore été envoyé.',
+        alreadyHolds: 'Le destinataire détient déjà le SBT n° {tokenId}',
+        repeatsRow: 'Répète la ligne {line}',
+        ok: 'OK',
+        includeDuplicates: 'Émettre aussi les doublons',
+        finishFirst: 'Terminez ou abandonnez d’abord le lot en cours.',
+        mint: {
+            one: 'Émettre {count} SBT',
+            other: 'Émettre {count} SBT',
+        },
+        paused: 'Lot en pause : {minted} émis jusqu’ici.',
+        finished: 'Lot terminé : {minted} émis, {failed} en échec, {skipped} ignorés.',
+        jobSummary: 'Démarré le {date} · {minted} émis · {failed} en échec · {skipped} ignorés · {remaining} restants',
+        pause: 'Pause après la ligne en cours',
+        resume: 'Reprendre ({count})',
+        retryFailed: 'Relancer les échecs ({count})',
+        discard: 'Abandonner',
+        downloadResults: 'Télécharger les résultats',
+        interrupted: {
+            one: '{count} ligne était en cours d’envoi à la fermeture de la page. La reprise vérifie d’abord la chaîne et ne renvoie que les lignes non émises.',
+            other: '{count} lignes étaient en cours d’envoi à la fermeture de la page. La reprise vérifie d’abord la chaîne et ne renvoie que les lignes non émises.',
+        },
+        columns: {
+            row: 'Ligne',
+            recipient: 'Destinataire',
+            task: 'Tâche',
+            status: 'État',
+            result: 'Résultat',
+            level: 'Niveau',
+            title: 'Titre',
+            check: 'Contrôle',
+        },
+    },
+    campaigns: {
+        title: 'Campagnes et bons d’aide',
+        intro: 'Organisez chaque distribution comme une campagne. Chaque bénéficiaire reçoit un bon signé par votre portefeuille et l’utilise une seule fois pour obtenir son SBT d’aide. Les montants enregistrent l’aide remise ; le budget plafonne ce qui peut être utilisé.',
+        contractOnly: 'Les campagnes fonctionnent sur le contrat AidCampaignManager déployé. Passez au backend contrat pour les utiliser.',
+        campaignTitle: 'Titre de la campagne',
+        titlePlaceholder: 'ex. Secours inondations - Kano, mars',
+        titleHint: 'Enregistré sur la chaîne comme titre de chaque SBT d’aide de la campagne.',
+        budget: 'Budget (cUSD)',
+        endsOn: 'Bons valables jusqu’au',
+        create: 'Créer la campagne',
+        creating: 'Création...',
+        created: 'Campagne « {title} » créée (n° {id}).',
+        closed: 'Campagne « {title} » fermée.',
+        reopened: 'Campagne « {title} » rouverte.',
+        none: 'Vous n’avez pas encore de campagne.',
+        statusOpen: 'Ouverte',
+        statusClosed: 'Fermée',
+        statusEnded: 'Terminée',
+        budgetUsed: '{redeemed} sur {budget} utilisés',
+        redemptions: {
+            one: '{count} utilisation',
+            other: '{count} utilisations',
+        },
+        ends: 'fin le {date}',
+        manage: 'Bons',
+        close: 'Fermer',
+        reopen: 'Rouvrir',
+        issueTitle: 'Émettre des bons',
+        issueInstructions: 'Un bénéficiaire par ligne : l’adresse du portefeuille, puis le montant en cUSD (omettez-le pour utiliser le montant par défaut). Votre portefeuille vous demande de signer chaque bon.',
+        defaultAmount: 'Montant par défaut (cUSD)',
+        vouchersToSign: {
+            one: '{count} bon',
+            other: '{count} bons',
+        },
+        lineError: 'Ligne {line} : {error}',
+        overBudget: 'Ces bons dépassent le reste du budget ({remaining}). Les utilisations au-delà du budget sont refusées.',
+        notRedeemable: 'La campagne est fermée ou terminée : de nouveaux bons ne pourraient pas être utilisés.',
+        sign: {
+            one: 'Signer {count} bon',
+            other: 'Signer {count} bons',
+        },
+        signing: '{signed} signé(s) sur {total}...',
+        signed: {
+            one: '{count} bon signé.',
+            other: '{count} bons signés.',
+        },
+        amounts: 'Utilisé {redeemed} · en circulation {outstanding} · budget {budget}',
+        storedHere: 'Les bons signés sont conservés dans ce navigateur. Les utilisations de bons signés ailleurs sont lues sur la chaîne.',
+        exportCSV: 'Exporter en CSV',
+        printOutstanding: 'Imprimer les bons en circulation',
+        noVouchers: 'Aucun bon émis pour cette campagne pour l’instant.',
+        amount: 'Montant',
+        redeemedAs: 'SBT n° {tokenId}, {date}',
+        expires: 'valable jusqu’au {date}',
+        issuedElsewhere: 'signé sur un autre appareil',
+        copyLink: 'Copier le lien',
+        linkCopied: 'Lien du bon copié.',
+        qrCode: 'Code QR',
+    },
+    audit: {
+        title: 'Audit global et vérification des services',
+        totalAid: 'Total des aides confirmées (SBT)',
+        totalIssued: 'Total des SBT de réputation émis',
+        burnedCount: {
+            one: '{count} détruit',
+            other: '{count} détruits',
+        },
+        chainAudit: 'Audit de la blockchain Celo',
+        indexedUpTo: 'Compté à partir des événements SBTIssued indexés jusqu’au bloc {block}',
+        syncedAt: '(synchronisé à {time})',
+        sessionOnly: 'Les auditeurs vérifient les campagnes à partir des événements SBTIssued. Configurez indexerUrl pour auditer toute la chaîne ; ces chiffres ne couvrent que cette session.',
+        scoresPublished: 'Scores publiés',
+        loans: 'Prêts',
+        loanTotals: '{applied} demandés · {approved} approuvés · {repaid} remboursés ({repaidLate} en retard)',
+        scholarships: 'Bourses',
+        scholarshipTotals: '{programs} programmes · {applications} candidatures · {disbursed} versés',
+        perIssuer: 'SBT par émetteur',
+        columns: {
+            issuer: 'Émetteur',
+            issued: 'Émis',
+            aid: 'Aide',
+            holders: 'Titulaires',
+            burned: 'Détruits',
+            lastIssued: 'Dernière émission',
+        },
+        holderHistory: 'Historique du titulaire',
+        holderPlaceholder: 'Adresse du titulaire (0x...)',
+        lookUp: 'Rechercher',
+        historySummary: '{active} SBT actifs, {count} événements pour {holder}',
+        block: 'bloc {block}',
+        logGlobal: 'Journal d’audit des SBT (vue globale)',
+        logSession: 'Journal d’audit des SBT (cette session)',
+        issuerPlaceholder: 'Émetteur (0x...)',
+        recipientPlaceholder: 'Destinataire (0x...)',
+        allTaskTypes: 'Tous les types de tâches',
+        allPointLevels: 'Tous les niveaux de points',
+        from: 'Du',
+        to: 'Au',
+        reset: 'Réinitialiser',
+        applyFilters: 'Appliquer les filtres',
+        noMatches: 'Aucun SBT ne correspond à ces filtres.',
+        showing: '{first}-{last} sur {total}',
+        exportCsv: 'Exporter en CSV',
+        exportJson: 'Exporter en JSON',
+        burned: '(détruit)',
+        toAddress: 'À : {address}',
+        by: 'Par : {address}',
+        notAvailable: 'N/D',
+        previous: 'Précédent',
+        next: 'Suivant',
+        page: 'Page {page} sur {count}',
+        popupBlocked: 'La fenêtre du rapport a été bloquée. Autorisez les fenêtres pop-up pour ce site pour imprimer.',
+    },
+    events: {
+        SBTIssued: 'SBT n° {tokenId} émis : {task} (+{points} pts)',
+        SBTBurned: 'SBT n° {tokenId} détruit',
+        ScorePublished: 'Score {scoreType} publié : {score} (avant : {previous})',
+        LoanApplied: 'Demande de prêt : {amount} à {rate}',
+        LoanApproved: {
+            one: 'Prêt approuvé pour {count} jour',
+            other: 'Prêt approuvé pour {count} jours',
+        },
+        LoanDisbursed: 'Prêt versé : {amount}, {due} à rembourser',
+        LoanRepaid: 'Prêt remboursé : {amount}',
+        LoanRepaidLate: 'Prêt remboursé : {amount} (en retard)',
+        LoanCancelled: 'Demande de prêt annulée ou refusée',
+        ApplicationSubmitted: 'Candidature au programme n° {programId}',
+        ApplicationReviewed: 'Candidature n° {applicationId} : {status}',
+        BenefitDisbursed: 'Avantage versé pour la candidature n° {applicationId}',
+        ApplicationCompleted: 'Programme terminé (candidature n° {applicationId})',
+        VoucherRedeemed: 'Bon d’aide n° {voucherId} de la campagne n° {campaignId} utilisé : {amount} (SBT n° {tokenId})',
+    },
+    report: {
+        title: 'Rapport de campagne d’aide',
+        intro: 'Résume les confirmations AID_DISBURSEMENT_RECEIVED correspondant aux filtres d’émetteur, de destinataire et de dates ci-dessus.',
+        buckets: {
+            day: 'Par jour',
+            week: 'Par semaine',
+            month: 'Par mois',
+        },
+        generate: 'Générer',
+        print: 'Imprimer',
+        acknowledgements: 'Confirmations',
+        uniqueRecipients: 'Destinataires uniques',
+        repeatRecipients: 'Destinataires récurrents',
+        issuers: 'Émetteurs',
+        per: {
+            day: 'Par jour',
+            week: 'Par semaine',
+            month: 'Par mois',
+        },
+        periodRow: '{count} ({new} nouveaux)',
+        byIssuer: 'Par émetteur',
+        unknownIssuer: 'inconnu',
+        issuerRow: '{count} pour {recipients} destinataires',
+    },
+    risk: {
+        title: 'Alertes de risque d’émission',
+        intro: 'Recherche des schémas de sybil et de collusion dans les SBT correspondant aux filtres ci-dessus : auto-émission, émission circulaire, rafales d’émission, concentration par émetteur et portefeuilles aux historiques identiques. Les alertes sont des pistes à vérifier, pas des preuves.',
+        analyze: 'Analyser',
+        exportCsv: 'Exporter les alertes',
+        summary: 'Alertes : {flags} · Portefeuilles : {wallets} · SBT analysés : {count}',
+        none: 'Aucun schéma à risque trouvé.',
+        severity: {
+            high: 'Élevé',
+            medium: 'Moyen',
+            low: 'Faible',
+        },
+        kinds: {
+            SELF_ISSUANCE: 'Auto-émission',
+            CIRCULAR_ISSUANCE: 'Émission circulaire',
+            MINT_BURST: 'Rafale d’émission',
+            ISSUER_CONCENTRATION: 'Concentration par émetteur',
+            IDENTICAL_HISTORIES: 'Historiques identiques',
+        },
+        descriptions: {
+            SELF_ISSUANCE: 'L’émetteur a émis des SBT vers son propre portefeuille.',
+            CIRCULAR_ISSUANCE: '{length} portefeuilles se sont émis des SBT en cycle.',
+            CIRCULAR_MENTORSHIP: '{length} portefeuilles se sont émis des SBT de mentorat en cycle.',
+            MINT_BURST: 'Un émetteur a émis {count} SBT vers un même portefeuille en {seconds} secondes.',
+            ISSUER_CONCENTRATION: '{share} des {count} SBT de haut niveau de l’émetteur sont allés à {recipients} portefeuilles.',
+            IDENTICAL_HISTORIES: '{wallets} portefeuilles détiennent les mêmes {count} SBT des mêmes émetteurs.',
+        },
+        tokenCount: {
+            one: '{count} SBT',
+            other: '{count} SBT',
+        },
+        wallets: 'Portefeuilles : {wallets}',
+        issuers: 'Émetteurs : {issuers}',
+        mostFlagged: 'Portefeuilles les plus signalés : {wallets}',
+        preview: {
+            title: 'Effet des pénalités sur les scores',
+            intro: 'Scores des portefeuilles signalés, calculés sur les SBT analysés, sans et avec les pénalités facultatives sur les SBT signalés. Les scores publiés et les attestations ne les appliquent jamais.',
+            wallet: 'Portefeuille',
+            flaggedSbts: 'SBT signalés',
+            change: '{score} → {penalized}',
+        },
+    },
+};
@@ -0,0 +1,812 @@
+// --- Hausa Catalog ---
+// Same keys as en.js; enum groups are keyed by codec name.
+
+export default {
+    format: {
+        cusd: 'cUSD {amount}',
+    },
+
+    common: {
+        disconnect: 'Cire haɗi',
+        dismiss: 'Rufe',
+        cancel: 'Soke',
+        refresh: 'Sabunta',
+        refreshing: 'Ana sabuntawa...',
+        verify: 'Tabbatar',
+    },
+
+    // --- Enums ---
+
+    taskTypes: {
+        IDENTITY_VERIFIED_KYC: 'An Tabbatar da KYC (Shaidar Mutum)',
+        IDENTITY_MULTI_FACTOR: 'An Tabbatar da Shaida ta Matakai Da Yawa',
+        FINANCIAL_LITERACY_COURSE: 'Kwas na Ilimin Kuɗi',
+        FINANCIAL_SAVINGS_GOAL: 'An Cimma Burin Ajiya',
+        LOAN_REPAYMENT_SMALL: 'An Biya Ƙaramin Bashi (Akan Lokaci)',
+        LOAN_REPAYMENT_LARGE: 'An Biya Babban Bashi (Akan Lokaci)',
+        AID_DISBURSEMENT_RECEIVED: 'An Tabbatar da Karɓar Tallafin NGO',
+        COMMUNITY_VOLUNTEERISM: 'Aikin Sa-kai na Al\'umma',
+        SOCIAL_EDUCATION_CERT: 'An Samu Takardar Shaidar Ilimi',
+        SOCIAL_MENTORSHIP: 'Jagoranci da aka Tabbatar',
+        UNKNOWN: 'Aikin da Ba a Sani Ba',
+    },
+    pointLevels: {
+        LEVEL_D_MINOR: 'Ƙarami (maki 100)',
+        LEVEL_C_MAJOR: 'Babba (maki 300)',
+        LEVEL_B_HARMONY: 'Jituwa (maki 750)',
+        LEVEL_A_PRESTIGE: 'Daraja (maki 1500)',
+        UNKNOWN: 'Matakin da Ba a Sani Ba',
+    },
+    programTypes: {
+        EDUCATION_SCHOLARSHIP: 'Tallafin Karatu',
+        HEALTHCARE_DISCOUNT: 'Rangwamen Kiwon Lafiya',
+        HOUSING_ASSISTANCE: 'Tallafin Gidaje',
+        FOOD_SECURITY: 'Wadatar Abinci',
+        PROFESSIONAL_TRAINING: 'Horon Sana\'a',
+        CHILDCARE_SUPPORT: 'Tallafin Kula da Yara',
+        GENERAL_GRANT: 'Tallafi na Gaba Ɗaya',
+        UNKNOWN: 'Nau\'in Shirin da Ba a Sani Ba',
+    },
+    applicationStatuses: {
+        PENDING: 'Ana Jiran Dubawa',
+        APPROVED: 'An Amince',
+        REJECTED: 'An Ƙi',
+        DISBURSED: 'An Bayar da Fa\'ida',
+        COMPLETED: 'An Kammala',
+        CANCELLED: 'An Soke',
+        UNKNOWN: 'Matsayin da Ba a Sani Ba',
+    },
+    benefitTypes: {
+        MONETARY: 'Kuɗi (cUSD)',
+        DISCOUNT_CODE: 'Lambar Rangwame',
+        VOUCHER: 'Baucan',
+        FREE_ACCESS: 'Shiga Kyauta',
+        UNKNOWN: 'Fa\'idar da Ba a Sani Ba',
+    },
+    roles: {
+        holder: 'Mai Riƙe',
+        issuer: 'Mai Bayarwa',
+        loanAdmin: 'Mai Kula da Bashi',
+        provider: 'Mai Samar da Shiri',
+        owner: 'Mai Kwangiloli',
+    },
+    reasons: {
+        NO_KYC: 'Babu SBT na tabbatar da shaida (KYC). Maki zai kasance 0 har sai an tabbatar da shaida.',
+        FIRST_TIME_NO_SOCIAL: 'Babu tarihin biyan bashi kuma babu SBT na al\'umma, ilimi ko jagoranci.',
+        FIRST_TIME_FEW_NON_FINANCIAL: 'Babu tarihin biyan bashi kuma SBT waɗanda ba na kuɗi ba sun yi kaɗan.',
+        FLAGGED_ISSUANCE: 'Wasu SBT an ba da su ta hanyoyin da binciken bayarwa ya yi wa alama, kuma ana ƙididdige su da ƙaramin nauyi.',
+        AGED_HISTORY: 'SBT na da ba su da nauyi sosai. Sabbin nasarori za su ƙara maki.',
+        BELOW_EXCELLENT_THRESHOLD: 'Sunan da aka auna yana ƙasa da matakin da ake buƙata don maki mafi kyau.',
+    },
+    rateTiers: {
+        EXCELLENT: 'Mafi Kyau',
+        GOOD: 'Mai Kyau',
+        FAIR: 'Matsakaici',
+        HIGH_RISK: 'Babban Haɗari',
+    },
+    scoreTypes: {
+        FINANCIAL_RISK: 'Haɗarin Kuɗi',
+        UBI_ELIGIBILITY: 'Cancantar UBI',
+    },
+    gates: {
+        KYC: 'KYC',
+        FIRST_TIME_BORROWER: 'Mai karɓar bashi na farko',
+    },
+    publishStatus: {
+        PUBLISHED: 'An wallafa',
+        UNCHANGED: 'Ba a canza ba',
+        RATE_LIMITED: 'Ya yi wuri',
+        PAUSED: 'An dakatar',
+        FAILED: 'Ya gaza',
+    },
+    txStatus: {
+        queued: 'Yana cikin layi',
+        awaiting_signature: 'Tabbatar a cikin walat',
+        pending: 'Ana jira',
+        confirmed: 'An tabbatar',
+        failed: 'Ya gaza',
+        replaced: 'An maye gurbinsa',
+    },
+    queueStatus: {
+        queued: 'Ana jiran hanyar sadarwa',
+        submitting: 'Ana aikawa',
+        submitted: 'An aika',
+        conflict: 'An riga an yi amfani',
+        expired: 'Lokaci ya ƙare',
+        failed: 'Ya gaza',
+    },
+    voucherStatus: {
+        outstanding: 'Ba a yi amfani ba',
+        redeemed: 'An yi amfani',
+        expired: 'Lokaci ya ƙare',
+        closed: 'An rufe kamfen',
+    },
+    loanStatus: {
+        NONE: 'Babu bashi',
+        PENDING: 'Ana jira',
+        ACTIVE: 'Mai aiki',
+        OVERDUE: 'Ya wuce lokaci',
+    },
+    bulkStatus: {
+        pending: 'ana jira',
+        sending: 'ana aikawa',
+        interrupted: 'an katse',
+        minted: 'an ƙirƙira',
+        failed: 'ya gaza',
+        skipped: 'an tsallake',
+    },
+    connectors: {
+        injected: 'Walat na Burauza',
+        walletConnect: 'WalletConnect',
+        devKey: 'Mai Sa Hannu na Gwaji (Hardhat)',
+    },
+
+    // --- App Shell ---
+
+    app: {
+        title: 'Dandalin Suna da Tallafi na Celo',
+    },
+    nav: {
+        actingAs: 'Kana aiki a matsayin',
+        language: 'Harshe',
+        issuerActive: 'MATSAYIN MAI BAYARWA YANA AIKI (Mai Tabbatarwa)',
+    },
+    routes: {
+        dashboard: 'Allon Makin Haɗari',
+        social_aid: 'Takardun Tallafi',
+        loan_planner: 'Mai Tsara Bashi',
+        what_if: 'Idan Haka Ne',
+        my_loan: 'Bashina',
+        scholarships: 'Tallafin Karatu',
+        credentials: 'Takardun Shaida',
+        issuer_audit: 'Bincike da Tabbatar da Kamfe',
+        issuer_mint: 'Allon Ƙirƙirar SBT da Hannu',
+        issuer_bulk: 'Ƙirƙira da Yawa',
+        issuer_campaigns: 'Kamfen na Tallafi',
+        loan_admin: 'Gudanar da Bashi',
+        provider_console: 'Allon Mai Samar da Shiri',
+        owner_overview: 'Kwangilolin da Kake Mallaka',
+        notFoundTitle: 'Ba a sami shafin ba',
+        notFound: 'Babu shafi a {path}.',
+        goHome: 'Je farkon {role}',
+        roleRequiredTitle: 'Ana buƙatar matsayin {role}',
+        roleRequired: 'Wannan shafin yana buƙatar matsayin {role}, wanda kwangiloli ba su ba {address} ba.',
+    },
+    connect: {
+        connecting: 'Ana Haɗa Walat da Hanyar Sadarwa ta Celo...',
+        title: 'Haɗa Shaidarka ta Celo',
+        mockIntro: 'Zaɓi walat na gwaji don ganin allon.',
+        contractIntro: 'Ana karanta matsayinka (mai bayarwa, mai kula da bashi, mai samar da shiri, mai kwangiloli) daga kwangiloli bayan ka haɗa.',
+        continueTo: 'Za ka ci gaba zuwa {path}.',
+        asHolder: 'Haɗa a matsayin IDP/Mai Riƙe',
+        asIssuer: 'Haɗa a matsayin NGO/Mai Bayarwa',
+        noBrowserWallet: 'Ba a sami walat na burauza ba',
+        readingRoles: 'Ana karanta matsayinka daga kwangiloli...',
+    },
+    network: {
+        chain: 'Sarka {chainId}',
+        wrongTitle: 'Hanyar Sadarwa Ba Daidai Ba',
+        notDeployed: 'Ba a tura Credo zuwa {network} ba.',
+        unsupported: 'Ba a goyon bayan sarka {chainId}.',
+        switchTo: 'Canja walat ɗinka zuwa:',
+        noDeployments: 'Har yanzu babu hanyar sadarwa da aka tura a deployments.json.',
+    },
+    footer: {
+        connected: 'Matsayi: An haɗa da {network}',
+        offline: 'Matsayi: Babu intanet, hanyar sadarwa ta ƙarshe {network}',
+        mockNetwork: 'Hanyar Sadarwa ta Celo (Gwajin Testnet)',
+        wallet: 'Adireshin Walat: {address}',
+        disconnected: 'Ba a haɗa ba',
+        roles: 'Matsayi: {roles}',
+    },
+    messages: {
+        connectionFailed: 'Haɗa walat ya gaza.',
+        networkSwitchFailed: 'Canja hanyar sadarwa ya gaza.',
+        walletNotConnected: 'Ba a haɗa walat ba. Da fatan za a haɗa walat ɗinka.',
+        issuerOnly: 'Masu bayarwa da aka amince da su kaɗai ne za su iya ƙirƙirar wannan nau\'in SBT.',
+        invalidRecipient: 'Da fatan za a shigar da ingantaccen adireshin Celo na mai karɓa.',
+        sbtIssued: 'An bayar da SBT cikin nasara ga {recipient}.',
+        publishFailed: 'Wallafa ya gaza don {scoreTypes}: {error}',
+        published: {
+            one: 'An wallafa maki {count} zuwa AIRiskOracle.',
+            other: 'An wallafa maki {count} zuwa AIRiskOracle.',
+        },
+        nothingPublished: 'Ba a wallafa komai ba: maki ba su canza ba, ya yi wuri ko an dakatar da wallafa.',
+        acknowledgementQueued: 'An sa hannu kan tabbaci kuma an ajiye shi. Za a yi amfani da takardar idan wayarka ta dawo kan intanet.',
+        voucherRedeemed: 'An yi amfani da takardar. SBT #{tokenId} yana cikin walat ɗinka.',
+    },
+    offline: {
+        nothingCached: 'Ba ka kan intanet kuma har yanzu ba a daidaita wannan a wannan wayar ba.',
+        unreachable: 'Ba a iya isa ga hanyar sadarwa ba.',
+        offline: 'Ba ka kan intanet.',
+        lastSynced: 'Ana nuna sunanka kamar yadda aka daidaita shi {date}.',
+        neverSynced: 'Har yanzu ba a daidaita komai a wannan wayar ba.',
+        actionsQueued: 'Ana tabbatar da takardun tallafi yanzu kuma za a yi amfani da su idan ka sake haɗawa.',
+        waiting: {
+            one: '{count} yana jiran aikawa.',
+            other: '{count} suna jiran aikawa.',
+        },
+    },
+    txTray: {
+        title: 'Ma\'amaloli',
+        payFeesIn: 'Biya kuɗin aiki da',
+        empty: 'Har yanzu babu ma\'amaloli.',
+        feesInCUSD: 'kuɗin aiki da cUSD',
+        replacedBy: 'An maye gurbinsa da {hash}',
+        clearFinished: 'Share waɗanda suka kammala',
+        inProgress: {
+            one: 'Ma\'amala {count} tana gudana',
+            other: 'Ma\'amaloli {count} suna gudana',
+        },
+    },
+
+    // --- Holder ---
+
+    dashboard: {
+        title: 'Allon Makin Haɗari na {idp}',
+        riskScore: 'Makin Haɗarin Shaidarka ta Celo',
+        basedOn: {
+            one: 'An lissafa daga alamar suna {count}.',
+            other: 'An lissafa daga alamomin suna {count}.',
+        },
+        ubiScore: 'Makin Cancantar UBI: {score}',
+        policies: 'Manufofi: {financial} · {ubi}',
+        totalSbts: 'Jimillar SBT da Kake Riƙe',
+        moreTokens: 'Yawan alamomi, yawan sunanka a kan sarka.',
+        publishPrompt: 'Wallafa makinka zuwa {oracle} domin LoanManager da PointLedger su yi amfani da su.',
+        publishing: 'Ana wallafawa...',
+        publish: 'Wallafa Maki',
+        onChain: 'A kan sarka: {scores}',
+        notPublished: 'Ba a wallafa {scoreType} ba',
+        publishedScore: '{scoreType} {score}',
+        expiredScore: '{scoreType} {score} (lokaci ya ƙare)',
+        synced: 'an daidaita {when}',
+        syncedOffline: 'babu intanet, an daidaita {when}',
+        retryIn: 'sake gwadawa bayan minti {minutes}',
+        yourTokens: 'Alamominka na Soulbound',
+        noTokens: 'Har yanzu babu SBT. Makinka ya dogara ne da ƙananan bayanan suna.',
+    },
+    breakdown: {
+        title: 'Me ya sa wannan makin?',
+        gatePassed: 'Ya wuce: {gate}',
+        gateFailed: 'Ya gaza: {gate}',
+        holdingBack: 'Abin da ke hana makin',
+        byToken: 'Gudummawar kowace alama',
+        noContributions: 'Har yanzu babu alamar da ke ba da gudummawa ga wannan makin.',
+        token: 'Alama',
+        weight: 'Nauyi',
+        points: 'Maki',
+        recency: 'Sabunta',
+        contribution: 'Gudummawa',
+        rawScore: 'Ɗanyen makin da aka auna {score} · manufa {policy}',
+    },
+    attestation: {
+        title: 'Shaidar Maki',
+        intro: 'Sa hannu kan makinka tare da SBT da ka riƙe a toshe na ƙarshe da sigar manufar maki. Mai ba da bashi zai iya sake lissafa lamba ɗaya daga bayanan sarka da {command}.',
+        sign: 'Sa Hannu ka Sauke',
+        awaitingSignature: 'Ana jiran sa hannu...',
+        snapshot: {
+            one: 'SBT {count} · toshe {block}',
+            other: 'SBT {count} · toshe {block}',
+        },
+        signed: 'An sa hannu kan {scoreType} = {score} a toshe {block}.',
+        pastePlaceholder: 'Liƙa JSON na shaida don sake lissafawa',
+        invalidJson: 'Shaidar ba ingantaccen JSON ba ce.',
+        recomputing: 'Ana sake lissafawa...',
+        reproduced: 'An sake tabbatarwa: {scoreType} {score}',
+        notReproduced: 'Ba a sake tabbatarwa ba: {scoreType} {score}',
+        recomputed: '(an sake lissafawa: {score})',
+        holderPolicy: 'Mai riƙe {holder} · manufa {policy}',
+        mismatch: '{field}: an shaida {attested}, an sake lissafawa {recomputed}',
+        oracleMatches: 'AIRiskOracle: an wallafa {score} (ya dace da shaida)',
+        oracleDiffers: 'AIRiskOracle: an wallafa {score} (ya bambanta da shaida)',
+        oracleNothing: 'AIRiskOracle: ba a wallafa komai ba',
+    },
+    aid: {
+        title: 'Takardun Tallafi',
+        intro: 'Amfani da takardar tallafin da NGO ɗinka ta ba ka yana ƙirƙirar rasit na {proof} wanda ba za a iya canzawa ba a kan sarkar Celo.',
+        proofOfService: 'Shaidar Hidima',
+        yourAddress: 'Adireshin Walat ɗinka na Celo:',
+        shareAddress: 'Ba NGO wannan adireshin don ta fitar maka da takardarka.',
+        contractOnly: 'Ana amfani da takardun tallafi a kan kwangilar AidCampaignManager da aka tura. Canza zuwa backend na kwangila don amfani da ɗaya.',
+        voucherInput: 'Mahaɗi ko lambar takarda',
+        voucherPlaceholder: 'Liƙa mahaɗi ko lambar da NGO ta bayar',
+        invalidVoucher: 'Wannan ba ingantacciyar takardar tallafi ba ce. Duba mahaɗin ko nemi sabuwa daga NGO.',
+        wrongChain: 'Wannan takarda ta sarka {chainId} ce. Canza hanyar sadarwa don amfani da ita.',
+        unknownContract: 'Ba ta kwangilar kamfen na tallafi ta Credo ta wannan hanyar sadarwa aka fitar da wannan takarda ba.',
+        otherRecipient: 'An fitar da wannan takarda ga {address}, ba ga wannan walat ba.',
+        badSignature: 'Sa hannun takardar bai dace da wanda ya fitar da ita ba. Kada ka karɓe ta.',
+        voucherExpired: 'Lokacin wannan takarda ya ƙare a {date}.',
+        campaignClosed: 'NGO ta rufe wannan kamfen.',
+        campaignAlreadyRedeemed: 'Ka riga ka yi amfani da takarda daga wannan kamfen.',
+        budgetExhausted: 'Wannan kamfen ba shi da sauran kasafi don takardarka.',
+        campaign: 'Kamfen',
+        amount: 'Adadi',
+        issuedBy: 'Wanda ya fitar',
+        validUntilLabel: 'Yana aiki har',
+        acknowledged: 'An Tabbatar da Tallafi!',
+        redeemedAs: 'An yi amfani da ita a matsayin SBT #{tokenId} a {date}.',
+        confirmPrompt: 'Da fatan za a tabbatar da karɓar {amount} daga NGO.',
+        redeem: 'Tabbatar da Karɓa ka Yi Amfani da Takarda',
+        signOffline: 'Sa Hannu kan Tabbaci (Yi Amfani idan Kana kan Intanet)',
+        checking: 'Ana duba takardar...',
+        redeeming: 'Ana amfani... (Ana Jiran Ma\'amalar Celo)',
+        awaitingSignature: 'Ana jiran sa hannunka...',
+        queued: 'Tabbaci Yana Cikin Layi',
+        syncFailed: 'Ba a iya isa ga hanyar sadarwa ba. Tabbacinka yana nan cikin layi.',
+        signedOnPhone: 'An sa hannu a wannan wayar',
+        sending: 'Ana aikawa...',
+        sendNow: 'Aika yanzu',
+        signedAt: 'An sa hannu {date}',
+        validUntil: 'yana aiki har {date}',
+        conflict: 'An riga an yi amfani da wannan takarda a kan sarka (SBT #{tokenId}). Ba a aika komai ba.',
+        campaignConflict: 'Ka riga ka yi amfani da wata takarda daga wannan kamfen. Ba a aika komai ba.',
+        expired: 'Lokaci ya ƙare kafin wayar ta sake haɗawa. Sake buɗe takardar.',
+        footer: 'Kowace takarda tana aiki sau ɗaya kawai, ga walat ɗinka kaɗai. Amfani ma\'amalar Celo ce mai ƙaramin kuɗin aiki kuma tana buƙatar izininka na dijital.',
+        footerOffline: 'Ba tare da intanet ba walat ɗinka yana sa hannu yanzu kuma ana amfani da takardar idan ka sake haɗawa.',
+    },
+    planner: {
+        title: 'Mai Tsara {highlight}',
+        titleHighlight: 'Bashi',
+        limitsUnavailable: 'Iyakokin kai tsaye ba sa samuwa ({error}). Ana nuna makinka da aka kiyasta da iyakokin LoanManager na asali.',
+        yourTier: 'Matakin Ribarka',
+        apr: '{rate} a shekara',
+        scoreSource: 'Maki {score} — {source}',
+        scorePublished: 'An wallafa (AIRiskOracle)',
+        scoreEstimated: 'An kiyasta (har yanzu ba a wallafa ba)',
+        nextTier: 'Kana buƙatar ƙarin maki {points} don kaiwa {tier} ({rate}).',
+        lowestRate: 'Ka riga ka cancanci riba mafi ƙanƙanta.',
+        rateTiers: 'Matakan Riba',
+        principal: 'Asali (cUSD)',
+        duration: 'Tsawon lokaci (kwanaki)',
+        days: {
+            one: 'kwana {count}',
+            other: 'kwanaki {count}',
+        },
+        totalRepayment: 'Jimillar Biya',
+        invalidInput: 'Shigar da ingantaccen adadi da tsawon kwanaki {min}-{max}.',
+        interest: {
+            one: 'Riba: {amount} a {rate} na kwana {count}',
+            other: 'Riba: {amount} a {rate} na kwanaki {count}',
+        },
+        eligibility: 'Cancanta (LoanManager.getEligibilityCriteria)',
+        checkAmount: 'Adadi tsakanin {min} da {max}',
+        checkPointsUnknown: 'Makin suna (ba a san mafi ƙanƙanta ba)',
+        checkPoints: 'Aƙalla makin suna {min} (kana da {points})',
+        checkScoreUnknown: 'Makin haɗari na AI (ba a san mafi ƙanƙanta ba)',
+        checkScore: 'Makin haɗari na AI aƙalla {min} (naka: {score})',
+        checkPublished: 'An wallafa sabon makin FINANCIAL_RISK zuwa AIRiskOracle',
+    },
+    whatIf: {
+        title: 'Mai Kwaikwayon {highlight}',
+        titleHighlight: 'Idan Haka Ne',
+        addTitle: 'Ƙara nasarar hasashe',
+        add: 'Ƙara',
+        remove: 'Cire',
+        now: 'yanzu',
+        monthTick: '+wata {months}',
+        tierChange: 'Matakin riba: {from} → {to}',
+        decayTitle: 'Raguwar maki idan ba ka samu sabon abu ba',
+        months: {
+            one: 'wata {count}',
+            other: 'watanni {count}',
+        },
+        noDrops: {
+            one: 'Babu matakin riba ko iyakar cancanta da za a rasa cikin wata {count}.',
+            other: 'Babu matakin riba ko iyakar cancanta da za a rasa cikin watanni {count}.',
+        },
+        drop: '{date}: ya fita daga {threshold} ({scoreType} {before} → {after}, yana buƙatar {min})',
+        rateTierThreshold: 'matakin riba {tier} ({rate})',
+        thresholds: {
+            'loan-eligibility': 'cancantar bashi',
+            'service-eligibility': 'cancantar hidima (PointLedger)',
+        },
+    },
+    loan: {
+        title: '{highlight}',
+        titleHighlight: 'Bashina',
+        contractOnly: 'Kwangilar LoanManager da aka tura ce ke sarrafa bashi. Canja zuwa bayan kwangila don nema.',
+        steps: {
+            applying: 'Ana aika nema...',
+            cancelling: 'Ana soke nema...',
+            approving: 'Ana amincewa da kashe cUSD (1/2)...',
+            repaying: 'Ana biyan bashi (2/2)...',
+        },
+        invalidAmount: 'Shigar da ingantaccen adadin bashi.',
+        applied: 'An aika neman bashi. Mai kula da bashi zai duba shi.',
+        cancelled: 'An soke neman bashi.',
+        repaid: 'An biya bashi. SBT ɗinka na biya yana kan hanya.',
+        rateIntro: 'Ana saita ribarka daga makin FINANCIAL_RISK ɗinka da aka wallafa lokacin da ka nema. Yi amfani da Mai Tsara Bashi don ganinta tun kafin.',
+        apply: 'Nemi Bashi (LoanManager.applyForLoan)',
+        pending: 'Neman {amount} a ribar {rate} a shekara yana jiran mai kula da bashi.',
+        cancel: 'Soke Nema',
+        principal: 'Asali',
+        interest: {
+            one: 'Riba (kwana {count})',
+            other: 'Riba (kwanaki {count})',
+        },
+        dueBy: 'Ana bin shi zuwa {date}',
+        overdue: 'Wannan bashin ya wuce ranar ƙarshe. Har yanzu ana karɓar biya amma za a rubuta shi a matsayin jinkiri.',
+        repay: 'Biya {amount} (amincewa + LoanManager.repayLoan)',
+    },
+    marketplace: {
+        title: '{highlight} da Fa\'idodi',
+        titleHighlight: 'Tallafin Karatu',
+        contractOnly: 'Ana wallafa shirye-shirye a kwangilar ScholarshipManager da aka tura. Canja zuwa bayan kwangila don duba su.',
+        allTypes: 'Duk nau\'ikan shirye-shirye',
+        offline: 'Babu intanet: shirye-shirye da cancanta kamar yadda aka daidaita {date}. Nema yana buƙatar intanet.',
+        notOpen: 'Shiri #{id} ba a buɗe yake ba.',
+        notOpenOrFiltered: 'Shiri #{id} ba a buɗe yake ba ko bai dace da wannan tacewa ba.',
+        openPrograms: 'Shirye-shiryen da ke Buɗe ({count})',
+        noPrograms: 'Babu shirye-shirye masu aiki da suka dace da wannan tacewa.',
+        myApplications: 'Nemana ({count})',
+        noApplications: 'Har yanzu ba ka nemi wani shiri ba.',
+        discountCode: 'lambar rangwame ta {percent}',
+        deadline: 'Ƙarshe {date}',
+        spotsLeft: {
+            one: 'gurbi {count} cikin {max} ya rage',
+            other: 'gurabe {count} cikin {max} sun rage',
+        },
+        full: 'Ya cika',
+        link: 'Hanyar haɗi',
+        points: 'Maki {points} / {required}',
+        ubiScore: 'Makin UBI {score} / {required}',
+        met: 'An cika',
+        moreNeeded: {
+            one: 'Ana buƙatar ƙarin {count}',
+            other: 'Ana buƙatar ƙarin {count}',
+        },
+        notPublished: 'Ba a wallafa ba',
+        alreadyApplied: 'Ka riga ka nema. Bi shi a ƙarƙashin Nemana.',
+        notesPlaceholder: 'Me ya sa kake nema? (ba dole ba)',
+        submitting: 'Ana aikawa...',
+        applyOnline: 'Nema idan ka dawo kan intanet',
+        apply: 'Nema',
+        applied: 'An aika nema zuwa "{name}".',
+        programNumber: 'Shiri #{id}',
+        appliedAt: 'An nema {date}',
+        reviewer: 'Mai dubawa: {notes}',
+        code: 'Lamba: {code}',
+    },
+    credentials: {
+        title: 'Takardun Shaida Masu Tabbatarwa',
+        contractOnly: 'Walat ɗinka ne ke sa hannu kan takardun shaida kuma ana duba su da SoulboundToken da aka tura. Canja zuwa bayan kwangila don fitar da su.',
+        intro: 'Raba SBT ga abokan hulɗa a wajen Celo (cibiyoyin ƙananan bashi, makarantu) a matsayin Takardun Shaida Masu Tabbatarwa na W3C. Walat ɗinka yana sa hannu kan kowace takarda (EIP-712); abokin hulɗa yana duba sa hannun kuma yana tabbatar da cewa har yanzu kana riƙe da alamar a kan sarka.',
+        noTokens: 'Har yanzu ba ka riƙe da wani SBT ba.',
+        formats: {
+            credentials: 'Takardun Shaida Masu Tabbatarwa (ɗaya ga kowane SBT)',
+            presentation: 'Gabatarwa Mai Tabbatarwa (duk SBT, shaidar mai riƙe ɗaya)',
+        },
+        challengePlaceholder: 'Ƙalubale daga mai tabbatarwa (ba dole ba)',
+        domainPlaceholder: 'Yankin mai tabbatarwa, misali mfi.example (ba dole ba)',
+        signatures: 'Walat ɗinka yana neman sa hannu ɗaya ga kowane SBT.',
+        signaturesPresentation: 'Walat ɗinka yana neman sa hannu ɗaya ga kowane SBT, da ɗaya don gabatarwar.',
+        awaitingSignatures: 'Ana jiran sa hannu...',
+        export: {
+            one: 'Sa Hannu ka Fitar da SBT {count}',
+            other: 'Sa Hannu ka Fitar da SBT {count}',
+        },
+        exported: {
+            one: 'An fitar da takardar shaida {count} da aka sa hannu.',
+            other: 'An fitar da takardun shaida {count} da aka sa hannu.',
+        },
+        invalidJson: 'Takardar ba ingantaccen JSON ba ce.',
+        verifyTitle: 'Tabbatar da Takardar Shaida ko Gabatarwa',
+        pastePlaceholder: 'Liƙa takardar JSON',
+        expectedChallenge: 'Ƙalubalen da ake tsammani (ba dole ba)',
+        verifying: 'Ana tabbatarwa...',
+        valid: 'Ingantacce: {subject}',
+        notValid: 'Ba ingantacce ba: {subject}',
+        presentationBy: 'gabatarwa daga {holder}',
+        credentialCount: {
+            one: 'takardar shaida {count}',
+            other: 'takardun shaida {count}',
+        },
+        signatureOk: 'sa hannu daidai ne',
+        signatureInvalid: 'sa hannu ba daidai ba ne',
+        onChain: 'yana kan sarka',
+        missing: 'babu shi a kan sarka',
+        held: 'mai riƙe yana riƙe da shi',
+        notHeld: 'mai riƙe ba ya riƙe da shi',
+        dataMatches: 'bayanai sun dace',
+        dataDiffers: 'bayanai sun bambanta',
+    },
+
+    // --- Issuer ---
+
+    issuer: {
+        title: 'Allon Mai Bayarwa da Mai Bincike',
+    },
+    mint: {
+        title: 'Ƙirƙiri Sabuwar Alamar Suna',
+        editRubrics: 'Gyara Ƙa\'idoji da Iyakoki',
+        hideRubrics: 'Ɓoye Ƙa\'idoji',
+        authorizedIssuer: 'Mai Bayarwa da aka Amince: {address} (An tabbatar ta SoulboundToken.isIssuer)',
+        recipient: 'Adireshin Mai Karɓa (Mai Riƙe)',
+        taskToVerify: 'Nau\'in Aikin da za a Tabbatar',
+        pointLevel: 'Matakin Maki',
+        fromRubric: 'Daga ƙa\'ida: {level}',
+        override: 'Canja: {level}',
+        justification: 'Dalilin canja {level} (ana ajiye shi tare da SBT)',
+        minimumCharacters: 'haruffa {length}/{min} aƙalla',
+        capDescription: {
+            one: 'SBT {count} na {level} ko sama ga kowane mai karɓa a kowane kwanaki {days}',
+            other: 'SBT {count} na {level} ko sama ga kowane mai karɓa a kowane kwanaki {days}',
+        },
+        capStatus: 'Iyaka: {cap}. Wannan mai karɓa ya karɓi {count} daga gare ka a wannan lokacin.',
+        capResets: 'Na gaba zai yiwu a {date}.',
+        capReached: 'An kai iyaka ga wannan mai karɓa: {cap}.',
+        sending: 'Ana Aika Ma\'amala...',
+        issue: 'Bayar da SBT ga Mai Karɓa',
+        rubricsTitle: 'Ƙa\'idoji da Iyakoki',
+        taskType: 'Nau\'in Aiki',
+        rubricInput: 'Ma\'aunin ƙa\'ida (babu komai = matakin da ba ya canzawa)',
+        rubricInputPlaceholder: 'misali Awannin kwas da aka kammala',
+        unit: 'Ma\'auni',
+        unitPlaceholder: 'awanni',
+        fromZero: 'Daga 0',
+        from: 'Daga',
+        always: 'Kullum',
+        addBand: '+ Ƙara rukuni',
+        capFrom: 'Iyaka tana farawa daga',
+        maxPerRecipient: 'Mafi yawa ga kowane mai karɓa',
+        periodDays: 'Lokaci (kwanaki)',
+        restoreDefaults: 'Maido da na asali',
+        saveRubrics: 'Ajiye Ƙa\'idoji',
+        rubricsSaved: 'An ajiye ƙa\'idoji.',
+    },
+    bulk: {
+        title: 'Ƙirƙira da Yawa daga CSV / XLSX',
+        instructions: 'SBT ɗaya ga kowane layi mai ginshiƙan recipient, taskType, pointLevel da title (har zuwa layuka {max}). Nau\'ikan aiki da matakan maki suna karɓar sunan enum (FINANCIAL_LITERACY_COURSE, LEVEL_B_HARMONY) ko lambarsa. Taken da babu komai yana amfani da sunan aikin.',
+        downloadTemplate: 'Sauke samfuri',
+        capNotice: 'Iyakarka ta manyan matakai ({cap}) tana aiki ga fayilolin da aka ɗora ma.',
+        checking: 'Ana duba layuka da SBT da masu karɓa ke riƙe da su...',
+        dryRun: 'Gwaji: {file}',
+        rows: {
+            one: 'layi {count}',
+            other: 'layuka {count}',
+        },
+        invalid: {
+            one: '{count} ba daidai ba',
+            other: '{count} ba daidai ba',
+        },
+        duplicates: {
+            one: 'kwafi {count}',
+            other: 'kwafi {count}',
+        },
+        toMint: {
+            one: '{count} da za a ƙirƙira',
+            other: '{count} da za a ƙirƙira',
+        },
+        nothingSent: 'Har yanzu ba a aika komai ba.',
+        alreadyHolds: 'Mai karɓa ya riga ya riƙe SBT #{tokenId}',
+        repeatsRow: 'Yana maimaita layi {line}',
+        ok: 'Daidai',
+        includeDuplicates: 'Ƙirƙiri kwafi duk da haka',
+        finishFirst: 'Kammala ko watsar da rukunin yanzu tukuna.',
+        mint: {
+            one: 'Ƙirƙiri SBT {count}',
+            other: 'Ƙirƙiri SBT {count}',
+        },
+        paused: 'An dakatar da rukuni: an ƙirƙiri {minted} zuwa yanzu.',
+        finished: 'Rukuni ya kammala: an ƙirƙiri {minted}, {failed} sun gaza, an tsallake {skipped}.',
+        jobSummary: 'An fara {date} · an ƙirƙiri {minted} · {failed} sun gaza · an tsallake {skipped} · {remaining} sun rage',
+        pause: 'Dakatar bayan layin yanzu',
+        resume: 'Ci gaba ({count})',
+        retryFailed: 'Sake gwada waɗanda suka gaza ({count})',
+        discard: 'Watsar',
+        downloadResults: 'Sauke sakamako',
+        interrupted: {
+            one: 'Ana aika layi {count} lokacin da aka rufe shafin. Ci gaba zai fara duba sarka kuma zai sake aika layukan da ba a ƙirƙira ba kaɗai.',
+            other: 'Ana aika layuka {count} lokacin da aka rufe shafin. Ci gaba zai fara duba sarka kuma zai sake aika layukan da ba a ƙirƙira ba kaɗai.',
+        },
+        columns: {
+            row: 'Layi',
+            recipient: 'Mai karɓa',
+            task: 'Aiki',
+            status: 'Matsayi',
+            result: 'Sakamako',
+            level: 'Mataki',
+            title: 'Take',
+            check: 'Dubawa',
+        },
+    },
+    campaigns: {
+        title: 'Kamfen da Takardun Tallafi',
+        intro: 'Gudanar da kowane zagayen rabon tallafi a matsayin kamfen. Kowane mai karɓa yana samun takarda da walat ɗinka ya sa hannu kuma yana amfani da ita sau ɗaya don samun SBT na tallafi. Adadin yana rubuta tallafin da ka bayar; kasafin yana iyakance abin da za a iya amfani da shi.',
+        contractOnly: 'Kamfen suna gudana a kan kwangilar AidCampaignManager da aka tura. Canza zuwa backend na kwangila don amfani da su.',
+        campaignTitle: 'Sunan Kamfen',
+        titlePlaceholder: 'misali Tallafin Ambaliya - Kano, Maris',
+        titleHint: 'Ana ajiye shi a kan sarka a matsayin sunan kowane SBT na tallafi na kamfen.',
+        budget: 'Kasafi (cUSD)',
+        endsOn: 'Takardu suna aiki har',
+        create: 'Ƙirƙiri Kamfen',
+        creating: 'Ana ƙirƙira...',
+        created: 'An ƙirƙiri kamfen "{title}" (#{id}).',
+        closed: 'An rufe kamfen "{title}".',
+        reopened: 'An sake buɗe kamfen "{title}".',
+        none: 'Ba ka da kamfen tukuna.',
+        statusOpen: 'A buɗe',
+        statusClosed: 'A rufe',
+        statusEnded: 'Ya ƙare',
+        budgetUsed: 'An yi amfani da {redeemed} cikin {budget}',
+        redemptions: {
+            one: 'amfani {count}',
+            other: 'amfani {count}',
+        },
+        ends: 'yana ƙarewa {date}',
+        manage: 'Takardu',
+        close: 'Rufe',
+        reopen: 'Sake buɗewa',
+        issueTitle: 'Fitar da Takardu',
+        issueInstructions: 'Mai karɓa ɗaya a kowane layi: adireshin walat, sannan adadin cUSD (bar shi don amfani da adadin asali). Walat ɗinka zai roƙe ka ka sa hannu kan kowace takarda.',
+        defaultAmount: 'Adadin asali (cUSD)',
+        vouchersToSign: {
+            one: 'takarda {count}',
+            other: 'takardu {count}',
+        },
+        lineError: 'Layi {line}: {error}',
+        overBudget: 'Waɗannan takardu sun wuce sauran kasafin ({remaining}). Ana ƙin amfani da ya wuce kasafin.',
+        notRedeemable: 'An rufe kamfen ko ya ƙare, don haka ba za a iya amfani da sababbin takardu ba.',
+        sign: {
+            one: 'Sa hannu kan takarda {count}',
+            other: 'Sa hannu kan takardu {count}',
+        },
+        signing: 'An sa hannu {signed} cikin {total}...',
+        signed: {
+            one: 'An sa hannu kan takarda {count}.',
+            other: 'An sa hannu kan takardu {count}.',
+        },
+        amounts: 'An yi amfani {redeemed} · ba a yi amfani ba {outstanding} · kasafi {budget}',
+        storedHere: 'Ana ajiye takardun da aka sa hannu a wannan burauza. Ana karanta amfani da takardun da aka sa hannu a wani wuri daga sarka.',
+        exportCSV: 'Fitar da CSV',
+        printOutstanding: 'Buga takardun da ba a yi amfani da su ba',
+        noVouchers: 'Ba a fitar da takardu don wannan kamfen ba tukuna.',
+        amount: 'Adadi',
+        redeemedAs: 'SBT #{tokenId}, {date}',
+        expires: 'yana aiki har {date}',
+        issuedElsewhere: 'an sa hannu a wata na\'ura',
+        copyLink: 'Kwafi mahaɗi',
+        linkCopied: 'An kwafi mahaɗin takarda.',
+        qrCode: 'Lambar QR',
+    },
+    audit: {
+        title: 'Binciken Gaba Ɗaya da Shaidar Hidima',
+        totalAid: 'Jimillar Tallafin da aka Tabbatar (SBT)',
+        totalIssued: 'Jimillar SBT na Suna da aka Bayar',
+        burnedCount: {
+            one: 'an ƙone {count}',
+            other: 'an ƙone {count}',
+        },
+        chainAudit: 'Binciken Sarkar Celo',
+        indexedUpTo: 'An lissafa daga abubuwan SBTIssued da aka tsara har zuwa toshe {block}',
+        syncedAt: '(an daidaita {time})',
+        sessionOnly: 'Masu bincike suna tabbatar da kamfe daga abubuwan SBTIssued. Saita indexerUrl don binciken dukan sarka; waɗannan ƙididdigar na wannan zama ne kaɗai.',
+        scoresPublished: 'Makin da aka Wallafa',
+        loans: 'Basussuka',
+        loanTotals: 'an nemi {applied} · an amince {approved} · an biya {repaid} ({repaidLate} da jinkiri)',
+        scholarships: 'Tallafin Karatu',
+        scholarshipTotals: 'shirye-shirye {programs} · nemi {applications} · an bayar {disbursed}',
+        perIssuer: 'SBT ga Kowane Mai Bayarwa',
+        columns: {
+            issuer: 'Mai Bayarwa',
+            issued: 'An Bayar',
+            aid: 'Tallafi',
+            holders: 'Masu Riƙe',
+            burned: 'An Ƙone',
+            lastIssued: 'Na Ƙarshe da aka Bayar',
+        },
+        holderHistory: 'Tarihin Mai Riƙe',
+        holderPlaceholder: 'Adireshin mai riƙe (0x...)',
+        lookUp: 'Nema',
+        historySummary: 'SBT {active} masu aiki, abubuwa {count} na {holder}',
+        block: 'toshe {block}',
+        logGlobal: 'Rajistar Binciken SBT (Ra\'ayin Gaba Ɗaya)',
+        logSession: 'Rajistar Binciken SBT (Wannan Zama)',
+        issuerPlaceholder: 'Mai bayarwa (0x...)',
+        recipientPlaceholder: 'Mai karɓa (0x...)',
+        allTaskTypes: 'Duk nau\'ikan aiki',
+        allPointLevels: 'Duk matakan maki',
+        from: 'Daga',
+        to: 'Zuwa',
+        reset: 'Sake saiti',
+        applyFilters: 'Yi Amfani da Tacewa',
+        noMatches: 'Babu SBT da suka dace da waɗannan tacewa.',
+        showing: 'Ana nuna {first}-{last} cikin {total}',
+        exportCsv: 'Fitar da CSV',
+        exportJson: 'Fitar da JSON',
+        burned: '(an ƙone)',
+        toAddress: 'Zuwa: {address}',
+        by: 'Daga: {address}',
+        notAvailable: 'Babu shi',
+        previous: 'Na Baya',
+        next: 'Na Gaba',
+        page: 'Shafi {page} cikin {count}',
+        popupBlocked: 'An toshe tagar rahoto. Ba da izinin tagogi masu buɗewa ga wannan shafin don bugawa.',
+    },
+    events: {
+        SBTIssued: 'An bayar da SBT #{tokenId}: {task} (+maki {points})',
+        SBTBurned: 'An ƙone SBT #{tokenId}',
+        ScorePublished: 'An wallafa makin {scoreType}: {score} (a da {previous})',
+        LoanApplied: 'An nemi bashi: {amount} a {rate}',
+        LoanApproved: {
+            one: 'An amince da bashi na kwana {count}',
+            other: 'An amince da bashi na kwanaki {count}',
+        },
+        LoanDisbursed: 'An bayar da bashi: {amount}, ana bin {due}',
+        LoanRepaid: 'An biya bashi: {amount}',
+        LoanRepaidLate: 'An biya bashi: {amount} (da jinkiri)',
+        LoanCancelled: 'An soke ko an ƙi neman bashi',
+        ApplicationSubmitted: 'An nemi shiri #{programId}',
+        ApplicationReviewed: 'Nema #{applicationId}: {status}',
+        BenefitDisbursed: 'An bayar da fa\'ida don nema #{applicationId}',
+        ApplicationCompleted: 'Shiri ya kammala (nema #{applicationId})',
+        VoucherRedeemed: 'An yi amfani da takardar tallafi #{voucherId} ta kamfen #{campaignId}: {amount} (SBT #{tokenId})',
+    },
+    report: {
+        title: 'Rahoton Kamfen Tallafi',
+        intro: 'Yana taƙaita tabbacin AID_DISBURSEMENT_RECEIVED da suka dace da tacewar mai bayarwa, mai karɓa da kwanan wata a sama.',
+        buckets: {
+            day: 'Kowace rana',
+            week: 'Kowane mako',
+            month: 'Kowane wata',
+        },
+        generate: 'Samar',
+        print: 'Buga',
+        acknowledgements: 'Tabbaci',
+        uniqueRecipients: 'Masu Karɓa na Musamman',
+        repeatRecipients: 'Masu Karɓa da Suka Maimaita',
+        issuers: 'Masu Bayarwa',
+        per: {
+            day: 'A kowace rana',
+            week: 'A kowane mako',
+            month: 'A kowane wata',
+        },
+        periodRow: '{count} ({new} sababbi)',
+        byIssuer: 'Ta mai bayarwa',
+        unknownIssuer: 'ba a sani ba',
+        issuerRow: '{count} ga masu karɓa {recipients}',
+    },
+    risk: {
+        title: 'Alamun Haɗarin Bayarwa',
+        intro: 'Yana neman alamun asusun bogi da haɗin baki a cikin SBT da suka dace da matatun da ke sama: ba da kai ga kai, bayarwa ta zagaye, gaggawar bayarwa, taruwa a wurin mai bayarwa da walat masu tarihi iri ɗaya. Alamun hanyoyin bincike ne, ba hujja ba.',
+        analyze: 'Bincika',
+        exportCsv: 'Fitar da Alamu',
+        summary: 'Alamu: {flags} · Walat: {wallets} · SBT da aka bincika: {count}',
+        none: 'Ba a sami alamun haɗari ba.',
+        severity: {
+            high: 'Babba',
+            medium: 'Matsakaici',
+            low: 'Ƙarami',
+        },
+        kinds: {
+            SELF_ISSUANCE: 'Ba da kai ga kai',
+            CIRCULAR_ISSUANCE: 'Bayarwa ta zagaye',
+            MINT_BURST: 'Gaggawar bayarwa',
+            ISSUER_CONCENTRATION: 'Taruwa a wurin mai bayarwa',
+            IDENTICAL_HISTORIES: 'Tarihi iri ɗaya',
+        },
+        descriptions: {
+            SELF_ISSUANCE: 'Mai bayarwa ya ba da SBT ga walat ɗinsa.',
+            CIRCULAR_ISSUANCE: 'Walat {length} sun ba wa juna SBT a zagaye.',
+            CIRCULAR_MENTORSHIP: 'Walat {length} sun ba wa juna SBT na jagoranci a zagaye.',
+            MINT_BURST: 'Mai bayarwa ɗaya ya ba da SBT {count} ga walat ɗaya cikin daƙiƙa {seconds}.',
+            ISSUER_CONCENTRATION: '{share} na SBT {count} masu babban mataki na mai bayarwa sun tafi ga walat {recipients}.',
+            IDENTICAL_HISTORIES: 'Walat {wallets} suna da SBT {count} iri ɗaya daga masu bayarwa iri ɗaya.',
+        },
+        tokenCount: {
+            one: 'SBT {count}',
+            other: 'SBT {count}',
+        },
+        wallets: 'Walat: {wallets}',
+        issuers: 'Masu bayarwa: {issuers}',
+        mostFlagged: 'Walat da aka fi yi wa alama: {wallets}',
+        preview: {
+            title: 'Tasirin Hukunci a kan Maki',
+            intro: 'Makin walat da aka yi wa alama daga SBT da aka bincika, ba tare da kuma tare da hukuncin zaɓi a kan SBT da aka yi wa alama ba. Makin da aka wallafa da shaidu ba sa amfani da su.',
+            wallet: 'Walat',
+            flaggedSbts: 'SBT masu alama',
+            change: '{score} → {penalized}',
+        },
+    },
+};
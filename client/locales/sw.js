@@ -0,0 +1,812 @@
+// --- Swahili Catalog ---
+// Same keys as en.js; enum groups are keyed by codec name.
+
+export default {
+    format: {
+        cusd: 'cUSD {amount}',
+    },
+
+    common: {
+        disconnect: 'Tenganisha',
+        dismiss: 'Ondoa',
+        cancel: 'Ghairi',
+        refresh: 'Onyesha upya',
+        refreshing: 'Inaonyesha upya...',
+        verify: 'Thibitisha',
+    },
+
+    // --- Enums ---
+
+    taskTypes: {
+        IDENTITY_VERIFIED_KYC: 'KYC Imethibitishwa (Utambulisho)',
+        IDENTITY_MULTI_FACTOR: 'Utambulisho wa Hatua Nyingi Umethibitishwa',
+        FINANCIAL_LITERACY_COURSE: 'Kozi ya Elimu ya Fedha',
+        FINANCIAL_SAVINGS_GOAL: 'Lengo la Akiba Limefikiwa',
+        LOAN_REPAYMENT_SMALL: 'Mkopo Mdogo Umelipwa (Kwa Wakati)',
+        LOAN_REPAYMENT_LARGE: 'Mkopo Mkubwa Umelipwa (Kwa Wakati)',
+        AID_DISBURSEMENT_RECEIVED: 'Upokeaji wa Msaada wa NGO Umethibitishwa',
+        COMMUNITY_VOLUNTEERISM: 'Kujitolea kwa Jamii',
+        SOCIAL_EDUCATION_CERT: 'Cheti cha Elimu Kimepatikana',
+        SOCIAL_MENTORSHIP: 'Ushauri Uliothibitishwa',
+        UNKNOWN: 'Kazi Isiyojulikana',
+    },
+    pointLevels: {
+        LEVEL_D_MINOR: 'Ndogo (pointi 100)',
+        LEVEL_C_MAJOR: 'Kubwa (pointi 300)',
+        LEVEL_B_HARMONY: 'Maelewano (pointi 750)',
+        LEVEL_A_PRESTIGE: 'Heshima (pointi 1500)',
+        UNKNOWN: 'Kiwango Kisichojulikana',
+    },
+    programTypes: {
+        EDUCATION_SCHOLARSHIP: 'Ufadhili wa Masomo',
+        HEALTHCARE_DISCOUNT: 'Punguzo la Huduma za Afya',
+        HOUSING_ASSISTANCE: 'Msaada wa Makazi',
+        FOOD_SECURITY: 'Usalama wa Chakula',
+        PROFESSIONAL_TRAINING: 'Mafunzo ya Kitaaluma',
+        CHILDCARE_SUPPORT: 'Msaada wa Malezi ya Watoto',
+        GENERAL_GRANT: 'Ruzuku ya Jumla',
+        UNKNOWN: 'Aina ya Programu Isiyojulikana',
+    },
+    applicationStatuses: {
+        PENDING: 'Inasubiri Ukaguzi',
+        APPROVED: 'Imekubaliwa',
+        REJECTED: 'Imekataliwa',
+        DISBURSED: 'Faida Imetolewa',
+        COMPLETED: 'Imekamilika',
+        CANCELLED: 'Imeghairiwa',
+        UNKNOWN: 'Hali Isiyojulikana',
+    },
+    benefitTypes: {
+        MONETARY: 'Fedha (cUSD)',
+        DISCOUNT_CODE: 'Msimbo wa Punguzo',
+        VOUCHER: 'Vocha',
+        FREE_ACCESS: 'Ufikiaji Bure',
+        UNKNOWN: 'Faida Isiyojulikana',
+    },
+    roles: {
+        holder: 'Mmiliki',
+        issuer: 'Mtoaji',
+        loanAdmin: 'Msimamizi wa Mikopo',
+        provider: 'Mtoa Programu',
+        owner: 'Mmiliki wa Mikataba',
+    },
+    reasons: {
+        NO_KYC: 'Hakuna SBT ya uthibitisho wa utambulisho (KYC). Alama ni 0 hadi utambulisho uthibitishwe.',
+        FIRST_TIME_NO_SOCIAL: 'Hakuna historia ya kulipa mikopo wala SBT ya jamii, elimu au ushauri.',
+        FIRST_TIME_FEW_NON_FINANCIAL: 'Hakuna historia ya kulipa mikopo na SBT zisizo za kifedha ni chache mno.',
+        FLAGGED_ISSUANCE: 'Baadhi ya SBT zilitolewa kwa mifumo iliyoalamishwa na ukaguzi wa utoaji na zinahesabiwa kwa uzito mdogo.',
+        AGED_HISTORY: 'SBT za zamani zina uzito mdogo. Mafanikio ya hivi karibuni huongeza alama.',
+        BELOW_EXCELLENT_THRESHOLD: 'Sifa iliyopimwa iko chini ya kiwango kinachohitajika kwa alama bora.',
+    },
+    rateTiers: {
+        EXCELLENT: 'Bora',
+        GOOD: 'Nzuri',
+        FAIR: 'Wastani',
+        HIGH_RISK: 'Hatari Kubwa',
+    },
+    scoreTypes: {
+        FINANCIAL_RISK: 'Hatari ya Kifedha',
+        UBI_ELIGIBILITY: 'Ustahiki wa UBI',
+    },
+    gates: {
+        KYC: 'KYC',
+        FIRST_TIME_BORROWER: 'Mkopaji wa mara ya kwanza',
+    },
+    publishStatus: {
+        PUBLISHED: 'Imechapishwa',
+        UNCHANGED: 'Haijabadilika',
+        RATE_LIMITED: 'Mapema mno',
+        PAUSED: 'Imesitishwa',
+        FAILED: 'Imeshindwa',
+    },
+    txStatus: {
+        queued: 'Kwenye foleni',
+        awaiting_signature: 'Thibitisha kwenye pochi',
+        pending: 'Inasubiri',
+        confirmed: 'Imethibitishwa',
+        failed: 'Imeshindwa',
+        replaced: 'Imebadilishwa',
+    },
+    queueStatus: {
+        queued: 'Inasubiri mtandao',
+        submitting: 'Inatuma',
+        submitted: 'Imetumwa',
+        conflict: 'Tayari imetumika',
+        expired: 'Muda umeisha',
+        failed: 'Imeshindwa',
+    },
+    voucherStatus: {
+        outstanding: 'Haijatumika',
+        redeemed: 'Imetumika',
+        expired: 'Muda umeisha',
+        closed: 'Kampeni imefungwa',
+    },
+    loanStatus: {
+        NONE: 'Hakuna mkopo',
+        PENDING: 'Inasubiri',
+        ACTIVE: 'Hai',
+        OVERDUE: 'Imechelewa',
+    },
+    bulkStatus: {
+        pending: 'inasubiri',
+        sending: 'inatuma',
+        interrupted: 'imekatizwa',
+        minted: 'imetolewa',
+        failed: 'imeshindwa',
+        skipped: 'imerukwa',
+    },
+    connectors: {
+        injected: 'Pochi ya Kivinjari',
+        walletConnect: 'WalletConnect',
+        devKey: 'Msaini wa Majaribio (Hardhat)',
+    },
+
+    // --- App Shell ---
+
+    app: {
+        title: 'Jukwaa la Sifa na Misaada la Celo',
+    },
+    nav: {
+        actingAs: 'Unatenda kama',
+        language: 'Lugha',
+        issuerActive: 'JUKUMU LA MTOAJI LIMEWASHWA (Mthibitishaji)',
+    },
+    routes: {
+        dashboard: 'Dashibodi ya Alama ya Hatari',
+        social_aid: 'Vocha za Msaada',
+        loan_planner: 'Mpangaji wa Mkopo',
+        what_if: 'Je, Ikiwa',
+        my_loan: 'Mkopo Wangu',
+        scholarships: 'Ufadhili',
+        credentials: 'Vyeti',
+        issuer_audit: 'Ukaguzi na Uthibitisho wa Kampeni',
+        issuer_mint: 'Paneli ya Kutoa SBT kwa Mkono',
+        issuer_bulk: 'Utoaji wa Wingi',
+        issuer_campaigns: 'Kampeni za Msaada',
+        loan_admin: 'Usimamizi wa Mikopo',
+        provider_console: 'Dashibodi ya Mtoa Programu',
+        owner_overview: 'Mikataba Inayomilikiwa',
+        notFoundTitle: 'Ukurasa haukupatikana',
+        notFound: 'Hakuna ukurasa kwenye {path}.',
+        goHome: 'Nenda mwanzo wa {role}',
+        roleRequiredTitle: 'Jukumu la {role} linahitajika',
+        roleRequired: 'Ukurasa huu unahitaji jukumu la {role}, ambalo mikataba haijalipa {address}.',
+    },
+    connect: {
+        connecting: 'Inaunganisha Pochi na Mtandao wa Celo...',
+        title: 'Unganisha Utambulisho Wako wa Celo',
+        mockIntro: 'Chagua pochi ya majaribio kuona dashibodi.',
+        contractIntro: 'Majukumu yako (mtoaji, msimamizi wa mikopo, mtoa programu, mmiliki) yanasomwa kutoka kwenye mikataba baada ya kuunganisha.',
+        continueTo: 'Utaendelea hadi {path}.',
+        asHolder: 'Unganisha kama IDP/Mmiliki',
+        asIssuer: 'Unganisha kama NGO/Mtoaji',
+        noBrowserWallet: 'Hakuna pochi ya kivinjari iliyopatikana',
+        readingRoles: 'Inasoma majukumu yako kutoka kwenye mikataba...',
+    },
+    network: {
+        chain: 'Mnyororo {chainId}',
+        wrongTitle: 'Mtandao Usio Sahihi',
+        notDeployed: 'Credo haijasambazwa kwenye {network}.',
+        unsupported: 'Mnyororo {chainId} hauungwi mkono.',
+        switchTo: 'Badilisha pochi yako kwenda:',
+        noDeployments: 'Bado hakuna mtandao wenye usambazaji katika deployments.json.',
+    },
+    footer: {
+        connected: 'Hali: Imeunganishwa na {network}',
+        offline: 'Hali: Nje ya mtandao, mtandao wa mwisho {network}',
+        mockNetwork: 'Mtandao wa Celo (Majaribio ya Testnet)',
+        wallet: 'Anwani ya Pochi: {address}',
+        disconnected: 'Haijaunganishwa',
+        roles: 'Majukumu: {roles}',
+    },
+    messages: {
+        connectionFailed: 'Kuunganisha pochi kumeshindwa.',
+        networkSwitchFailed: 'Kubadilisha mtandao kumeshindwa.',
+        walletNotConnected: 'Pochi haijaunganishwa. Tafadhali unganisha pochi yako.',
+        issuerOnly: 'Watoaji walioidhinishwa pekee ndio wanaoweza kutoa aina hii ya SBT.',
+        invalidRecipient: 'Tafadhali weka anwani sahihi ya Celo ya mpokeaji.',
+        sbtIssued: 'SBT imetolewa kwa mafanikio kwa {recipient}.',
+        publishFailed: 'Kuchapisha kumeshindwa kwa {scoreTypes}: {error}',
+        published: {
+            one: 'Alama {count} imechapishwa kwenye AIRiskOracle.',
+            other: 'Alama {count} zimechapishwa kwenye AIRiskOracle.',
+        },
+        nothingPublished: 'Hakuna kilichochapishwa: alama hazijabadilika, ni mapema mno au uchapishaji umesitishwa.',
+        acknowledgementQueued: 'Uthibitisho umesainiwa na kuhifadhiwa. Vocha itatumika simu yako ikirudi mtandaoni.',
+        voucherRedeemed: 'Vocha imetumika. SBT #{tokenId} iko kwenye pochi yako.',
+    },
+    offline: {
+        nothingCached: 'Uko nje ya mtandao na hili bado halijasawazishwa kwenye simu hii.',
+        unreachable: 'Mtandao haukuweza kufikiwa.',
+        offline: 'Uko nje ya mtandao.',
+        lastSynced: 'Inaonyesha sifa yako kama ilivyosawazishwa {date}.',
+        neverSynced: 'Bado hakuna kilichosawazishwa kwenye simu hii.',
+        actionsQueued: 'Vocha za msaada zinathibitishwa sasa na kutumika ukiunganishwa tena.',
+        waiting: {
+            one: '{count} inasubiri kutumwa.',
+            other: '{count} zinasubiri kutumwa.',
+        },
+    },
+    txTray: {
+        title: 'Miamala',
+        payFeesIn: 'Lipa ada kwa',
+        empty: 'Bado hakuna miamala.',
+        feesInCUSD: 'ada kwa cUSD',
+        replacedBy: 'Imebadilishwa na {hash}',
+        clearFinished: 'Futa zilizokamilika',
+        inProgress: {
+            one: 'Muamala {count} unaendelea',
+            other: 'Miamala {count} inaendelea',
+        },
+    },
+
+    // --- Holder ---
+
+    dashboard: {
+        title: 'Dashibodi ya Alama ya Hatari ya {idp}',
+        riskScore: 'Alama Yako ya Hatari ya Utambulisho wa Celo',
+        basedOn: {
+            one: 'Imekokotolewa kutokana na tokeni {count} ya sifa.',
+            other: 'Imekokotolewa kutokana na tokeni {count} za sifa.',
+        },
+        ubiScore: 'Alama ya Ustahiki wa UBI: {score}',
+        policies: 'Sera: {financial} · {ubi}',
+        totalSbts: 'Jumla ya SBT Unazomiliki',
+        moreTokens: 'Tokeni nyingi zaidi, ndivyo sifa yako kwenye mnyororo inavyokuwa juu.',
+        publishPrompt: 'Chapisha alama zako kwenye {oracle} ili LoanManager na PointLedger ziweze kuzitumia.',
+        publishing: 'Inachapisha...',
+        publish: 'Chapisha Alama',
+        onChain: 'Kwenye mnyororo: {scores}',
+        notPublished: '{scoreType} haijachapishwa',
+        publishedScore: '{scoreType} {score}',
+        expiredScore: '{scoreType} {score} (muda umeisha)',
+        synced: 'imesawazishwa {when}',
+        syncedOffline: 'nje ya mtandao, imesawazishwa {when}',
+        retryIn: 'jaribu tena baada ya dakika {minutes}',
+        yourTokens: 'Tokeni Zako za Soulbound',
+        noTokens: 'Bado hakuna SBT. Alama yako inategemea data ndogo ya sifa.',
+    },
+    breakdown: {
+        title: 'Kwa nini alama hii?',
+        gatePassed: 'Imepita: {gate}',
+        gateFailed: 'Imeshindwa: {gate}',
+        holdingBack: 'Kinachozuia alama',
+        byToken: 'Mchango kwa kila tokeni',
+        noContributions: 'Bado hakuna tokeni inayochangia alama hii.',
+        token: 'Tokeni',
+        weight: 'Uzito',
+        points: 'Pointi',
+        recency: 'Upya',
+        contribution: 'Mchango',
+        rawScore: 'Alama ghafi iliyopimwa {score} · sera {policy}',
+    },
+    attestation: {
+        title: 'Ushahidi wa Alama',
+        intro: 'Saini alama yako pamoja na SBT ulizomiliki kwenye bloku ya mwisho na toleo la sera ya alama. Mkopeshaji anaweza kukokotoa namba hiyo hiyo kutoka data ya mnyororo kwa {command}.',
+        sign: 'Saini na Pakua',
+        awaitingSignature: 'Inasubiri sahihi...',
+        snapshot: {
+            one: 'SBT {count} · bloku {block}',
+            other: 'SBT {count} · bloku {block}',
+        },
+        signed: '{scoreType} = {score} imesainiwa kwenye bloku {block}.',
+        pastePlaceholder: 'Bandika JSON ya ushahidi ili ikokotolewe upya',
+        invalidJson: 'Ushahidi si JSON sahihi.',
+        recomputing: 'Inakokotoa upya...',
+        reproduced: 'Imethibitishwa upya: {scoreType} {score}',
+        notReproduced: 'Haikuthibitishwa upya: {scoreType} {score}',
+        recomputed: '(imekokotolewa upya: {score})',
+        holderPolicy: 'Mmiliki {holder} · sera {policy}',
+        mismatch: '{field}: iliyoshuhudiwa {attested}, iliyokokotolewa upya {recomputed}',
+        oracleMatches: 'AIRiskOracle: imechapishwa {score} (inalingana na ushahidi)',
+        oracleDiffers: 'AIRiskOracle: imechapishwa {score} (inatofautiana na ushahidi)',
+        oracleNothing: 'AIRiskOracle: hakuna kilichochapishwa',
+    },
+    aid: {
+        title: 'Vocha za Msaada',
+        intro: 'Kutumia vocha uliyopewa na NGO yako kunatoa risiti ya {proof} isiyohamishika kwenye mnyororo wa Celo.',
+        proofOfService: 'Uthibitisho wa Huduma',
+        yourAddress: 'Anwani ya Pochi Yako ya Celo:',
+        shareAddress: 'Mpe NGO anwani hii ili ikutolee vocha yako.',
+        contractOnly: 'Vocha za msaada zinatumika kwenye mkataba wa AidCampaignManager uliosambazwa. Badilisha kwenda backend ya mkataba ili kutumia vocha.',
+        voucherInput: 'Kiungo au msimbo wa vocha',
+        voucherPlaceholder: 'Bandika kiungo au msimbo kutoka kwa NGO',
+        invalidVoucher: 'Hii si vocha halali ya msaada. Angalia kiungo au omba NGO vocha mpya.',
+        wrongChain: 'Vocha hii ni ya mnyororo {chainId}. Badilisha mtandao ili kuitumia.',
+        unknownContract: 'Vocha hii haikutolewa kupitia mkataba wa kampeni za msaada wa Credo wa mtandao huu.',
+        otherRecipient: 'Vocha hii ilitolewa kwa {address}, si kwa pochi hii.',
+        badSignature: 'Sahihi ya vocha hailingani na mtoaji wake. Usiikubali.',
+        voucherExpired: 'Muda wa vocha hii uliisha tarehe {date}.',
+        campaignClosed: 'NGO imefunga kampeni hii.',
+        campaignAlreadyRedeemed: 'Tayari umetumia vocha ya kampeni hii.',
+        budgetExhausted: 'Kampeni hii haina bajeti iliyobaki kwa vocha yako.',
+        campaign: 'Kampeni',
+        amount: 'Kiasi',
+        issuedBy: 'Imetolewa na',
+        validUntilLabel: 'Halali hadi',
+        acknowledged: 'Msaada Umethibitishwa!',
+        redeemedAs: 'Imetumika kama SBT #{tokenId} tarehe {date}.',
+        confirmPrompt: 'Tafadhali thibitisha kupokea {amount} kutoka kwa NGO.',
+        redeem: 'Thibitisha Upokeaji na Utumie Vocha',
+        signOffline: 'Saini Uthibitisho (Tumia Ukiwa Mtandaoni)',
+        checking: 'Inakagua vocha...',
+        redeeming: 'Inatumia... (Inasubiri Muamala wa Celo)',
+        awaitingSignature: 'Inasubiri sahihi yako...',
+        queued: 'Uthibitisho Uko Kwenye Foleni',
+        syncFailed: 'Mtandao haukuweza kufikiwa. Uthibitisho wako unabaki kwenye foleni.',
+        signedOnPhone: 'Imesainiwa kwenye simu hii',
+        sending: 'Inatuma...',
+        sendNow: 'Tuma sasa',
+        signedAt: 'Imesainiwa {date}',
+        validUntil: 'halali hadi {date}',
+        conflict: 'Vocha hii tayari imetumika kwenye mnyororo (SBT #{tokenId}). Hakuna kilichotumwa.',
+        campaignConflict: 'Tayari umetumia vocha nyingine ya kampeni hii. Hakuna kilichotumwa.',
+        expired: 'Muda uliisha kabla simu haijaunganishwa tena. Fungua vocha tena.',
+        footer: 'Kila vocha inatumika mara moja tu, kwa pochi yako pekee. Kutumia ni muamala wa Celo wenye ada ndogo na unahitaji ridhaa yako ya kidijitali.',
+        footerOffline: 'Bila mtandao pochi yako inasaini sasa na vocha inatumika ukiunganishwa tena.',
+    },
+    planner: {
+        title: 'Mpangaji wa {highlight}',
+        titleHighlight: 'Mkopo',
+        limitsUnavailable: 'Vikomo vya moja kwa moja havipatikani ({error}). Inaonyesha alama yako inayokadiriwa na vikomo vya kawaida vya LoanManager.',
+        yourTier: 'Daraja Lako la Riba',
+        apr: '{rate} kwa mwaka',
+        scoreSource: 'Alama {score} — {source}',
+        scorePublished: 'Imechapishwa (AIRiskOracle)',
+        scoreEstimated: 'Inakadiriwa (bado haijachapishwa)',
+        nextTier: 'Unahitaji pointi {points} zaidi za alama kufikia {tier} ({rate}).',
+        lowestRate: 'Tayari unastahili riba ya chini kabisa.',
+        rateTiers: 'Madaraja ya Riba',
+        principal: 'Mtaji (cUSD)',
+        duration: 'Muda (siku)',
+        days: {
+            one: 'siku {count}',
+            other: 'siku {count}',
+        },
+        totalRepayment: 'Jumla ya Marejesho',
+        invalidInput: 'Weka kiasi sahihi na muda wa siku {min}-{max}.',
+        interest: {
+            one: 'Riba: {amount} kwa {rate} kwa siku {count}',
+            other: 'Riba: {amount} kwa {rate} kwa siku {count}',
+        },
+        eligibility: 'Ustahiki (LoanManager.getEligibilityCriteria)',
+        checkAmount: 'Kiasi kati ya {min} na {max}',
+        checkPointsUnknown: 'Pointi za sifa (kiwango cha chini hakijulikani)',
+        checkPoints: 'Angalau pointi {min} za sifa (una {points})',
+        checkScoreUnknown: 'Alama ya hatari ya AI (kiwango cha chini hakijulikani)',
+        checkScore: 'Alama ya hatari ya AI ya angalau {min} (yako: {score})',
+        checkPublished: 'Alama mpya ya FINANCIAL_RISK imechapishwa kwenye AIRiskOracle',
+    },
+    whatIf: {
+        title: 'Kiigaji cha {highlight}',
+        titleHighlight: 'Je, Ikiwa',
+        addTitle: 'Ongeza mafanikio ya kufikirika',
+        add: 'Ongeza',
+        remove: 'Ondoa',
+        now: 'sasa',
+        monthTick: '+mwezi {months}',
+        tierChange: 'Daraja la riba: {from} → {to}',
+        decayTitle: 'Kushuka kwa alama usipopata kitu kipya',
+        months: {
+            one: 'mwezi {count}',
+            other: 'miezi {count}',
+        },
+        noDrops: {
+            one: 'Hakuna daraja la riba wala kizingiti cha ustahiki kinachopotea ndani ya mwezi {count}.',
+            other: 'Hakuna daraja la riba wala kizingiti cha ustahiki kinachopotea ndani ya miezi {count}.',
+        },
+        drop: '{date}: inatoka kwenye {threshold} ({scoreType} {before} → {after}, inahitaji {min})',
+        rateTierThreshold: 'daraja la riba {tier} ({rate})',
+        thresholds: {
+            'loan-eligibility': 'ustahiki wa mkopo',
+            'service-eligibility': 'ustahiki wa huduma (PointLedger)',
+        },
+    },
+    loan: {
+        title: '{highlight}',
+        titleHighlight: 'Mkopo Wangu',
+        contractOnly: 'Mikopo inashughulikiwa na mkataba wa LoanManager uliosambazwa. Badilisha kwenda backend ya mkataba ili kuomba.',
+        steps: {
+            applying: 'Inatuma ombi...',
+            cancelling: 'Inaghairi ombi...',
+            approving: 'Inaidhinisha matumizi ya cUSD (1/2)...',
+            repaying: 'Inalipa mkopo (2/2)...',
+        },
+        invalidAmount: 'Weka kiasi sahihi cha mkopo.',
+        applied: 'Ombi la mkopo limetumwa. Msimamizi wa mikopo atalikagua.',
+        cancelled: 'Ombi la mkopo limeghairiwa.',
+        repaid: 'Mkopo umelipwa. SBT yako ya marejesho iko njiani.',
+        rateIntro: 'Riba yako inawekwa kutokana na alama yako ya FINANCIAL_RISK iliyochapishwa unapoomba. Tumia Mpangaji wa Mkopo kuiona mapema.',
+        apply: 'Omba Mkopo (LoanManager.applyForLoan)',
+        pending: 'Ombi la {amount} kwa riba ya {rate} kwa mwaka linamsubiri msimamizi wa mikopo.',
+        cancel: 'Ghairi Ombi',
+        principal: 'Mtaji',
+        interest: {
+            one: 'Riba (siku {count})',
+            other: 'Riba (siku {count})',
+        },
+        dueBy: 'Linadaiwa kufikia {date}',
+        overdue: 'Mkopo huu umepita tarehe yake ya mwisho. Kulipa sasa bado kunakubaliwa lakini kunarekodiwa kama kuchelewa.',
+        repay: 'Lipa {amount} (idhini + LoanManager.repayLoan)',
+    },
+    marketplace: {
+        title: '{highlight} na Faida',
+        titleHighlight: 'Ufadhili',
+        contractOnly: 'Programu huchapishwa kwenye mkataba wa ScholarshipManager uliosambazwa. Badilisha kwenda backend ya mkataba ili kuzivinjari.',
+        allTypes: 'Aina zote za programu',
+        offline: 'Nje ya mtandao: programu na ustahiki kama zilivyosawazishwa {date}. Kuomba kunahitaji mtandao.',
+        notOpen: 'Programu #{id} haiko wazi.',
+        notOpenOrFiltered: 'Programu #{id} haiko wazi au hailingani na kichujio hiki.',
+        openPrograms: 'Programu Zilizo Wazi ({count})',
+        noPrograms: 'Hakuna programu hai zinazolingana na kichujio hiki.',
+        myApplications: 'Maombi Yangu ({count})',
+        noApplications: 'Bado hujaomba programu yoyote.',
+        discountCode: 'msimbo wa punguzo wa {percent}',
+        deadline: 'Mwisho {date}',
+        spotsLeft: {
+            one: 'nafasi {count} kati ya {max} imebaki',
+            other: 'nafasi {count} kati ya {max} zimebaki',
+        },
+        full: 'Imejaa',
+        link: 'Kiungo',
+        points: 'Pointi {points} / {required}',
+        ubiScore: 'Alama ya UBI {score} / {required}',
+        met: 'Imefikiwa',
+        moreNeeded: {
+            one: '{count} zaidi inahitajika',
+            other: '{count} zaidi zinahitajika',
+        },
+        notPublished: 'Haijachapishwa',
+        alreadyApplied: 'Umeomba. Fuatilia chini ya Maombi Yangu.',
+        notesPlaceholder: 'Kwa nini unaomba? (si lazima)',
+        submitting: 'Inatuma...',
+        applyOnline: 'Omba ukirudi mtandaoni',
+        apply: 'Omba',
+        applied: 'Ombi kwa "{name}" limetumwa.',
+        programNumber: 'Programu #{id}',
+        appliedAt: 'Iliombwa {date}',
+        reviewer: 'Mkaguzi: {notes}',
+        code: 'Msimbo: {code}',
+    },
+    credentials: {
+        title: 'Vyeti Vinavyothibitishika',
+        contractOnly: 'Vyeti vinasainiwa na pochi yako na kukaguliwa dhidi ya SoulboundToken iliyosambazwa. Badilisha kwenda backend ya mkataba ili kuvihamisha.',
+        intro: 'Shiriki SBT na washirika nje ya Celo (taasisi za mikopo midogo, shule) kama Vyeti Vinavyothibitishika vya W3C. Pochi yako inasaini kila cheti (EIP-712); mshirika anakagua sahihi na kwamba bado unamiliki tokeni kwenye mnyororo.',
+        noTokens: 'Bado humiliki SBT yoyote.',
+        formats: {
+            credentials: 'Vyeti Vinavyothibitishika (kimoja kwa kila SBT)',
+            presentation: 'Wasilisho Linalothibitishika (SBT zote, uthibitisho mmoja wa mmiliki)',
+        },
+        challengePlaceholder: 'Changamoto kutoka kwa mthibitishaji (si lazima)',
+        domainPlaceholder: 'Kikoa cha mthibitishaji, mf. mfi.example (si lazima)',
+        signatures: 'Pochi yako inaomba sahihi moja kwa kila SBT.',
+        signaturesPresentation: 'Pochi yako inaomba sahihi moja kwa kila SBT, pamoja na moja kwa wasilisho.',
+        awaitingSignatures: 'Inasubiri sahihi...',
+        export: {
+            one: 'Saini na Hamisha SBT {count}',
+            other: 'Saini na Hamisha SBT {count}',
+        },
+        exported: {
+            one: 'Cheti {count} kilichosainiwa kimehamishwa.',
+            other: 'Vyeti {count} vilivyosainiwa vimehamishwa.',
+        },
+        invalidJson: 'Hati si JSON sahihi.',
+        verifyTitle: 'Thibitisha Cheti au Wasilisho',
+        pastePlaceholder: 'Bandika hati ya JSON',
+        expectedChallenge: 'Changamoto inayotarajiwa (si lazima)',
+        verifying: 'Inathibitisha...',
+        valid: 'Halali: {subject}',
+        notValid: 'Si halali: {subject}',
+        presentationBy: 'wasilisho la {holder}',
+        credentialCount: {
+            one: 'cheti {count}',
+            other: 'vyeti {count}',
+        },
+        signatureOk: 'sahihi sawa',
+        signatureInvalid: 'sahihi si halali',
+        onChain: 'ipo kwenye mnyororo',
+        missing: 'haipo kwenye mnyororo',
+        held: 'inamilikiwa na mmiliki',
+        notHeld: 'haimilikiwi na mmiliki',
+        dataMatches: 'data inalingana',
+        dataDiffers: 'data inatofautiana',
+    },
+
+    // --- Issuer ---
+
+    issuer: {
+        title: 'Dashibodi ya Mtoaji na Mkaguzi',
+    },
+    mint: {
+        title: 'Toa Tokeni Mpya ya Sifa',
+        editRubrics: 'Hariri Vigezo na Vikomo',
+        hideRubrics: 'Ficha Vigezo',
+        authorizedIssuer: 'Mtoaji Aliyeidhinishwa: {address} (Imethibitishwa kupitia SoulboundToken.isIssuer)',
+        recipient: 'Anwani ya Mpokeaji (Mmiliki)',
+        taskToVerify: 'Aina ya Kazi ya Kuthibitisha',
+        pointLevel: 'Kiwango cha Pointi',
+        fromRubric: 'Kutoka kwenye kigezo: {level}',
+        override: 'Badilisha: {level}',
+        justification: 'Sababu ya kubadilisha {level} (inahifadhiwa pamoja na SBT)',
+        minimumCharacters: 'herufi {length}/{min} kwa uchache',
+        capDescription: {
+            one: 'SBT {count} ya {level} au zaidi kwa kila mpokeaji kila siku {days}',
+            other: 'SBT {count} za {level} au zaidi kwa kila mpokeaji kila siku {days}',
+        },
+        capStatus: 'Kikomo: {cap}. Mpokeaji huyu amepokea {count} kutoka kwako katika kipindi hiki.',
+        capResets: 'Inayofuata inawezekana tarehe {date}.',
+        capReached: 'Kikomo kimefikiwa kwa mpokeaji huyu: {cap}.',
+        sending: 'Inatuma Muamala...',
+        issue: 'Toa SBT kwa Mpokeaji',
+        rubricsTitle: 'Vigezo na Vikomo',
+        taskType: 'Aina ya Kazi',
+        rubricInput: 'Kipimo cha kigezo (tupu = kiwango kisichobadilika)',
+        rubricInputPlaceholder: 'mf. Saa za kozi zilizokamilika',
+        unit: 'Kipimo',
+        unitPlaceholder: 'saa',
+        fromZero: 'Kuanzia 0',
+        from: 'Kuanzia',
+        always: 'Kila mara',
+        addBand: '+ Ongeza kipande',
+        capFrom: 'Kikomo kinaanzia',
+        maxPerRecipient: 'Upeo kwa kila mpokeaji',
+        periodDays: 'Kipindi (siku)',
+        restoreDefaults: 'Rejesha chaguo-msingi',
+        saveRubrics: 'Hifadhi Vigezo',
+        rubricsSaved: 'Vigezo vimehifadhiwa.',
+    },
+    bulk: {
+        title: 'Utoaji wa Wingi kutoka CSV / XLSX',
+        instructions: 'SBT moja kwa kila safu yenye safu wima recipient, taskType, pointLevel na title (hadi safu {max}). Aina za kazi na viwango vya pointi vinakubali jina la enum (FINANCIAL_LITERACY_COURSE, LEVEL_B_HARMONY) au faharasa yake. Kichwa kitupu kinatumia jina la kazi.',
+        downloadTemplate: 'Pakua kiolezo',
+        capNotice: 'Kikomo chako cha viwango vya juu ({cap}) kinatumika pia kwa faili zinazopakiwa.',
+        checking: 'Inakagua safu na SBT zilizopo za wapokeaji...',
+        dryRun: 'Jaribio: {file}',
+        rows: {
+            one: 'safu {count}',
+            other: 'safu {count}',
+        },
+        invalid: {
+            one: '{count} si sahihi',
+            other: '{count} si sahihi',
+        },
+        duplicates: {
+            one: 'nakala {count}',
+            other: 'nakala {count}',
+        },
+        toMint: {
+            one: '{count} ya kutoa',
+            other: '{count} za kutoa',
+        },
+        nothingSent: 'Bado hakuna kilichotumwa.',
+        alreadyHolds: 'Mpokeaji tayari anamiliki SBT #{tokenId}',
+        repeatsRow: 'Inarudia safu {line}',
+        ok: 'Sawa',
+        includeDuplicates: 'Toa nakala hata hivyo',
+        finishFirst: 'Maliza au acha kundi la sasa kwanza.',
+        mint: {
+            one: 'Toa SBT {count}',
+            other: 'Toa SBT {count}',
+        },
+        paused: 'Kundi limesitishwa: {minted} zimetolewa hadi sasa.',
+        finished: 'Kundi limekamilika: {minted} zimetolewa, {failed} zimeshindwa, {skipped} zimerukwa.',
+        jobSummary: 'Ilianza {date} · {minted} zimetolewa · {failed} zimeshindwa · {skipped} zimerukwa · {remaining} zimebaki',
+        pause: 'Sitisha baada ya safu ya sasa',
+        resume: 'Endelea ({count})',
+        retryFailed: 'Jaribu tena zilizoshindwa ({count})',
+        discard: 'Acha',
+        downloadResults: 'Pakua matokeo',
+        interrupted: {
+            one: 'Safu {count} ilikuwa ikitumwa ukurasa ulipofungwa. Kuendelea kunakagua mnyororo kwanza na kutuma tena safu ambazo hazikutolewa pekee.',
+            other: 'Safu {count} zilikuwa zikitumwa ukurasa ulipofungwa. Kuendelea kunakagua mnyororo kwanza na kutuma tena safu ambazo hazikutolewa pekee.',
+        },
+        columns: {
+            row: 'Safu',
+            recipient: 'Mpokeaji',
+            task: 'Kazi',
+            status: 'Hali',
+            result: 'Matokeo',
+            level: 'Kiwango',
+            title: 'Kichwa',
+            check: 'Ukaguzi',
+        },
+    },
+    campaigns: {
+        title: 'Kampeni na Vocha za Msaada',
+        intro: 'Endesha kila awamu ya ugawaji kama kampeni. Kila mpokeaji anapata vocha iliyosainiwa na pochi yako na kuitumia mara moja kupata SBT yake ya msaada. Viasi vinarekodi msaada unaotoa; bajeti inaweka kikomo cha kinachoweza kutumika.',
+        contractOnly: 'Kampeni zinaendeshwa kwenye mkataba wa AidCampaignManager uliosambazwa. Badilisha kwenda backend ya mkataba ili kuzitumia.',
+        campaignTitle: 'Jina la Kampeni',
+        titlePlaceholder: 'mf. Msaada wa Mafuriko - Kano, Machi',
+        titleHint: 'Linahifadhiwa kwenye mnyororo kama jina la kila SBT ya msaada ya kampeni.',
+        budget: 'Bajeti (cUSD)',
+        endsOn: 'Vocha ni halali hadi',
+        create: 'Unda Kampeni',
+        creating: 'Inaunda...',
+        created: 'Kampeni "{title}" imeundwa (#{id}).',
+        closed: 'Kampeni "{title}" imefungwa.',
+        reopened: 'Kampeni "{title}" imefunguliwa tena.',
+        none: 'Bado huna kampeni.',
+        statusOpen: 'Wazi',
+        statusClosed: 'Imefungwa',
+        statusEnded: 'Imeisha',
+        budgetUsed: '{redeemed} kati ya {budget} imetumika',
+        redemptions: {
+            one: 'matumizi {count}',
+            other: 'matumizi {count}',
+        },
+        ends: 'inaisha {date}',
+        manage: 'Vocha',
+        close: 'Funga',
+        reopen: 'Fungua tena',
+        issueTitle: 'Toa Vocha',
+        issueInstructions: 'Mpokeaji mmoja kwa kila mstari: anwani ya pochi, kisha kiasi cha cUSD (kiache ili kutumia kiasi cha kawaida). Pochi yako itakuomba usaini kila vocha.',
+        defaultAmount: 'Kiasi cha kawaida (cUSD)',
+        vouchersToSign: {
+            one: 'vocha {count}',
+            other: 'vocha {count}',
+        },
+        lineError: 'Mstari {line}: {error}',
+        overBudget: 'Vocha hizi zinazidi bajeti iliyobaki ({remaining}). Matumizi yanayozidi bajeti yanakataliwa.',
+        notRedeemable: 'Kampeni imefungwa au imeisha, kwa hivyo vocha mpya hazingeweza kutumika.',
+        sign: {
+            one: 'Saini vocha {count}',
+            other: 'Saini vocha {count}',
+        },
+        signing: 'Imesaini {signed} kati ya {total}...',
+        signed: {
+            one: 'Vocha {count} imesainiwa.',
+            other: 'Vocha {count} zimesainiwa.',
+        },
+        amounts: 'Imetumika {redeemed} · haijatumika {outstanding} · bajeti {budget}',
+        storedHere: 'Vocha zilizosainiwa zinahifadhiwa kwenye kivinjari hiki. Matumizi ya vocha zilizosainiwa mahali pengine yanasomwa kutoka kwenye mnyororo.',
+        exportCSV: 'Hamisha CSV',
+        printOutstanding: 'Chapisha vocha ambazo hazijatumika',
+        noVouchers: 'Bado hakuna vocha zilizotolewa kwa kampeni hii.',
+        amount: 'Kiasi',
+        redeemedAs: 'SBT #{tokenId}, {date}',
+        expires: 'halali hadi {date}',
+        issuedElsewhere: 'imesainiwa kwenye kifaa kingine',
+        copyLink: 'Nakili kiungo',
+        linkCopied: 'Kiungo cha vocha kimenakiliwa.',
+        qrCode: 'Msimbo wa QR',
+    },
+    audit: {
+        title: 'Ukaguzi wa Jumla na Uthibitisho wa Huduma',
+        totalAid: 'Jumla ya Misaada Iliyothibitishwa (SBT)',
+        totalIssued: 'Jumla ya SBT za Sifa Zilizotolewa',
+        burnedCount: {
+            one: '{count} imechomwa',
+            other: '{count} zimechomwa',
+        },
+        chainAudit: 'Ukaguzi wa Mnyororo wa Celo',
+        indexedUpTo: 'Imehesabiwa kutoka matukio ya SBTIssued yaliyoorodheshwa hadi bloku {block}',
+        syncedAt: '(imesawazishwa {time})',
+        sessionOnly: 'Wakaguzi huthibitisha kampeni kutoka matukio ya SBTIssued. Weka indexerUrl ili kukagua mnyororo mzima; hesabu hizi zinahusu kipindi hiki pekee.',
+        scoresPublished: 'Alama Zilizochapishwa',
+        loans: 'Mikopo',
+        loanTotals: '{applied} zimeombwa · {approved} zimekubaliwa · {repaid} zimelipwa ({repaidLate} kwa kuchelewa)',
+        scholarships: 'Ufadhili',
+        scholarshipTotals: 'programu {programs} · maombi {applications} · {disbursed} zimetolewa',
+        perIssuer: 'SBT kwa Kila Mtoaji',
+        columns: {
+            issuer: 'Mtoaji',
+            issued: 'Zilizotolewa',
+            aid: 'Msaada',
+            holders: 'Wamiliki',
+            burned: 'Zilizochomwa',
+            lastIssued: 'Iliyotolewa Mwisho',
+        },
+        holderHistory: 'Historia ya Mmiliki',
+        holderPlaceholder: 'Anwani ya mmiliki (0x...)',
+        lookUp: 'Tafuta',
+        historySummary: 'SBT {active} hai, matukio {count} kwa {holder}',
+        block: 'bloku {block}',
+        logGlobal: 'Kumbukumbu ya Ukaguzi wa SBT (Mwonekano wa Jumla)',
+        logSession: 'Kumbukumbu ya Ukaguzi wa SBT (Kipindi Hiki)',
+        issuerPlaceholder: 'Mtoaji (0x...)',
+        recipientPlaceholder: 'Mpokeaji (0x...)',
+        allTaskTypes: 'Aina zote za kazi',
+        allPointLevels: 'Viwango vyote vya pointi',
+        from: 'Kuanzia',
+        to: 'Hadi',
+        reset: 'Weka upya',
+        applyFilters: 'Tumia Vichujio',
+        noMatches: 'Hakuna SBT zinazolingana na vichujio hivi.',
+        showing: 'Inaonyesha {first}-{last} kati ya {total}',
+        exportCsv: 'Hamisha CSV',
+        exportJson: 'Hamisha JSON',
+        burned: '(imechomwa)',
+        toAddress: 'Kwa: {address}',
+        by: 'Na: {address}',
+        notAvailable: 'Haipatikani',
+        previous: 'Iliyotangulia',
+        next: 'Inayofuata',
+        page: 'Ukurasa {page} kati ya {count}',
+        popupBlocked: 'Dirisha la ripoti limezuiwa. Ruhusu madirisha ibukizi kwa tovuti hii ili kuchapisha.',
+    },
+    events: {
+        SBTIssued: 'SBT #{tokenId} imetolewa: {task} (+pointi {points})',
+        SBTBurned: 'SBT #{tokenId} imechomwa',
+        ScorePublished: 'Alama ya {scoreType} imechapishwa: {score} (awali {previous})',
+        LoanApplied: 'Mkopo umeombwa: {amount} kwa {rate}',
+        LoanApproved: {
+            one: 'Mkopo umekubaliwa kwa siku {count}',
+            other: 'Mkopo umekubaliwa kwa siku {count}',
+        },
+        LoanDisbursed: 'Mkopo umetolewa: {amount}, {due} zinadaiwa',
+        LoanRepaid: 'Mkopo umelipwa: {amount}',
+        LoanRepaidLate: 'Mkopo umelipwa: {amount} (kwa kuchelewa)',
+        LoanCancelled: 'Ombi la mkopo limeghairiwa au kukataliwa',
+        ApplicationSubmitted: 'Ameomba programu #{programId}',
+        ApplicationReviewed: 'Ombi #{applicationId}: {status}',
+        BenefitDisbursed: 'Faida imetolewa kwa ombi #{applicationId}',
+        ApplicationCompleted: 'Programu imekamilika (ombi #{applicationId})',
+        VoucherRedeemed: 'Vocha ya msaada #{voucherId} ya kampeni #{campaignId} imetumika: {amount} (SBT #{tokenId})',
+    },
+    report: {
+        title: 'Ripoti ya Kampeni ya Misaada',
+        intro: 'Inafupisha uthibitisho wa AID_DISBURSEMENT_RECEIVED unaolingana na vichujio vya mtoaji, mpokeaji na tarehe hapo juu.',
+        buckets: {
+            day: 'Kila siku',
+            week: 'Kila wiki',
+            month: 'Kila mwezi',
+        },
+        generate: 'Tengeneza',
+        print: 'Chapisha',
+        acknowledgements: 'Uthibitisho',
+        uniqueRecipients: 'Wapokeaji wa Kipekee',
+        repeatRecipients: 'Wapokeaji Waliorudia',
+        issuers: 'Watoaji',
+        per: {
+            day: 'Kwa siku',
+            week: 'Kwa wiki',
+            month: 'Kwa mwezi',
+        },
+        periodRow: '{count} ({new} wapya)',
+        byIssuer: 'Kwa mtoaji',
+        unknownIssuer: 'haijulikani',
+        issuerRow: '{count} kwa wapokeaji {recipients}',
+    },
+    risk: {
+        title: 'Alama za Hatari za Utoaji',
+        intro: 'Inatafuta mifumo ya utambulisho bandia na ushirikiano wa udanganyifu katika SBT zinazolingana na vichujio hapo juu: kujitolea mwenyewe, utoaji wa mzunguko, milipuko ya utoaji, mkusanyiko kwa mtoaji na pochi zenye historia zinazofanana. Alama ni vidokezo vya kukaguliwa, si ushahidi.',
+        analyze: 'Chambua',
+        exportCsv: 'Hamisha Alama',
+        summary: 'Alama: {flags} · Pochi: {wallets} · SBT zilizochambuliwa: {count}',
+        none: 'Hakuna mifumo ya hatari iliyopatikana.',
+        severity: {
+            high: 'Juu',
+            medium: 'Wastani',
+            low: 'Chini',
+        },
+        kinds: {
+            SELF_ISSUANCE: 'Kujitolea mwenyewe',
+            CIRCULAR_ISSUANCE: 'Utoaji wa mzunguko',
+            MINT_BURST: 'Mlipuko wa utoaji',
+            ISSUER_CONCENTRATION: 'Mkusanyiko kwa mtoaji',
+            IDENTICAL_HISTORIES: 'Historia zinazofanana',
+        },
+        descriptions: {
+            SELF_ISSUANCE: 'Mtoaji alitoa SBT kwa pochi yake mwenyewe.',
+            CIRCULAR_ISSUANCE: 'Pochi {length} zilitoleana SBT kwa mzunguko.',
+            CIRCULAR_MENTORSHIP: 'Pochi {length} zilitoleana SBT za ushauri kwa mzunguko.',
+            MINT_BURST: 'Mtoaji mmoja alitoa SBT {count} kwa pochi moja ndani ya sekunde {seconds}.',
+            ISSUER_CONCENTRATION: '{share} ya SBT {count} za kiwango cha juu za mtoaji zilikwenda kwa pochi {recipients}.',
+            IDENTICAL_HISTORIES: 'Pochi {wallets} zina SBT {count} zilezile kutoka kwa watoaji walewale.',
+        },
+        tokenCount: {
+            one: 'SBT {count}',
+            other: 'SBT {count}',
+        },
+        wallets: 'Pochi: {wallets}',
+        issuers: 'Watoaji: {issuers}',
+        mostFlagged: 'Pochi zilizoalamishwa zaidi: {wallets}',
+        preview: {
+            title: 'Athari ya Adhabu kwa Alama za Tathmini',
+            intro: 'Alama za tathmini za pochi zilizoalamishwa kutoka SBT zilizochambuliwa, bila na pamoja na adhabu za hiari kwa SBT zilizoalamishwa. Alama zilizochapishwa na uthibitisho havizitumii kamwe.',
+            wallet: 'Pochi',
+            flaggedSbts: 'SBT zilizoalamishwa',
+            change: '{score} → {penalized}',
+        },
+    },
+};
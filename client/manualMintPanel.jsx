@@ -0,0 +1,383 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { TASK_TYPES, POINT_LEVELS, TASK_LABELS } from './sbtCodec.js';
+import { APP_CONFIG } from './appConfig.js';
+import { fetchHolderTokens } from './bulkIssuance.js';
+import {
+    MIN_JUSTIFICATION_LENGTH,
+    RubricError,
+    deriveLevel,
+    checkCap,
+    isOverCap,
+    buildMintMetadata,
+    loadIssuerSettings,
+    saveIssuerSettings,
+    resetIssuerSettings,
+} from './issuerRubrics.js';
+import { useI18n } from './i18n.js';
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const inputClass = "w-full p-2 border border-gray-300 rounded-lg focus:ring-yellow-500 focus:border-yellow-500";
+
+// AID_DISBURSEMENT_RECEIVED is minted when a holder redeems a campaign voucher, never by hand
+const MINTABLE_TASKS = Object.values(TASK_TYPES).filter(value => value !== TASK_TYPES.AID_DISBURSEMENT_RECEIVED);
+
+const POINT_LEVEL_VALUES = Object.values(POINT_LEVELS);
+
+// --- Component: Rubric & cap settings ---
+const RubricSettings = ({ settings, onSave, onReset }) => {
+    const [draft, setDraft] = useState(settings);
+    const [taskType, setTaskType] = useState(MINTABLE_TASKS[0]);
+    const [error, setError] = useState(null);
+    const { t, taskLabel, pointLevelLabel } = useI18n();
+
+    const levelOptions = POINT_LEVEL_VALUES.map(value => <option key={value} value={value}>{pointLevelLabel(value)}</option>);
+
+    useEffect(() => setDraft(settings), [settings]);
+
+    const rubric = draft.rubrics[taskType];
+    const setRubric = (next) => setDraft(prev => ({ ...prev, rubrics: { ...prev.rubrics, [taskType]: next } }));
+    const setBand = (index, patch) => setRubric({
+        ...rubric,
+        bands: rubric.bands.map((band, i) => (i === index ? { ...band, ...patch } : band)),
+    });
+    const setCap = (field) => (e) => setDraft(prev => ({ ...prev, cap: { ...prev.cap, [field]: Number(e.target.value) } }));
+
+    const handleSave = () => {
+        try {
+            onSave(draft);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    return (
+        <div className="bg-white border border-yellow-300 p-5 rounded-xl space-y-4 mb-6">
+            <h4 className="text-lg font-bold text-gray-700">{t('mint.rubricsTitle')}</h4>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('mint.taskType')}</label>
+                    <select value={taskType} onChange={(e) => setTaskType(parseInt(e.target.value))} className={`${inputClass} bg-white`}>
+                        {MINTABLE_TASKS.map(value => <option key={value} value={value}>{taskLabel(value)}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('mint.rubricInput')}</label>
+                    <input
+                        type="text"
+                        value={rubric.metric ? rubric.metric.label : ''}
+                        onChange={(e) => setRubric({
+                            metric: e.target.value ? { label: e.target.value, unit: rubric.metric?.unit || '' } : null,
+                            bands: e.target.value ? rubric.bands : rubric.bands.slice(0, 1),
+                        })}
+                        placeholder={t('mint.rubricInputPlaceholder')}
+                        className={inputClass}
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('mint.unit')}</label>
+                    <input
+                        type="text"
+                        value={rubric.metric ? rubric.metric.unit : ''}
+                        onChange={(e) => setRubric({ ...rubric, metric: { ...rubric.metric, unit: e.target.value } })}
+                        disabled={!rubric.metric}
+                        placeholder={t('mint.unitPlaceholder')}
+                        className={inputClass}
+                    />
+                </div>
+            </div>
+
+            <div className="space-y-2">
+                {rubric.bands.map((band, i) => (
+                    <div key={i} className="flex items-center gap-2 text-sm">
+                        <span className="w-28 text-gray-600">{rubric.metric ? (i === 0 ? t('mint.fromZero') : t('mint.from')) : t('mint.always')}</span>
+                        {rubric.metric && i > 0 && (
+                            <input type="number" min="0" value={band.min} onChange={(e) => setBand(i, { min: Number(e.target.value) })} className="w-28 p-1 border border-gray-300 rounded-lg" />
+                        )}
+                        <select value={band.pointLevel} onChange={(e) => setBand(i, { pointLevel: parseInt(e.target.value) })} className="p-1 border border-gray-300 rounded-lg bg-white">
+                            {levelOptions}
+                        </select>
+                        {i > 0 && (
+                            <button onClick={() => setRubric({ ...rubric, bands: rubric.bands.filter((_, j) => j !== i) })} className="text-red-600 hover:underline">
+                                {t('whatIf.remove')}
+                            </button>
+                        )}
+                    </div>
+                ))}
+                {rubric.metric && rubric.bands.length < POINT_LEVEL_VALUES.length && (
+                    <button
+                        onClick={() => {
+                            const last = rubric.bands[rubric.bands.length - 1];
+                            setRubric({ ...rubric, bands: [...rubric.bands, { min: last.min + 1, pointLevel: Math.min(last.pointLevel + 1, POINT_LEVELS.LEVEL_A_PRESTIGE) }] });
+                        }}
+                        className="text-sm text-yellow-700 font-semibold hover:underline"
+                    >
+                        {t('mint.addBand')}
+                    </button>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 border-t pt-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('mint.capFrom')}</label>
+                    <select value={draft.cap.minLevel} onChange={setCap('minLevel')} className={`${inputClass} bg-white`}>
+                        {levelOptions}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('mint.maxPerRecipient')}</label>
+                    <input type="number" min="0" value={draft.cap.maxPerRecipient} onChange={setCap('maxPerRecipient')} className={inputClass} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('mint.periodDays')}</label>
+                    <input type="number" min="1" value={draft.cap.periodDays} onChange={setCap('periodDays')} className={inputClass} />
+                </div>
+            </div>
+
+            {error && <p className="text-sm text-red-700">{error}</p>}
+            <div className="flex justify-end gap-2">
+                <button onClick={onReset} className="px-4 py-2 text-sm font-semibold text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">
+                    {t('mint.restoreDefaults')}
+                </button>
+                <button onClick={handleSave} className="px-4 py-2 text-sm bg-yellow-600 text-white font-semibold rounded-lg hover:bg-yellow-700">
+                    {t('mint.saveRubrics')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- Component: Manual SBT Minting Panel (issuer dashboard tab) ---
+// The level comes from the issuer's rubric for the task; a different level needs a justification,
+// which is minted with the token (tokenURI metadata).
+const ManualMintPanel = ({ walletAddress, sbtTokens, issueSBT, getContract, showToast }) => {
+    const [settings, setSettings] = useState(() => loadIssuerSettings(walletAddress));
+    const [showSettings, setShowSettings] = useState(false);
+    const [isMinting, setIsMinting] = useState(false);
+    const [recipient, setRecipient] = useState('');
+    const [selectedTask, setSelectedTask] = useState(TASK_TYPES.FINANCIAL_LITERACY_COURSE);
+    const [metricValue, setMetricValue] = useState('');
+    const [overrideLevel, setOverrideLevel] = useState(''); // '' = use the rubric level
+    const [justification, setJustification] = useState('');
+    const [recipientTokens, setRecipientTokens] = useState(null);
+    const { t, formatDate, taskLabel, pointLevelLabel } = useI18n();
+    // e.g. "2 SBTs at Level B or above per recipient every 30 days"
+    const describeCap = (cap) => t('mint.capDescription', { count: cap.maxPerRecipient, level: pointLevelLabel(cap.minLevel), days: cap.periodDays });
+
+    const isValidRecipient = ADDRESS_PATTERN.test(recipient);
+
+    // The recipient's SBTs for the cap: read from the chain, or the session list with the mock backend
+    const loadRecipientTokens = async (address) => (APP_CONFIG.backend !== 'contract'
+        ? sbtTokens.filter(token => (token.recipient || '').toLowerCase() === address.toLowerCase())
+        : fetchHolderTokens(getContract('soulboundToken'), [address]));
+
+    useEffect(() => {
+        setSettings(loadIssuerSettings(walletAddress));
+    }, [walletAddress]);
+
+    useEffect(() => {
+        setRecipientTokens(null);
+        if (!isValidRecipient) return;
+        let cancelled = false;
+        loadRecipientTokens(recipient)
+            .then(tokens => { if (!cancelled) setRecipientTokens(tokens); })
+            .catch(e => console.error("Error loading recipient SBTs: ", e));
+        return () => { cancelled = true; };
+    }, [recipient, isValidRecipient, sbtTokens]);
+
+    const rubric = settings.rubrics[selectedTask];
+    const { derivedLevel, rubricError } = useMemo(() => {
+        try {
+            return { derivedLevel: deriveLevel(rubric, metricValue === '' ? NaN : Number(metricValue)), rubricError: null };
+        } catch (e) {
+            return { derivedLevel: null, rubricError: e.message };
+        }
+    }, [rubric, metricValue]);
+
+    const pointLevel = overrideLevel !== '' ? Number(overrideLevel) : derivedLevel;
+    const isOverride = pointLevel !== null && derivedLevel !== null && pointLevel !== derivedLevel;
+    const capStatus = recipientTokens && pointLevel !== null
+        ? checkCap(recipientTokens, { issuer: walletAddress, recipient, pointLevel, cap: settings.cap })
+        : null;
+
+    const selectTask = (taskType) => {
+        setSelectedTask(taskType);
+        setMetricValue('');
+        setOverrideLevel('');
+        setJustification('');
+    };
+
+    const handleSaveSettings = (next) => {
+        saveIssuerSettings(walletAddress, next);
+        setSettings(loadIssuerSettings(walletAddress));
+        showToast(t('mint.rubricsSaved'), 'success');
+    };
+
+    const handleResetSettings = () => {
+        resetIssuerSettings(walletAddress);
+        setSettings(loadIssuerSettings(walletAddress));
+    };
+
+    const handleManualMint = async () => {
+        if (pointLevel === null) {
+            showToast(rubricError, 'error');
+            return;
+        }
+
+        let tokenURI;
+        try {
+            tokenURI = buildMintMetadata({
+                taskType: selectedTask,
+                rubric,
+                value: metricValue === '' ? null : Number(metricValue),
+                derivedLevel,
+                pointLevel,
+                justification,
+                issuer: walletAddress,
+            });
+        } catch (e) {
+            if (!(e instanceof RubricError)) throw e;
+            showToast(e.message, 'error');
+            return;
+        }
+
+        // Re-read right before sending so a mint from another tab or the bulk panel is counted
+        if (isValidRecipient) {
+            const latest = checkCap(await loadRecipientTokens(recipient), { issuer: walletAddress, recipient, pointLevel, cap: settings.cap });
+            if (isOverCap(latest)) {
+                showToast(t('mint.capReached', { cap: describeCap(settings.cap) }), 'error');
+                return;
+            }
+        }
+
+        setIsMinting(true);
+        const { success, message } = await issueSBT(
+            recipient,
+            selectedTask,
+            pointLevel,
+            TASK_LABELS[selectedTask] || 'Manual SBT Issue', // On-chain title: English, like every other SBT
+            { tokenURI }
+        );
+        setIsMinting(false);
+
+        showToast(message, success ? 'success' : 'error');
+
+        if (success) {
+            setRecipient('');
+            setMetricValue('');
+            setOverrideLevel('');
+            setJustification('');
+        }
+    };
+
+    const mintBlocked = isMinting || pointLevel === null || (capStatus && isOverCap(capStatus)) ||
+        (isOverride && justification.trim().length < MIN_JUSTIFICATION_LENGTH);
+
+    return (
+        <div className="pt-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-2xl font-bold text-gray-700">{t('mint.title')}</h3>
+                <button onClick={() => setShowSettings(v => !v)} className="px-3 py-1 text-sm font-semibold text-yellow-700 border border-yellow-300 rounded-lg hover:bg-yellow-50">
+                    {showSettings ? t('mint.hideRubrics') : t('mint.editRubrics')}
+                </button>
+            </div>
+
+            {showSettings && <RubricSettings settings={settings} onSave={handleSaveSettings} onReset={handleResetSettings} />}
+
+            <div className="bg-yellow-50 p-6 rounded-xl space-y-4 shadow-inner">
+                <p className="text-sm text-yellow-700">
+                    {t('mint.authorizedIssuer', { address: <span className="font-bold">{walletAddress}</span> })}
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">{t('mint.recipient')}</label>
+                        <input
+                            type="text"
+                            value={recipient}
+                            onChange={(e) => setRecipient(e.target.value)}
+                            placeholder="0x..."
+                            className={inputClass}
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">{t('mint.taskToVerify')}</label>
+                        <select
+                            value={selectedTask}
+                            onChange={(e) => selectTask(parseInt(e.target.value))}
+                            className={`${inputClass} bg-white`}
+                        >
+                            {MINTABLE_TASKS.map(value => <option key={value} value={value}>{taskLabel(value)}</option>)}
+                        </select>
+                    </div>
+                    {rubric.metric && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">{rubric.metric.label} ({rubric.metric.unit})</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={metricValue}
+                                onChange={(e) => setMetricValue(e.target.value)}
+                                className={inputClass}
+                            />
+                        </div>
+                    )}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">{t('mint.pointLevel')}</label>
+                        <select value={overrideLevel} onChange={(e) => setOverrideLevel(e.target.value)} className={`${inputClass} bg-white`}>
+                            <option value="">
+                                {t('mint.fromRubric', { level: derivedLevel !== null ? pointLevelLabel(derivedLevel) : '—' })}
+                            </option>
+                            {POINT_LEVEL_VALUES
+                                .filter(value => value !== derivedLevel)
+                                .map(value => <option key={value} value={value}>{t('mint.override', { level: pointLevelLabel(value) })}</option>)}
+                        </select>
+                    </div>
+                </div>
+
+                {isOverride && (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            {t('mint.justification', { level: pointLevelLabel(derivedLevel) })}
+                        </label>
+                        <textarea
+                            value={justification}
+                            onChange={(e) => setJustification(e.target.value)}
+                            rows={2}
+                            className={inputClass}
+                        />
+                        <p className="text-xs text-gray-500">{t('mint.minimumCharacters', { length: justification.trim().length, min: MIN_JUSTIFICATION_LENGTH })}</p>
+                    </div>
+                )}
+
+                {capStatus && capStatus.capped && (
+                    <p className={`text-sm ${isOverCap(capStatus) ? 'text-red-700 font-semibold' : 'text-gray-600'}`}>
+                        {t('mint.capStatus', { cap: describeCap(settings.cap), count: capStatus.used })}
+                        {isOverCap(capStatus) && capStatus.resetsAt && ` ${t('mint.capResets', { date: formatDate(capStatus.resetsAt) })}`}
+                    </p>
+                )}
+
+                <button
+                    onClick={handleManualMint}
+                    disabled={mintBlocked}
+                    className={`w-full py-3 font-bold text-lg rounded-xl shadow-md transition duration-200 flex items-center justify-center ${
+                        mintBlocked
+                            ? 'bg-gray-400 text-gray-200 cursor-not-allowed'
+                            : 'bg-yellow-600 text-white hover:bg-yellow-700'
+                    }`}
+                >
+                    {isMinting ? (
+                        <svg className="animate-spin -ms-1 me-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                    ) : (
+                        <svg className="w-5 h-5 me-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v3m0 0v3m0-3h3m-3 0H9m12 0a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
+                    )}
+                    {isMinting ? t('mint.sending') : t('mint.issue')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ManualMintPanel;
@@ -0,0 +1,79 @@
+// --- Supported Networks ---
+// The chains the DApp runs on. Contract addresses per chain live in the deployment manifest (deployments.json).
+
+export const CHAIN_IDS = Object.freeze({
+    CELO: 42220,
+    ALFAJORES: 44787,
+    LOCALHOST: 31337,
+});
+
+const CELO_CURRENCY = { name: 'CELO', symbol: 'CELO', decimals: 18 };
+
+/**
+ * @notice Network metadata keyed by chain id. rpcUrl is used for wallet_addEthereumChain,
+ * WalletConnect and the dev signer. feeCurrencies are the ERC-20 tokens Celo accepts for gas
+ * (the feeCurrency transaction field).
+ */
+export const NETWORKS = Object.freeze({
+    [CHAIN_IDS.CELO]: {
+        chainId: CHAIN_IDS.CELO,
+        name: 'Celo Mainnet',
+        rpcUrl: 'https://forno.celo.org',
+        explorerUrl: 'https://celoscan.io',
+        nativeCurrency: CELO_CURRENCY,
+        feeCurrencies: { cUSD: '0x765DE816845861e75A25fCA122bb6898B8B1282a' },
+    },
+    [CHAIN_IDS.ALFAJORES]: {
+        chainId: CHAIN_IDS.ALFAJORES,
+        name: 'Celo Alfajores',
+        rpcUrl: 'https://alfajores-forno.celo-testnet.org',
+        explorerUrl: 'https://alfajores.celoscan.io',
+        nativeCurrency: { ...CELO_CURRENCY, name: 'Alfajores CELO' },
+        feeCurrencies: { cUSD: '0x874069Fa1Eb16D44d622F2e0Ca25eeA172369bC1' },
+        testnet: true,
+    },
+    [CHAIN_IDS.LOCALHOST]: {
+        chainId: CHAIN_IDS.LOCALHOST,
+        name: 'Localhost (Hardhat)',
+        rpcUrl: 'http://127.0.0.1:8545',
+        explorerUrl: '',
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        feeCurrencies: {},
+        testnet: true,
+    },
+});
+
+export const SUPPORTED_CHAIN_IDS = Object.values(CHAIN_IDS);
+
+/**
+ * @notice Network metadata for a chain id, or null when the chain is not supported.
+ */
+export const getNetwork = (chainId) => NETWORKS[Number(chainId)] || null;
+
+export const isSupportedChain = (chainId) => getNetwork(chainId) !== null;
+
+// EIP-1193 chain ids are 0x-prefixed hex strings
+export const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+/**
+ * @notice Parameters for wallet_addEthereumChain (EIP-3085).
+ */
+export function addChainParams(chainId) {
+    const network = getNetwork(chainId);
+    if (!network) throw new Error(`Chain ${chainId} is not supported.`);
+    return {
+        chainId: toHexChainId(chainId),
+        chainName: network.name,
+        nativeCurrency: network.nativeCurrency,
+        rpcUrls: [network.rpcUrl],
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined,
+    };
+}
+
+/**
+ * @notice Block explorer link for a transaction ('' when the network has no explorer).
+ */
+export function txUrl(chainId, hash) {
+    const network = getNetwork(chainId);
+    return network && network.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : '';
+}
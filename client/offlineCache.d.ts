@@ -0,0 +1,30 @@
+// Type declarations for offlineCache.js (used by the TypeScript tests under test/).
+
+export const SNAPSHOT_PARTS: {
+    readonly SBTS: 'sbts';
+    readonly PUBLISHED_SCORES: 'publishedScores';
+    readonly ELIGIBILITY: 'eligibility';
+};
+
+export interface CachedPart<T = unknown> {
+    data: T;
+    syncedAt: number;
+}
+
+export interface OfflineCache {
+    readPart<T = unknown>(chainKey: string | number, holder: string, part: string): Promise<CachedPart<T> | null>;
+    writePart<T>(chainKey: string | number, holder: string, part: string, data: T, options?: { now?: number }): Promise<CachedPart<T>>;
+    readThrough<T>(
+        chainKey: string | number,
+        holder: string,
+        part: string,
+        load: () => Promise<T>
+    ): Promise<CachedPart<T> & { fromCache: boolean }>;
+    listActions<A extends { id: string; holder: string; createdAt: number }>(holder: string): Promise<A[]>;
+    putAction(action: { id: string }): Promise<unknown>;
+    deleteAction(id: string): Promise<unknown>;
+}
+
+export function createOfflineCache(options?: { indexedDB?: IDBFactory }): OfflineCache;
+
+export const offlineCache: OfflineCache;
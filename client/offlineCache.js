@@ -0,0 +1,148 @@
+// --- Offline Cache ---
+// Holders often have patchy data. Everything a holder needs to see their reputation is kept in
+// IndexedDB after every successful read: their SBTs, the scores published to AIRiskOracle and the
+// program eligibility results, each with the time it was last synced. Actions taken offline
+// (offlineQueue.js) are stored here too, so they survive the browser closing.
+//
+// Records are written with the structured clone algorithm, so BigInt amounts and Maps round-trip.
+
+const DB_NAME = 'credo-offline';
+const DB_VERSION = 1;
+const SNAPSHOTS = 'snapshots'; // { key, chainKey, holder, parts: { [part]: { data, syncedAt } } }
+const ACTIONS = 'actions';     // Queued offline actions (offlineQueue.js)
+
+/**
+ * @notice The cached parts of a holder snapshot. Views may add suffixed parts (e.g. one per filter).
+ */
+export const SNAPSHOT_PARTS = Object.freeze({
+    SBTS: 'sbts',
+    PUBLISHED_SCORES: 'publishedScores',
+    ELIGIBILITY: 'eligibility',
+});
+
+const snapshotKey = (chainKey, holder) => `${chainKey}:${holder.toLowerCase()}`;
+
+// --- Storage backends ---
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+function openDatabase(indexedDB) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(DB_NAME, DB_VERSION);
+        open.onupgradeneeded = () => {
+            const db = open.result;
+            if (!db.objectStoreNames.contains(SNAPSHOTS)) db.createObjectStore(SNAPSHOTS, { keyPath: 'key' });
+            if (!db.objectStoreNames.contains(ACTIONS)) db.createObjectStore(ACTIONS, { keyPath: 'id' });
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+        open.onblocked = () => reject(new Error("The offline cache is open in an older tab. Close it and reload."));
+    });
+}
+
+function indexedDBStore(indexedDB) {
+    let database = null;
+    const run = async (storeName, mode, operation) => {
+        if (!database) database = openDatabase(indexedDB);
+        const transaction = (await database).transaction(storeName, mode);
+        return promisify(operation(transaction.objectStore(storeName)));
+    };
+    return {
+        get: (storeName, key) => run(storeName, 'readonly', store => store.get(key)),
+        getAll: (storeName) => run(storeName, 'readonly', store => store.getAll()),
+        put: (storeName, value) => run(storeName, 'readwrite', store => store.put(value)),
+        delete: (storeName, key) => run(storeName, 'readwrite', store => store.delete(key)),
+    };
+}
+
+// In-memory fallback where IndexedDB is missing or refused (Node scripts, some private modes)
+function memoryStore() {
+    const stores = { [SNAPSHOTS]: new Map(), [ACTIONS]: new Map() };
+    const keyOf = (storeName, value) => (storeName === SNAPSHOTS ? value.key : value.id);
+    return {
+        get: async (storeName, key) => (stores[storeName].has(key) ? structuredClone(stores[storeName].get(key)) : undefined),
+        getAll: async (storeName) => [...stores[storeName].values()].map(value => structuredClone(value)),
+        put: async (storeName, value) => { stores[storeName].set(keyOf(storeName, value), structuredClone(value)); },
+        delete: async (storeName, key) => { stores[storeName].delete(key); },
+    };
+}
+
+/**
+ * @notice Creates the offline cache.
+ * @param indexedDB The IndexedDB factory (default the browser's); memory is used without one, or
+ * when opening the database fails.
+ * @returns { readPart, writePart, readThrough, listActions, putAction, deleteAction }
+ */
+export function createOfflineCache({ indexedDB = globalThis.indexedDB } = {}) {
+    const fallback = memoryStore();
+    let store = indexedDB ? indexedDBStore(indexedDB) : fallback;
+
+    // A failing IndexedDB (quota, private mode) must not break the app: continue in memory
+    const call = async (method, ...args) => {
+        try {
+            return await store[method](...args);
+        } catch (e) {
+            if (store === fallback) throw e;
+            console.warn("Offline cache unavailable, keeping data in memory only: ", e);
+            store = fallback;
+            return store[method](...args);
+        }
+    };
+
+    return {
+        /**
+         * @notice One cached part of a holder's snapshot.
+         * @returns { data, syncedAt } or null when never synced.
+         */
+        async readPart(chainKey, holder, part) {
+            const snapshot = await call('get', SNAPSHOTS, snapshotKey(chainKey, holder));
+            return (snapshot && snapshot.parts[part]) || null;
+        },
+
+        // Replaces one part; the other parts keep their own sync time
+        async writePart(chainKey, holder, part, data, { now = Date.now() } = {}) {
+            const key = snapshotKey(chainKey, holder);
+            const snapshot = (await call('get', SNAPSHOTS, key)) || { key, chainKey, holder: holder.toLowerCase(), parts: {} };
+            snapshot.parts[part] = { data, syncedAt: now };
+            await call('put', SNAPSHOTS, snapshot);
+            return snapshot.parts[part];
+        },
+
+        /**
+         * @notice Runs a live read and caches its result; falls back to the cached value when the
+         * read fails (offline, RPC down).
+         * @param load Async function returning the fresh data.
+         * @returns { data, syncedAt, fromCache }
+         * @throws The read's error when nothing is cached.
+         */
+        async readThrough(chainKey, holder, part, load) {
+            try {
+                const data = await load();
+                const { syncedAt } = await this.writePart(chainKey, holder, part, data);
+                return { data, syncedAt, fromCache: false };
+            } catch (e) {
+                const cached = await this.readPart(chainKey, holder, part).catch(() => null);
+                if (!cached) throw e;
+                return { ...cached, fromCache: true };
+            }
+        },
+
+        // --- Offline actions ---
+
+        async listActions(holder) {
+            const actions = await call('getAll', ACTIONS);
+            return actions
+                .filter(action => action.holder === holder.toLowerCase())
+                .sort((a, b) => a.createdAt - b.createdAt);
+        },
+
+        putAction: (action) => call('put', ACTIONS, action),
+        deleteAction: (id) => call('delete', ACTIONS, id),
+    };
+}
+
+// Shared by the app (one database per origin)
+export const offlineCache = createOfflineCache();
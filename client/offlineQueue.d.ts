@@ -0,0 +1,82 @@
+// Type declarations for offlineQueue.js (used by the TypeScript tests under test/).
+
+import type { Contract } from 'ethers';
+import type { AidVoucher } from './aidVouchers.js';
+import type { OfflineCache } from './offlineCache.js';
+
+export const ACTION_TYPES: { readonly AID_ACKNOWLEDGEMENT: 'aidAcknowledgement' };
+
+export const ACTION_STATUS: {
+    readonly QUEUED: 'queued';
+    readonly SUBMITTING: 'submitting';
+    readonly SUBMITTED: 'submitted';
+    readonly CONFLICT: 'conflict';
+    readonly EXPIRED: 'expired';
+    readonly FAILED: 'failed';
+};
+
+export type ActionStatus = (typeof ACTION_STATUS)[keyof typeof ACTION_STATUS];
+
+export const ACTION_STATUS_LABELS: Readonly<Record<ActionStatus, string>>;
+
+export const AID_ACKNOWLEDGEMENT_TTL_MS: number;
+
+export interface AidAcknowledgement {
+    id: string;
+    type: typeof ACTION_TYPES.AID_ACKNOWLEDGEMENT;
+    holder: string;
+    chainKey: string | number;
+    voucher: AidVoucher;
+    title: string;
+    acknowledgedAt: number;
+    expiresAt: number;
+    createdAt: number;
+    updatedAt?: number;
+    status: ActionStatus;
+    signature: string | null;
+    eip712: { domain: Record<string, unknown>; types: Record<string, unknown>; primaryType: 'AidAcknowledgement' } | null;
+    error?: string | null;
+    txHash?: string;
+    tokenId?: number;
+    conflictTokenId?: number | null;
+}
+
+export function buildAidAcknowledgement(input: {
+    holder: string;
+    chainKey: string | number;
+    voucher: AidVoucher;
+    now?: number;
+    ttlMs?: number;
+}): AidAcknowledgement;
+export function signAidAcknowledgement(manager: Contract, action: AidAcknowledgement): Promise<AidAcknowledgement>;
+export function aidAcknowledgementURI(
+    action: AidAcknowledgement | Pick<AidAcknowledgement, 'voucher' | 'acknowledgedAt'>
+): string;
+
+export interface FlushSummary {
+    submitted: AidAcknowledgement[];
+    conflicts: AidAcknowledgement[];
+    expired: AidAcknowledgement[];
+    failed: AidAcknowledgement[];
+}
+
+export interface ActionQueue {
+    list(holder: string): Promise<AidAcknowledgement[]>;
+    enqueue(action: AidAcknowledgement): Promise<AidAcknowledgement>;
+    dismiss(id: string): Promise<void>;
+    subscribe(listener: () => void): () => void;
+    flush(input: {
+        holder: string;
+        chainKey: string | number;
+        readVoucherState: (action: AidAcknowledgement) => Promise<{
+            redemption: { tokenId: number; redeemedAt: number } | null;
+            recipientRedeemed: boolean;
+        }>;
+        submit: (action: AidAcknowledgement) => Promise<{ tokenId: number; txHash: string }>;
+        now?: number;
+    }): Promise<FlushSummary>;
+}
+
+export function createActionQueue(options?: { cache?: OfflineCache }): ActionQueue;
+
+export const actionQueue: ActionQueue;
@@ -0,0 +1,231 @@
+// --- Offline Action Queue ---
+// Holder actions taken without a connection are signed on the phone and stored (offlineCache.js),
+// then submitted when it reconnects. Today that is the aid voucher redemption: the holder opens the
+// NGO's voucher (aidVouchers.js) and signs an EIP-712 AidAcknowledgement for it offline (the wallet
+// signs locally, no RPC needed). On reconnect the voucher is redeemed with the signed
+// acknowledgement as the tokenURI, so the SBT records when the aid was acknowledged, not just when
+// the phone got data again.
+//
+// Before anything is sent the voucher is read again: one already redeemed on chain, or from a
+// campaign the holder already redeemed another voucher of, becomes a conflict; one past its expiry
+// is expired. Neither is sent.
+
+import { getAddress } from 'ethers';
+import { decodeTxError, TX_ERROR_KINDS } from './txErrors.js';
+import { offlineCache } from './offlineCache.js';
+
+export const ACTION_TYPES = Object.freeze({
+    AID_ACKNOWLEDGEMENT: 'aidAcknowledgement',
+});
+
+export const ACTION_STATUS = Object.freeze({
+    QUEUED: 'queued',         // Waiting for a connection
+    SUBMITTING: 'submitting', // Sent to the wallet / chain
+    SUBMITTED: 'submitted',   // Mined; the SBT exists
+    CONFLICT: 'conflict',     // Voucher or its campaign already redeemed on chain; not sent
+    EXPIRED: 'expired',       // Reconnected too late; not sent
+    FAILED: 'failed',         // Rejected in the wallet or reverted
+});
+
+export const ACTION_STATUS_LABELS = Object.freeze({
+    [ACTION_STATUS.QUEUED]: 'Waiting for connection',
+    [ACTION_STATUS.SUBMITTING]: 'Submitting',
+    [ACTION_STATUS.SUBMITTED]: 'Submitted',
+    [ACTION_STATUS.CONFLICT]: 'Already redeemed',
+    [ACTION_STATUS.EXPIRED]: 'Expired',
+    [ACTION_STATUS.FAILED]: 'Failed',
+});
+
+/**
+ * @notice How long an offline acknowledgement stays valid (at most until the voucher expires).
+ * Past that the holder acknowledges again rather than back-dating a stale receipt.
+ */
+export const AID_ACKNOWLEDGEMENT_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+const DOMAIN_NAME = 'Credo Aid Acknowledgements';
+const DOMAIN_VERSION = '2'; // 2: bound to a campaign voucher
+const METADATA_PREFIX = 'data:application/json;charset=utf-8,';
+
+const AID_ACKNOWLEDGEMENT_TYPES = {
+    AidAcknowledgement: [
+        { name: 'holder', type: 'address' },
+        { name: 'campaignId', type: 'uint256' },
+        { name: 'voucherId', type: 'uint256' },
+        { name: 'title', type: 'string' },
+        { name: 'acknowledgedAt', type: 'uint256' }, // ms
+        { name: 'expiresAt', type: 'uint256' },      // ms
+    ],
+};
+
+// --- Aid Acknowledgements ---
+
+/**
+ * @notice A queued, not yet signed acknowledgement of an aid voucher (aidVouchers.js decodeVoucher).
+ * @param chainKey The chain id.
+ */
+export function buildAidAcknowledgement({ holder, chainKey, voucher, now = Date.now(), ttlMs = AID_ACKNOWLEDGEMENT_TTL_MS }) {
+    return {
+        id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+        type: ACTION_TYPES.AID_ACKNOWLEDGEMENT,
+        holder: holder.toLowerCase(),
+        chainKey,
+        voucher,
+        title: voucher.title,
+        acknowledgedAt: now,
+        expiresAt: Math.min(now + ttlMs, voucher.expiresAt * 1000),
+        createdAt: now,
+        status: ACTION_STATUS.QUEUED,
+        signature: null,
+        eip712: null,
+    };
+}
+
+/**
+ * @notice Signs an acknowledgement with the holder's wallet (one prompt, works offline).
+ * @param manager AidCampaignManager connected to the holder's signer (the verifying contract).
+ * @returns The action with its signature and EIP-712 domain.
+ */
+export async function signAidAcknowledgement(manager, action) {
+    const domain = {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId: Number(action.chainKey),
+        verifyingContract: getAddress(manager.target),
+    };
+    const message = {
+        holder: getAddress(action.holder),
+        campaignId: BigInt(action.voucher.campaignId),
+        voucherId: BigInt(action.voucher.voucherId),
+        title: action.title,
+        acknowledgedAt: action.acknowledgedAt,
+        expiresAt: action.expiresAt,
+    };
+    const signature = await manager.runner.signTypedData(domain, AID_ACKNOWLEDGEMENT_TYPES, message);
+    return { ...action, signature, eip712: { domain, types: AID_ACKNOWLEDGEMENT_TYPES, primaryType: 'AidAcknowledgement' } };
+}
+
+/**
+ * @notice The redeemVoucher tokenURI: which voucher the holder acknowledged and when, with their
+ * signature when it was acknowledged offline.
+ * @param action A queued acknowledgement, or { voucher, acknowledgedAt } for an online redemption.
+ */
+export function aidAcknowledgementURI(action) {
+    const metadata = {
+        taskType: 'AID_DISBURSEMENT_RECEIVED',
+        campaignId: String(action.voucher.campaignId),
+        voucherId: String(action.voucher.voucherId),
+        acknowledgedAt: new Date(action.acknowledgedAt).toISOString(),
+        expiresAt: action.expiresAt ? new Date(action.expiresAt).toISOString() : undefined,
+        signedOffline: Boolean(action.signature),
+        signature: action.signature,
+        eip712: action.eip712 && { domain: action.eip712.domain, primaryType: action.eip712.primaryType },
+    };
+    return METADATA_PREFIX + encodeURIComponent(JSON.stringify(metadata));
+}
+
+// --- Queue ---
+
+/**
+ * @notice Creates the queue over the offline cache.
+ * @returns { list, enqueue, dismiss, subscribe, flush }
+ */
+export function createActionQueue({ cache = offlineCache } = {}) {
+    const listeners = new Set();
+    let flushing = null;
+
+    const notify = () => listeners.forEach(listener => listener());
+
+    const save = async (action) => {
+        await cache.putAction(action);
+        notify();
+        return action;
+    };
+
+    const update = (action, changes) => save({ ...action, ...changes, updatedAt: Date.now() });
+
+    // Only one flush runs at a time, so an item still marked as submitting when a flush starts was
+    // interrupted by a reload. It is tried again; the conflict check stops a second redemption when
+    // the first one was mined (the contract would revert it anyway).
+    const isPending = (action) => action.status === ACTION_STATUS.QUEUED || action.status === ACTION_STATUS.SUBMITTING;
+
+    const run = async ({ holder, chainKey, readVoucherState, submit, now }) => {
+        const pending = (await cache.listActions(holder)).filter(action => action.chainKey === chainKey && isPending(action));
+        const summary = { submitted: [], conflicts: [], expired: [], failed: [] };
+
+        for (const action of pending) {
+            if (now > action.expiresAt) {
+                summary.expired.push(await update(action, { status: ACTION_STATUS.EXPIRED, error: 'Expired before the phone reconnected. Open the voucher again.' }));
+                continue;
+            }
+            // Network errors here leave this and the remaining items queued for the next attempt
+            const { redemption, recipientRedeemed } = await readVoucherState(action);
+            if (redemption) {
+                summary.conflicts.push(await update(action, {
+                    status: ACTION_STATUS.CONFLICT,
+                    conflictTokenId: redemption.tokenId,
+                    error: `This voucher is already redeemed on chain (SBT #${redemption.tokenId}). Nothing was sent.`,
+                }));
+                continue;
+            }
+            // The contract allows one voucher per holder and campaign
+            if (recipientRedeemed) {
+                summary.conflicts.push(await update(action, {
+                    status: ACTION_STATUS.CONFLICT,
+                    conflictTokenId: null,
+                    error: 'You already redeemed another voucher from this campaign. Nothing was sent.',
+                }));
+                continue;
+            }
+
+            const submitting = await update(action, { status: ACTION_STATUS.SUBMITTING, error: null });
+            try {
+                const { tokenId, txHash } = await submit(submitting);
+                summary.submitted.push(await update(submitting, { status: ACTION_STATUS.SUBMITTED, txHash, tokenId }));
+            } catch (e) {
+                const { kind, message } = decodeTxError(e);
+                if (kind === TX_ERROR_KINDS.NETWORK) {
+                    // The connection dropped again: keep this and the remaining items queued
+                    await update(submitting, { status: ACTION_STATUS.QUEUED, error: message });
+                    break;
+                }
+                summary.failed.push(await update(submitting, { status: ACTION_STATUS.FAILED, error: message }));
+            }
+        }
+        return summary;
+    };
+
+    return {
+        // The holder's actions, oldest first
+        list: (holder) => cache.listActions(holder),
+
+        enqueue: (action) => save(action),
+
+        async dismiss(id) {
+            await cache.deleteAction(id);
+            notify();
+        },
+
+        // listener() after every change; returns unsubscribe
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * @notice Submits the holder's queued actions for one chain, oldest first. One flush runs at a time.
+         * @param readVoucherState Async function (action) -> { redemption, recipientRedeemed } for the
+         * action's voucher (aidVouchers.js readVoucherState; conflict check).
+         * @param submit Async function (action) -> { tokenId, txHash } sending the redeemVoucher transaction.
+         * @returns { submitted, conflicts, expired, failed } (the updated actions).
+         */
+        flush({ holder, chainKey, readVoucherState, submit, now = Date.now() }) {
+            if (!flushing) {
+                flushing = run({ holder, chainKey, readVoucherState, submit, now }).finally(() => { flushing = null; });
+            }
+            return flushing;
+        },
+    };
+}
+
+// Shared by the app
+export const actionQueue = createActionQueue();
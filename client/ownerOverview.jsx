@@ -0,0 +1,34 @@
+import React from 'react';
+
+// Owner-only (onlyOwner) functions per contract, as a reminder of what this wallet controls
+const OWNER_POWERS = {
+    soulboundToken: { label: 'SoulboundToken', powers: ['addIssuer / removeIssuer', 'setPointLedgerAddress', 'pause / unpause'] },
+    aiRiskOracle: { label: 'AIRiskOracle', powers: ['setMaxScoreAge', 'setMinPublishInterval', 'togglePublishingPause', 'toggleHistoryTracking'] },
+    loanManager: { label: 'LoanManager', powers: ['setAdminAddress', 'eligibility and threshold settings', 'withdrawFunds', 'pause / unpause'] },
+    pointLedger: { label: 'PointLedger', powers: ['setSBTContractAddress', 'setAIRiskOracleAddress', 'eligibility criteria'] },
+    scholarshipManager: { label: 'ScholarshipManager', powers: ['authorizeProvider / revokeProvider', 'depositFunds / withdrawFunds', 'pause / unpause'] },
+    aidCampaignManager: { label: 'AidCampaignManager', powers: ['setSBTContract', 'setCampaignActive (any campaign)', 'pause / unpause'] },
+};
+
+// --- Component: Owned Contracts (contract owner role) ---
+const OwnerOverview = ({ ownerOf, contracts }) => (
+    <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto border-t-8 border-yellow-500">
+        <h2 className="text-3xl font-extrabold text-yellow-700 mb-2">Owned Contracts</h2>
+        <p className="text-sm text-gray-600 mb-6">
+            This wallet is the Ownable owner of the contracts below. Owner actions are not part of this DApp; send them with Hardhat or your multisig.
+        </p>
+        <div className="space-y-4">
+            {ownerOf.map(name => (
+                <div key={name} className="p-4 bg-gray-50 rounded-lg">
+                    <p className="font-bold text-gray-800">{OWNER_POWERS[name].label}</p>
+                    <p className="font-mono text-xs text-gray-500 break-all">{contracts[name]}</p>
+                    <ul className="mt-2 text-sm text-gray-700 list-disc list-inside">
+                        {OWNER_POWERS[name].powers.map(power => <li key={power}>{power}</li>)}
+                    </ul>
+                </div>
+            ))}
+        </div>
+    </div>
+);
+
+export default OwnerOverview;
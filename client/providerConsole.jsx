@@ -0,0 +1,387 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatUnits, parseUnits } from 'ethers';
+import { APP_CONFIG } from './appConfig.js';
+import {
+    fetchProviderPrograms,
+    createProgram,
+    setProgramActive,
+    reviewApplication,
+    benefitRequiresCode,
+    disburseBenefit,
+    markAsCompleted,
+} from './scholarshipActions.js';
+import { describeTxError } from './contractTx.js';
+import {
+    PROGRAM_TYPE_NAMES,
+    PROGRAM_TYPE_LABELS,
+    BENEFIT_TYPE_NAMES,
+    BENEFIT_TYPE_LABELS,
+    BENEFIT_TYPES,
+    APPLICATION_STATUSES,
+    APPLICATION_STATUS_LABELS,
+} from './scholarshipCodec.js';
+
+const STABLECOIN_DECIMALS = 18; // cUSD
+
+const formatCUSD = (amount) => Number(formatUnits(amount, STABLECOIN_DECIMALS)).toLocaleString(undefined, { maximumFractionDigits: 2 });
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const EMPTY_PROGRAM_FORM = {
+    name: '',
+    description: '',
+    programType: 'EDUCATION_SCHOLARSHIP',
+    benefitType: 'MONETARY',
+    minReputationPoints: '0',
+    minSocialScore: '0',
+    benefitAmount: '',
+    discountPercentage: '',
+    maxRecipients: '10',
+    applicationDeadline: '',
+};
+
+// --- Component: Create Program form ---
+const CreateProgramForm = ({ isBusy, onCreate }) => {
+    const [form, setForm] = useState(EMPTY_PROGRAM_FORM);
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const benefitType = BENEFIT_TYPES[form.benefitType];
+    const inputClass = "w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (await onCreate(form)) setForm(EMPTY_PROGRAM_FORM);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-gray-50 p-5 rounded-xl shadow-inner grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+            <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700">Program Name</label>
+                <input type="text" value={form.name} onChange={update('name')} className={inputClass} required />
+            </div>
+            <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700">Description</label>
+                <textarea rows={2} value={form.description} onChange={update('description')} className={inputClass} />
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-gray-700">Program Type</label>
+                <select value={form.programType} onChange={update('programType')} className={inputClass}>
+                    {PROGRAM_TYPE_NAMES.map((name, index) => <option key={name} value={name}>{PROGRAM_TYPE_LABELS[index]}</option>)}
+                </select>
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-gray-700">Benefit Type</label>
+                <select value={form.benefitType} onChange={update('benefitType')} className={inputClass}>
+                    {BENEFIT_TYPE_NAMES.map((name, index) => <option key={name} value={name}>{BENEFIT_TYPE_LABELS[index]}</option>)}
+                </select>
+            </div>
+            {benefitType === BENEFIT_TYPES.MONETARY && (
+                <div>
+                    <label className="block text-sm font-medium text-gray-700">Benefit Amount (cUSD per recipient)</label>
+                    <input type="number" min="0" step="any" value={form.benefitAmount} onChange={update('benefitAmount')} className={inputClass} required />
+                </div>
+            )}
+            {benefitType === BENEFIT_TYPES.DISCOUNT_CODE && (
+                <div>
+                    <label className="block text-sm font-medium text-gray-700">Discount (%)</label>
+                    <input type="number" min="1" max="100" value={form.discountPercentage} onChange={update('discountPercentage')} className={inputClass} required />
+                </div>
+            )}
+            <div>
+                <label className="block text-sm font-medium text-gray-700">Max Recipients</label>
+                <input type="number" min="1" value={form.maxRecipients} onChange={update('maxRecipients')} className={inputClass} required />
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-gray-700">Application Deadline</label>
+                <input type="date" value={form.applicationDeadline} onChange={update('applicationDeadline')} className={inputClass} required />
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-gray-700">Min Reputation Points</label>
+                <input type="number" min="0" value={form.minReputationPoints} onChange={update('minReputationPoints')} className={inputClass} />
+            </div>
+            <div>
+                <label className="block text-sm font-medium text-gray-700">Min UBI Score (0-1000)</label>
+                <input type="number" min="0" max="1000" value={form.minSocialScore} onChange={update('minSocialScore')} className={inputClass} />
+            </div>
+            <button
+                type="submit"
+                disabled={isBusy}
+                className="md:col-span-2 py-3 bg-indigo-600 text-white font-bold rounded-lg shadow hover:bg-indigo-700 disabled:bg-indigo-300"
+            >
+                {isBusy ? 'Creating...' : 'Create Program (ScholarshipManager.createProgram)'}
+            </button>
+        </form>
+    );
+};
+
+// --- Component: One application row with the next provider action ---
+const ApplicationRow = ({ app, busyId, onReview, onDisburse, onComplete }) => {
+    const [notes, setNotes] = useState('');
+    const [code, setCode] = useState('');
+    const isBusy = busyId !== null;
+    const needsCode = benefitRequiresCode(app.program.benefitType);
+
+    return (
+        <tr>
+            <td className="px-3 py-2 align-top">
+                <p className="font-mono">{shortAddress(app.applicant)}</p>
+                <p className="text-xs text-gray-500">{new Date(app.appliedAt).toLocaleString()}</p>
+                {app.applicationNotes && <p className="text-xs text-gray-600 mt-1 max-w-xs">"{app.applicationNotes}"</p>}
+            </td>
+            <td className="px-3 py-2 align-top">
+                <span className="font-semibold">{APPLICATION_STATUS_LABELS[app.status]}</span>
+                {app.discountCode && <p className="text-xs font-mono text-gray-600">{app.discountCode}</p>}
+                {app.status === APPLICATION_STATUSES.COMPLETED && (
+                    <p className="text-xs text-gray-500">{app.sbtRewarded ? 'Completion SBT minted' : 'SBT mint failed'}</p>
+                )}
+            </td>
+            <td className="px-3 py-2 align-top space-y-2">
+                {app.status === APPLICATION_STATUSES.PENDING && (
+                    <>
+                        <input
+                            type="text"
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            placeholder="Review notes"
+                            className="w-full p-1 text-sm border border-gray-300 rounded"
+                        />
+                        <div className="space-x-2 whitespace-nowrap">
+                            <button
+                                onClick={() => onReview(app, true, notes)}
+                                disabled={isBusy}
+                                className="px-3 py-1 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-green-300"
+                            >
+                                {busyId === app.id ? '...' : 'Approve'}
+                            </button>
+                            <button
+                                onClick={() => onReview(app, false, notes)}
+                                disabled={isBusy}
+                                className="px-3 py-1 bg-white text-red-600 border border-red-300 font-semibold rounded-lg hover:bg-red-50 disabled:opacity-50"
+                            >
+                                Reject
+                            </button>
+                        </div>
+                    </>
+                )}
+                {app.status === APPLICATION_STATUSES.APPROVED && (
+                    <div className="flex space-x-2">
+                        {needsCode && (
+                            <input
+                                type="text"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
+                                placeholder={app.program.benefitType === BENEFIT_TYPES.VOUCHER ? 'Voucher code' : 'Discount code'}
+                                className="p-1 text-sm font-mono border border-gray-300 rounded"
+                            />
+                        )}
+                        <button
+                            onClick={() => onDisburse(app, code)}
+                            disabled={isBusy}
+                            className="px-3 py-1 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:bg-indigo-300 whitespace-nowrap"
+                        >
+                            {busyId === app.id ? '...' : 'Disburse'}
+                        </button>
+                    </div>
+                )}
+                {app.status === APPLICATION_STATUSES.DISBURSED && (
+                    <button
+                        onClick={() => onComplete(app)}
+                        disabled={isBusy}
+                        className="px-3 py-1 bg-white text-indigo-600 border border-indigo-300 font-semibold rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+                    >
+                        {busyId === app.id ? '...' : 'Mark Completed'}
+                    </button>
+                )}
+            </td>
+        </tr>
+    );
+};
+
+// --- Component: Provider Console (create programs, review and fulfil applications) ---
+const ProviderConsole = ({ walletAddress, isOwner, deploymentBlock = 0, getContract, showToast }) => {
+    const [programs, setPrograms] = useState([]);
+    const [busyId, setBusyId] = useState(null);
+    const [isCreating, setIsCreating] = useState(false);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+
+    const refresh = useCallback(async () => {
+        setIsRefreshing(true);
+        try {
+            setPrograms(await fetchProviderPrograms(getContract('scholarshipManager'), {
+                provider: isOwner ? null : walletAddress, // The owner may act on every program
+                fromBlock: deploymentBlock,
+            }));
+            setLoadError(null);
+        } catch (e) {
+            setLoadError(describeTxError(e));
+        } finally {
+            setIsRefreshing(false);
+        }
+    }, [getContract, walletAddress, isOwner, deploymentBlock]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    // Runs one write against an application or program, reports the outcome and reloads
+    const run = async (id, action, successMessage) => {
+        setBusyId(id);
+        try {
+            await action(getContract('scholarshipManager'));
+            showToast(successMessage, 'success');
+        } catch (e) {
+            console.error("Provider action failed: ", e);
+            showToast(describeTxError(e), 'error');
+        } finally {
+            setBusyId(null);
+            await refresh();
+        }
+    };
+
+    const handleCreate = async (form) => {
+        let fields;
+        try {
+            fields = {
+                ...form,
+                minReputationPoints: Number(form.minReputationPoints || 0),
+                minSocialScore: Number(form.minSocialScore || 0),
+                benefitAmount: form.benefitAmount ? parseUnits(form.benefitAmount, STABLECOIN_DECIMALS) : 0n,
+                discountPercentage: Number(form.discountPercentage || 0),
+                maxRecipients: Number(form.maxRecipients),
+                // Applications close at the end of the chosen (local) day
+                applicationDeadline: new Date(`${form.applicationDeadline}T23:59:59`).getTime(),
+            };
+        } catch (e) {
+            showToast("Enter a valid benefit amount.", 'error');
+            return false;
+        }
+
+        setIsCreating(true);
+        try {
+            const { event } = await createProgram(getContract('scholarshipManager'), fields);
+            showToast(`Program "${fields.name}" created${event ? ` (#${event.programId})` : ''}.`, 'success');
+            return true;
+        } catch (e) {
+            console.error("Program creation failed: ", e);
+            showToast(describeTxError(e), 'error');
+            return false;
+        } finally {
+            setIsCreating(false);
+            await refresh();
+        }
+    };
+
+    const handleReview = (app, approve, notes) => run(
+        app.id,
+        (sm) => reviewApplication(sm, app.id, approve, notes.trim()),
+        `Application #${app.id} ${approve ? 'approved' : 'rejected'}.`,
+    );
+
+    const handleDisburse = (app, code) => run(
+        app.id,
+        (sm) => disburseBenefit(sm, app, code),
+        `Benefit disbursed to ${shortAddress(app.applicant)}.`,
+    );
+
+    const handleComplete = (app) => run(
+        app.id,
+        (sm) => markAsCompleted(sm, app.id),
+        `Application #${app.id} marked completed.`,
+    );
+
+    const handleToggleActive = (program) => run(
+        `program-${program.id}`,
+        (sm) => setProgramActive(sm, program.id, !program.isActive),
+        `"${program.name}" ${program.isActive ? 'closed' : 'reopened'}.`,
+    );
+
+    if (APP_CONFIG.backend !== 'contract') {
+        return (
+            <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto">
+                <h2 className="text-3xl font-extrabold text-gray-800 mb-4">Provider Console</h2>
+                <p className="text-gray-600">Programs are managed on the deployed ScholarshipManager contract. Switch to the contract backend to use the console.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-6 bg-white shadow-xl rounded-xl w-full mx-auto">
+            <div className="flex justify-between items-center mb-6 border-b pb-2">
+                <h2 className="text-3xl font-extrabold text-gray-800">
+                    <span className="text-indigo-600">Provider</span> Console
+                </h2>
+                <button
+                    onClick={refresh}
+                    disabled={isRefreshing}
+                    className="px-3 py-1 text-sm font-semibold text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+                >
+                    {isRefreshing ? 'Refreshing...' : 'Refresh'}
+                </button>
+            </div>
+
+            {loadError && <p className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg">{loadError}</p>}
+
+            <h3 className="text-xl font-bold text-gray-700 mb-4">New Program</h3>
+            <CreateProgramForm isBusy={isCreating} onCreate={handleCreate} />
+
+            <h3 className="text-xl font-bold text-gray-700 mb-4">{isOwner ? 'All Programs' : 'My Programs'} ({programs.length})</h3>
+            {programs.length === 0 && <p className="text-gray-500 italic">No programs yet.</p>}
+            <div className="space-y-6">
+                {programs.map(program => (
+                    <div key={program.id} className="border border-gray-200 rounded-xl p-4">
+                        <div className="flex justify-between items-start mb-3">
+                            <div>
+                                <p className="text-xs uppercase font-semibold text-indigo-600">
+                                    #{program.id} · {PROGRAM_TYPE_LABELS[program.programType]} · {BENEFIT_TYPE_LABELS[program.benefitType]}
+                                    {program.benefitType === BENEFIT_TYPES.MONETARY && ` · ${formatCUSD(program.benefitAmount)} cUSD`}
+                                    {program.benefitType === BENEFIT_TYPES.DISCOUNT_CODE && ` · ${program.discountPercentage}%`}
+                                </p>
+                                <h4 className="text-lg font-bold text-gray-800">{program.name}</h4>
+                                <p className="text-xs text-gray-500">
+                                    {program.currentRecipients} / {program.maxRecipients} recipients · deadline {new Date(program.applicationDeadline).toLocaleDateString()}
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => handleToggleActive(program)}
+                                disabled={busyId !== null}
+                                className={`px-3 py-1 text-xs font-bold rounded-full disabled:opacity-50 ${program.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'}`}
+                            >
+                                {program.isActive ? 'Active · Close' : 'Closed · Reopen'}
+                            </button>
+                        </div>
+
+                        {program.applications.length === 0 ? (
+                            <p className="text-sm text-gray-500 italic">No applications yet.</p>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Applicant</th>
+                                            <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Status</th>
+                                            <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Action</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {program.applications.map(app => (
+                                            <ApplicationRow
+                                                key={app.id}
+                                                app={app}
+                                                busyId={busyId}
+                                                onReview={handleReview}
+                                                onDisburse={handleDisburse}
+                                                onComplete={handleComplete}
+                                            />
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ProviderConsole;
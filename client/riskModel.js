@@ -0,0 +1,88 @@
+// --- TF.js Risk Model (shared by the training script and the browser) ---
+// The model is a logistic regression over the createFeatureVector() features that predicts
+// the probability of default. Everything needed to use it (feature order, normalization,
+// score mapping, version) is stored in the model's userDefinedMetadata, so retraining never
+// requires editing constants here.
+
+import * as tf from '@tensorflow/tfjs';
+import { FEATURE_NAMES } from './scoring_utility.js';
+
+/**
+ * @notice Score range accepted by AIRiskOracle.publishScore (MIN_SCORE..MAX_SCORE).
+ */
+export const ORACLE_SCORE_RANGE = { min: 0, max: 1000 };
+
+/**
+ * @notice Builds the untrained logistic regression used for FINANCIAL_RISK.
+ * @param featureCount Number of inputs (defaults to FEATURE_NAMES.length).
+ */
+export function buildRiskModel(featureCount = FEATURE_NAMES.length) {
+    const model = tf.sequential();
+    model.add(tf.layers.dense({
+        units: 1,
+        inputShape: [featureCount],
+        activation: 'sigmoid',
+        kernelRegularizer: tf.regularizers.l2({ l2: 0.001 }),
+    }));
+    model.compile({
+        optimizer: tf.train.adam(0.05),
+        loss: 'binaryCrossentropy',
+        metrics: ['accuracy'],
+    });
+    return model;
+}
+
+/**
+ * @notice Z-score normalization of a feature row with the statistics saved at training time.
+ */
+export function normalizeFeatures(featureRow, normalization) {
+    return featureRow.map((value, i) => (value - normalization.means[i]) / normalization.stds[i]);
+}
+
+/**
+ * @notice Maps a probability of default to the oracle score (higher = lower risk).
+ * @param probabilityOfDefault Model output in [0, 1].
+ * @param range The target score range.
+ */
+export function probabilityToScore(probabilityOfDefault, range = ORACLE_SCORE_RANGE) {
+    const p = Math.max(0, Math.min(1, probabilityOfDefault));
+    return Math.round(range.min + (1 - p) * (range.max - range.min));
+}
+
+/**
+ * @notice Loads a trained model written by scripts/trainRiskModel.mjs.
+ * @dev Use an http(s) URL in the browser. In Node, import '@tensorflow/tfjs-node' first
+ * and pass a file:// URL.
+ * @param modelUrl URL of the model.json (e.g. '/models/financial-risk/<version>/model.json').
+ * @returns { version, metadata, predictProbability(featureRow), probabilityToScore(p) }
+ */
+export async function loadRiskModel(modelUrl) {
+    const model = await tf.loadLayersModel(modelUrl);
+    const metadata = model.getUserDefinedMetadata();
+
+    if (!metadata || !Array.isArray(metadata.featureNames)) {
+        throw new Error(`Model at ${modelUrl} has no training metadata.`);
+    }
+    if (metadata.featureNames.join(',') !== FEATURE_NAMES.join(',')) {
+        throw new Error(
+            `Model ${metadata.modelVersion} expects features [${metadata.featureNames.join(', ')}], ` +
+            `client produces [${FEATURE_NAMES.join(', ')}].`
+        );
+    }
+
+    const range = metadata.scoreRange || ORACLE_SCORE_RANGE;
+
+    return {
+        version: metadata.modelVersion,
+        metadata,
+        async predictProbability(featureRow) {
+            const input = tf.tensor2d([normalizeFeatures(featureRow, metadata.normalization)]);
+            const output = model.predict(input);
+            const [probability] = await output.data();
+            input.dispose();
+            output.dispose();
+            return probability;
+        },
+        probabilityToScore: (probabilityOfDefault) => probabilityToScore(probabilityOfDefault, range),
+    };
+}
@@ -0,0 +1,85 @@
+// --- Wallet Roles ---
+// Roles come from the contracts, never from the UI: SoulboundToken.isIssuer, the Ownable owners,
+// LoanManager.loanAdmin and ScholarshipManager.authorizedProviders. A wallet can hold several.
+
+/**
+ * @notice Every role a wallet can hold. HOLDER is implicit for every connected wallet.
+ */
+export const ROLES = Object.freeze({
+    HOLDER: 'holder',
+    ISSUER: 'issuer',
+    LOAN_ADMIN: 'loanAdmin',
+    PROVIDER: 'provider',
+    OWNER: 'owner',
+});
+
+export const ROLE_LABELS = Object.freeze({
+    [ROLES.HOLDER]: 'Holder',
+    [ROLES.ISSUER]: 'Issuer',
+    [ROLES.LOAN_ADMIN]: 'Loan Admin',
+    [ROLES.PROVIDER]: 'Program Provider',
+    [ROLES.OWNER]: 'Contract Owner',
+});
+
+/**
+ * @notice Role a freshly connected wallet lands in, most privileged first.
+ */
+export const LANDING_ROLE_ORDER = [ROLES.ISSUER, ROLES.PROVIDER, ROLES.LOAN_ADMIN, ROLES.HOLDER, ROLES.OWNER];
+
+// Ownable contracts whose owner() grants the OWNER role
+export const OWNABLE_CONTRACTS = ['soulboundToken', 'aiRiskOracle', 'loanManager', 'pointLedger', 'scholarshipManager', 'aidCampaignManager'];
+
+const sameAddress = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * @notice Reads a wallet's roles from the deployed contracts.
+ * @dev Every check runs on its own: a contract that is not configured or not reachable only
+ * removes the roles it grants (its error is reported in `errors`).
+ * @param getContract Returns an ethers Contract by name (throws for unconfigured contracts).
+ * @param address The wallet address.
+ * @returns { roles, ownerOf, isScholarshipOwner, errors } with roles in ROLES order and ownerOf
+ * the OWNABLE_CONTRACTS the wallet owns.
+ */
+export async function resolveRolesFromChain(getContract, address) {
+    const errors = {};
+    const read = async (name, call) => {
+        try {
+            return await call(getContract(name));
+        } catch (e) {
+            errors[name] = e.shortMessage || e.message;
+            return null;
+        }
+    };
+
+    const [isIssuer, loanAdmin, isAuthorizedProvider, ...owners] = await Promise.all([
+        read('soulboundToken', sbt => sbt.isIssuer(address)),
+        read('loanManager', loanManager => loanManager.loanAdmin()),
+        read('scholarshipManager', scholarshipManager => scholarshipManager.authorizedProviders(address)),
+        ...OWNABLE_CONTRACTS.map(name => read(name, contract => contract.owner())),
+    ]);
+
+    const ownerOf = OWNABLE_CONTRACTS.filter((name, i) => sameAddress(owners[i], address));
+    const isScholarshipOwner = ownerOf.includes('scholarshipManager');
+    const held = {
+        [ROLES.HOLDER]: true,
+        [ROLES.ISSUER]: isIssuer === true,
+        [ROLES.LOAN_ADMIN]: sameAddress(loanAdmin, address),
+        // Mirrors ScholarshipManager.onlyProvider: an authorized provider or the owner
+        [ROLES.PROVIDER]: isAuthorizedProvider === true || isScholarshipOwner,
+        [ROLES.OWNER]: ownerOf.length > 0,
+    };
+
+    return {
+        roles: Object.values(ROLES).filter(role => held[role]),
+        ownerOf,
+        isScholarshipOwner,
+        errors,
+    };
+}
+
+/**
+ * @notice The role a wallet should land in after connecting.
+ */
+export function getLandingRole(roles) {
+    return LANDING_ROLE_ORDER.find(role => roles.includes(role)) || ROLES.HOLDER;
+}
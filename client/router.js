@@ -0,0 +1,63 @@
+// --- URL Routing ---
+// A minimal History API router: the path below APP_CONFIG.basePath selects the view (see routes.js),
+// so every view has a shareable URL and the browser's back/forward buttons work.
+// The host must serve the app for every path (SPA fallback to index.html).
+
+import { useState, useEffect } from 'react';
+import { APP_CONFIG } from './appConfig.js';
+
+const NAVIGATE_EVENT = 'credo:navigate';
+const basePath = (APP_CONFIG.basePath || '').replace(/\/$/, '');
+
+/**
+ * @notice The full URL path for an app path (prefixes the base path).
+ */
+export const toHref = (path) => `${basePath}${path}`;
+
+/**
+ * @notice The app path of the current location ('/' when at the base path).
+ */
+export function currentPath() {
+    const { pathname } = window.location;
+    const path = basePath && pathname.startsWith(basePath) ? pathname.slice(basePath.length) : pathname;
+    return path || '/';
+}
+
+/**
+ * @notice Changes the URL and re-renders every usePath() consumer.
+ * @param options.replace Replace the history entry instead of adding one (redirects).
+ */
+export function navigate(path, { replace = false } = {}) {
+    if (path === currentPath()) return;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', toHref(path));
+    window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/**
+ * @notice Hook returning the current app path; updates on navigate() and back/forward.
+ */
+export function usePath() {
+    const [path, setPath] = useState(currentPath);
+
+    useEffect(() => {
+        const update = () => setPath(currentPath());
+        window.addEventListener('popstate', update);
+        window.addEventListener(NAVIGATE_EVENT, update);
+        return () => {
+            window.removeEventListener('popstate', update);
+            window.removeEventListener(NAVIGATE_EVENT, update);
+        };
+    }, []);
+
+    return path;
+}
+
+/**
+ * @notice Click handler for <a href={toHref(path)}> links: navigates in-app, but leaves
+ * modified clicks (new tab, new window) to the browser.
+ */
+export const linkHandler = (path) => (event) => {
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    event.preventDefault();
+    navigate(path);
+};
@@ -0,0 +1,99 @@
+// --- Route Table ---
+// Every view, its URL and the role it requires. Navigation, guards and deep links all read this table.
+
+import { ROLES } from './roles.js';
+
+// --- DApp Constants ---
+export const VIEWS = {
+    DASHBOARD: 'dashboard', // Holder: Risk Score Dashboard
+    SOCIAL_AID: 'social_aid', // Holder: Aid voucher redemption
+    LOAN_PLANNER: 'loan_planner', // Holder: Loan Planner
+    WHAT_IF: 'what_if', // Holder: What-If Simulator & Decay Forecast
+    MY_LOAN: 'my_loan', // Holder: Loan application, status and repayment
+    LOAN_ADMIN: 'loan_admin', // Loan Admin: Pending applications and system stats
+    SCHOLARSHIPS: 'scholarships', // Holder: Scholarship & benefit program marketplace
+    CREDENTIALS: 'credentials', // Holder: W3C Verifiable Credential export & verification
+    PROVIDER_CONSOLE: 'provider_console', // Provider: Create programs, review and fulfil applications
+    OWNER_OVERVIEW: 'owner_overview', // Owner: Contracts owned by the wallet
+    ISSUER_MINT: 'issuer_mint', // Issuer: Minting Panel
+    ISSUER_AUDIT: 'issuer_audit', // Issuer: Auditing Panel
+    ISSUER_BULK: 'issuer_bulk', // Issuer: Bulk Issuance
+    ISSUER_CAMPAIGNS: 'issuer_campaigns' // Issuer: Aid campaigns and vouchers
+};
+
+/**
+ * @notice Routes in navigation order per role. `:name` segments are parameters; routes with
+ * nav: false are deep links that share a view with a navigable route.
+ * @dev accent picks the nav button colour ('indigo' by default).
+ */
+export const ROUTES = [
+    { path: '/dashboard', view: VIEWS.DASHBOARD, role: ROLES.HOLDER, label: 'Risk Score Dashboard' },
+    { path: '/aid', view: VIEWS.SOCIAL_AID, role: ROLES.HOLDER, label: 'Aid Vouchers', accent: 'green' },
+    { path: '/aid/:voucher', view: VIEWS.SOCIAL_AID, role: ROLES.HOLDER, nav: false },
+    { path: '/loans/planner', view: VIEWS.LOAN_PLANNER, role: ROLES.HOLDER, label: 'Loan Planner' },
+    { path: '/loans/what-if', view: VIEWS.WHAT_IF, role: ROLES.HOLDER, label: 'What-If' },
+    { path: '/loans/my', view: VIEWS.MY_LOAN, role: ROLES.HOLDER, label: 'My Loan' },
+    { path: '/programs', view: VIEWS.SCHOLARSHIPS, role: ROLES.HOLDER, label: 'Scholarships' },
+    { path: '/programs/:programId', view: VIEWS.SCHOLARSHIPS, role: ROLES.HOLDER, nav: false },
+    { path: '/credentials', view: VIEWS.CREDENTIALS, role: ROLES.HOLDER, label: 'Credentials' },
+    { path: '/issuer/audit', view: VIEWS.ISSUER_AUDIT, role: ROLES.ISSUER, label: 'Campaign Audit & Verification' },
+    { path: '/issuer/mint', view: VIEWS.ISSUER_MINT, role: ROLES.ISSUER, label: 'Manual SBT Minting Panel' },
+    { path: '/issuer/bulk', view: VIEWS.ISSUER_BULK, role: ROLES.ISSUER, label: 'Bulk Issuance' },
+    { path: '/issuer/campaigns', view: VIEWS.ISSUER_CAMPAIGNS, role: ROLES.ISSUER, label: 'Aid Campaigns' },
+    { path: '/loans/admin', view: VIEWS.LOAN_ADMIN, role: ROLES.LOAN_ADMIN, label: 'Loan Admin' },
+    { path: '/programs/console', view: VIEWS.PROVIDER_CONSOLE, role: ROLES.PROVIDER, label: 'Provider Console' },
+    { path: '/owner', view: VIEWS.OWNER_OVERVIEW, role: ROLES.OWNER, label: 'Owned Contracts' },
+];
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+function matchPattern(pattern, segments) {
+    const parts = splitPath(pattern);
+    if (parts.length !== segments.length) return null;
+    const params = {};
+    for (let i = 0; i < parts.length; i++) {
+        if (parts[i].startsWith(':')) {
+            params[parts[i].slice(1)] = decodeURIComponent(segments[i]);
+        } else if (parts[i] !== segments[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+/**
+ * @notice Finds the route for a path. Static routes win over parameterised ones
+ * (/programs/console is never read as a program id).
+ * @returns { route, params } or null when no route matches.
+ */
+export function matchRoute(path) {
+    const segments = splitPath(path);
+    const ordered = [...ROUTES.filter(r => !r.path.includes(':')), ...ROUTES.filter(r => r.path.includes(':'))];
+    for (const route of ordered) {
+        const params = matchPattern(route.path, segments);
+        if (params) return { route, params };
+    }
+    return null;
+}
+
+/**
+ * @notice Fills a route pattern: buildPath('/programs/:programId', { programId: 4 }) -> '/programs/4'.
+ */
+export function buildPath(pattern, params = {}) {
+    return pattern.replace(/:(\w+)/g, (_, name) => encodeURIComponent(String(params[name])));
+}
+
+/**
+ * @notice The navigable routes of a role, in order.
+ */
+export const navRoutesFor = (role) => ROUTES.filter(route => route.role === role && route.nav !== false);
+
+/**
+ * @notice Where a role lands: its first navigable route.
+ */
+export const homePathFor = (role) => navRoutesFor(role)[0].path;
+
+/**
+ * @notice Route guard: the wallet must hold the route's role.
+ */
+export const canAccess = (route, roles) => roles.includes(route.role);
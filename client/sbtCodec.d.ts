@@ -0,0 +1,68 @@
+// Type declarations for sbtCodec.js (used by the TypeScript tests under test/).
+
+export type TaskTypeName =
+    | 'IDENTITY_VERIFIED_KYC'
+    | 'IDENTITY_MULTI_FACTOR'
+    | 'FINANCIAL_LITERACY_COURSE'
+    | 'FINANCIAL_SAVINGS_GOAL'
+    | 'LOAN_REPAYMENT_SMALL'
+    | 'LOAN_REPAYMENT_LARGE'
+    | 'AID_DISBURSEMENT_RECEIVED'
+    | 'COMMUNITY_VOLUNTEERISM'
+    | 'SOCIAL_EDUCATION_CERT'
+    | 'SOCIAL_MENTORSHIP';
+
+export type PointLevelName = 'LEVEL_D_MINOR' | 'LEVEL_C_MAJOR' | 'LEVEL_B_HARMONY' | 'LEVEL_A_PRESTIGE';
+
+/** An enum member given as its index (number, bigint, numeric string) or its name. */
+export type EnumValue = number | bigint | string;
+
+export const TASK_TYPE_NAMES: readonly TaskTypeName[];
+export const POINT_LEVEL_NAMES: readonly PointLevelName[];
+
+export const TASK_TYPES: Readonly<Record<TaskTypeName, number>>;
+export const POINT_LEVELS: Readonly<Record<PointLevelName, number>>;
+
+export const TASK_LABELS: Readonly<Record<number, string>>;
+export const POINT_LEVEL_LABELS: Readonly<Record<number, string>>;
+
+export class SBTCodecError extends Error {
+    constructor(message: string, value?: unknown);
+    value: unknown;
+}
+export class UnknownTaskTypeError extends SBTCodecError {
+    constructor(value: unknown);
+}
+export class UnknownPointLevelError extends SBTCodecError {
+    constructor(value: unknown);
+}
+export class InvalidSBTDataError extends SBTCodecError {
+    constructor(message: string, value?: unknown);
+}
+
+export function toTaskTypeIndex(value: EnumValue): number;
+export function toTaskTypeName(value: EnumValue): TaskTypeName;
+export function toPointLevelIndex(value: EnumValue): number;
+export function toPointLevelName(value: EnumValue): PointLevelName;
+export function getPointValueFromLevel(level: EnumValue): number;
+export function getTaskLabel(taskType: EnumValue): string;
+export function getPointLevelLabel(pointLevel: EnumValue): string;
+
+export interface DecodedSBT {
+    id: number;
+    taskType: number;
+    pointLevel: number;
+    title: string;
+    issuer: string;
+    issuedAt: number;
+    recipient: string;
+}
+
+export function decodeSBTData(tokenId: number | bigint, raw: any, holder: string): DecodedSBT;
+export function encodeIssueSBTArgs(args: {
+    recipient: string;
+    taskType: EnumValue;
+    pointLevel: EnumValue;
+    title: string;
+    tokenURI?: string;
+}): [string, number, number, string, string];
@@ -0,0 +1,208 @@
+// --- Canonical SBT Enum Codec ---
+// Single client-side definition of the SoulboundToken.TaskType and PointLevel enums.
+// The order of TASK_TYPE_NAMES and POINT_LEVEL_NAMES IS the contract encoding;
+// `npm run check:enums` verifies it against every .sol file that declares these enums.
+
+/**
+ * @notice TaskType names in SoulboundToken.TaskType enum order.
+ */
+export const TASK_TYPE_NAMES = Object.freeze([
+    // IDENTITY DOMAIN
+    'IDENTITY_VERIFIED_KYC',
+    'IDENTITY_MULTI_FACTOR',
+    // FINANCIAL DOMAIN
+    'FINANCIAL_LITERACY_COURSE',
+    'FINANCIAL_SAVINGS_GOAL',
+    'LOAN_REPAYMENT_SMALL',
+    'LOAN_REPAYMENT_LARGE',
+    'AID_DISBURSEMENT_RECEIVED',
+    // SOCIAL DOMAIN
+    'COMMUNITY_VOLUNTEERISM',
+    'SOCIAL_EDUCATION_CERT',
+    'SOCIAL_MENTORSHIP',
+]);
+
+/**
+ * @notice PointLevel names in SoulboundToken.PointLevel enum order.
+ */
+export const POINT_LEVEL_NAMES = Object.freeze([
+    'LEVEL_D_MINOR',
+    'LEVEL_C_MAJOR',
+    'LEVEL_B_HARMONY',
+    'LEVEL_A_PRESTIGE',
+]);
+
+/**
+ * @notice Point value per PointLevel index (mirrors SoulboundToken.getPointValueFromLevel).
+ */
+const POINT_VALUES = Object.freeze([100, 300, 750, 1500]);
+
+// Name -> enum index lookups (e.g. TASK_TYPES.LOAN_REPAYMENT_LARGE === 5)
+export const TASK_TYPES = Object.freeze(Object.fromEntries(TASK_TYPE_NAMES.map((name, i) => [name, i])));
+export const POINT_LEVELS = Object.freeze(Object.fromEntries(POINT_LEVEL_NAMES.map((name, i) => [name, i])));
+
+/**
+ * @notice Human-readable TaskType labels, keyed by enum index.
+ */
+export const TASK_LABELS = Object.freeze({
+    [TASK_TYPES.IDENTITY_VERIFIED_KYC]: 'KYC Verified (Identity)',
+    [TASK_TYPES.IDENTITY_MULTI_FACTOR]: 'Multi-Factor Identity Verified',
+    [TASK_TYPES.FINANCIAL_LITERACY_COURSE]: 'Financial Literacy Course',
+    [TASK_TYPES.FINANCIAL_SAVINGS_GOAL]: 'Savings Goal Achieved',
+    [TASK_TYPES.LOAN_REPAYMENT_SMALL]: 'Small Loan Repayment (On-Time)',
+    [TASK_TYPES.LOAN_REPAYMENT_LARGE]: 'Large Loan Repayment (On-Time)',
+    [TASK_TYPES.AID_DISBURSEMENT_RECEIVED]: 'NGO Aid Receipt Acknowledged',
+    [TASK_TYPES.COMMUNITY_VOLUNTEERISM]: 'Community Volunteerism',
+    [TASK_TYPES.SOCIAL_EDUCATION_CERT]: 'Education Certificate Earned',
+    [TASK_TYPES.SOCIAL_MENTORSHIP]: 'Verified Mentorship',
+});
+
+/**
+ * @notice Human-readable PointLevel labels, keyed by enum index.
+ */
+export const POINT_LEVEL_LABELS = Object.freeze({
+    [POINT_LEVELS.LEVEL_D_MINOR]: 'Minor (100 pts)',
+    [POINT_LEVELS.LEVEL_C_MAJOR]: 'Major (300 pts)',
+    [POINT_LEVELS.LEVEL_B_HARMONY]: 'Harmony (750 pts)',
+    [POINT_LEVELS.LEVEL_A_PRESTIGE]: 'Prestige (1500 pts)',
+});
+
+// --- Errors ---
+
+/**
+ * @notice Base class for every codec failure, so callers can catch them as a group.
+ */
+export class SBTCodecError extends Error {
+    constructor(message, value) {
+        super(message);
+        this.name = 'SBTCodecError';
+        this.value = value;
+    }
+}
+
+export class UnknownTaskTypeError extends SBTCodecError {
+    constructor(value) {
+        super(`Unknown TaskType: ${String(value)}`, value);
+        this.name = 'UnknownTaskTypeError';
+    }
+}
+
+export class UnknownPointLevelError extends SBTCodecError {
+    constructor(value) {
+        super(`Unknown PointLevel: ${String(value)}`, value);
+        this.name = 'UnknownPointLevelError';
+    }
+}
+
+export class InvalidSBTDataError extends SBTCodecError {
+    constructor(message, value) {
+        super(message, value);
+        this.name = 'InvalidSBTDataError';
+    }
+}
+
+// --- Conversions ---
+
+/**
+ * @notice Resolves an enum value given as index (number, bigint, numeric string) or name.
+ * @returns The enum index, or -1 when the value is not a member.
+ */
+function resolveIndex(value, names) {
+    if (typeof value === 'string' && !/^\d+$/.test(value)) {
+        return names.indexOf(value);
+    }
+    if (typeof value === 'number' || typeof value === 'bigint' || typeof value === 'string') {
+        const index = Number(value);
+        return Number.isInteger(index) && index >= 0 && index < names.length ? index : -1;
+    }
+    return -1;
+}
+
+/**
+ * @notice Converts a TaskType index or name to its contract enum index.
+ * @throws UnknownTaskTypeError for values outside the enum.
+ */
+export function toTaskTypeIndex(value) {
+    const index = resolveIndex(value, TASK_TYPE_NAMES);
+    if (index === -1) throw new UnknownTaskTypeError(value);
+    return index;
+}
+
+/**
+ * @notice Converts a TaskType index or name to its enum name.
+ * @throws UnknownTaskTypeError for values outside the enum.
+ */
+export function toTaskTypeName(value) {
+    return TASK_TYPE_NAMES[toTaskTypeIndex(value)];
+}
+
+/**
+ * @notice Converts a PointLevel index or name to its contract enum index.
+ * @throws UnknownPointLevelError for values outside the enum.
+ */
+export function toPointLevelIndex(value) {
+    const index = resolveIndex(value, POINT_LEVEL_NAMES);
+    if (index === -1) throw new UnknownPointLevelError(value);
+    return index;
+}
+
+/**
+ * @notice Converts a PointLevel index or name to its enum name.
+ * @throws UnknownPointLevelError for values outside the enum.
+ */
+export function toPointLevelName(value) {
+    return POINT_LEVEL_NAMES[toPointLevelIndex(value)];
+}
+
+/**
+ * @notice Translates a PointLevel to its numerical value.
+ * @dev Mirrors SoulboundToken.getPointValueFromLevel, including the revert on invalid levels.
+ * @return The fixed point value (100, 300, 750, or 1500).
+ */
+export function getPointValueFromLevel(level) {
+    return POINT_VALUES[toPointLevelIndex(level)];
+}
+
+export function getTaskLabel(taskType) {
+    return TASK_LABELS[toTaskTypeIndex(taskType)];
+}
+
+export function getPointLevelLabel(pointLevel) {
+    return POINT_LEVEL_LABELS[toPointLevelIndex(pointLevel)];
+}
+
+// --- Contract Tuples ---
+
+/**
+ * @notice Decodes a raw getSBTData() result into the client-side SBT record.
+ * @dev Accepts both the positional tuple [title, taskType, pointLevel, issuer, issuedAt]
+ * and the named struct returned by ethers. issuedAt is converted to milliseconds.
+ * @param tokenId The token ID.
+ * @param raw The SBTData tuple.
+ * @param holder The current owner of the token.
+ * @throws SBTCodecError subclasses for malformed tuples or out-of-range enums.
+ */
+export function decodeSBTData(tokenId, raw, holder) {
+    if (!raw || raw.length < 5) {
+        throw new InvalidSBTDataError(`Malformed SBTData tuple for token ${String(tokenId)}`, raw);
+    }
+    const [title, taskType, pointLevel, issuer, issuedAt] = raw;
+
+    return {
+        id: Number(tokenId),
+        taskType: toTaskTypeIndex(taskType),
+        pointLevel: toPointLevelIndex(pointLevel),
+        title,
+        issuer,
+        issuedAt: Number(issuedAt) * 1000,
+        recipient: holder,
+    };
+}
+
+/**
+ * @notice Builds the argument list for SoulboundToken.issueSBT.
+ * @throws SBTCodecError subclasses for out-of-range enums.
+ */
+export function encodeIssueSBTArgs({ recipient, taskType, pointLevel, title, tokenURI = '' }) {
+    return [recipient, toTaskTypeIndex(taskType), toPointLevelIndex(pointLevel), title, tokenURI];
+}
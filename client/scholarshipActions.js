@@ -0,0 +1,241 @@
+// --- ScholarshipManager Marketplace (holder and provider actions) ---
+// Wrappers around the ScholarshipManager contract: program discovery with per-holder eligibility gaps,
+// applications, and the provider workflow (create -> review -> disburse -> complete).
+
+import { SCORE_TYPES } from './scoringEngine.js';
+import { sendAndWait } from './contractTx.js';
+import {
+    APPLICATION_STATUSES,
+    BENEFIT_TYPES,
+    toBenefitTypeIndex,
+    toProgramTypeIndex,
+    decodeProgram,
+    decodeApplication,
+} from './scholarshipCodec.js';
+
+// --- Programs ---
+
+/**
+ * @notice Reads and decodes a list of programs by id.
+ */
+async function readPrograms(scholarshipManager, programIds) {
+    const raws = await Promise.all(programIds.map(id => scholarshipManager.programs(id)));
+    return raws.map((raw, i) => decodeProgram(programIds[i], raw));
+}
+
+/**
+ * @notice Lists active programs (ScholarshipManager.getActivePrograms), optionally filtered by ProgramType.
+ * @dev getActivePrograms already drops expired programs but still returns full ones; those are kept
+ * (the eligibility check explains why) but sorted after the open ones, soonest deadline first.
+ * @param programType ProgramType index or name; null/undefined for all types.
+ */
+export async function fetchActivePrograms(scholarshipManager, { programType = null } = {}) {
+    const ids = await scholarshipManager.getActivePrograms();
+    const typeIndex = programType === null || programType === undefined ? null : toProgramTypeIndex(programType);
+
+    const isOpen = (program) => program.currentRecipients < program.maxRecipients;
+    return (await readPrograms(scholarshipManager, [...ids]))
+        .filter(program => typeIndex === null || program.programType === typeIndex)
+        .sort((a, b) => Number(isOpen(b)) - Number(isOpen(a)) || a.applicationDeadline - b.applicationDeadline);
+}
+
+/**
+ * @notice Eligibility of one holder for each program, with the points and UBI score still missing.
+ * @dev checkProgramEligibility reverts (via PointLedger.checkServiceEligibility) when the holder has
+ * no valid UBI_ELIGIBILITY score, so the gaps are computed here from the same inputs the contract
+ * uses: the larger of the PointLedger minimums and the program's own minimums.
+ * @returns Map programId -> { isEligible, reason, points, socialScore, scoreIsValid,
+ *          requiredPoints, requiredScore, pointsGap, scoreGap }
+ */
+export async function readProgramEligibility({ scholarshipManager, pointLedger, oracle, holder, programs }) {
+    const [points, [scoreValue, scoreIsValid], [ledgerMinPoints, ledgerMinScore]] = await Promise.all([
+        pointLedger.getTotalPoints(holder),
+        oracle.getLatestScoreView(holder, SCORE_TYPES.UBI_ELIGIBILITY),
+        pointLedger.getEligibilityCriteria(),
+    ]);
+    const currentPoints = Number(points);
+    const socialScore = Number(scoreValue);
+
+    const checks = await Promise.all(programs.map(async (program) => {
+        if (!scoreIsValid) {
+            return { isEligible: false, reason: "No valid UBI_ELIGIBILITY score. Publish a fresh score first." };
+        }
+        const { isEligible, reason } = await scholarshipManager.checkProgramEligibility(holder, program.id);
+        return { isEligible, reason };
+    }));
+
+    const eligibility = new Map();
+    programs.forEach((program, i) => {
+        const requiredPoints = Math.max(Number(ledgerMinPoints), program.minReputationPoints);
+        const requiredScore = Math.max(Number(ledgerMinScore), program.minSocialScore);
+        eligibility.set(program.id, {
+            ...checks[i],
+            points: currentPoints,
+            socialScore,
+            scoreIsValid,
+            requiredPoints,
+            requiredScore,
+            pointsGap: Math.max(0, requiredPoints - currentPoints),
+            scoreGap: Math.max(0, requiredScore - socialScore),
+        });
+    });
+    return eligibility;
+}
+
+// --- Holder Applications ---
+
+/**
+ * @notice ScholarshipManager.applyForProgram.
+ * @returns { txHash, blockNumber, event } with the decoded ApplicationSubmitted args.
+ */
+export async function applyForProgram(scholarshipManager, programId, notes = '') {
+    return sendAndWait(scholarshipManager, 'applyForProgram', [programId, notes], 'ApplicationSubmitted', { label: `Apply to program #${programId}` });
+}
+
+/**
+ * @notice Reads and decodes applications by id, attaching the decoded program of each.
+ */
+async function readApplications(scholarshipManager, applicationIds, programsById = new Map()) {
+    const raws = await Promise.all(applicationIds.map(id => scholarshipManager.applications(id)));
+    const applications = raws.map((raw, i) => decodeApplication(applicationIds[i], raw));
+
+    const missing = [...new Set(applications.map(app => app.programId))].filter(id => !programsById.has(id));
+    (await readPrograms(scholarshipManager, missing)).forEach(program => programsById.set(program.id, program));
+
+    return applications.map(app => ({ ...app, program: programsById.get(app.programId) }));
+}
+
+/**
+ * @notice The holder's applications (ScholarshipManager.getUserApplications), newest first.
+ */
+export async function fetchUserApplications(scholarshipManager, holder) {
+    const ids = await scholarshipManager.getUserApplications(holder);
+    const applications = await readApplications(scholarshipManager, [...ids]);
+    return applications.sort((a, b) => b.appliedAt - a.appliedAt);
+}
+
+// --- Provider ---
+
+/**
+ * @notice ScholarshipManager.createProgram.
+ * @param fields { name, description, programType, benefitType, minReputationPoints, minSocialScore,
+ *               benefitAmount (bigint wei), discountPercentage, maxRecipients, applicationDeadline (ms) }
+ * @returns { txHash, blockNumber, event } with the decoded ProgramCreated args.
+ */
+export async function createProgram(scholarshipManager, fields, nowMs = Date.now()) {
+    const benefitType = toBenefitTypeIndex(fields.benefitType);
+    if (!fields.name || !fields.name.trim()) {
+        throw new Error("Program name is required.");
+    }
+    if (fields.applicationDeadline <= nowMs) {
+        throw new Error("Application deadline must be in the future.");
+    }
+    if (!(fields.maxRecipients > 0)) {
+        throw new Error("Program must allow at least one recipient.");
+    }
+    if (benefitType === BENEFIT_TYPES.MONETARY && !(fields.benefitAmount > 0n)) {
+        throw new Error("Monetary programs need a benefit amount.");
+    }
+    if (benefitType === BENEFIT_TYPES.DISCOUNT_CODE && !(fields.discountPercentage > 0 && fields.discountPercentage <= 100)) {
+        throw new Error("Discount percentage must be between 1 and 100.");
+    }
+
+    return sendAndWait(scholarshipManager, 'createProgram', [
+        fields.name.trim(),
+        fields.description || '',
+        toProgramTypeIndex(fields.programType),
+        benefitType,
+        fields.minReputationPoints || 0,
+        fields.minSocialScore || 0,
+        fields.benefitAmount || 0n,
+        fields.discountPercentage || 0,
+        fields.maxRecipients,
+        Math.floor(fields.applicationDeadline / 1000),
+    ], 'ProgramCreated', { label: `Create program "${fields.name.trim()}"` });
+}
+
+/**
+ * @notice ScholarshipManager.updateProgramStatus (pause or reopen a program).
+ */
+export async function setProgramActive(scholarshipManager, programId, isActive) {
+    return sendAndWait(scholarshipManager, 'updateProgramStatus', [programId, isActive], null, { label: `${isActive ? 'Reopen' : 'Pause'} program #${programId}` });
+}
+
+/**
+ * @notice Programs a provider created, each with its applications (oldest first).
+ * @dev The contract keeps no per-provider index, so program ids come from ProgramCreated events
+ * (provider is indexed). Pass provider = null to load every program (contract owner view).
+ * @param fromBlock First block to scan (the deployment block).
+ * @returns [{ ...program, applications: [{ ...application, program }] }] newest program first.
+ */
+export async function fetchProviderPrograms(scholarshipManager, { provider = null, fromBlock = 0 } = {}) {
+    const created = await scholarshipManager.queryFilter(
+        scholarshipManager.filters.ProgramCreated(null, provider),
+        fromBlock,
+    );
+    const programs = await readPrograms(scholarshipManager, created.map(log => log.args.programId));
+    const programsById = new Map(programs.map(program => [program.id, program]));
+
+    const applicationIds = await Promise.all(programs.map(program => scholarshipManager.getProgramApplications(program.id)));
+    const applications = await readApplications(scholarshipManager, applicationIds.flat(), programsById);
+
+    return programs
+        .map(program => ({
+            ...program,
+            applications: applications
+                .filter(app => app.programId === program.id)
+                .sort((a, b) => a.appliedAt - b.appliedAt),
+        }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * @notice ScholarshipManager.reviewApplication.
+ * @param approve true -> APPROVED, false -> REJECTED.
+ * @returns { txHash, blockNumber, event } with the decoded ApplicationReviewed args.
+ */
+export async function reviewApplication(scholarshipManager, applicationId, approve, reviewNotes = '') {
+    const decision = approve ? APPLICATION_STATUSES.APPROVED : APPLICATION_STATUSES.REJECTED;
+    return sendAndWait(scholarshipManager, 'reviewApplication', [applicationId, decision, reviewNotes], 'ApplicationReviewed', {
+        label: `${approve ? 'Approve' : 'Reject'} application #${applicationId}`,
+    });
+}
+
+/**
+ * @notice Whether disbursing a program of this BenefitType needs a code from the provider.
+ */
+export const benefitRequiresCode = (benefitType) => {
+    const index = toBenefitTypeIndex(benefitType);
+    return index === BENEFIT_TYPES.DISCOUNT_CODE || index === BENEFIT_TYPES.VOUCHER;
+};
+
+/**
+ * @notice ScholarshipManager.disburseBenefit for an approved application.
+ * @dev MONETARY pays program.benefitAmount in cUSD from the contract balance; DISCOUNT_CODE and VOUCHER
+ * store `code` on the application; FREE_ACCESS only records the disbursement. The code is dropped for
+ * types that do not use it so it is never written to the event log by mistake.
+ * @returns { txHash, blockNumber, event } with the decoded BenefitDisbursed args.
+ */
+export async function disburseBenefit(scholarshipManager, application, code = '') {
+    if (application.status !== APPLICATION_STATUSES.APPROVED) {
+        throw new Error("Only approved applications can be disbursed.");
+    }
+    const needsCode = benefitRequiresCode(application.program.benefitType);
+    const trimmed = code.trim();
+    if (needsCode && !trimmed) {
+        throw new Error(application.program.benefitType === BENEFIT_TYPES.VOUCHER
+            ? "Enter the voucher code to disburse."
+            : "Enter the discount code to disburse.");
+    }
+    return sendAndWait(scholarshipManager, 'disburseBenefit', [application.id, needsCode ? trimmed : ''], 'BenefitDisbursed', {
+        label: `Disburse benefit for application #${application.id}`,
+    });
+}
+
+/**
+ * @notice ScholarshipManager.markAsCompleted. Mints the completion SBT for the program's TaskType.
+ * @returns { txHash, blockNumber, event } with the decoded ApplicationCompleted args (sbtRewarded).
+ */
+export async function markAsCompleted(scholarshipManager, applicationId) {
+    return sendAndWait(scholarshipManager, 'markAsCompleted', [applicationId], 'ApplicationCompleted', { label: `Complete application #${applicationId}` });
+}
@@ -0,0 +1,145 @@
+// --- ScholarshipManager Enum Codec ---
+// Client-side definition of the ProgramType, ApplicationStatus and BenefitType enums in
+// ScholarshipManager.sol, plus decoders for its Program and Application structs.
+// `npm run check:enums` verifies the name order against the contract.
+
+/**
+ * @notice ProgramType names in ScholarshipManager.ProgramType enum order.
+ */
+export const PROGRAM_TYPE_NAMES = Object.freeze([
+    'EDUCATION_SCHOLARSHIP',
+    'HEALTHCARE_DISCOUNT',
+    'HOUSING_ASSISTANCE',
+    'FOOD_SECURITY',
+    'PROFESSIONAL_TRAINING',
+    'CHILDCARE_SUPPORT',
+    'GENERAL_GRANT',
+]);
+
+/**
+ * @notice ApplicationStatus names in ScholarshipManager.ApplicationStatus enum order.
+ */
+export const APPLICATION_STATUS_NAMES = Object.freeze([
+    'PENDING',
+    'APPROVED',
+    'REJECTED',
+    'DISBURSED',
+    'COMPLETED',
+    'CANCELLED',
+]);
+
+/**
+ * @notice BenefitType names in ScholarshipManager.BenefitType enum order.
+ */
+export const BENEFIT_TYPE_NAMES = Object.freeze([
+    'MONETARY',
+    'DISCOUNT_CODE',
+    'VOUCHER',
+    'FREE_ACCESS',
+]);
+
+// Name -> enum index lookups (e.g. PROGRAM_TYPES.FOOD_SECURITY === 3)
+export const PROGRAM_TYPES = Object.freeze(Object.fromEntries(PROGRAM_TYPE_NAMES.map((name, i) => [name, i])));
+export const APPLICATION_STATUSES = Object.freeze(Object.fromEntries(APPLICATION_STATUS_NAMES.map((name, i) => [name, i])));
+export const BENEFIT_TYPES = Object.freeze(Object.fromEntries(BENEFIT_TYPE_NAMES.map((name, i) => [name, i])));
+
+/**
+ * @notice Human-readable labels, keyed by enum index.
+ */
+export const PROGRAM_TYPE_LABELS = Object.freeze({
+    [PROGRAM_TYPES.EDUCATION_SCHOLARSHIP]: 'Education Scholarship',
+    [PROGRAM_TYPES.HEALTHCARE_DISCOUNT]: 'Healthcare Discount',
+    [PROGRAM_TYPES.HOUSING_ASSISTANCE]: 'Housing Assistance',
+    [PROGRAM_TYPES.FOOD_SECURITY]: 'Food Security',
+    [PROGRAM_TYPES.PROFESSIONAL_TRAINING]: 'Professional Training',
+    [PROGRAM_TYPES.CHILDCARE_SUPPORT]: 'Childcare Support',
+    [PROGRAM_TYPES.GENERAL_GRANT]: 'General Grant',
+});
+
+export const APPLICATION_STATUS_LABELS = Object.freeze({
+    [APPLICATION_STATUSES.PENDING]: 'Pending Review',
+    [APPLICATION_STATUSES.APPROVED]: 'Approved',
+    [APPLICATION_STATUSES.REJECTED]: 'Rejected',
+    [APPLICATION_STATUSES.DISBURSED]: 'Benefit Disbursed',
+    [APPLICATION_STATUSES.COMPLETED]: 'Completed',
+    [APPLICATION_STATUSES.CANCELLED]: 'Cancelled',
+});
+
+export const BENEFIT_TYPE_LABELS = Object.freeze({
+    [BENEFIT_TYPES.MONETARY]: 'Monetary (cUSD)',
+    [BENEFIT_TYPES.DISCOUNT_CODE]: 'Discount Code',
+    [BENEFIT_TYPES.VOUCHER]: 'Voucher',
+    [BENEFIT_TYPES.FREE_ACCESS]: 'Free Access',
+});
+
+// --- Errors ---
+
+/**
+ * @notice Thrown for enum values the contract cannot produce (e.g. an ABI or deployment mismatch).
+ */
+export class ScholarshipCodecError extends Error {
+    constructor(message, value) {
+        super(message);
+        this.name = 'ScholarshipCodecError';
+        this.value = value;
+    }
+}
+
+// --- Conversions (index, bigint, numeric string or name -> index) ---
+
+function toIndex(value, names, enumName) {
+    const index = typeof value === 'string' && names.includes(value) ? names.indexOf(value) : Number(value);
+    if (!Number.isInteger(index) || index < 0 || index >= names.length) {
+        throw new ScholarshipCodecError(`Unknown ${enumName}: ${String(value)}`, value);
+    }
+    return index;
+}
+
+export const toProgramTypeIndex = (value) => toIndex(value, PROGRAM_TYPE_NAMES, 'ProgramType');
+export const toApplicationStatusIndex = (value) => toIndex(value, APPLICATION_STATUS_NAMES, 'ApplicationStatus');
+export const toBenefitTypeIndex = (value) => toIndex(value, BENEFIT_TYPE_NAMES, 'BenefitType');
+
+// --- Contract Tuples ---
+
+/**
+ * @notice Decodes the public `programs(id)` getter result.
+ * @dev Timestamps become ms; amounts stay bigint (18-decimal cUSD).
+ */
+export function decodeProgram(programId, raw) {
+    return {
+        id: Number(programId),
+        name: raw.name,
+        description: raw.description,
+        programType: toProgramTypeIndex(raw.programType),
+        benefitType: toBenefitTypeIndex(raw.benefitType),
+        provider: raw.provider,
+        isActive: raw.isActive,
+        minReputationPoints: Number(raw.minReputationPoints),
+        minSocialScore: Number(raw.minSocialScore),
+        benefitAmount: raw.benefitAmount,
+        discountPercentage: Number(raw.discountPercentage),
+        maxRecipients: Number(raw.maxRecipients),
+        currentRecipients: Number(raw.currentRecipients),
+        applicationDeadline: Number(raw.applicationDeadline) * 1000,
+        createdAt: Number(raw.createdAt) * 1000,
+    };
+}
+
+/**
+ * @notice Decodes the public `applications(id)` getter result (timestamps in ms, 0 = not yet).
+ */
+export function decodeApplication(applicationId, raw) {
+    return {
+        id: Number(applicationId),
+        programId: Number(raw.programId),
+        applicant: raw.applicant,
+        status: toApplicationStatusIndex(raw.status),
+        appliedAt: Number(raw.appliedAt) * 1000,
+        reviewedAt: Number(raw.reviewedAt) * 1000,
+        disbursedAt: Number(raw.disbursedAt) * 1000,
+        applicationNotes: raw.applicationNotes,
+        reviewNotes: raw.reviewNotes,
+        discountCode: raw.discountCode,
+        sbtRewarded: raw.sbtRewarded,
+    };
+}
@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatUnits } from 'ethers';
+import { APP_CONFIG } from './appConfig.js';
+import {
+    fetchActivePrograms,
+    readProgramEligibility,
+    applyForProgram,
+    fetchUserApplications,
+} from './scholarshipActions.js';
+import { describeTxError } from './contractTx.js';
+import { PROGRAM_TYPE_NAMES, APPLICATION_STATUSES, BENEFIT_TYPES } from './scholarshipCodec.js';
+import { ROUTES, buildPath } from './routes.js';
+import { toHref, linkHandler } from './router.js';
+import { SNAPSHOT_PARTS } from './offlineCache.js';
+import { useI18n } from './i18n.js';
+
+const STABLECOIN_DECIMALS = 18; // cUSD
+const PROGRAM_ROUTE = ROUTES.find(route => route.path.includes(':programId')).path;
+
+const APPLICATION_STATUS_STYLES = {
+    [APPLICATION_STATUSES.PENDING]: 'bg-yellow-100 text-yellow-800',
+    [APPLICATION_STATUSES.APPROVED]: 'bg-blue-100 text-blue-800',
+    [APPLICATION_STATUSES.REJECTED]: 'bg-red-100 text-red-800',
+    [APPLICATION_STATUSES.DISBURSED]: 'bg-green-100 text-green-800',
+    [APPLICATION_STATUSES.COMPLETED]: 'bg-indigo-100 text-indigo-800',
+    [APPLICATION_STATUSES.CANCELLED]: 'bg-gray-100 text-gray-700',
+};
+
+// What the holder receives, in one line
+const describeBenefit = (program, { t, formatCUSD, formatNumber, benefitTypeLabel }) => {
+    switch (program.benefitType) {
+        case BENEFIT_TYPES.MONETARY: return formatCUSD(formatUnits(program.benefitAmount, STABLECOIN_DECIMALS));
+        case BENEFIT_TYPES.DISCOUNT_CODE: return t('marketplace.discountCode', { percent: formatNumber(program.discountPercentage / 100, { style: 'percent' }) });
+        default: return benefitTypeLabel(program.benefitType);
+    }
+};
+
+// --- Component: One program card with the holder's eligibility gaps ---
+const ProgramCard = ({ program, eligibility, hasApplied, isApplying, isFocused, isOffline, onApply }) => {
+    const [notes, setNotes] = useState('');
+    const i18n = useI18n();
+    const { t, formatDate, programTypeLabel } = i18n;
+    const spotsLeft = program.maxRecipients - program.currentRecipients;
+    const programPath = buildPath(PROGRAM_ROUTE, { programId: program.id });
+
+    return (
+        <div id={`program-${program.id}`} className={`p-5 bg-gray-50 rounded-xl shadow-inner space-y-3 ${isFocused ? 'ring-2 ring-indigo-500' : ''}`}>
+            <div className="flex justify-between items-start">
+                <div>
+                    <p className="text-xs uppercase font-semibold text-indigo-600">{programTypeLabel(program.programType)}</p>
+                    <h4 className="text-lg font-bold text-gray-800">{program.name}</h4>
+                </div>
+                <span className="px-2 py-1 text-xs font-bold rounded-full bg-white text-gray-700 border">{describeBenefit(program, i18n)}</span>
+            </div>
+            {program.description && <p className="text-sm text-gray-600">{program.description}</p>}
+            <p className="text-xs text-gray-500">
+                {t('marketplace.deadline', { date: formatDate(program.applicationDeadline) })}
+                {' · '}{spotsLeft > 0 ? t('marketplace.spotsLeft', { count: spotsLeft, max: program.maxRecipients }) : t('marketplace.full')}
+                {' · '}<a href={toHref(programPath)} onClick={linkHandler(programPath)} className="text-indigo-600 hover:underline">{t('marketplace.link')}</a>
+            </p>
+
+            {eligibility && (
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                    <div className={`p-2 rounded-lg ${eligibility.pointsGap === 0 ? 'bg-green-50' : 'bg-red-50'}`}>
+                        <p className="text-xs text-gray-500">{t('marketplace.points', { points: eligibility.points, required: eligibility.requiredPoints })}</p>
+                        <p className="font-semibold">{eligibility.pointsGap === 0 ? t('marketplace.met') : t('marketplace.moreNeeded', { count: eligibility.pointsGap })}</p>
+                    </div>
+                    <div className={`p-2 rounded-lg ${eligibility.scoreIsValid && eligibility.scoreGap === 0 ? 'bg-green-50' : 'bg-red-50'}`}>
+                        <p className="text-xs text-gray-500">{t('marketplace.ubiScore', { score: eligibility.scoreIsValid ? eligibility.socialScore : '—', required: eligibility.requiredScore })}</p>
+                        <p className="font-semibold">
+                            {!eligibility.scoreIsValid ? t('marketplace.notPublished') : eligibility.scoreGap === 0 ? t('marketplace.met') : t('marketplace.moreNeeded', { count: eligibility.scoreGap })}
+                        </p>
+                    </div>
+                </div>
+            )}
+
+            {hasApplied ? (
+                <p className="text-sm font-semibold text-indigo-700">{t('marketplace.alreadyApplied')}</p>
+            ) : eligibility && !eligibility.isEligible ? (
+                <p className="text-sm text-red-700">{eligibility.reason}</p>
+            ) : (
+                <div className="space-y-2">
+                    <textarea
+                        rows={2}
+                        value={notes}
+                        onChange={(e) => setNotes(e.target.value)}
+                        placeholder={t('marketplace.notesPlaceholder')}
+                        className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <button
+                        onClick={() => onApply(program, notes)}
+                        disabled={isApplying || isOffline}
+                        className="w-full py-2 bg-indigo-600 text-white font-bold rounded-lg shadow hover:bg-indigo-700 disabled:bg-indigo-300"
+                    >
+                        {isApplying ? t('marketplace.submitting') : isOffline ? t('marketplace.applyOnline') : t('marketplace.apply')}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Component: Scholarship & Benefit Marketplace (holder view) ---
+const ScholarshipMarketplace = ({ walletAddress, focusProgramId = null, getContract, holderCache, showToast }) => {
+    const [programType, setProgramType] = useState('');
+    const [programs, setPrograms] = useState([]);
+    const [eligibility, setEligibility] = useState(new Map());
+    const [applications, setApplications] = useState([]);
+    const [applyingId, setApplyingId] = useState(null);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    // Set when the programs shown come from the offline cache: { syncedAt }
+    const [cachedAt, setCachedAt] = useState(null);
+    const { t, formatDateTime, programTypeLabel, applicationStatusLabel } = useI18n();
+
+    const load = useCallback(async () => {
+        const scholarshipManager = getContract('scholarshipManager');
+        const [activePrograms, userApplications] = await Promise.all([
+            fetchActivePrograms(scholarshipManager, { programType: programType === '' ? null : programType }),
+            fetchUserApplications(scholarshipManager, walletAddress),
+        ]);
+        const programEligibility = await readProgramEligibility({
+            scholarshipManager,
+            pointLedger: getContract('pointLedger'),
+            oracle: getContract('aiRiskOracle'),
+            holder: walletAddress,
+            programs: activePrograms,
+        });
+        return { programs: activePrograms, eligibility: programEligibility, applications: userApplications };
+    }, [getContract, walletAddress, programType]);
+
+    const refresh = useCallback(async () => {
+        setIsRefreshing(true);
+        try {
+            // One cache entry per program type filter
+            const { data, syncedAt, fromCache } = holderCache
+                ? await holderCache.readThrough(`${SNAPSHOT_PARTS.ELIGIBILITY}:${programType || 'all'}`, load)
+                : { data: await load(), fromCache: false };
+            setPrograms(data.programs);
+            setEligibility(data.eligibility);
+            setApplications(data.applications);
+            setCachedAt(fromCache ? syncedAt : null);
+            setLoadError(null);
+        } catch (e) {
+            setLoadError(describeTxError(e));
+        } finally {
+            setIsRefreshing(false);
+        }
+    }, [holderCache, load, programType]);
+
+    useEffect(() => {
+        if (APP_CONFIG.backend === 'contract') refresh();
+    }, [refresh]);
+
+    // Deep link (/programs/:programId): bring the linked program into view once it has loaded
+    useEffect(() => {
+        if (focusProgramId === null) return;
+        document.getElementById(`program-${focusProgramId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [focusProgramId, programs]);
+
+    const handleApply = async (program, notes) => {
+        setApplyingId(program.id);
+        try {
+            await applyForProgram(getContract('scholarshipManager'), program.id, notes.trim());
+            showToast(t('marketplace.applied', { name: program.name }), 'success');
+        } catch (e) {
+            console.error("Program application failed: ", e);
+            showToast(describeTxError(e), 'error');
+        } finally {
+            setApplyingId(null);
+            await refresh();
+        }
+    };
+
+    if (APP_CONFIG.backend !== 'contract') {
+        return (
+            <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto">
+                <h2 className="text-3xl font-extrabold text-gray-800 mb-4">{t('marketplace.title', { highlight: t('marketplace.titleHighlight') })}</h2>
+                <p className="text-gray-600">{t('marketplace.contractOnly')}</p>
+            </div>
+        );
+    }
+
+    // A holder may re-apply after a rejection, so only open applications block the Apply button
+    const openApplicationPrograms = new Set(applications
+        .filter(app => app.status !== APPLICATION_STATUSES.REJECTED && app.status !== APPLICATION_STATUSES.CANCELLED)
+        .map(app => app.programId));
+
+    return (
+        <div className="p-6 bg-white shadow-xl rounded-xl w-full mx-auto">
+            <div className="flex justify-between items-center mb-6 border-b pb-2">
+                <h2 className="text-3xl font-extrabold text-gray-800">
+                    {t('marketplace.title', { highlight: <span className="text-indigo-600">{t('marketplace.titleHighlight')}</span> })}
+                </h2>
+                <div className="flex items-center gap-2">
+                    <select
+                        value={programType}
+                        onChange={(e) => setProgramType(e.target.value)}
+                        className="p-2 text-sm border border-gray-300 rounded-lg"
+                    >
+                        <option value="">{t('marketplace.allTypes')}</option>
+                        {PROGRAM_TYPE_NAMES.map((name, index) => (
+                            <option key={name} value={name}>{programTypeLabel(index)}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={refresh}
+                        disabled={isRefreshing}
+                        className="px-3 py-1 text-sm font-semibold text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+                    >
+                        {isRefreshing ? t('common.refreshing') : t('common.refresh')}
+                    </button>
+                </div>
+            </div>
+
+            {loadError && <p className="mb-4 p-3 bg-red-50 text-red-700 text-sm rounded-lg">{loadError}</p>}
+            {cachedAt && (
+                <p className="mb-4 p-3 bg-yellow-50 text-yellow-800 text-sm rounded-lg">
+                    {t('marketplace.offline', { date: formatDateTime(cachedAt) })}
+                </p>
+            )}
+            {focusProgramId !== null && !isRefreshing && !loadError && !programs.some(program => program.id === focusProgramId) && (
+                <p className="mb-4 p-3 bg-yellow-50 text-yellow-800 text-sm rounded-lg">
+                    {t(programType !== '' ? 'marketplace.notOpenOrFiltered' : 'marketplace.notOpen', { id: String(focusProgramId) })}
+                </p>
+            )}
+
+            <h3 className="text-xl font-bold text-gray-700 mb-4">{t('marketplace.openPrograms', { count: programs.length })}</h3>
+            {programs.length === 0 ? (
+                <p className="text-gray-500 italic mb-8">{t('marketplace.noPrograms')}</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+                    {programs.map(program => (
+                        <ProgramCard
+                            key={program.id}
+                            program={program}
+                            eligibility={eligibility.get(program.id)}
+                            hasApplied={openApplicationPrograms.has(program.id)}
+                            isApplying={applyingId === program.id}
+                            isFocused={focusProgramId === program.id}
+                            isOffline={!!cachedAt}
+                            onApply={handleApply}
+                        />
+                    ))}
+                </div>
+            )}
+
+            <h3 className="text-xl font-bold text-gray-700 mb-4">{t('marketplace.myApplications', { count: applications.length })}</h3>
+            {applications.length === 0 ? (
+                <p className="text-gray-500 italic">{t('marketplace.noApplications')}</p>
+            ) : (
+                <ul className="divide-y divide-gray-200">
+                    {applications.map(app => (
+                        <li key={app.id} className="py-3 flex justify-between items-start">
+                            <div>
+                                <p className="font-semibold text-gray-800">{app.program?.name ?? t('marketplace.programNumber', { id: String(app.programId) })}</p>
+                                <p className="text-xs text-gray-500">{t('marketplace.appliedAt', { date: formatDateTime(app.appliedAt) })}</p>
+                                {app.reviewNotes && <p className="text-sm text-gray-600 mt-1">{t('marketplace.reviewer', { notes: app.reviewNotes })}</p>}
+                                {app.discountCode && (
+                                    <p className="text-sm mt-1">{t('marketplace.code', { code: <span className="font-mono font-bold text-indigo-700">{app.discountCode}</span> })}</p>
+                                )}
+                            </div>
+                            <span className={`px-3 py-1 rounded-full text-xs font-bold ${APPLICATION_STATUS_STYLES[app.status]}`}>
+                                {applicationStatusLabel(app.status)}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default ScholarshipMarketplace;
@@ -0,0 +1,92 @@
+// Type declarations for scoreAttestation.js (used by the TypeScript tests under test/).
+
+import type { Contract, Provider, TypedDataDomain, TypedDataField } from 'ethers';
+import type { DecodedSBT } from './sbtCodec.js';
+import type { ScoreResult, ScoreType, ScoredSBT } from './scoringEngine.js';
+
+export const ATTESTATION_TYPE: 'CredoScoreAttestation';
+
+export class AttestationFormatError extends Error {
+    constructor(message: string);
+}
+
+export interface ScoreSnapshot {
+    holder: string;
+    chainId: number;
+    sbtContract: string;
+    blockNumber: number;
+    asOf: number;
+    scoreType: ScoreType;
+    policyVersion: string;
+    sbtIds: number[];
+}
+
+export interface ScoreAttestation {
+    holder: string;
+    scoreType: ScoreType;
+    score: number;
+    policyVersion: string;
+    snapshotHash: string;
+}
+
+export interface ScoreAttestationDocument {
+    type: typeof ATTESTATION_TYPE;
+    version: number;
+    created: string;
+    snapshot: ScoreSnapshot;
+    attestation: ScoreAttestation;
+    signature: string;
+    eip712: {
+        domain: TypedDataDomain;
+        types: Record<string, TypedDataField[]>;
+        primaryType: 'ScoreAttestation';
+    };
+}
+
+export function readScoreInputs(sbt: Contract, holder: string, blockNumber: number): Promise<DecodedSBT[]>;
+export function buildScoreSnapshot(input: {
+    holder: string;
+    chainId: number | bigint;
+    sbtContract: string;
+    blockNumber: number | bigint;
+    asOf: number;
+    scoreType: ScoreType;
+    policyVersion: string;
+    sbts: { id: number | bigint | string }[];
+}): ScoreSnapshot;
+export function hashScoreSnapshot(snapshot: ScoreSnapshot): string;
+export function scoreSnapshot(snapshot: ScoreSnapshot, sbts: ScoredSBT[]): ScoreResult;
+
+export function createScoreAttestation(
+    sbt: Contract,
+    oracle: Contract,
+    scoreType: ScoreType,
+    options?: { blockNumber?: number; asOf?: number; now?: number }
+): Promise<ScoreAttestationDocument>;
+
+export interface ScoreAttestationVerification {
+    valid: boolean;
+    holder: string | null;
+    scoreType: ScoreType | null;
+    policyVersion: string | null;
+    attestedScore: number | null;
+    recomputedScore: number | null;
+    signatureValid: boolean;
+    snapshotHashValid: boolean;
+    inputsMatch: boolean;
+    scoreMatches: boolean;
+    mismatches: { field: string; attested: unknown; recomputed: unknown }[];
+    published: {
+        exists: boolean;
+        scoreValue: number | null;
+        publishedTimestamp: number | null;
+        matches: boolean;
+        error?: string;
+    } | null;
+    errors: string[];
+}
+
+export function verifyScoreAttestation(
+    document: unknown,
+    options: { provider: Provider; sbtContract: string; oracleContract: string }
+): Promise<ScoreAttestationVerification>;
@@ -0,0 +1,293 @@
+// --- Reproducible Score Attestations ---
+// A holder's score is a pure function of a canonical snapshot: the SBT ids they held at a block,
+// the policy version and the asOf timestamp used for recency. The holder signs an EIP-712
+// attestation binding the snapshot hash to the score; a lender re-reads the SBTs at the same
+// block, recomputes the score and compares it with the attested (and published) value.
+// Used by the dashboard's attestation panel and scripts/verifyScoreAttestation.mjs.
+
+import { Contract, TypedDataEncoder, getAddress, verifyTypedData } from 'ethers';
+import { SOULBOUND_TOKEN_ABI, AI_RISK_ORACLE_ABI } from './contractAbis.js';
+import { decodeSBTData } from './sbtCodec.js';
+import { calculateScore, findPolicyByVersion, SCORING_POLICIES, SCORE_TYPES } from './scoringEngine.js';
+
+export const ATTESTATION_TYPE = 'CredoScoreAttestation';
+const DOMAIN_NAME = 'Credo Score Attestations';
+const DOMAIN_VERSION = '1';
+
+const SNAPSHOT_TYPES = {
+    ScoreSnapshot: [
+        { name: 'holder', type: 'address' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'sbtContract', type: 'address' },
+        { name: 'blockNumber', type: 'uint256' },
+        { name: 'asOf', type: 'uint256' }, // ms, the recency reference time
+        { name: 'scoreType', type: 'string' },
+        { name: 'policyVersion', type: 'string' },
+        { name: 'sbtIds', type: 'uint256[]' }, // ascending
+    ],
+};
+
+const ATTESTATION_TYPES = {
+    ScoreAttestation: [
+        { name: 'holder', type: 'address' },
+        { name: 'scoreType', type: 'string' },
+        { name: 'score', type: 'uint256' },
+        { name: 'policyVersion', type: 'string' },
+        { name: 'snapshotHash', type: 'bytes32' },
+    ],
+};
+
+/**
+ * @notice Thrown for documents that are not score attestations of this format.
+ */
+export class AttestationFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AttestationFormatError';
+    }
+}
+
+// The attestation is bound to the AIRiskOracle deployment the score is published to
+const typedDomain = (chainId, oracleAddress) => ({
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: getAddress(oracleAddress),
+});
+
+// --- Snapshot ---
+
+/**
+ * @notice Reads a holder's SBTs as they were at a block (requires an archive node for old blocks).
+ * @returns Decoded SBT records sorted by id.
+ */
+export async function readScoreInputs(sbt, holder, blockNumber) {
+    const overrides = { blockTag: blockNumber };
+    const tokenIds = await sbt.getSBTsByHolder(holder, overrides);
+    const sbts = [];
+    for (const tokenId of tokenIds) {
+        sbts.push(decodeSBTData(tokenId, await sbt.getSBTData(tokenId, overrides), holder));
+    }
+    return sbts.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * @notice Builds the canonical scoring input snapshot.
+ * @param sbts The SBT records scored (only their ids are recorded; the data is re-read from chain).
+ */
+export function buildScoreSnapshot({ holder, chainId, sbtContract, blockNumber, asOf, scoreType, policyVersion, sbts }) {
+    return {
+        holder: getAddress(holder),
+        chainId: Number(chainId),
+        sbtContract: getAddress(sbtContract),
+        blockNumber: Number(blockNumber),
+        asOf: Number(asOf),
+        scoreType,
+        policyVersion,
+        sbtIds: sbts.map(token => Number(token.id)).sort((a, b) => a - b),
+    };
+}
+
+/**
+ * @notice EIP-712 struct hash of a snapshot (independent of JSON key order).
+ */
+export function hashScoreSnapshot(snapshot) {
+    return TypedDataEncoder.hashStruct('ScoreSnapshot', SNAPSHOT_TYPES, snapshot);
+}
+
+/**
+ * @notice Scores SBTs under the snapshot's policy version and asOf.
+ * @throws Error when the policy version is unknown to this build.
+ */
+export function scoreSnapshot(snapshot, sbts) {
+    const policy = findPolicyByVersion(snapshot.policyVersion);
+    if (!policy || policy.scoreType !== snapshot.scoreType) {
+        throw new Error(`Scoring policy ${snapshot.policyVersion} for ${snapshot.scoreType} is not known to this verifier.`);
+    }
+    return calculateScore(snapshot.scoreType, sbts, { policy, asOf: snapshot.asOf });
+}
+
+// --- Attesting (holder side) ---
+
+/**
+ * @notice Scores the holder from chain data at a block and signs the attestation (one wallet prompt).
+ * @param sbt SoulboundToken contract connected to the holder's signer.
+ * @param oracle AIRiskOracle contract (its address is the EIP-712 verifying contract).
+ * @param options.blockNumber Block to read the SBTs at (default: latest).
+ * @param options.asOf Recency reference time in ms (default: that block's timestamp, so the
+ * whole snapshot can be rebuilt from the chain alone).
+ * @returns The attestation document { type, version, created, snapshot, attestation, signature, eip712 }.
+ */
+export async function createScoreAttestation(sbt, oracle, scoreType, { blockNumber, asOf, now = Date.now() } = {}) {
+    const policy = SCORING_POLICIES[scoreType];
+    if (!policy) throw new Error(`Unknown score type "${scoreType}".`);
+
+    const signer = sbt.runner;
+    const holder = await signer.getAddress();
+    const { chainId } = await signer.provider.getNetwork();
+    const block = await signer.provider.getBlock(blockNumber ?? 'latest');
+
+    const sbts = await readScoreInputs(sbt, holder, block.number);
+    const snapshot = buildScoreSnapshot({
+        holder,
+        chainId,
+        sbtContract: await sbt.getAddress(),
+        blockNumber: block.number,
+        asOf: asOf ?? block.timestamp * 1000,
+        scoreType,
+        policyVersion: policy.version,
+        sbts,
+    });
+    const { score } = scoreSnapshot(snapshot, sbts);
+
+    const attestation = {
+        holder: snapshot.holder,
+        scoreType,
+        score,
+        policyVersion: policy.version,
+        snapshotHash: hashScoreSnapshot(snapshot),
+    };
+    const domain = typedDomain(snapshot.chainId, await oracle.getAddress());
+    const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, attestation);
+
+    return {
+        type: ATTESTATION_TYPE,
+        version: 1,
+        created: new Date(now).toISOString(),
+        snapshot,
+        attestation,
+        signature,
+        eip712: { domain, types: ATTESTATION_TYPES, primaryType: 'ScoreAttestation' },
+    };
+}
+
+// --- Verifying (lender side) ---
+
+// The addresses a document names are only compared with the verifier's own: a look-alike
+// SoulboundToken could return any SBTs, which would make the recomputed score meaningless.
+function requireExpectedAddress(address, option) {
+    if (!address) throw new Error(`Verifying needs the expected contract address (${option}).`);
+    return getAddress(address);
+}
+
+/**
+ * @notice Recomputes an attested score from chain data and reports every mismatch.
+ * @param provider Read-only provider for the snapshot's chain (an archive node for old blocks).
+ * @param sbtContract / oracleContract The SoulboundToken and AIRiskOracle addresses the verifier
+ * trusts (required). Documents naming other contracts are rejected.
+ * @returns {
+ *   valid, holder, scoreType, policyVersion, attestedScore, recomputedScore,
+ *   signatureValid, snapshotHashValid, inputsMatch, scoreMatches,
+ *   mismatches: [{ field, attested, recomputed }],
+ *   published: { exists, scoreValue, publishedTimestamp, matches, error? } (informational, not part of valid),
+ *   errors
+ * }
+ */
+export async function verifyScoreAttestation(document, { provider, sbtContract, oracleContract }) {
+    const expectedSbt = requireExpectedAddress(sbtContract, 'sbtContract');
+    const oracleAddress = requireExpectedAddress(oracleContract, 'oracleContract');
+    const errors = [];
+    const mismatches = [];
+    const result = {
+        valid: false,
+        holder: null,
+        scoreType: null,
+        policyVersion: null,
+        attestedScore: null,
+        recomputedScore: null,
+        signatureValid: false,
+        snapshotHashValid: false,
+        inputsMatch: false,
+        scoreMatches: false,
+        mismatches,
+        published: null,
+        errors,
+    };
+
+    const { snapshot, attestation } = document || {};
+    try {
+        if (document?.type !== ATTESTATION_TYPE || !snapshot || !attestation) {
+            throw new AttestationFormatError(`Not a ${ATTESTATION_TYPE} document.`);
+        }
+        if (getAddress(snapshot.sbtContract) !== expectedSbt) {
+            throw new AttestationFormatError(`The snapshot names SoulboundToken ${snapshot.sbtContract}, not ${expectedSbt}.`);
+        }
+        const namedOracle = document.eip712?.domain?.verifyingContract;
+        if (namedOracle !== undefined && getAddress(namedOracle) !== oracleAddress) {
+            throw new AttestationFormatError(`The attestation names AIRiskOracle ${namedOracle}, not ${oracleAddress}.`);
+        }
+        Object.assign(result, {
+            holder: getAddress(snapshot.holder),
+            scoreType: snapshot.scoreType,
+            policyVersion: snapshot.policyVersion,
+            attestedScore: Number(attestation.score),
+        });
+    } catch (e) {
+        errors.push(e.message);
+        return result;
+    }
+
+    // 1. The attestation must describe the enclosed snapshot
+    const snapshotHash = hashScoreSnapshot(snapshot);
+    result.snapshotHashValid = snapshotHash === attestation.snapshotHash;
+    if (!result.snapshotHashValid) mismatches.push({ field: 'snapshotHash', attested: attestation.snapshotHash, recomputed: snapshotHash });
+    ['scoreType', 'policyVersion'].forEach(field => {
+        if (attestation[field] !== snapshot[field]) mismatches.push({ field, attested: attestation[field], recomputed: snapshot[field] });
+    });
+    if (getAddress(attestation.holder) !== result.holder) mismatches.push({ field: 'holder', attested: attestation.holder, recomputed: result.holder });
+
+    // 2. Signature: recovered signer must be the holder
+    try {
+        const signer = verifyTypedData(typedDomain(snapshot.chainId, oracleAddress), ATTESTATION_TYPES, attestation, document.signature);
+        result.signatureValid = signer === result.holder;
+        if (!result.signatureValid) errors.push(`Signed by ${signer}, not by the holder ${result.holder}.`);
+    } catch (e) {
+        errors.push(`Invalid signature: ${e.shortMessage || e.message}`);
+    }
+
+    // 3. Inputs: the SBTs held at the snapshot block
+    let sbts = null;
+    try {
+        const { chainId } = await provider.getNetwork();
+        if (Number(chainId) !== snapshot.chainId) {
+            throw new Error(`The provider is on chain ${chainId}, the snapshot on chain ${snapshot.chainId}.`);
+        }
+        const sbt = new Contract(expectedSbt, SOULBOUND_TOKEN_ABI, provider);
+        sbts = await readScoreInputs(sbt, result.holder, snapshot.blockNumber);
+        const chainIds = sbts.map(token => token.id);
+        result.inputsMatch = chainIds.join(',') === snapshot.sbtIds.join(',');
+        if (!result.inputsMatch) mismatches.push({ field: 'sbtIds', attested: snapshot.sbtIds, recomputed: chainIds });
+    } catch (e) {
+        errors.push(`Could not read the SBTs at block ${snapshot.blockNumber}: ${e.shortMessage || e.message}`);
+    }
+
+    // 4. Score: recomputed from chain data with the snapshot's policy and asOf
+    if (sbts) {
+        try {
+            result.recomputedScore = scoreSnapshot(snapshot, sbts).score;
+            result.scoreMatches = result.recomputedScore === result.attestedScore;
+            if (!result.scoreMatches) mismatches.push({ field: 'score', attested: result.attestedScore, recomputed: result.recomputedScore });
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+
+    // 5. Informational: the value currently published to AIRiskOracle
+    try {
+        const oracle = new Contract(oracleAddress, AI_RISK_ORACLE_ABI, provider);
+        const metadata = await oracle.getScoreMetadata(result.holder, SCORE_TYPES[snapshot.scoreType]);
+        const exists = metadata.publishedTimestamp > 0n;
+        result.published = {
+            exists,
+            scoreValue: exists ? Number(metadata.scoreValue) : null,
+            publishedTimestamp: exists ? Number(metadata.publishedTimestamp) : null,
+            matches: exists && Number(metadata.scoreValue) === result.attestedScore,
+        };
+    } catch (e) {
+        result.published = { exists: false, scoreValue: null, publishedTimestamp: null, matches: false, error: e.shortMessage || e.message };
+    }
+
+    result.valid = result.signatureValid && result.snapshotHashValid && mismatches.length === 0
+        && result.inputsMatch && result.scoreMatches;
+    return result;
+}
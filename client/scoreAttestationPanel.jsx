@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { SCORE_TYPES } from './scoringEngine.js';
+import { downloadFile } from './fileDownload.js';
+import { describeTxError } from './contractTx.js';
+import { createScoreAttestation, verifyScoreAttestation } from './scoreAttestation.js';
+import { useI18n } from './i18n.js';
+
+// --- Component: Attestation check result ---
+const AttestationResult = ({ result }) => {
+    const { t } = useI18n();
+    const scoreType = t(`scoreTypes.${result.scoreType}`);
+    return (
+        <div className={`p-4 rounded-lg text-sm ${result.valid ? 'bg-green-50 border-s-4 border-green-500' : 'bg-red-50 border-s-4 border-red-500'}`}>
+            <p className="font-bold mb-1">
+                {t(result.valid ? 'attestation.reproduced' : 'attestation.notReproduced', { scoreType, score: result.attestedScore })}
+                {result.recomputedScore !== null && result.recomputedScore !== result.attestedScore && ` ${t('attestation.recomputed', { score: result.recomputedScore })}`}
+            </p>
+            <p className="text-xs text-gray-600">{t('attestation.holderPolicy', { holder: result.holder, policy: result.policyVersion })}</p>
+            {result.mismatches.map((m, i) => (
+                <p key={i} className="text-red-700">{t('attestation.mismatch', { field: m.field, attested: JSON.stringify(m.attested), recomputed: JSON.stringify(m.recomputed) })}</p>
+            ))}
+            {result.errors.map((error, i) => <p key={i} className="text-red-700">{error}</p>)}
+            {result.published && (
+                <p className="mt-1 text-xs text-gray-600">
+                    {result.published.exists
+                        ? t(result.published.matches ? 'attestation.oracleMatches' : 'attestation.oracleDiffers', { score: result.published.scoreValue })
+                        : result.published.error || t('attestation.oracleNothing')}
+                </p>
+            )}
+        </div>
+    );
+};
+
+// --- Component: Score Attestation (sign & check) ---
+// Signs an EIP-712 attestation of the holder's score over a chain snapshot, and checks
+// attestations received from others by recomputing them.
+const ScoreAttestationPanel = ({ getContract, showToast }) => {
+    const [scoreType, setScoreType] = useState(Object.keys(SCORE_TYPES)[0]);
+    const [isSigning, setIsSigning] = useState(false);
+    const [lastAttestation, setLastAttestation] = useState(null);
+    const [verifyInput, setVerifyInput] = useState('');
+    const [verification, setVerification] = useState(null);
+    const [isVerifying, setIsVerifying] = useState(false);
+    const { t } = useI18n();
+
+    const handleSign = async () => {
+        setIsSigning(true);
+        try {
+            const document = await createScoreAttestation(getContract('soulboundToken'), getContract('aiRiskOracle'), scoreType);
+            setLastAttestation(document);
+            downloadFile(`credo-score-attestation-${scoreType.toLowerCase()}-${document.snapshot.blockNumber}.json`, JSON.stringify(document, null, 2), 'application/json');
+            showToast(t('attestation.signed', { scoreType: t(`scoreTypes.${scoreType}`), score: document.attestation.score, block: String(document.snapshot.blockNumber) }), 'success');
+        } catch (e) {
+            console.error("Score attestation failed: ", e);
+            showToast(describeTxError(e), 'error');
+        } finally {
+            setIsSigning(false);
+        }
+    };
+
+    const handleVerify = async () => {
+        setIsVerifying(true);
+        setVerification(null);
+        try {
+            const sbt = getContract('soulboundToken');
+            setVerification(await verifyScoreAttestation(JSON.parse(verifyInput), {
+                provider: sbt.runner.provider,
+                sbtContract: sbt.target,
+                oracleContract: getContract('aiRiskOracle').target,
+            }));
+        } catch (e) {
+            showToast(e instanceof SyntaxError ? t('attestation.invalidJson') : describeTxError(e), 'error');
+        } finally {
+            setIsVerifying(false);
+        }
+    };
+
+    return (
+        <div className="mb-8 p-4 border border-gray-200 rounded-xl space-y-3">
+            <h3 className="text-lg font-bold text-gray-700">{t('attestation.title')}</h3>
+            <p className="text-sm text-gray-600">
+                {t('attestation.intro', { command: <span className="font-mono">npm run verify:score</span> })}
+            </p>
+            <div className="flex items-center gap-2">
+                <select value={scoreType} onChange={(e) => setScoreType(e.target.value)} className="p-2 text-sm border border-gray-300 rounded-lg">
+                    {Object.keys(SCORE_TYPES).map(type => <option key={type} value={type}>{t(`scoreTypes.${type}`)}</option>)}
+                </select>
+                <button
+                    onClick={handleSign}
+                    disabled={isSigning}
+                    className="px-4 py-2 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 disabled:bg-indigo-300"
+                >
+                    {isSigning ? t('attestation.awaitingSignature') : t('attestation.sign')}
+                </button>
+            </div>
+            {lastAttestation && (
+                <p className="text-xs text-gray-500 font-mono break-all">
+                    {t('attestation.snapshot', { count: lastAttestation.snapshot.sbtIds.length, block: String(lastAttestation.snapshot.blockNumber) })} · asOf {new Date(lastAttestation.snapshot.asOf).toISOString()} · {lastAttestation.attestation.snapshotHash}
+                </p>
+            )}
+            <textarea
+                value={verifyInput}
+                onChange={(e) => setVerifyInput(e.target.value)}
+                rows={4}
+                placeholder={t('attestation.pastePlaceholder')}
+                className="w-full p-2 font-mono text-xs border border-gray-300 rounded-lg"
+            />
+            <button
+                onClick={handleVerify}
+                disabled={isVerifying || !verifyInput.trim()}
+                className="px-4 py-2 bg-gray-800 text-white text-sm font-semibold rounded-lg hover:bg-gray-900 disabled:bg-gray-400"
+            >
+                {isVerifying ? t('attestation.recomputing') : t('common.verify')}
+            </button>
+            {verification && <AttestationResult result={verification} />}
+        </div>
+    );
+};
+
+export default ScoreAttestationPanel;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { useI18n } from './i18n.js';
+
+const SCORE_TABS = ['FINANCIAL_RISK', 'UBI_ELIGIBILITY'];
+
+// --- Component: Score Breakdown (explains a scoringEngine result) ---
+// Gates and reasons are translated by their engine code. A passed gate keeps the engine's detail,
+// which carries the counts the rule was checked against.
+const ScoreBreakdown = ({ scores }) => {
+    const { t, formatNumber } = useI18n();
+    const [activeTab, setActiveTab] = useState(SCORE_TABS[0]);
+    const result = scores[activeTab];
+    const { contributions, gates, reasons } = result.breakdown;
+
+    return (
+        <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-8">
+            <div className="flex flex-wrap justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-gray-700">{t('breakdown.title')}</h3>
+                <div className="flex gap-2">
+                    {SCORE_TABS.map(tab => (
+                        <button
+                            key={tab}
+                            onClick={() => setActiveTab(tab)}
+                            className={`px-3 py-1 text-xs font-semibold rounded-lg transition ${
+                                activeTab === tab
+                                    ? 'bg-indigo-600 text-white'
+                                    : 'text-indigo-600 border border-indigo-200 hover:bg-indigo-50'
+                            }`}
+                        >
+                            {t(`scoreTypes.${tab}`)}: {formatNumber(scores[tab].score)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {/* Gates that can zero the score */}
+            <div className="space-y-2 mb-4">
+                {gates.map(gate => (
+                    <div key={gate.gate} className={`p-3 rounded-lg text-sm border-s-4 ${gate.passed ? 'bg-green-50 border-green-500' : 'bg-red-50 border-red-500'}`}>
+                        <span className="font-semibold">{t(gate.passed ? 'breakdown.gatePassed' : 'breakdown.gateFailed', { gate: t(`gates.${gate.gate}`) })}</span>
+                        <span className="text-gray-600"> — {gate.reasonCode ? t(`reasons.${gate.reasonCode}`) : gate.detail}</span>
+                    </div>
+                ))}
+            </div>
+
+            {/* Ranked adverse reasons */}
+            {reasons.length > 0 && (
+                <div className="mb-4">
+                    <p className="text-sm uppercase font-semibold text-gray-500 mb-2">{t('breakdown.holdingBack')}</p>
+                    <ol className="list-decimal list-inside space-y-1 text-sm text-gray-700">
+                        {reasons.map(reason => (
+                            <li key={reason.code}>
+                                <span className="font-mono text-xs text-gray-500 me-1">{reason.code}</span>
+                                {t(`reasons.${reason.code}`)}
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            )}
+
+            {/* Per-SBT contributions: weight × point value × recency */}
+            <p className="text-sm uppercase font-semibold text-gray-500 mb-2">{t('breakdown.byToken')}</p>
+            {contributions.length === 0 ? (
+                <p className="text-gray-500 italic text-sm">{t('breakdown.noContributions')}</p>
+            ) : (
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-start text-xs text-gray-500 border-b">
+                            <th className="py-1">{t('breakdown.token')}</th>
+                            <th className="py-1 text-end">{t('breakdown.weight')}</th>
+                            <th className="py-1 text-end">{t('breakdown.points')}</th>
+                            <th className="py-1 text-end">{t('breakdown.recency')}</th>
+                            <th className="py-1 text-end">{t('breakdown.contribution')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {contributions.map(c => (
+                            <tr key={c.tokenId} className="border-b border-gray-100">
+                                <td className="py-1 text-gray-800">{c.title}</td>
+                                <td className="py-1 text-end">×{formatNumber(c.weight)}</td>
+                                <td className="py-1 text-end">{formatNumber(c.pointValue)}</td>
+                                <td className="py-1 text-end">×{formatNumber(c.recency)}</td>
+                                <td className="py-1 text-end font-semibold">{formatNumber(Math.round(c.contribution))}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <p className="mt-3 text-xs text-gray-500">
+                {t('breakdown.rawScore', { score: Math.round(result.rawScore), policy: result.policyVersion })}
+            </p>
+        </div>
+    );
+};
+
+export default ScoreBreakdown;
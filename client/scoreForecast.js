@@ -0,0 +1,144 @@
+// --- What-If Simulation & Score Decay Forecast ---
+// Both run the real scoring engine: what-if scores the holder's SBTs plus hypothetical ones,
+// and the forecast re-scores the same SBTs at future dates as they age through the recency bands.
+
+import { calculateAllScores, SCORE_TYPES, SCORING_POLICIES, MONTH_MS } from './scoringEngine.js';
+import { toTaskTypeIndex, toPointLevelIndex, getTaskLabel } from './sbtCodec.js';
+import { INTEREST_RATE_TIERS } from './loanPricing.js';
+
+/**
+ * @notice Builds SBT records for hypothetical achievements.
+ * @param hypotheticals [{ taskType, pointLevel, count = 1, issuedAt = now }] (enum index or name).
+ * @returns SBT records with ids prefixed "whatif-" so they never collide with real tokens.
+ */
+export function buildHypotheticalSBTs(hypotheticals, now = Date.now()) {
+    return hypotheticals.flatMap((h, i) => {
+        const taskType = toTaskTypeIndex(h.taskType);
+        const pointLevel = toPointLevelIndex(h.pointLevel);
+        return Array.from({ length: h.count ?? 1 }, (_, n) => ({
+            id: `whatif-${i}-${n}`,
+            taskType,
+            pointLevel,
+            title: `Hypothetical: ${getTaskLabel(taskType)}`,
+            issuedAt: h.issuedAt ?? now,
+            hypothetical: true,
+        }));
+    });
+}
+
+/**
+ * @notice Scores the holder as they are now and with the hypothetical SBTs added.
+ * @returns { current, projected, delta: { FINANCIAL_RISK, UBI_ELIGIBILITY } }
+ */
+export function simulateWhatIf(sbts, hypotheticals, { now = Date.now() } = {}) {
+    const current = calculateAllScores(sbts, { asOf: now });
+    const projected = calculateAllScores([...sbts, ...buildHypotheticalSBTs(hypotheticals, now)], { asOf: now });
+
+    const delta = Object.fromEntries(Object.keys(SCORE_TYPES).map(scoreType => (
+        [scoreType, projected[scoreType].score - current[scoreType].score]
+    )));
+
+    return { current, projected, delta };
+}
+
+/**
+ * @notice Thresholds the forecast watches: the LoanManager rate tiers plus optional eligibility minimums.
+ * @param loanMinAIScore LoanManager.getEligibilityCriteria().minAIScore (FINANCIAL_RISK), if known.
+ * @param ledgerMinAIScore PointLedger.getEligibilityCriteria().minAIScore (UBI_ELIGIBILITY), if known.
+ * @returns [{ key, label, scoreType, minScore, tier }] where tier is the rate tier name, if any
+ * (the app translates the threshold from it and the key; label is the English fallback).
+ */
+export function buildDecayThresholds({ loanMinAIScore = null, ledgerMinAIScore = null } = {}) {
+    const thresholds = INTEREST_RATE_TIERS
+        .filter(tier => tier.minScore > 0)
+        .map(tier => ({
+            key: `rate-tier-${tier.name}`,
+            label: `${tier.label} rate tier (${(tier.rateBps / 100).toFixed(2)}%)`,
+            scoreType: 'FINANCIAL_RISK',
+            minScore: tier.minScore,
+            tier: tier.name,
+        }));
+
+    if (loanMinAIScore !== null) {
+        thresholds.push({ key: 'loan-eligibility', label: 'Loan eligibility', scoreType: 'FINANCIAL_RISK', minScore: loanMinAIScore });
+    }
+    if (ledgerMinAIScore !== null) {
+        thresholds.push({ key: 'service-eligibility', label: 'Service eligibility (PointLedger)', scoreType: 'UBI_ELIGIBILITY', minScore: ledgerMinAIScore });
+    }
+    return thresholds;
+}
+
+/**
+ * @notice Every moment within the horizon at which some SBT moves into a lower recency band.
+ * @dev Scores are constant between these moments, so they are the only places a threshold can be crossed.
+ */
+function recencyBandChanges(sbts, from, until) {
+    const bandEdges = new Set();
+    Object.values(SCORING_POLICIES).forEach(policy => {
+        policy.recencyBands.forEach(band => {
+            if (Number.isFinite(band.maxAgeMonths)) bandEdges.add(band.maxAgeMonths);
+        });
+    });
+
+    const changes = new Set();
+    sbts.forEach(sbt => {
+        bandEdges.forEach(months => {
+            // A band ends once the age is strictly greater than maxAgeMonths
+            const changeAt = sbt.issuedAt + months * MONTH_MS + 1;
+            if (changeAt > from && changeAt <= until) changes.add(changeAt);
+        });
+    });
+    return [...changes].sort((a, b) => a - b);
+}
+
+/**
+ * @notice Forecasts how the holder's scores decay if they earn no new SBTs.
+ * @param sbts The holder's SBTs.
+ * @param options.months Forecast horizon in recency-band months (30 days).
+ * @param options.thresholds Thresholds to watch (see buildDecayThresholds).
+ * @param options.now Start of the forecast in ms.
+ * @returns {
+ *   points: [{ month, date, FINANCIAL_RISK, UBI_ELIGIBILITY }] one per month (month 0 = now),
+ *   drops: [{ key, label, scoreType, minScore, date, scoreBefore, scoreAfter }] for thresholds met now
+ *          and lost within the horizon (date = first moment the score is below minScore),
+ *   holds: thresholds met now and still met at the end of the horizon
+ * }
+ */
+export function forecastScoreDecay(sbts, { months = 24, thresholds = buildDecayThresholds(), now = Date.now() } = {}) {
+    const until = now + months * MONTH_MS;
+    const scoreAt = (time) => {
+        const scores = calculateAllScores(sbts, { asOf: time });
+        return { FINANCIAL_RISK: scores.FINANCIAL_RISK.score, UBI_ELIGIBILITY: scores.UBI_ELIGIBILITY.score };
+    };
+
+    // 1. Monthly series for the chart
+    const points = Array.from({ length: months + 1 }, (_, month) => {
+        const time = now + month * MONTH_MS;
+        return { month, date: time, ...scoreAt(time) };
+    });
+
+    // 2. Exact crossing dates, evaluated at every recency band change
+    const initial = scoreAt(now);
+    const watched = thresholds.filter(t => initial[t.scoreType] >= t.minScore);
+    const drops = [];
+    let previous = initial;
+    let pending = watched;
+
+    for (const time of recencyBandChanges(sbts, now, until)) {
+        if (pending.length === 0) break;
+        const scores = scoreAt(time);
+        pending = pending.filter(threshold => {
+            if (scores[threshold.scoreType] >= threshold.minScore) return true;
+            drops.push({
+                ...threshold,
+                date: time,
+                scoreBefore: previous[threshold.scoreType],
+                scoreAfter: scores[threshold.scoreType],
+            });
+            return false;
+        });
+        previous = scores;
+    }
+
+    return { points, drops, holds: pending };
+}
@@ -0,0 +1,251 @@
+// --- Score Publishing Pipeline (Step 4 - On-Chain Proof) ---
+// Scores every ScoreType with its own policy, checks the oracle before sending anything,
+// and publishes each type independently so one failure never discards another's receipt.
+
+import { calculateAllScores, SCORE_TYPES } from './scoringEngine.js';
+import { decodeEvents } from './contractTx.js';
+import { txManager } from './txManager.js';
+import { describeTxError } from './txErrors.js';
+
+/**
+ * @notice Outcome of publishing one score type.
+ */
+export const PUBLISH_STATUS = {
+    PUBLISHED: 'PUBLISHED',       // Transaction mined and ScorePublished decoded
+    UNCHANGED: 'UNCHANGED',       // On-chain score is identical and still fresh; nothing sent
+    RATE_LIMITED: 'RATE_LIMITED', // minPublishInterval has not elapsed (canPublishScore = false)
+    PAUSED: 'PAUSED',             // Oracle publishing is paused by the owner
+    FAILED: 'FAILED',             // Reverted, rejected by the user or out of retries
+};
+
+// ethers v6 error codes worth retrying; reverts and user rejections are final
+const RETRYABLE_ERROR_CODES = new Set([
+    'NETWORK_ERROR',
+    'TIMEOUT',
+    'SERVER_ERROR',
+    'NONCE_EXPIRED',
+    'REPLACEMENT_UNDERPRICED',
+]);
+
+const DEFAULT_RETRY = { attempts: 3, baseDelayMs: 1000, maxDelayMs: 10000 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @notice Extracts the most useful message from an ethers error (decoded revert reason first).
+ */
+export const describePublishError = describeTxError;
+
+function isRetryable(error) {
+    return RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+/**
+ * @notice Runs `operation` and retries transient failures with exponential backoff.
+ * @returns { value, attempts }
+ */
+async function withRetry(operation, retry, onRetry) {
+    let attempt = 0;
+    for (;;) {
+        attempt++;
+        try {
+            return { value: await operation(attempt), attempts: attempt };
+        } catch (error) {
+            if (!isRetryable(error) || attempt >= retry.attempts) {
+                error.attempts = attempt;
+                throw error;
+            }
+            const delay = Math.min(retry.baseDelayMs * 2 ** (attempt - 1), retry.maxDelayMs);
+            if (onRetry) await onRetry(error, attempt, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * @notice Reads AIRiskOracle.getConfiguration().
+ * @returns { maxScoreAge, minPublishInterval, publishingPaused, historyTrackingEnabled } (seconds as numbers)
+ */
+export async function readOracleConfiguration(oracle) {
+    const [maxScoreAge, minPublishInterval, publishingPaused, historyTrackingEnabled] = await oracle.getConfiguration();
+    return {
+        maxScoreAge: Number(maxScoreAge),
+        minPublishInterval: Number(minPublishInterval),
+        publishingPaused,
+        historyTrackingEnabled,
+    };
+}
+
+/**
+ * @notice Pre-flight for a single score type: rate limit and current on-chain value.
+ * @returns { canPublish, timeUntilNextPublish, onChain: { exists, scoreValue, isValid, age } }
+ */
+async function checkScoreType(oracle, holder, scoreTypeIndex) {
+    const [[canPublish, timeUntilNextPublish], metadata, [scoreValue, isValid, age]] = await Promise.all([
+        oracle.canPublishScore(holder, scoreTypeIndex),
+        oracle.getScoreMetadata(holder, scoreTypeIndex),
+        oracle.getLatestScoreView(holder, scoreTypeIndex),
+    ]);
+
+    return {
+        canPublish,
+        timeUntilNextPublish: Number(timeUntilNextPublish),
+        onChain: {
+            exists: metadata.publishedTimestamp > 0n,
+            scoreValue: Number(scoreValue),
+            isValid,
+            age: Number(age),
+        },
+    };
+}
+
+/**
+ * @notice The holder's scores as currently published to AIRiskOracle, one entry per score type.
+ * @returns { [scoreType]: { exists, scoreValue, isValid, publishedAt } } (publishedAt in ms, 0 when never published)
+ */
+export async function readPublishedScores(oracle, holder) {
+    const entries = await Promise.all(Object.entries(SCORE_TYPES).map(async ([scoreType, scoreTypeIndex]) => {
+        const [metadata, [scoreValue, isValid]] = await Promise.all([
+            oracle.getScoreMetadata(holder, scoreTypeIndex),
+            oracle.getLatestScoreView(holder, scoreTypeIndex),
+        ]);
+        return [scoreType, {
+            exists: metadata.publishedTimestamp > 0n,
+            scoreValue: Number(scoreValue),
+            isValid,
+            publishedAt: Number(metadata.publishedTimestamp) * 1000,
+        }];
+    }));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * @notice Sends publishScore for one type and waits for the receipt, retrying transient failures.
+ * @dev A send is only repeated after re-checking canPublishScore, so a transaction that reached
+ * the chain despite a network error is never published twice. Sends go through the transaction
+ * manager, so each attempt shows in the pending-tx tray.
+ */
+async function sendScore(oracle, holder, scoreTypeIndex, score, retry, log, label) {
+    let attempts = 0;
+
+    const { value: tx } = await withRetry(async (attempt) => {
+        attempts = attempt;
+        if (attempt > 1) {
+            const { canPublish } = await checkScoreType(oracle, holder, scoreTypeIndex);
+            if (!canPublish) {
+                const error = new Error("Oracle no longer accepts a publish; the previous attempt may have been mined.");
+                error.code = 'RATE_LIMITED_AFTER_RETRY';
+                throw error;
+            }
+        }
+        return txManager.send(oracle, 'publishScore', [scoreTypeIndex, score], { label });
+    }, retry, (error, attempt, delay) => log(`publishScore attempt ${attempt} failed (${describePublishError(error)}), retrying in ${delay}ms`));
+
+    // Once broadcast, only the wait is retried: the transaction hash is already known.
+    const { value: receipt } = await withRetry(() => tx.wait(), retry,
+        (error, attempt, delay) => log(`waiting for ${tx.hash} failed (${describePublishError(error)}), retrying in ${delay}ms`));
+
+    if (!receipt || receipt.status !== 1) {
+        const error = new Error(`publishScore transaction ${tx.hash} reverted.`);
+        error.txHash = tx.hash;
+        throw error;
+    }
+
+    return { tx, receipt, attempts };
+}
+
+/**
+ * @notice Scores the holder and publishes every changed score type to AIRiskOracle.
+ * @param oracle An ethers v6 Contract for AIRiskOracle (AI_RISK_ORACLE_ABI) connected to the holder's signer.
+ * @param holder The holder address (scores are self-published, so this must be the signer).
+ * @param sbts The holder's SBTs.
+ * @param options.scoreTypes Score types to publish (default: all).
+ * @param options.force Publish even when the on-chain score is identical and fresh.
+ * @param options.retry { attempts, baseDelayMs, maxDelayMs } for transient RPC failures.
+ * @param options.asOf Scoring reference time in ms (default: now). Returned so the score can be reproduced.
+ * @param options.log Progress logger (default console.log).
+ * @returns { holder, asOf, configuration, results: { [scoreType]: result }, publishedCount }
+ * where result = { scoreType, status, score, policyVersion, previousScore, txHash, blockNumber,
+ * gasUsed, attempts, event, retryAfterSeconds, error }.
+ */
+export async function publishScores(oracle, holder, sbts, options = {}) {
+    const {
+        scoreTypes = Object.keys(SCORE_TYPES),
+        force = false,
+        retry: retryOverrides = {},
+        asOf = Date.now(),
+        log = console.log,
+    } = options;
+    const retry = { ...DEFAULT_RETRY, ...retryOverrides };
+
+    if (!sbts || sbts.length === 0) {
+        throw new Error("Cannot calculate score: No SBTs found.");
+    }
+
+    // 1. Score every type with its own versioned policy
+    const scores = calculateAllScores(sbts, { asOf });
+
+    // 2. Global pre-flight (AIRiskOracle.getConfiguration)
+    const configuration = await readOracleConfiguration(oracle);
+    const results = {};
+
+    // 3. Publish each type sequentially (one nonce at a time), isolating failures
+    for (const scoreType of scoreTypes) {
+        const scoreTypeIndex = SCORE_TYPES[scoreType];
+        if (scoreTypeIndex === undefined) {
+            throw new Error(`Unknown score type "${scoreType}".`);
+        }
+
+        const { score, policyVersion } = scores[scoreType];
+        const result = { scoreType, score, policyVersion, previousScore: null, attempts: 0 };
+        results[scoreType] = result;
+
+        if (configuration.publishingPaused) {
+            result.status = PUBLISH_STATUS.PAUSED;
+            continue;
+        }
+
+        try {
+            const { canPublish, timeUntilNextPublish, onChain } = await checkScoreType(oracle, holder, scoreTypeIndex);
+            result.previousScore = onChain.exists ? onChain.scoreValue : null;
+
+            if (!force && onChain.exists && onChain.isValid && onChain.scoreValue === score) {
+                result.status = PUBLISH_STATUS.UNCHANGED;
+                continue;
+            }
+            if (!canPublish) {
+                result.status = PUBLISH_STATUS.RATE_LIMITED;
+                result.retryAfterSeconds = timeUntilNextPublish;
+                continue;
+            }
+
+            log(`Publishing ${scoreType} = ${score} (${policyVersion})`);
+            const { tx, receipt, attempts } = await sendScore(oracle, holder, scoreTypeIndex, score, retry, log, `Publish ${scoreType} score`);
+            const [event] = decodeEvents(oracle, receipt, 'ScorePublished').map(({ args }) => ({
+                holder: args.holder,
+                scoreType: Number(args.scoreType),
+                scoreValue: Number(args.scoreValue),
+                publishedTimestamp: Number(args.publishedTimestamp),
+                previousScore: Number(args.previousScore),
+            }));
+
+            Object.assign(result, {
+                status: PUBLISH_STATUS.PUBLISHED,
+                txHash: tx.hash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed,
+                attempts,
+                event: event || null,
+            });
+            if (event) result.previousScore = event.previousScore;
+        } catch (error) {
+            result.status = PUBLISH_STATUS.FAILED;
+            result.error = describePublishError(error);
+            result.attempts = error.attempts || result.attempts;
+            if (error.txHash) result.txHash = error.txHash;
+        }
+    }
+
+    const publishedCount = Object.values(results).filter(r => r.status === PUBLISH_STATUS.PUBLISHED).length;
+    return { holder, asOf, configuration, results, publishedCount };
+}
@@ -0,0 +1,114 @@
+// Type declarations for scoringEngine.js (used by the TypeScript tests under test/).
+
+import type { EnumValue, TaskTypeName } from './sbtCodec.js';
+
+export type ScoreType = 'FINANCIAL_RISK' | 'UBI_ELIGIBILITY';
+
+export const SCORE_TYPES: { FINANCIAL_RISK: 0; UBI_ELIGIBILITY: 1 };
+export const MONTH_MS: number;
+
+export interface RecencyBand {
+    maxAgeMonths: number;
+    multiplier: number;
+}
+
+export interface ScoreScale {
+    excellentThreshold: number;
+    excellentScore: number;
+    maxScore: number;
+}
+
+export interface ScoringPolicy {
+    version: string;
+    scoreType: ScoreType;
+    effectiveFrom: number;
+    weights: Partial<Record<TaskTypeName, number>>;
+    kycGate: { taskTypes: TaskTypeName[] } | null;
+    firstTimeBorrower: {
+        repaymentTaskTypes: TaskTypeName[];
+        socialTaskTypes: TaskTypeName[];
+        financialTaskTypes: TaskTypeName[];
+        minNonFinancialCount: number;
+    } | null;
+    recencyBands: RecencyBand[];
+    scale: ScoreScale;
+}
+
+export const SCORING_POLICIES: Record<ScoreType, ScoringPolicy>;
+export const POLICY_HISTORY: Record<ScoreType, ScoringPolicy[]>;
+
+export function calculateRecencyMultiplier(issuedAt: number, recencyBands: RecencyBand[], asOf: number): number;
+export function scaleToThousand(rawScore: number, scale: ScoreScale): number;
+
+export type ReasonCode =
+    | 'NO_KYC'
+    | 'FIRST_TIME_NO_SOCIAL'
+    | 'FIRST_TIME_FEW_NON_FINANCIAL'
+    | 'FLAGGED_ISSUANCE'
+    | 'AGED_HISTORY'
+    | 'BELOW_EXCELLENT_THRESHOLD';
+
+export const REASON_CODES: Record<ReasonCode, string>;
+
+export function findPolicyByVersion(version: string): ScoringPolicy | null;
+export function getPolicyAt(scoreType: ScoreType, timestamp: number): ScoringPolicy | null;
+
+/** An SBT record as the client reads it (issuedAt in ms). */
+export interface ScoredSBT {
+    id?: number;
+    title?: string;
+    taskType: EnumValue;
+    pointLevel: EnumValue;
+    issuedAt: number;
+}
+
+export interface ScoreOptions {
+    policy?: ScoringPolicy;
+    asOf: number;
+    tokenPenalties?: Record<number, number>;
+}
+
+export interface ScoreContribution {
+    tokenId: number | undefined;
+    title: string | undefined;
+    taskType: TaskTypeName;
+    weight: number;
+    pointValue: number;
+    recency: number;
+    penalty: number;
+    contribution: number;
+}
+
+export interface ScoreGate {
+    gate: 'KYC' | 'FIRST_TIME_BORROWER';
+    passed: boolean;
+    detail: string;
+    reasonCode: ReasonCode | null;
+}
+
+export interface ScoreReason {
+    code: ReasonCode;
+    message: string;
+    impact: number;
+}
+
+export interface ScoreResult {
+    scoreType: ScoreType;
+    score: number;
+    rawScore: number;
+    policyVersion: string;
+    asOf: number;
+    breakdown: {
+        contributions: ScoreContribution[];
+        gates: ScoreGate[];
+        reasons: ScoreReason[];
+    };
+}
+
+export function calculateScore(scoreType: ScoreType, userSBTs: ScoredSBT[], options: ScoreOptions): ScoreResult;
+export function calculateFinancialRiskScore(userSBTs: ScoredSBT[], options: ScoreOptions): ScoreResult;
+export function calculateUBIEligibilityScore(userSBTs: ScoredSBT[], options: ScoreOptions): ScoreResult;
+export function calculateAllScores(
+    userSBTs: ScoredSBT[],
+    options: { asOf: number; tokenPenalties?: Record<number, number> }
+): Record<ScoreType, ScoreResult>;
@@ -0,0 +1,369 @@
+// --- Unified Scoring Engine ---
+// Single source of truth for FINANCIAL_RISK and UBI_ELIGIBILITY scores (0-1000, higher = better).
+// Every score type is driven by a versioned policy; changing weights or thresholds means
+// publishing a new policy version, never editing the functions below.
+// Scores are pure functions of (SBTs, policy, asOf): nothing here reads the clock, so a published
+// score can be recomputed later from the same inputs (see scoreAttestation.js).
+
+import { toTaskTypeName, getPointValueFromLevel } from './sbtCodec.js';
+
+/**
+ * @notice Score types in the order of the AIRiskOracle.ScoreType enum.
+ */
+export const SCORE_TYPES = {
+    FINANCIAL_RISK: 0,
+    UBI_ELIGIBILITY: 1,
+};
+
+/**
+ * @notice Length of a "month" in the recency bands (30 days, in ms).
+ */
+export const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Shared building blocks of the v1 policies
+const KYC_TASK_TYPES = ['IDENTITY_VERIFIED_KYC', 'IDENTITY_MULTI_FACTOR'];
+
+const RECENCY_BANDS_V1 = [
+    { maxAgeMonths: 6, multiplier: 1.0 },
+    { maxAgeMonths: 12, multiplier: 0.75 },
+    { maxAgeMonths: 18, multiplier: 0.50 },
+    { maxAgeMonths: 24, multiplier: 0.25 },
+    { maxAgeMonths: Infinity, multiplier: 0.10 },
+];
+
+const SCALE_V1 = {
+    excellentThreshold: 8000, // Raw score for 800+ final score
+    excellentScore: 800,
+    maxScore: 1000,
+};
+
+/**
+ * @notice Versioned scoring policies, keyed by score type.
+ * @dev Policy fields:
+ * - version: reported with every score so published values can be traced back
+ * - effectiveFrom: time (ms) from which this version was used for published scores
+ * - weights: per-TaskType multiplier applied to the SBT point value
+ * - kycGate: TaskTypes of which at least one is required, otherwise the score is 0
+ * - firstTimeBorrower: extra requirements when the holder has no repayment history (null = disabled)
+ * - recencyBands: age bands (in 30-day months) and their multipliers, checked in order
+ * - scale: the scaleToThousand curve parameters
+ */
+export const SCORING_POLICIES = {
+    FINANCIAL_RISK: {
+        version: 'financial-risk@1.0.0',
+        scoreType: 'FINANCIAL_RISK',
+        effectiveFrom: 0,
+        weights: {
+            IDENTITY_VERIFIED_KYC: 3.0,
+            IDENTITY_MULTI_FACTOR: 4.0,
+            LOAN_REPAYMENT_SMALL: 10.0,
+            LOAN_REPAYMENT_LARGE: 15.0,
+            FINANCIAL_LITERACY_COURSE: 2.0,
+            FINANCIAL_SAVINGS_GOAL: 2.5,
+            AID_DISBURSEMENT_RECEIVED: 1.0,
+            COMMUNITY_VOLUNTEERISM: 2.0,
+            SOCIAL_EDUCATION_CERT: 2.0,
+            SOCIAL_MENTORSHIP: 2.5,
+        },
+        kycGate: { taskTypes: KYC_TASK_TYPES },
+        firstTimeBorrower: {
+            repaymentTaskTypes: ['LOAN_REPAYMENT_SMALL', 'LOAN_REPAYMENT_LARGE'],
+            socialTaskTypes: ['COMMUNITY_VOLUNTEERISM', 'SOCIAL_EDUCATION_CERT', 'SOCIAL_MENTORSHIP'],
+            financialTaskTypes: [
+                'LOAN_REPAYMENT_SMALL', 'LOAN_REPAYMENT_LARGE',
+                'FINANCIAL_LITERACY_COURSE', 'FINANCIAL_SAVINGS_GOAL',
+                'AID_DISBURSEMENT_RECEIVED',
+            ],
+            minNonFinancialCount: 2,
+        },
+        recencyBands: RECENCY_BANDS_V1,
+        scale: SCALE_V1,
+    },
+    UBI_ELIGIBILITY: {
+        version: 'ubi-eligibility@1.0.0',
+        scoreType: 'UBI_ELIGIBILITY',
+        effectiveFrom: 0,
+        weights: {
+            IDENTITY_VERIFIED_KYC: 5.0,
+            IDENTITY_MULTI_FACTOR: 6.0,
+            COMMUNITY_VOLUNTEERISM: 8.0,
+            SOCIAL_EDUCATION_CERT: 7.0,
+            SOCIAL_MENTORSHIP: 9.0,
+            FINANCIAL_LITERACY_COURSE: 2.0,
+            FINANCIAL_SAVINGS_GOAL: 1.5,
+            LOAN_REPAYMENT_SMALL: 1.0,
+            LOAN_REPAYMENT_LARGE: 1.0,
+            AID_DISBURSEMENT_RECEIVED: 3.0,
+        },
+        kycGate: { taskTypes: KYC_TASK_TYPES },
+        firstTimeBorrower: null,
+        recencyBands: RECENCY_BANDS_V1,
+        scale: SCALE_V1,
+    },
+};
+
+/**
+ * @notice Every policy version per score type, oldest first. A new version is appended here (with
+ * its effectiveFrom) and becomes SCORING_POLICIES[scoreType]; old versions stay so historical
+ * scores can be replayed with the policy that applied when they were published.
+ */
+export const POLICY_HISTORY = {
+    FINANCIAL_RISK: [SCORING_POLICIES.FINANCIAL_RISK],
+    UBI_ELIGIBILITY: [SCORING_POLICIES.UBI_ELIGIBILITY],
+};
+
+// --- Input Normalization ---
+
+/**
+ * @notice Normalizes an SBT record to { taskType: name, pointValue, issuedAt }.
+ * @dev Accepts enum indices or names (issuedAt in ms). Unknown enum values throw
+ * the codec's typed errors instead of silently scoring 0.
+ */
+function normalizeSBT(sbt) {
+    const taskType = toTaskTypeName(sbt.taskType);
+    const pointValue = getPointValueFromLevel(sbt.pointLevel);
+    return { tokenId: sbt.id, title: sbt.title, taskType, pointValue, issuedAt: sbt.issuedAt };
+}
+
+// --- Policy Building Blocks ---
+
+/**
+ * @notice Calculate recency multiplier based on achievement age.
+ * @param issuedAt Issue timestamp in milliseconds.
+ * @param recencyBands The policy's recency bands.
+ * @param asOf Reference timestamp in milliseconds.
+ */
+export function calculateRecencyMultiplier(issuedAt, recencyBands, asOf) {
+    const ageInMonths = (asOf - issuedAt) / MONTH_MS;
+    const band = recencyBands.find(b => ageInMonths <= b.maxAgeMonths);
+    return band ? band.multiplier : 0;
+}
+
+/**
+ * @notice Scale raw weighted score to the 0-1000 range.
+ * @dev Linear up to the excellent threshold, then compressed into the top band.
+ * @param rawScore The weighted, recency-adjusted sum.
+ * @param scale The policy's scale parameters.
+ */
+export function scaleToThousand(rawScore, scale) {
+    const { excellentThreshold, excellentScore, maxScore } = scale;
+    const topBand = maxScore - excellentScore;
+
+    if (rawScore >= excellentThreshold) {
+        // Above excellent: scale into the top band
+        const excess = rawScore - excellentThreshold;
+        return excellentScore + Math.min(topBand, (excess / excellentThreshold) * topBand);
+    }
+    // Below excellent: linear scale 0-excellentScore
+    return (rawScore / excellentThreshold) * excellentScore;
+}
+
+// --- Gates & Reason Codes ---
+
+/**
+ * @notice Adverse-reason codes reported with every score, most severe first.
+ * @dev Gate codes zero the score; the others explain points the holder is missing.
+ */
+export const REASON_CODES = {
+    NO_KYC: 'No identity verification (KYC) SBT. Scores are 0 until identity is verified.',
+    FIRST_TIME_NO_SOCIAL: 'No loan repayment history and no community, education or mentorship SBT.',
+    FIRST_TIME_FEW_NON_FINANCIAL: 'No loan repayment history and too few non-financial SBTs.',
+    FLAGGED_ISSUANCE: 'Some SBTs were issued in patterns flagged by the issuance audit and count at reduced weight.',
+    AGED_HISTORY: 'Older SBTs count at reduced weight. Recent achievements raise the score.',
+    BELOW_EXCELLENT_THRESHOLD: 'Weighted reputation is below the level needed for an excellent score.',
+};
+
+function checkKycGate(sbts, kycGate) {
+    if (!kycGate) return null;
+    const passed = sbts.some(sbt => kycGate.taskTypes.includes(sbt.taskType));
+    return {
+        gate: 'KYC',
+        passed,
+        detail: passed ? 'Identity verified.' : `Requires one of: ${kycGate.taskTypes.join(', ')}.`,
+        reasonCode: passed ? null : 'NO_KYC',
+    };
+}
+
+function checkFirstTimeBorrowerGate(sbts, rules) {
+    if (!rules) return null;
+
+    const hasRepayment = sbts.some(sbt => rules.repaymentTaskTypes.includes(sbt.taskType));
+    if (hasRepayment) {
+        return { gate: 'FIRST_TIME_BORROWER', passed: true, detail: 'Has loan repayment history; rule not applied.', reasonCode: null };
+    }
+
+    // First-time borrower: needs KYC + social + other non-financial history
+    const hasSocial = sbts.some(sbt => rules.socialTaskTypes.includes(sbt.taskType));
+    const nonFinancialCount = sbts.filter(sbt => !rules.financialTaskTypes.includes(sbt.taskType)).length;
+
+    let reasonCode = null;
+    if (!hasSocial) {
+        reasonCode = 'FIRST_TIME_NO_SOCIAL';
+    } else if (nonFinancialCount < rules.minNonFinancialCount) {
+        reasonCode = 'FIRST_TIME_FEW_NON_FINANCIAL';
+    }
+
+    return {
+        gate: 'FIRST_TIME_BORROWER',
+        passed: reasonCode === null,
+        detail: `First-time borrower: social SBT ${hasSocial ? 'present' : 'missing'}, ` +
+            `${nonFinancialCount}/${rules.minNonFinancialCount} non-financial SBTs.`,
+        reasonCode,
+    };
+}
+
+/**
+ * @notice Ranks adverse reasons: failed gates first, then by raw points lost.
+ */
+function rankReasons(gates, contributions, rawScore, policy) {
+    const reasons = gates
+        .filter(g => !g.passed)
+        .map(g => ({ code: g.reasonCode, message: REASON_CODES[g.reasonCode], impact: Infinity }));
+
+    const penaltyLoss = contributions.reduce(
+        (sum, c) => sum + c.weight * c.pointValue * c.recency * (1 - c.penalty), 0);
+    if (penaltyLoss > 0) {
+        reasons.push({ code: 'FLAGGED_ISSUANCE', message: REASON_CODES.FLAGGED_ISSUANCE, impact: penaltyLoss });
+    }
+
+    const recencyLoss = contributions.reduce(
+        (sum, c) => sum + c.weight * c.pointValue * (1 - c.recency), 0);
+    if (recencyLoss > 0) {
+        reasons.push({ code: 'AGED_HISTORY', message: REASON_CODES.AGED_HISTORY, impact: recencyLoss });
+    }
+
+    const shortfall = policy.scale.excellentThreshold - rawScore;
+    if (shortfall > 0) {
+        reasons.push({ code: 'BELOW_EXCELLENT_THRESHOLD', message: REASON_CODES.BELOW_EXCELLENT_THRESHOLD, impact: shortfall });
+    }
+
+    return reasons.sort((a, b) => b.impact - a.impact);
+}
+
+// --- Public API ---
+
+function requireAsOf(asOf) {
+    if (!Number.isFinite(asOf)) {
+        throw new Error("Scoring needs an explicit asOf timestamp (ms) so the score can be reproduced.");
+    }
+    return asOf;
+}
+
+/**
+ * @notice Looks up a scoring policy by its version string (as reported with every score).
+ * @returns The policy, or null when this build does not know the version.
+ */
+export function findPolicyByVersion(version) {
+    return Object.values(POLICY_HISTORY).flat().find(policy => policy.version === version) || null;
+}
+
+/**
+ * @notice The policy version that applied to a score type at a point in time.
+ * @param timestamp Time in ms.
+ * @returns The newest policy with effectiveFrom <= timestamp, or null before the first one.
+ */
+export function getPolicyAt(scoreType, timestamp) {
+    const versions = POLICY_HISTORY[scoreType];
+    if (!versions) throw new Error(`No scoring policy for score type "${scoreType}".`);
+    return versions.filter(policy => policy.effectiveFrom <= timestamp).at(-1) || null;
+}
+
+/**
+ * @notice Calculates one score type for a holder under a scoring policy.
+ * @param scoreType 'FINANCIAL_RISK' or 'UBI_ELIGIBILITY'.
+ * @param userSBTs The holder's SBT records.
+ * @param options.policy Overrides the current policy for this score type.
+ * @param options.asOf Reference timestamp for recency in ms (required).
+ * @param options.tokenPenalties Optional { [tokenId]: multiplier 0-1 } for SBTs flagged by the
+ * issuance audit (sybilDetection.js buildTokenPenalties). Off by default: published and attested
+ * scores never use it, so they stay reproducible from SBTs, policy and asOf alone.
+ * @returns { scoreType, score, rawScore, policyVersion, asOf, breakdown } with score an integer in 0-1000.
+ * breakdown.contributions lists weight × point value × recency × penalty per SBT (largest first),
+ * breakdown.gates the gates that were evaluated and breakdown.reasons the ranked adverse reasons.
+ */
+export function calculateScore(scoreType, userSBTs, { policy = SCORING_POLICIES[scoreType], asOf, tokenPenalties = {} } = {}) {
+    if (!policy) {
+        throw new Error(`No scoring policy for score type "${scoreType}".`);
+    }
+    requireAsOf(asOf);
+
+    const sbts = userSBTs.map(normalizeSBT);
+
+    // STEP 1: Weighted contribution of each SBT with recency (and the audit penalty, when given)
+    const contributions = sbts.map(sbt => {
+        const weight = policy.weights[sbt.taskType];
+        if (weight === undefined) {
+            throw new Error(`Policy ${policy.version} has no weight for ${sbt.taskType}.`);
+        }
+        const recency = calculateRecencyMultiplier(sbt.issuedAt, policy.recencyBands, asOf);
+        const penalty = tokenPenalties[sbt.tokenId] ?? 1;
+        return {
+            tokenId: sbt.tokenId,
+            title: sbt.title,
+            taskType: sbt.taskType,
+            weight,
+            pointValue: sbt.pointValue,
+            recency,
+            penalty,
+            contribution: weight * sbt.pointValue * recency * penalty,
+        };
+    }).sort((a, b) => b.contribution - a.contribution);
+
+    const rawScore = contributions.reduce((sum, c) => sum + c.contribution, 0);
+
+    // STEP 2: Gates - MANDATORY KYC (NO KYC = ZERO SCORE) and first-time borrower requirements
+    const gates = [
+        checkKycGate(sbts, policy.kycGate),
+        checkFirstTimeBorrowerGate(sbts, policy.firstTimeBorrower),
+    ].filter(Boolean);
+    const gatesPassed = gates.every(g => g.passed);
+
+    // STEP 3: Scale to 0-1000 (integer, as required by AIRiskOracle.publishScore)
+    let score = 0;
+    if (gatesPassed) {
+        const finalScore = scaleToThousand(rawScore, policy.scale);
+        score = Math.round(Math.max(0, Math.min(policy.scale.maxScore, finalScore)));
+    }
+
+    return {
+        scoreType,
+        score,
+        rawScore,
+        policyVersion: policy.version,
+        asOf,
+        breakdown: {
+            contributions,
+            gates,
+            reasons: rankReasons(gates, contributions, rawScore, policy),
+        },
+    };
+}
+
+/**
+ * Calculate FINANCIAL_RISK Score (0-1000)
+ * Used by LoanManager for interest rate calculation
+ */
+export function calculateFinancialRiskScore(userSBTs, options) {
+    return calculateScore('FINANCIAL_RISK', userSBTs, options);
+}
+
+/**
+ * Calculate UBI_ELIGIBILITY Score (0-1000)
+ * Used by PointLedger for social service eligibility
+ */
+export function calculateUBIEligibilityScore(userSBTs, options) {
+    return calculateScore('UBI_ELIGIBILITY', userSBTs, options);
+}
+
+/**
+ * @notice Calculates every score type with a shared reference time.
+ * @param options.asOf Reference timestamp for recency in ms (required).
+ * @param options.tokenPenalties Optional audit penalties (see calculateScore).
+ * @returns { FINANCIAL_RISK, UBI_ELIGIBILITY } score results.
+ */
+export function calculateAllScores(userSBTs, { asOf, tokenPenalties } = {}) {
+    return {
+        FINANCIAL_RISK: calculateFinancialRiskScore(userSBTs, { asOf, tokenPenalties }),
+        UBI_ELIGIBILITY: calculateUBIEligibilityScore(userSBTs, { asOf, tokenPenalties }),
+    };
+}
@@ -1,9 +1,13 @@
-// This file simulates the feature engineering and inference steps (Steps 2 & 3 in the pipeline).
-// In a real application, 'tf' would be loaded via <script src="https://cdn.jsdelivr.net/npm/@tensorflow/tfjs"></script>
+// Feature engineering and model inference (Steps 2 & 3 in the pipeline).
+// The TF.js model itself is trained offline by scripts/trainRiskModel.mjs and loaded with riskModel.js.
+// The scores published to AIRiskOracle come from the policy-driven scoringEngine.js (see scorePublisher.js).
+
+import { publishScores } from './scorePublisher.js';
+import { toTaskTypeName } from './sbtCodec.js';
 
 /**
  * @notice Simulates the structure of the SBT data fetched from SoulboundToken.sol.
- * In production, this data comes from web3 calls.
+ * In production, this data comes from web3 calls. Enum names and indices are both accepted (see sbtCodec.js).
  */
 const mockSBTData = [
     { taskType: 'IDENTITY_VERIFIED_KYC', pointLevel: 'LEVEL_B_HARMONY', title: 'KYC Verified' },
@@ -16,115 +20,83 @@ const mockSBTData = [
 ];
 
 /**
- * @notice Enumeration of the TaskTypes used for feature engineering.
- * Must match the Solidity enum in SoulboundToken.sol.
+ * @notice Model input order. Training and inference both read features in this order,
+ * and it is stored in every saved model so a mismatched model is rejected on load.
  */
-const TaskType = {
-    IDENTITY_VERIFIED_KYC: 'IDENTITY_VERIFIED_KYC',
-    FINANCIAL_LITERACY_COURSE: 'FINANCIAL_LITERACY_COURSE',
-    LOAN_REPAYMENT_SMALL: 'LOAN_REPAYMENT_SMALL',
-    LOAN_REPAYMENT_LARGE: 'LOAN_REPAYMENT_LARGE',
-    SOCIAL_MENTORSHIP: 'SOCIAL_MENTORSHIP'
-};
+export const FEATURE_NAMES = [
+    'KYC_COUNT',
+    'FIN_LIT_SCORE',
+    'SMALL_REPAY_COUNT',
+    'LARGE_REPAY_COUNT',
+    'SOCIAL_MENTOR_HOURS',
+];
 
 /**
  * @notice Step 2: Feature Engineering - Converts raw SBT data into a clean feature vector.
  * @param sbtList Array of SBT objects owned by the user.
  * @returns A structured object containing the numerical features for the AI model.
  */
-function createFeatureVector(sbtList) {
+export function createFeatureVector(sbtList) {
     const counts = sbtList.reduce((acc, sbt) => {
-        acc[sbt.taskType] = (acc[sbt.taskType] || 0) + 1;
+        const taskType = toTaskTypeName(sbt.taskType); // Throws on unknown TaskTypes
+        acc[taskType] = (acc[taskType] || 0) + 1;
         return acc;
     }, {});
 
     // This creates the feature vector (the 5 inputs for the model)
-    const features = {
-        KYC_COUNT: counts[TaskType.IDENTITY_VERIFIED_KYC] || 0,
-        FIN_LIT_SCORE: counts[TaskType.FINANCIAL_LITERACY_COURSE] || 0,
-        SMALL_REPAY_COUNT: counts[TaskType.LOAN_REPAYMENT_SMALL] || 0,
-        LARGE_REPAY_COUNT: counts[TaskType.LOAN_REPAYMENT_LARGE] || 0,
-        SOCIAL_MENTOR_HOURS: counts[TaskType.SOCIAL_MENTORSHIP] || 0,
+    return {
+        KYC_COUNT: counts.IDENTITY_VERIFIED_KYC || 0,
+        FIN_LIT_SCORE: counts.FINANCIAL_LITERACY_COURSE || 0,
+        SMALL_REPAY_COUNT: counts.LOAN_REPAYMENT_SMALL || 0,
+        LARGE_REPAY_COUNT: counts.LOAN_REPAYMENT_LARGE || 0,
+        SOCIAL_MENTOR_HOURS: counts.SOCIAL_MENTORSHIP || 0,
     };
+}
 
-    // Log the input features for debugging
-    console.log("Input Features for AI:", features);
-    return features;
+/**
+ * @notice Flattens a feature object into the FEATURE_NAMES order used by the model.
+ */
+export function featuresToArray(features) {
+    return FEATURE_NAMES.map(name => features[name] || 0);
 }
 
 
 /**
- * @notice Step 3: Runs the TF.js model inference to predict the risk score.
- * In a real application, the model is loaded from the /models/ directory.
+ * @notice Step 3: Runs the trained TF.js model to predict the risk score.
  * @param features The numerical feature vector created in the previous step.
- * @returns The final scaled risk score (e.g., 300-850 range).
+ * @param riskModel A model loaded with loadRiskModel() from riskModel.js.
+ * @returns { score, probabilityOfDefault, modelVersion } with score on the oracle's 0-1000 scale.
  */
-async function runModelInference(features) {
-    // --- START TF.JS SIMULATION ---
-    // NOTE: We are SIMULATING the result of a Logistic Regression model here,
-    // as we cannot include the TF.js library or model files in this single response.
-
-    const { KYC_COUNT, SMALL_REPAY_COUNT, LARGE_REPAY_COUNT, SOCIAL_MENTOR_HOURS } = features;
-
-    // SIMULATED LOGISTIC REGRESSION WEIGHTS:
-    // Large repayment is the highest weighted feature (0.4)
-    // KYC is low weight (0.1)
-    // Social is negligible for financial risk (0.05)
-    
-    let rawProbability = 0;
-    
-    // Base intercept for a minimum score
-    rawProbability += 0.3; 
-    
-    // Apply weights to features
-    rawProbability += KYC_COUNT * 0.1;
-    rawProbability += SMALL_REPAY_COUNT * 0.2;
-    rawProbability += LARGE_REPAYMENT_COUNT * 0.4;
-    rawProbability += SOCIAL_MENTOR_HOURS * 0.05;
-
-    // Cap probability at 0.99 for stability
-    rawProbability = Math.min(rawProbability, 0.99);
+export async function runModelInference(features, riskModel) {
+    if (!riskModel) {
+        throw new Error("Cannot run inference: no risk model loaded.");
+    }
 
-    // SCALE PROBABILITY TO FICO-like Score (Example: 300 to 850)
-    // Score = 300 + (Probability * 550)
-    const riskScore = Math.floor(300 + (rawProbability * 550));
-    // --- END TF.JS SIMULATION ---
+    const probabilityOfDefault = await riskModel.predictProbability(featuresToArray(features));
 
-    // The score needed for the Solidity contract (uint256)
-    return riskScore; 
+    return {
+        score: riskModel.probabilityToScore(probabilityOfDefault), // uint256 for AIRiskOracle
+        probabilityOfDefault,
+        modelVersion: riskModel.version,
+    };
 }
 
 
 /**
- * @notice Main function that orchestrates the entire process: fetch, feature engineer, run model, and publish.
+ * @notice Main function that orchestrates the entire process: score every type and publish (Step 4).
+ * @dev Delegates to scorePublisher.js, which runs the oracle pre-flight checks, skips unchanged
+ * scores and retries transient failures.
  * @param userAddress The connected Celo address.
- * @param sbtData The full list of SBTs (fetched via web3).
- * @param contractInstance The instance of the AIRiskOracle contract.
+ * @param sbtData The full list of SBTs (fetched via the SBT backend).
+ * @param oracleContract An ethers Contract for AIRiskOracle connected to the user's signer.
+ * @param options Publisher options (scoreTypes, force, retry).
+ * @returns The per-score-type publish result (see publishScores).
  */
-export async function calculateAndPublishScore(userAddress, sbtData, oracleContractInstance, web3Kit) {
-    if (!sbtData || sbtData.length === 0) {
-        throw new Error("Cannot calculate score: No SBTs found.");
-    }
-
-    // 1. Create Features (Step 2)
-    const features = createFeatureVector(sbtData);
-
-    // 2. Run Inference (Step 3)
-    const financialRiskScore = await runModelInference(features);
-    // UBI score would use different weights, but we will use the same for simplicity here
-    const ubiEligibilityScore = Math.floor(financialRiskScore * 0.8 / 500 * 100); // Scaled for 0-100 range
-
-    console.log(`Calculated Financial Risk Score: ${financialRiskScore}`);
-    console.log(`Calculated UBI Eligibility Score: ${ubiEligibilityScore}`);
-
-    // 3. Publish to AIRiskOracle (Step 4 - On-Chain Proof)
-    const tx1 = await oracleContractInstance.methods.publishScore(0, financialRiskScore).send({ from: userAddress });
-    const tx2 = await oracleContractInstance.methods.publishScore(1, ubiEligibilityScore).send({ from: userAddress });
-
-    console.log("Scores successfully published to AIRiskOracle.");
-    return { financialRiskScore, ubiEligibilityScore, txHash1: tx1.transactionHash, txHash2: tx2.transactionHash };
+export async function calculateAndPublishScore(userAddress, sbtData, oracleContract, options = {}) {
+    return publishScores(oracleContract, userAddress, sbtData, options);
 }
 
 // Example usage of feature engineering (optional for testing in console)
+// const riskModel = await loadRiskModel('/models/financial-risk/<version>/model.json');
 // const features = createFeatureVector(mockSBTData);
-// const score = await runModelInference(features);
+// const { score } = await runModelInference(features, riskModel);
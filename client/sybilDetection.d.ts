@@ -0,0 +1,71 @@
+// Type declarations for sybilDetection.js (used by the TypeScript tests under test/).
+
+import type { EnumValue, PointLevelName } from './sbtCodec.js';
+import type { ScoreType } from './scoringEngine.js';
+
+export type RiskFlagKind =
+    | 'SELF_ISSUANCE'
+    | 'CIRCULAR_ISSUANCE'
+    | 'MINT_BURST'
+    | 'ISSUER_CONCENTRATION'
+    | 'IDENTICAL_HISTORIES';
+
+export type RiskSeverity = 'high' | 'medium' | 'low';
+
+export const RISK_FLAG_KINDS: Readonly<Record<RiskFlagKind, { severity: RiskSeverity; penalty: number; label: string }>>;
+
+export interface SybilThresholds {
+    highTierLevels: PointLevelName[];
+    concentration: { minHighTierTokens: number; topRecipients: number; minShare: number };
+    burst: { gapMs: number; minTokens: number };
+    circular: { maxCycleLength: number };
+    identicalHistories: { minTokens: number; minWallets: number };
+}
+
+export const DEFAULT_SYBIL_THRESHOLDS: Readonly<SybilThresholds>;
+
+/** An audit log token (issuedAt in ms). */
+export interface IssuedToken {
+    id: number | bigint | string;
+    issuer: string;
+    recipient: string;
+    taskType: EnumValue;
+    pointLevel: EnumValue;
+    issuedAt: number;
+    burnedAt?: number | null;
+}
+
+export interface RiskFlag {
+    id: number;
+    kind: RiskFlagKind;
+    severity: RiskSeverity;
+    issuers: string[];
+    wallets: string[];
+    tokenIds: number[];
+    detail: Record<string, unknown>;
+}
+
+export interface IssuanceAnalysis {
+    tokenCount: number;
+    flags: RiskFlag[];
+    wallets: { wallet: string; flagIds: number[]; tokenIds: number[] }[];
+}
+
+export function analyzeIssuance(
+    tokens: IssuedToken[],
+    thresholds?: { [K in keyof SybilThresholds]?: K extends 'highTierLevels' ? SybilThresholds[K] : Partial<SybilThresholds[K]> }
+): IssuanceAnalysis;
+export function buildTokenPenalties(
+    analysis: Pick<IssuanceAnalysis, 'flags'>,
+    penalties?: Partial<Record<RiskFlagKind, number>>
+): Record<number, number>;
+export function previewPenalizedScores(
+    tokens: IssuedToken[],
+    analysis: IssuanceAnalysis,
+    options: { asOf: number; penalties?: Partial<Record<RiskFlagKind, number>> }
+): {
+    wallet: string;
+    flaggedTokenIds: number[];
+    scores: Record<ScoreType, { score: number; penalizedScore: number }>;
+}[];
+export function toRiskFlagsCSV(analysis: IssuanceAnalysis): string;
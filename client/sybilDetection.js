@@ -0,0 +1,290 @@
+// --- Sybil & Collusion Detection ---
+// Looks for issuance patterns that inflate reputation: issuers minting to themselves, wallets issuing
+// to each other in a cycle, bursts of tokens to one wallet, issuers whose high-tier tokens go to a
+// handful of wallets, and groups of wallets with identical histories.
+// Works on the audit log token shape ({ id, recipient, issuer, taskType, pointLevel, issuedAt (ms) });
+// like the scoring engine it never reads the clock, so the same tokens always give the same flags.
+// Flags are leads for an auditor, not proof. buildTokenPenalties turns them into the optional
+// per-token multipliers calculateScore accepts (scoringEngine.js tokenPenalties), and
+// previewPenalizedScores shows what they would do to the flagged wallets' scores.
+
+import { toTaskTypeName, toPointLevelName } from './sbtCodec.js';
+import { calculateAllScores } from './scoringEngine.js';
+import { toCSV } from './csv.js';
+
+/**
+ * @notice Flag kinds with their severity and default score penalty (multiplier on each flagged
+ * SBT's contribution; 0 drops it, 1 keeps it).
+ */
+export const RISK_FLAG_KINDS = Object.freeze({
+    SELF_ISSUANCE: { severity: 'high', penalty: 0, label: 'Self-issuance' },
+    CIRCULAR_ISSUANCE: { severity: 'high', penalty: 0.25, label: 'Circular issuance' },
+    MINT_BURST: { severity: 'medium', penalty: 0.5, label: 'Mint burst' },
+    ISSUER_CONCENTRATION: { severity: 'medium', penalty: 0.5, label: 'Issuer concentration' },
+    IDENTICAL_HISTORIES: { severity: 'low', penalty: 0.75, label: 'Identical histories' },
+});
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * @notice Detection thresholds.
+ * @dev
+ * - highTierLevels: point levels that count as high-tier for issuer concentration
+ * - concentration: an issuer with at least minHighTierTokens high-tier SBTs is flagged when its
+ *   topRecipients largest recipients hold at least minShare of them
+ * - burst: minTokens or more SBTs from one issuer to one wallet, each within gapMs of the previous
+ * - circular: cycles of issuer -> recipient edges up to maxCycleLength wallets
+ * - identicalHistories: minWallets or more wallets whose SBTs (issuer, task type, point level) are
+ *   the same, counting only histories of at least minTokens SBTs
+ */
+export const DEFAULT_SYBIL_THRESHOLDS = Object.freeze({
+    highTierLevels: ['LEVEL_B_HARMONY', 'LEVEL_A_PRESTIGE'],
+    concentration: { minHighTierTokens: 10, topRecipients: 3, minShare: 0.6 },
+    burst: { gapMs: 60 * 1000, minTokens: 3 },
+    circular: { maxCycleLength: 3 },
+    identicalHistories: { minTokens: 3, minWallets: 3 },
+});
+
+const lower = (address) => (address || '').toLowerCase();
+
+const groupBy = (items, keyOf) => items.reduce((groups, item) => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+    return groups;
+}, new Map());
+
+const makeFlag = (kind, { issuers, wallets, tokens, detail = {} }) => ({
+    kind,
+    severity: RISK_FLAG_KINDS[kind].severity,
+    issuers: [...new Set(issuers)].sort(),
+    wallets: [...new Set(wallets)].sort(),
+    tokenIds: tokens.map(token => token.id).sort((a, b) => a - b),
+    detail,
+});
+
+// --- Detectors ---
+
+function detectSelfIssuance(tokens) {
+    const own = tokens.filter(token => token.issuer === token.recipient);
+    return [...groupBy(own, token => token.issuer).entries()].map(([issuer, minted]) =>
+        makeFlag('SELF_ISSUANCE', { issuers: [issuer], wallets: [issuer], tokens: minted }));
+}
+
+/**
+ * @notice Cycles in the issuer -> recipient graph (A mints to B, B mints to A). Only wallets that
+ * both issue and receive can be on a cycle, which keeps the search small.
+ */
+function detectCircularIssuance(tokens, { maxCycleLength }) {
+    const edges = groupBy(tokens.filter(token => token.issuer !== token.recipient), token => `${token.issuer}>${token.recipient}`);
+    const issuers = new Set(tokens.map(token => token.issuer));
+    const nodes = [...new Set(tokens.map(token => token.recipient))].filter(wallet => issuers.has(wallet)).sort();
+    const next = new Map(nodes.map(node => [node, nodes.filter(other => edges.has(`${node}>${other}`))]));
+
+    // Each cycle is found once, from its smallest address, visiting only larger ones
+    const cycles = [];
+    const walk = (start, path) => {
+        for (const node of next.get(path[path.length - 1])) {
+            if (node === start && path.length > 1) cycles.push([...path]);
+            else if (node > start && !path.includes(node) && path.length < maxCycleLength) walk(start, [...path, node]);
+        }
+    };
+    nodes.forEach(start => walk(start, [start]));
+
+    return cycles.map(cycle => {
+        const cycleEdges = cycle.map((from, i) => edges.get(`${from}>${cycle[(i + 1) % cycle.length]}`));
+        const mentorship = cycleEdges.every(edge => edge.some(token => token.taskType === 'SOCIAL_MENTORSHIP'));
+        return makeFlag('CIRCULAR_ISSUANCE', {
+            issuers: cycle,
+            wallets: cycle,
+            tokens: cycleEdges.flat(),
+            detail: { cycle, length: cycle.length, mentorship },
+        });
+    });
+}
+
+function detectMintBursts(tokens, { gapMs, minTokens }) {
+    const flags = [];
+    groupBy(tokens, token => `${token.issuer}>${token.recipient}`).forEach(pairTokens => {
+        const sorted = pairTokens.slice().sort((a, b) => a.issuedAt - b.issuedAt);
+        let run = [sorted[0]];
+        const closeRun = () => {
+            if (run.length >= minTokens) {
+                flags.push(makeFlag('MINT_BURST', {
+                    issuers: [run[0].issuer],
+                    wallets: [run[0].recipient],
+                    tokens: run,
+                    detail: { count: run.length, spanMs: run[run.length - 1].issuedAt - run[0].issuedAt, from: run[0].issuedAt },
+                }));
+            }
+        };
+        sorted.slice(1).forEach(token => {
+            if (token.issuedAt - run[run.length - 1].issuedAt <= gapMs) {
+                run.push(token);
+            } else {
+                closeRun();
+                run = [token];
+            }
+        });
+        closeRun();
+    });
+    return flags;
+}
+
+function detectIssuerConcentration(tokens, { minHighTierTokens, topRecipients, minShare }, highTierLevels) {
+    const highTier = tokens.filter(token => highTierLevels.includes(token.pointLevel));
+    const flags = [];
+    groupBy(highTier, token => token.issuer).forEach((issued, issuer) => {
+        if (issued.length < minHighTierTokens) return;
+        const top = [...groupBy(issued, token => token.recipient).entries()]
+            .sort(([walletA, a], [walletB, b]) => b.length - a.length || walletA.localeCompare(walletB))
+            .slice(0, topRecipients);
+        const concentrated = top.flatMap(([, received]) => received);
+        const share = concentrated.length / issued.length;
+        if (share < minShare) return;
+        flags.push(makeFlag('ISSUER_CONCENTRATION', {
+            issuers: [issuer],
+            wallets: top.map(([wallet]) => wallet),
+            tokens: concentrated,
+            detail: { share, highTierTokens: issued.length, recipients: top.length },
+        }));
+    });
+    return flags;
+}
+
+function detectIdenticalHistories(tokens, { minTokens, minWallets }) {
+    const fingerprints = new Map();
+    groupBy(tokens, token => token.recipient).forEach((held, wallet) => {
+        if (held.length < minTokens) return;
+        const fingerprint = held.map(token => `${token.issuer}:${token.taskType}:${token.pointLevel}`).sort().join('|');
+        if (!fingerprints.has(fingerprint)) fingerprints.set(fingerprint, []);
+        fingerprints.get(fingerprint).push({ wallet, held });
+    });
+
+    return [...fingerprints.values()]
+        .filter(group => group.length >= minWallets)
+        .map(group => makeFlag('IDENTICAL_HISTORIES', {
+            issuers: group[0].held.map(token => token.issuer),
+            wallets: group.map(({ wallet }) => wallet),
+            tokens: group.flatMap(({ held }) => held),
+            detail: { walletCount: group.length, historyLength: group[0].held.length },
+        }));
+}
+
+// --- Public API ---
+
+/**
+ * @notice Runs every detector over a set of SBTs. Burned tokens are left out.
+ * @param tokens Audit log tokens (enum indices or names; addresses in any case).
+ * @param thresholds Overrides per detector, merged over DEFAULT_SYBIL_THRESHOLDS.
+ * @returns { tokenCount, flags, wallets }: flags most severe first, each { id, kind, severity,
+ * issuers, wallets, tokenIds, detail }; wallets lists every flagged wallet with its flag ids and
+ * flagged token ids, most flagged first.
+ */
+export function analyzeIssuance(tokens, thresholds = {}) {
+    const limits = { ...DEFAULT_SYBIL_THRESHOLDS };
+    Object.entries(thresholds).forEach(([key, value]) => {
+        limits[key] = Array.isArray(value) || typeof value !== 'object' ? value : { ...limits[key], ...value };
+    });
+
+    const active = tokens
+        .filter(token => !token.burnedAt)
+        .map(token => ({
+            id: Number(token.id),
+            issuer: lower(token.issuer),
+            recipient: lower(token.recipient),
+            taskType: toTaskTypeName(token.taskType),
+            pointLevel: toPointLevelName(token.pointLevel),
+            issuedAt: token.issuedAt,
+        }))
+        .filter(token => token.issuer && token.recipient);
+
+    const flags = [
+        ...detectSelfIssuance(active),
+        ...detectCircularIssuance(active, limits.circular),
+        ...detectMintBursts(active, limits.burst),
+        ...detectIssuerConcentration(active, limits.concentration, limits.highTierLevels),
+        ...detectIdenticalHistories(active, limits.identicalHistories),
+    ]
+        .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.tokenIds.length - a.tokenIds.length)
+        .map((flag, i) => ({ id: i + 1, ...flag }));
+
+    const recipientOf = new Map(active.map(token => [token.id, token.recipient]));
+    const perWallet = new Map();
+    flags.forEach(flag => flag.wallets.forEach(wallet => {
+        const row = perWallet.get(wallet) || { wallet, flagIds: [], tokenIds: new Set() };
+        row.flagIds.push(flag.id);
+        flag.tokenIds.filter(id => recipientOf.get(id) === wallet).forEach(id => row.tokenIds.add(id));
+        perWallet.set(wallet, row);
+    }));
+    const wallets = [...perWallet.values()]
+        .map(row => ({ wallet: row.wallet, flagIds: row.flagIds, tokenIds: [...row.tokenIds].sort((a, b) => a - b) }))
+        .sort((a, b) => b.flagIds.length - a.flagIds.length || a.wallet.localeCompare(b.wallet));
+
+    return { tokenCount: active.length, flags, wallets };
+}
+
+/**
+ * @notice Per-token score multipliers for calculateScore's tokenPenalties option. A token on several
+ * flags takes the lowest multiplier; penalties do not compound.
+ * @param penalties Multiplier per flag kind, merged over the RISK_FLAG_KINDS defaults.
+ * @returns { [tokenId]: multiplier } for every flagged token.
+ */
+export function buildTokenPenalties(analysis, penalties = {}) {
+    const multipliers = {};
+    analysis.flags.forEach(flag => {
+        const penalty = penalties[flag.kind] ?? RISK_FLAG_KINDS[flag.kind].penalty;
+        flag.tokenIds.forEach(id => {
+            multipliers[id] = Math.min(multipliers[id] ?? 1, penalty);
+        });
+    });
+    return multipliers;
+}
+
+/**
+ * @notice Each flagged wallet's scores without and with the token penalties, for auditors deciding
+ * whether to apply them. Only the given tokens are scored, so a wallet's score here can differ from
+ * its dashboard score when the audit filters leave some of its SBTs out.
+ * @param tokens The audit log tokens analyzeIssuance ran over.
+ * @param options.asOf Reference timestamp for recency in ms (required, see calculateScore).
+ * @param options.penalties Multiplier per flag kind (see buildTokenPenalties).
+ * @returns [{ wallet, flaggedTokenIds, scores: { [scoreType]: { score, penalizedScore } } }] for
+ * every flagged wallet holding SBTs, largest score drop first.
+ */
+export function previewPenalizedScores(tokens, analysis, { asOf, penalties } = {}) {
+    const tokenPenalties = buildTokenPenalties(analysis, penalties);
+    const held = groupBy(tokens.filter(token => !token.burnedAt), token => lower(token.recipient));
+
+    const rows = analysis.wallets
+        .filter(({ wallet }) => held.has(wallet))
+        .map(({ wallet, tokenIds }) => {
+            const before = calculateAllScores(held.get(wallet), { asOf });
+            const after = calculateAllScores(held.get(wallet), { asOf, tokenPenalties });
+            const scores = Object.fromEntries(Object.keys(before).map(scoreType => [
+                scoreType,
+                { score: before[scoreType].score, penalizedScore: after[scoreType].score },
+            ]));
+            return { wallet, flaggedTokenIds: tokenIds, scores };
+        });
+
+    const largestDrop = (row) => Math.max(...Object.values(row.scores).map(({ score, penalizedScore }) => score - penalizedScore));
+    return rows.sort((a, b) => largestDrop(b) - largestDrop(a) || a.wallet.localeCompare(b.wallet));
+}
+
+/**
+ * @notice RFC 4180 CSV with one row per flag (addresses and token ids separated by spaces).
+ */
+export function toRiskFlagsCSV(analysis) {
+    return toCSV([
+        ['flag', 'kind', 'severity', 'issuers', 'wallets', 'tokenIds', 'detail'],
+        ...analysis.flags.map(flag => [
+            flag.id,
+            RISK_FLAG_KINDS[flag.kind].label,
+            flag.severity,
+            flag.issuers.join(' '),
+            flag.wallets.join(' '),
+            flag.tokenIds.join(' '),
+            JSON.stringify(flag.detail),
+        ]),
+    ]);
+}
@@ -0,0 +1,21 @@
+// Type declarations for txErrors.js (used by the TypeScript tests under test/).
+
+export const TX_ERROR_KINDS: {
+    readonly REVERT: 'revert';
+    readonly REJECTED: 'rejected';
+    readonly FUNDS: 'funds';
+    readonly REPLACED: 'replaced';
+    readonly NETWORK: 'network';
+    readonly UNKNOWN: 'unknown';
+};
+
+export type TxErrorKind = (typeof TX_ERROR_KINDS)[keyof typeof TX_ERROR_KINDS];
+
+export interface DecodedTxError {
+    kind: TxErrorKind;
+    reason: string | null;
+    message: string;
+}
+
+export function decodeTxError(error: unknown): DecodedTxError;
+export function describeTxError(error: unknown): string;
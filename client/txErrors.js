@@ -0,0 +1,146 @@
+// --- Transaction Error Decoding ---
+// Turns ethers errors into one readable sentence: require() reasons of the Credo contracts,
+// OpenZeppelin v5 custom errors, wallet rejections and fee problems.
+
+import { Interface } from 'ethers';
+
+/**
+ * @notice Custom errors the contracts inherit from OpenZeppelin v5. Our human-readable ABIs do not
+ * declare them, so ethers cannot decode them on its own.
+ */
+const OPENZEPPELIN_ERRORS = new Interface([
+    'error OwnableUnauthorizedAccount(address account)',
+    'error OwnableInvalidOwner(address owner)',
+    'error EnforcedPause()',
+    'error ExpectedPause()',
+    'error ReentrancyGuardReentrantCall()',
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+    'error SafeERC20FailedOperation(address token)',
+    'error ERC721NonexistentToken(uint256 tokenId)',
+    'error ERC721InvalidReceiver(address receiver)',
+]);
+
+const CUSTOM_ERROR_MESSAGES = {
+    OwnableUnauthorizedAccount: 'Only the contract owner can do this.',
+    OwnableInvalidOwner: 'Invalid owner address.',
+    EnforcedPause: 'The contract is paused by its owner. Try again later.',
+    ExpectedPause: 'This action is only available while the contract is paused.',
+    ReentrancyGuardReentrantCall: 'Reentrant call rejected.',
+    ERC20InsufficientBalance: 'Not enough cUSD for this payment.',
+    ERC20InsufficientAllowance: 'The cUSD allowance is too low. Approve the amount first.',
+    SafeERC20FailedOperation: 'The stablecoin transfer failed.',
+    ERC721NonexistentToken: 'This SBT does not exist (it may have been burned).',
+    ERC721InvalidReceiver: 'This address cannot receive SBTs.',
+};
+
+/**
+ * @notice What to do about the require() reasons users hit most. Reasons without an entry are
+ * shown as the contract wrote them.
+ */
+const REVERT_HINTS = {
+    'Oracle: Publishing is paused': 'Score publishing is paused by the oracle owner. Try again later.',
+    'Oracle: Must wait longer between score updates': 'You published this score recently. Wait for the oracle\'s minimum publish interval, then publish again.',
+    'Oracle: Score is stale, user must publish a fresh score': 'Your published score has expired. Publish your scores again first.',
+    'Oracle: No score published for this user': 'No score is published for this wallet yet. Publish your scores first.',
+    'Ledger: Stale or missing AI score': 'Your AI score is missing or expired. Publish your scores on the dashboard, then try again.',
+    'SBT: Caller is not an authorized issuer': 'This wallet is not an authorized issuer on the SoulboundToken contract.',
+    'SBT: Non-transferable token': 'Soulbound tokens cannot be transferred.',
+    'LoanManager: User already has an active loan': 'You already have a loan application or an active loan.',
+    'LoanManager: Loan amount outside allowed range': 'The amount is outside the loan limits.',
+    'LoanManager: Insufficient reputation points': 'You do not have enough reputation points for a loan yet.',
+    'LoanManager: AI risk score too low': 'Your published financial risk score is below the loan minimum.',
+    'LoanManager: Insufficient contract balance for disbursement': 'The loan pool does not hold enough cUSD to disburse this loan.',
+    'LoanManager: Repayment transfer failed (check allowance and balance)': 'The repayment could not be collected. Check your cUSD balance and allowance.',
+    'ScholarshipManager: Not authorized provider': 'This wallet is not an authorized program provider.',
+    'Application deadline passed': 'The application deadline for this program has passed.',
+    'Program is full': 'This program has no spots left.',
+    'Insufficient reputation points': 'You do not have enough reputation points for this program.',
+    'Insufficient social score': 'Your published UBI eligibility score is below the program minimum.',
+    'Insufficient contract balance': 'The program contract does not hold enough cUSD for this benefit.',
+    'AidCampaigns: Caller is not an authorized issuer': 'Only authorized SBT issuers can run aid campaigns.',
+    'AidCampaigns: Campaign does not exist': 'This voucher belongs to a campaign that does not exist on this network.',
+    'AidCampaigns: Campaign is closed': 'The NGO has closed this aid campaign.',
+    'AidCampaigns: Campaign has ended': 'This aid campaign has ended.',
+    'AidCampaigns: Voucher expired': 'This voucher has expired. Ask the NGO for a new one.',
+    'AidCampaigns: Voucher is for another recipient': 'This voucher was issued to another wallet.',
+    'AidCampaigns: Voucher already redeemed': 'This voucher has already been redeemed.',
+    'AidCampaigns: Recipient already redeemed this campaign': 'You already redeemed a voucher from this campaign.',
+    'AidCampaigns: Invalid voucher signature': 'The voucher was not signed by the campaign\'s issuer.',
+    'AidCampaigns: Campaign issuer is no longer authorized': 'The NGO that issued this voucher is no longer an authorized issuer.',
+    'AidCampaigns: Campaign budget exhausted': 'This aid campaign has no budget left for the voucher.',
+};
+
+export const TX_ERROR_KINDS = Object.freeze({
+    REVERT: 'revert',             // require()/revert() reason or custom error
+    REJECTED: 'rejected',         // The user declined in the wallet
+    FUNDS: 'funds',               // Not enough CELO (or fee currency) for gas
+    REPLACED: 'replaced',         // Cancelled or replaced by another transaction
+    NETWORK: 'network',           // RPC, timeout or connection problem
+    UNKNOWN: 'unknown',
+});
+
+const NETWORK_CODES = new Set(['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED']);
+
+// Revert data can sit at different depths depending on the wallet and RPC
+function findRevertData(error) {
+    for (let current = error, depth = 0; current && depth < 5; current = current.error || current.info?.error || current.cause, depth++) {
+        const data = current.data?.data ?? current.data;
+        if (typeof data === 'string' && data.startsWith('0x') && data.length >= 10) return data;
+    }
+    return null;
+}
+
+function decodeCustomError(error) {
+    if (error.revert && CUSTOM_ERROR_MESSAGES[error.revert.name]) return error.revert.name;
+    const data = findRevertData(error);
+    if (!data) return null;
+    try {
+        return OPENZEPPELIN_ERRORS.parseError(data)?.name ?? null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * @notice Classifies an ethers error and builds the message to show.
+ * @returns { kind, reason, message }: reason is the raw revert reason or custom error name
+ * (null when the error is not a revert), message the readable sentence.
+ */
+export function decodeTxError(error) {
+    if (!error) return { kind: TX_ERROR_KINDS.UNKNOWN, reason: null, message: 'Transaction failed.' };
+
+    if (error.code === 'ACTION_REJECTED' || error.code === 4001 || error.info?.error?.code === 4001) {
+        return { kind: TX_ERROR_KINDS.REJECTED, reason: null, message: 'You rejected the transaction in your wallet.' };
+    }
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+        return { kind: TX_ERROR_KINDS.FUNDS, reason: null, message: 'Not enough funds to pay the network fee. Top up CELO, or pay fees in cUSD.' };
+    }
+    if (error.code === 'TRANSACTION_REPLACED') {
+        const message = error.cancelled
+            ? 'The transaction was cancelled or replaced in your wallet.'
+            : 'The transaction was replaced by a faster one.';
+        return { kind: TX_ERROR_KINDS.REPLACED, reason: null, message };
+    }
+
+    if (error.reason) {
+        return { kind: TX_ERROR_KINDS.REVERT, reason: error.reason, message: REVERT_HINTS[error.reason] || error.reason };
+    }
+    const customError = decodeCustomError(error);
+    if (customError) {
+        return { kind: TX_ERROR_KINDS.REVERT, reason: customError, message: CUSTOM_ERROR_MESSAGES[customError] };
+    }
+    if (error.code === 'CALL_EXCEPTION') {
+        return { kind: TX_ERROR_KINDS.REVERT, reason: null, message: 'The contract rejected the transaction (no reason given).' };
+    }
+
+    if (NETWORK_CODES.has(error.code)) {
+        return { kind: TX_ERROR_KINDS.NETWORK, reason: null, message: error.shortMessage || 'Network error. Check your connection and try again.' };
+    }
+    return { kind: TX_ERROR_KINDS.UNKNOWN, reason: null, message: error.shortMessage || error.message || 'Transaction failed.' };
+}
+
+/**
+ * @notice The readable message for an ethers error (revert reason first).
+ */
+export const describeTxError = (error) => decodeTxError(error).message;
@@ -0,0 +1,66 @@
+// Type declarations for txManager.js (used by the TypeScript tests under test/).
+
+import type { BaseContract, Provider, TransactionReceipt } from 'ethers';
+
+export const TX_STATUS: {
+    readonly QUEUED: 'queued';
+    readonly AWAITING_SIGNATURE: 'awaiting_signature';
+    readonly PENDING: 'pending';
+    readonly CONFIRMED: 'confirmed';
+    readonly FAILED: 'failed';
+    readonly REPLACED: 'replaced';
+};
+
+export type TxStatus = (typeof TX_STATUS)[keyof typeof TX_STATUS];
+
+export const TX_STATUS_LABELS: Readonly<Record<TxStatus, string>>;
+
+export const FEE_CURRENCIES: { readonly CELO: 'CELO'; readonly CUSD: 'cUSD' };
+
+export type FeeCurrency = (typeof FEE_CURRENCIES)[keyof typeof FEE_CURRENCIES];
+
+export function isFinalStatus(status: TxStatus): boolean;
+
+export interface TxRecord {
+    id: string;
+    label: string;
+    method: string;
+    status: TxStatus;
+    createdAt: number;
+    updatedAt: number;
+    chainId?: number;
+    from?: string;
+    to?: string;
+    feeCurrency?: string | null;
+    gasLimit?: string;
+    sentBlock?: number;
+    hash?: string;
+    nonce?: number;
+    blockNumber?: number | null;
+    gasUsed?: string;
+    replacedBy?: string | null;
+    error?: string;
+}
+
+/** The slice of the Web Storage API the manager uses (localStorage by default). */
+export type TxStorage = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+
+export interface TxManager {
+    send(
+        contract: BaseContract,
+        method: string,
+        args?: unknown[],
+        options?: { label?: string }
+    ): Promise<{ id: string; hash: string; wait(): Promise<TransactionReceipt> }>;
+    resume(provider: Provider): Promise<void>;
+    list(): TxRecord[];
+    subscribe(listener: (records: TxRecord[]) => void): () => void;
+    dismiss(id: string): void;
+    clearFinished(): void;
+    getPreferences(): { payFeesIn: FeeCurrency };
+    setPayFeesIn(currency: FeeCurrency): void;
+}
+
+export function createTxManager(options?: { storage?: TxStorage }): TxManager;
+
+export const txManager: TxManager;
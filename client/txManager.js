@@ -0,0 +1,297 @@
+// --- Transaction Manager ---
+// Every contract write goes through here (contractTx.sendAndWait, the SBT backend, scorePublisher):
+// one wallet prompt at a time, gas estimated before signing (so a failing require() is reported
+// without a prompt), optional Celo fee currency, and a persistent record per transaction that the
+// pending-tx tray shows and that survives a page reload.
+
+import { JsonRpcSigner } from 'ethers';
+import { getNetwork } from './networks.js';
+import { decodeTxError, describeTxError, TX_ERROR_KINDS } from './txErrors.js';
+
+export const TX_STATUS = Object.freeze({
+    QUEUED: 'queued',                         // Waiting for an earlier transaction to reach the wallet
+    AWAITING_SIGNATURE: 'awaiting_signature', // Estimating gas / waiting for the wallet
+    PENDING: 'pending',                       // Broadcast, not mined yet
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',                         // Rejected, reverted or never sent
+    REPLACED: 'replaced',                     // Cancelled or replaced from the wallet
+});
+
+export const TX_STATUS_LABELS = Object.freeze({
+    [TX_STATUS.QUEUED]: 'Queued',
+    [TX_STATUS.AWAITING_SIGNATURE]: 'Confirm in wallet',
+    [TX_STATUS.PENDING]: 'Pending',
+    [TX_STATUS.CONFIRMED]: 'Confirmed',
+    [TX_STATUS.FAILED]: 'Failed',
+    [TX_STATUS.REPLACED]: 'Replaced',
+});
+
+// What the user pays gas in. Token addresses per network live in networks.js (feeCurrencies).
+export const FEE_CURRENCIES = Object.freeze({ CELO: 'CELO', CUSD: 'cUSD' });
+
+const STORAGE_KEY = 'credo.transactions';
+const PREFERENCES_KEY = 'credo.txPreferences';
+const MAX_FINISHED_RECORDS = 50;
+const GAS_BUFFER_PERCENT = 20n;
+// Paying gas in an ERC-20 adds the fee token's debit and credit to the transaction's gas
+const FEE_CURRENCY_GAS_OVERHEAD = 50000n;
+const RESPONSE_POLL_MS = 1000;
+const RESPONSE_POLL_ATTEMPTS = 30;
+
+const FINAL_STATUSES = new Set([TX_STATUS.CONFIRMED, TX_STATUS.FAILED, TX_STATUS.REPLACED]);
+
+export const isFinalStatus = (status) => FINAL_STATUSES.has(status);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// In-memory fallback where localStorage is missing (Node scripts)
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+function readJSON(storage, key, fallback) {
+    try {
+        const saved = storage.getItem(key);
+        return saved ? JSON.parse(saved) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+// Polls for a transaction sent with eth_sendTransaction until the node knows it
+async function findResponse(provider, hash, sentBlock) {
+    for (let attempt = 0; attempt < RESPONSE_POLL_ATTEMPTS; attempt++) {
+        const tx = await provider.getTransaction(hash);
+        if (tx) return tx.replaceableTransaction(sentBlock);
+        await sleep(RESPONSE_POLL_MS);
+    }
+    return null;
+}
+
+// A mined revert carries no reason; replaying the call at its block returns it
+async function explainRevert(provider, hash, receipt) {
+    try {
+        const tx = await provider.getTransaction(hash);
+        if (tx) await provider.call({ to: tx.to, from: tx.from, data: tx.data, value: tx.value, blockTag: receipt.blockNumber });
+    } catch (e) {
+        e.receipt = receipt;
+        return e;
+    }
+    const error = new Error(`Transaction ${hash} reverted.`);
+    error.code = 'CALL_EXCEPTION';
+    error.receipt = receipt;
+    return error;
+}
+
+/**
+ * @notice Creates a transaction manager.
+ * @param storage Where records and preferences persist (default localStorage, or memory).
+ * @returns { send, resume, list, subscribe, dismiss, clearFinished, getPreferences, setPayFeesIn }
+ */
+export function createTxManager({ storage = globalThis.localStorage || memoryStorage() } = {}) {
+    // Anything not yet broadcast when the page closed never reached the chain through us
+    let records = readJSON(storage, STORAGE_KEY, []).map(record => (
+        record.status === TX_STATUS.QUEUED || record.status === TX_STATUS.AWAITING_SIGNATURE
+            ? { ...record, status: TX_STATUS.FAILED, error: 'Interrupted: the page closed before this transaction was sent.' }
+            : record));
+    let preferences = { payFeesIn: FEE_CURRENCIES.CELO, ...readJSON(storage, PREFERENCES_KEY, {}) };
+    const listeners = new Set();
+    const watchers = new Map(); // record id -> Promise<receipt>
+    let sendQueue = Promise.resolve();
+    let counter = 0;
+
+    const persist = () => {
+        // Keep every open transaction, and the newest finished ones
+        let finished = 0;
+        records = records.filter(record => !isFinalStatus(record.status) || ++finished <= MAX_FINISHED_RECORDS);
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(records));
+        } catch (e) {
+            // Storage full or unavailable: the records stay in memory for this session
+        }
+        listeners.forEach(listener => listener(records));
+    };
+
+    const find = (id) => records.find(record => record.id === id);
+
+    const update = (id, changes) => {
+        records = records.map(record => (record.id === id ? { ...record, ...changes, updatedAt: Date.now() } : record));
+        persist();
+    };
+
+    const resolveFeeCurrency = (runner, chainId) => {
+        if (preferences.payFeesIn === FEE_CURRENCIES.CELO) return null;
+        const token = getNetwork(chainId)?.feeCurrencies?.[preferences.payFeesIn];
+        // Only a wallet behind JSON-RPC can sign Celo fee-currency transactions; ethers' local Wallet cannot
+        return token && runner instanceof JsonRpcSigner ? token : null;
+    };
+
+    async function broadcast(id, contract, method, args) {
+        update(id, { status: TX_STATUS.AWAITING_SIGNATURE });
+        const runner = contract.runner;
+        const provider = runner.provider;
+        const [network, from, to] = await Promise.all([provider.getNetwork(), runner.getAddress(), contract.getAddress()]);
+        const chainId = Number(network.chainId);
+        const feeCurrency = resolveFeeCurrency(runner, chainId);
+
+        const txRequest = await contract[method].populateTransaction(...args);
+        // Estimating runs the call, so a failing require() surfaces here, before the wallet prompt
+        const estimate = await contract[method].estimateGas(...args);
+        const gasLimit = estimate * (100n + GAS_BUFFER_PERCENT) / 100n + (feeCurrency ? FEE_CURRENCY_GAS_OVERHEAD : 0n);
+        const sentBlock = await provider.getBlockNumber();
+        update(id, { chainId, from, to, feeCurrency, gasLimit: gasLimit.toString(), sentBlock });
+
+        if (!feeCurrency) {
+            const response = await runner.sendTransaction({ ...txRequest, gasLimit });
+            update(id, { status: TX_STATUS.PENDING, hash: response.hash, nonce: response.nonce });
+            return response;
+        }
+
+        // ethers drops unknown fields, so the Celo feeCurrency field goes to the wallet directly
+        const rpcTx = provider.getRpcTransaction({ ...txRequest, from, gasLimit });
+        const hash = await provider.send('eth_sendTransaction', [{ ...rpcTx, feeCurrency }]);
+        update(id, { status: TX_STATUS.PENDING, hash });
+        const response = await findResponse(provider, hash, sentBlock);
+        if (response) update(id, { nonce: response.nonce });
+        return response;
+    }
+
+    // Waits for the receipt once per record; transient errors allow another wait() later
+    function watch(id, provider, response) {
+        if (watchers.has(id)) return watchers.get(id);
+        const { hash } = find(id);
+
+        const promise = (async () => {
+            try {
+                const receipt = response ? await response.wait() : await provider.waitForTransaction(hash);
+                if (receipt.status !== 1) throw await explainRevert(provider, receipt.hash, receipt);
+                // ethers resolves a sped-up (repriced) transaction with the replacement's receipt
+                update(id, {
+                    status: TX_STATUS.CONFIRMED,
+                    blockNumber: receipt.blockNumber,
+                    gasUsed: receipt.gasUsed.toString(),
+                    ...(receipt.hash !== hash ? { replacedBy: receipt.hash } : {}),
+                });
+                return receipt;
+            } catch (e) {
+                let error = e;
+                if (e.code === 'CALL_EXCEPTION' && e.receipt && !e.reason && !e.revert) {
+                    error = await explainRevert(provider, e.receipt.hash, e.receipt);
+                }
+                const { kind, message } = decodeTxError(error);
+                if (kind === TX_ERROR_KINDS.REPLACED) {
+                    update(id, { status: TX_STATUS.REPLACED, replacedBy: e.replacement ? e.replacement.hash : null, error: message });
+                } else if (kind === TX_ERROR_KINDS.REVERT) {
+                    update(id, { status: TX_STATUS.FAILED, blockNumber: e.receipt ? e.receipt.blockNumber : null, error: message });
+                } else {
+                    watchers.delete(id);
+                }
+                throw error;
+            }
+        })();
+
+        watchers.set(id, promise);
+        return promise;
+    }
+
+    return {
+        /**
+         * @notice Queues `contract[method](...args)`, estimates gas and sends it once earlier
+         * transactions have reached the wallet.
+         * @param options.label What the tray shows, e.g. 'Apply for loan'.
+         * @returns { id, hash, wait() } once broadcast; wait() resolves with the receipt and throws
+         * a decodable error (describeTxError) on revert or replacement.
+         * @throws The estimation or wallet error (the record is marked FAILED).
+         */
+        async send(contract, method, args = [], { label = method } = {}) {
+            const id = `${Date.now()}-${++counter}`;
+            records = [{ id, label, method, status: TX_STATUS.QUEUED, createdAt: Date.now(), updatedAt: Date.now() }, ...records];
+            persist();
+
+            const run = sendQueue.then(() => broadcast(id, contract, method, args));
+            sendQueue = run.catch(() => {});
+
+            let response;
+            try {
+                response = await run;
+            } catch (e) {
+                update(id, { status: TX_STATUS.FAILED, error: describeTxError(e) });
+                throw e;
+            }
+
+            const provider = contract.runner.provider;
+            watch(id, provider, response).catch(() => {}); // Keeps the record current when nobody waits
+            return { id, hash: find(id).hash, wait: () => watch(id, provider, response) };
+        },
+
+        /**
+         * @notice Picks up PENDING transactions of this chain after a reload or reconnect.
+         * @dev A hash the node no longer knows, whose nonce has been used, was replaced from the wallet.
+         */
+        async resume(provider) {
+            const chainId = Number((await provider.getNetwork()).chainId);
+            const open = records.filter(record => record.status === TX_STATUS.PENDING && record.chainId === chainId && !watchers.has(record.id));
+            for (const record of open) {
+                try {
+                    const tx = await provider.getTransaction(record.hash);
+                    if (tx) {
+                        const startBlock = record.sentBlock ?? await provider.getBlockNumber();
+                        watch(record.id, provider, tx.replaceableTransaction(startBlock)).catch(() => {});
+                    } else if (record.nonce != null && await provider.getTransactionCount(record.from, 'latest') > record.nonce) {
+                        update(record.id, { status: TX_STATUS.REPLACED, error: 'Another transaction with the same nonce was mined instead.' });
+                    }
+                } catch (e) {
+                    // Node unreachable: the next resume tries again
+                }
+            }
+        },
+
+        // Records, newest first
+        list() {
+            return records;
+        },
+
+        // listener(records) on every change; returns unsubscribe
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        dismiss(id) {
+            const record = find(id);
+            if (!record || !isFinalStatus(record.status)) return;
+            records = records.filter(r => r.id !== id);
+            persist();
+        },
+
+        clearFinished() {
+            records = records.filter(record => !isFinalStatus(record.status));
+            persist();
+        },
+
+        getPreferences() {
+            return preferences;
+        },
+
+        setPayFeesIn(currency) {
+            if (!Object.values(FEE_CURRENCIES).includes(currency)) {
+                throw new Error(`Unknown fee currency "${currency}".`);
+            }
+            preferences = { ...preferences, payFeesIn: currency };
+            try {
+                storage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+            } catch (e) {
+                // Kept in memory for this session
+            }
+            listeners.forEach(listener => listener(records));
+        },
+    };
+}
+
+// The app-wide manager: one send queue and one record list per page
+export const txManager = createTxManager();
@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { txManager, TX_STATUS, FEE_CURRENCIES, isFinalStatus } from './txManager.js';
+import { txUrl } from './networks.js';
+import { useI18n } from './i18n.js';
+
+const STATUS_STYLES = {
+    [TX_STATUS.QUEUED]: 'bg-gray-100 text-gray-700',
+    [TX_STATUS.AWAITING_SIGNATURE]: 'bg-yellow-100 text-yellow-800',
+    [TX_STATUS.PENDING]: 'bg-blue-100 text-blue-800',
+    [TX_STATUS.CONFIRMED]: 'bg-green-100 text-green-800',
+    [TX_STATUS.FAILED]: 'bg-red-100 text-red-800',
+    [TX_STATUS.REPLACED]: 'bg-orange-100 text-orange-800',
+};
+
+const shortHash = (hash) => `${hash.slice(0, 10)}...${hash.slice(-6)}`;
+
+// Hash as an explorer link when the network has an explorer
+const TxHash = ({ chainId, hash }) => {
+    const url = txUrl(chainId, hash);
+    return url
+        ? <a href={url} target="_blank" rel="noreferrer" className="font-mono text-indigo-600 hover:underline">{shortHash(hash)}</a>
+        : <span className="font-mono text-gray-500">{shortHash(hash)}</span>;
+};
+
+/**
+ * @notice The manager's records and fee preference; re-renders on every change.
+ */
+export function useTransactions(manager = txManager) {
+    const [state, setState] = useState(() => ({ records: manager.list(), preferences: manager.getPreferences() }));
+
+    useEffect(() => manager.subscribe(records => setState({ records, preferences: manager.getPreferences() })), [manager]);
+
+    return state;
+}
+
+// --- Component: Pending Transaction Tray (every write, across reloads) ---
+const PendingTxTray = ({ network, manager = txManager }) => {
+    const { records, preferences } = useTransactions(manager);
+    const [isOpen, setIsOpen] = useState(false);
+    const { t, formatTime } = useI18n();
+
+    // Records not yet broadcast have no chain id; the others show on their own network only
+    const visible = records.filter(record => !record.chainId || record.chainId === network.chainId);
+    const openCount = visible.filter(record => !isFinalStatus(record.status)).length;
+    const canPayInCUSD = !!(network.feeCurrencies && network.feeCurrencies.cUSD);
+
+    // Open the tray whenever a new transaction starts
+    const previousOpenCount = useRef(openCount);
+    useEffect(() => {
+        if (openCount > previousOpenCount.current) setIsOpen(true);
+        previousOpenCount.current = openCount;
+    }, [openCount]);
+
+    if (visible.length === 0 && !canPayInCUSD) return null;
+
+    return (
+        <div className="fixed bottom-5 start-5 z-40 w-96 max-w-[calc(100vw-2.5rem)]">
+            {isOpen && (
+                <div className="mb-2 bg-white rounded-xl shadow-2xl border border-gray-200">
+                    <div className="flex justify-between items-center p-3 border-b">
+                        <p className="font-bold text-gray-800">{t('txTray.title')}</p>
+                        {canPayInCUSD && (
+                            <label className="flex items-center gap-2 text-xs text-gray-600">
+                                <span>{t('txTray.payFeesIn')}</span>
+                                <select
+                                    value={preferences.payFeesIn}
+                                    onChange={(e) => manager.setPayFeesIn(e.target.value)}
+                                    className="p-1 border border-gray-300 rounded"
+                                >
+                                    <option value={FEE_CURRENCIES.CELO}>{network.nativeCurrency.symbol}</option>
+                                    <option value={FEE_CURRENCIES.CUSD}>cUSD</option>
+                                </select>
+                            </label>
+                        )}
+                    </div>
+                    {visible.length === 0 ? (
+                        <p className="p-4 text-sm text-gray-500 italic">{t('txTray.empty')}</p>
+                    ) : (
+                        <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+                            {visible.map(record => (
+                                <li key={record.id} className="p-3 text-xs space-y-1">
+                                    <div className="flex justify-between items-start gap-2">
+                                        <p className="text-sm font-semibold text-gray-800">{record.label}</p>
+                                        <div className="flex items-center gap-1 shrink-0">
+                                            <span className={`px-2 py-0.5 rounded-full font-bold ${STATUS_STYLES[record.status]}`}>{t(`txStatus.${record.status}`)}</span>
+                                            {isFinalStatus(record.status) && (
+                                                <button onClick={() => manager.dismiss(record.id)} title={t('common.dismiss')} className="px-1 text-gray-400 hover:text-gray-700">×</button>
+                                            )}
+                                        </div>
+                                    </div>
+                                    <p className="text-gray-500">
+                                        {formatTime(record.createdAt)}
+                                        {record.feeCurrency && ` · ${t('txTray.feesInCUSD')}`}
+                                        {record.hash && <> · <TxHash chainId={record.chainId} hash={record.hash} /></>}
+                                    </p>
+                                    {record.replacedBy && <p className="text-gray-600">{t('txTray.replacedBy', { hash: <TxHash chainId={record.chainId} hash={record.replacedBy} /> })}</p>}
+                                    {record.error && <p className="text-red-700">{record.error}</p>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {visible.some(record => isFinalStatus(record.status)) && (
+                        <div className="p-2 border-t text-end">
+                            <button onClick={() => manager.clearFinished()} className="text-xs font-semibold text-gray-600 hover:underline">{t('txTray.clearFinished')}</button>
+                        </div>
+                    )}
+                </div>
+            )}
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className={`px-4 py-2 rounded-full shadow-lg text-sm font-semibold ${openCount > 0 ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border border-gray-300'}`}
+            >
+                {openCount > 0 ? t('txTray.inProgress', { count: openCount }) : t('txTray.title')}
+            </button>
+        </div>
+    );
+};
+
+export default PendingTxTray;
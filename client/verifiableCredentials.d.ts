@@ -0,0 +1,108 @@
+// Type declarations for verifiableCredentials.js (used by the TypeScript tests under test/).
+
+import type { Contract, Provider, Signer, TypedDataDomain, TypedDataField } from 'ethers';
+import type { PointLevelName, TaskTypeName } from './sbtCodec.js';
+
+export const CREDENTIAL_TYPE: 'CredoSBTCredential';
+export const PROOF_TYPE: 'EthereumEip712Signature2021';
+
+export class CredentialFormatError extends Error {
+    constructor(message: string);
+}
+
+export function toDid(chainId: number | bigint, address: string): string;
+export function parseDid(did: string): { chainId: number; address: string };
+
+export interface CredentialSBT {
+    chainId: number;
+    contractAddress: string;
+    tokenId: number;
+    title: string;
+    taskType: TaskTypeName;
+    pointLevel: PointLevelName;
+    points: number;
+    issuer: string;
+    issuedAt: number;
+}
+
+export interface Eip712Proof {
+    type: typeof PROOF_TYPE;
+    created: string;
+    proofPurpose: 'assertionMethod' | 'authentication';
+    verificationMethod: string;
+    challenge?: string;
+    domain?: string;
+    proofValue: string;
+    eip712: { domain: TypedDataDomain; types: Record<string, TypedDataField[]>; primaryType: string };
+}
+
+export interface SBTCredential {
+    '@context': string[];
+    id: string;
+    type: ['VerifiableCredential', typeof CREDENTIAL_TYPE];
+    issuer: string;
+    issuanceDate: string;
+    credentialSubject: { id: string; sbt: CredentialSBT };
+    proof?: Eip712Proof;
+}
+
+export interface SBTPresentation {
+    '@context': string[];
+    id: string;
+    type: ['VerifiablePresentation'];
+    holder: string;
+    verifiableCredential: SBTCredential[];
+    proof: Eip712Proof;
+}
+
+export function buildSBTCredential(args: {
+    token: { id: number; title: string; taskType: number; pointLevel: number; issuer: string; issuedAt: number };
+    holder: string;
+    chainId: number;
+    contractAddress: string;
+    issuanceDate: string;
+}): SBTCredential;
+export function issueSBTCredentials(
+    sbt: Contract,
+    tokenIds: (number | bigint)[],
+    options?: { now?: number }
+): Promise<SBTCredential[]>;
+export function createPresentation(
+    signer: Signer,
+    credentials: SBTCredential[],
+    options?: { challenge?: string; domain?: string; now?: number }
+): Promise<SBTPresentation>;
+
+export interface CredentialVerification {
+    valid: boolean;
+    id: string | null;
+    tokenId: number | null;
+    holder: string | null;
+    signatureValid: boolean;
+    onChain: { exists: boolean; heldByHolder: boolean; dataMatches: boolean };
+    errors: string[];
+}
+
+export interface PresentationVerification {
+    valid: boolean;
+    holder: string | null;
+    signatureValid: boolean;
+    errors: string[];
+    credentials: CredentialVerification[];
+}
+
+export function verifyCredential(
+    credential: unknown,
+    options: { provider: Provider; sbtContract: string }
+): Promise<CredentialVerification>;
+export function verifyPresentation(
+    presentation: unknown,
+    options: { provider: Provider; sbtContract: string; challenge?: string; domain?: string }
+): Promise<PresentationVerification>;
+export function verifyDocument(
+    document: unknown,
+    options: { provider: Provider; sbtContract: string; challenge?: string; domain?: string }
+): Promise<
+    | ({ kind: 'presentation' } & PresentationVerification)
+    | { kind: 'credentials'; valid: boolean; credentials: CredentialVerification[]; errors: string[] }
+>;
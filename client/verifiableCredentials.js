@@ -0,0 +1,401 @@
+// --- W3C Verifiable Credentials for SBTs ---
+// A holder exports SBTs as Verifiable Credentials (VC Data Model 1.1) signed by their own wallet
+// with EIP-712 (proof type EthereumEip712Signature2021), optionally wrapped in a signed Verifiable
+// Presentation. The signature binds the SBT fields to the holder; the verifier then confirms on
+// chain that the token still exists, is held by the holder and carries the same data.
+// Used by the Credentials view and scripts/verifyCredential.mjs.
+
+import { Contract, TypedDataEncoder, getAddress, verifyTypedData } from 'ethers';
+import { SOULBOUND_TOKEN_ABI } from './contractAbis.js';
+import { decodeSBTData, toTaskTypeName, toPointLevelName, getPointValueFromLevel } from './sbtCodec.js';
+
+export const CREDENTIAL_TYPE = 'CredoSBTCredential';
+export const PROOF_TYPE = 'EthereumEip712Signature2021';
+
+const VC_CONTEXTS = ['https://www.w3.org/2018/credentials/v1', 'https://w3id.org/security/suites/eip712sig-2021/v1'];
+const DOMAIN_NAME = 'Credo SBT Credentials';
+const DOMAIN_VERSION = '1';
+
+const CREDENTIAL_TYPES = {
+    Credential: [
+        { name: 'id', type: 'string' },
+        { name: 'issuer', type: 'string' },
+        { name: 'issuanceDate', type: 'string' },
+        { name: 'credentialSubject', type: 'CredentialSubject' },
+    ],
+    CredentialSubject: [
+        { name: 'id', type: 'string' },
+        { name: 'sbt', type: 'SoulboundToken' },
+    ],
+    SoulboundToken: [
+        { name: 'chainId', type: 'uint256' },
+        { name: 'contractAddress', type: 'address' },
+        { name: 'tokenId', type: 'uint256' },
+        { name: 'title', type: 'string' },
+        { name: 'taskType', type: 'string' },
+        { name: 'pointLevel', type: 'string' },
+        { name: 'points', type: 'uint256' },
+        { name: 'issuer', type: 'address' },
+        { name: 'issuedAt', type: 'uint256' }, // Unix seconds, as in SBTData
+    ],
+};
+
+const PRESENTATION_TYPES = {
+    Presentation: [
+        { name: 'id', type: 'string' },
+        { name: 'holder', type: 'string' },
+        { name: 'credentials', type: 'bytes32[]' }, // EIP-712 struct hashes of the enclosed credentials
+        { name: 'challenge', type: 'string' },
+        { name: 'domain', type: 'string' },
+        { name: 'created', type: 'string' },
+    ],
+};
+
+/**
+ * @notice Thrown for documents that are not credentials/presentations of this format.
+ */
+export class CredentialFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CredentialFormatError';
+    }
+}
+
+// did:pkh (CAIP-10) identifiers for EVM accounts
+export const toDid = (chainId, address) => `did:pkh:eip155:${chainId}:${getAddress(address)}`;
+
+export function parseDid(did) {
+    const match = /^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})$/.exec(did || '');
+    if (!match) throw new CredentialFormatError(`Not an EVM did:pkh identifier: ${did}`);
+    return { chainId: Number(match[1]), address: getAddress(match[2]) };
+}
+
+const typedDomain = (chainId, contractAddress) => ({
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: getAddress(contractAddress),
+});
+
+// The signed part of a credential (everything except @context, type and proof)
+const credentialMessage = (credential) => ({
+    id: credential.id,
+    issuer: credential.issuer,
+    issuanceDate: credential.issuanceDate,
+    credentialSubject: {
+        id: credential.credentialSubject.id,
+        sbt: credential.credentialSubject.sbt,
+    },
+});
+
+const credentialHash = (credential) => TypedDataEncoder.hash(
+    typedDomain(credential.credentialSubject.sbt.chainId, credential.credentialSubject.sbt.contractAddress),
+    CREDENTIAL_TYPES,
+    credentialMessage(credential)
+);
+
+const buildProof = ({ did, created, proofPurpose, signature, domain, types, primaryType, extra = {} }) => ({
+    type: PROOF_TYPE,
+    created,
+    proofPurpose,
+    verificationMethod: `${did}#blockchainAccountId`,
+    ...extra,
+    proofValue: signature,
+    eip712: { domain, types, primaryType },
+});
+
+// --- Issuing (holder side) ---
+
+/**
+ * @notice Builds the unsigned credential for one SBT. The holder is both issuer and subject: the
+ * credential asserts what the holder holds, and the chain backs it.
+ * @param token Decoded SBT (decodeSBTData) with issuedAt in ms.
+ */
+export function buildSBTCredential({ token, holder, chainId, contractAddress, issuanceDate }) {
+    const did = toDid(chainId, holder);
+    return {
+        '@context': VC_CONTEXTS,
+        id: `urn:credo:sbt:${chainId}:${getAddress(contractAddress)}:${token.id}`,
+        type: ['VerifiableCredential', CREDENTIAL_TYPE],
+        issuer: did,
+        issuanceDate,
+        credentialSubject: {
+            id: did,
+            sbt: {
+                chainId,
+                contractAddress: getAddress(contractAddress),
+                tokenId: token.id,
+                title: token.title,
+                taskType: toTaskTypeName(token.taskType),
+                pointLevel: toPointLevelName(token.pointLevel),
+                points: getPointValueFromLevel(token.pointLevel),
+                issuer: getAddress(token.issuer),
+                issuedAt: Math.floor(token.issuedAt / 1000),
+            },
+        },
+    };
+}
+
+/**
+ * @notice Reads the chosen SBTs from the chain and signs one credential per token (one wallet prompt each).
+ * @param sbt SoulboundToken contract connected to the holder's signer (getContract('soulboundToken')).
+ * @throws Error when a token is not held by the signer.
+ */
+export async function issueSBTCredentials(sbt, tokenIds, { now = Date.now() } = {}) {
+    const signer = sbt.runner;
+    const holder = await signer.getAddress();
+    const { chainId } = await signer.provider.getNetwork();
+    const contractAddress = await sbt.getAddress();
+    const issuanceDate = new Date(now).toISOString();
+
+    const credentials = [];
+    for (const tokenId of tokenIds) {
+        const owner = await sbt.ownerOf(tokenId);
+        if (owner.toLowerCase() !== holder.toLowerCase()) {
+            throw new Error(`SBT #${tokenId} is not held by ${holder}.`);
+        }
+        const token = decodeSBTData(tokenId, await sbt.getSBTData(tokenId), holder);
+        const credential = buildSBTCredential({ token, holder, chainId: Number(chainId), contractAddress, issuanceDate });
+
+        const domain = typedDomain(Number(chainId), contractAddress);
+        const signature = await signer.signTypedData(domain, CREDENTIAL_TYPES, credentialMessage(credential));
+        credentials.push({
+            ...credential,
+            proof: buildProof({
+                did: credential.issuer,
+                created: issuanceDate,
+                proofPurpose: 'assertionMethod',
+                signature,
+                domain,
+                types: CREDENTIAL_TYPES,
+                primaryType: 'Credential',
+            }),
+        });
+    }
+    return credentials;
+}
+
+/**
+ * @notice Wraps signed credentials in a Verifiable Presentation signed by the same holder.
+ * @param challenge / domain Values supplied by the verifier so the presentation cannot be replayed elsewhere.
+ */
+export async function createPresentation(signer, credentials, { challenge = '', domain = '', now = Date.now() } = {}) {
+    if (credentials.length === 0) throw new CredentialFormatError("A presentation needs at least one credential.");
+    const { chainId, contractAddress } = credentials[0].credentialSubject.sbt;
+    if (credentials.some(c => c.credentialSubject.sbt.chainId !== chainId || c.credentialSubject.sbt.contractAddress !== contractAddress)) {
+        throw new CredentialFormatError("All credentials in a presentation must come from the same SoulboundToken deployment.");
+    }
+
+    const holder = toDid(chainId, await signer.getAddress());
+    const created = new Date(now).toISOString();
+    const message = {
+        id: `urn:uuid:${globalThis.crypto.randomUUID()}`,
+        holder,
+        credentials: credentials.map(credentialHash),
+        challenge,
+        domain,
+        created,
+    };
+    const typedDataDomain = typedDomain(chainId, contractAddress);
+    const signature = await signer.signTypedData(typedDataDomain, PRESENTATION_TYPES, message);
+
+    return {
+        '@context': VC_CONTEXTS,
+        id: message.id,
+        type: ['VerifiablePresentation'],
+        holder,
+        verifiableCredential: credentials,
+        proof: buildProof({
+            did: holder,
+            created,
+            proofPurpose: 'authentication',
+            signature,
+            domain: typedDataDomain,
+            types: PRESENTATION_TYPES,
+            primaryType: 'Presentation',
+            extra: { challenge, domain },
+        }),
+    };
+}
+
+// --- Verifying (partner side) ---
+
+// The verifier's own SoulboundToken address. The one inside a document is only compared with it:
+// anyone can deploy a contract that answers ownerOf/getSBTData however they like.
+function requireExpectedContract(sbtContract) {
+    if (!sbtContract) {
+        throw new Error("Verifying needs the expected SoulboundToken address (sbtContract).");
+    }
+    return getAddress(sbtContract);
+}
+
+const isExpectedContract = (address, expected) => {
+    try {
+        return getAddress(address) === expected;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * @notice Verifies one credential: its EIP-712 signature and the token's current state on chain.
+ * @param provider Read-only provider for the credential's chain.
+ * @param sbtContract The SoulboundToken address the verifier trusts (required). Credentials naming
+ * another contract are rejected.
+ * @returns { valid, id, tokenId, holder, signatureValid, onChain: { exists, heldByHolder, dataMatches }, errors }
+ */
+export async function verifyCredential(credential, { provider, sbtContract }) {
+    const expectedContract = requireExpectedContract(sbtContract);
+    const errors = [];
+    const result = {
+        valid: false,
+        id: credential?.id ?? null,
+        tokenId: null,
+        holder: null,
+        signatureValid: false,
+        onChain: { exists: false, heldByHolder: false, dataMatches: false },
+        errors,
+    };
+
+    let sbtFields;
+    try {
+        if (!credential?.type?.includes(CREDENTIAL_TYPE)) throw new CredentialFormatError(`Not a ${CREDENTIAL_TYPE}.`);
+        if (credential.proof?.type !== PROOF_TYPE) throw new CredentialFormatError(`Unsupported proof type ${credential.proof?.type}.`);
+        sbtFields = credential.credentialSubject.sbt;
+        const subject = parseDid(credential.credentialSubject.id);
+        if (credential.issuer !== credential.credentialSubject.id) {
+            throw new CredentialFormatError("The credential must be issued by its subject (the holder).");
+        }
+        if (subject.chainId !== sbtFields.chainId) throw new CredentialFormatError("The holder DID and the SBT are on different chains.");
+        if (!isExpectedContract(sbtFields.contractAddress, expectedContract)) {
+            throw new CredentialFormatError(`The credential names SoulboundToken ${sbtFields.contractAddress}, not ${expectedContract}.`);
+        }
+        result.holder = subject.address;
+        result.tokenId = sbtFields.tokenId;
+    } catch (e) {
+        errors.push(e.message);
+        return result;
+    }
+
+    // 1. Signature: recovered signer must be the holder
+    try {
+        const signer = verifyTypedData(
+            typedDomain(sbtFields.chainId, expectedContract),
+            CREDENTIAL_TYPES,
+            credentialMessage(credential),
+            credential.proof.proofValue
+        );
+        result.signatureValid = signer === result.holder;
+        if (!result.signatureValid) errors.push(`Signed by ${signer}, not by the holder ${result.holder}.`);
+    } catch (e) {
+        errors.push(`Invalid signature: ${e.shortMessage || e.message}`);
+    }
+
+    // 2. Chain: the token exists, is still held by the holder and has the signed data
+    try {
+        const { chainId } = await provider.getNetwork();
+        if (Number(chainId) !== sbtFields.chainId) {
+            throw new Error(`The provider is on chain ${chainId}, the credential on chain ${sbtFields.chainId}.`);
+        }
+        const sbt = new Contract(expectedContract, SOULBOUND_TOKEN_ABI, provider);
+        let owner;
+        try {
+            owner = await sbt.ownerOf(sbtFields.tokenId);
+            result.onChain.exists = true;
+        } catch (e) {
+            throw new Error(`SBT #${sbtFields.tokenId} no longer exists (burned or never minted).`);
+        }
+        result.onChain.heldByHolder = getAddress(owner) === result.holder;
+        if (!result.onChain.heldByHolder) errors.push(`SBT #${sbtFields.tokenId} is now held by ${owner}.`);
+
+        const onChain = buildSBTCredential({
+            token: decodeSBTData(sbtFields.tokenId, await sbt.getSBTData(sbtFields.tokenId), owner),
+            holder: result.holder,
+            chainId: sbtFields.chainId,
+            contractAddress: sbtFields.contractAddress,
+            issuanceDate: credential.issuanceDate,
+        }).credentialSubject.sbt;
+        const mismatched = Object.keys(onChain).filter(field => String(onChain[field]) !== String(sbtFields[field]));
+        result.onChain.dataMatches = mismatched.length === 0;
+        if (!result.onChain.dataMatches) errors.push(`On-chain data differs in: ${mismatched.join(', ')}.`);
+    } catch (e) {
+        errors.push(e.shortMessage || e.message);
+    }
+
+    result.valid = result.signatureValid && result.onChain.exists && result.onChain.heldByHolder && result.onChain.dataMatches;
+    return result;
+}
+
+/**
+ * @notice Verifies a presentation: the holder's signature over the enclosed credentials, the
+ * verifier's challenge/domain, and every credential (verifyCredential).
+ * @param sbtContract The SoulboundToken address the verifier trusts (required).
+ * @param challenge / domain The values the verifier asked for; omit to skip the check.
+ * @returns { valid, holder, signatureValid, errors, credentials: [verifyCredential results] }
+ */
+export async function verifyPresentation(presentation, { provider, sbtContract, challenge, domain }) {
+    const expectedContract = requireExpectedContract(sbtContract);
+    const errors = [];
+    const result = { valid: false, holder: presentation?.holder ?? null, signatureValid: false, errors, credentials: [] };
+
+    const credentials = presentation?.verifiableCredential;
+    if (!presentation?.type?.includes('VerifiablePresentation') || !Array.isArray(credentials) || credentials.length === 0) {
+        errors.push("Not a Verifiable Presentation with credentials.");
+        return result;
+    }
+    if (presentation.proof?.type !== PROOF_TYPE) {
+        errors.push(`Unsupported proof type ${presentation.proof?.type}.`);
+        return result;
+    }
+
+    let holderAddress = null;
+    try {
+        const holder = parseDid(presentation.holder);
+        holderAddress = holder.address;
+        const { chainId } = credentials[0].credentialSubject.sbt;
+        const message = {
+            id: presentation.id,
+            holder: presentation.holder,
+            credentials: credentials.map(credentialHash),
+            challenge: presentation.proof.challenge ?? '',
+            domain: presentation.proof.domain ?? '',
+            created: presentation.proof.created,
+        };
+        const signer = verifyTypedData(typedDomain(chainId, expectedContract), PRESENTATION_TYPES, message, presentation.proof.proofValue);
+        result.signatureValid = signer === holder.address;
+        if (!result.signatureValid) errors.push(`Presentation signed by ${signer}, not by the holder ${holder.address}.`);
+    } catch (e) {
+        errors.push(`Invalid presentation signature: ${e.shortMessage || e.message}`);
+    }
+
+    if (challenge !== undefined && presentation.proof.challenge !== challenge) errors.push("The challenge does not match.");
+    if (domain !== undefined && presentation.proof.domain !== domain) errors.push("The domain does not match.");
+
+    for (const credential of credentials) {
+        const checked = await verifyCredential(credential, { provider, sbtContract: expectedContract });
+        if (checked.holder !== holderAddress) {
+            checked.valid = false;
+            checked.errors.push("The credential's holder is not the presentation's holder.");
+        }
+        result.credentials.push(checked);
+    }
+
+    result.valid = errors.length === 0 && result.signatureValid && result.credentials.every(c => c.valid);
+    return result;
+}
+
+/**
+ * @notice Verifies either document type: a presentation, a single credential or an array of credentials.
+ * @param options { provider, sbtContract, challenge?, domain? } (see verifyPresentation).
+ * @returns { kind: 'presentation' | 'credentials', valid, ... }
+ */
+export async function verifyDocument(document, options) {
+    requireExpectedContract(options.sbtContract);
+    if (document?.type?.includes('VerifiablePresentation')) {
+        return { kind: 'presentation', ...(await verifyPresentation(document, options)) };
+    }
+    const credentials = Array.isArray(document) ? document : [document];
+    const results = [];
+    for (const credential of credentials) results.push(await verifyCredential(credential, options));
+    return { kind: 'credentials', valid: results.length > 0 && results.every(r => r.valid), credentials: results, errors: [] };
+}
@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { TASK_TYPES, POINT_LEVELS } from './sbtCodec.js';
+import { getInterestRateTier, INTEREST_RATE_TIERS } from './loanPricing.js';
+import { simulateWhatIf, forecastScoreDecay, buildDecayThresholds } from './scoreForecast.js';
+import { useI18n } from './i18n.js';
+
+const HORIZONS = [12, 24, 36];
+
+const SERIES = [
+    { key: 'FINANCIAL_RISK', color: '#4f46e5' },
+    { key: 'UBI_ELIGIBILITY', color: '#16a34a' },
+];
+
+/**
+ * @notice Reads the on-chain eligibility minimums; resolves to {} when they cannot be read (mock backend).
+ */
+async function readEligibilityMinimums(getContract) {
+    try {
+        const [, loanMinAIScore] = await getContract('loanManager').getEligibilityCriteria();
+        const [, ledgerMinAIScore] = await getContract('pointLedger').getEligibilityCriteria();
+        return { loanMinAIScore: Number(loanMinAIScore), ledgerMinAIScore: Number(ledgerMinAIScore) };
+    } catch (e) {
+        return {};
+    }
+}
+
+// --- Component: Decay chart (plain SVG, 0-1000 scale) ---
+const DecayChart = ({ points, thresholds }) => {
+    const { t, formatNumber } = useI18n();
+    const width = 640;
+    const height = 220;
+    const pad = 32;
+    const x = (month) => pad + (month / (points.length - 1)) * (width - 2 * pad);
+    const y = (score) => height - pad - (score / 1000) * (height - 2 * pad);
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-white rounded-lg border border-gray-200">
+            {[0, 250, 500, 750, 1000].map(score => (
+                <g key={score}>
+                    <line x1={pad} x2={width - pad} y1={y(score)} y2={y(score)} stroke="#f3f4f6" />
+                    <text x={4} y={y(score) + 4} fontSize="10" fill="#9ca3af">{formatNumber(score)}</text>
+                </g>
+            ))}
+            {thresholds.map(threshold => (
+                <line key={threshold.key} x1={pad} x2={width - pad} y1={y(threshold.minScore)} y2={y(threshold.minScore)}
+                    stroke={threshold.scoreType === 'FINANCIAL_RISK' ? '#a5b4fc' : '#86efac'} strokeDasharray="4 4" />
+            ))}
+            {SERIES.map(series => (
+                <polyline
+                    key={series.key}
+                    fill="none"
+                    stroke={series.color}
+                    strokeWidth="2"
+                    points={points.map(p => `${x(p.month)},${y(p[series.key])}`).join(' ')}
+                />
+            ))}
+            {points.filter(p => p.month % 6 === 0).map(p => (
+                <text key={p.month} x={x(p.month)} y={height - 10} fontSize="10" fill="#6b7280" textAnchor="middle">
+                    {p.month === 0 ? t('whatIf.now') : t('whatIf.monthTick', { months: p.month })}
+                </text>
+            ))}
+        </svg>
+    );
+};
+
+// --- Component: Holder What-If Simulator & Decay Forecast ---
+const WhatIfSimulator = ({ sbtTokens, walletAddress, getContract }) => {
+    const [hypotheticals, setHypotheticals] = useState([]);
+    const [taskType, setTaskType] = useState(TASK_TYPES.LOAN_REPAYMENT_LARGE);
+    const [pointLevel, setPointLevel] = useState(POINT_LEVELS.LEVEL_A_PRESTIGE);
+    const [count, setCount] = useState(1);
+    const [horizon, setHorizon] = useState(24);
+    const [minimums, setMinimums] = useState({});
+    const { t, formatNumber, formatRate, formatDate, taskLabel, pointLevelLabel } = useI18n();
+
+    const holderTokens = useMemo(() =>
+        sbtTokens.filter(token => token.recipient && token.recipient.toLowerCase() === walletAddress.toLowerCase())
+    , [sbtTokens, walletAddress]);
+
+    useEffect(() => {
+        let cancelled = false;
+        readEligibilityMinimums(getContract).then(result => { if (!cancelled) setMinimums(result); });
+        return () => { cancelled = true; };
+    }, [getContract]);
+
+    // Both views share one reference time so they agree with each other
+    const now = useMemo(() => Date.now(), [holderTokens, hypotheticals, horizon]);
+    const whatIf = useMemo(() => simulateWhatIf(holderTokens, hypotheticals, { now }), [holderTokens, hypotheticals, now]);
+    const thresholds = useMemo(() => buildDecayThresholds(minimums), [minimums]);
+    const forecast = useMemo(() => forecastScoreDecay(holderTokens, { months: horizon, thresholds, now }), [holderTokens, horizon, thresholds, now]);
+
+    const addHypothetical = () => {
+        setHypotheticals(prev => [...prev, { taskType, pointLevel, count }]);
+    };
+    const removeHypothetical = (index) => {
+        setHypotheticals(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const currentTier = getInterestRateTier(whatIf.current.FINANCIAL_RISK.score);
+    const projectedTier = getInterestRateTier(whatIf.projected.FINANCIAL_RISK.score);
+
+    const formatDelta = (delta) => (delta > 0 ? `+${formatNumber(delta)}` : formatNumber(delta));
+    const thresholdLabel = (threshold) => (threshold.tier
+        ? t('whatIf.rateTierThreshold', {
+            tier: t(`rateTiers.${threshold.tier}`),
+            rate: formatRate(INTEREST_RATE_TIERS.find(tier => tier.name === threshold.tier).rateBps),
+        })
+        : t(`whatIf.thresholds.${threshold.key}`));
+
+    return (
+        <div className="p-6 bg-white shadow-xl rounded-xl w-full max-w-4xl mx-auto">
+            <h2 className="text-3xl font-extrabold text-gray-800 mb-6 border-b pb-2">
+                {t('whatIf.title', { highlight: <span className="text-indigo-600">{t('whatIf.titleHighlight')}</span> })}
+            </h2>
+
+            {/* 1. Hypothetical SBTs */}
+            <div className="bg-gray-50 p-6 rounded-xl shadow-inner mb-6">
+                <h3 className="text-lg font-bold text-gray-700 mb-3">{t('whatIf.addTitle')}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                    <select
+                        value={taskType}
+                        onChange={(e) => setTaskType(Number(e.target.value))}
+                        className="p-3 border border-gray-300 rounded-lg md:col-span-2"
+                    >
+                        {Object.values(TASK_TYPES).map(type => (
+                            <option key={type} value={type}>{taskLabel(type)}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={pointLevel}
+                        onChange={(e) => setPointLevel(Number(e.target.value))}
+                        className="p-3 border border-gray-300 rounded-lg"
+                    >
+                        {Object.values(POINT_LEVELS).map(level => (
+                            <option key={level} value={level}>{pointLevelLabel(level)}</option>
+                        ))}
+                    </select>
+                    <div className="flex gap-2">
+                        <input
+                            type="number"
+                            min="1"
+                            max="20"
+                            value={count}
+                            onChange={(e) => setCount(Math.max(1, Number(e.target.value)))}
+                            className="w-20 p-3 border border-gray-300 rounded-lg"
+                        />
+                        <button
+                            onClick={addHypothetical}
+                            className="flex-1 px-4 py-2 bg-indigo-600 text-white text-sm font-semibold rounded-lg shadow hover:bg-indigo-700"
+                        >
+                            {t('whatIf.add')}
+                        </button>
+                    </div>
+                </div>
+                {hypotheticals.length > 0 && (
+                    <ul className="mt-4 space-y-2">
+                        {hypotheticals.map((h, i) => (
+                            <li key={i} className="flex justify-between items-center p-2 bg-white rounded-lg border border-dashed border-indigo-300 text-sm">
+                                <span>{formatNumber(h.count)} × {taskLabel(h.taskType)} ({pointLevelLabel(h.pointLevel)})</span>
+                                <button onClick={() => removeHypothetical(i)} className="text-red-600 hover:underline text-xs">{t('whatIf.remove')}</button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {/* 2. Projected scores */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+                {SERIES.map(series => (
+                    <div key={series.key} className="p-6 rounded-xl shadow-lg bg-gray-50">
+                        <p className="text-sm uppercase font-semibold text-gray-500">{t(`scoreTypes.${series.key}`)}</p>
+                        <p className="text-4xl font-black mt-1" style={{ color: series.color }}>
+                            {formatNumber(whatIf.current[series.key].score)}
+                            {hypotheticals.length > 0 && (
+                                <span className="text-2xl"> → {formatNumber(whatIf.projected[series.key].score)} ({formatDelta(whatIf.delta[series.key])})</span>
+                            )}
+                        </p>
+                        {series.key === 'FINANCIAL_RISK' && hypotheticals.length > 0 && projectedTier.name !== currentTier.name && (
+                            <p className="mt-2 text-sm text-gray-700">{t('whatIf.tierChange', { from: t(`rateTiers.${currentTier.name}`), to: <span className="font-bold">{t(`rateTiers.${projectedTier.name}`)}</span> })}</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {/* 3. Decay forecast for the holder's real SBTs */}
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="text-xl font-bold text-gray-700">{t('whatIf.decayTitle')}</h3>
+                <div className="flex gap-2">
+                    {HORIZONS.map(months => (
+                        <button
+                            key={months}
+                            onClick={() => setHorizon(months)}
+                            className={`px-3 py-1 text-xs font-semibold rounded-lg ${horizon === months ? 'bg-indigo-600 text-white' : 'text-indigo-600 border border-indigo-200 hover:bg-indigo-50'}`}
+                        >
+                            {t('whatIf.months', { count: months })}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <DecayChart points={forecast.points} thresholds={thresholds} />
+
+            <ul className="mt-4 space-y-2">
+                {forecast.drops.length === 0 ? (
+                    <li className="text-sm text-gray-500 italic">{t('whatIf.noDrops', { count: horizon })}</li>
+                ) : (
+                    forecast.drops.map(drop => (
+                        <li key={drop.key} className="p-3 bg-red-50 border-s-4 border-red-400 rounded text-sm">
+                            {t('whatIf.drop', {
+                                date: <span className="font-semibold">{formatDate(drop.date)}</span>,
+                                threshold: thresholdLabel(drop),
+                                scoreType: t(`scoreTypes.${drop.scoreType}`),
+                                before: drop.scoreBefore,
+                                after: drop.scoreAfter,
+                                min: drop.minScore,
+                            })}
+                        </li>
+                    ))
+                )}
+            </ul>
+        </div>
+    );
+};
+
+export default WhatIfSimulator;
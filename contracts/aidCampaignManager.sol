@@ -0,0 +1,337 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title ISoulboundToken
+ * @notice Interface for minting the aid receipt SBT when a voucher is redeemed.
+ */
+interface ISoulboundToken {
+    enum TaskType {
+        IDENTITY_VERIFIED_KYC,
+        IDENTITY_MULTI_FACTOR,
+        FINANCIAL_LITERACY_COURSE,
+        FINANCIAL_SAVINGS_GOAL,
+        LOAN_REPAYMENT_SMALL,
+        LOAN_REPAYMENT_LARGE,
+        AID_DISBURSEMENT_RECEIVED,
+        COMMUNITY_VOLUNTEERISM,
+        SOCIAL_EDUCATION_CERT,
+        SOCIAL_MENTORSHIP
+    }
+    enum PointLevel { LEVEL_D_MINOR, LEVEL_C_MAJOR, LEVEL_B_HARMONY, LEVEL_A_PRESTIGE }
+
+    function issueSBT(
+        address _holder,
+        TaskType _taskType,
+        PointLevel _pointLevel,
+        string memory _title,
+        string memory _tokenURI
+    ) external;
+
+    function isIssuer(address account) external view returns (bool);
+
+    function getTotalSBTsMinted() external view returns (uint256);
+}
+
+/**
+ * @title AidCampaignManager
+ * @notice Aid disbursement campaigns with issuer-signed, single-use vouchers.
+ *
+ * @dev ROLE IN SYSTEM:
+ * - The only path to an AID_DISBURSEMENT_RECEIVED SBT for a holder: the SBT is minted when the
+ *   holder redeems a voucher, never on the holder's word alone
+ * - Must be an authorized issuer on SoulboundToken (addIssuer), like LoanManager and ScholarshipManager
+ *
+ * FLOW:
+ * 1. An SBT issuer (NGO) creates a campaign with a title, point level, budget and end date
+ * 2. Off chain, the issuer signs one EIP-712 AidVoucher per recipient and hands it out as a QR code or link
+ * 3. The recipient redeems it: the signature must come from the campaign's issuer, the voucher must
+ *    name the caller, and each voucher (and each recipient) redeems once per campaign
+ *
+ * Amounts are what the NGO disbursed off chain (cash, mobile money); they count against the campaign
+ * budget but no funds move through this contract.
+ */
+contract AidCampaignManager is Ownable, ReentrancyGuard, Pausable, EIP712 {
+
+    // --- DATA STRUCTURES ---
+
+    struct Campaign {
+        address issuer;
+        string title;
+        ISoulboundToken.PointLevel pointLevel;
+        uint256 budget;             // Total of the voucher amounts that can be redeemed (cUSD wei)
+        uint256 redeemedAmount;
+        uint256 redeemedCount;
+        uint256 endsAt;
+        bool isActive;
+        uint256 createdAt;
+    }
+
+    /**
+     * @notice What the issuer signs for one recipient. voucherId is chosen by the issuer and only
+     * needs to be unique within the campaign.
+     */
+    struct AidVoucher {
+        uint256 campaignId;
+        uint256 voucherId;
+        address recipient;
+        uint256 amount;
+        uint256 expiresAt;
+    }
+
+    struct Redemption {
+        address recipient;
+        uint256 amount;
+        uint256 tokenId;
+        uint256 redeemedAt;
+    }
+
+    // --- STATE VARIABLES ---
+
+    bytes32 private constant AID_VOUCHER_TYPEHASH = keccak256(
+        "AidVoucher(uint256 campaignId,uint256 voucherId,address recipient,uint256 amount,uint256 expiresAt)"
+    );
+
+    ISoulboundToken private sbtContract;
+
+    uint256 public nextCampaignId;
+    mapping(uint256 => Campaign) private campaigns;
+    mapping(address => uint256[]) private issuerCampaigns;
+
+    mapping(uint256 => mapping(uint256 => Redemption)) private redemptions;
+    mapping(uint256 => mapping(address => bool)) private recipientRedeemed;
+    mapping(uint256 => uint256) private tokenCampaign;
+
+    uint256 public totalVouchersRedeemed;
+
+    // --- EVENTS ---
+
+    event CampaignCreated(
+        uint256 indexed campaignId,
+        address indexed issuer,
+        string title,
+        uint256 budget,
+        uint256 endsAt,
+        uint256 timestamp
+    );
+
+    event CampaignUpdated(uint256 indexed campaignId, bool isActive, uint256 timestamp);
+
+    event VoucherRedeemed(
+        uint256 indexed campaignId,
+        uint256 indexed voucherId,
+        address indexed recipient,
+        uint256 amount,
+        uint256 tokenId,
+        uint256 timestamp
+    );
+
+    event SBTContractUpdated(address indexed oldAddress, address indexed newAddress, uint256 timestamp);
+
+    // --- MODIFIERS ---
+
+    modifier onlySBTIssuer() {
+        require(sbtContract.isIssuer(msg.sender), "AidCampaigns: Caller is not an authorized issuer");
+        _;
+    }
+
+    // --- CONSTRUCTOR ---
+
+    constructor(address _sbtAddress)
+        Ownable(msg.sender)
+        EIP712("Credo Aid Vouchers", "1")
+    {
+        require(_sbtAddress != address(0), "AidCampaigns: Zero address for SBT");
+        sbtContract = ISoulboundToken(_sbtAddress);
+        nextCampaignId = 1;
+    }
+
+    // --- CAMPAIGN MANAGEMENT ---
+
+    /**
+     * @notice Creates a campaign owned by the calling issuer.
+     * @param _title Title of the aid SBTs minted for this campaign.
+     * @param _pointLevel Point level of those SBTs.
+     * @param _budget Sum of voucher amounts the campaign can redeem.
+     * @param _endsAt Last redemption time (unix seconds).
+     * @return campaignId The new campaign id.
+     */
+    function createCampaign(
+        string memory _title,
+        ISoulboundToken.PointLevel _pointLevel,
+        uint256 _budget,
+        uint256 _endsAt
+    ) external onlySBTIssuer whenNotPaused returns (uint256 campaignId) {
+        require(bytes(_title).length > 0, "AidCampaigns: Title required");
+        require(_budget > 0, "AidCampaigns: Budget must be positive");
+        require(_endsAt > block.timestamp, "AidCampaigns: End must be in future");
+
+        campaignId = nextCampaignId++;
+
+        campaigns[campaignId] = Campaign({
+            issuer: msg.sender,
+            title: _title,
+            pointLevel: _pointLevel,
+            budget: _budget,
+            redeemedAmount: 0,
+            redeemedCount: 0,
+            endsAt: _endsAt,
+            isActive: true,
+            createdAt: block.timestamp
+        });
+        issuerCampaigns[msg.sender].push(campaignId);
+
+        emit CampaignCreated(campaignId, msg.sender, _title, _budget, _endsAt, block.timestamp);
+        return campaignId;
+    }
+
+    /**
+     * @notice Closes or reopens a campaign. Closing stops every outstanding voucher of it.
+     */
+    function setCampaignActive(uint256 _campaignId, bool _isActive) external {
+        Campaign storage campaign = campaigns[_campaignId];
+        require(campaign.createdAt > 0, "AidCampaigns: Campaign does not exist");
+        require(campaign.issuer == msg.sender || msg.sender == owner(), "AidCampaigns: Not campaign issuer");
+
+        campaign.isActive = _isActive;
+        emit CampaignUpdated(_campaignId, _isActive, block.timestamp);
+    }
+
+    // --- REDEMPTION ---
+
+    /**
+     * @notice Redeems a voucher and mints the caller's AID_DISBURSEMENT_RECEIVED SBT.
+     * @dev The SBT is bound to this voucher: getRedemption and getTokenCampaign link them both ways.
+     * @param _voucher The signed voucher; its recipient must be the caller.
+     * @param _signature The campaign issuer's EIP-712 signature over the voucher.
+     * @param _tokenURI Metadata of the SBT (the holder's signed acknowledgement).
+     * @return tokenId The minted SBT.
+     */
+    function redeemVoucher(
+        AidVoucher calldata _voucher,
+        bytes calldata _signature,
+        string calldata _tokenURI
+    ) external whenNotPaused nonReentrant returns (uint256 tokenId) {
+        Campaign storage campaign = campaigns[_voucher.campaignId];
+
+        require(campaign.createdAt > 0, "AidCampaigns: Campaign does not exist");
+        require(campaign.isActive, "AidCampaigns: Campaign is closed");
+        require(block.timestamp <= campaign.endsAt, "AidCampaigns: Campaign has ended");
+        require(block.timestamp <= _voucher.expiresAt, "AidCampaigns: Voucher expired");
+        require(_voucher.recipient == msg.sender, "AidCampaigns: Voucher is for another recipient");
+        require(_voucher.amount > 0, "AidCampaigns: Invalid voucher amount");
+        require(redemptions[_voucher.campaignId][_voucher.voucherId].redeemedAt == 0, "AidCampaigns: Voucher already redeemed");
+        require(!recipientRedeemed[_voucher.campaignId][msg.sender], "AidCampaigns: Recipient already redeemed this campaign");
+        require(recoverVoucherSigner(_voucher, _signature) == campaign.issuer, "AidCampaigns: Invalid voucher signature");
+        require(sbtContract.isIssuer(campaign.issuer), "AidCampaigns: Campaign issuer is no longer authorized");
+        require(campaign.redeemedAmount + _voucher.amount <= campaign.budget, "AidCampaigns: Campaign budget exhausted");
+
+        // Marked before the mint, so a second redemption can never re-enter
+        recipientRedeemed[_voucher.campaignId][msg.sender] = true;
+        campaign.redeemedAmount += _voucher.amount;
+        campaign.redeemedCount++;
+        totalVouchersRedeemed++;
+
+        sbtContract.issueSBT(
+            msg.sender,
+            ISoulboundToken.TaskType.AID_DISBURSEMENT_RECEIVED,
+            campaign.pointLevel,
+            campaign.title,
+            _tokenURI
+        );
+        // SoulboundToken numbers tokens sequentially and is nonReentrant, so ours is the latest
+        tokenId = sbtContract.getTotalSBTsMinted();
+
+        redemptions[_voucher.campaignId][_voucher.voucherId] = Redemption({
+            recipient: msg.sender,
+            amount: _voucher.amount,
+            tokenId: tokenId,
+            redeemedAt: block.timestamp
+        });
+        tokenCampaign[tokenId] = _voucher.campaignId;
+
+        emit VoucherRedeemed(_voucher.campaignId, _voucher.voucherId, msg.sender, _voucher.amount, tokenId, block.timestamp);
+        return tokenId;
+    }
+
+    // --- VIEW FUNCTIONS ---
+
+    /**
+     * @notice The EIP-712 digest the campaign issuer signs for a voucher.
+     */
+    function hashVoucher(AidVoucher calldata _voucher) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            AID_VOUCHER_TYPEHASH,
+            _voucher.campaignId,
+            _voucher.voucherId,
+            _voucher.recipient,
+            _voucher.amount,
+            _voucher.expiresAt
+        )));
+    }
+
+    /**
+     * @notice The address that signed a voucher (reverts on a malformed signature).
+     */
+    function recoverVoucherSigner(AidVoucher calldata _voucher, bytes calldata _signature) public view returns (address) {
+        return ECDSA.recover(hashVoucher(_voucher), _signature);
+    }
+
+    function getCampaign(uint256 _campaignId) external view returns (Campaign memory) {
+        require(campaigns[_campaignId].createdAt > 0, "AidCampaigns: Campaign does not exist");
+        return campaigns[_campaignId];
+    }
+
+    function getIssuerCampaigns(address _issuer) external view returns (uint256[] memory) {
+        return issuerCampaigns[_issuer];
+    }
+
+    /**
+     * @notice The redemption of a voucher; redeemedAt is 0 while it is outstanding.
+     */
+    function getRedemption(uint256 _campaignId, uint256 _voucherId) external view returns (Redemption memory) {
+        return redemptions[_campaignId][_voucherId];
+    }
+
+    function isVoucherRedeemed(uint256 _campaignId, uint256 _voucherId) external view returns (bool) {
+        return redemptions[_campaignId][_voucherId].redeemedAt > 0;
+    }
+
+    function hasRecipientRedeemed(uint256 _campaignId, address _recipient) external view returns (bool) {
+        return recipientRedeemed[_campaignId][_recipient];
+    }
+
+    /**
+     * @notice The campaign an aid SBT was minted for (0 for SBTs not minted by a voucher).
+     */
+    function getTokenCampaign(uint256 _tokenId) external view returns (uint256) {
+        return tokenCampaign[_tokenId];
+    }
+
+    // --- ADMINISTRATIVE FUNCTIONS ---
+
+    function setSBTContract(address _sbtAddress) external onlyOwner {
+        require(_sbtAddress != address(0), "AidCampaigns: Zero address for SBT");
+        address oldAddress = address(sbtContract);
+        sbtContract = ISoulboundToken(_sbtAddress);
+        emit SBTContractUpdated(oldAddress, _sbtAddress, block.timestamp);
+    }
+
+    function getSBTContract() external view returns (address) {
+        return address(sbtContract);
+    }
+
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../loanManager.sol";
+
+/**
+ * @title LoanManagerHarness
+ * @notice Test-only wrapper that exposes LoanManager's internal pricing functions.
+ * @dev Used by test/LoanPricing.ts to check the client-side port (client/loanPricing.js)
+ * against the Solidity implementation. Never deploy outside a test network.
+ */
+contract LoanManagerHarness is LoanManager {
+    constructor(
+        address _oracleAddress,
+        address _sbtAddress,
+        address _pointLedgerAddress,
+        address _stableCoinAddress,
+        address _initialAdmin,
+        uint256 _minReputationPoints,
+        uint256 _minAIRiskScore
+    ) LoanManager(
+        _oracleAddress,
+        _sbtAddress,
+        _pointLedgerAddress,
+        _stableCoinAddress,
+        _initialAdmin,
+        _minReputationPoints,
+        _minAIRiskScore
+    ) {}
+
+    /**
+     * @notice Exposes the internal getInterestRate for parity tests.
+     */
+    function exposedGetInterestRate(uint256 _riskScore) external pure returns (uint256) {
+        return getInterestRate(_riskScore);
+    }
+}
@@ -0,0 +1,92 @@
+// Indexes SoulboundToken, AIRiskOracle, LoanManager, ScholarshipManager and AidCampaignManager events
+// into SQLite and serves them to the issuer audit panel.
+//
+// Usage:
+//   npm run indexer -- [--config credo.config.json] [--rpc http://127.0.0.1:8545] [--db credo-index.sqlite]
+//                      [--port 8787] [--confirmations 0] [--batch-size 2000] [--poll-ms 4000] [--once]
+//
+// The contract addresses and deployment block are those of the RPC's chain in client/deployments.json.
+// The optional config file uses the same shape as window.CREDO_CONFIG: its deployments override the
+// manifest per chain id, and it may set rpcUrl. --once catches up to the head and exits without
+// starting the API.
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { JsonRpcProvider } from 'ethers';
+import { openEventStore } from './lib/eventStore.mjs';
+import { createEventIndexer } from './lib/eventIndexer.mjs';
+import { createQueryServer } from './lib/queryServer.mjs';
+import { readDeployment } from '../scripts/lib/deploymentManifest.mjs';
+
+const { values: args } = parseArgs({
+    options: {
+        config: { type: 'string' },
+        rpc: { type: 'string' },
+        db: { type: 'string', default: 'credo-index.sqlite' },
+        port: { type: 'string', default: '8787' },
+        confirmations: { type: 'string', default: '0' },
+        'batch-size': { type: 'string', default: '2000' },
+        'poll-ms': { type: 'string', default: '4000' },
+        once: { type: 'boolean', default: false },
+    },
+});
+
+const config = args.config ? JSON.parse(readFileSync(resolve(args.config), 'utf8')) : {};
+const rpcUrl = args.rpc || config.rpcUrl || 'http://127.0.0.1:8545';
+const log = (message) => console.log(`[indexer] ${message}`);
+
+const provider = new JsonRpcProvider(rpcUrl);
+let chainId;
+try {
+    ({ chainId } = await provider.getNetwork());
+} catch (e) {
+    console.error(`Cannot reach the RPC at ${rpcUrl}: ${e.shortMessage || e.message}`);
+    process.exit(1);
+}
+
+const { contracts, deploymentBlock } = readDeployment(chainId, config.deployments);
+if (Object.keys(contracts).length === 0) {
+    console.error(`No contract addresses for chain ${chainId} in client/deployments.json${args.config ? ` or the deployments of ${args.config}` : ''}.`);
+    process.exit(1);
+}
+const store = openEventStore(resolve(args.db), { chainId: Number(chainId) });
+
+const indexer = createEventIndexer({
+    provider,
+    store,
+    contracts,
+    startBlock: deploymentBlock,
+    confirmations: Number(args.confirmations),
+    batchSize: Number(args['batch-size']),
+    log,
+});
+
+log(`Chain ${chainId} via ${rpcUrl}, index ${args.db} (last block: ${store.getLastBlock() ?? 'none'}).`);
+
+if (args.once) {
+    let result;
+    do {
+        result = await indexer.syncOnce();
+        if (result.fromBlock !== null) {
+            log(`Indexed blocks ${result.fromBlock}-${result.toBlock} (${result.eventCount} events).`);
+        }
+    } while (!result.caughtUp);
+    store.close();
+    provider.destroy();
+} else {
+    const server = createQueryServer(store).listen(Number(args.port), () => {
+        log(`Query API on http://localhost:${args.port}`);
+    });
+
+    const shutdown = () => {
+        indexer.stop();
+        server.close();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    await indexer.run({ pollIntervalMs: Number(args['poll-ms']) });
+    store.close();
+    provider.destroy();
+}
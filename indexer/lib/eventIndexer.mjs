@@ -0,0 +1,283 @@
+// Follows the protocol contracts' events and writes them to an event store (see eventStore.mjs).
+//
+// Each sync step indexes one block range [checkpoint + 1, min(head - confirmations, checkpoint + batchSize)].
+// Before every step the stored hash of the checkpoint block is compared with the chain. On a mismatch
+// the indexer walks back through the stored hashes to the newest block that is still canonical, rolls
+// the store back to it and re-indexes from there.
+
+import { Contract, Interface } from 'ethers';
+import {
+    SOULBOUND_TOKEN_ABI,
+    AI_RISK_ORACLE_ABI,
+    LOAN_MANAGER_ABI,
+    SCHOLARSHIP_MANAGER_ABI,
+    AID_CAMPAIGN_MANAGER_ABI,
+} from '../../client/contractAbis.js';
+
+/**
+ * @notice The indexed events per contract, keyed like the contracts of a deployments.json entry.
+ * @dev `account` is the holder the event is about (it drives the per-holder history); `actor` is
+ * who acted on the holder's behalf (issuer, reviewer, provider).
+ */
+export const EVENT_SOURCES = {
+    soulboundToken: {
+        abi: SOULBOUND_TOKEN_ABI,
+        events: {
+            SBTIssued: (args) => ({ account: args.holder, actor: args.issuer }),
+            SBTBurned: (args) => ({ account: args.holder }),
+        },
+    },
+    aiRiskOracle: {
+        abi: AI_RISK_ORACLE_ABI,
+        events: {
+            ScorePublished: (args) => ({ account: args.holder }),
+        },
+    },
+    loanManager: {
+        abi: LOAN_MANAGER_ABI,
+        events: {
+            LoanApplied: (args) => ({ account: args.borrower }),
+            LoanApproved: (args) => ({ account: args.borrower }),
+            LoanDisbursed: (args) => ({ account: args.borrower }),
+            LoanRepaid: (args) => ({ account: args.borrower }),
+            LoanCancelled: (args) => ({ account: args.borrower }),
+        },
+    },
+    scholarshipManager: {
+        abi: SCHOLARSHIP_MANAGER_ABI,
+        events: {
+            ProgramCreated: (args) => ({ actor: args.provider }),
+            ApplicationSubmitted: (args) => ({ account: args.applicant }),
+            // The applicant is not in the event; the indexer resolves it from ApplicationSubmitted
+            ApplicationReviewed: (args) => ({ actor: args.reviewer }),
+            BenefitDisbursed: (args) => ({ account: args.recipient }),
+            ApplicationCompleted: (args) => ({ account: args.recipient }),
+        },
+    },
+    aidCampaignManager: {
+        abi: AID_CAMPAIGN_MANAGER_ABI,
+        events: {
+            CampaignCreated: (args) => ({ actor: args.issuer }),
+            VoucherRedeemed: (args) => ({ account: args.recipient }),
+        },
+    },
+};
+
+/**
+ * @notice Thrown when the chain changed under a batch that was being read; the step is retried.
+ */
+export class ReorgDetectedError extends Error {
+    constructor(message, blockNumber) {
+        super(message);
+        this.name = 'ReorgDetectedError';
+        this.blockNumber = blockNumber;
+    }
+}
+
+// Event args as plain JSON: uint values become decimal strings, addresses are lowercased
+function toJsonArgs(fragment, args) {
+    return Object.fromEntries(fragment.inputs.map((input, i) => {
+        const value = args[i];
+        if (typeof value === 'bigint') return [input.name, value.toString()];
+        if (input.type === 'address') return [input.name, value.toLowerCase()];
+        return [input.name, value];
+    }));
+}
+
+/**
+ * @notice Creates an indexer for the configured contracts.
+ * @param provider An ethers provider (JsonRpcProvider for a node or Hardhat).
+ * @param store The event store (openEventStore).
+ * @param contracts The chain's addresses from deployments.json (readDeployment), keyed like EVENT_SOURCES;
+ * missing ones are skipped.
+ * @param startBlock First block to index when the store is empty (the deployment block).
+ * @param confirmations Blocks to stay behind the head. 0 indexes the head and relies on reorg recovery.
+ * @param batchSize Maximum blocks per getLogs range.
+ * @param keepBlocks Block hashes kept for reorg detection (the deepest reorg that can be recovered in place).
+ * @param log Progress logger.
+ * @returns { syncOnce, run, stop }
+ */
+export function createEventIndexer({
+    provider,
+    store,
+    contracts,
+    startBlock = 0,
+    confirmations = 0,
+    batchSize = 2000,
+    keepBlocks = 256,
+    log = () => {},
+}) {
+    const sources = Object.entries(EVENT_SOURCES)
+        .filter(([name]) => contracts[name])
+        .map(([name, { abi, events }]) => {
+            const iface = new Interface(abi);
+            return {
+                name,
+                address: contracts[name].toLowerCase(),
+                iface,
+                subjects: events,
+                topics: Object.keys(events).map(eventName => iface.getEvent(eventName).topicHash),
+            };
+        });
+    if (sources.length === 0) {
+        throw new Error("No contract addresses configured; nothing to index.");
+    }
+
+    // SBTIssued carries no title, so it is read once from getSBTData (burned tokens keep a null title)
+    const sbt = contracts.soulboundToken ? new Contract(contracts.soulboundToken, SOULBOUND_TOKEN_ABI, provider) : null;
+    const readTitle = async (tokenId) => {
+        try {
+            return (await sbt.getSBTData(tokenId)).title;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    let stopped = false;
+    let wakeUp = null;
+
+    /**
+     * @notice Compares the checkpoint's stored hash with the chain and rolls back past a reorg.
+     * @returns The block to continue from (the checkpoint, or the fork point after a rollback).
+     */
+    async function reconcile(lastBlock) {
+        const stored = store.getRecentBlocks(lastBlock);
+        if (stored.length === 0 || stored[0].number !== lastBlock) return lastBlock;
+
+        const head = await provider.getBlock(lastBlock);
+        if (head && head.hash === stored[0].hash) return lastBlock;
+
+        for (const block of stored.slice(1)) {
+            const canonical = await provider.getBlock(block.number);
+            if (canonical && canonical.hash === block.hash) {
+                log(`Reorg detected at block ${lastBlock}; rolling back to ${block.number}.`);
+                store.rollbackTo(block.number);
+                return block.number;
+            }
+        }
+
+        // Deeper than the kept hashes: start over rather than keep events from a dead fork
+        const restartFrom = startBlock - 1;
+        log(`Reorg deeper than ${stored.length} stored blocks; re-indexing from block ${startBlock}.`);
+        store.rollbackTo(restartFrom);
+        return restartFrom;
+    }
+
+    // Reads and decodes one block range across all sources, in chain order
+    async function readRange(fromBlock, toBlock) {
+        const logsPerSource = await Promise.all(sources.map(source => provider.getLogs({
+            address: source.address,
+            topics: [source.topics],
+            fromBlock,
+            toBlock,
+        })));
+
+        const decoded = sources.flatMap((source, i) => logsPerSource[i].map(entry => {
+            const parsed = source.iface.parseLog(entry);
+            return { source, entry, parsed };
+        }));
+        decoded.sort((a, b) => a.entry.blockNumber - b.entry.blockNumber || a.entry.index - b.entry.index);
+
+        // One header per block: timestamps for the events and hashes for reorg detection
+        const blockNumbers = [...new Set([...decoded.map(d => d.entry.blockNumber), toBlock])];
+        const headers = new Map();
+        for (const number of blockNumbers) {
+            const block = await provider.getBlock(number);
+            if (!block) throw new ReorgDetectedError(`Block ${number} disappeared while indexing.`, number);
+            headers.set(number, block);
+        }
+
+        // Applicants of applications submitted in this same range (ApplicationReviewed lookups)
+        const applicants = new Map();
+        const events = [];
+        for (const { source, entry, parsed } of decoded) {
+            const header = headers.get(entry.blockNumber);
+            if (header.hash !== entry.blockHash) {
+                throw new ReorgDetectedError(`Block ${entry.blockNumber} changed while indexing.`, entry.blockNumber);
+            }
+
+            const args = toJsonArgs(parsed.fragment, parsed.args);
+            let { account = null, actor = null } = source.subjects[parsed.name](args);
+            if (parsed.name === 'ApplicationSubmitted') {
+                applicants.set(args.applicationId, account);
+            } else if (parsed.name === 'ApplicationReviewed') {
+                account = applicants.get(args.applicationId) ?? store.getApplicant(args.applicationId);
+            }
+
+            events.push({
+                blockNumber: entry.blockNumber,
+                blockHash: entry.blockHash,
+                txHash: entry.transactionHash,
+                logIndex: entry.index,
+                contract: source.name,
+                event: parsed.name,
+                account,
+                actor,
+                args,
+                timestamp: header.timestamp * 1000,
+                title: parsed.name === 'SBTIssued' && sbt ? await readTitle(args.tokenId) : undefined,
+            });
+        }
+
+        const blocks = [...headers.values()].map(block => ({ number: block.number, hash: block.hash }));
+        return { events, blocks };
+    }
+
+    /**
+     * @notice Indexes at most one batch.
+     * @returns { fromBlock, toBlock, eventCount, caughtUp }; fromBlock is null when there was nothing new.
+     */
+    async function syncOnce() {
+        const checkpoint = store.getLastBlock() ?? startBlock - 1;
+        const lastBlock = await reconcile(checkpoint);
+
+        const target = (await provider.getBlockNumber()) - confirmations;
+        if (target <= lastBlock) {
+            return { fromBlock: null, toBlock: lastBlock, eventCount: 0, caughtUp: true };
+        }
+
+        const fromBlock = lastBlock + 1;
+        const toBlock = Math.min(target, lastBlock + batchSize);
+        const { events, blocks } = await readRange(fromBlock, toBlock);
+        store.applyBatch({ events, blocks, toBlock, keepBlocks });
+
+        return { fromBlock, toBlock, eventCount: events.length, caughtUp: toBlock === target };
+    }
+
+    /**
+     * @notice Syncs until stop() is called: back-to-back batches while behind, then one poll per interval.
+     * @dev Errors (RPC outages, reorgs mid-batch) are logged and the step is retried after the interval.
+     */
+    async function run({ pollIntervalMs = 4000 } = {}) {
+        stopped = false;
+        while (!stopped) {
+            let caughtUp = true;
+            try {
+                const result = await syncOnce();
+                caughtUp = result.caughtUp;
+                if (result.fromBlock !== null) {
+                    log(`Indexed blocks ${result.fromBlock}-${result.toBlock} (${result.eventCount} events).`);
+                }
+            } catch (e) {
+                log(`Sync failed: ${e.shortMessage || e.message}`);
+            }
+            if (caughtUp && !stopped) {
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, pollIntervalMs);
+                    wakeUp = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+                wakeUp = null;
+            }
+        }
+    }
+
+    function stop() {
+        stopped = true;
+        if (wakeUp) wakeUp();
+    }
+
+    return { syncOnce, run, stop };
+}
@@ -0,0 +1,81 @@
+// Type declarations for eventStore.mjs (used by the TypeScript tests under test/).
+
+/** A decoded log as the indexer stores it (timestamp in ms, uint256 args as decimal strings). */
+export interface IndexedEvent {
+    blockNumber: number;
+    blockHash: string;
+    txHash: string;
+    logIndex: number;
+    contract: string;
+    event: string;
+    account: string | null;
+    actor: string | null;
+    args: Record<string, unknown>;
+    timestamp: number;
+    title?: string | null;
+}
+
+export interface IndexedSBT {
+    id: number;
+    recipient: string;
+    issuer: string;
+    taskType: number;
+    pointLevel: number;
+    points: number;
+    title: string | null;
+    issuedAt: number;
+    blockNumber: number;
+    txHash: string;
+    burnedAt: number | null;
+}
+
+/** Filters of an audit query (client/auditLog.js toAuditQuery); omitted keys match all. */
+export interface SBTQuery {
+    issuer?: string;
+    recipient?: string;
+    taskType?: number;
+    pointLevel?: number;
+    from?: number;
+    to?: number;
+}
+
+export interface EventStore {
+    getLastBlock(): number | null;
+    getRecentBlocks(blockNumber: number): { number: number; hash: string }[];
+    applyBatch(batch: {
+        events: IndexedEvent[];
+        blocks: { number: number; hash: string }[];
+        toBlock: number;
+        keepBlocks: number;
+    }): void;
+    rollbackTo(blockNumber: number): void;
+    getApplicant(applicationId: string | number): string | null;
+    getStatus(): { chainId: number | null; lastBlock: number | null; updatedAt: number | null; eventCount: number };
+    getTotals(): {
+        sbts: { issued: number; burned: number; active: number; aidAcknowledged: number; holders: number; issuers: number };
+        scoresPublished: number;
+        loans: { applied: number; approved: number; repaid: number; repaidLate: number; cancelled: number };
+        scholarships: { programs: number; applications: number; disbursed: number; completed: number };
+    };
+    getIssuerCounts(): {
+        issuer: string;
+        issued: number;
+        burned: number;
+        aidAcknowledged: number;
+        holders: number;
+        firstIssuedAt: number;
+        lastIssuedAt: number;
+    }[];
+    querySBTs(
+        query?: SBTQuery,
+        page?: { offset?: number; limit?: number }
+    ): { total: number; offset: number; limit: number; items: IndexedSBT[] };
+    getHolderHistory(holder: string): {
+        holder: string;
+        sbts: IndexedSBT[];
+        events: Omit<IndexedEvent, 'blockHash' | 'title'>[];
+    };
+    close(): void;
+}
+
+export function openEventStore(path: string, options?: { chainId?: number }): EventStore;
@@ -0,0 +1,313 @@
+// SQLite store for the event indexer.
+//
+// Every indexed log lands in `events` (args as JSON, uint256 values as decimal strings). SBTIssued and
+// SBTBurned are also projected into `sbts` so the audit queries do not re-read the log table.
+// `blocks` keeps the hashes of recently indexed blocks; the indexer compares them with the chain to
+// find the fork point after a reorg and calls rollbackTo(), which undoes everything above it.
+
+import Database from 'better-sqlite3';
+import { TASK_TYPES } from '../../client/sbtCodec.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        contract TEXT NOT NULL,
+        event TEXT NOT NULL,
+        account TEXT,
+        actor TEXT,
+        args TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        UNIQUE (tx_hash, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_block ON events (block_number);
+    CREATE INDEX IF NOT EXISTS events_account ON events (account, block_number);
+    CREATE INDEX IF NOT EXISTS events_name ON events (contract, event);
+
+    CREATE TABLE IF NOT EXISTS sbts (
+        token_id INTEGER PRIMARY KEY,
+        holder TEXT NOT NULL,
+        issuer TEXT NOT NULL,
+        task_type INTEGER NOT NULL,
+        point_level INTEGER NOT NULL,
+        points INTEGER NOT NULL,
+        title TEXT,
+        issued_at INTEGER NOT NULL,
+        issued_block INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        burned_at INTEGER,
+        burned_block INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS sbts_holder ON sbts (holder);
+    CREATE INDEX IF NOT EXISTS sbts_issuer ON sbts (issuer);
+
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS sync_state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+/**
+ * @notice Opens (or creates) the index database.
+ * @param path File path, or ':memory:' for a throwaway index.
+ * @param chainId Chain the index belongs to. Opening an index built for another chain throws,
+ *                so a database is never silently mixed across networks.
+ */
+export function openEventStore(path, { chainId } = {}) {
+    const db = new Database(path);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const getState = db.prepare('SELECT value FROM sync_state WHERE key = ?');
+    const setState = db.prepare('INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value');
+    const readState = (key) => getState.get(key)?.value ?? null;
+
+    if (chainId !== undefined) {
+        const storedChainId = readState('chainId');
+        if (storedChainId !== null && storedChainId !== String(chainId)) {
+            db.close();
+            throw new Error(`${path} indexes chain ${storedChainId}, not ${chainId}. Use another --db file.`);
+        }
+        setState.run('chainId', String(chainId));
+    }
+
+    const insertEvent = db.prepare(`
+        INSERT OR IGNORE INTO events (block_number, block_hash, tx_hash, log_index, contract, event, account, actor, args, timestamp)
+        VALUES (@blockNumber, @blockHash, @txHash, @logIndex, @contract, @event, @account, @actor, @args, @timestamp)
+    `);
+    const insertSBT = db.prepare(`
+        INSERT OR REPLACE INTO sbts (token_id, holder, issuer, task_type, point_level, points, title, issued_at, issued_block, tx_hash)
+        VALUES (@tokenId, @holder, @issuer, @taskType, @pointLevel, @points, @title, @issuedAt, @blockNumber, @txHash)
+    `);
+    const burnSBT = db.prepare('UPDATE sbts SET burned_at = @timestamp, burned_block = @blockNumber WHERE token_id = @tokenId');
+    const upsertBlock = db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)');
+    const pruneBlocks = db.prepare('DELETE FROM blocks WHERE number < ?');
+
+    // Projects SBT lifecycle events into the sbts table (inside the batch transaction)
+    const project = (event) => {
+        if (event.contract !== 'soulboundToken') return;
+        if (event.event === 'SBTIssued') {
+            insertSBT.run({
+                tokenId: Number(event.args.tokenId),
+                holder: event.account,
+                issuer: event.actor,
+                taskType: Number(event.args.taskType),
+                pointLevel: Number(event.args.pointLevel),
+                points: Number(event.args.points),
+                title: event.title ?? null,
+                issuedAt: Number(event.args.issuedAt) * 1000,
+                blockNumber: event.blockNumber,
+                txHash: event.txHash,
+            });
+        } else if (event.event === 'SBTBurned') {
+            burnSBT.run({ tokenId: Number(event.args.tokenId), timestamp: event.timestamp, blockNumber: event.blockNumber });
+        }
+    };
+
+    /**
+     * @notice Stores one indexed block range atomically and advances the checkpoint.
+     * @param events Decoded logs in chain order ({ blockNumber, blockHash, txHash, logIndex, contract,
+     *               event, account, actor, args, timestamp (ms), title? }).
+     * @param blocks [{ number, hash }] for the range end and every block that had events.
+     * @param keepBlocks How many recent block hashes to keep for reorg detection.
+     */
+    const applyBatch = db.transaction(({ events, blocks, toBlock, keepBlocks }) => {
+        for (const event of events) {
+            const { changes } = insertEvent.run({ ...event, args: JSON.stringify(event.args) });
+            if (changes > 0) project(event);
+        }
+        blocks.forEach(block => upsertBlock.run(block.number, block.hash));
+        pruneBlocks.run(toBlock - keepBlocks);
+        setState.run('lastBlock', String(toBlock));
+        setState.run('updatedAt', String(Date.now()));
+    });
+
+    /**
+     * @notice Removes everything indexed above `blockNumber` (reorg recovery) and rewinds the checkpoint.
+     */
+    const rollbackTo = db.transaction((blockNumber) => {
+        db.prepare('DELETE FROM events WHERE block_number > ?').run(blockNumber);
+        db.prepare('DELETE FROM sbts WHERE issued_block > ?').run(blockNumber);
+        db.prepare('UPDATE sbts SET burned_at = NULL, burned_block = NULL WHERE burned_block > ?').run(blockNumber);
+        db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+        setState.run('lastBlock', String(blockNumber));
+    });
+
+    const parseEventRow = (row) => ({
+        blockNumber: row.block_number,
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        contract: row.contract,
+        event: row.event,
+        account: row.account,
+        actor: row.actor,
+        args: JSON.parse(row.args),
+        timestamp: row.timestamp,
+    });
+
+    const parseSBTRow = (row) => ({
+        id: row.token_id,
+        recipient: row.holder,
+        issuer: row.issuer,
+        taskType: row.task_type,
+        pointLevel: row.point_level,
+        points: row.points,
+        title: row.title,
+        issuedAt: row.issued_at,
+        blockNumber: row.issued_block,
+        txHash: row.tx_hash,
+        burnedAt: row.burned_at,
+    });
+
+    const countEvents = (contract, event) =>
+        db.prepare('SELECT COUNT(*) AS n FROM events WHERE contract = ? AND event = ?').get(contract, event).n;
+
+    return {
+        // --- Checkpoint & reorg bookkeeping ---
+
+        /** @returns The last fully indexed block, or null before the first batch. */
+        getLastBlock() {
+            const value = readState('lastBlock');
+            return value === null ? null : Number(value);
+        },
+
+        /** @returns Stored block hashes at or below `blockNumber`, newest first. */
+        getRecentBlocks(blockNumber) {
+            return db.prepare('SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC').all(blockNumber);
+        },
+
+        applyBatch,
+        rollbackTo,
+
+        /** @returns The applicant of an indexed scholarship application, or null. */
+        getApplicant(applicationId) {
+            const row = db.prepare(`
+                SELECT account FROM events
+                WHERE contract = 'scholarshipManager' AND event = 'ApplicationSubmitted' AND json_extract(args, '$.applicationId') = ?
+            `).get(String(applicationId));
+            return row ? row.account : null;
+        },
+
+        // --- Audit queries ---
+
+        /** @returns { chainId, lastBlock, updatedAt (ms), eventCount } */
+        getStatus() {
+            const updatedAt = readState('updatedAt');
+            return {
+                chainId: readState('chainId') === null ? null : Number(readState('chainId')),
+                lastBlock: this.getLastBlock(),
+                updatedAt: updatedAt === null ? null : Number(updatedAt),
+                eventCount: db.prepare('SELECT COUNT(*) AS n FROM events').get().n,
+            };
+        },
+
+        /** @returns Protocol-wide counts for the audit panel. */
+        getTotals() {
+            const sbt = db.prepare(`
+                SELECT COUNT(*) AS issued,
+                       COUNT(burned_at) AS burned,
+                       SUM(CASE WHEN task_type = ? AND burned_at IS NULL THEN 1 ELSE 0 END) AS aidAcknowledged,
+                       COUNT(DISTINCT holder) AS holders,
+                       COUNT(DISTINCT issuer) AS issuers
+                FROM sbts
+            `).get(TASK_TYPES.AID_DISBURSEMENT_RECEIVED);
+
+            return {
+                sbts: {
+                    issued: sbt.issued,
+                    burned: sbt.burned,
+                    active: sbt.issued - sbt.burned,
+                    aidAcknowledged: sbt.aidAcknowledged ?? 0,
+                    holders: sbt.holders,
+                    issuers: sbt.issuers,
+                },
+                scoresPublished: countEvents('aiRiskOracle', 'ScorePublished'),
+                loans: {
+                    applied: countEvents('loanManager', 'LoanApplied'),
+                    approved: countEvents('loanManager', 'LoanApproved'),
+                    repaid: countEvents('loanManager', 'LoanRepaid'),
+                    repaidLate: db.prepare(`SELECT COUNT(*) AS n FROM events WHERE contract = 'loanManager' AND event = 'LoanRepaid' AND json_extract(args, '$.isLate') = 1`).get().n,
+                    cancelled: countEvents('loanManager', 'LoanCancelled'),
+                },
+                scholarships: {
+                    programs: countEvents('scholarshipManager', 'ProgramCreated'),
+                    applications: countEvents('scholarshipManager', 'ApplicationSubmitted'),
+                    disbursed: countEvents('scholarshipManager', 'BenefitDisbursed'),
+                    completed: countEvents('scholarshipManager', 'ApplicationCompleted'),
+                },
+            };
+        },
+
+        /** @returns Per-issuer SBT counts, most active issuer first. */
+        getIssuerCounts() {
+            return db.prepare(`
+                SELECT issuer,
+                       COUNT(*) AS issued,
+                       COUNT(burned_at) AS burned,
+                       SUM(CASE WHEN task_type = ? THEN 1 ELSE 0 END) AS aidAcknowledged,
+                       COUNT(DISTINCT holder) AS holders,
+                       MIN(issued_at) AS firstIssuedAt,
+                       MAX(issued_at) AS lastIssuedAt
+                FROM sbts
+                GROUP BY issuer
+                ORDER BY issued DESC, issuer
+            `).all(TASK_TYPES.AID_DISBURSEMENT_RECEIVED);
+        },
+
+        /**
+         * @notice One page of SBTs matching an audit query, newest first (burned ones flagged by burnedAt).
+         * @param query { issuer, recipient, taskType, pointLevel, from, to } as built by client/auditLog.js
+         *              toAuditQuery (lowercase addresses, enum indexes, ms timestamps); omitted keys match all.
+         * @returns { total, offset, limit, items }
+         */
+        querySBTs(query = {}, { offset = 0, limit = 100 } = {}) {
+            const clauses = [];
+            const params = {};
+            const filters = [
+                ['issuer', 'issuer = @issuer'],
+                ['recipient', 'holder = @recipient'],
+                ['taskType', 'task_type = @taskType'],
+                ['pointLevel', 'point_level = @pointLevel'],
+                ['from', 'issued_at >= @from'],
+                ['to', 'issued_at <= @to'],
+            ];
+            for (const [key, clause] of filters) {
+                if (query[key] === undefined) continue;
+                clauses.push(clause);
+                params[key] = query[key];
+            }
+            const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+            const { total } = db.prepare(`SELECT COUNT(*) AS total FROM sbts ${where}`).get(params);
+            const items = db.prepare(`SELECT * FROM sbts ${where} ORDER BY issued_at DESC, token_id DESC LIMIT @limit OFFSET @offset`)
+                .all({ ...params, limit, offset })
+                .map(parseSBTRow);
+            return { total, offset, limit, items };
+        },
+
+        /**
+         * @notice Everything indexed about one holder: their SBTs and every event naming them
+         * (scores, loans, scholarship applications), oldest first.
+         */
+        getHolderHistory(holder) {
+            const address = holder.toLowerCase();
+            return {
+                holder: address,
+                sbts: db.prepare('SELECT * FROM sbts WHERE holder = ? ORDER BY issued_at').all(address).map(parseSBTRow),
+                events: db.prepare('SELECT * FROM events WHERE account = ? ORDER BY block_number, log_index').all(address).map(parseEventRow),
+            };
+        },
+
+        close() {
+            db.close();
+        },
+    };
+}
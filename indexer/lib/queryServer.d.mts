@@ -0,0 +1,6 @@
+// Type declarations for queryServer.mjs (used by the TypeScript tests under test/).
+
+import type { Server } from 'node:http';
+import type { EventStore } from './eventStore.mjs';
+
+export function createQueryServer(store: EventStore): Server;
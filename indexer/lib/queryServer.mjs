@@ -0,0 +1,90 @@
+// Read-only JSON API over the event store, consumed by the issuer audit panel (client/indexerClient.js).
+//
+//   GET /status                 -> { chainId, lastBlock, updatedAt, eventCount }
+//   GET /totals                 -> SBT, score, loan and scholarship counts
+//   GET /issuers                -> per-issuer SBT counts
+//   GET /sbts?issuer=&recipient=&taskType=&pointLevel=&from=&to=&offset=0&limit=100
+//                               -> { total, offset, limit, items } newest first (from/to in ms)
+//   GET /holders/:address       -> { holder, sbts, events } for one holder
+
+import { createServer } from 'node:http';
+import { TASK_TYPE_NAMES, POINT_LEVEL_NAMES } from '../../client/sbtCodec.js';
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const MAX_SBT_LIMIT = 1000;
+
+// Reads an optional non-negative integer query parameter
+const readInteger = (params, name, { max = Number.MAX_SAFE_INTEGER } = {}) => {
+    if (!params.has(name) || params.get(name) === '') return undefined;
+    const value = Number(params.get(name));
+    if (!Number.isInteger(value) || value < 0 || value > max) throw new RangeError(`${name} must be an integer between 0 and ${max}.`);
+    return value;
+};
+
+const readAddress = (params, name) => {
+    if (!params.has(name) || params.get(name) === '') return undefined;
+    const value = params.get(name);
+    if (!ADDRESS_PATTERN.test(value)) throw new RangeError(`Invalid ${name} address: ${value}`);
+    return value.toLowerCase();
+};
+
+// Builds the store's audit query from /sbts parameters
+const readSBTQuery = (params) => {
+    const query = {
+        issuer: readAddress(params, 'issuer'),
+        recipient: readAddress(params, 'recipient'),
+        taskType: readInteger(params, 'taskType', { max: TASK_TYPE_NAMES.length - 1 }),
+        pointLevel: readInteger(params, 'pointLevel', { max: POINT_LEVEL_NAMES.length - 1 }),
+        from: readInteger(params, 'from'),
+        to: readInteger(params, 'to'),
+    };
+    return Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined));
+};
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*', // The DApp is served from another origin
+    });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * @notice Creates (but does not start) the HTTP server. Call .listen(port) on the result.
+ */
+export function createQueryServer(store) {
+    const routes = [
+        [/^\/status$/, () => store.getStatus()],
+        [/^\/totals$/, () => store.getTotals()],
+        [/^\/issuers$/, () => store.getIssuerCounts()],
+        [/^\/sbts$/, (match, params) => {
+            const limit = readInteger(params, 'limit', { max: MAX_SBT_LIMIT }) ?? 100;
+            if (limit < 1) throw new RangeError("limit must be at least 1.");
+            return store.querySBTs(readSBTQuery(params), { offset: readInteger(params, 'offset') ?? 0, limit });
+        }],
+        [/^\/holders\/([^/]+)$/, (match) => {
+            if (!ADDRESS_PATTERN.test(match[1])) throw new RangeError(`Invalid address: ${match[1]}`);
+            return store.getHolderHistory(match[1]);
+        }],
+    ];
+
+    return createServer((req, res) => {
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Only GET is supported.' });
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        for (const [pattern, handler] of routes) {
+            const match = url.pathname.match(pattern);
+            if (!match) continue;
+            try {
+                sendJson(res, 200, handler(match, url.searchParams));
+            } catch (e) {
+                sendJson(res, e instanceof RangeError ? 400 : 500, { error: e.message });
+            }
+            return;
+        }
+        sendJson(res, 404, { error: `No route for ${url.pathname}` });
+    });
+}
@@ -0,0 +1,95 @@
+// Backtests the scoring policies against a labelled population.
+// FINANCIAL_RISK is judged against loan outcomes (good = repaid), UBI_ELIGIBILITY against
+// program outcomes (good = completed). Reports AUC, KS, calibration by score band and how
+// many holders land in each LoanManager interest rate tier.
+//
+// Usage:
+//   npm run backtest -- --data population.json [--band-width 100] [--json report.json]
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { calculateAllScores, SCORING_POLICIES } from '../client/scoringEngine.js';
+import { INTEREST_RATE_TIERS, getInterestRateTier } from '../client/loanPricing.js';
+import { calculateAUC, calculateKS, calculateCalibration } from './lib/backtestMetrics.mjs';
+
+const { values: args } = parseArgs({
+    options: {
+        data: { type: 'string', default: 'population.json' },
+        'band-width': { type: 'string', default: '100' },
+        json: { type: 'string' },
+    },
+});
+
+const population = JSON.parse(readFileSync(resolve(args.data), 'utf8'));
+const holders = Array.isArray(population) ? population : population.holders;
+const asOf = population.meta ? population.meta.asOf : Date.now();
+const bandWidth = Number(args['band-width']);
+
+// 1. Score every holder at the population's reference time
+const scored = holders.map(holder => ({ holder, scores: calculateAllScores(holder.sbts, { asOf }) }));
+
+function evaluate(scoreType, isGood) {
+    const scores = scored.map(s => s.scores[scoreType].score);
+    const outcomes = scored.map(s => isGood(s.holder));
+    const { ks, atScore } = calculateKS(scores, outcomes);
+    return {
+        scoreType,
+        policyVersion: SCORING_POLICIES[scoreType].version,
+        holders: scores.length,
+        goodRate: outcomes.filter(Boolean).length / outcomes.length,
+        zeroScores: scores.filter(score => score === 0).length,
+        auc: calculateAUC(scores, outcomes),
+        ks,
+        ksAtScore: atScore,
+        calibration: calculateCalibration(scores, outcomes, bandWidth),
+    };
+}
+
+const financial = evaluate('FINANCIAL_RISK', holder => !holder.defaulted);
+const ubi = evaluate('UBI_ELIGIBILITY', holder => holder.programCompleted);
+
+// 2. Interest rate tier distribution (LoanManager.getInterestRate)
+const tierCounts = Object.fromEntries(INTEREST_RATE_TIERS.map(tier => [tier.name, { count: 0, defaults: 0 }]));
+scored.forEach(({ holder, scores }) => {
+    const tier = tierCounts[getInterestRateTier(scores.FINANCIAL_RISK.score).name];
+    tier.count++;
+    if (holder.defaulted) tier.defaults++;
+});
+const tiers = INTEREST_RATE_TIERS.map(tier => ({
+    tier: tier.name,
+    minScore: tier.minScore,
+    rateBps: tier.rateBps,
+    holders: tierCounts[tier.name].count,
+    share: tierCounts[tier.name].count / scored.length,
+    defaultRate: tierCounts[tier.name].count ? tierCounts[tier.name].defaults / tierCounts[tier.name].count : null,
+}));
+
+// 3. Report
+const pct = (value) => (value === null ? '  n/a' : `${(value * 100).toFixed(1).padStart(5)}%`);
+const fixed = (value) => (value === null ? 'n/a' : value.toFixed(3));
+
+function printResult(result, goodLabel) {
+    console.log(`\n${result.scoreType} (${result.policyVersion}) - good = ${goodLabel}`);
+    console.log(`  holders ${result.holders}, good rate ${pct(result.goodRate)}, zero scores ${result.zeroScores}`);
+    console.log(`  AUC ${fixed(result.auc)}  KS ${fixed(result.ks)} (at score ${result.ksAtScore})`);
+    console.log(`  calibration by band${result.calibration.monotonic ? '' : ' (NOT monotonic)'}:`);
+    result.calibration.bands.forEach(band => {
+        console.log(`    ${band.band.padEnd(10)} n=${String(band.count).padStart(6)}  good ${pct(band.goodRate)}`);
+    });
+}
+
+console.log(`Backtest of ${scored.length} holders as of ${new Date(asOf).toISOString()}`);
+printResult(financial, 'repaid');
+printResult(ubi, 'program completed');
+
+console.log('\nLoanManager.getInterestRate tiers (FINANCIAL_RISK):');
+tiers.forEach(tier => {
+    console.log(`  ${tier.tier.padEnd(10)} >=${String(tier.minScore).padStart(4)}  ${(tier.rateBps / 100).toFixed(2).padStart(5)}%  ` +
+        `holders ${String(tier.holders).padStart(6)} (${pct(tier.share)})  default ${pct(tier.defaultRate)}`);
+});
+
+if (args.json) {
+    writeFileSync(resolve(args.json), JSON.stringify({ asOf, financial, ubi, tiers }, null, 2) + '\n');
+    console.log(`\nReport written to ${args.json}`);
+}
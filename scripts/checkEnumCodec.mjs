@@ -0,0 +1,88 @@
+// Verifies that client/sbtCodec.js matches the TaskType/PointLevel enums declared in contracts/*.sol.
+// SoulboundToken.sol is the source of truth; LoanManager, ScholarshipManager and AidCampaignManager
+// redeclare the enums in their ISoulboundToken interfaces, so every copy is checked.
+// The ScholarshipManager enums are checked against client/scholarshipCodec.js the same way.
+//
+// Usage: npm run check:enums
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { TASK_TYPE_NAMES, POINT_LEVEL_NAMES, getPointValueFromLevel } from '../client/sbtCodec.js';
+import { PROGRAM_TYPE_NAMES, APPLICATION_STATUS_NAMES, BENEFIT_TYPE_NAMES } from '../client/scholarshipCodec.js';
+
+const CONTRACTS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'contracts');
+
+// Enums that only ScholarshipManager declares
+const SCHOLARSHIP_ENUMS = {
+    ProgramType: PROGRAM_TYPE_NAMES,
+    ApplicationStatus: APPLICATION_STATUS_NAMES,
+    BenefitType: BENEFIT_TYPE_NAMES,
+};
+
+const stripComments = (source) => source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\/\/.*$/gm, '');
+
+function parseEnum(source, enumName) {
+    const match = source.match(new RegExp(`enum\\s+${enumName}\\s*\\{([^}]*)\\}`));
+    if (!match) return null;
+    return match[1].split(',').map(member => member.trim()).filter(Boolean);
+}
+
+function parsePointValues(source) {
+    const values = {};
+    const pattern = /PointLevel\.(\w+)\)\s*return\s+(\d+)/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        values[match[1]] = Number(match[2]);
+    }
+    return values;
+}
+
+const sameMembers = (a, b) => a.length === b.length && a.every((name, i) => name === b[i]);
+
+const errors = [];
+let checkedFiles = 0;
+
+for (const file of readdirSync(CONTRACTS_DIR).filter(f => f.endsWith('.sol'))) {
+    const source = stripComments(readFileSync(join(CONTRACTS_DIR, file), 'utf8'));
+
+    for (const [enumName, codecNames] of Object.entries(SCHOLARSHIP_ENUMS)) {
+        const members = parseEnum(source, enumName);
+        if (members && !sameMembers(members, codecNames)) {
+            errors.push(`${file}: ${enumName} is [${members.join(', ')}], codec has [${codecNames.join(', ')}]`);
+        }
+    }
+
+    const taskTypes = parseEnum(source, 'TaskType');
+    const pointLevels = parseEnum(source, 'PointLevel');
+    if (!taskTypes && !pointLevels) continue;
+    checkedFiles++;
+
+    if (taskTypes && !sameMembers(taskTypes, TASK_TYPE_NAMES)) {
+        errors.push(`${file}: TaskType is [${taskTypes.join(', ')}], codec has [${TASK_TYPE_NAMES.join(', ')}]`);
+    }
+    if (pointLevels && !sameMembers(pointLevels, POINT_LEVEL_NAMES)) {
+        errors.push(`${file}: PointLevel is [${pointLevels.join(', ')}], codec has [${POINT_LEVEL_NAMES.join(', ')}]`);
+    }
+
+    for (const [level, value] of Object.entries(parsePointValues(source))) {
+        const codecValue = POINT_LEVEL_NAMES.includes(level) ? getPointValueFromLevel(level) : undefined;
+        if (codecValue !== value) {
+            errors.push(`${file}: getPointValueFromLevel(${level}) returns ${value}, codec returns ${codecValue}`);
+        }
+    }
+}
+
+if (checkedFiles === 0) {
+    errors.push(`No TaskType/PointLevel enums found under ${CONTRACTS_DIR}`);
+}
+
+if (errors.length > 0) {
+    console.error('Enum codec is out of sync with the contracts:');
+    errors.forEach(error => console.error(`  - ${error}`));
+    process.exit(1);
+}
+
+console.log(`Enum codec matches ${checkedFiles} contract file(s).`);
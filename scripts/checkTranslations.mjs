@@ -0,0 +1,114 @@
+// Checks the message catalogs in client/locales against the English reference catalog:
+// missing and extra keys, plural messages without a form the language needs, and placeholders
+// that differ from the English message. It also scans the client sources for message keys
+// ('dashboard.title') that English does not define. Keys built at runtime (`txStatus.${status}`)
+// are covered by the English catalog generating those groups from the same tables.
+//
+// Usage: npm run check:i18n
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const CLIENT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'client');
+const LOCALES_DIR = join(CLIENT_DIR, 'locales');
+const REFERENCE = 'en';
+
+const PLURAL_CATEGORIES = new Set(['zero', 'one', 'two', 'few', 'many', 'other']);
+
+const isPlural = (value) => typeof value === 'object' && value !== null
+    && 'other' in value && Object.keys(value).every(key => PLURAL_CATEGORIES.has(key));
+
+// { 'dashboard.title': message } with plural objects kept whole
+function flatten(catalog, prefix = '', out = new Map()) {
+    for (const [key, value] of Object.entries(catalog)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === 'string' || isPlural(value)) out.set(path, value);
+        else flatten(value, path, out);
+    }
+    return out;
+}
+
+const placeholders = (message) => new Set(
+    (isPlural(message) ? Object.values(message) : [message]).flatMap(text => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1])),
+);
+
+// Categories a language uses for the whole-number counts the app shows (French 'many' only
+// applies from a million up, so it is not required)
+function requiredCategories(locale) {
+    const rules = new Intl.PluralRules(locale);
+    const categories = new Set();
+    for (let n = 0; n <= 1000; n++) categories.add(rules.select(n));
+    return categories;
+}
+
+async function loadCatalog(file) {
+    return (await import(pathToFileURL(join(LOCALES_DIR, file)).href)).default;
+}
+
+const errors = [];
+const reference = flatten(await loadCatalog(`${REFERENCE}.js`));
+const locales = readdirSync(LOCALES_DIR).filter(file => file.endsWith('.js')).map(file => file.slice(0, -3)).sort();
+
+// --- Catalogs ---
+
+for (const locale of locales.filter(locale => locale !== REFERENCE)) {
+    const messages = flatten(await loadCatalog(`${locale}.js`));
+    const categories = requiredCategories(locale);
+
+    for (const [key, english] of reference) {
+        if (!messages.has(key)) {
+            errors.push(`${locale}: missing ${key}`);
+            continue;
+        }
+        const message = messages.get(key);
+        if (isPlural(english) !== isPlural(message)) {
+            errors.push(`${locale}: ${key} must be ${isPlural(english) ? 'a plural object' : 'a string'}`);
+            continue;
+        }
+        if (isPlural(message)) {
+            const missingForms = [...categories].filter(category => !(category in message));
+            if (missingForms.length > 0) errors.push(`${locale}: ${key} has no ${missingForms.join(', ')} form`);
+            // A form may spell out its number ("one day"), but must keep every other value
+            const shared = [...placeholders(english)].filter(name => name !== 'count'
+                && Object.values(english).every(text => text.includes(`{${name}}`)));
+            for (const [category, text] of Object.entries(message)) {
+                const dropped = shared.filter(name => !text.includes(`{${name}}`));
+                if (dropped.length > 0) errors.push(`${locale}: ${key} (${category}) drops {${dropped.join('}, {')}}`);
+            }
+        }
+        const expected = placeholders(english);
+        const actual = placeholders(message);
+        const dropped = [...expected].filter(name => !actual.has(name));
+        const unknown = [...actual].filter(name => !expected.has(name));
+        if (dropped.length > 0) errors.push(`${locale}: ${key} drops {${dropped.join('}, {')}}`);
+        if (unknown.length > 0) errors.push(`${locale}: ${key} uses unknown {${unknown.join('}, {')}}`);
+    }
+
+    for (const key of messages.keys()) {
+        if (!reference.has(key)) errors.push(`${locale}: ${key} is not in ${REFERENCE}.js`);
+    }
+}
+
+// --- Sources ---
+
+const groups = new Set([...reference.keys()].map(key => key.split('.')[0]));
+const sources = readdirSync(CLIENT_DIR).filter(file => /\.jsx?$/.test(file));
+let usedKeys = 0;
+
+for (const file of sources) {
+    const source = readFileSync(join(CLIENT_DIR, file), 'utf8');
+    for (const [, key] of source.matchAll(/['"`]([a-zA-Z]+(?:\.[\w-]+)+)['"`]/g)) {
+        if (!groups.has(key.split('.')[0])) continue;
+        usedKeys++;
+        if (!reference.has(key)) errors.push(`${file}: uses ${key}, which ${REFERENCE}.js does not define`);
+    }
+}
+
+if (errors.length > 0) {
+    console.error('Translations are incomplete:');
+    errors.forEach(error => console.error(`  - ${error}`));
+    process.exit(1);
+}
+
+console.log(`${locales.length} catalog(s) cover all ${reference.size} message(s); ${usedKeys} key reference(s) in ${sources.length} client file(s) resolve.`);
@@ -0,0 +1,81 @@
+// Discrimination and calibration metrics for score backtests.
+// Every function takes parallel arrays: scores (higher = better) and outcomes (true = good).
+
+/**
+ * @notice Area under the ROC curve via the Mann-Whitney U statistic (ties get average ranks).
+ * @returns AUC in [0, 1]; 0.5 is random ranking, 1.0 ranks every good holder above every bad one.
+ */
+export function calculateAUC(scores, outcomes) {
+    const ranked = scores.map((score, i) => ({ score, good: outcomes[i] })).sort((a, b) => a.score - b.score);
+
+    let rankSumGood = 0;
+    let i = 0;
+    while (i < ranked.length) {
+        let j = i;
+        while (j + 1 < ranked.length && ranked[j + 1].score === ranked[i].score) j++;
+        const averageRank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) {
+            if (ranked[k].good) rankSumGood += averageRank;
+        }
+        i = j + 1;
+    }
+
+    const goodCount = outcomes.filter(Boolean).length;
+    const badCount = outcomes.length - goodCount;
+    if (goodCount === 0 || badCount === 0) return null;
+
+    return (rankSumGood - (goodCount * (goodCount + 1)) / 2) / (goodCount * badCount);
+}
+
+/**
+ * @notice Kolmogorov-Smirnov statistic: largest gap between the good and bad score CDFs.
+ * @returns { ks, atScore }
+ */
+export function calculateKS(scores, outcomes) {
+    const goodCount = outcomes.filter(Boolean).length;
+    const badCount = outcomes.length - goodCount;
+    if (goodCount === 0 || badCount === 0) return { ks: null, atScore: null };
+
+    const thresholds = [...new Set(scores)].sort((a, b) => a - b);
+    let best = { ks: 0, atScore: null };
+    for (const threshold of thresholds) {
+        let goodBelow = 0;
+        let badBelow = 0;
+        scores.forEach((score, i) => {
+            if (score <= threshold) outcomes[i] ? goodBelow++ : badBelow++;
+        });
+        const gap = Math.abs(badBelow / badCount - goodBelow / goodCount);
+        if (gap > best.ks) best = { ks: gap, atScore: threshold };
+    }
+    return best;
+}
+
+/**
+ * @notice Observed good-outcome rate per score band.
+ * @param bandWidth Width of each band on the 0-1000 scale.
+ * @returns { bands: [{ band, count, goodRate, meanScore }], monotonic }
+ * monotonic is true when the good rate never falls as the score band rises.
+ */
+export function calculateCalibration(scores, outcomes, bandWidth = 100) {
+    const bands = new Map();
+    scores.forEach((score, i) => {
+        const lower = Math.min(Math.floor(score / bandWidth) * bandWidth, 1000 - bandWidth);
+        if (!bands.has(lower)) bands.set(lower, { count: 0, good: 0, scoreSum: 0 });
+        const band = bands.get(lower);
+        band.count++;
+        band.scoreSum += score;
+        if (outcomes[i]) band.good++;
+    });
+
+    const rows = [...bands.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([lower, band]) => ({
+            band: `${lower}-${lower + bandWidth >= 1000 ? 1000 : lower + bandWidth - 1}`,
+            count: band.count,
+            goodRate: band.good / band.count,
+            meanScore: band.scoreSum / band.count,
+        }));
+
+    const monotonic = rows.every((row, i) => i === 0 || row.goodRate >= rows[i - 1].goodRate);
+    return { bands: rows, monotonic };
+}
@@ -0,0 +1,44 @@
+// client/deployments.json for the Node scripts, which cannot import JSON the way the bundled client
+// does (client/deployments.js). The verifier scripts take their expected contract addresses from here:
+// a signed document names the contracts it was made against, but a verifier must not trust that, so
+// the address comes from --flag or, without one, from the manifest for the provider's chain. The
+// indexer reads the addresses of the chain its RPC serves.
+
+import { readFileSync } from 'node:fs';
+import { getAddress } from 'ethers';
+
+const MANIFEST_URL = new URL('../../client/deployments.json', import.meta.url);
+
+const readManifest = () => JSON.parse(readFileSync(MANIFEST_URL, 'utf8'));
+
+/**
+ * @notice A chain's deployment: the manifest entry merged with per-chain overrides, like
+ * resolveDeployment in client/deployments.js.
+ * @param overrides { [chainId]: { contracts?, deploymentBlock? } } (the CREDO_CONFIG.deployments shape).
+ * @returns { contracts, deploymentBlock }; contracts holds only the names with an address.
+ */
+export function readDeployment(chainId, overrides = {}) {
+    const entry = readManifest()[String(chainId)] || {};
+    const override = overrides[String(chainId)] || {};
+    const contracts = Object.fromEntries(
+        Object.entries({ ...(entry.contracts || {}), ...(override.contracts || {}) }).filter(([, address]) => address)
+    );
+    return { contracts, deploymentBlock: Number(override.deploymentBlock ?? entry.deploymentBlock ?? 0) };
+}
+
+/**
+ * @notice The address a document must have been made against.
+ * @param name The deployments.json key ('soulboundToken', 'aiRiskOracle', ...).
+ * @param override Address given on the command line, if any.
+ * @throws Error when neither the flag nor the manifest names the contract for the provider's chain.
+ */
+export async function resolveExpectedContract(provider, name, override) {
+    if (override) return getAddress(override);
+
+    const { chainId } = await provider.getNetwork();
+    const address = readManifest()[String(chainId)]?.contracts?.[name];
+    if (!address) {
+        throw new Error(`No ${name} address for chain ${chainId} in client/deployments.json; pass it with a flag.`);
+    }
+    return getAddress(address);
+}
@@ -0,0 +1,95 @@
+// Type declarations for scoreReplay.mjs (used by the TypeScript tests under test/).
+
+import type { Contract } from 'ethers';
+import type { ScoreType } from '../../client/scoringEngine.js';
+
+export const DEFAULT_TOLERANCE: number;
+
+export interface BlockRange {
+    fromBlock: number;
+    toBlock: number;
+    rangeSize?: number;
+}
+
+/** An SBT over its lifetime (times in ms; burnedAt null while held). */
+export interface SBTLifecycle {
+    id: number;
+    taskType: number;
+    pointLevel: number;
+    issuedAt: number;
+    burnedAt: number | null;
+}
+
+export interface PublishedScore {
+    scoreValue: number;
+    timestamp: number;
+}
+
+export interface ReplayedScore {
+    timestamp: number;
+    published: number;
+    recomputed: number | null;
+    difference: number | null;
+    policyVersion: string | null;
+    sbtIds: number[];
+    flagged: boolean;
+    error: string | null;
+}
+
+export function queryInRanges(contract: Contract, filter: any, range: BlockRange): Promise<any[]>;
+export function readSBTLifecycles(sbt: Contract, range: BlockRange): Promise<Map<string, SBTLifecycle[]>>;
+export function discoverPublishers(oracle: Contract, range: BlockRange): Promise<string[]>;
+export function readBatchScores(
+    oracle: Contract,
+    holders: string[],
+    scoreTypeIndex: number,
+    batchSize?: number
+): Promise<Map<string, { score: number; valid: boolean }>>;
+export function readScoreHistory(
+    oracle: Contract,
+    holder: string,
+    scoreTypeIndex: number,
+    range: BlockRange
+): Promise<{ source: 'getScoreHistory' | 'events'; entries: PublishedScore[] }>;
+
+export function holdingsAt(tokens: SBTLifecycle[], timestamp: number): SBTLifecycle[];
+export function replayHistory(
+    scoreType: ScoreType,
+    entries: PublishedScore[],
+    tokens: SBTLifecycle[],
+    options?: { tolerance?: number }
+): ReplayedScore[];
+
+export interface ReplaySummary {
+    holders: number;
+    published: number;
+    replayed: number;
+    flagged: number;
+    flaggedHolders: number;
+}
+
+export function replayScores(
+    oracle: Contract,
+    sbt: Contract,
+    options: {
+        scoreTypes?: ScoreType[];
+        tolerance?: number;
+        batchSize?: number;
+        holders?: string[];
+        range: BlockRange;
+        onProgress?: (scoreType: ScoreType, done: number, total: number) => void;
+    }
+): Promise<{
+    tolerance: number;
+    holders: number;
+    results: {
+        holder: string;
+        scoreType: ScoreType;
+        latest: { score: number; valid: boolean };
+        source: 'getScoreHistory' | 'events';
+        latestInHistory: boolean;
+        entries: ReplayedScore[];
+        flaggedCount: number;
+    }[];
+    summary: Partial<Record<ScoreType, ReplaySummary>>;
+}>;
@@ -0,0 +1,196 @@
+// Replays published scores: rebuilds each holder's SBT set at every publish timestamp from the
+// SoulboundToken events, recomputes the score with the policy that applied then (POLICY_HISTORY)
+// and flags published values that differ from the recomputed one by more than a tolerance.
+
+import { calculateScore, getPolicyAt, SCORE_TYPES } from '../../client/scoringEngine.js';
+
+/**
+ * @notice Default allowed |published - recomputed| in score points. Honest publishes can drift a
+ * little: the publisher scores a few seconds before the block, and an SBT minted in between or a
+ * recency band boundary crossed in that gap changes the score.
+ */
+export const DEFAULT_TOLERANCE = 25;
+
+// --- Chain reads ---
+
+/**
+ * @notice queryFilter over [fromBlock, toBlock] in ranges small enough for public RPC log limits.
+ */
+export async function queryInRanges(contract, filter, { fromBlock, toBlock, rangeSize = 10000 }) {
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += rangeSize) {
+        logs.push(...await contract.queryFilter(filter, start, Math.min(toBlock, start + rangeSize - 1)));
+    }
+    return logs;
+}
+
+/**
+ * @notice Every SBT ever issued, with its burn time, grouped by holder.
+ * @returns Map<lowercased holder, [{ id, taskType, pointLevel, issuedAt, burnedAt }]> (times in ms).
+ */
+export async function readSBTLifecycles(sbt, range) {
+    const [issued, burned] = await Promise.all([
+        queryInRanges(sbt, sbt.filters.SBTIssued(), range),
+        queryInRanges(sbt, sbt.filters.SBTBurned(), range),
+    ]);
+    const burnedAt = new Map(burned.map(log => [Number(log.args.tokenId), Number(log.args.timestamp) * 1000]));
+
+    const byHolder = new Map();
+    issued.forEach(log => {
+        const holder = log.args.holder.toLowerCase();
+        const id = Number(log.args.tokenId);
+        if (!byHolder.has(holder)) byHolder.set(holder, []);
+        byHolder.get(holder).push({
+            id,
+            taskType: Number(log.args.taskType),
+            pointLevel: Number(log.args.pointLevel),
+            issuedAt: Number(log.args.issuedAt) * 1000,
+            burnedAt: burnedAt.get(id) ?? null,
+        });
+    });
+    return byHolder;
+}
+
+/**
+ * @notice Every holder that has published a score, in order of first publish.
+ */
+export async function discoverPublishers(oracle, range) {
+    const logs = await queryInRanges(oracle, oracle.filters.ScorePublished(), range);
+    return [...new Set(logs.map(log => log.args.holder))];
+}
+
+/**
+ * @notice Latest published scores for many holders via getBatchScores, batchSize holders per call.
+ * @returns Map<lowercased holder, { score, valid }>
+ */
+export async function readBatchScores(oracle, holders, scoreTypeIndex, batchSize = 200) {
+    const latest = new Map();
+    for (let i = 0; i < holders.length; i += batchSize) {
+        const batch = holders.slice(i, i + batchSize);
+        const [scores, validities] = await oracle.getBatchScores(batch, scoreTypeIndex);
+        batch.forEach((holder, j) => latest.set(holder.toLowerCase(), { score: Number(scores[j]), valid: validities[j] }));
+    }
+    return latest;
+}
+
+/**
+ * @notice A holder's published scores, oldest first, from AIRiskOracle.getScoreHistory.
+ * @dev When history tracking is disabled on the oracle, falls back to the ScorePublished events,
+ * which carry the same values.
+ * @returns { source: 'getScoreHistory' | 'events', entries: [{ scoreValue, timestamp }] } (timestamp in ms)
+ */
+export async function readScoreHistory(oracle, holder, scoreTypeIndex, range) {
+    try {
+        const history = await oracle.getScoreHistory(holder, scoreTypeIndex);
+        return {
+            source: 'getScoreHistory',
+            entries: history.map(entry => ({ scoreValue: Number(entry.scoreValue), timestamp: Number(entry.timestamp) * 1000 })),
+        };
+    } catch (e) {
+        if (!/History tracking is disabled/.test(e.reason || e.shortMessage || e.message || '')) throw e;
+    }
+    const logs = await queryInRanges(oracle, oracle.filters.ScorePublished(holder, scoreTypeIndex), range);
+    return {
+        source: 'events',
+        entries: logs.map(log => ({ scoreValue: Number(log.args.scoreValue), timestamp: Number(log.args.publishedTimestamp) * 1000 })),
+    };
+}
+
+// --- Replay ---
+
+/**
+ * @notice The SBTs a holder held at a point in time (issued at or before it, not yet burned).
+ */
+export function holdingsAt(tokens, timestamp) {
+    return tokens.filter(token => token.issuedAt <= timestamp && (token.burnedAt === null || token.burnedAt > timestamp));
+}
+
+/**
+ * @notice Recomputes every published value in a holder's history.
+ * @returns [{ timestamp, published, recomputed, difference, policyVersion, sbtIds, flagged, error }]
+ * with difference = published - recomputed (positive = the holder published a better score).
+ */
+export function replayHistory(scoreType, entries, tokens, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    return entries.map(({ scoreValue, timestamp }) => {
+        const held = holdingsAt(tokens, timestamp);
+        const replayed = { timestamp, published: scoreValue, recomputed: null, difference: null, policyVersion: null, sbtIds: held.map(t => t.id), flagged: true, error: null };
+
+        const policy = getPolicyAt(scoreType, timestamp);
+        if (!policy) {
+            replayed.error = `No ${scoreType} policy was in effect at ${new Date(timestamp).toISOString()}.`;
+            return replayed;
+        }
+        replayed.policyVersion = policy.version;
+        try {
+            replayed.recomputed = calculateScore(scoreType, held, { policy, asOf: timestamp }).score;
+        } catch (e) {
+            replayed.error = e.message;
+            return replayed;
+        }
+        replayed.difference = scoreValue - replayed.recomputed;
+        replayed.flagged = Math.abs(replayed.difference) > tolerance;
+        return replayed;
+    });
+}
+
+/**
+ * @notice Replays every holder's published history for the given score types.
+ * @param options.holders Holders to check (default: everyone who emitted ScorePublished in the range).
+ * @param options.range { fromBlock, toBlock, rangeSize } for event queries.
+ * @param options.onProgress Called with (scoreType, done, total).
+ * @returns { tolerance, holders, results: [{ holder, scoreType, latest, source, latestInHistory, entries, flaggedCount }],
+ *            summary: { [scoreType]: { holders, published, replayed, flagged, flaggedHolders } } }
+ */
+export async function replayScores(oracle, sbt, options) {
+    const {
+        scoreTypes = Object.keys(SCORE_TYPES),
+        tolerance = DEFAULT_TOLERANCE,
+        batchSize = 200,
+        range,
+        onProgress = () => {},
+    } = options;
+
+    const holders = options.holders || await discoverPublishers(oracle, range);
+    const lifecycles = await readSBTLifecycles(sbt, range);
+    const results = [];
+    const summary = {};
+
+    for (const scoreType of scoreTypes) {
+        const scoreTypeIndex = SCORE_TYPES[scoreType];
+        if (scoreTypeIndex === undefined) throw new Error(`Unknown score type "${scoreType}".`);
+
+        // 1. One getBatchScores sweep finds the holders that have published this type at all
+        const latest = await readBatchScores(oracle, holders, scoreTypeIndex, batchSize);
+        const published = holders.filter(holder => {
+            const { score, valid } = latest.get(holder.toLowerCase());
+            return score > 0 || valid;
+        });
+        const stats = { holders: holders.length, published: published.length, replayed: 0, flagged: 0, flaggedHolders: 0 };
+
+        // 2. Replay each publisher's history
+        for (const [i, holder] of published.entries()) {
+            const { source, entries } = await readScoreHistory(oracle, holder, scoreTypeIndex, range);
+            const replayed = replayHistory(scoreType, entries, lifecycles.get(holder.toLowerCase()) || [], { tolerance });
+            const flaggedCount = replayed.filter(entry => entry.flagged).length;
+            const current = latest.get(holder.toLowerCase());
+
+            results.push({
+                holder,
+                scoreType,
+                latest: current,
+                source,
+                // false when tracking was switched on after the latest publish (or off since)
+                latestInHistory: entries.length > 0 && entries.at(-1).scoreValue === current.score,
+                entries: replayed,
+                flaggedCount,
+            });
+            stats.replayed += replayed.length;
+            stats.flagged += flaggedCount;
+            if (flaggedCount > 0) stats.flaggedHolders++;
+            onProgress(scoreType, i + 1, published.length);
+        }
+        summary[scoreType] = stats;
+    }
+
+    return { tolerance, holders: holders.length, results, summary };
+}
@@ -0,0 +1,214 @@
+// Synthetic SBT holder population for calibrating the scoring policies.
+// Each holder has two hidden traits - reliability (drives loan repayment) and engagement
+// (drives social participation and program completion). SBT histories are sampled from
+// those traits, and outcomes are sampled from the same traits, so a well-calibrated scorer
+// should rank holders by outcome without ever seeing the traits.
+
+import { TASK_TYPES, POINT_LEVELS } from '../../client/sbtCodec.js';
+
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+const HISTORY_MONTHS = 36;
+
+/**
+ * @notice Deterministic PRNG (mulberry32) so a seed always reproduces the same population.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        chance: (p) => next() < p,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        // Small-count sampler: expected value `mean`, capped to keep histories realistic
+        count: (mean, cap = 12) => {
+            let n = 0;
+            let p = Math.exp(-mean);
+            let cumulative = p;
+            const u = next();
+            while (u > cumulative && n < cap) {
+                n++;
+                p *= mean / n;
+                cumulative += p;
+            }
+            return n;
+        },
+        weighted: (entries) => {
+            const total = entries.reduce((sum, [, w]) => sum + w, 0);
+            let u = next() * total;
+            for (const [value, w] of entries) {
+                if ((u -= w) < 0) return value;
+            }
+            return entries[entries.length - 1][0];
+        },
+    };
+}
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+/**
+ * @notice Holder archetypes: population share, trait ranges and expected SBT counts per TaskType.
+ * Counts scale with the trait named in `drivenBy`.
+ */
+const ARCHETYPES = {
+    thin_file: {
+        share: 0.2,
+        kycRate: 0.6,
+        reliability: [0.1, 0.7],
+        engagement: [0.0, 0.5],
+        counts: {
+            FINANCIAL_LITERACY_COURSE: { mean: 0.5, drivenBy: 'engagement' },
+            COMMUNITY_VOLUNTEERISM: { mean: 0.3, drivenBy: 'engagement' },
+        },
+    },
+    first_time_social: {
+        share: 0.25,
+        kycRate: 0.95,
+        reliability: [0.3, 0.9],
+        engagement: [0.4, 1.0],
+        counts: {
+            FINANCIAL_LITERACY_COURSE: { mean: 1.2, drivenBy: 'reliability' },
+            COMMUNITY_VOLUNTEERISM: { mean: 2.0, drivenBy: 'engagement' },
+            SOCIAL_EDUCATION_CERT: { mean: 1.5, drivenBy: 'engagement' },
+            SOCIAL_MENTORSHIP: { mean: 1.0, drivenBy: 'engagement' },
+        },
+    },
+    established_borrower: {
+        share: 0.25,
+        kycRate: 1.0,
+        reliability: [0.4, 1.0],
+        engagement: [0.1, 0.7],
+        counts: {
+            FINANCIAL_LITERACY_COURSE: { mean: 1.0, drivenBy: 'reliability' },
+            FINANCIAL_SAVINGS_GOAL: { mean: 1.5, drivenBy: 'reliability' },
+            LOAN_REPAYMENT_SMALL: { mean: 2.5, drivenBy: 'reliability' },
+            LOAN_REPAYMENT_LARGE: { mean: 1.2, drivenBy: 'reliability' },
+            COMMUNITY_VOLUNTEERISM: { mean: 0.5, drivenBy: 'engagement' },
+        },
+    },
+    aid_recipient: {
+        share: 0.2,
+        kycRate: 0.85,
+        reliability: [0.1, 0.8],
+        engagement: [0.2, 0.9],
+        counts: {
+            AID_DISBURSEMENT_RECEIVED: { mean: 3.0, drivenBy: 'none' },
+            FINANCIAL_LITERACY_COURSE: { mean: 0.6, drivenBy: 'reliability' },
+            COMMUNITY_VOLUNTEERISM: { mean: 1.0, drivenBy: 'engagement' },
+            SOCIAL_EDUCATION_CERT: { mean: 0.8, drivenBy: 'engagement' },
+        },
+    },
+    mixed: {
+        share: 0.1,
+        kycRate: 0.9,
+        reliability: [0.0, 1.0],
+        engagement: [0.0, 1.0],
+        counts: {
+            FINANCIAL_LITERACY_COURSE: { mean: 1.0, drivenBy: 'reliability' },
+            FINANCIAL_SAVINGS_GOAL: { mean: 0.8, drivenBy: 'reliability' },
+            LOAN_REPAYMENT_SMALL: { mean: 1.2, drivenBy: 'reliability' },
+            LOAN_REPAYMENT_LARGE: { mean: 0.5, drivenBy: 'reliability' },
+            AID_DISBURSEMENT_RECEIVED: { mean: 1.0, drivenBy: 'none' },
+            COMMUNITY_VOLUNTEERISM: { mean: 1.0, drivenBy: 'engagement' },
+            SOCIAL_EDUCATION_CERT: { mean: 0.8, drivenBy: 'engagement' },
+            SOCIAL_MENTORSHIP: { mean: 0.6, drivenBy: 'engagement' },
+        },
+    },
+};
+
+// Point levels the contracts actually mint for these TaskTypes (LoanManager / ScholarshipManager rewards)
+const FIXED_POINT_LEVELS = {
+    LOAN_REPAYMENT_SMALL: POINT_LEVELS.LEVEL_C_MAJOR,
+    LOAN_REPAYMENT_LARGE: POINT_LEVELS.LEVEL_A_PRESTIGE,
+};
+
+function samplePointLevel(random, taskType, trait) {
+    if (taskType in FIXED_POINT_LEVELS) return FIXED_POINT_LEVELS[taskType];
+    if (taskType === 'AID_DISBURSEMENT_RECEIVED') {
+        return random.chance(0.8) ? POINT_LEVELS.LEVEL_D_MINOR : POINT_LEVELS.LEVEL_C_MAJOR;
+    }
+    // Stronger holders earn higher tiers more often
+    return random.weighted([
+        [POINT_LEVELS.LEVEL_D_MINOR, 1.5 - trait],
+        [POINT_LEVELS.LEVEL_C_MAJOR, 1.0],
+        [POINT_LEVELS.LEVEL_B_HARMONY, 0.3 + trait],
+        [POINT_LEVELS.LEVEL_A_PRESTIGE, 0.1 + trait * 0.4],
+    ]);
+}
+
+function sampleIssuedAt(random, asOf, trait) {
+    // Active (high-trait) holders skew towards recent achievements
+    const ageMonths = HISTORY_MONTHS * Math.pow(random.next(), 0.5 + trait);
+    return Math.round(asOf - ageMonths * MONTH_MS);
+}
+
+const lerp = ([min, max], t) => min + (max - min) * t;
+
+/**
+ * @notice Generates one synthetic holder.
+ * @returns { holder, archetype, sbts, defaulted, programCompleted, traits }
+ */
+function generateHolder(random, index, asOf) {
+    const archetypeName = random.weighted(Object.entries(ARCHETYPES).map(([name, a]) => [name, a.share]));
+    const archetype = ARCHETYPES[archetypeName];
+    const traits = {
+        reliability: lerp(archetype.reliability, random.next()),
+        engagement: lerp(archetype.engagement, random.next()),
+    };
+
+    const sbts = [];
+    const addSBT = (taskType, trait) => {
+        sbts.push({
+            id: sbts.length + 1,
+            taskType: TASK_TYPES[taskType],
+            pointLevel: samplePointLevel(random, taskType, trait),
+            title: `Synthetic ${taskType}`,
+            issuedAt: sampleIssuedAt(random, asOf, trait),
+        });
+    };
+
+    if (random.chance(archetype.kycRate)) {
+        addSBT('IDENTITY_VERIFIED_KYC', traits.reliability);
+        if (random.chance(0.3)) addSBT('IDENTITY_MULTI_FACTOR', traits.reliability);
+    }
+
+    for (const [taskType, { mean, drivenBy }] of Object.entries(archetype.counts)) {
+        const trait = drivenBy === 'none' ? 0.5 : traits[drivenBy];
+        const n = random.count(mean * (drivenBy === 'none' ? 1 : 0.4 + 1.2 * trait));
+        for (let i = 0; i < n; i++) addSBT(taskType, trait);
+    }
+
+    // Outcomes come from the hidden traits, not from the SBTs
+    const defaulted = random.chance(sigmoid(1.8 - 4.5 * traits.reliability));
+    const programCompleted = random.chance(sigmoid(-1.5 + 4 * traits.engagement));
+
+    return {
+        holder: `0x${(index + 1).toString(16).padStart(40, '0')}`,
+        archetype: archetypeName,
+        sbts,
+        defaulted,
+        programCompleted,
+        traits,
+    };
+}
+
+/**
+ * @notice Generates a reproducible holder population.
+ * @param size Number of holders.
+ * @param seed PRNG seed.
+ * @param asOf Reference time (ms) all issue dates are relative to.
+ * @returns { meta, holders }
+ */
+export function generatePopulation({ size = 5000, seed = 42, asOf = Date.now() } = {}) {
+    const random = createRandom(seed);
+    const holders = Array.from({ length: size }, (_, i) => generateHolder(random, i, asOf));
+    return {
+        meta: { size, seed, asOf, generatedAt: new Date().toISOString() },
+        holders,
+    };
+}
@@ -0,0 +1,97 @@
+// Fraud check for self-published scores: replays AIRiskOracle history against the chain.
+// For every holder that published (found with getBatchScores), each value in getScoreHistory is
+// recomputed from the SBTs the holder held at that moment with the policy version in effect then.
+// Values further than --tolerance points from the recomputed score are flagged.
+// Exits with status 1 when anything is flagged.
+//
+// Usage:
+//   npm run replay:scores -- --config credo.config.json [--rpc http://127.0.0.1:8545]
+//                            [--holders holders.txt] [--score-type FINANCIAL_RISK] [--tolerance 25]
+//                            [--batch-size 200] [--log-range 10000] [--json report.json]
+//
+// The config file is the indexer's (contracts.soulboundToken, contracts.aiRiskOracle, deploymentBlock,
+// optional rpcUrl). Without --holders, every address that emitted ScorePublished is checked.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { Contract, JsonRpcProvider, getAddress } from 'ethers';
+import { SOULBOUND_TOKEN_ABI, AI_RISK_ORACLE_ABI } from '../client/contractAbis.js';
+import { SCORE_TYPES } from '../client/scoringEngine.js';
+import { replayScores, DEFAULT_TOLERANCE } from './lib/scoreReplay.mjs';
+
+const { values: args } = parseArgs({
+    options: {
+        config: { type: 'string' },
+        rpc: { type: 'string' },
+        holders: { type: 'string' },
+        'score-type': { type: 'string', multiple: true },
+        tolerance: { type: 'string', default: String(DEFAULT_TOLERANCE) },
+        'batch-size': { type: 'string', default: '200' },
+        'log-range': { type: 'string', default: '10000' },
+        json: { type: 'string' },
+    },
+});
+
+if (!args.config) {
+    console.error('Missing --config <file> (a CREDO_CONFIG-style JSON file with contract addresses).');
+    process.exit(1);
+}
+
+const config = JSON.parse(readFileSync(resolve(args.config), 'utf8'));
+const provider = new JsonRpcProvider(args.rpc || config.rpcUrl || 'http://127.0.0.1:8545');
+const oracle = new Contract(config.contracts.aiRiskOracle, AI_RISK_ORACLE_ABI, provider);
+const sbt = new Contract(config.contracts.soulboundToken, SOULBOUND_TOKEN_ABI, provider);
+
+const holders = args.holders
+    ? readFileSync(resolve(args.holders), 'utf8').split(/\s+/).filter(Boolean).map(address => getAddress(address))
+    : undefined;
+const tolerance = Number(args.tolerance);
+
+let report;
+try {
+    report = await replayScores(oracle, sbt, {
+        holders,
+        scoreTypes: args['score-type'] || Object.keys(SCORE_TYPES),
+        tolerance,
+        batchSize: Number(args['batch-size']),
+        range: {
+            fromBlock: Number(config.deploymentBlock || 0),
+            toBlock: await provider.getBlockNumber(),
+            rangeSize: Number(args['log-range']),
+        },
+        onProgress: (scoreType, done, total) => {
+            if (done % 50 === 0 || done === total) console.log(`[replay] ${scoreType}: ${done}/${total} holders`);
+        },
+    });
+} finally {
+    provider.destroy();
+}
+
+console.log(`\nScore replay of ${report.holders} holders (tolerance ±${tolerance} points)`);
+Object.entries(report.summary).forEach(([scoreType, stats]) => {
+    console.log(`  ${scoreType.padEnd(16)} published ${String(stats.published).padStart(6)}  replayed ${String(stats.replayed).padStart(7)}  ` +
+        `flagged ${String(stats.flagged).padStart(6)} (${stats.flaggedHolders} holders)`);
+});
+
+const flagged = report.results.filter(result => result.flaggedCount > 0);
+if (flagged.length > 0) console.log('\nFlagged publishes:');
+flagged.forEach(result => {
+    result.entries.filter(entry => entry.flagged).forEach(entry => {
+        console.log(`  ${result.holder} ${result.scoreType.padEnd(16)} ${new Date(entry.timestamp).toISOString()}  ` +
+            `published ${String(entry.published).padStart(4)}  recomputed ${String(entry.recomputed ?? '?').padStart(4)}  ` +
+            (entry.error ? entry.error : `(${entry.difference > 0 ? '+' : ''}${entry.difference}, ${entry.policyVersion}, ${entry.sbtIds.length} SBTs)`));
+    });
+});
+
+const incomplete = report.results.filter(result => !result.latestInHistory).length;
+if (incomplete > 0) {
+    console.log(`\n${incomplete} holder/score type pair(s) have a latest score missing from getScoreHistory (history tracking was off when it was published).`);
+}
+
+if (args.json) {
+    writeFileSync(resolve(args.json), JSON.stringify({ generatedAt: new Date().toISOString(), ...report }, null, 2) + '\n');
+    console.log(`\nReport written to ${args.json}`);
+}
+
+process.exit(flagged.length > 0 ? 1 : 0);
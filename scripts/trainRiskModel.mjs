@@ -0,0 +1,112 @@
+// Trains the FINANCIAL_RISK logistic regression on CPU and writes a versioned TF.js model.
+//
+// Usage:
+//   npm run train:model -- --data <holders.json> [--out models/financial-risk] [--version v2] [--epochs 200]
+//
+// <holders.json> is an array of labelled holders: [{ "sbts": [...], "defaulted": true|false }, ...]
+// where each SBT has taskType/pointLevel as enum indices or names (see client/sbtCodec.js).
+// The { meta, holders } output of scripts/generatePopulation.mjs is accepted as well.
+//
+// Output:
+//   <out>/<version>/model.json + weights.bin   (features, normalization and metrics in userDefinedMetadata)
+//   <out>/latest.json                          (pointer to the newest version)
+
+import * as tf from '@tensorflow/tfjs-node';
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { resolve, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { FEATURE_NAMES, createFeatureVector, featuresToArray } from '../client/scoring_utility.js';
+import { buildRiskModel, normalizeFeatures, ORACLE_SCORE_RANGE } from '../client/riskModel.js';
+
+const { values: args } = parseArgs({
+    options: {
+        data: { type: 'string' },
+        out: { type: 'string', default: 'models/financial-risk' },
+        version: { type: 'string' },
+        epochs: { type: 'string', default: '200' },
+        'validation-split': { type: 'string', default: '0.2' },
+    },
+});
+
+if (!args.data) {
+    console.error('Missing --data <holders.json>');
+    process.exit(1);
+}
+
+function computeNormalization(rows) {
+    const means = FEATURE_NAMES.map((_, i) => rows.reduce((sum, row) => sum + row[i], 0) / rows.length);
+    const stds = FEATURE_NAMES.map((_, i) => {
+        const variance = rows.reduce((sum, row) => sum + (row[i] - means[i]) ** 2, 0) / rows.length;
+        return Math.sqrt(variance) || 1; // Constant features would otherwise divide by zero
+    });
+    return { means, stds };
+}
+
+const defaultVersion = () => `v${new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/, '')}`;
+
+async function main() {
+    const data = JSON.parse(readFileSync(resolve(args.data), 'utf8'));
+    const holders = Array.isArray(data) ? data : data.holders;
+    if (!Array.isArray(holders) || holders.length === 0) {
+        throw new Error(`${args.data} must contain a non-empty array of labelled holders.`);
+    }
+
+    // 1. Feature engineering with the same code the browser uses
+    const rows = holders.map(holder => featuresToArray(createFeatureVector(holder.sbts)));
+    const labels = holders.map(holder => (holder.defaulted ? 1 : 0));
+    const normalization = computeNormalization(rows);
+
+    const xs = tf.tensor2d(rows.map(row => normalizeFeatures(row, normalization)));
+    const ys = tf.tensor2d(labels, [labels.length, 1]);
+
+    // 2. Train
+    const model = buildRiskModel(FEATURE_NAMES.length);
+    const history = await model.fit(xs, ys, {
+        epochs: Number(args.epochs),
+        batchSize: 64,
+        shuffle: true,
+        validationSplit: Number(args['validation-split']),
+        verbose: 0,
+    });
+
+    const last = (series) => (series && series.length ? series[series.length - 1] : null);
+    const metrics = {
+        loss: last(history.history.loss),
+        accuracy: last(history.history.acc),
+        valLoss: last(history.history.val_loss),
+        valAccuracy: last(history.history.val_acc),
+    };
+
+    // 3. Save with everything inference needs
+    const version = args.version || defaultVersion();
+    const outDir = resolve(args.out);
+    const versionDir = join(outDir, version);
+    mkdirSync(versionDir, { recursive: true });
+
+    model.setUserDefinedMetadata({
+        modelVersion: `financial-risk-lr@${version}`,
+        target: 'probability_of_default',
+        featureNames: FEATURE_NAMES,
+        normalization,
+        scoreRange: ORACLE_SCORE_RANGE,
+        trainedAt: new Date().toISOString(),
+        trainingSamples: holders.length,
+        defaultRate: labels.reduce((a, b) => a + b, 0) / labels.length,
+        metrics,
+    });
+    await model.save(`file://${versionDir}`);
+
+    writeFileSync(join(outDir, 'latest.json'), JSON.stringify({ version, modelUrl: `${version}/model.json` }, null, 2) + '\n');
+
+    xs.dispose();
+    ys.dispose();
+
+    console.log(`Trained on ${holders.length} holders (${FEATURE_NAMES.length} features).`);
+    console.log(`Metrics: ${JSON.stringify(metrics)}`);
+    console.log(`Model written to ${versionDir}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
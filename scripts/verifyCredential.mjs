@@ -0,0 +1,58 @@
+// Verifies an exported SBT credential file (a Verifiable Presentation, one credential or an array of
+// credentials) for partners outside the DApp: the holder's EIP-712 signatures and, for every SBT,
+// that it still exists on chain, is held by the holder and carries the signed data.
+// Exits with status 1 when anything fails.
+//
+// Usage:
+//   npm run verify:credential -- --file credo-presentation.json --rpc https://forno.celo.org
+//                                [--contract <SoulboundToken>] [--challenge <nonce>] [--domain <domain>] [--json]
+//
+// Credentials are only accepted for the SoulboundToken given with --contract or, without it, the one
+// in client/deployments.json for the RPC's chain.
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { JsonRpcProvider } from 'ethers';
+import { verifyDocument } from '../client/verifiableCredentials.js';
+import { resolveExpectedContract } from './lib/deploymentManifest.mjs';
+
+const { values: args } = parseArgs({
+    options: {
+        file: { type: 'string' },
+        rpc: { type: 'string', default: 'http://127.0.0.1:8545' },
+        contract: { type: 'string' },
+        challenge: { type: 'string' },
+        domain: { type: 'string' },
+        json: { type: 'boolean', default: false },
+    },
+});
+
+if (!args.file) {
+    console.error('Missing --file <credential or presentation JSON>.');
+    process.exit(1);
+}
+
+const document = JSON.parse(readFileSync(resolve(args.file), 'utf8'));
+const provider = new JsonRpcProvider(args.rpc);
+
+let result;
+try {
+    const sbtContract = await resolveExpectedContract(provider, 'soulboundToken', args.contract);
+    result = await verifyDocument(document, { provider, sbtContract, challenge: args.challenge, domain: args.domain });
+} finally {
+    provider.destroy();
+}
+
+if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+} else {
+    console.log(`${result.valid ? 'VALID' : 'NOT VALID'}: ${result.kind === 'presentation' ? `presentation by ${result.holder}` : `${result.credentials.length} credential(s)`}`);
+    result.errors.forEach(error => console.log(`  ! ${error}`));
+    result.credentials.forEach(credential => {
+        console.log(`  ${credential.valid ? 'ok  ' : 'FAIL'} SBT #${credential.tokenId ?? '?'} held by ${credential.holder ?? '?'}`);
+        credential.errors.forEach(error => console.log(`       ${error}`));
+    });
+}
+
+process.exit(result.valid ? 0 : 1);
@@ -0,0 +1,65 @@
+// Recomputes a holder's signed score attestation from chain data: re-reads the SBTs they held at
+// the snapshot block, scores them with the attested policy version and asOf, checks the holder's
+// EIP-712 signature and reports every mismatch. Also shows the value currently published to
+// AIRiskOracle. Exits with status 1 when the score cannot be reproduced.
+// Reading old blocks needs an archive node.
+//
+// Usage:
+//   npm run verify:score -- --file credo-score-attestation.json --rpc https://forno.celo.org
+//                           [--sbt <SoulboundToken>] [--oracle <AIRiskOracle>] [--json]
+//
+// Attestations are only accepted for the contracts given with --sbt / --oracle or, without them, the
+// ones in client/deployments.json for the RPC's chain.
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { JsonRpcProvider } from 'ethers';
+import { verifyScoreAttestation } from '../client/scoreAttestation.js';
+import { resolveExpectedContract } from './lib/deploymentManifest.mjs';
+
+const { values: args } = parseArgs({
+    options: {
+        file: { type: 'string' },
+        rpc: { type: 'string', default: 'http://127.0.0.1:8545' },
+        sbt: { type: 'string' },
+        oracle: { type: 'string' },
+        json: { type: 'boolean', default: false },
+    },
+});
+
+if (!args.file) {
+    console.error('Missing --file <score attestation JSON>.');
+    process.exit(1);
+}
+
+const document = JSON.parse(readFileSync(resolve(args.file), 'utf8'));
+const provider = new JsonRpcProvider(args.rpc);
+
+let result;
+try {
+    result = await verifyScoreAttestation(document, {
+        provider,
+        sbtContract: await resolveExpectedContract(provider, 'soulboundToken', args.sbt),
+        oracleContract: await resolveExpectedContract(provider, 'aiRiskOracle', args.oracle),
+    });
+} finally {
+    provider.destroy();
+}
+
+if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+} else {
+    console.log(`${result.valid ? 'REPRODUCED' : 'NOT REPRODUCED'}: ${result.scoreType} = ${result.attestedScore} for ${result.holder} (${result.policyVersion})`);
+    console.log(`  signature ${result.signatureValid ? 'ok' : 'invalid'}, snapshot hash ${result.snapshotHashValid ? 'ok' : 'invalid'}, ` +
+        `inputs ${result.inputsMatch ? 'match' : 'differ'}, recomputed score ${result.recomputedScore ?? '?'}`);
+    result.mismatches.forEach(m => console.log(`  ! ${m.field}: attested ${JSON.stringify(m.attested)}, recomputed ${JSON.stringify(m.recomputed)}`));
+    result.errors.forEach(error => console.log(`  ! ${error}`));
+    if (result.published) {
+        console.log(result.published.exists
+            ? `  AIRiskOracle: ${result.published.scoreValue} published at ${new Date(result.published.publishedTimestamp * 1000).toISOString()} (${result.published.matches ? 'matches' : 'differs'})`
+            : `  AIRiskOracle: ${result.published.error || 'no score published'}`);
+    }
+}
+
+process.exit(result.valid ? 0 : 1);
@@ -0,0 +1,191 @@
+import { loadFixture, time } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+import { getAddress, parseEther } from "viem";
+import { AID_VOUCHER_TYPES, aidVoucherDomain } from "../client/aidVouchers.js";
+import { POINT_LEVELS, TASK_TYPES } from "../client/sbtCodec.js";
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+type Voucher = {
+  campaignId: bigint;
+  voucherId: bigint;
+  recipient: `0x${string}`;
+  amount: bigint;
+  expiresAt: bigint;
+};
+
+describe("AidCampaignManager", function () {
+  async function deployCampaignFixture() {
+    const [owner, ngo, recipient, otherAccount] = await hre.viem.getWalletClients();
+
+    const ledger = await hre.viem.deployContract("PointLedger", [0n, 0n]);
+    const sbt = await hre.viem.deployContract("SoulboundToken", [ledger.address]);
+    await ledger.write.setSBTContractAddress([sbt.address]);
+    const manager = await hre.viem.deployContract("AidCampaignManager", [sbt.address]);
+
+    // The manager mints the aid SBTs; the NGO signs the vouchers
+    await sbt.write.addIssuer([manager.address]);
+    await sbt.write.addIssuer([ngo.account.address]);
+
+    const endsAt = BigInt((await time.latest()) + ONE_WEEK_IN_SECS);
+    const managerAsNgo = await hre.viem.getContractAt("AidCampaignManager", manager.address, {
+      client: { wallet: ngo },
+    });
+    await managerAsNgo.write.createCampaign(["Flood Relief - Kano", POINT_LEVELS.LEVEL_C_MAJOR, parseEther("100"), endsAt]);
+
+    const managerAsRecipient = await hre.viem.getContractAt("AidCampaignManager", manager.address, {
+      client: { wallet: recipient },
+    });
+    const chainId = await (await hre.viem.getPublicClient()).getChainId();
+
+    // Signed with the client's EIP-712 definition, so the test also checks it matches the contract
+    const signVoucher = (signer: typeof ngo, voucher: Voucher) =>
+      signer.signTypedData({
+        account: signer.account,
+        domain: aidVoucherDomain(chainId, manager.address),
+        types: AID_VOUCHER_TYPES,
+        primaryType: "AidVoucher",
+        message: voucher,
+      });
+
+    const voucherFor = (account: `0x${string}`, overrides: Partial<Voucher> = {}): Voucher => ({
+      campaignId: 1n,
+      voucherId: 42n,
+      recipient: account,
+      amount: parseEther("25"),
+      expiresAt: endsAt,
+      ...overrides,
+    });
+
+    return { sbt, manager, managerAsRecipient, owner, ngo, recipient, otherAccount, endsAt, signVoucher, voucherFor };
+  }
+
+  describe("createCampaign", function () {
+    it("Should only let SBT issuers create campaigns", async function () {
+      const { manager, otherAccount, endsAt } = await loadFixture(deployCampaignFixture);
+      const managerAsOther = await hre.viem.getContractAt("AidCampaignManager", manager.address, {
+        client: { wallet: otherAccount },
+      });
+
+      await expect(
+        managerAsOther.write.createCampaign(["Unapproved", POINT_LEVELS.LEVEL_C_MAJOR, parseEther("1"), endsAt])
+      ).to.be.rejectedWith("AidCampaigns: Caller is not an authorized issuer");
+    });
+
+    it("Should record the campaign for its issuer", async function () {
+      const { manager, ngo } = await loadFixture(deployCampaignFixture);
+
+      const campaign = await manager.read.getCampaign([1n]);
+      expect(campaign.issuer).to.equal(getAddress(ngo.account.address));
+      expect(campaign.pointLevel).to.equal(POINT_LEVELS.LEVEL_C_MAJOR);
+      expect(campaign.budget).to.equal(parseEther("100"));
+      expect(campaign.isActive).to.equal(true);
+      expect(await manager.read.getIssuerCampaigns([ngo.account.address])).to.deep.equal([1n]);
+    });
+  });
+
+  describe("redeemVoucher", function () {
+    it("Should mint the recipient's aid SBT and bind it to the voucher", async function () {
+      const { sbt, manager, managerAsRecipient, ngo, recipient, signVoucher, voucherFor } = await loadFixture(deployCampaignFixture);
+      const voucher = voucherFor(recipient.account.address);
+
+      await managerAsRecipient.write.redeemVoucher([voucher, await signVoucher(ngo, voucher), ""]);
+
+      const [tokenId] = await sbt.read.getSBTsByHolder([recipient.account.address]);
+      const data = await sbt.read.getSBTData([tokenId]);
+      expect(data.taskType).to.equal(TASK_TYPES.AID_DISBURSEMENT_RECEIVED);
+      expect(data.pointLevel).to.equal(POINT_LEVELS.LEVEL_C_MAJOR);
+      expect(data.title).to.equal("Flood Relief - Kano");
+
+      const redemption = await manager.read.getRedemption([1n, 42n]);
+      expect(redemption.tokenId).to.equal(tokenId);
+      expect(redemption.recipient).to.equal(getAddress(recipient.account.address));
+      expect(await manager.read.getTokenCampaign([tokenId])).to.equal(1n);
+      expect((await manager.read.getCampaign([1n])).redeemedAmount).to.equal(parseEther("25"));
+    });
+
+    it("Should reject a second redemption of the same voucher", async function () {
+      const { managerAsRecipient, ngo, recipient, signVoucher, voucherFor } = await loadFixture(deployCampaignFixture);
+      const voucher = voucherFor(recipient.account.address);
+      const signature = await signVoucher(ngo, voucher);
+
+      await managerAsRecipient.write.redeemVoucher([voucher, signature, ""]);
+      await expect(managerAsRecipient.write.redeemVoucher([voucher, signature, ""])).to.be.rejectedWith(
+        "AidCampaigns: Voucher already redeemed"
+      );
+    });
+
+    it("Should reject a second voucher of the same campaign for one recipient", async function () {
+      const { managerAsRecipient, ngo, recipient, signVoucher, voucherFor } = await loadFixture(deployCampaignFixture);
+      const first = voucherFor(recipient.account.address);
+      const second = voucherFor(recipient.account.address, { voucherId: 43n });
+
+      await managerAsRecipient.write.redeemVoucher([first, await signVoucher(ngo, first), ""]);
+      await expect(
+        managerAsRecipient.write.redeemVoucher([second, await signVoucher(ngo, second), ""])
+      ).to.be.rejectedWith("AidCampaigns: Recipient already redeemed this campaign");
+    });
+
+    it("Should reject vouchers not signed by the campaign issuer", async function () {
+      const { managerAsRecipient, recipient, otherAccount, signVoucher, voucherFor } = await loadFixture(deployCampaignFixture);
+      const voucher = voucherFor(recipient.account.address);
+
+      // The recipient signing their own voucher is exactly the self-minting this replaces
+      await expect(
+        managerAsRecipient.write.redeemVoucher([voucher, await signVoucher(recipient, voucher), ""])
+      ).to.be.rejectedWith("AidCampaigns: Invalid voucher signature");
+      await expect(
+        managerAsRecipient.write.redeemVoucher([voucher, await signVoucher(otherAccount, voucher), ""])
+      ).to.be.rejectedWith("AidCampaigns: Invalid voucher signature");
+    });
+
+    it("Should reject a voucher whose amount was changed after signing", async function () {
+      const { managerAsRecipient, ngo, recipient, signVoucher, voucherFor } = await loadFixture(deployCampaignFixture);
+      const voucher = voucherFor(recipient.account.address);
+      const signature = await signVoucher(ngo, voucher);
+
+      await expect(
+        managerAsRecipient.write.redeemVoucher([{ ...voucher, amount: parseEther("90") }, signature, ""])
+      ).to.be.rejectedWith("AidCampaigns: Invalid voucher signature");
+    });
+
+    it("Should only let the voucher's recipient redeem it", async function () {
+      const { manager, ngo, recipient, otherAccount, signVoucher, voucherFor } = await loadFixture(deployCampaignFixture);
+      const voucher = voucherFor(recipient.account.address);
+      const managerAsOther = await hre.viem.getContractAt("AidCampaignManager", manager.address, {
+        client: { wallet: otherAccount },
+      });
+
+      await expect(
+        managerAsOther.write.redeemVoucher([voucher, await signVoucher(ngo, voucher), ""])
+      ).to.be.rejectedWith("AidCampaigns: Voucher is for another recipient");
+    });
+
+    it("Should enforce the campaign budget", async function () {
+      const { managerAsRecipient, ngo, recipient, signVoucher, voucherFor } = await loadFixture(deployCampaignFixture);
+      const voucher = voucherFor(recipient.account.address, { amount: parseEther("100.01") });
+
+      await expect(
+        managerAsRecipient.write.redeemVoucher([voucher, await signVoucher(ngo, voucher), ""])
+      ).to.be.rejectedWith("AidCampaigns: Campaign budget exhausted");
+    });
+
+    it("Should reject expired vouchers and closed campaigns", async function () {
+      const { manager, managerAsRecipient, ngo, recipient, endsAt, signVoucher, voucherFor } = await loadFixture(deployCampaignFixture);
+      const shortLived = voucherFor(recipient.account.address, { expiresAt: endsAt - 3600n });
+      const signature = await signVoucher(ngo, shortLived);
+
+      await time.increaseTo(endsAt - 3599n);
+      await expect(managerAsRecipient.write.redeemVoucher([shortLived, signature, ""])).to.be.rejectedWith(
+        "AidCampaigns: Voucher expired"
+      );
+
+      const voucher = voucherFor(recipient.account.address);
+      await manager.write.setCampaignActive([1n, false]); // The owner may close any campaign
+      await expect(
+        managerAsRecipient.write.redeemVoucher([voucher, await signVoucher(ngo, voucher), ""])
+      ).to.be.rejectedWith("AidCampaigns: Campaign is closed");
+    });
+  });
+});
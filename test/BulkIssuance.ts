@@ -0,0 +1,191 @@
+import { expect } from "chai";
+import {
+  BULK_ROW_STATUS,
+  BulkFileError,
+  createBulkJob,
+  loadBulkJob,
+  markDuplicates,
+  parseBulkRows,
+  runBulkJob,
+  saveBulkJob,
+  summarizeBulkJob,
+  type BulkJobRow,
+  type JobStorage,
+} from "../client/bulkIssuance.js";
+import { parseCSV } from "../client/csv.js";
+import { POINT_LEVELS, TASK_TYPES } from "../client/sbtCodec.js";
+
+const ISSUER = "0x1a00000000000000000000000000000000000001";
+const ALICE = "0x2b00000000000000000000000000000000000002";
+const BOB = "0x3c00000000000000000000000000000000000003";
+
+const rowsOf = (csv: string) => parseBulkRows(parseCSV(csv));
+
+function memoryStorage(): JobStorage {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => void items.set(key, value),
+    removeItem: (key) => void items.delete(key),
+  };
+}
+
+describe("BulkIssuance", function () {
+  describe("parseBulkRows", function () {
+    it("Should read enum names, indices and labels under any accepted header", function () {
+      const rows = rowsOf(
+        [
+          "Wallet,Task Type,Level,Title",
+          `${ALICE.toUpperCase().replace("0X", "0x")},social-mentorship,HARMONY,Mentor`,
+          `${BOB},Savings Goal Achieved,1,`,
+          `${BOB},7,LEVEL_A_PRESTIGE,"Clean-up, 100 hours"`,
+        ].join("\n")
+      );
+
+      expect(rows).to.deep.equal([
+        { line: 2, recipient: ALICE, taskType: TASK_TYPES.SOCIAL_MENTORSHIP, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY, title: "Mentor", errors: [] },
+        // A blank title falls back to the task label
+        { line: 3, recipient: BOB, taskType: TASK_TYPES.FINANCIAL_SAVINGS_GOAL, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR, title: "Savings Goal Achieved", errors: [] },
+        { line: 4, recipient: BOB, taskType: TASK_TYPES.COMMUNITY_VOLUNTEERISM, pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE, title: "Clean-up, 100 hours", errors: [] },
+      ]);
+    });
+
+    it("Should report every problem of an invalid row without hiding the others", function () {
+      const rows = rowsOf(
+        [
+          "recipient,taskType,pointLevel,title",
+          "not-an-address,KYC_ONLY,LEVEL_Z,Broken",
+          `0x${"0".repeat(40)},AID_DISBURSEMENT_RECEIVED,2,Aid`,
+          `${ALICE},10,4,Out of range`,
+          `${BOB},IDENTITY_VERIFIED_KYC,LEVEL_C_MAJOR,KYC`,
+        ].join("\n")
+      );
+
+      expect(rows[0].errors).to.deep.equal([
+        'Invalid recipient address "not-an-address".',
+        'Unknown task type "KYC_ONLY".',
+        'Unknown point level "LEVEL_Z".',
+      ]);
+      expect(rows[1].errors).to.have.length(2);
+      expect(rows[1].errors[0]).to.equal("Cannot mint to the zero address.");
+      expect(rows[1].errors[1]).to.include("AID_DISBURSEMENT_RECEIVED");
+      expect(rows[2].errors).to.deep.equal(['Unknown task type "10".', 'Unknown point level "4".']);
+      expect(rows[3].errors).to.deep.equal([]);
+    });
+
+    it("Should reject sheets without the required columns or rows", function () {
+      expect(() => rowsOf(`recipient,title\n${ALICE},Mentor`)).to.throw(BulkFileError, "Missing column(s): taskType, pointLevel");
+      expect(() => rowsOf("recipient,taskType,pointLevel,title\n")).to.throw(BulkFileError, "at least one recipient");
+    });
+  });
+
+  describe("markDuplicates", function () {
+    const rows = rowsOf(
+      [
+        "recipient,taskType,pointLevel,title",
+        `${ALICE},SOCIAL_MENTORSHIP,LEVEL_C_MAJOR,Mentor`,
+        `${ALICE.replace("2b", "2B")},SOCIAL_MENTORSHIP,LEVEL_B_HARMONY,MENTOR`,
+        `${BOB},IDENTITY_VERIFIED_KYC,LEVEL_C_MAJOR,KYC`,
+        `${BOB},SOCIAL_MENTORSHIP,LEVEL_C_MAJOR,Mentor`,
+        "nobody,SOCIAL_MENTORSHIP,LEVEL_C_MAJOR,Mentor",
+      ].join("\n")
+    );
+    const held = [
+      { id: 5, recipient: BOB, taskType: TASK_TYPES.IDENTITY_VERIFIED_KYC, title: "kyc", issuedAt: 0 },
+      { id: 6, recipient: BOB, taskType: TASK_TYPES.SOCIAL_MENTORSHIP, title: "Mentor", issuedAt: 0, burnedAt: 1 },
+    ];
+
+    it("Should flag repeated rows and SBTs the recipient already holds", function () {
+      const checked = markDuplicates(rows, held);
+
+      expect(checked.map((row) => row.duplicate)).to.deep.equal([
+        null,
+        { line: 2 }, // Same recipient, task type and title, in any case
+        { tokenId: 5 },
+        null, // Burned tokens do not count
+        null, // Rows with errors are not compared
+      ]);
+    });
+
+    it("Should skip duplicates and leave invalid rows out of the job", function () {
+      const checked = markDuplicates(rows, held);
+      const job = createBulkJob(checked, { issuer: ISSUER, fileName: "cohort.csv", now: 1000 });
+
+      expect(job.rows.map((row) => [row.line, row.status, row.error])).to.deep.equal([
+        [2, BULK_ROW_STATUS.PENDING, null],
+        [3, BULK_ROW_STATUS.SKIPPED, "Repeats row 2"],
+        [4, BULK_ROW_STATUS.SKIPPED, "Recipient already holds SBT #5"],
+        [5, BULK_ROW_STATUS.PENDING, null],
+      ]);
+
+      const withDuplicates = createBulkJob(checked, { issuer: ISSUER, fileName: "cohort.csv", includeDuplicates: true });
+      expect(summarizeBulkJob(withDuplicates)).to.include({ pending: 4, skipped: 0 });
+    });
+  });
+
+  describe("runBulkJob", function () {
+    const job = createBulkJob(
+      markDuplicates(
+        rowsOf(
+          [
+            "recipient,taskType,pointLevel,title",
+            `${ALICE},SOCIAL_MENTORSHIP,LEVEL_C_MAJOR,Mentor`,
+            `${BOB},SOCIAL_MENTORSHIP,LEVEL_C_MAJOR,Mentor`,
+            `${BOB},IDENTITY_VERIFIED_KYC,LEVEL_C_MAJOR,KYC`,
+          ].join("\n")
+        ),
+        []
+      ),
+      { issuer: ISSUER, fileName: "cohort.csv", now: 1000 }
+    );
+
+    it("Should keep minting after a failed row and save every change", async function () {
+      const saved: string[][] = [];
+      let nextId = 10;
+
+      const result = await runBulkJob(job, {
+        mint: async (row: BulkJobRow) => {
+          if (row.line === 3) throw new Error("SBT: Caller is not an authorized issuer");
+          return { sbt: { id: nextId++ }, txHash: `0x${row.line}` };
+        },
+        findIssued: async () => null,
+        save: (current) => saved.push(current.rows.map((row) => row.status)),
+      });
+
+      expect(result.rows.map((row) => [row.status, row.tokenId, row.error])).to.deep.equal([
+        [BULK_ROW_STATUS.MINTED, 10, null],
+        [BULK_ROW_STATUS.FAILED, null, "SBT: Caller is not an authorized issuer"],
+        [BULK_ROW_STATUS.MINTED, 11, null],
+      ]);
+      expect(saved[0]).to.deep.equal([BULK_ROW_STATUS.SENDING, BULK_ROW_STATUS.PENDING, BULK_ROW_STATUS.PENDING]);
+      expect(saved).to.have.length(6);
+    });
+
+    it("Should look up rows interrupted by a reload before sending them again", async function () {
+      const storage = memoryStorage();
+      saveBulkJob({ ...job, rows: job.rows.map((row, i) => (i < 2 ? { ...row, status: BULK_ROW_STATUS.SENDING } : row)) }, storage);
+
+      const reloaded = loadBulkJob(ISSUER.toUpperCase().replace("0X", "0x"), storage)!;
+      expect(reloaded.rows.map((row) => row.status)).to.deep.equal([
+        BULK_ROW_STATUS.INTERRUPTED,
+        BULK_ROW_STATUS.INTERRUPTED,
+        BULK_ROW_STATUS.PENDING,
+      ]);
+
+      const minted: number[] = [];
+      const result = await runBulkJob(reloaded, {
+        // Alice's SBT landed before the reload; Bob's never did
+        findIssued: async (row) => (row.recipient === ALICE ? { id: 3 } : null),
+        mint: async (row) => {
+          minted.push(row.line);
+          return { sbt: { id: 20 + row.line }, txHash: "0x" };
+        },
+        save: (current) => saveBulkJob(current, storage),
+      });
+
+      expect(minted).to.deep.equal([3, 4]);
+      expect(result.rows.map((row) => row.tokenId)).to.deep.equal([3, 23, 24]);
+      expect(loadBulkJob(ISSUER, storage)).to.deep.equal(result);
+    });
+  });
+});
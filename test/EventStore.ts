@@ -0,0 +1,193 @@
+import { expect } from "chai";
+import type { AddressInfo } from "node:net";
+import { POINT_LEVELS, TASK_TYPES } from "../client/sbtCodec.js";
+import { openEventStore, type EventStore, type IndexedEvent } from "../indexer/lib/eventStore.mjs";
+import { createQueryServer } from "../indexer/lib/queryServer.mjs";
+
+const T0 = Date.UTC(2025, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+const wallet = (n: number) => `0x${n.toString(16).padStart(40, "0")}`;
+const [ISSUER, OTHER_ISSUER, ALICE, BOB] = [0x1a, 0x2b, 0x3c, 0x4d].map(wallet);
+
+const hashOf = (block: number) => `0x${block.toString(16).padStart(64, "0")}`;
+
+type Issue = { holder: string; issuer?: string; taskType?: number; pointLevel?: number };
+
+// One SBTIssued log per token, one block per token, an hour apart
+function issued(tokenId: number, { holder, issuer = ISSUER, taskType = TASK_TYPES.COMMUNITY_VOLUNTEERISM, pointLevel = POINT_LEVELS.LEVEL_D_MINOR }: Issue): IndexedEvent {
+  const blockNumber = tokenId * 10;
+  const timestamp = T0 + tokenId * HOUR;
+  return {
+    blockNumber,
+    blockHash: hashOf(blockNumber),
+    txHash: hashOf(blockNumber + 1),
+    logIndex: 0,
+    contract: "soulboundToken",
+    event: "SBTIssued",
+    account: holder,
+    actor: issuer,
+    args: { tokenId: String(tokenId), holder, issuer, taskType, pointLevel, points: "100", issuedAt: String(timestamp / 1000) },
+    timestamp,
+    title: `SBT #${tokenId}`,
+  };
+}
+
+function burned(tokenId: number, holder: string, blockNumber: number): IndexedEvent {
+  return {
+    blockNumber,
+    blockHash: hashOf(blockNumber),
+    txHash: hashOf(blockNumber + 2),
+    logIndex: 0,
+    contract: "soulboundToken",
+    event: "SBTBurned",
+    account: holder,
+    actor: null,
+    args: { tokenId: String(tokenId), holder },
+    timestamp: T0 + blockNumber * HOUR,
+  };
+}
+
+function apply(store: EventStore, events: IndexedEvent[], toBlock: number) {
+  const blocks = [...new Set([...events.map((event) => event.blockNumber), toBlock])].map((number) => ({ number, hash: hashOf(number) }));
+  store.applyBatch({ events, blocks, toBlock, keepBlocks: 256 });
+}
+
+describe("EventStore", function () {
+  let store: EventStore;
+
+  beforeEach(function () {
+    store = openEventStore(":memory:", { chainId: 31337 });
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  describe("applyBatch", function () {
+    it("Should store events, project SBTs and advance the checkpoint", function () {
+      apply(store, [issued(1, { holder: ALICE }), issued(2, { holder: BOB })], 25);
+
+      expect(store.getLastBlock()).to.equal(25);
+      expect(store.getStatus()).to.include({ chainId: 31337, lastBlock: 25, eventCount: 2 });
+      expect(store.getRecentBlocks(25).map((block) => block.number)).to.deep.equal([25, 20, 10]);
+      expect(store.getHolderHistory(ALICE).sbts).to.deep.equal([
+        {
+          id: 1,
+          recipient: ALICE,
+          issuer: ISSUER,
+          taskType: TASK_TYPES.COMMUNITY_VOLUNTEERISM,
+          pointLevel: POINT_LEVELS.LEVEL_D_MINOR,
+          points: 100,
+          title: "SBT #1",
+          issuedAt: T0 + HOUR,
+          blockNumber: 10,
+          txHash: hashOf(11),
+          burnedAt: null,
+        },
+      ]);
+    });
+
+    it("Should ignore a log it already stored", function () {
+      apply(store, [issued(1, { holder: ALICE })], 10);
+      apply(store, [issued(1, { holder: ALICE })], 15);
+
+      expect(store.getStatus().eventCount).to.equal(1);
+      expect(store.getTotals().sbts).to.include({ issued: 1, holders: 1, issuers: 1 });
+    });
+
+    it("Should mark burned SBTs without removing them", function () {
+      apply(store, [issued(1, { holder: ALICE }), issued(2, { holder: BOB }), burned(1, ALICE, 30)], 30);
+
+      expect(store.getTotals().sbts).to.include({ issued: 2, burned: 1, active: 1 });
+      expect(store.querySBTs({ recipient: ALICE }).items[0].burnedAt).to.equal(T0 + 30 * HOUR);
+    });
+  });
+
+  describe("rollbackTo", function () {
+    it("Should undo everything above the block and rewind the checkpoint", function () {
+      apply(store, [issued(1, { holder: ALICE }), issued(2, { holder: BOB })], 20);
+      apply(store, [burned(1, ALICE, 30), issued(4, { holder: ALICE })], 40);
+
+      store.rollbackTo(20);
+
+      expect(store.getLastBlock()).to.equal(20);
+      expect(store.getStatus().eventCount).to.equal(2);
+      expect(store.getRecentBlocks(40).map((block) => block.number)).to.deep.equal([20, 10]);
+      // Token 4 is gone and token 1 is held again
+      expect(store.querySBTs().items.map((sbt) => [sbt.id, sbt.burnedAt])).to.deep.equal([
+        [2, null],
+        [1, null],
+      ]);
+    });
+  });
+
+  describe("querySBTs", function () {
+    beforeEach(function () {
+      apply(
+        store,
+        [
+          issued(1, { holder: ALICE }),
+          issued(2, { holder: BOB, taskType: TASK_TYPES.SOCIAL_MENTORSHIP }),
+          issued(3, { holder: ALICE, issuer: OTHER_ISSUER, pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE }),
+          issued(4, { holder: BOB }),
+          issued(5, { holder: ALICE }),
+        ],
+        50
+      );
+    });
+
+    const idsOf = (page: { items: { id: number }[] }) => page.items.map((sbt) => sbt.id);
+
+    it("Should list every SBT newest first", function () {
+      const page = store.querySBTs();
+
+      expect(page).to.include({ total: 5, offset: 0, limit: 100 });
+      expect(idsOf(page)).to.deep.equal([5, 4, 3, 2, 1]);
+    });
+
+    it("Should combine the filters", function () {
+      expect(idsOf(store.querySBTs({ recipient: ALICE }))).to.deep.equal([5, 3, 1]);
+      expect(idsOf(store.querySBTs({ issuer: OTHER_ISSUER }))).to.deep.equal([3]);
+      expect(idsOf(store.querySBTs({ taskType: TASK_TYPES.SOCIAL_MENTORSHIP }))).to.deep.equal([2]);
+      expect(idsOf(store.querySBTs({ pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE }))).to.deep.equal([3]);
+      expect(idsOf(store.querySBTs({ recipient: ALICE, issuer: ISSUER, from: T0 + 2 * HOUR }))).to.deep.equal([5]);
+      expect(idsOf(store.querySBTs({ from: T0 + 2 * HOUR, to: T0 + 4 * HOUR }))).to.deep.equal([4, 3, 2]);
+    });
+
+    it("Should page with offset and limit and count every match", function () {
+      const page = store.querySBTs({ recipient: BOB }, { offset: 1, limit: 1 });
+
+      expect(page).to.include({ total: 2, offset: 1, limit: 1 });
+      expect(idsOf(page)).to.deep.equal([2]);
+      expect(idsOf(store.querySBTs({}, { offset: 4, limit: 10 }))).to.deep.equal([1]);
+      expect(idsOf(store.querySBTs({}, { offset: 5, limit: 10 }))).to.deep.equal([]);
+    });
+  });
+
+  describe("createQueryServer", function () {
+    it("Should serve filtered pages of /sbts and reject bad parameters", async function () {
+      apply(store, [issued(1, { holder: ALICE }), issued(2, { holder: BOB }), issued(3, { holder: ALICE })], 30);
+      const server = createQueryServer(store).listen(0);
+      const { port } = server.address() as AddressInfo;
+      const get = async (path: string) => {
+        const response = await fetch(`http://127.0.0.1:${port}${path}`);
+        return { status: response.status, body: await response.json() };
+      };
+
+      try {
+        const page = await get(`/sbts?recipient=${ALICE.toUpperCase().replace("0X", "0x")}&offset=0&limit=1`);
+        expect(page.status).to.equal(200);
+        expect(page.body).to.include({ total: 2, offset: 0, limit: 1 });
+        expect(page.body.items.map((sbt: { id: number }) => sbt.id)).to.deep.equal([3]);
+
+        expect((await get("/sbts?recipient=0x1234")).status).to.equal(400);
+        expect((await get("/sbts?limit=1001")).status).to.equal(400);
+        expect((await get(`/sbts?taskType=${TASK_TYPES.COMMUNITY_VOLUNTEERISM}`)).body.total).to.equal(3);
+        expect((await get("/nothing")).status).to.equal(404);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { expect } from "chai";
+import {
+  DEFAULT_CAP,
+  DEFAULT_RUBRICS,
+  MIN_JUSTIFICATION_LENGTH,
+  RubricError,
+  applyCapToRows,
+  buildMintMetadata,
+  checkCap,
+  decodeMintMetadata,
+  deriveLevel,
+  loadIssuerSettings,
+  saveIssuerSettings,
+  validateRubric,
+  type CappedToken,
+  type SettingsStorage,
+} from "../client/issuerRubrics.js";
+import { POINT_LEVELS, TASK_TYPES } from "../client/sbtCodec.js";
+
+const NOW = Date.UTC(2025, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+const ISSUER = "0x1a00000000000000000000000000000000000001";
+const OTHER_ISSUER = "0x4d00000000000000000000000000000000000004";
+const ALICE = "0x2b00000000000000000000000000000000000002";
+const BOB = "0x3c00000000000000000000000000000000000003";
+
+const { LEVEL_D_MINOR, LEVEL_C_MAJOR, LEVEL_B_HARMONY, LEVEL_A_PRESTIGE } = POINT_LEVELS;
+
+const course = DEFAULT_RUBRICS[TASK_TYPES.FINANCIAL_LITERACY_COURSE];
+
+function memoryStorage(): SettingsStorage {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => void items.set(key, value),
+    removeItem: (key) => void items.delete(key),
+  };
+}
+
+describe("IssuerRubrics", function () {
+  describe("rubrics", function () {
+    it("Should derive the level of the highest band the input reaches", function () {
+      expect([0, 5.9, 6, 19, 20, 40, 400].map((hours) => deriveLevel(course, hours))).to.deep.equal([
+        LEVEL_D_MINOR,
+        LEVEL_D_MINOR,
+        LEVEL_C_MAJOR,
+        LEVEL_C_MAJOR,
+        LEVEL_B_HARMONY,
+        LEVEL_A_PRESTIGE,
+        LEVEL_A_PRESTIGE,
+      ]);
+      expect(deriveLevel(DEFAULT_RUBRICS[TASK_TYPES.IDENTITY_VERIFIED_KYC], null)).to.equal(LEVEL_C_MAJOR);
+    });
+
+    it("Should ask for a missing or negative input", function () {
+      expect(() => deriveLevel(course, null)).to.throw(RubricError, "Enter the course hours completed (hours).");
+      expect(() => deriveLevel(course, -1)).to.throw(RubricError);
+    });
+
+    it("Should accept every default rubric and reject malformed ones", function () {
+      Object.values(DEFAULT_RUBRICS).forEach((rubric) => validateRubric(rubric));
+
+      const metric = course.metric;
+      const invalid: [Parameters<typeof validateRubric>[0], string][] = [
+        [{ metric, bands: [] }, "at least one band"],
+        [{ metric, bands: [{ min: 1, pointLevel: LEVEL_D_MINOR }] }, "must start at 0"],
+        [{ metric: null, bands: [{ min: 0, pointLevel: LEVEL_D_MINOR }, { min: 5, pointLevel: LEVEL_C_MAJOR }] }, "only have one level"],
+        [{ metric, bands: [{ min: 0, pointLevel: 4 }] }, "Band 1: unknown point level"],
+        [{ metric, bands: [{ min: 0, pointLevel: LEVEL_D_MINOR }, { min: 0, pointLevel: LEVEL_C_MAJOR }] }, "Band 2: minimums must increase"],
+        [{ metric, bands: [{ min: 0, pointLevel: LEVEL_C_MAJOR }, { min: 5, pointLevel: LEVEL_C_MAJOR }] }, "Band 2: levels must increase"],
+      ];
+      invalid.forEach(([rubric, message]) => expect(() => validateRubric(rubric)).to.throw(RubricError, message));
+    });
+  });
+
+  describe("caps", function () {
+    const token = (overrides: Partial<CappedToken> = {}): CappedToken => ({
+      issuer: ISSUER,
+      recipient: ALICE,
+      pointLevel: LEVEL_B_HARMONY,
+      issuedAt: NOW - 10 * DAY,
+      ...overrides,
+    });
+    const options = { issuer: ISSUER, recipient: ALICE, pointLevel: LEVEL_A_PRESTIGE, cap: DEFAULT_CAP, now: NOW };
+
+    it("Should count only this issuer's high-tier SBTs to the recipient in the period", function () {
+      const tokens = [
+        token(),
+        token({ issuer: OTHER_ISSUER }),
+        token({ recipient: BOB }),
+        token({ pointLevel: LEVEL_C_MAJOR }),
+        token({ issuedAt: NOW - 31 * DAY }),
+        token({ burnedAt: NOW - DAY }),
+      ];
+
+      expect(checkCap(tokens, options)).to.deep.equal({ capped: true, used: 1, remaining: 1, resetsAt: NOW + 20 * DAY });
+      expect(checkCap(tokens, { ...options, pointLevel: LEVEL_C_MAJOR }).capped).to.equal(false);
+    });
+
+    it("Should count earlier rows of the same file against the cap", function () {
+      const row = (line: number, recipient: string, pointLevel: number) => ({
+        line,
+        recipient,
+        taskType: TASK_TYPES.SOCIAL_MENTORSHIP,
+        pointLevel,
+        title: "Mentor",
+        errors: [] as string[],
+      });
+      const rows = [
+        row(2, ALICE, LEVEL_A_PRESTIGE),
+        row(3, ALICE, LEVEL_C_MAJOR), // Below the cap level
+        row(4, ALICE, LEVEL_B_HARMONY),
+        row(5, BOB, LEVEL_B_HARMONY),
+      ];
+
+      const checked = applyCapToRows(rows, [token()], { issuer: ISSUER, cap: DEFAULT_CAP, now: NOW });
+      expect(checked.map((r) => r.errors.length)).to.deep.equal([0, 0, 1, 0]);
+      expect(checked[2].errors[0]).to.equal(
+        "Cap reached: 2 SBT(s) at LEVEL_B_HARMONY or above per recipient every 30 days."
+      );
+    });
+  });
+
+  describe("mint metadata", function () {
+    const base = {
+      taskType: TASK_TYPES.FINANCIAL_LITERACY_COURSE,
+      rubric: course,
+      value: 8,
+      derivedLevel: LEVEL_C_MAJOR,
+      issuer: ISSUER.toUpperCase().replace("0X", "0x"),
+      now: NOW,
+    };
+
+    it("Should record the rubric input with the mint", function () {
+      const metadata = decodeMintMetadata(buildMintMetadata({ ...base, pointLevel: LEVEL_C_MAJOR }));
+
+      expect(metadata).to.deep.equal({
+        taskType: "FINANCIAL_LITERACY_COURSE",
+        pointLevel: "LEVEL_C_MAJOR",
+        rubric: { metric: course.metric, value: 8, derivedLevel: "LEVEL_C_MAJOR" },
+        override: null,
+        issuer: ISSUER,
+        decidedAt: "2025-01-01T00:00:00.000Z",
+      });
+      expect(decodeMintMetadata("ipfs://metadata.json")).to.equal(null);
+    });
+
+    it("Should require a justification to override the rubric level", function () {
+      const short = "Exceptional effort";
+      const justification = "Led the course for the cohort";
+      expect(short.length).to.be.below(MIN_JUSTIFICATION_LENGTH);
+
+      expect(() => buildMintMetadata({ ...base, pointLevel: LEVEL_B_HARMONY, justification: short })).to.throw(RubricError);
+      const metadata = decodeMintMetadata(buildMintMetadata({ ...base, pointLevel: LEVEL_B_HARMONY, justification: ` ${justification} ` }));
+      expect(metadata?.override).to.deep.equal({ justification });
+      expect(metadata?.rubric.derivedLevel).to.equal("LEVEL_C_MAJOR");
+    });
+  });
+
+  describe("settings", function () {
+    it("Should save valid settings per issuer and refuse invalid ones", function () {
+      const storage = memoryStorage();
+      const rubrics = { [TASK_TYPES.SOCIAL_MENTORSHIP]: { metric: course.metric, bands: [{ min: 0, pointLevel: LEVEL_C_MAJOR }] } };
+
+      saveIssuerSettings(ISSUER, { rubrics, cap: { ...DEFAULT_CAP, maxPerRecipient: 1 } }, storage);
+      const loaded = loadIssuerSettings(ISSUER, storage);
+      expect(loaded.rubrics[TASK_TYPES.SOCIAL_MENTORSHIP]).to.deep.equal(rubrics[TASK_TYPES.SOCIAL_MENTORSHIP]);
+      expect(loaded.rubrics[TASK_TYPES.FINANCIAL_LITERACY_COURSE]).to.equal(course);
+      expect(loaded.cap.maxPerRecipient).to.equal(1);
+      expect(loadIssuerSettings(OTHER_ISSUER, storage).cap).to.deep.equal(DEFAULT_CAP);
+
+      const broken = { [TASK_TYPES.SOCIAL_MENTORSHIP]: { metric: course.metric, bands: [] } };
+      expect(() => saveIssuerSettings(ISSUER, { rubrics: broken, cap: DEFAULT_CAP }, storage)).to.throw(
+        RubricError,
+        "SOCIAL_MENTORSHIP: A rubric needs at least one band."
+      );
+      expect(() => saveIssuerSettings(ISSUER, { rubrics, cap: { ...DEFAULT_CAP, periodDays: 0 } }, storage)).to.throw(RubricError);
+      expect(loadIssuerSettings(ISSUER, storage).cap.maxPerRecipient).to.equal(1);
+    });
+  });
+});
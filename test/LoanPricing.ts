@@ -0,0 +1,87 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+import { parseEther } from "viem";
+import {
+  INTEREST_RATE_TIERS,
+  getInterestRate,
+  getNextRateTier,
+  calculateTotalRepayment,
+  type RateTier,
+} from "../client/loanPricing.js";
+
+describe("LoanPricing (client port parity)", function () {
+  // The harness only exposes pure functions, so any non-zero addresses satisfy the constructor.
+  async function deployHarnessFixture() {
+    const [owner, admin] = await hre.viem.getWalletClients();
+    const placeholder = owner.account.address;
+
+    const harness = await hre.viem.deployContract("LoanManagerHarness", [
+      placeholder,
+      placeholder,
+      placeholder,
+      placeholder,
+      admin.account.address,
+      1000n,
+      600n,
+    ]);
+
+    return { harness };
+  }
+
+  describe("getInterestRate", function () {
+    it("Should match the contract for every score from 0 to 1000", async function () {
+      const { harness } = await loadFixture(deployHarnessFixture);
+
+      for (let score = 0; score <= 1000; score++) {
+        const onChain = await harness.read.exposedGetInterestRate([BigInt(score)]);
+        expect(BigInt(getInterestRate(score))).to.equal(onChain, `score ${score}`);
+      }
+    });
+
+    it("Should report the points needed for the next cheaper tier", async function () {
+      expect(getNextRateTier(599)).to.deep.equal({ tier: INTEREST_RATE_TIERS[2], pointsNeeded: 1 });
+      expect(getNextRateTier(650)?.pointsNeeded).to.equal(50);
+      expect(getNextRateTier(799)?.tier.name).to.equal("EXCELLENT");
+      expect(getNextRateTier(800)).to.equal(null);
+    });
+  });
+
+  describe("calculateTotalRepayment", function () {
+    const principals = [
+      0n,
+      1n,
+      parseEther("100"),
+      parseEther("499.999999999999999999"),
+      parseEther("500"),
+      parseEther("1234.56789"),
+      parseEther("5000"),
+    ];
+    const rates = INTEREST_RATE_TIERS.map((tier: RateTier) => BigInt(tier.rateBps));
+    const durations = [0n, 1n, 7n, 30n, 90n, 180n, 364n, 365n, 366n, 730n];
+
+    it("Should match the contract across principals, tiers and durations", async function () {
+      const { harness } = await loadFixture(deployHarnessFixture);
+
+      for (const principal of principals) {
+        for (const rateBps of rates) {
+          for (const durationDays of durations) {
+            const onChain = await harness.read.calculateTotalRepayment([principal, rateBps, durationDays]);
+            expect(calculateTotalRepayment(principal, rateBps, durationDays)).to.equal(
+              onChain,
+              `${principal} @ ${rateBps} bps for ${durationDays} days`
+            );
+          }
+        }
+      }
+    });
+
+    it("Should round interest down like the contract", async function () {
+      const { harness } = await loadFixture(deployHarnessFixture);
+
+      // 1 wei at 15% for 1 day accrues 0.0000041 wei of interest
+      expect(calculateTotalRepayment(1n, 1500n, 1n)).to.equal(1n);
+      expect(await harness.read.calculateTotalRepayment([1n, 1500n, 1n])).to.equal(1n);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { expect } from "chai";
+import type { AidVoucher } from "../client/aidVouchers.js";
+import { createOfflineCache } from "../client/offlineCache.js";
+import {
+  ACTION_STATUS,
+  AID_ACKNOWLEDGEMENT_TTL_MS,
+  buildAidAcknowledgement,
+  createActionQueue,
+  type AidAcknowledgement,
+} from "../client/offlineQueue.js";
+
+const HOLDER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const CHAIN = 31337;
+const T0 = Date.UTC(2025, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+const voucher = (voucherId: number, overrides: Partial<AidVoucher> = {}): AidVoucher => ({
+  chainId: CHAIN,
+  manager: "0x5fbdb2315678afecb367f032d93f642f64180aa3",
+  campaignId: "1",
+  voucherId: String(voucherId),
+  recipient: HOLDER.toLowerCase(),
+  amount: "25",
+  expiresAt: (T0 + 30 * DAY) / 1000,
+  issuer: "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc",
+  title: `Food parcel #${voucherId}`,
+  signature: "0x",
+  ...overrides,
+});
+
+describe("OfflineQueue", function () {
+  // A queue over an in-memory cache with one acknowledgement per voucher, each a minute apart
+  async function queueWith(vouchers: AidVoucher[]) {
+    const queue = createActionQueue({ cache: createOfflineCache({ indexedDB: undefined }) });
+    for (const [i, v] of vouchers.entries()) {
+      await queue.enqueue(buildAidAcknowledgement({ holder: HOLDER, chainKey: CHAIN, voucher: v, now: T0 + i * 60_000 }));
+    }
+    return queue;
+  }
+
+  const redeemed = (tokenId: number) => ({ tokenId, txHash: `0x${tokenId.toString(16).padStart(64, "0")}` });
+  const outstanding = async () => ({ redemption: null, recipientRedeemed: false });
+
+  describe("buildAidAcknowledgement", function () {
+    it("Should expire with the voucher when it expires before the TTL", function () {
+      const early = buildAidAcknowledgement({ holder: HOLDER, chainKey: CHAIN, voucher: voucher(1, { expiresAt: (T0 + DAY) / 1000 }), now: T0 });
+      const late = buildAidAcknowledgement({ holder: HOLDER, chainKey: CHAIN, voucher: voucher(1), now: T0 });
+
+      expect(early.expiresAt).to.equal(T0 + DAY);
+      expect(late.expiresAt).to.equal(T0 + AID_ACKNOWLEDGEMENT_TTL_MS);
+      expect(late).to.include({ holder: HOLDER.toLowerCase(), title: "Food parcel #1", status: ACTION_STATUS.QUEUED });
+    });
+  });
+
+  describe("flush", function () {
+    it("Should submit queued acknowledgements oldest first", async function () {
+      const queue = await queueWith([voucher(1), voucher(2)]);
+      const submitted: string[] = [];
+
+      const summary = await queue.flush({
+        holder: HOLDER,
+        chainKey: CHAIN,
+        readVoucherState: outstanding,
+        submit: async (action) => {
+          submitted.push(action.voucher.voucherId);
+          return redeemed(6 + submitted.length);
+        },
+        now: T0 + DAY,
+      });
+
+      expect(submitted).to.deep.equal(["1", "2"]);
+      expect(summary.submitted.map((action) => [action.status, action.tokenId])).to.deep.equal([
+        [ACTION_STATUS.SUBMITTED, 7],
+        [ACTION_STATUS.SUBMITTED, 8],
+      ]);
+      expect((await queue.list(HOLDER)).map((action) => action.status)).to.deep.equal([ACTION_STATUS.SUBMITTED, ACTION_STATUS.SUBMITTED]);
+    });
+
+    it("Should expire acknowledgements the phone held too long without sending them", async function () {
+      const queue = await queueWith([voucher(1)]);
+      let sent = 0;
+
+      const summary = await queue.flush({
+        holder: HOLDER,
+        chainKey: CHAIN,
+        readVoucherState: outstanding,
+        submit: async () => (sent++, redeemed(1)),
+        now: T0 + AID_ACKNOWLEDGEMENT_TTL_MS + 1,
+      });
+
+      expect(sent).to.equal(0);
+      expect(summary.expired).to.have.length(1);
+      expect(summary.expired[0].status).to.equal(ACTION_STATUS.EXPIRED);
+      expect(summary.expired[0].error).to.include("Expired before the phone reconnected");
+    });
+
+    it("Should mark a conflict when the voucher is already redeemed on chain", async function () {
+      const queue = await queueWith([voucher(1), voucher(2)]);
+      const sent: AidAcknowledgement[] = [];
+
+      const summary = await queue.flush({
+        holder: HOLDER,
+        chainKey: CHAIN,
+        readVoucherState: async (action) =>
+          action.voucher.voucherId === "1"
+            ? { redemption: { tokenId: 4, redeemedAt: T0 }, recipientRedeemed: true }
+            : { redemption: null, recipientRedeemed: false },
+        submit: async (action) => (sent.push(action), redeemed(5)),
+        now: T0 + DAY,
+      });
+
+      expect(sent.map((action) => action.voucher.voucherId)).to.deep.equal(["2"]);
+      expect(summary.conflicts[0]).to.include({ status: ACTION_STATUS.CONFLICT, conflictTokenId: 4 });
+      expect(summary.conflicts[0].error).to.equal("This voucher is already redeemed on chain (SBT #4). Nothing was sent.");
+    });
+
+    it("Should mark a conflict when the holder already redeemed another voucher of the campaign", async function () {
+      const queue = await queueWith([voucher(2)]);
+      let sent = 0;
+
+      const summary = await queue.flush({
+        holder: HOLDER,
+        chainKey: CHAIN,
+        readVoucherState: async () => ({ redemption: null, recipientRedeemed: true }),
+        submit: async () => (sent++, redeemed(5)),
+        now: T0 + DAY,
+      });
+
+      expect(sent).to.equal(0);
+      expect(summary.failed).to.deep.equal([]);
+      expect(summary.conflicts[0]).to.include({
+        status: ACTION_STATUS.CONFLICT,
+        conflictTokenId: null,
+        error: "You already redeemed another voucher from this campaign. Nothing was sent.",
+      });
+    });
+
+    it("Should fail acknowledgements the contract rejects and go on with the rest", async function () {
+      const queue = await queueWith([voucher(1), voucher(2)]);
+
+      const summary = await queue.flush({
+        holder: HOLDER,
+        chainKey: CHAIN,
+        readVoucherState: outstanding,
+        submit: async (action) => {
+          if (action.voucher.voucherId === "1") {
+            throw Object.assign(new Error("reverted"), { code: "CALL_EXCEPTION", reason: "AidCampaigns: Campaign is closed" });
+          }
+          return redeemed(9);
+        },
+        now: T0 + DAY,
+      });
+
+      expect(summary.failed[0]).to.include({
+        title: "Food parcel #1",
+        status: ACTION_STATUS.FAILED,
+        error: "The NGO has closed this aid campaign.",
+      });
+      expect(summary.submitted.map((action) => action.title)).to.deep.equal(["Food parcel #2"]);
+    });
+
+    it("Should keep everything queued when the connection drops again", async function () {
+      const queue = await queueWith([voucher(1), voucher(2)]);
+
+      const summary = await queue.flush({
+        holder: HOLDER,
+        chainKey: CHAIN,
+        readVoucherState: outstanding,
+        submit: async () => {
+          throw Object.assign(new Error("offline"), { code: "NETWORK_ERROR" });
+        },
+        now: T0 + DAY,
+      });
+
+      expect(summary).to.deep.equal({ submitted: [], conflicts: [], expired: [], failed: [] });
+      expect((await queue.list(HOLDER)).map((action) => action.status)).to.deep.equal([ACTION_STATUS.QUEUED, ACTION_STATUS.QUEUED]);
+    });
+
+    it("Should only flush the holder's actions for the chain it is given", async function () {
+      const queue = await queueWith([voucher(1)]);
+
+      const summary = await queue.flush({
+        holder: HOLDER,
+        chainKey: 42220,
+        readVoucherState: async () => {
+          throw new Error("Should not read the chain");
+        },
+        submit: async () => redeemed(1),
+      });
+
+      expect(summary.submitted).to.deep.equal([]);
+    });
+  });
+});
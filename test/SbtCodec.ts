@@ -0,0 +1,139 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  InvalidSBTDataError,
+  POINT_LEVELS,
+  POINT_LEVEL_NAMES,
+  SBTCodecError,
+  TASK_TYPES,
+  TASK_TYPE_NAMES,
+  UnknownPointLevelError,
+  UnknownTaskTypeError,
+  decodeSBTData,
+  encodeIssueSBTArgs,
+  getPointValueFromLevel,
+  toPointLevelIndex,
+  toPointLevelName,
+  toTaskTypeIndex,
+  toTaskTypeName,
+} from "../client/sbtCodec.js";
+
+const HOLDER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const ISSUER = "0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266";
+
+describe("SbtCodec", function () {
+  describe("conversions", function () {
+    it("Should accept indices as numbers, bigints and numeric strings, and names", function () {
+      const mentorship = TASK_TYPES.SOCIAL_MENTORSHIP;
+
+      expect(mentorship).to.equal(9);
+      for (const value of [mentorship, BigInt(mentorship), String(mentorship), "SOCIAL_MENTORSHIP"]) {
+        expect(toTaskTypeIndex(value)).to.equal(mentorship);
+        expect(toTaskTypeName(value)).to.equal("SOCIAL_MENTORSHIP");
+      }
+      expect(toPointLevelIndex(3n)).to.equal(POINT_LEVELS.LEVEL_A_PRESTIGE);
+      expect(toPointLevelName("2")).to.equal("LEVEL_B_HARMONY");
+    });
+
+    it("Should round-trip every enum member", function () {
+      TASK_TYPE_NAMES.forEach((name, index) => {
+        expect(toTaskTypeName(toTaskTypeIndex(name))).to.equal(name);
+        expect(toTaskTypeIndex(toTaskTypeName(index))).to.equal(index);
+      });
+      POINT_LEVEL_NAMES.forEach((name, index) => {
+        expect(toPointLevelName(toPointLevelIndex(name))).to.equal(name);
+        expect(toPointLevelIndex(toPointLevelName(index))).to.equal(index);
+      });
+    });
+
+    it("Should throw typed errors for unknown names and indices", function () {
+      const unknownTaskTypes = ["KYC", "identity_verified_kyc", TASK_TYPE_NAMES.length, 10n, -1, 1.5, "", null];
+      for (const value of unknownTaskTypes) {
+        expect(() => toTaskTypeIndex(value as never), String(value)).to.throw(UnknownTaskTypeError);
+      }
+
+      const error = (() => {
+        try {
+          return toPointLevelName(4n);
+        } catch (e) {
+          return e;
+        }
+      })();
+      expect(error).to.be.instanceOf(UnknownPointLevelError).and.instanceOf(SBTCodecError);
+      expect(error).to.include({ message: "Unknown PointLevel: 4", value: 4n });
+      expect(() => getPointValueFromLevel("LEVEL_E")).to.throw(UnknownPointLevelError);
+    });
+  });
+
+  describe("contract tuples", function () {
+    it("Should decode positional and named SBTData tuples", function () {
+      const raw = ["Mentor", 9n, 1n, ISSUER, 1735689600n];
+      const named = Object.assign([...raw], { title: "Mentor", taskType: 9n });
+
+      const expected = {
+        id: 7,
+        taskType: TASK_TYPES.SOCIAL_MENTORSHIP,
+        pointLevel: POINT_LEVELS.LEVEL_C_MAJOR,
+        title: "Mentor",
+        issuer: ISSUER,
+        issuedAt: 1735689600000,
+        recipient: HOLDER,
+      };
+      expect(decodeSBTData(7n, raw, HOLDER)).to.deep.equal(expected);
+      expect(decodeSBTData(7, named, HOLDER)).to.deep.equal(expected);
+    });
+
+    it("Should reject malformed tuples and out-of-range enums", function () {
+      expect(() => decodeSBTData(1, ["Mentor", 9n], HOLDER)).to.throw(InvalidSBTDataError, "token 1");
+      expect(() => decodeSBTData(1, null, HOLDER)).to.throw(InvalidSBTDataError);
+      expect(() => decodeSBTData(1, ["Mentor", 12n, 1n, ISSUER, 0n], HOLDER)).to.throw(UnknownTaskTypeError);
+      expect(() =>
+        encodeIssueSBTArgs({ recipient: HOLDER, taskType: "SOCIAL_MENTORSHIP", pointLevel: 4, title: "Mentor" })
+      ).to.throw(UnknownPointLevelError);
+    });
+  });
+
+  describe("parity with SoulboundToken", function () {
+    async function deploySBTFixture() {
+      const [issuer] = await hre.viem.getWalletClients();
+
+      const ledger = await hre.viem.deployContract("PointLedger", [0n, 0n]);
+      const sbt = await hre.viem.deployContract("SoulboundToken", [ledger.address]);
+      await ledger.write.setSBTContractAddress([sbt.address]);
+
+      return { sbt, issuer };
+    }
+
+    it("Should use the contract's point value for every level", async function () {
+      const { sbt } = await loadFixture(deploySBTFixture);
+
+      for (const [index, name] of POINT_LEVEL_NAMES.entries()) {
+        const onChain = await sbt.read.getPointValueFromLevel([index]);
+        expect(BigInt(getPointValueFromLevel(name))).to.equal(onChain, name);
+      }
+    });
+
+    it("Should read back what encodeIssueSBTArgs minted", async function () {
+      const { sbt, issuer } = await loadFixture(deploySBTFixture);
+
+      const [recipient, taskType, pointLevel, title, tokenURI] = encodeIssueSBTArgs({
+        recipient: HOLDER,
+        taskType: "LOAN_REPAYMENT_LARGE",
+        pointLevel: "LEVEL_A_PRESTIGE",
+        title: "Large loan repaid",
+      });
+      await sbt.write.issueSBT([recipient as `0x${string}`, taskType, pointLevel, title, tokenURI]);
+
+      const data = await sbt.read.getSBTData([1n]);
+      const decoded = decodeSBTData(1n, [data.title, data.taskType, data.pointLevel, data.issuer, data.issuedAt], HOLDER);
+      expect(decoded).to.deep.include({
+        taskType: TASK_TYPES.LOAN_REPAYMENT_LARGE,
+        pointLevel: POINT_LEVELS.LEVEL_A_PRESTIGE,
+        title: "Large loan repaid",
+        issuedAt: Number(data.issuedAt) * 1000,
+      });
+      expect(decoded.issuer.toLowerCase()).to.equal(issuer.account.address.toLowerCase());
+    });
+  });
+});
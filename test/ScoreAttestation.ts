@@ -0,0 +1,192 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import { BrowserProvider, Contract } from "ethers";
+import hre from "hardhat";
+import { getAddress, hashStruct } from "viem";
+import { AI_RISK_ORACLE_ABI, SOULBOUND_TOKEN_ABI } from "../client/contractAbis.js";
+import { POINT_LEVELS, TASK_TYPES } from "../client/sbtCodec.js";
+import { SCORING_POLICIES, calculateScore } from "../client/scoringEngine.js";
+import {
+  buildScoreSnapshot,
+  createScoreAttestation,
+  hashScoreSnapshot,
+  scoreSnapshot,
+  verifyScoreAttestation,
+  type ScoreSnapshot,
+} from "../client/scoreAttestation.js";
+
+const HOLDER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const SBT_CONTRACT = "0x5fbdb2315678afecb367f032d93f642f64180aa3";
+const AS_OF = Date.UTC(2025, 0, 1);
+
+// The EIP-712 type scoreAttestation.js documents, hashed here with viem as an independent encoder
+const SNAPSHOT_TYPES = {
+  ScoreSnapshot: [
+    { name: "holder", type: "address" },
+    { name: "chainId", type: "uint256" },
+    { name: "sbtContract", type: "address" },
+    { name: "blockNumber", type: "uint256" },
+    { name: "asOf", type: "uint256" },
+    { name: "scoreType", type: "string" },
+    { name: "policyVersion", type: "string" },
+    { name: "sbtIds", type: "uint256[]" },
+  ],
+} as const;
+
+const snapshotOf = (overrides: Partial<Parameters<typeof buildScoreSnapshot>[0]> = {}) =>
+  buildScoreSnapshot({
+    holder: HOLDER,
+    chainId: 31337,
+    sbtContract: SBT_CONTRACT,
+    blockNumber: 120,
+    asOf: AS_OF,
+    scoreType: "FINANCIAL_RISK",
+    policyVersion: SCORING_POLICIES.FINANCIAL_RISK.version,
+    sbts: [{ id: 3 }, { id: 1 }, { id: 2 }],
+    ...overrides,
+  });
+
+describe("ScoreAttestation", function () {
+  describe("hashScoreSnapshot", function () {
+    it("Should be the EIP-712 struct hash of the snapshot", function () {
+      const snapshot = snapshotOf();
+      const expected = hashStruct({
+        primaryType: "ScoreSnapshot",
+        types: SNAPSHOT_TYPES,
+        data: {
+          ...snapshot,
+          holder: getAddress(snapshot.holder),
+          sbtContract: getAddress(snapshot.sbtContract),
+          chainId: BigInt(snapshot.chainId),
+          blockNumber: BigInt(snapshot.blockNumber),
+          asOf: BigInt(snapshot.asOf),
+          sbtIds: snapshot.sbtIds.map(BigInt),
+        },
+      });
+
+      expect(hashScoreSnapshot(snapshot)).to.equal(expected);
+    });
+
+    it("Should not depend on key order, address case or SBT order", function () {
+      const snapshot = snapshotOf();
+      const reordered = Object.fromEntries(Object.entries(snapshot).reverse()) as unknown as ScoreSnapshot;
+      const rebuilt = snapshotOf({ holder: getAddress(HOLDER), sbts: [{ id: 2 }, { id: 3 }, { id: 1 }] });
+
+      expect(snapshot.sbtIds).to.deep.equal([1, 2, 3]);
+      expect(hashScoreSnapshot(reordered)).to.equal(hashScoreSnapshot(snapshot));
+      expect(hashScoreSnapshot(rebuilt)).to.equal(hashScoreSnapshot(snapshot));
+    });
+
+    it("Should change when any input changes", function () {
+      const base = hashScoreSnapshot(snapshotOf());
+      const variants = [
+        snapshotOf({ holder: SBT_CONTRACT }),
+        snapshotOf({ chainId: 42220 }),
+        snapshotOf({ sbtContract: HOLDER }),
+        snapshotOf({ blockNumber: 121 }),
+        snapshotOf({ asOf: AS_OF + 1 }),
+        snapshotOf({ scoreType: "UBI_ELIGIBILITY" }),
+        snapshotOf({ policyVersion: "financial-risk@9.9.9" }),
+        snapshotOf({ sbts: [{ id: 1 }, { id: 2 }] }),
+      ];
+
+      variants.forEach((snapshot) => expect(hashScoreSnapshot(snapshot)).to.not.equal(base));
+    });
+  });
+
+  describe("scoreSnapshot", function () {
+    const sbts = [
+      { id: 1, taskType: TASK_TYPES.IDENTITY_VERIFIED_KYC, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR, issuedAt: AS_OF },
+      { id: 2, taskType: TASK_TYPES.LOAN_REPAYMENT_SMALL, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY, issuedAt: AS_OF },
+    ];
+
+    it("Should score with the snapshot's policy and asOf", function () {
+      const result = scoreSnapshot(snapshotOf(), sbts);
+
+      expect(result.score).to.equal(calculateScore("FINANCIAL_RISK", sbts, { asOf: AS_OF }).score);
+      expect(result.asOf).to.equal(AS_OF);
+    });
+
+    it("Should refuse policy versions this build does not know", function () {
+      expect(() => scoreSnapshot(snapshotOf({ policyVersion: "financial-risk@9.9.9" }), sbts)).to.throw(
+        "is not known to this verifier"
+      );
+      expect(() =>
+        scoreSnapshot(snapshotOf({ policyVersion: SCORING_POLICIES.UBI_ELIGIBILITY.version }), sbts)
+      ).to.throw("is not known to this verifier");
+    });
+  });
+
+  describe("verifyScoreAttestation", function () {
+    async function deployAttestationFixture() {
+      const [, holder] = await hre.viem.getWalletClients();
+
+      const ledger = await hre.viem.deployContract("PointLedger", [0n, 0n]);
+      const sbt = await hre.viem.deployContract("SoulboundToken", [ledger.address]);
+      await ledger.write.setSBTContractAddress([sbt.address]);
+      const oracle = await hre.viem.deployContract("AIRiskOracle", [30n * 24n * 60n * 60n, 60n]);
+      await sbt.write.issueSBT([holder.account.address, TASK_TYPES.IDENTITY_VERIFIED_KYC, POINT_LEVELS.LEVEL_C_MAJOR, "KYC", ""]);
+      await sbt.write.issueSBT([holder.account.address, TASK_TYPES.LOAN_REPAYMENT_SMALL, POINT_LEVELS.LEVEL_B_HARMONY, "Loan", ""]);
+
+      // The client works on ethers contracts, as in the dashboard
+      const provider = new BrowserProvider(hre.network.provider);
+      const signer = await provider.getSigner(holder.account.address);
+      const document = await createScoreAttestation(
+        new Contract(sbt.address, SOULBOUND_TOKEN_ABI, signer),
+        new Contract(oracle.address, AI_RISK_ORACLE_ABI, provider),
+        "FINANCIAL_RISK"
+      );
+
+      return { sbt, oracle, ledger, provider, document };
+    }
+
+    it("Should recompute the attested score from the chain", async function () {
+      const { sbt, oracle, provider, document } = await loadFixture(deployAttestationFixture);
+
+      const result = await verifyScoreAttestation(document, {
+        provider,
+        sbtContract: sbt.address,
+        oracleContract: oracle.address,
+      });
+
+      expect(result.errors).to.deep.equal([]);
+      expect(result.valid).to.equal(true);
+      expect(result.recomputedScore).to.equal(810);
+    });
+
+    it("Should reject documents naming other contracts", async function () {
+      const { sbt, oracle, ledger, provider, document } = await loadFixture(deployAttestationFixture);
+
+      const otherSbt = await verifyScoreAttestation(document, {
+        provider,
+        sbtContract: ledger.address,
+        oracleContract: oracle.address,
+      });
+      expect(otherSbt.valid).to.equal(false);
+      expect(otherSbt.errors[0]).to.include("The snapshot names SoulboundToken");
+
+      const otherOracle = await verifyScoreAttestation(document, {
+        provider,
+        sbtContract: sbt.address,
+        oracleContract: ledger.address,
+      });
+      expect(otherOracle.valid).to.equal(false);
+      expect(otherOracle.errors[0]).to.include("The attestation names AIRiskOracle");
+    });
+
+    it("Should reject an attestation whose score was changed after signing", async function () {
+      const { sbt, oracle, provider, document } = await loadFixture(deployAttestationFixture);
+      const tampered = { ...document, attestation: { ...document.attestation, score: 1000 } };
+
+      const result = await verifyScoreAttestation(tampered, {
+        provider,
+        sbtContract: sbt.address,
+        oracleContract: oracle.address,
+      });
+
+      expect(result.valid).to.equal(false);
+      expect(result.signatureValid).to.equal(false);
+      expect(result.mismatches).to.deep.include({ field: "score", attested: 1000, recomputed: 810 });
+    });
+  });
+});
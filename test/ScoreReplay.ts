@@ -0,0 +1,82 @@
+import { expect } from "chai";
+import { POINT_LEVELS, TASK_TYPES } from "../client/sbtCodec.js";
+import { MONTH_MS } from "../client/scoringEngine.js";
+import {
+  DEFAULT_TOLERANCE,
+  holdingsAt,
+  replayHistory,
+  type SBTLifecycle,
+} from "../scripts/lib/scoreReplay.mjs";
+
+const T0 = Date.UTC(2025, 0, 1);
+
+// 3 x 300 + 10 x 750 = 8400 raw points, a score of 810 while both are fresh
+const tokens: SBTLifecycle[] = [
+  { id: 1, taskType: TASK_TYPES.IDENTITY_VERIFIED_KYC, pointLevel: POINT_LEVELS.LEVEL_C_MAJOR, issuedAt: T0, burnedAt: null },
+  { id: 2, taskType: TASK_TYPES.LOAN_REPAYMENT_SMALL, pointLevel: POINT_LEVELS.LEVEL_B_HARMONY, issuedAt: T0, burnedAt: T0 + MONTH_MS },
+];
+
+describe("ScoreReplay", function () {
+  describe("holdingsAt", function () {
+    it("Should include SBTs from their issue time until they are burned", function () {
+      const idsAt = (timestamp: number) => holdingsAt(tokens, timestamp).map((token) => token.id);
+
+      expect(idsAt(T0 - 1)).to.deep.equal([]);
+      expect(idsAt(T0)).to.deep.equal([1, 2]);
+      expect(idsAt(T0 + MONTH_MS - 1)).to.deep.equal([1, 2]);
+      expect(idsAt(T0 + MONTH_MS)).to.deep.equal([1]);
+    });
+  });
+
+  describe("replayHistory", function () {
+    it("Should recompute each entry with the SBTs held when it was published", function () {
+      const [first, second] = replayHistory(
+        "FINANCIAL_RISK",
+        [
+          { scoreValue: 810, timestamp: T0 },
+          { scoreValue: 0, timestamp: T0 + MONTH_MS },
+        ],
+        tokens
+      );
+
+      expect(first).to.include({ recomputed: 810, difference: 0, flagged: false, error: null });
+      expect(first.sbtIds).to.deep.equal([1, 2]);
+      // The repayment was burned: KYC alone fails the first-time borrower rule
+      expect(second).to.include({ recomputed: 0, difference: 0, flagged: false });
+      expect(second.sbtIds).to.deep.equal([1]);
+    });
+
+    it("Should allow differences up to the tolerance either way", function () {
+      const replayed = replayHistory(
+        "FINANCIAL_RISK",
+        [810 + DEFAULT_TOLERANCE, 810 - DEFAULT_TOLERANCE, 810 + DEFAULT_TOLERANCE + 1, 810 - DEFAULT_TOLERANCE - 1].map(
+          (scoreValue) => ({ scoreValue, timestamp: T0 })
+        ),
+        tokens
+      );
+
+      expect(replayed.map((entry) => [entry.difference, entry.flagged])).to.deep.equal([
+        [DEFAULT_TOLERANCE, false],
+        [-DEFAULT_TOLERANCE, false],
+        [DEFAULT_TOLERANCE + 1, true],
+        [-DEFAULT_TOLERANCE - 1, true],
+      ]);
+    });
+
+    it("Should use the tolerance it is given", function () {
+      const entries = [{ scoreValue: 815, timestamp: T0 }];
+
+      expect(replayHistory("FINANCIAL_RISK", entries, tokens, { tolerance: 0 })[0].flagged).to.equal(true);
+      expect(replayHistory("FINANCIAL_RISK", entries, tokens, { tolerance: 5 })[0].flagged).to.equal(false);
+    });
+
+    it("Should flag entries it cannot recompute", function () {
+      const unknown = [{ ...tokens[0], taskType: 99 }];
+      const [replayed] = replayHistory("FINANCIAL_RISK", [{ scoreValue: 810, timestamp: T0 }], unknown);
+
+      expect(replayed.flagged).to.equal(true);
+      expect(replayed.recomputed).to.equal(null);
+      expect(replayed.error).to.include("Unknown TaskType");
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { expect } from "chai";
+import { POINT_LEVELS, TASK_TYPES } from "../client/sbtCodec.js";
+import {
+  MONTH_MS,
+  SCORING_POLICIES,
+  calculateAllScores,
+  calculateFinancialRiskScore,
+  calculateRecencyMultiplier,
+  findPolicyByVersion,
+  getPolicyAt,
+  scaleToThousand,
+  type ScoredSBT,
+} from "../client/scoringEngine.js";
+
+const AS_OF = Date.UTC(2025, 0, 1);
+
+const sbt = (id: number, taskType: number, pointLevel: number, ageMonths = 0): ScoredSBT => ({
+  id,
+  title: `SBT #${id}`,
+  taskType,
+  pointLevel,
+  issuedAt: AS_OF - ageMonths * MONTH_MS,
+});
+
+// 3 x 300 = 900 raw points
+const kyc = sbt(1, TASK_TYPES.IDENTITY_VERIFIED_KYC, POINT_LEVELS.LEVEL_C_MAJOR);
+
+describe("ScoringEngine", function () {
+  describe("gates", function () {
+    it("Should score 0 without a KYC SBT and rank the gate first", function () {
+      const repayment = sbt(2, TASK_TYPES.LOAN_REPAYMENT_LARGE, POINT_LEVELS.LEVEL_A_PRESTIGE);
+      const result = calculateFinancialRiskScore([repayment], { asOf: AS_OF });
+
+      expect(result.score).to.equal(0);
+      expect(result.rawScore).to.equal(15 * 1500);
+      expect(result.breakdown.gates.find((gate) => gate.gate === "KYC")?.passed).to.equal(false);
+      expect(result.breakdown.reasons[0]).to.include({ code: "NO_KYC", impact: Infinity });
+    });
+
+    it("Should require a social SBT from first-time borrowers", function () {
+      const course = sbt(2, TASK_TYPES.FINANCIAL_LITERACY_COURSE, POINT_LEVELS.LEVEL_A_PRESTIGE);
+      const result = calculateFinancialRiskScore([kyc, course], { asOf: AS_OF });
+
+      expect(result.score).to.equal(0);
+      expect(result.breakdown.reasons.map((reason) => reason.code)).to.deep.equal([
+        "FIRST_TIME_NO_SOCIAL",
+        "BELOW_EXCELLENT_THRESHOLD",
+      ]);
+    });
+
+    it("Should require enough non-financial SBTs from first-time borrowers", function () {
+      const mentorship = sbt(2, TASK_TYPES.SOCIAL_MENTORSHIP, POINT_LEVELS.LEVEL_C_MAJOR);
+      const result = calculateFinancialRiskScore([mentorship], { asOf: AS_OF });
+
+      // Both gates fail; failed gates outrank every other reason
+      expect(result.breakdown.reasons.slice(0, 2).map((reason) => reason.code)).to.deep.equal([
+        "NO_KYC",
+        "FIRST_TIME_FEW_NON_FINANCIAL",
+      ]);
+    });
+
+    it("Should skip the first-time borrower rule once there is a repayment", function () {
+      const repayment = sbt(2, TASK_TYPES.LOAN_REPAYMENT_SMALL, POINT_LEVELS.LEVEL_B_HARMONY);
+      const result = calculateFinancialRiskScore([kyc, repayment], { asOf: AS_OF });
+
+      expect(result.breakdown.gates.every((gate) => gate.passed)).to.equal(true);
+      // 900 + 10 x 750 = 8400 raw: 800 + 400 / 8000 x 200
+      expect(result.score).to.equal(810);
+    });
+
+    it("Should not apply the first-time borrower rule to UBI eligibility", function () {
+      const { UBI_ELIGIBILITY } = calculateAllScores([kyc], { asOf: AS_OF });
+
+      expect(UBI_ELIGIBILITY.breakdown.gates.map((gate) => gate.gate)).to.deep.equal(["KYC"]);
+      // 5 x 300 = 1500 raw
+      expect(UBI_ELIGIBILITY.score).to.equal(150);
+    });
+  });
+
+  describe("reasons", function () {
+    it("Should rank adverse reasons by the raw points they cost", function () {
+      // 13 months old: half weight, so 3750 of the 7500 points are lost to age
+      const repayment = sbt(2, TASK_TYPES.LOAN_REPAYMENT_SMALL, POINT_LEVELS.LEVEL_B_HARMONY, 13);
+      const result = calculateFinancialRiskScore([kyc, repayment], { asOf: AS_OF });
+
+      expect(result.rawScore).to.equal(4650);
+      expect(result.score).to.equal(465);
+      expect(result.breakdown.reasons.map(({ code, impact }) => ({ code, impact }))).to.deep.equal([
+        { code: "AGED_HISTORY", impact: 3750 },
+        { code: "BELOW_EXCELLENT_THRESHOLD", impact: 3350 },
+      ]);
+    });
+
+    it("Should list contributions largest first", function () {
+      const repayment = sbt(2, TASK_TYPES.LOAN_REPAYMENT_SMALL, POINT_LEVELS.LEVEL_B_HARMONY);
+      const { contributions } = calculateFinancialRiskScore([kyc, repayment], { asOf: AS_OF }).breakdown;
+
+      expect(contributions.map((c) => [c.tokenId, c.contribution])).to.deep.equal([
+        [2, 7500],
+        [1, 900],
+      ]);
+    });
+
+    it("Should apply token penalties and report the flagged issuance", function () {
+      const repayment = sbt(2, TASK_TYPES.LOAN_REPAYMENT_SMALL, POINT_LEVELS.LEVEL_B_HARMONY);
+      const mentorship = sbt(3, TASK_TYPES.SOCIAL_MENTORSHIP, POINT_LEVELS.LEVEL_C_MAJOR);
+      const sbts = [kyc, repayment, mentorship];
+
+      const clean = calculateFinancialRiskScore(sbts, { asOf: AS_OF });
+      const penalized = calculateFinancialRiskScore(sbts, { asOf: AS_OF, tokenPenalties: { 2: 0.5 } });
+
+      expect(clean.breakdown.reasons.map((reason) => reason.code)).to.not.include("FLAGGED_ISSUANCE");
+      expect(penalized.rawScore).to.equal(clean.rawScore - 3750);
+      expect(penalized.breakdown.contributions.find((c) => c.tokenId === 2)?.penalty).to.equal(0.5);
+      expect(penalized.breakdown.reasons[0]).to.include({ code: "FLAGGED_ISSUANCE", impact: 3750 });
+    });
+  });
+
+  describe("building blocks", function () {
+    it("Should require an explicit asOf", function () {
+      expect(() => calculateAllScores([kyc], {} as { asOf: number })).to.throw("explicit asOf");
+    });
+
+    it("Should step the recency multiplier at the band edges", function () {
+      const bands = SCORING_POLICIES.FINANCIAL_RISK.recencyBands;
+      const multiplierAt = (ageMonths: number) => calculateRecencyMultiplier(AS_OF - ageMonths * MONTH_MS, bands, AS_OF);
+
+      expect(multiplierAt(0)).to.equal(1.0);
+      expect(multiplierAt(6)).to.equal(1.0);
+      expect(multiplierAt(6.01)).to.equal(0.75);
+      expect(multiplierAt(18)).to.equal(0.5);
+      expect(multiplierAt(24.5)).to.equal(0.1);
+    });
+
+    it("Should scale linearly to 800 and compress the rest into the top band", function () {
+      const { scale } = SCORING_POLICIES.FINANCIAL_RISK;
+
+      expect(scaleToThousand(0, scale)).to.equal(0);
+      expect(scaleToThousand(4000, scale)).to.equal(400);
+      expect(scaleToThousand(8000, scale)).to.equal(800);
+      expect(scaleToThousand(12000, scale)).to.equal(900);
+      expect(scaleToThousand(80000, scale)).to.equal(1000);
+    });
+
+    it("Should find policies by version and by time", function () {
+      const policy = SCORING_POLICIES.FINANCIAL_RISK;
+
+      expect(findPolicyByVersion(policy.version)).to.equal(policy);
+      expect(findPolicyByVersion("financial-risk@0.0.0")).to.equal(null);
+      expect(getPolicyAt("FINANCIAL_RISK", AS_OF)).to.equal(policy);
+      expect(calculateFinancialRiskScore([kyc], { asOf: AS_OF }).policyVersion).to.equal(policy.version);
+    });
+  });
+});
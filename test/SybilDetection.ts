@@ -0,0 +1,208 @@
+import { expect } from "chai";
+import {
+  RISK_FLAG_KINDS,
+  analyzeIssuance,
+  buildTokenPenalties,
+  previewPenalizedScores,
+  type IssuedToken,
+  type RiskFlagKind,
+} from "../client/sybilDetection.js";
+
+const T0 = Date.UTC(2025, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+const wallet = (n: number) => `0x${n.toString(16).padStart(40, "0")}`;
+const [ISSUER, ALICE, BOB, CAROL, DAVE, ERIN] = [0x1a, 0x2b, 0x3c, 0x4d, 0x5e, 0x6f].map(wallet);
+
+type Row = [issuer: string, recipient: string, overrides?: Partial<IssuedToken>];
+
+// Tokens get consecutive ids and are an hour apart unless a test says otherwise
+function issuance(rows: Row[]): IssuedToken[] {
+  return rows.map(([issuer, recipient, overrides = {}], i) => ({
+    id: i + 1,
+    issuer,
+    recipient,
+    taskType: "COMMUNITY_VOLUNTEERISM",
+    pointLevel: "LEVEL_D_MINOR",
+    issuedAt: T0 + i * HOUR,
+    ...overrides,
+  }));
+}
+
+const flagsOf = (tokens: IssuedToken[], kind: RiskFlagKind, thresholds = {}) =>
+  analyzeIssuance(tokens, thresholds).flags.filter((flag) => flag.kind === kind);
+
+describe("SybilDetection", function () {
+  describe("analyzeIssuance", function () {
+    it("Should not flag ordinary issuance", function () {
+      const tokens = issuance([
+        [ISSUER, ALICE],
+        [ISSUER, BOB, { taskType: "SOCIAL_MENTORSHIP" }],
+        [ISSUER, CAROL, { pointLevel: "LEVEL_B_HARMONY" }],
+        [ALICE, DAVE],
+      ]);
+
+      expect(analyzeIssuance(tokens)).to.deep.equal({ tokenCount: 4, flags: [], wallets: [] });
+    });
+
+    it("Should flag issuers minting to themselves, whatever the address case", function () {
+      const tokens = issuance([
+        [ISSUER, ALICE],
+        [`0x${ALICE.slice(2).toUpperCase()}`, ALICE],
+      ]);
+
+      const [flag] = flagsOf(tokens, "SELF_ISSUANCE");
+      expect(flag).to.deep.include({ severity: "high", issuers: [ALICE], wallets: [ALICE], tokenIds: [2] });
+    });
+
+    it("Should flag issuance cycles up to the maximum length", function () {
+      const tokens = issuance([
+        [ALICE, BOB, { taskType: "SOCIAL_MENTORSHIP" }],
+        [BOB, ALICE, { taskType: "SOCIAL_MENTORSHIP" }],
+        [CAROL, DAVE],
+        [DAVE, ERIN],
+        [ERIN, ISSUER],
+        [ISSUER, CAROL],
+      ]);
+
+      const [pair, ...rest] = flagsOf(tokens, "CIRCULAR_ISSUANCE");
+      expect(rest).to.deep.equal([]);
+      expect(pair.tokenIds).to.deep.equal([1, 2]);
+      expect(pair.detail).to.deep.equal({ cycle: [ALICE, BOB], length: 2, mentorship: true });
+
+      // The four-wallet ring is only found with a longer maximum
+      const rings = flagsOf(tokens, "CIRCULAR_ISSUANCE", { circular: { maxCycleLength: 4 } });
+      expect(rings.map((flag) => flag.detail.length)).to.have.members([2, 4]);
+    });
+
+    it("Should flag bursts of tokens from one issuer to one wallet", function () {
+      const tokens = issuance([
+        [ISSUER, ALICE, { issuedAt: T0 }],
+        [ISSUER, ALICE, { issuedAt: T0 + 30_000 }],
+        [ISSUER, ALICE, { issuedAt: T0 + 60_000 }],
+        [ISSUER, ALICE, { issuedAt: T0 + 10 * 60_000 }],
+        [ISSUER, BOB, { issuedAt: T0 }],
+        [ISSUER, BOB, { issuedAt: T0 + 30_000 }],
+      ]);
+
+      const flags = flagsOf(tokens, "MINT_BURST");
+      expect(flags).to.have.length(1);
+      expect(flags[0]).to.deep.include({ wallets: [ALICE], tokenIds: [1, 2, 3] });
+      expect(flags[0].detail).to.deep.equal({ count: 3, spanMs: 60_000, from: T0 });
+    });
+
+    it("Should flag issuers whose high-tier tokens go to a few wallets", function () {
+      const highTier = (to: string): Row => [ISSUER, to, { pointLevel: "LEVEL_A_PRESTIGE" }];
+      const concentrated = issuance(
+        [ALICE, ALICE, ALICE, BOB, BOB, CAROL, CAROL, wallet(7), wallet(8), wallet(9)].map(highTier)
+      );
+      const spread = issuance([ALICE, BOB, CAROL, DAVE, ERIN, ...[7, 8, 9, 10, 11].map(wallet)].map(highTier));
+
+      const [flag] = flagsOf(concentrated, "ISSUER_CONCENTRATION");
+      expect(flag).to.deep.include({ issuers: [ISSUER], wallets: [ALICE, BOB, CAROL] });
+      expect(flag.detail).to.deep.equal({ share: 0.7, highTierTokens: 10, recipients: 3 });
+      expect(flagsOf(spread, "ISSUER_CONCENTRATION")).to.deep.equal([]);
+    });
+
+    it("Should flag groups of wallets with identical histories", function () {
+      const history = (to: string): Row[] => [
+        [ISSUER, to, { taskType: "IDENTITY_VERIFIED_KYC" }],
+        [ISSUER, to, { taskType: "COMMUNITY_VOLUNTEERISM" }],
+        [ISSUER, to, { taskType: "SOCIAL_EDUCATION_CERT" }],
+      ];
+      const tokens = issuance([...history(ALICE), ...history(BOB), ...history(CAROL)]);
+
+      const [flag] = flagsOf(tokens, "IDENTICAL_HISTORIES");
+      expect(flag).to.deep.include({ severity: "low", wallets: [ALICE, BOB, CAROL] });
+      expect(flag.detail).to.deep.equal({ walletCount: 3, historyLength: 3 });
+
+      // Two look-alike wallets are not enough
+      expect(flagsOf(tokens.slice(0, 6), "IDENTICAL_HISTORIES")).to.deep.equal([]);
+    });
+
+    it("Should leave burned tokens out", function () {
+      const tokens = issuance([
+        [ALICE, ALICE, { burnedAt: T0 + HOUR }],
+        [ISSUER, BOB],
+      ]);
+
+      expect(analyzeIssuance(tokens)).to.deep.include({ tokenCount: 1, flags: [] });
+    });
+
+    it("Should list the most severe flags first and every flagged wallet", function () {
+      const tokens = issuance([
+        [ISSUER, BOB, { issuedAt: T0 }],
+        [ISSUER, BOB, { issuedAt: T0 + 1000 }],
+        [ISSUER, BOB, { issuedAt: T0 + 2000 }],
+        [ALICE, ALICE],
+      ]);
+
+      const { flags, wallets } = analyzeIssuance(tokens);
+      expect(flags.map(({ id, kind }) => [id, kind])).to.deep.equal([
+        [1, "SELF_ISSUANCE"],
+        [2, "MINT_BURST"],
+      ]);
+      expect(wallets).to.deep.equal([
+        { wallet: ALICE, flagIds: [1], tokenIds: [4] },
+        { wallet: BOB, flagIds: [2], tokenIds: [1, 2, 3] },
+      ]);
+    });
+  });
+
+  describe("buildTokenPenalties", function () {
+    // Three self-minted tokens within a minute: a self-issuance and a burst
+    const tokens = issuance([
+      [ALICE, ALICE, { issuedAt: T0 }],
+      [ALICE, ALICE, { issuedAt: T0 + 1000 }],
+      [ALICE, ALICE, { issuedAt: T0 + 2000 }],
+      [ISSUER, BOB, { issuedAt: T0 }],
+      [ISSUER, BOB, { issuedAt: T0 + 1000 }],
+      [ISSUER, BOB, { issuedAt: T0 + 2000 }],
+      [ISSUER, CAROL],
+    ]);
+
+    it("Should give each flagged token the lowest multiplier of its flags", function () {
+      const penalties = buildTokenPenalties(analyzeIssuance(tokens));
+
+      expect(penalties).to.deep.equal({
+        1: RISK_FLAG_KINDS.SELF_ISSUANCE.penalty,
+        2: RISK_FLAG_KINDS.SELF_ISSUANCE.penalty,
+        3: RISK_FLAG_KINDS.SELF_ISSUANCE.penalty,
+        4: RISK_FLAG_KINDS.MINT_BURST.penalty,
+        5: RISK_FLAG_KINDS.MINT_BURST.penalty,
+        6: RISK_FLAG_KINDS.MINT_BURST.penalty,
+      });
+    });
+
+    it("Should take per-kind overrides without compounding them", function () {
+      const penalties = buildTokenPenalties(analyzeIssuance(tokens), { SELF_ISSUANCE: 0.9, MINT_BURST: 0.6 });
+
+      expect(penalties[1]).to.equal(0.6);
+      expect(penalties[4]).to.equal(0.6);
+      expect(penalties).to.not.have.property("7");
+    });
+  });
+
+  describe("previewPenalizedScores", function () {
+    it("Should preview the flagged wallets' scores without and with the penalties", function () {
+      // Bob's own KYC and mentorship SBTs count in full; the burst of repayments drops to half
+      const repayment = (issuedAt: number): Row => [ISSUER, BOB, { taskType: "LOAN_REPAYMENT_SMALL", issuedAt }];
+      const scored = issuance([
+        repayment(T0),
+        repayment(T0 + 1000),
+        repayment(T0 + 2000),
+        [CAROL, BOB, { taskType: "IDENTITY_VERIFIED_KYC", pointLevel: "LEVEL_C_MAJOR" }],
+        [CAROL, BOB, { taskType: "SOCIAL_MENTORSHIP", pointLevel: "LEVEL_C_MAJOR" }],
+      ]);
+      const asOf = T0 + 10 * HOUR;
+
+      const [row, ...rest] = previewPenalizedScores(scored, analyzeIssuance(scored), { asOf });
+      expect(rest).to.deep.equal([]);
+      expect(row.wallet).to.equal(BOB);
+      expect(row.flaggedTokenIds).to.deep.equal([1, 2, 3]);
+      // 3 x 10 x 100 + 3 x 300 + 2.5 x 300 = 4650 raw; the burst loses 1500 of it
+      expect(row.scores.FINANCIAL_RISK).to.deep.equal({ score: 465, penalizedScore: 315 });
+      expect(row.scores.UBI_ELIGIBILITY.penalizedScore).to.be.below(row.scores.UBI_ELIGIBILITY.score);
+    });
+  });
+});
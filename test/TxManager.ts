@@ -0,0 +1,140 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import { BrowserProvider, Contract, Interface } from "ethers";
+import hre from "hardhat";
+import { SOULBOUND_TOKEN_ABI } from "../client/contractAbis.js";
+import { POINT_LEVELS, TASK_TYPES } from "../client/sbtCodec.js";
+import { TX_ERROR_KINDS, decodeTxError, describeTxError } from "../client/txErrors.js";
+import { TX_STATUS, createTxManager, type TxStorage } from "../client/txManager.js";
+
+function memoryStorage(): TxStorage & { items: Map<string, string> } {
+  const items = new Map<string, string>();
+  return {
+    items,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => void items.set(key, value),
+    removeItem: (key) => void items.delete(key),
+  };
+}
+
+describe("TxManager", function () {
+  describe("decodeTxError", function () {
+    it("Should classify wallet, fee and replacement errors", function () {
+      expect(decodeTxError({ code: "ACTION_REJECTED" }).kind).to.equal(TX_ERROR_KINDS.REJECTED);
+      expect(decodeTxError({ code: -32000, info: { error: { code: 4001 } } }).kind).to.equal(TX_ERROR_KINDS.REJECTED);
+      expect(decodeTxError({ code: "INSUFFICIENT_FUNDS" }).kind).to.equal(TX_ERROR_KINDS.FUNDS);
+      expect(decodeTxError({ code: "TRANSACTION_REPLACED", cancelled: true })).to.deep.equal({
+        kind: TX_ERROR_KINDS.REPLACED,
+        reason: null,
+        message: "The transaction was cancelled or replaced in your wallet.",
+      });
+      expect(decodeTxError({ code: "TIMEOUT", shortMessage: "timeout" })).to.include({ kind: TX_ERROR_KINDS.NETWORK, message: "timeout" });
+      expect(decodeTxError(null).kind).to.equal(TX_ERROR_KINDS.UNKNOWN);
+    });
+
+    it("Should explain known revert reasons and pass others through", function () {
+      expect(decodeTxError({ code: "CALL_EXCEPTION", reason: "Oracle: Publishing is paused" })).to.deep.equal({
+        kind: TX_ERROR_KINDS.REVERT,
+        reason: "Oracle: Publishing is paused",
+        message: "Score publishing is paused by the oracle owner. Try again later.",
+      });
+      expect(describeTxError({ code: "CALL_EXCEPTION", reason: "Ledger: Something new" })).to.equal("Ledger: Something new");
+      expect(describeTxError({ code: "CALL_EXCEPTION" })).to.equal("The contract rejected the transaction (no reason given).");
+    });
+
+    it("Should decode OpenZeppelin custom errors wherever the wallet nests the revert data", function () {
+      const data = new Interface(["error ERC721NonexistentToken(uint256 tokenId)"]).encodeErrorResult("ERC721NonexistentToken", [5]);
+      const expected = {
+        kind: TX_ERROR_KINDS.REVERT,
+        reason: "ERC721NonexistentToken",
+        message: "This SBT does not exist (it may have been burned).",
+      };
+
+      expect(decodeTxError({ code: "CALL_EXCEPTION", data })).to.deep.equal(expected);
+      expect(decodeTxError({ code: "UNKNOWN_ERROR", error: { info: { error: { data: { data } } } } })).to.deep.equal(expected);
+    });
+  });
+
+  describe("createTxManager", function () {
+    async function deployTxFixture() {
+      const [owner, stranger] = await hre.viem.getWalletClients();
+
+      const ledger = await hre.viem.deployContract("PointLedger", [0n, 0n]);
+      const sbt = await hre.viem.deployContract("SoulboundToken", [ledger.address]);
+      await ledger.write.setSBTContractAddress([sbt.address]);
+
+      // The client works on ethers contracts, as in the dashboard
+      const provider = new BrowserProvider(hre.network.provider);
+      const sbtAs = async (address: string) => new Contract(sbt.address, SOULBOUND_TOKEN_ABI, await provider.getSigner(address));
+      const issueArgs = (title: string) => [stranger.account.address, TASK_TYPES.SOCIAL_MENTORSHIP, POINT_LEVELS.LEVEL_C_MAJOR, title, ""];
+
+      return { sbt, provider, owner, stranger, sbtAs, issueArgs };
+    }
+
+    it("Should send, confirm and persist a transaction", async function () {
+      const { sbt, owner, sbtAs, issueArgs } = await loadFixture(deployTxFixture);
+      const storage = memoryStorage();
+      const manager = createTxManager({ storage });
+
+      const sent = await manager.send(await sbtAs(owner.account.address), "issueSBT", issueArgs("Mentor"), { label: "Issue SBT" });
+      const receipt = await sent.wait();
+
+      expect(receipt.status).to.equal(1);
+      expect(await sbt.read.getTotalSBTsMinted()).to.equal(1n);
+      const [record] = manager.list();
+      expect(record).to.include({ id: sent.id, hash: sent.hash, label: "Issue SBT", status: TX_STATUS.CONFIRMED, blockNumber: receipt.blockNumber });
+
+      // A reload picks the record up from storage
+      expect(createTxManager({ storage }).list()).to.deep.equal(manager.list());
+    });
+
+    it("Should send queued transactions one at a time, in order", async function () {
+      const { owner, sbtAs, issueArgs } = await loadFixture(deployTxFixture);
+      const manager = createTxManager({ storage: memoryStorage() });
+      const sbt = await sbtAs(owner.account.address);
+
+      const sent = await Promise.all(["First", "Second", "Third"].map((title) => manager.send(sbt, "issueSBT", issueArgs(title), { label: title })));
+      await Promise.all(sent.map((tx) => tx.wait()));
+
+      // Newest first
+      const records = manager.list();
+      expect(records.map((record) => [record.label, record.status])).to.deep.equal([
+        ["Third", TX_STATUS.CONFIRMED],
+        ["Second", TX_STATUS.CONFIRMED],
+        ["First", TX_STATUS.CONFIRMED],
+      ]);
+      expect(records.map((record) => record.nonce)).to.deep.equal([2, 1, 0].map((n) => records[2].nonce! + n));
+    });
+
+    it("Should report a failing require() before the wallet is asked to sign", async function () {
+      const { provider, stranger, sbtAs, issueArgs } = await loadFixture(deployTxFixture);
+      const manager = createTxManager({ storage: memoryStorage() });
+      const nonce = await provider.getTransactionCount(stranger.account.address);
+
+      const error = await manager.send(await sbtAs(stranger.account.address), "issueSBT", issueArgs("Mentor")).catch((e) => e);
+
+      expect(decodeTxError(error)).to.deep.equal({
+        kind: TX_ERROR_KINDS.REVERT,
+        reason: "SBT: Caller is not an authorized issuer",
+        message: "This wallet is not an authorized issuer on the SoulboundToken contract.",
+      });
+      expect(manager.list()[0]).to.include({
+        status: TX_STATUS.FAILED,
+        error: "This wallet is not an authorized issuer on the SoulboundToken contract.",
+      });
+      expect(manager.list()[0].hash).to.equal(undefined);
+      expect(await provider.getTransactionCount(stranger.account.address)).to.equal(nonce);
+    });
+
+    it("Should fail transactions a reload interrupted before they were sent", function () {
+      const storage = memoryStorage();
+      const record = (id: string, status: string) => ({ id, label: id, method: "issueSBT", status, createdAt: 1, updatedAt: 1 });
+      storage.setItem("credo.transactions", JSON.stringify([record("a", TX_STATUS.QUEUED), record("b", TX_STATUS.AWAITING_SIGNATURE), record("c", TX_STATUS.CONFIRMED)]));
+
+      const records = createTxManager({ storage }).list();
+
+      expect(records.map((r) => r.status)).to.deep.equal([TX_STATUS.FAILED, TX_STATUS.FAILED, TX_STATUS.CONFIRMED]);
+      expect(records[0].error).to.equal("Interrupted: the page closed before this transaction was sent.");
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { loadFixture } from "@nomicfoundation/hardhat-toolbox-viem/network-helpers";
+import { expect } from "chai";
+import { BrowserProvider, Contract } from "ethers";
+import hre from "hardhat";
+import { getAddress } from "viem";
+import { SOULBOUND_TOKEN_ABI } from "../client/contractAbis.js";
+import { POINT_LEVELS, TASK_TYPES } from "../client/sbtCodec.js";
+import {
+  createPresentation,
+  issueSBTCredentials,
+  verifyCredential,
+  verifyDocument,
+  verifyPresentation,
+  type SBTCredential,
+} from "../client/verifiableCredentials.js";
+
+const NOW = Date.UTC(2025, 0, 1);
+
+describe("VerifiableCredentials", function () {
+  async function deployCredentialFixture() {
+    const [, holder, otherHolder] = await hre.viem.getWalletClients();
+
+    async function deploySBT() {
+      const ledger = await hre.viem.deployContract("PointLedger", [0n, 0n]);
+      const sbt = await hre.viem.deployContract("SoulboundToken", [ledger.address]);
+      await ledger.write.setSBTContractAddress([sbt.address]);
+      return sbt;
+    }
+
+    const sbt = await deploySBT();
+    await sbt.write.issueSBT([holder.account.address, TASK_TYPES.IDENTITY_VERIFIED_KYC, POINT_LEVELS.LEVEL_C_MAJOR, "KYC", ""]);
+    await sbt.write.issueSBT([holder.account.address, TASK_TYPES.SOCIAL_MENTORSHIP, POINT_LEVELS.LEVEL_B_HARMONY, "Mentor", ""]);
+    await sbt.write.issueSBT([otherHolder.account.address, TASK_TYPES.SOCIAL_MENTORSHIP, POINT_LEVELS.LEVEL_A_PRESTIGE, "Mentor", ""]);
+
+    // The client works on ethers contracts, as in the dashboard
+    const provider = new BrowserProvider(hre.network.provider);
+    const signer = await provider.getSigner(holder.account.address);
+    const otherSigner = await provider.getSigner(otherHolder.account.address);
+    const sbtAs = (runner: typeof signer, address = sbt.address) => new Contract(address, SOULBOUND_TOKEN_ABI, runner);
+    const credentials = await issueSBTCredentials(sbtAs(signer), [1n, 2n], { now: NOW });
+
+    return { sbt, deploySBT, holder, provider, signer, otherSigner, sbtAs, credentials };
+  }
+
+  describe("verifyCredential", function () {
+    it("Should verify credentials exported by the holder", async function () {
+      const { sbt, holder, provider, credentials } = await loadFixture(deployCredentialFixture);
+
+      const result = await verifyDocument(credentials, { provider, sbtContract: sbt.address });
+
+      expect(result.kind).to.equal("credentials");
+      expect(result.valid).to.equal(true);
+      expect(result.credentials.map((c) => [c.tokenId, c.holder, c.errors])).to.deep.equal([
+        [1, getAddress(holder.account.address), []],
+        [2, getAddress(holder.account.address), []],
+      ]);
+    });
+
+    it("Should reject a credential changed after signing", async function () {
+      const { sbt, provider, credentials } = await loadFixture(deployCredentialFixture);
+      const [, mentorship] = credentials;
+      const tampered: SBTCredential = {
+        ...mentorship,
+        credentialSubject: {
+          ...mentorship.credentialSubject,
+          sbt: { ...mentorship.credentialSubject.sbt, pointLevel: "LEVEL_A_PRESTIGE", points: 1500 },
+        },
+      };
+
+      const result = await verifyCredential(tampered, { provider, sbtContract: sbt.address });
+
+      expect(result.valid).to.equal(false);
+      expect(result.signatureValid).to.equal(false);
+      expect(result.onChain).to.deep.equal({ exists: true, heldByHolder: true, dataMatches: false });
+      expect(result.errors).to.include("On-chain data differs in: pointLevel, points.");
+    });
+
+    it("Should reject a credential signed for another SoulboundToken", async function () {
+      const { sbt, deploySBT, holder, provider, signer, sbtAs } = await loadFixture(deployCredentialFixture);
+      // A look-alike deployment the holder controls the data of
+      const lookAlike = await deploySBT();
+      await lookAlike.write.issueSBT([holder.account.address, TASK_TYPES.LOAN_REPAYMENT_LARGE, POINT_LEVELS.LEVEL_A_PRESTIGE, "Loan", ""]);
+      const [foreign] = await issueSBTCredentials(sbtAs(signer, lookAlike.address), [1n], { now: NOW });
+
+      expect((await verifyCredential(foreign, { provider, sbtContract: lookAlike.address })).valid).to.equal(true);
+
+      const result = await verifyCredential(foreign, { provider, sbtContract: sbt.address });
+      expect(result.valid).to.equal(false);
+      expect(result.errors[0]).to.include(`The credential names SoulboundToken ${getAddress(lookAlike.address)}`);
+      await expect(verifyCredential(foreign, { provider } as never)).to.be.rejectedWith("expected SoulboundToken address");
+    });
+
+    it("Should reject credentials for burned SBTs", async function () {
+      const { sbt, provider, credentials } = await loadFixture(deployCredentialFixture);
+      await sbt.write.burnSBT([2n]);
+
+      const result = await verifyCredential(credentials[1], { provider, sbtContract: sbt.address });
+
+      expect(result.signatureValid).to.equal(true);
+      expect(result.onChain.exists).to.equal(false);
+      expect(result.errors).to.include("SBT #2 no longer exists (burned or never minted).");
+    });
+
+    it("Should refuse to export SBTs the signer does not hold", async function () {
+      const { signer, sbtAs } = await loadFixture(deployCredentialFixture);
+
+      await expect(issueSBTCredentials(sbtAs(signer), [3n])).to.be.rejectedWith("SBT #3 is not held by");
+    });
+  });
+
+  describe("verifyPresentation", function () {
+    it("Should check the holder's signature and the verifier's challenge", async function () {
+      const { sbt, provider, signer, credentials } = await loadFixture(deployCredentialFixture);
+      const presentation = await createPresentation(signer, credentials, { challenge: "nonce-1", domain: "lender.example" });
+      const options = { provider, sbtContract: sbt.address, domain: "lender.example" };
+
+      const accepted = await verifyPresentation(presentation, { ...options, challenge: "nonce-1" });
+      expect(accepted.valid).to.equal(true);
+      expect(accepted.credentials).to.have.length(2);
+
+      const replayed = await verifyPresentation(presentation, { ...options, challenge: "nonce-2" });
+      expect(replayed.valid).to.equal(false);
+      expect(replayed.errors).to.deep.equal(["The challenge does not match."]);
+    });
+
+    it("Should reject credentials of another holder", async function () {
+      const { sbt, provider, otherSigner, sbtAs, credentials } = await loadFixture(deployCredentialFixture);
+      const others = await issueSBTCredentials(sbtAs(otherSigner), [3n], { now: NOW });
+      const presentation = await createPresentation(otherSigner, [...others, credentials[0]]);
+
+      const result = await verifyPresentation(presentation, { provider, sbtContract: sbt.address });
+
+      expect(result.signatureValid).to.equal(true);
+      expect(result.valid).to.equal(false);
+      expect(result.credentials.map((c) => c.valid)).to.deep.equal([true, false]);
+      expect(result.credentials[1].errors).to.include("The credential's holder is not the presentation's holder.");
+    });
+  });
+});